@@ -57,6 +57,7 @@ module.exports = {
   // Coverage collection settings - focus on testable JavaScript files
   collectCoverageFrom: [
     'src/backend/**/*.js',
+    'src/shared/**/*.js',
     'src/ar/**/*.js',
     'src/blocks/**/*.js',
     'src/sum.js',
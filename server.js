@@ -19,7 +19,26 @@ const pathModule = require('path');
 // Import backend modules
 const dataProcessor = require('./src/backend/dataProcessor');
 const chartGenerator = require('./src/backend/chartGenerator');
-const { parseCSV } = require('./src/backend/csvHandler');
+const { renderChart } = require('./src/backend/chartRenderer');
+const { parseCSV, toCSV } = require('./src/backend/csvHandler');
+const { detectFormat, importDatasetFile, DATASET_FORMATS } = require('./src/backend/dataImporter');
+const { exportDataset } = require('./src/backend/dataExporter');
+const { inferSchema } = require('./src/backend/schemaInference');
+const { validateOperations } = require('./src/backend/operationSchema');
+const { writeJsonAtomic } = require('./src/backend/storage/atomicWrite');
+const {
+  datasetPath,
+  ensureOwnerFolder,
+  listDatasetFiles,
+  uniqueFilename,
+  quotaError,
+  recordDataset,
+  listDatasets,
+  getDatasetById,
+  findDataset,
+  renameDataset,
+  deleteDataset
+} = require('./src/backend/datasetRegistry');
 const { sampleData, weatherData, salesData } = require('./src/backend/testData');
 
 // Import projects manager for persistent storage 
@@ -28,22 +47,65 @@ const {
   getProjectById,
   createProject,
   updateProject,
-  deleteProject
+  deleteProject,
+  getProjectWorkspace,
+  saveProjectWorkspace
 } = require('./src/backend/projectsManager');
 const {
-  verifyFacilitatorPassword,
-  updateFacilitatorPassword
+  authenticateFacilitator,
+  createFacilitator,
+  listFacilitators,
+  updateFacilitatorPassword,
+  validatePassword,
+  createSession,
+  destroySession,
+  destroySessionsForUser
 } = require('./src/backend/authManager');
+const {
+  listClasses,
+  getClassById,
+  createClass,
+  regenerateJoinCode,
+  deleteClass,
+  joinClass,
+  authenticateStudent,
+  getStudentById,
+  resetStudentLoginCode,
+  removeStudent,
+  addStudentProject,
+  removeStudentProject
+} = require('./src/backend/classManager');
+const {
+  attachSession,
+  requireUser,
+  requireFacilitator,
+  requireFacilitatorPage,
+  setSessionCookie,
+  clearSessionCookie
+} = require('./src/backend/authMiddleware');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Pages only facilitators may open, with or without the .html suffix
+const FACILITATOR_PAGES = [
+  '/teacher-dashboard',
+  '/teacher-dashboard.html',
+  '/create-project',
+  '/create-project.html',
+  '/edit-project.html'
+];
+
 // Middleware configuration
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+app.use(attachSession);
+// Registered before the static handler so the .html files cannot bypass it
+app.get(FACILITATOR_PAGES, requireFacilitatorPage);
 app.use(express.static('public'));
 app.use('/src', express.static('src'));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// uploads/ is not served statically: files are read through the owner-checked
+// /api/get-csv and export routes
 app.use(bodyParser.json({ limit: '10mb' }));
 
 // Configure multer for handling multipart/form-data (file uploads)
@@ -85,45 +147,69 @@ app.get('/student-dashboard', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'student-dashboard.html'));
 });
 
+/**
+ * Start a session for a user and send it back as a cookie and a token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Public user record
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function startSession(req, res, user) {
+  const session = createSession(user);
+  setSessionCookie(req, res, session.token);
+  return session;
+}
+
 /**
  * POST /api/facilitator/login
- * Validate facilitator password.
+ * Sign a facilitator in. Body: { username?: string, password: string }
+ * The username defaults to the original shared "facilitator" account.
+ * Returns 503 until the first account has been set up.
  */
 app.post('/api/facilitator/login', (req, res) => {
-  const { password } = req.body || {};
+  const { username, password } = req.body || {};
   if (typeof password !== 'string') {
     return res.status(400).json({ error: 'Password is required.' });
   }
 
-  const isValid = verifyFacilitatorPassword(password);
-  if (!isValid) {
-    return res.status(401).json({ error: 'Invalid password.' });
+  if (listFacilitators().length === 0) {
+    return res.status(503).json({
+      error: 'No facilitator account has been set up. Set FACILITATOR_PASSWORD and restart the server.'
+    });
+  }
+
+  const facilitator = authenticateFacilitator(username, password);
+  if (!facilitator) {
+    return res.status(401).json({ error: 'Invalid username or password.' });
   }
 
-  return res.json({ success: true });
+  const session = startSession(req, res, facilitator);
+  return res.json({ success: true, user: facilitator, token: session.token, expiresAt: session.expiresAt });
 });
 
 /**
  * PUT /api/facilitator/password
- * Update facilitator password after verifying current password.
+ * Update the signed-in facilitator's password after verifying the current one.
  */
-app.put('/api/facilitator/password', (req, res) => {
+app.put('/api/facilitator/password', requireFacilitator, (req, res) => {
   const { currentPassword, newPassword } = req.body || {};
 
   if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
     return res.status(400).json({ error: 'Current and new passwords are required.' });
   }
 
-  if (!verifyFacilitatorPassword(currentPassword)) {
+  if (!authenticateFacilitator(req.user.username, currentPassword)) {
     return res.status(401).json({ error: 'Current password is incorrect.' });
   }
 
-  if (!newPassword.trim()) {
-    return res.status(400).json({ error: 'New password must not be empty.' });
+  try {
+    validatePassword(newPassword);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
   try {
-    updateFacilitatorPassword(newPassword);
+    updateFacilitatorPassword(newPassword, req.user.username);
     return res.json({ success: true });
   } catch (error) {
     console.error('Failed to update facilitator password:', error);
@@ -131,6 +217,245 @@ app.put('/api/facilitator/password', (req, res) => {
   }
 });
 
+/**
+ * GET /api/facilitators
+ * List facilitator accounts.
+ */
+app.get('/api/facilitators', requireFacilitator, (req, res) => {
+  res.json({ success: true, facilitators: listFacilitators() });
+});
+
+/**
+ * POST /api/facilitators
+ * Create another facilitator account. Body: { username, password, name? }
+ */
+app.post('/api/facilitators', requireFacilitator, (req, res) => {
+  try {
+    const facilitator = createFacilitator(req.body || {});
+    res.status(201).json({ success: true, facilitator });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/session
+ * Describe the current session, if any.
+ */
+app.get('/api/auth/session', (req, res) => {
+  res.json({ authenticated: Boolean(req.user), user: req.user || null });
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session.
+ */
+app.post('/api/auth/logout', (req, res) => {
+  if (req.sessionToken) {
+    destroySession(req.sessionToken);
+  }
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/classes
+ * List the signed-in facilitator's classes with their rosters.
+ */
+app.get('/api/classes', requireFacilitator, (req, res) => {
+  try {
+    res.json({ success: true, classes: listClasses(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching classes:', error);
+    res.status(500).json({ error: 'Failed to fetch classes' });
+  }
+});
+
+/**
+ * POST /api/classes
+ * Create a class with a join code. Body: { name }
+ */
+app.post('/api/classes', requireFacilitator, (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Class name is required' });
+  }
+  try {
+    res.status(201).json({ success: true, class: createClass({ name, facilitatorId: req.user.id }) });
+  } catch (error) {
+    console.error('Error creating class:', error);
+    res.status(500).json({ error: 'Failed to create class' });
+  }
+});
+
+/**
+ * Load a class owned by the signed-in facilitator, or answer 404
+ * @returns {Object|null} Public class object
+ */
+function findOwnedClass(req, res) {
+  const klass = getClassById(req.params.classId);
+  if (!klass || klass.facilitatorId !== req.user.id) {
+    res.status(404).json({ error: 'Class not found' });
+    return null;
+  }
+  return klass;
+}
+
+/**
+ * GET /api/classes/:classId
+ * Fetch a class and its roster.
+ */
+app.get('/api/classes/:classId', requireFacilitator, (req, res) => {
+  const klass = findOwnedClass(req, res);
+  if (klass) res.json({ success: true, class: klass });
+});
+
+/**
+ * POST /api/classes/:classId/join-code
+ * Replace a class's join code.
+ */
+app.post('/api/classes/:classId/join-code', requireFacilitator, (req, res) => {
+  if (!findOwnedClass(req, res)) return;
+  res.json({ success: true, class: regenerateJoinCode(req.params.classId) });
+});
+
+/**
+ * DELETE /api/classes/:classId
+ * Delete a class and sign out its students.
+ */
+app.delete('/api/classes/:classId', requireFacilitator, (req, res) => {
+  const klass = findOwnedClass(req, res);
+  if (!klass) return;
+  klass.students.forEach(student => destroySessionsForUser(student.id));
+  deleteClass(klass.id);
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/classes/:classId/students/:studentId/login-code
+ * Issue a new login code for a student who lost theirs.
+ */
+app.post('/api/classes/:classId/students/:studentId/login-code', requireFacilitator, (req, res) => {
+  if (!findOwnedClass(req, res)) return;
+  const loginCode = resetStudentLoginCode(req.params.classId, req.params.studentId);
+  if (!loginCode) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+  destroySessionsForUser(req.params.studentId);
+  res.json({ success: true, loginCode });
+});
+
+/**
+ * DELETE /api/classes/:classId/students/:studentId
+ * Remove a student from a class roster.
+ */
+app.delete('/api/classes/:classId/students/:studentId', requireFacilitator, (req, res) => {
+  if (!findOwnedClass(req, res)) return;
+  if (!removeStudent(req.params.classId, req.params.studentId)) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+  destroySessionsForUser(req.params.studentId);
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/students/join
+ * Join a class as a new student. Body: { joinCode, nickname }
+ * Returns the student's personal login code; it is only shown this once.
+ */
+app.post('/api/students/join', (req, res) => {
+  const { joinCode, nickname } = req.body || {};
+  if (typeof joinCode !== 'string' || !joinCode.trim()) {
+    return res.status(400).json({ error: 'Join code is required.' });
+  }
+
+  try {
+    const joined = joinClass(joinCode, nickname);
+    if (!joined) {
+      return res.status(404).json({ error: 'No class uses that join code.' });
+    }
+    const session = startSession(req, res, joined.student);
+    res.status(201).json({
+      success: true,
+      user: joined.student,
+      loginCode: joined.loginCode,
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/students/login
+ * Sign a returning student in with their login code. Body: { loginCode }
+ */
+app.post('/api/students/login', (req, res) => {
+  const { loginCode } = req.body || {};
+  if (typeof loginCode !== 'string' || !loginCode.trim()) {
+    return res.status(400).json({ error: 'Login code is required.' });
+  }
+
+  const student = authenticateStudent(loginCode);
+  if (!student) {
+    return res.status(401).json({ error: 'That login code was not recognised.' });
+  }
+
+  const session = startSession(req, res, student);
+  res.json({ success: true, user: student, token: session.token, expiresAt: session.expiresAt });
+});
+
+/**
+ * GET /api/students/me
+ * The signed-in student's profile and joined project ids.
+ */
+app.get('/api/students/me', requireUser, (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Student access required.' });
+  }
+  const student = getStudentById(req.user.id);
+  if (!student) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+  res.json({ success: true, student });
+});
+
+/**
+ * POST /api/students/me/projects
+ * Add an active project to the signed-in student's dashboard. Body: { projectId }
+ */
+app.post('/api/students/me/projects', requireUser, (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Student access required.' });
+  }
+  const projectId = parseInt((req.body || {}).projectId);
+  const project = getProjectById(projectId);
+  if (!project || project.status !== 'Active') {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const projectIds = addStudentProject(req.user.id, projectId);
+  if (!projectIds) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+  res.json({ success: true, projectIds });
+});
+
+/**
+ * DELETE /api/students/me/projects/:projectId
+ * Remove a project from the signed-in student's dashboard.
+ */
+app.delete('/api/students/me/projects/:projectId', requireUser, (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Student access required.' });
+  }
+  const projectIds = removeStudentProject(req.user.id, parseInt(req.params.projectId));
+  if (!projectIds) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+  res.json({ success: true, projectIds });
+});
+
 /**
  * Serve the Blockly application page
  */
@@ -188,57 +513,192 @@ app.get('/api/test-data/:type', (req, res) => {
   });
 });
 
+/**
+ * POST /api/process-data/validate
+ *
+ * Checks every operation against its declared parameters without running
+ * any of them, so a pipeline can be corrected before /api/process-data is
+ * called.
+ *
+ * @param {Array} [data] - Rows the operations would run on
+ * @param {Array<string>} [columns] - Column names, instead of the rows
+ * @param {Array} operations - Operations as for /api/process-data
+ * @returns {Object} { success, valid, steps, columns, output } where each step
+ *   lists its errors ({ param, message }) and predicted output columns
+ */
+app.post('/api/process-data/validate', (req, res) => {
+  const { data, columns, operations } = req.body || {};
+  if (!Array.isArray(operations)) {
+    return res.status(400).json({ error: 'Operations must be an array' });
+  }
+  if (data !== undefined && !Array.isArray(data)) {
+    return res.status(400).json({ error: 'Invalid data format' });
+  }
+  if (columns !== undefined && !(Array.isArray(columns) && columns.every(column => typeof column === 'string'))) {
+    return res.status(400).json({ error: 'columns must be a list of column names' });
+  }
+
+  res.json({ success: true, ...validateOperations(operations, { data, columns }) });
+});
+
+/**
+ * Check operations against their schemas before running them
+ * @param {*} operations - Operations from the request body
+ * @param {Object} input - What the first step receives, as for validateOperations
+ * @returns {Object|null} 400 response body naming the first problem and listing
+ *   every invalid step, or null when the operations are valid
+ */
+function operationsError(operations, input) {
+  if (!Array.isArray(operations)) {
+    return { error: 'Operations must be an array' };
+  }
+  const validation = validateOperations(operations, input);
+  if (validation.valid) {
+    return null;
+  }
+  const steps = validation.steps
+    .filter(step => !step.valid)
+    .map(({ step, type, errors }) => ({ step, type, errors }));
+  const [first] = steps;
+  return { error: `Step ${first.step + 1} (${first.type || 'unknown'}): ${first.errors[0].message}`, steps };
+}
+
 /**
  * POST /api/process-data
  * 
  * Processes data through a series of operations (filter, sort, aggregate, etc.)
+ * Operations are validated first; invalid ones get a 400 listing each
+ * step's errors as from /api/process-data/validate.
  * 
  * @param {Array} data - Array of data objects to process
  * @param {Array} operations - Array of operation objects with type and params
+ * @param {number} [preview] - Only return the first `preview` rows, with the
+ *   full row count and column list in `preview`, e.g. to show a reshaped table
+ * @param {boolean|number} [trace] - Also return `trace`, what each step
+ *   produced; a number sets how many sample rows each step keeps (5 by default)
  * @returns {Object} JSON response with processed data and summary
  */
 app.post('/api/process-data', async (req, res) => {
+  const trace = [];
+  const { trace: traceOption } = req.body || {};
   try {
-    const { data, operations } = req.body;
+    const { data, operations, preview } = req.body;
     
     if (!data || !Array.isArray(data)) {
       return res.status(400).json({ error: 'Invalid data format' });
     }
+    if (preview !== undefined && !(Number.isInteger(preview) && preview > 0)) {
+      return res.status(400).json({ error: 'preview must be a positive whole number of rows' });
+    }
+    if (traceOption !== undefined && typeof traceOption !== 'boolean' && !(Number.isInteger(traceOption) && traceOption > 0)) {
+      return res.status(400).json({ error: 'trace must be true or a positive whole number of sample rows' });
+    }
+    const invalid = operationsError(operations, { data });
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
 
-    const processedData = await dataProcessor.processData(data, operations);
+    const reports = [];
+    const processedData = await dataProcessor.processData(data, operations, {
+      reports,
+      ...(traceOption ? { trace, ...(traceOption === true ? {} : { traceSample: traceOption }) } : {})
+    });
+    const isTable = Array.isArray(processedData);
     res.json({ 
       success: true, 
-      data: processedData,
-      summary: dataProcessor.getDataSummary(processedData)
+      data: preview && isTable ? processedData.slice(0, preview) : processedData,
+      summary: dataProcessor.getDataSummary(processedData),
+      ...(preview && isTable ? {
+        preview: { rows: Math.min(preview, processedData.length), rowCount: processedData.length, columns: dataProcessor.columnsOf(processedData) }
+      } : {}),
+      ...(reports.length ? { reports } : {}),
+      ...(traceOption ? { trace } : {})
     });
   } catch (error) {
     console.error('Data processing error:', error);
-    res.status(500).json({ error: error.message });
+    // The steps that ran before the failure show how far the data got
+    res.status(500).json({ error: error.message, ...(traceOption ? { trace } : {}) });
   }
 });
 
+// Operations whose params.dataset names a second dataset
+const MULTI_DATASET_OPERATIONS = ['join', 'append', 'union'];
+
 /**
- * GET /api/list-files
- * List all CSV files in the uploads directory.
+ * POST /api/process-datasets
+ * Run operations over several of the caller's saved datasets. Join, append and
+ * union operations name their second dataset in params.dataset.
+ * @body {Object|Array} datasets - { name: filename } or a list of filenames
+ *   (named after the file without .csv)
+ * @body {string} [base] - Dataset the operations start from (the first one by default)
+ * @body {Array} operations - Operations as for /api/process-data
+ * @returns {Object} { success, data, summary, reports } where reports list
+ *   unmatched join keys and mismatched columns
  */
-app.get('/api/list-files', async (req, res) => {
+app.post('/api/process-datasets', async (req, res) => {
   try {
-    const uploadsDir = pathModule.join(__dirname, 'uploads');
-    
-    if (!fs.existsSync(uploadsDir)) {
-      return res.json({ success: true, files: [] });
+    const { datasets, operations } = req.body || {};
+    const entries = Array.isArray(datasets)
+      ? datasets.map(file => [String(file).replace(/\.csv$/i, ''), file])
+      : Object.entries(datasets && typeof datasets === 'object' ? datasets : {});
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'datasets must name at least one saved dataset' });
+    }
+    if (!Array.isArray(operations)) {
+      return res.status(400).json({ error: 'Operations must be an array' });
     }
 
-    const files = fs.readdirSync(uploadsDir)
-      .filter(file => file.toLowerCase().endsWith('.csv'))
-      .sort((a, b) => {
-        // Sort by modification time, newest first
-        const statA = fs.statSync(pathModule.join(uploadsDir, a));
-        const statB = fs.statSync(pathModule.join(uploadsDir, b));
-        return statB.mtime - statA.mtime;
+    const loaded = {};
+    for (const [name, file] of entries) {
+      const { finalName, filePath } = uploadedCsvPath(String(file), datasetOwner(req));
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: `Dataset not found: ${finalName}` });
+      }
+      loaded[name] = parseCSV(fs.readFileSync(filePath)).data;
+    }
+
+    const base = req.body.base === undefined ? entries[0][0] : req.body.base;
+    if (!Object.prototype.hasOwnProperty.call(loaded, base)) {
+      return res.status(400).json({ error: `Unknown base dataset: ${base}` });
+    }
+
+    let resolved;
+    try {
+      resolved = operations.map(operation => {
+        if (!operation || !MULTI_DATASET_OPERATIONS.includes(operation.type)) return operation;
+        const name = operation.params && operation.params.dataset;
+        if (typeof name !== 'string') return operation;
+        if (!Object.prototype.hasOwnProperty.call(loaded, name)) {
+          throw new Error(`Unknown dataset in ${operation.type}: ${name}`);
+        }
+        return { ...operation, params: { ...operation.params, dataset: loaded[name] } };
       });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    res.json({ success: true, files });
+    const reports = [];
+    const processedData = await dataProcessor.processData(loaded[base], resolved, { reports });
+    res.json({
+      success: true,
+      data: processedData,
+      summary: dataProcessor.getDataSummary(processedData),
+      reports
+    });
+  } catch (error) {
+    console.error('Process datasets error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/list-files
+ * List the CSV files the caller has saved (the shared space when not signed in),
+ * newest first. GET /api/datasets gives the full dataset records.
+ */
+app.get('/api/list-files', async (req, res) => {
+  try {
+    res.json({ success: true, files: listDatasetFiles(datasetOwner(req)) });
   } catch (error) {
     console.error('List files error:', error);
     res.status(500).json({ error: 'Failed to list files' });
@@ -247,43 +707,192 @@ app.get('/api/list-files', async (req, res) => {
 
 /**
  * POST /api/upload-csv
- * Accept a CSV file upload and place it into the uploads directory.
- * Form field: file (multipart/form-data)
+ * Accept a dataset upload and save it as CSV in the caller's folder of
+ * uploads/. An upload never replaces an existing file: a second example.csv
+ * is saved as example_2.csv. CSV files are stored as-is; TSV, XLSX, JSON and
+ * NDJSON uploads are imported and converted, as are CSV files sent with a
+ * delimiter or headerRow, so they are read the same way as project uploads.
+ * Form fields: file (multipart/form-data), projectId, format, sheet,
+ * delimiter, headerRow (all optional; see POST /api/import-data)
+ * @returns {Object} { success, filename, path, schema, dataset, meta? } where
+ *   dataset is the registry record; 413 when the owner's quota is full
  */
 app.post('/api/upload-csv', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const ownerId = datasetOwner(req);
+    let projectId, options;
+    try {
+      projectId = datasetProjectId(req.body.projectId);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
     }
-
-    // Ensure uploads directory exists
-    const uploadsDir = pathModule.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
+    try {
+      options = importOptionsFromBody(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
     const original = req.file.originalname || 'uploaded.csv';
     const safeName = pathModule.basename(original).replace(/[^\w\-.]/g, '_');
-    const finalName = safeName.toLowerCase().endsWith('.csv') ? safeName : `${safeName}.csv`;
-    const targetPath = pathModule.join(uploadsDir, finalName);
+    const fileBuffer = fs.readFileSync(req.file.path);
+    const format = options.format || detectFormat(original, fileBuffer);
+    // A CSV read with the default delimiter and header row is kept byte for
+    // byte; anything else is imported with the options and rewritten as CSV
+    const storedAsIs = format === 'csv'
+      && (options.delimiter === undefined || options.delimiter === 'auto')
+      && (options.headerRow === undefined || options.headerRow === 0);
+
+    let contents, dataset;
+    if (storedAsIs) {
+      contents = fileBuffer;
+      dataset = parseCSV(fileBuffer);
+    } else {
+      try {
+        dataset = await importUploadedFile(req);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      contents = toCSV(dataset.data, dataset.headers);
+    }
 
-    // Move the temp file to uploads
-    const tempPath = req.file.path;
-    const fileBuffer = fs.readFileSync(tempPath);
-    fs.writeFileSync(targetPath, fileBuffer);
-    try { fs.unlinkSync(tempPath); } catch (_) {}
+    const overQuota = quotaError(ownerId, Buffer.byteLength(contents));
+    if (overQuota) {
+      return res.status(413).json({ error: overQuota });
+    }
 
-    return res.json({ success: true, filename: finalName, path: `/uploads/${finalName}` });
+    ensureOwnerFolder(ownerId);
+    const wanted = format === 'csv' ? safeName : `${pathModule.parse(safeName).name || 'uploaded'}.csv`;
+    const { finalName, filePath, publicPath } = datasetPath(uniqueFilename(wanted, ownerId), ownerId);
+    fs.writeFileSync(filePath, contents, 'utf8');
+    const schema = saveUploadSchema(filePath, dataset.data, dataset.headers);
+    const record = recordDataset({
+      filename: finalName,
+      ownerId,
+      ownerRole: req.user && req.user.role,
+      projectId,
+      originalName: original,
+      schema
+    });
+
+    return res.json({
+      success: true,
+      filename: finalName,
+      path: publicPath,
+      ...(storedAsIs ? {} : { meta: dataset.meta }),
+      schema,
+      dataset: record
+    });
   } catch (error) {
     console.error('Upload CSV error:', error);
     res.status(500).json({ error: 'Failed to upload CSV' });
+  } finally {
+    // The temporary upload is never kept, whichever way the request ends
+    fs.rmSync(req.file.path, { force: true });
   }
 });
 
+/**
+ * POST /api/import-data
+ * Parse an uploaded CSV, TSV, XLSX, JSON or NDJSON file into rows without storing it.
+ * Form fields: file, format, sheet (XLSX name or 1-based number), delimiter, headerRow
+ * @returns {Object} { success, headers, data, errors, meta, schema } - meta.sheets lists XLSX sheet names
+ */
+app.post('/api/import-data', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    let dataset;
+    try {
+      dataset = await importUploadedFile(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, ...dataset, schema: inferSchema(dataset.data, { headers: dataset.headers }) });
+  } catch (error) {
+    console.error('Import data error:', error);
+    res.status(500).json({ error: 'Failed to import data' });
+  }
+});
+
+/**
+ * Owner of the datasets a request reads and writes
+ * @param {Object} req - Express request
+ * @returns {string|null} Signed-in user's id, or null for the shared space
+ */
+function datasetOwner(req) {
+  return req.user ? req.user.id : null;
+}
+
+/**
+ * Read the optional project a dataset is saved for
+ * @param {*} value - projectId from the request
+ * @returns {number|null} Project ID, or null when none was given
+ * @throws {Error} When no project has that ID
+ */
+function datasetProjectId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const project = getProjectById(parseInt(value));
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  return project.id;
+}
+
+/**
+ * Resolve a dataset name to its CSV file in an owner's folder of uploads/
+ * @param {string} name - Filename with or without the .csv extension
+ * @param {string|null} [ownerId] - Owner whose folder to look in (the shared space by default)
+ * @returns {{ finalName: string, filePath: string, publicPath: string }} Sanitized
+ *   filename, absolute path and /api/get-csv URL
+ */
+function uploadedCsvPath(name, ownerId = null) {
+  return datasetPath(name, ownerId);
+}
+
+/**
+ * Infer and store the column schema of a CSV in uploads/ as <name>.schema.json
+ * @param {string} filePath - Path of the CSV file
+ * @param {Array<Object>} rows - Rows written to the file
+ * @param {Array<string>} [headers] - Column order
+ * @returns {Object} Schema from inferSchema
+ */
+function saveUploadSchema(filePath, rows, headers) {
+  const schema = inferSchema(rows, { headers });
+  writeJsonAtomic(filePath.replace(/\.csv$/i, '.schema.json'), schema);
+  return schema;
+}
+
+/**
+ * Read the stored schema of a CSV in uploads/, re-inferring it when the
+ * file has changed since the schema was written
+ * @param {string} filePath - Path of the CSV file
+ * @param {Object} [parsed] - Already parsed contents ({ headers, data })
+ * @returns {Object} Schema from inferSchema
+ */
+function loadUploadSchema(filePath, parsed) {
+  const schemaPath = filePath.replace(/\.csv$/i, '.schema.json');
+  try {
+    if (fs.statSync(schemaPath).mtimeMs >= fs.statSync(filePath).mtimeMs) {
+      return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    }
+  } catch (_) {
+    // Missing or unreadable schema; infer it below
+  }
+  const { headers, data } = parsed || parseCSV(fs.readFileSync(filePath));
+  return saveUploadSchema(filePath, data, headers);
+}
+
 /**
  * GET /api/get-csv/:filename
  * Retrieve processed CSV data from the server.
- * Returns the latest saved data for the given filename.
+ * Returns the latest saved data for the given filename in the caller's folder.
  */
 app.get('/api/get-csv/:filename', async (req, res) => {
   try {
@@ -292,26 +901,25 @@ app.get('/api/get-csv/:filename', async (req, res) => {
       return res.status(400).json({ error: 'Filename is required' });
     }
 
-    // Sanitize filename and ensure .csv extension
-    const safeName = pathModule.basename(filename).replace(/[^\w\-.]/g, '_');
-    const finalName = safeName.toLowerCase().endsWith('.csv') ? safeName : `${safeName}.csv`;
-
-    const filePath = pathModule.join(__dirname, 'uploads', finalName);
+    const ownerId = datasetOwner(req);
+    const { finalName, filePath, publicPath } = uploadedCsvPath(filename, ownerId);
     
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'File not found' });
     }
+    const dataset = findDataset(finalName, ownerId);
 
     // Read and parse the CSV file (use backend csvHandler to avoid browser-only deps)
-    const csvText = fs.readFileSync(filePath, 'utf8');
-    const parsed = parseCSV(csvText); // { headers, data }
+    const parsed = parseCSV(fs.readFileSync(filePath)); // { headers, data, errors, meta }
     const rows = Array.isArray(parsed?.data) ? parsed.data : [];
 
     res.json({ 
       success: true, 
       data: rows,
+      schema: loadUploadSchema(filePath, parsed),
       filename: finalName,
-      path: `/uploads/${finalName}`
+      path: publicPath,
+      datasetId: dataset ? dataset.id : null
     });
   } catch (error) {
     console.error('Get CSV error:', error);
@@ -319,10 +927,71 @@ app.get('/api/get-csv/:filename', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/datasets/:name/export
+ * Download one of the caller's saved datasets in another format.
+ * Query: format (csv | json | ndjson | xlsx | html, default csv),
+ * columns (comma-separated, in output order; defaults to every column)
+ * @returns The file as an attachment named after the dataset
+ */
+app.get('/api/datasets/:name/export', async (req, res) => {
+  try {
+    const { finalName, filePath } = uploadedCsvPath(req.params.name, datasetOwner(req));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    const parsed = parseCSV(fs.readFileSync(filePath));
+    const columns = typeof req.query.columns === 'string' && req.query.columns.trim()
+      ? req.query.columns.split(',').map(column => column.trim()).filter(Boolean)
+      : undefined;
+    const baseName = finalName.replace(/\.csv$/i, '');
+
+    let exported;
+    try {
+      exported = await exportDataset(parsed.data, {
+        format: req.query.format || 'csv',
+        headers: parsed.headers,
+        columns,
+        title: baseName
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.set('Content-Type', exported.contentType);
+    res.attachment(`${baseName}.${exported.extension}`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error('Export dataset error:', error);
+    res.status(500).json({ error: 'Failed to export dataset' });
+  }
+});
+
+/**
+ * GET /api/datasets/:name/schema
+ * Column types inferred for a saved dataset (see src/backend/schemaInference.js)
+ * @returns {Object} { success, filename, schema: { columns, rowCount, sampledRows } }
+ */
+app.get('/api/datasets/:name/schema', (req, res) => {
+  try {
+    const { finalName, filePath } = uploadedCsvPath(req.params.name, datasetOwner(req));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+    res.json({ success: true, filename: finalName, schema: loadUploadSchema(filePath) });
+  } catch (error) {
+    console.error('Dataset schema error:', error);
+    res.status(500).json({ error: 'Failed to read dataset schema' });
+  }
+});
+
 /**
  * POST /api/save-csv
- * Persist processed data back to a CSV file on the server.
- * Body: { data: Array<object>, filename: string, overwrite?: boolean }
+ * Persist processed data back to a CSV file in the caller's folder on the server.
+ * Body: { data: Array<object>, filename: string, overwrite?: boolean, projectId?: number }
+ * @returns {Object} { success, filename, path, schema, dataset }; 413 when the
+ *   owner's quota is full
  */
 app.post('/api/save-csv', async (req, res) => {
   try {
@@ -334,52 +1003,157 @@ app.post('/api/save-csv', async (req, res) => {
       return res.status(400).json({ error: 'Filename is required' });
     }
 
-    // Sanitize filename and ensure .csv extension
-    const safeName = pathModule.basename(filename).replace(/[^\w\-.]/g, '_');
-    const finalName = safeName.toLowerCase().endsWith('.csv') ? safeName : `${safeName}.csv`;
-
-    // Ensure uploads directory exists
-    const uploadsDir = pathModule.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
+    const ownerId = datasetOwner(req);
+    let projectId;
+    try {
+      projectId = datasetProjectId(req.body.projectId);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
     }
 
-    const targetPath = pathModule.join(uploadsDir, finalName);
-    if (!overwrite && fs.existsSync(targetPath)) {
+    const { finalName, filePath, publicPath } = uploadedCsvPath(filename, ownerId);
+    if (!overwrite && fs.existsSync(filePath)) {
       return res.status(409).json({ error: 'File exists and overwrite=false' });
     }
 
-    // Convert to CSV
-    const toCsv = (rows) => {
-      if (!rows.length) return '';
-      const headers = Array.from(
-        rows.reduce((set, row) => {
-          Object.keys(row || {}).forEach((k) => set.add(k));
-          return set;
-        }, new Set())
-      );
-      const escape = (val) => {
-        if (val == null) return '';
-        const s = String(val);
-        return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
-      };
-      const lines = [headers.join(',')];
-      for (const row of rows) {
-        lines.push(headers.map((h) => escape(row[h])).join(','));
-      }
-      return lines.join('\n');
-    };
+    const csvText = data.length ? toCSV(data) : '';
+    const overQuota = quotaError(ownerId, Buffer.byteLength(csvText), finalName);
+    if (overQuota) {
+      return res.status(413).json({ error: overQuota });
+    }
 
-    const csvText = toCsv(data);
-    fs.writeFileSync(targetPath, csvText, 'utf8');
+    ensureOwnerFolder(ownerId);
+    fs.writeFileSync(filePath, csvText, 'utf8');
+    const schema = saveUploadSchema(filePath, data);
+    const dataset = recordDataset({
+      filename: finalName,
+      ownerId,
+      ownerRole: req.user && req.user.role,
+      projectId,
+      schema
+    });
 
-    res.json({ success: true, filename: finalName, path: `/uploads/${finalName}` });
+    res.json({ success: true, filename: finalName, path: publicPath, schema, dataset });
   } catch (error) {
     console.error('Save CSV error:', error);
     res.status(500).json({ error: 'Failed to save CSV' });
   }
 });
 
+/**
+ * Whether the signed-in user may see and change a dataset: facilitators may
+ * manage every dataset, anyone else only the ones in their own folder.
+ * Signed-out callers share one folder, so they cannot manage any.
+ * @param {Object} req - Express request
+ * @param {Object} dataset - Public dataset record
+ * @returns {boolean}
+ */
+function canManageDataset(req, dataset) {
+  if (!req.user) return false;
+  if (req.user.role === 'facilitator') return true;
+  return dataset.ownerId === datasetOwner(req);
+}
+
+/**
+ * GET /api/datasets
+ * List saved datasets with their owner, project, original filename, size,
+ * row and column counts and times. Students see their own; facilitators see
+ * everyone's and may narrow the list with ?ownerId=.
+ * Query: projectId (optional)
+ * @returns {Object} { success, datasets } newest first; 401 when signed out
+ */
+app.get('/api/datasets', requireUser, (req, res) => {
+  try {
+    const filter = {};
+    if (req.user && req.user.role === 'facilitator') {
+      if (req.query.ownerId) filter.ownerId = String(req.query.ownerId);
+    } else {
+      filter.ownerId = datasetOwner(req);
+    }
+    if (req.query.projectId !== undefined) {
+      filter.projectId = parseInt(req.query.projectId);
+    }
+    res.json({ success: true, datasets: listDatasets(filter) });
+  } catch (error) {
+    console.error('List datasets error:', error);
+    res.status(500).json({ error: 'Failed to list datasets' });
+  }
+});
+
+/**
+ * GET /api/datasets/:id
+ * A dataset's registry record, including its schema
+ */
+app.get('/api/datasets/:id', requireUser, (req, res) => {
+  try {
+    const dataset = getDatasetById(req.params.id);
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+    if (!canManageDataset(req, dataset)) {
+      return res.status(403).json({ error: 'You can only open your own datasets' });
+    }
+    const { filePath } = uploadedCsvPath(dataset.filename, dataset.ownerId);
+    res.json({ success: true, dataset: { ...dataset, schema: loadUploadSchema(filePath) } });
+  } catch (error) {
+    console.error('Get dataset error:', error);
+    res.status(500).json({ error: 'Failed to fetch dataset' });
+  }
+});
+
+/**
+ * PATCH /api/datasets/:id
+ * Rename a dataset within its owner's folder.
+ * Body: { filename: string }
+ * @returns {Object} { success, dataset }; 400 when the name is taken
+ */
+app.patch('/api/datasets/:id', requireUser, (req, res) => {
+  try {
+    const dataset = getDatasetById(req.params.id);
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+    if (!canManageDataset(req, dataset)) {
+      return res.status(403).json({ error: 'You can only rename your own datasets' });
+    }
+
+    let renamed;
+    try {
+      renamed = renameDataset(dataset.id, (req.body || {}).filename);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!renamed) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+    res.json({ success: true, dataset: renamed });
+  } catch (error) {
+    console.error('Rename dataset error:', error);
+    res.status(500).json({ error: 'Failed to rename dataset' });
+  }
+});
+
+/**
+ * DELETE /api/datasets/:id
+ * Delete a dataset and its file
+ */
+app.delete('/api/datasets/:id', requireUser, (req, res) => {
+  try {
+    const dataset = getDatasetById(req.params.id);
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+    if (!canManageDataset(req, dataset)) {
+      return res.status(403).json({ error: 'You can only delete your own datasets' });
+    }
+    deleteDataset(dataset.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete dataset error:', error);
+    res.status(500).json({ error: 'Failed to delete dataset' });
+  }
+});
+
 /**
  * POST /api/generate-chart
  * 
@@ -406,6 +1180,48 @@ app.post('/api/generate-chart', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/render-chart
+ *
+ * Renders a chart to an SVG or PNG image on the server (see
+ * src/backend/chartRenderer.js), e.g. for reports and dashboard thumbnails
+ *
+ * @param {Object} [config] - A Chart.js config, such as the `config` from /api/generate-chart
+ * @param {Array} [data] - Or data, chartType and options, as for /api/generate-chart
+ * @param {string} [format='svg'] - svg or png
+ * @param {number} [width=800] - Pixels, 100 to 2000
+ * @param {number} [height=500] - Pixels, 100 to 2000
+ * @param {string} [background='#ffffff'] - Background colour or 'transparent'
+ * @param {boolean} [download] - Send the image as an attachment
+ * @returns The image, as image/svg+xml or image/png
+ */
+app.post('/api/render-chart', async (req, res) => {
+  try {
+    const { config, data, chartType, options, format, width, height, background, download } = req.body || {};
+
+    let image;
+    try {
+      let chartConfig = config;
+      if (!chartConfig) {
+        if (!data || !chartType) {
+          return res.status(400).json({ error: 'Send a chart config, or data and a chart type' });
+        }
+        chartConfig = (await chartGenerator.generateChart(data, chartType, options || {})).config;
+      }
+      image = renderChart(chartConfig, { format, width, height, background });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.set('Content-Type', image.contentType);
+    if (download) res.attachment(`chart.${image.extension}`);
+    res.send(image.body);
+  } catch (error) {
+    console.error('Chart rendering error:', error);
+    res.status(500).json({ error: 'Failed to render chart' });
+  }
+});
+
 /**
  * POST /api/ar-visualization
  * 
@@ -440,7 +1256,7 @@ app.post('/api/ar-visualization', async (req, res) => {
 /**
  * Endpoint to fetch all projects
  */
-app.get('/api/projects', (req, res) => {
+app.get('/api/projects', requireFacilitator, (req, res) => {
   try {
     const projects = getAllProjects();
     res.json(projects);
@@ -469,41 +1285,111 @@ app.get('/api/projects/:id', (req, res) => {
   }
 });
 
+const CSV_DELIMITERS = { auto: 'auto', comma: ',', ',': ',', semicolon: ';', ';': ';', tab: '\t', '\t': '\t' };
+
+/**
+ * Read dataset import options from upload form fields
+ * Fields: format (csv | tsv | xlsx | json | ndjson, detected when omitted),
+ * sheet (XLSX sheet name or 1-based number), delimiter ('auto' | 'comma' |
+ * 'semicolon' | 'tab'), headerRow (number or 'none')
+ * @param {Object} body - Multipart form fields
+ * @returns {Object} Options for importDatasetFile
+ * @throws {Error} When an option is not recognised
+ */
+function importOptionsFromBody(body = {}) {
+  const options = {};
+  if (body.format !== undefined && body.format !== '') {
+    if (!DATASET_FORMATS.includes(body.format)) {
+      throw new Error(`format must be one of ${DATASET_FORMATS.join(', ')}`);
+    }
+    options.format = body.format;
+  }
+  if (body.sheet !== undefined && body.sheet !== '') {
+    options.sheet = body.sheet;
+  }
+  if (body.delimiter !== undefined && body.delimiter !== '') {
+    if (!CSV_DELIMITERS[body.delimiter]) {
+      throw new Error('delimiter must be auto, comma, semicolon or tab');
+    }
+    options.delimiter = CSV_DELIMITERS[body.delimiter];
+  }
+  if (body.headerRow !== undefined && body.headerRow !== '') {
+    if (body.headerRow === 'none') {
+      options.headerRow = null;
+    } else if (/^\d+$/.test(String(body.headerRow))) {
+      options.headerRow = parseInt(body.headerRow);
+    } else {
+      throw new Error("headerRow must be a row number or 'none'");
+    }
+  }
+  return options;
+}
+
 /**
- * Endpoint to save a new project with optional CSV file upload
+ * Import an uploaded dataset file (CSV, TSV, XLSX, JSON or NDJSON),
+ * removing the temporary upload afterwards
+ * @param {Object} req - Express request with req.file set by multer
+ * @returns {Promise<Object>} Dataset from importDatasetFile
  */
-app.post('/api/projects', upload.single('csvFile'), (req, res) => {
+async function importUploadedFile(req) {
+  try {
+    const dataset = await importDatasetFile(req.file.path, {
+      ...importOptionsFromBody(req.body),
+      filename: req.file.originalname
+    });
+    if (dataset.headers.length === 0) {
+      throw new Error('The uploaded file is empty');
+    }
+    return dataset;
+  } finally {
+    fs.rmSync(req.file.path, { force: true });
+  }
+}
+
+/**
+ * Parse an uploaded dataset into project fields and an import report
+ * @param {Object} req - Express request with req.file set by multer
+ * @returns {Promise<{ fields: Object, report: Object }>}
+ */
+async function readUploadedDataset(req) {
+  const dataset = await importUploadedFile(req);
+  return {
+    fields: {
+      csvData: dataset.data,
+      csvHeaders: dataset.headers,
+      csvFilename: req.file.originalname
+    },
+    report: { errors: dataset.errors, ...dataset.meta }
+  };
+}
+
+/**
+ * Endpoint to save a new project with an optional dataset upload
+ * The `csvFile` field accepts CSV, TSV, XLSX, JSON or NDJSON. Optional form
+ * fields `format`, `sheet`, `delimiter` and `headerRow` control the import;
+ * the response includes a `csvImport` report listing any malformed rows.
+ */
+app.post('/api/projects', requireFacilitator, upload.single('csvFile'), async (req, res) => {
   try {
     const { name, description } = req.body;
     
     if (!name) {
+      if (req.file) fs.rmSync(req.file.path, { force: true });
       return res.status(400).json({ error: 'Project name is required' });
     }
-    
-    // Create the project first
-    const newProject = createProject({ name, description });
-    
-    // If a CSV file was uploaded, process it and add to the project
+
+    // If a CSV file was uploaded, store its rows as the project's dataset
+    let imported = null;
     if (req.file) {
-      const csvPath = req.file.path;
-      const csvContent = fs.readFileSync(csvPath, 'utf8');
-      const parsedData = parseCSV(csvContent);
-      
-      // Update the project to include the CSV data
-      const updatedProject = updateProject(newProject.id, {
-        name: newProject.name,
-        description: newProject.description,
-        csvData: parsedData.data,
-        csvHeaders: parsedData.headers
-      });
-      
-      // Clean up the temporary file
-      fs.unlinkSync(csvPath);
-      
-      res.status(201).json(updatedProject);
-    } else {
-      res.status(201).json(newProject);
+      try {
+        imported = await readUploadedDataset(req);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
+
+    const project = createProject({ name, description, ...(imported ? imported.fields : {}) });
+    res.status(201).json(imported ? { ...project, csvImport: imported.report } : project);
   } catch (error) {
     console.error('Error creating project:', error);
     res.status(500).json({ error: 'Failed to create project' });
@@ -512,14 +1398,16 @@ app.post('/api/projects', upload.single('csvFile'), (req, res) => {
 
 /**
  * Endpoint to update a project by ID
+ * Accepts the same dataset upload fields as POST /api/projects.
  */
-app.put('/api/projects/:id', upload.single('csvFile'), async (req, res) => {
+app.put('/api/projects/:id', requireFacilitator, upload.single('csvFile'), async (req, res) => {
   try {
     const projectId = parseInt(req.params.id);
     
     // Get the existing project to preserve data that isn't being updated
     const existingProject = getProjectById(projectId);
     if (!existingProject) {
+      if (req.file) fs.rmSync(req.file.path, { force: true });
       return res.status(404).json({ error: 'Project not found' });
     }
     
@@ -530,24 +1418,21 @@ app.put('/api/projects/:id', upload.single('csvFile'), async (req, res) => {
       status: req.body.status || existingProject.status
     };
     
-    // If a CSV file was uploaded, process it and add to the project
+    // If a CSV file was uploaded, replace the project's dataset with it
+    let imported = null;
     if (req.file) {
-      const csvPath = req.file.path;
-      const csvContent = fs.readFileSync(csvPath, 'utf8');
-      const parsedData = parseCSV(csvContent);
-      
-      // Add CSV data to the update
-      updateData.csvData = parsedData.data;
-      updateData.csvHeaders = parsedData.headers;
-      
-      // Clean up the temporary file
-      fs.unlinkSync(csvPath);
+      try {
+        imported = await readUploadedDataset(req);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      Object.assign(updateData, imported.fields);
     }
     
     const updatedProject = updateProject(projectId, updateData);
     
     if (updatedProject) {
-      res.json(updatedProject);
+      res.json(imported ? { ...updatedProject, csvImport: imported.report } : updatedProject);
     } else {
       res.status(404).json({ error: 'Project not found' });
     }
@@ -557,10 +1442,80 @@ app.put('/api/projects/:id', upload.single('csvFile'), async (req, res) => {
   }
 });
 
+/**
+ * Check that a student identifier is a short, safe token
+ * @param {*} studentId
+ * @returns {boolean}
+ */
+function isValidStudentId(studentId) {
+  return typeof studentId === 'string' && /^[\w-]{1,64}$/.test(studentId);
+}
+
+/**
+ * GET /api/projects/:id/workspace?studentId=...
+ * Fetch the Blockly workspace a student last saved for a project.
+ * Students may only read their own; facilitators may read anyone's.
+ */
+app.get('/api/projects/:id/workspace', requireUser, (req, res) => {
+  try {
+    const projectId = parseInt(req.params.id);
+    const { studentId } = req.query;
+
+    if (!isValidStudentId(studentId)) {
+      return res.status(400).json({ error: 'A valid studentId is required' });
+    }
+    if (req.user.role !== 'facilitator' && studentId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only open your own workspace' });
+    }
+
+    const saved = getProjectWorkspace(projectId, studentId);
+    if (!saved) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ success: true, projectId, studentId, ...saved });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace' });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/workspace
+ * Save the signed-in user's Blockly workspace for a project.
+ * Body: { studentId: string, workspace: object }
+ */
+app.put('/api/projects/:id/workspace', requireUser, (req, res) => {
+  try {
+    const projectId = parseInt(req.params.id);
+    const { studentId, workspace } = req.body || {};
+
+    if (!isValidStudentId(studentId)) {
+      return res.status(400).json({ error: 'A valid studentId is required' });
+    }
+    if (studentId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only save your own workspace' });
+    }
+    if (!workspace || typeof workspace !== 'object' || Array.isArray(workspace)) {
+      return res.status(400).json({ error: 'Workspace must be a serialized Blockly workspace object' });
+    }
+
+    const saved = saveProjectWorkspace(projectId, studentId, workspace);
+    if (!saved) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ success: true, projectId, studentId, updatedAt: saved.updatedAt });
+  } catch (error) {
+    console.error('Error saving workspace:', error);
+    res.status(500).json({ error: 'Failed to save workspace' });
+  }
+});
+
 /**
  * Endpoint to delete a project by ID
  */
-app.delete('/api/projects/:id', (req, res) => {
+app.delete('/api/projects/:id', requireFacilitator, (req, res) => {
   try {
     const projectId = parseInt(req.params.id);
     const deleted = deleteProject(projectId);
@@ -593,6 +1548,9 @@ if (require.main === module) {
       console.log(`ApparentlyAR server running on http://localhost:${port}`);
       console.log(`Data visualization backend ready`);
       console.log(`AR endpoints available at /api/ar-visualization`);
+      if (listFacilitators().length === 0) {
+        console.warn('No facilitator account exists. Set FACILITATOR_PASSWORD (8+ characters) and restart to create one.');
+      }
     });
 
     server.on('error', (err) => {
@@ -6,6 +6,26 @@
  * 
  */
 
+/**
+ * Chart.js type used to draw each chart type that Chart.js has no name for.
+ * Box plots are floating bars, and dot plots are scatter points.
+ * @type {Object<string, string>}
+ */
+const CHART_JS_TYPES = {
+  boxplot: 'bar',
+  groupedBar: 'bar',
+  stackedBar: 'bar',
+  dotplot: 'scatter'
+};
+
+/** @type {Array<string>} Chart types that pick their own columns from the data */
+const MULTI_COLUMN_CHART_TYPES = ['boxplot', 'groupedBar', 'stackedBar', 'bubble', 'dotplot'];
+
+/** Palettes and themes shared with the server and the Blockly preview (window.ChartThemes in the browser) */
+const chartThemes = typeof window !== 'undefined' && window.ChartThemes
+  ? window.ChartThemes
+  : require('../shared/chartThemes');
+
 class ChartManager {
   constructor(coordinateSystem) {
     /** @type {Array<Object>} Hand-placed chart objects */
@@ -41,6 +61,9 @@ class ChartManager {
     /** @type {{column: string|null, order: 'ascending'|'descending'}} Sorting configuration */
     this.sortConfig = { column: null, order: 'ascending' };
 
+    /** @type {Object|null} Theme chosen in AR; null follows the theme of the last Blockly chart */
+    this.theme = null;
+
     /**
      * Sample datasets for chart generation
      */
@@ -577,6 +600,8 @@ class ChartManager {
    */
   generateChart(canvas, type, data, chartConfigOverride = null) {
     const ctx = canvas.getContext('2d');
+    const chartJsType = CHART_JS_TYPES[type] || type;
+    const stacked = type === 'stackedBar';
 
     // Add logging to debug data flow
     console.log('[ChartManager] generateChart called:', {
@@ -616,7 +641,7 @@ class ChartManager {
     }
 
     let chartConfig = {
-      type: type,
+      type: chartJsType,
       data: {},
       options: {
         responsive: false,
@@ -646,14 +671,18 @@ class ChartManager {
             }
           }
         },
-        scales: type === 'bar' || type === 'line' || type === 'scatter' ? {
+        scales: ['bar', 'line', 'scatter', 'bubble'].includes(chartJsType) ? {
           x: {
+            stacked,
             grid: { display: true },
             ticks: { padding: 2 }
           },
           y: {
+            stacked,
+            beginAtZero: type === 'dotplot',
             grid: { display: true },
-            ticks: { padding: 2 }
+            // Dot plot heights are counts
+            ticks: type === 'dotplot' ? { padding: 2, stepSize: 1 } : { padding: 2 }
           }
         } : undefined
       }
@@ -661,8 +690,45 @@ class ChartManager {
     
     // Configure data based on type and dataset (allow override from Blockly cfg)
     chartConfig.data = this.prepareChartData(data, type, chartConfigOverride);
-    
-    return new Chart(ctx, chartConfig);
+
+    const theme = this.getTheme();
+    if (!theme) return new Chart(ctx, chartConfig);
+    chartThemes.applyTheme(chartConfig, theme);
+    return new Chart(ctx, chartThemes.forCanvas(chartConfig, typeof document !== 'undefined' ? document : null));
+  }
+
+  /**
+   * Use a theme for the charts drawn from now on
+   * @param {string|Object|null} theme - Palette name or { palette, mode, fontScale, patterns };
+   *   null goes back to the theme of the last Blockly chart
+   * @throws {Error} If the theme is not valid
+   */
+  setTheme(theme) {
+    this.theme = theme ? chartThemes.resolveTheme(theme) : null;
+  }
+
+  /**
+   * Theme to draw charts with: the one set in AR, else the one on the last
+   * Blockly visualization, else none
+   * @returns {Object|null} Resolved theme
+   */
+  getTheme() {
+    if (this.theme) return this.theme;
+    try {
+      const rawCfg = localStorage.getItem('ar_last_visualization');
+      const theme = rawCfg ? JSON.parse(rawCfg)?.options?.theme : null;
+      return theme ? chartThemes.resolveTheme(theme) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Colours for chart series, from the current theme's palette
+   * @returns {Array<string>} Hex colours
+   */
+  getPalette() {
+    return chartThemes.paletteOf(this.getTheme());
   }
 
   /**
@@ -684,6 +750,11 @@ class ChartManager {
       data.some(row => isNaN(parseFloat(row[col])) && row[col] !== null && row[col] !== '')
     );
 
+    // These types choose their columns the same way for Blockly, custom and sample data
+    if (MULTI_COLUMN_CHART_TYPES.includes(type)) {
+      return this.prepareMultiColumnChartData(data, type, chartConfigOverride || {}, numericColumns, textColumns);
+    }
+
     // If override config supplied (from Blockly), use it regardless of source
     if (chartConfigOverride && (chartConfigOverride.xColumn || chartConfigOverride.yColumn)) {
       return this.prepareOverriddenChartData(data, type, chartConfigOverride);
@@ -704,7 +775,7 @@ class ChartManager {
   prepareOverriddenChartData(data, type, cfg) {
     const xCol = cfg.xColumn;
     const yCol = cfg.yColumn;
-    const colors = ['#3B82F6', '#10B981', '#F59E0B', '#EC4899', '#8B5CF6'];
+    const colors = this.getPalette();
 
     // Add detailed logging to understand data flow
     console.log('[ChartManager] prepareOverriddenChartData:', {
@@ -796,16 +867,8 @@ class ChartManager {
    * @returns {Object} Chart.js data configuration
    */
   prepareCustomChartData(data, type, columns, numericColumns, textColumns) {
-    const colors = [
-      'rgba(76, 175, 80, 0.8)',   // Green
-      'rgba(33, 150, 243, 0.8)',  // Blue
-      'rgba(255, 193, 7, 0.8)',   // Yellow
-      'rgba(244, 67, 54, 0.8)',   // Red
-      'rgba(156, 39, 176, 0.8)',  // Purple
-      'rgba(255, 152, 0, 0.8)',   // Orange
-      'rgba(0, 150, 136, 0.8)',   // Teal
-      'rgba(103, 58, 183, 0.8)'   // Deep Purple
-    ];
+    const palette = this.getPalette();
+    const colors = palette.map(color => chartThemes.withAlpha(color, 0.8));
 
     if (type === 'bar' || type === 'line') {
       // Use first text column as labels, first numeric column as data
@@ -818,7 +881,7 @@ class ChartManager {
           label: dataColumn,
           data: data.map(row => parseFloat(row[dataColumn]) || 0),
           backgroundColor: colors[0],
-          borderColor: colors[0].replace('0.8', '1'),
+          borderColor: palette[0],
           borderWidth: 2
         }]
       };
@@ -855,6 +918,182 @@ class ChartManager {
     return { labels: [], datasets: [] };
   }
 
+  /**
+   * Five-number summary for a box plot: quartiles by linear interpolation and
+   * whiskers reaching the furthest values within 1.5 × IQR of the box
+   * @param {Array<number>} values - Numbers in one group
+   * @returns {{q1: number, median: number, q3: number, low: number, high: number, outliers: Array<number>}}
+   */
+  getBoxStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const quantile = p => {
+      const index = p * (sorted.length - 1);
+      const lower = Math.floor(index);
+      const weight = index - lower;
+      return weight === 0 ? sorted[lower] : sorted[lower] * (1 - weight) + sorted[lower + 1] * weight;
+    };
+    const q1 = quantile(0.25);
+    const q3 = quantile(0.75);
+    const reach = (q3 - q1) * 1.5;
+    const inside = sorted.filter(value => value >= q1 - reach && value <= q3 + reach);
+    const low = inside[0];
+    const high = inside[inside.length - 1];
+    return {
+      q1,
+      median: quantile(0.5),
+      q3,
+      low,
+      high,
+      outliers: sorted.filter(value => value < low || value > high)
+    };
+  }
+
+  /**
+   * Prepare data for box plots, grouped and stacked bars, bubble charts and dot plots
+   *
+   * The Blockly x and y columns are used when they suit the chart; otherwise
+   * columns are picked from the data as ChartGenerator does on the server.
+   * @param {Array<Object>} data - Data array
+   * @param {string} type - Chart type
+   * @param {Object} cfg - Override with xColumn and yColumn (may be empty)
+   * @param {Array<string>} numericColumns - Numeric columns
+   * @param {Array<string>} textColumns - Text columns
+   * @returns {Object} Chart.js data configuration
+   */
+  prepareMultiColumnChartData(data, type, cfg, numericColumns, textColumns) {
+    const colors = this.getPalette();
+    const isNumber = value => Number.isFinite(parseFloat(value));
+    const columns = Object.keys(data[0]);
+    const numericOverride = [cfg.xColumn, cfg.yColumn].filter(col => numericColumns.includes(col));
+
+    if (type === 'boxplot' || type === 'dotplot') {
+      // Box plots read values from y and groups from x; dot plots lay values along x
+      const preferred = type === 'boxplot' ? [cfg.yColumn, cfg.xColumn] : [cfg.xColumn, cfg.yColumn];
+      const valueColumn = preferred.find(col => numericColumns.includes(col)) || numericColumns[0];
+      if (!valueColumn) {
+        console.warn(`[ChartManager] ${type} needs a numeric column`);
+        return { labels: [], datasets: [] };
+      }
+      const values = data.map(row => row[valueColumn]).filter(isNumber).map(Number);
+
+      if (type === 'dotplot') {
+        const heights = new Map();
+        return {
+          datasets: [{
+            label: valueColumn,
+            data: values.map(value => {
+              const y = (heights.get(value) || 0) + 1;
+              heights.set(value, y);
+              return { x: value, y };
+            }),
+            backgroundColor: colors[0],
+            pointRadius: 6
+          }]
+        };
+      }
+
+      // Group by the x column, or else a text column with repeated values
+      const groupColumn = cfg.xColumn && cfg.xColumn !== valueColumn && cfg.xColumn in data[0]
+        ? cfg.xColumn
+        : textColumns.find(col => new Set(data.map(row => row[col])).size < data.length);
+      const groups = new Map();
+      data.forEach(row => {
+        if (!isNumber(row[valueColumn])) return;
+        const group = groupColumn ? String(row[groupColumn] ?? '') : valueColumn;
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(parseFloat(row[valueColumn]));
+      });
+      const labels = [...groups.keys()];
+      const boxes = labels.map(label => this.getBoxStats(groups.get(label)));
+      const outliers = [];
+      boxes.forEach((box, index) => box.outliers.forEach(y => outliers.push({ x: labels[index], y })));
+
+      return {
+        labels,
+        datasets: [{
+          label: `${valueColumn} (Q1 to Q3)`,
+          data: boxes.map(box => [box.q1, box.q3]),
+          backgroundColor: '#DBEAFE',
+          borderColor: colors[0],
+          borderWidth: 2,
+          borderSkipped: false,
+          barPercentage: 0.5,
+          grouped: false,
+          order: 2
+        }, {
+          label: 'Whiskers',
+          data: boxes.map(box => [box.low, box.high]),
+          backgroundColor: colors[0],
+          barPercentage: 0.04,
+          grouped: false,
+          order: 3
+        }, {
+          type: 'line',
+          label: 'Median',
+          data: boxes.map(box => box.median),
+          // Text colour, so the median shows on light and dark backgrounds
+          borderColor: chartThemes.MODES[this.getTheme()?.mode || 'light'].text,
+          showLine: false,
+          pointStyle: 'line',
+          pointRadius: 12,
+          pointBorderWidth: 3,
+          order: 1
+        }, {
+          type: 'line',
+          label: 'Outliers',
+          data: outliers,
+          backgroundColor: colors[3],
+          borderColor: colors[3],
+          showLine: false,
+          pointRadius: 3,
+          order: 0
+        }]
+      };
+    }
+
+    if (type === 'bubble') {
+      const xColumn = numericOverride[0] || numericColumns[0];
+      const yColumn = numericOverride[1] || numericColumns.find(col => col !== xColumn);
+      const sizeColumn = numericColumns.find(col => col !== xColumn && col !== yColumn);
+      if (!xColumn || !yColumn) {
+        console.warn('[ChartManager] Bubble chart needs two numeric columns');
+        return { labels: [], datasets: [] };
+      }
+      const rows = data.filter(row => isNumber(row[xColumn]) && isNumber(row[yColumn]));
+      const largest = sizeColumn ? Math.max(0, ...rows.map(row => Math.abs(parseFloat(row[sizeColumn]) || 0))) : 0;
+      return {
+        datasets: [{
+          label: sizeColumn ? `${yColumn} vs ${xColumn} (size: ${sizeColumn})` : `${yColumn} vs ${xColumn}`,
+          data: rows.map(row => ({
+            x: parseFloat(row[xColumn]),
+            y: parseFloat(row[yColumn]),
+            // Areas, not radii, follow the size value
+            r: largest > 0 ? Math.max(2, 18 * Math.sqrt(Math.abs(parseFloat(row[sizeColumn]) || 0) / largest)) : 6
+          })),
+          backgroundColor: `${colors[4]}80`,
+          borderColor: colors[4]
+        }]
+      };
+    }
+
+    // Grouped and stacked bars: one series per numeric column, the y column first
+    const xColumn = cfg.xColumn && cfg.xColumn in data[0] ? cfg.xColumn : textColumns[0] || columns[0];
+    const others = numericColumns.filter(col => col !== xColumn);
+    const series = numericColumns.includes(cfg.yColumn) && cfg.yColumn !== xColumn
+      ? [cfg.yColumn, ...others.filter(col => col !== cfg.yColumn)]
+      : others;
+    return {
+      labels: data.map(row => String(row[xColumn] ?? '')),
+      datasets: series.map((column, index) => ({
+        label: column,
+        data: data.map(row => parseFloat(row[column]) || 0),
+        backgroundColor: `${colors[index % colors.length]}CC`,
+        borderColor: colors[index % colors.length],
+        borderWidth: 1
+      }))
+    };
+  }
+
   /**
    * Prepare chart data for sample datasets (legacy support)
    * @param {Array<Object>} data - Data array
@@ -862,6 +1101,8 @@ class ChartManager {
    * @returns {Object} Chart.js data configuration
    */
   prepareSampleChartData(data, type) {
+    const palette = this.getPalette();
+    const fill = index => chartThemes.withAlpha(palette[index % palette.length], 0.8);
     if (type === 'bar' || type === 'line') {
       if (data === this.sampleData.students) {
         return {
@@ -869,8 +1110,8 @@ class ChartManager {
           datasets: [{
             label: 'Scores',
             data: data.map(d => d.score),
-            backgroundColor: 'rgba(76, 175, 80, 0.8)',
-            borderColor: 'rgba(76, 175, 80, 1)',
+            backgroundColor: fill(1),
+            borderColor: palette[1],
             borderWidth: 2
           }]
         };
@@ -880,8 +1121,8 @@ class ChartManager {
           datasets: [{
             label: 'Temperature (°C)',
             data: data.map(d => d.temperature),
-            backgroundColor: 'rgba(33, 150, 243, 0.8)',
-            borderColor: 'rgba(33, 150, 243, 1)',
+            backgroundColor: fill(0),
+            borderColor: palette[0],
             borderWidth: 2
           }]
         };
@@ -891,8 +1132,8 @@ class ChartManager {
           datasets: [{
             label: 'Sales',
             data: data.map(d => d.sales),
-            backgroundColor: 'rgba(255, 193, 7, 0.8)',
-            borderColor: 'rgba(255, 193, 7, 1)',
+            backgroundColor: fill(3),
+            borderColor: palette[3],
             borderWidth: 2
           }]
         };
@@ -903,13 +1144,7 @@ class ChartManager {
           labels: data.map(d => d.name),
           datasets: [{
             data: data.map(d => d.score),
-            backgroundColor: [
-              'rgba(76, 175, 80, 0.8)',
-              'rgba(33, 150, 243, 0.8)',
-              'rgba(255, 193, 7, 0.8)',
-              'rgba(244, 67, 54, 0.8)',
-              'rgba(156, 39, 176, 0.8)'
-            ]
+            backgroundColor: data.map((row, index) => fill(index))
           }]
         };
       }
@@ -919,7 +1154,7 @@ class ChartManager {
           datasets: [{
             label: 'Age vs Score',
             data: data.map(d => ({ x: d.age, y: d.score })),
-            backgroundColor: 'rgba(76, 175, 80, 0.8)'
+            backgroundColor: fill(1)
           }]
         };
       }
@@ -1018,3 +1253,8 @@ class ChartManager {
 
 // Export for use in other modules
 window.ChartManager = ChartManager;
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ChartManager, CHART_JS_TYPES };
+}
@@ -786,7 +786,7 @@ class HybridARController {
       });
     }
 
-    // Load last visualization produced in Blockly (handoff via localStorage and /uploads CSV)
+    // Load last visualization produced in Blockly (handoff via localStorage and the saved CSV)
     if (loadFromBlocklyBtn) {
       loadFromBlocklyBtn.addEventListener('click', async () => {
         try {
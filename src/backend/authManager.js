@@ -1,59 +1,97 @@
 /**
- * Facilitator Authentication Manager
+ * Authentication Manager
  *
- * Provides simple file-based storage for the facilitator password
- * used by the ApparentlyAR platform.
+ * Facilitator accounts with scrypt-hashed passwords and the session store
+ * shared by facilitators and students of the ApparentlyAR platform.
+ *
+ * Accounts live in facilitator-auth.json. There is no built-in password:
+ * the first account, `facilitator`, is created from the
+ * FACILITATOR_PASSWORD environment variable. Older installs stored a single
+ * plaintext `password` there; it is migrated to a hashed account named
+ * `facilitator` the first time the file is read.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.1.0
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./storage/atomicWrite');
+
+// Overridable so tests can use a scratch file
+const AUTH_FILE = process.env.AUTH_FILE || path.join(__dirname, '../../facilitator-auth.json');
+const DEFAULT_USERNAME = 'facilitator';
+// Password for the first account; nothing is created until it is set
+const INITIAL_PASSWORD = process.env.FACILITATOR_PASSWORD;
+const MIN_PASSWORD_LENGTH = 8;
 
-const AUTH_FILE = path.join(__dirname, '../../facilitator-auth.json');
-const DEFAULT_PASSWORD = 'secret';
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_COST = 16384;
+
+const SESSION_COOKIE = 'aar_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// token -> { user, expiresAt }
+const sessions = new Map();
 
 /**
- * Ensure the auth file exists with a default password.
+ * Hash a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {string} `scrypt$<cost>$<salt>$<hash>`
  */
-function initializeAuthFile() {
-  if (!fs.existsSync(AUTH_FILE)) {
-    const payload = {
-      password: DEFAULT_PASSWORD,
-      updatedAt: new Date().toISOString()
-    };
-    fs.writeFileSync(AUTH_FILE, JSON.stringify(payload, null, 2));
-  }
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_COST }).toString('hex');
+  return `scrypt$${SCRYPT_COST}$${salt}$${hash}`;
 }
 
 /**
- * Read the facilitator credentials from disk.
- * @returns {{ password: string, updatedAt?: string }}
+ * Check a password against a stored scrypt hash in constant time.
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword
+ * @returns {boolean}
  */
-function readAuthFile() {
-  initializeAuthFile();
-  try {
-    const raw = fs.readFileSync(AUTH_FILE, 'utf8');
-    const data = JSON.parse(raw);
-    if (!data || typeof data.password !== 'string' || data.password.length === 0) {
-      return { password: DEFAULT_PASSWORD };
-    }
-    return data;
-  } catch (error) {
-    console.error('Failed to read facilitator auth file:', error);
-    return { password: DEFAULT_PASSWORD };
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+  const [scheme, cost, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
   }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length, { N: Number(cost) });
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
 }
 
 /**
- * Persist facilitator credentials to disk.
- * @param {{ password: string }} data
+ * Check that a new password is long enough.
+ * @param {string} password
+ * @throws {Error} If the password is not a string of at least
+ *   MIN_PASSWORD_LENGTH characters
  */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+function createAccountRecord(username, password, name) {
+  const now = new Date().toISOString();
+  return {
+    id: `fac_${crypto.randomBytes(6).toString('hex')}`,
+    username,
+    name: name || username,
+    passwordHash: hashPassword(password),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
 function writeAuthFile(data) {
   try {
-    const payload = {
-      password: data.password,
-      updatedAt: new Date().toISOString()
-    };
-    fs.writeFileSync(AUTH_FILE, JSON.stringify(payload, null, 2));
+    writeJsonAtomic(AUTH_FILE, data);
   } catch (error) {
     console.error('Failed to write facilitator auth file:', error);
     throw error;
@@ -61,40 +99,208 @@ function writeAuthFile(data) {
 }
 
 /**
- * Get the current facilitator password.
- * @returns {string}
+ * Read facilitator accounts, migrating a legacy plaintext password or
+ * creating the first account from FACILITATOR_PASSWORD on first use.
+ * A legacy password shorter than MIN_PASSWORD_LENGTH is not migrated.
+ * @returns {{ facilitators: Array<Object> }} No accounts when neither exists
+ * @throws {Error} If the file exists but cannot be parsed; it is never
+ *   overwritten, so the accounts in it can be recovered by hand
  */
-function getFacilitatorPassword() {
-  const data = readAuthFile();
-  return data.password || DEFAULT_PASSWORD;
+function readAuthFile() {
+  let data = null;
+  if (fs.existsSync(AUTH_FILE)) {
+    try {
+      data = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read facilitator auth file ${AUTH_FILE}: ${error.message}`);
+    }
+  }
+
+  if (data && Array.isArray(data.facilitators) && data.facilitators.length > 0) {
+    return data;
+  }
+
+  let initialPassword = null;
+  const legacyPassword = data && typeof data.password === 'string' && data.password.length > 0
+    ? data.password
+    : null;
+  if (legacyPassword !== null) {
+    try {
+      validatePassword(legacyPassword);
+      initialPassword = legacyPassword;
+    } catch (error) {
+      console.error(`The legacy facilitator password was not migrated: ${error.message} Set FACILITATOR_PASSWORD and restart.`);
+    }
+  }
+  if (initialPassword === null && INITIAL_PASSWORD !== undefined) {
+    try {
+      validatePassword(INITIAL_PASSWORD);
+      initialPassword = INITIAL_PASSWORD;
+    } catch (error) {
+      console.error(`FACILITATOR_PASSWORD is not usable: ${error.message}`);
+    }
+  }
+  if (initialPassword === null) {
+    return { facilitators: [] };
+  }
+
+  const migrated = { facilitators: [createAccountRecord(DEFAULT_USERNAME, initialPassword, 'Facilitator')] };
+  writeAuthFile(migrated);
+  return migrated;
 }
 
 /**
- * Verify facilitator password.
+ * Public view of an account (never includes the hash).
+ * @param {Object} account
+ * @returns {{ id: string, username: string, name: string, role: string }}
+ */
+function toPublicFacilitator(account) {
+  return { id: account.id, username: account.username, name: account.name, role: 'facilitator' };
+}
+
+function findAccount(username) {
+  const wanted = String(username || DEFAULT_USERNAME).trim().toLowerCase();
+  return readAuthFile().facilitators.find(account => account.username.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Verify facilitator credentials.
+ * @param {string} username - Account name; defaults to the original shared account
  * @param {string} password
+ * @returns {Object|null} Public facilitator record, or null when invalid
+ */
+function authenticateFacilitator(username, password) {
+  const account = findAccount(username);
+  if (!account || !verifyPassword(password, account.passwordHash)) {
+    return null;
+  }
+  return toPublicFacilitator(account);
+}
+
+/**
+ * Verify a facilitator password (kept for callers that only know the password).
+ * @param {string} password
+ * @param {string} [username]
  * @returns {boolean}
  */
-function verifyFacilitatorPassword(password) {
-  if (typeof password !== 'string') {
-    return false;
+function verifyFacilitatorPassword(password, username) {
+  return authenticateFacilitator(username, password) !== null;
+}
+
+/**
+ * List facilitator accounts.
+ * @returns {Array<Object>} Public facilitator records
+ */
+function listFacilitators() {
+  return readAuthFile().facilitators.map(toPublicFacilitator);
+}
+
+/**
+ * Create a facilitator account.
+ * @param {{ username: string, password: string, name?: string }} details
+ * @returns {Object} Public facilitator record
+ */
+function createFacilitator({ username, password, name } = {}) {
+  if (typeof username !== 'string' || !/^[\w.-]{3,32}$/.test(username.trim())) {
+    throw new Error('Username must be 3-32 letters, numbers, dots, dashes or underscores.');
   }
-  return password === getFacilitatorPassword();
+  validatePassword(password);
+
+  const data = readAuthFile();
+  const taken = data.facilitators.some(account => account.username.toLowerCase() === username.trim().toLowerCase());
+  if (taken) {
+    throw new Error('Username is already taken.');
+  }
+
+  const account = createAccountRecord(username.trim(), password, typeof name === 'string' ? name.trim() : '');
+  data.facilitators.push(account);
+  writeAuthFile(data);
+  return toPublicFacilitator(account);
 }
 
 /**
- * Update facilitator password.
+ * Update a facilitator's password.
  * @param {string} newPassword
+ * @param {string} [username]
+ * @throws {Error} If the password is too short or the account does not exist
  */
-function updateFacilitatorPassword(newPassword) {
-  if (typeof newPassword !== 'string' || newPassword.trim().length === 0) {
-    throw new Error('Password must be a non-empty string.');
+function updateFacilitatorPassword(newPassword, username) {
+  validatePassword(newPassword);
+  const data = readAuthFile();
+  const wanted = String(username || DEFAULT_USERNAME).toLowerCase();
+  const account = data.facilitators.find(item => item.username.toLowerCase() === wanted);
+  if (!account) {
+    throw new Error('Facilitator account not found.');
+  }
+  account.passwordHash = hashPassword(newPassword);
+  account.updatedAt = new Date().toISOString();
+  writeAuthFile(data);
+}
+
+/**
+ * Start a session for a facilitator or student.
+ * @param {{ id: string, role: string }} user - Public user record
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(token, { user, expiresAt });
+  return { token, expiresAt };
+}
+
+/**
+ * Look up a live session.
+ * @param {string} token
+ * @returns {Object|null} The session's user, or null when missing or expired
+ */
+function getSession(token) {
+  if (typeof token !== 'string' || !sessions.has(token)) {
+    return null;
+  }
+  const session = sessions.get(token);
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session.user;
+}
+
+/**
+ * End a session.
+ * @param {string} token
+ */
+function destroySession(token) {
+  sessions.delete(token);
+}
+
+/**
+ * End every session belonging to a user (e.g. after removal from a roster).
+ * @param {string} userId
+ */
+function destroySessionsForUser(userId) {
+  for (const [token, session] of sessions) {
+    if (session.user && session.user.id === userId) {
+      sessions.delete(token);
+    }
   }
-  writeAuthFile({ password: newPassword });
 }
 
 module.exports = {
-  DEFAULT_PASSWORD,
-  getFacilitatorPassword,
+  DEFAULT_USERNAME,
+  MIN_PASSWORD_LENGTH,
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  authenticateFacilitator,
   verifyFacilitatorPassword,
-  updateFacilitatorPassword
+  listFacilitators,
+  createFacilitator,
+  updateFacilitatorPassword,
+  createSession,
+  getSession,
+  destroySession,
+  destroySessionsForUser
 };
@@ -0,0 +1,125 @@
+/**
+ * Authentication Middleware
+ *
+ * Express middleware that resolves the session from the `aar_session`
+ * cookie (or an `Authorization: Bearer <token>` header) and guards routes
+ * by role.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const { SESSION_COOKIE, SESSION_TTL_MS, getSession } = require('./authManager');
+
+/**
+ * Parse a Cookie header into a name/value map
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} Cookie values keyed by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (_) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Extract the session token from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+function getRequestToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim() || null;
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Attach `req.user` and `req.sessionToken` when a valid session is present
+ */
+function attachSession(req, res, next) {
+  const token = getRequestToken(req);
+  req.sessionToken = token;
+  req.user = token ? getSession(token) : null;
+  next();
+}
+
+/**
+ * Require any signed-in user (facilitator or student)
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in to continue.' });
+  }
+  next();
+}
+
+/**
+ * Require a signed-in facilitator
+ */
+function requireFacilitator(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in to continue.' });
+  }
+  if (req.user.role !== 'facilitator') {
+    return res.status(403).json({ error: 'Facilitator access required.' });
+  }
+  next();
+}
+
+/**
+ * Page variant of requireFacilitator: sends visitors back to the login page
+ */
+function requireFacilitatorPage(req, res, next) {
+  if (!req.user || req.user.role !== 'facilitator') {
+    return res.redirect('/');
+  }
+  next();
+}
+
+/**
+ * Set the session cookie on a response
+ * @param {Object} req - Express request (marks the cookie secure over HTTPS)
+ * @param {Object} res - Express response
+ * @param {string} token - Session token
+ */
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: Boolean(req.secure),
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+}
+
+/**
+ * Clear the session cookie on a response
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+  parseCookies,
+  getRequestToken,
+  attachSession,
+  requireUser,
+  requireFacilitator,
+  requireFacilitatorPage,
+  setSessionCookie,
+  clearSessionCookie
+};
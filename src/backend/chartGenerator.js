@@ -8,6 +8,25 @@
  * @version 1.0.0
  */
 
+const dateUtils = require('./dateUtils');
+const { detectDateOrder } = require('./schemaInference');
+const regression = require('./regression');
+const dataProcessor = require('./dataProcessor');
+const chartThemes = require('../shared/chartThemes');
+
+// Points drawn along a curved trend line
+const TREND_CURVE_POINTS = 50;
+// Box plot whiskers reach the furthest value within this many IQRs of the box
+const WHISKER_IQR = 1.5;
+// Radius in pixels of the largest bubble
+const MAX_BUBBLE_RADIUS = 25;
+// A series this many times bigger or smaller than the first moves to a second y-axis
+const DUAL_AXIS_RATIO = 10;
+// Summaries options.aggregate can apply to the rows of each label
+const CHART_AGGREGATES = ['sum', 'mean', 'count', 'median'];
+// Slice colour of the "Other" bucket in pie and doughnut charts
+const OTHER_COLOR = '#c5c8ce';
+
 /**
  * ChartGenerator class for creating chart configurations
  */
@@ -25,6 +44,11 @@ class ChartGenerator {
     this.generateHistogramChart = this.generateHistogramChart.bind(this);
     this.generateHeatmapChart = this.generateHeatmapChart.bind(this);
     this.generateRadarChart = this.generateRadarChart.bind(this);
+    this.generateBoxPlotChart = this.generateBoxPlotChart.bind(this);
+    this.generateGroupedBarChart = this.generateGroupedBarChart.bind(this);
+    this.generateStackedBarChart = this.generateStackedBarChart.bind(this);
+    this.generateBubbleChart = this.generateBubbleChart.bind(this);
+    this.generateDotPlotChart = this.generateDotPlotChart.bind(this);
 
     /**
      * Supported chart types and their generation functions
@@ -39,7 +63,12 @@ class ChartGenerator {
       area: this.generateAreaChart,
       histogram: this.generateHistogramChart,
       heatmap: this.generateHeatmapChart,
-      radar: this.generateRadarChart
+      radar: this.generateRadarChart,
+      boxplot: this.generateBoxPlotChart,
+      groupedBar: this.generateGroupedBarChart,
+      stackedBar: this.generateStackedBarChart,
+      bubble: this.generateBubbleChart,
+      dotplot: this.generateDotPlotChart
     };
   }
 
@@ -49,6 +78,8 @@ class ChartGenerator {
    * @param {Array} data - Data to visualize
    * @param {string} chartType - Type of chart to generate
    * @param {Object} options - Chart configuration options
+   * @param {string|Object} [options.theme] - Palette name or { palette, mode, fontScale, patterns }
+   *   (see chartThemes.js); its palette replaces each chart type's default colours
    * @returns {Promise<Object>} Chart configuration object
    * @throws {Error} If chart type is not supported
    */
@@ -60,8 +91,16 @@ class ChartGenerator {
     // Validate data and options
     this.validateChartData(data, chartType, options);
 
+    // A theme's palette stands in for the colours each chart type picks by default
+    if (options.theme !== undefined && !options.color) {
+      options.color = this.generateColors(1, options.theme)[0];
+    }
+
     // Generate chart configuration
     const config = await this.supportedChartTypes[chartType](data, options);
+    if (options.theme !== undefined) {
+      chartThemes.applyTheme(config, options.theme);
+    }
 
     return {
       success: true,
@@ -82,11 +121,25 @@ class ChartGenerator {
    * @param {Object} options - Chart options
    * @param {string} options.xColumn - Column name for x-axis labels
    * @param {string} options.yColumn - Column name for y-axis values
+   * @param {Array<string>} [options.yColumns] - Several value columns, one series each
+   * @param {string} [options.seriesColumn] - Column whose values split the rows into series
+   * @param {Array<string>} [options.colors] - Series colors
+   * @param {Array<string>} [options.y2Columns] - Series plotted against a right-hand axis
+   *   (see getSeriesAxes)
    * @param {string} options.title - Chart title
    * @param {string} options.color - Bar color
+   * @param {string} [options.aggregate] - sum, mean, count or median of the rows that share
+   *   a label (see prepareCategories)
+   * @param {string|Array} [options.categoryOrder] - 'value', 'alphabetical' or a list of labels
+   * @param {string} [options.orderDirection] - 'asc' or 'desc'
    * @returns {Object} Chart.js configuration object
    */
   async generateBarChart(data, options = {}) {
+    // Several series are drawn side by side, as in a grouped bar chart
+    if (this.isMultiSeries(options)) {
+      return this.buildMultiSeriesBarChart(data, { title: 'Bar Chart', ...options }, false);
+    }
+
     const {
       xColumn = Object.keys(data[0])[0],
       yColumn = Object.keys(data[0])[1],
@@ -94,8 +147,9 @@ class ChartGenerator {
       color = '#2d8cf0'
     } = options;
 
-    const labels = data.map(row => row[xColumn]);
-    const values = data.map(row => parseFloat(row[yColumn]) || 0);
+    const rows = this.prepareCategories(data, xColumn, [yColumn], options);
+    const labels = rows.map(row => row[xColumn]);
+    const values = rows.map(row => parseFloat(row[yColumn]) || 0);
 
     return {
       type: 'bar',
@@ -167,6 +221,21 @@ class ChartGenerator {
    * @param {string} options.yColumn - Column name for y-axis values
    * @param {string} options.title - Chart title
    * @param {string} options.color - Line color
+   * @param {boolean} [options.timeAxis] - Set false to keep date labels as plain categories
+   * @param {string} [options.timeUnit] - Time axis unit (hour, day, week, month, quarter, year);
+   *   chosen from the date range when omitted
+   * @param {boolean|string} [options.trendLine] - Overlay a fitted trend (see getTrendLine).
+   *   Numeric x values are used as x; otherwise the points are numbered 1, 2, 3...
+   * @param {number} [options.trendDegree=2] - Degree of a polynomial trend
+   * @param {Array<string>} [options.yColumns] - Several value columns, one line each
+   * @param {string} [options.seriesColumn] - Column whose values split the rows into lines
+   * @param {Array<string>} [options.colors] - Line colors, used with several series
+   * @param {Array<string>} [options.y2Columns] - Series plotted against a right-hand axis
+   *   (see getSeriesAxes)
+   * @param {string} [options.aggregate] - sum, mean, count or median of the rows that share
+   *   a label (see prepareCategories)
+   * @param {string|Array} [options.categoryOrder] - 'value', 'alphabetical' or a list of labels
+   * @param {string} [options.orderDirection] - 'asc' or 'desc'
    * @returns {Object} Chart.js configuration object
    */
   async generateLineChart(data, options = {}) {
@@ -177,22 +246,73 @@ class ChartGenerator {
       color = '#19be6b'
     } = options;
 
-    const labels = data.map(row => row[xColumn]);
-    const values = data.map(row => parseFloat(row[yColumn]) || 0);
+    const multi = this.isMultiSeries(options);
+    const valueColumns = multi ? this.getSeriesColumns(data, { ...options, xColumn }) : [yColumn];
+    const prepared = this.prepareCategories(data, xColumn, valueColumns, options);
+    // Date x values are plotted in time order on a Chart.js time axis
+    const timeSeries = options.timeAxis === false ? null : this.getTimeSeries(prepared, xColumn);
+    const rows = timeSeries ? timeSeries.rows : prepared;
+    // Lines break where a series has no rows rather than dropping to zero
+    const { labels: xValues, series } = multi
+      ? this.getSeries(rows, { ...options, xColumn, ...(options.seriesColumn ? {} : { yColumns: valueColumns }) }, null)
+      : {
+        labels: rows.map(row => row[xColumn]),
+        series: [{ name: yColumn, values: rows.map(row => parseFloat(row[yColumn]) || 0) }]
+      };
+    const isoLabels = timeSeries ? new Map(rows.map((row, index) => [row[xColumn], timeSeries.labels[index]])) : null;
+    const labels = isoLabels ? xValues.map(value => isoLabels.get(value)) : xValues;
+    const xScale = timeSeries
+      ? { x: { type: 'time', time: { unit: options.timeUnit || timeSeries.unit } } }
+      : {};
+    const colors = multi ? this.getSeriesColors(series.length, options) : [color];
+    const axes = multi ? this.getSeriesAxes(series, options) : ['y'];
+    const dual = axes.includes('y1');
+
+    const datasets = series.map((item, index) => ({
+      label: item.name,
+      data: item.values,
+      borderColor: colors[index],
+      backgroundColor: colors[index] + '20',
+      borderWidth: 2,
+      fill: false,
+      tension: 0.1,
+      ...(dual ? { yAxisID: axes[index] } : {})
+    }));
+    if (options.trendLine) {
+      // One trend per series. Series too short to fit are left without one,
+      // but the chart is refused when no series can be fitted.
+      const numbers = xValues.map(value => parseFloat(value));
+      const numericX = !timeSeries && numbers.every(Number.isFinite);
+      const positions = numericX ? numbers : xValues.map((value, index) => index + 1);
+      const errors = [];
+      series.forEach((item, seriesIndex) => {
+        const points = [];
+        positions.forEach((x, index) => {
+          const y = multi ? item.values[index] : parseFloat(rows[index][yColumn]);
+          if (Number.isFinite(y)) points.push({ x, y });
+        });
+        const trendOptions = multi ? { trendColor: colors[seriesIndex], ...options } : options;
+        let trend;
+        try {
+          trend = this.getTrendLine(points, trendOptions, numericX ? xColumn : 'x', item.name);
+        } catch (error) {
+          errors.push(error);
+          return;
+        }
+        datasets.push({
+          ...trend.dataset,
+          data: positions.map(x => Number(trend.fit.predict(x).toFixed(4))),
+          ...(dual ? { yAxisID: axes[seriesIndex] } : {})
+        });
+      });
+      if (errors.length === series.length) throw errors[0];
+    }
 
     return {
       type: 'line',
       data: {
         labels: labels,
-        datasets: [{
-          label: yColumn,
-          data: values,
-          borderColor: color,
-          backgroundColor: color + '20',
-          borderWidth: 2,
-          fill: false,
-          tension: 0.1
-        }]
+        datasets
       },
       options: {
         responsive: true,
@@ -229,9 +349,8 @@ class ChartGenerator {
           }
         },
         scales: {
-          y: {
-            beginAtZero: true
-          }
+          ...xScale,
+          ...this.getSeriesScales(series, axes)
         },
         onHover: (event, elements) => {
           event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
@@ -239,13 +358,40 @@ class ChartGenerator {
         onClick: (event, elements) => {
           if (elements.length > 0) {
             const dataIndex = elements[0].index;
-            console.log('Point clicked:', labels[dataIndex], values[dataIndex]);
+            console.log('Point clicked:', labels[dataIndex], ...series.map(item => item.values[dataIndex]));
           }
         }
       }
     };
   }
 
+  /**
+   * Read a column as a time series
+   *
+   * @param {Array} data - Data to visualize
+   * @param {string} column - Column expected to hold dates
+   * @returns {Object|null} { rows, labels, unit } with rows in time order and ISO
+   *   labels, or null when some values are not dates
+   */
+  getTimeSeries(data, column) {
+    const order = detectDateOrder(data.map(row => row[column]));
+    const points = [];
+    for (const row of data) {
+      const parsed = dateUtils.readDate(row[column], { order });
+      if (!parsed) return null;
+      points.push({ row, ...parsed });
+    }
+    if (points.length === 0) return null;
+
+    points.sort((a, b) => a.date - b.date);
+    const withTime = points.some(point => point.hasTime);
+    return {
+      rows: points.map(point => point.row),
+      labels: points.map(point => dateUtils.formatDate(point.date, withTime)),
+      unit: dateUtils.timeUnitForSpan(points[points.length - 1].date - points[0].date)
+    };
+  }
+
   /**
    * Generate scatter chart configuration
    * 
@@ -255,6 +401,8 @@ class ChartGenerator {
    * @param {string} options.yColumn - Column name for y-axis values
    * @param {string} options.title - Chart title
    * @param {string} options.color - Point color
+   * @param {boolean|string} [options.trendLine] - Overlay a fitted trend (see getTrendLine)
+   * @param {number} [options.trendDegree=2] - Degree of a polynomial trend
    * @returns {Object} Chart.js configuration object
    */
   async generateScatterChart(data, options = {}) {
@@ -270,16 +418,37 @@ class ChartGenerator {
       y: parseFloat(row[yColumn]) || 0
     }));
 
+    const datasets = [{
+      label: `${yColumn} vs ${xColumn}`,
+      data: points,
+      backgroundColor: color,
+      borderColor: color,
+      pointRadius: 6
+    }];
+    if (options.trendLine) {
+      // Rows without numbers are drawn at 0 above but are not fitted
+      const fitted = data
+        .map(row => ({ x: parseFloat(row[xColumn]), y: parseFloat(row[yColumn]) }))
+        .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+      const trend = this.getTrendLine(fitted, options, xColumn, yColumn);
+      const xs = fitted.map(point => point.x);
+      const low = Math.min(...xs);
+      const high = Math.max(...xs);
+      const steps = trend.fit.model === 'linear' ? 1 : TREND_CURVE_POINTS - 1;
+      datasets.push({
+        ...trend.dataset,
+        type: 'line',
+        data: Array.from({ length: steps + 1 }, (value, i) => {
+          const x = low + ((high - low) * i) / steps;
+          return { x: Number(x.toFixed(4)), y: Number(trend.fit.predict(x).toFixed(4)) };
+        })
+      });
+    }
+
     return {
       type: 'scatter',
       data: {
-        datasets: [{
-          label: `${yColumn} vs ${xColumn}`,
-          data: points,
-          backgroundColor: color,
-          borderColor: color,
-          pointRadius: 6
-        }]
+        datasets
       },
       options: {
         responsive: true,
@@ -348,6 +517,40 @@ class ChartGenerator {
     };
   }
 
+  /**
+   * Fit the trend line drawn over a scatter or line chart
+   *
+   * options.trendLine is true or 'linear' for a straight line, 'polynomial'
+   * (with options.trendDegree, default 2) or 'exponential'. The equation and
+   * r² are shown in the legend; options.trendColor sets the line colour.
+   *
+   * @param {Array<{x: number, y: number}>} points - Points to fit
+   * @param {Object} options - Chart options
+   * @param {string} xName - Name of x in the equation
+   * @param {string} yName - Name of y in the equation
+   * @returns {Object} { fit, dataset } with the fit from the regression module
+   *   and the dataset styling, without data
+   * @throws {Error} If the trend cannot be fitted
+   */
+  getTrendLine(points, options, xName, yName) {
+    const model = options.trendLine === true ? 'linear' : options.trendLine;
+    const fit = regression.fitTrend(points, { model, degree: options.trendDegree });
+    const equation = regression.formatEquation(fit, xName, yName);
+    return {
+      fit,
+      dataset: {
+        label: `Trend: ${equation} (R² = ${fit.rSquared.toFixed(3)})`,
+        borderColor: options.trendColor || '#515a6e',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+        tension: 0.3
+      }
+    };
+  }
+
   /**
    * Generate pie chart configuration
    * 
@@ -358,6 +561,13 @@ class ChartGenerator {
    * @param {string} options.labelColumn - Column name for labels (specific to pie)
    * @param {string} options.valueColumn - Column name for values (specific to pie)
    * @param {string} options.title - Chart title
+   * @param {string} [options.aggregate] - sum, mean, count or median of the rows that share
+   *   a label (see prepareCategories)
+   * @param {string|Array} [options.categoryOrder] - 'value', 'alphabetical' or a list of labels
+   * @param {string} [options.orderDirection] - 'asc' or 'desc'
+   * @param {number} [options.topN] - Keep this many of the biggest slices and add the
+   *   rest together in one "Other" slice (see bucketSlices)
+   * @param {string} [options.otherLabel='Other'] - Name of that slice
    * @returns {Object} Chart.js configuration object
    */
   async generatePieChart(data, options = {}) {
@@ -369,9 +579,14 @@ class ChartGenerator {
       title = 'Pie Chart'
     } = options;
 
-    const labels = data.map(row => row[labelColumn]);
-    const values = data.map(row => parseFloat(row[valueColumn]) || 0);
-    const colors = this.generateColors(labels.length);
+    const rows = this.prepareCategories(data, labelColumn, [valueColumn], options);
+    const { labels, values, other } = this.bucketSlices(
+      rows.map(row => row[labelColumn]),
+      rows.map(row => parseFloat(row[valueColumn]) || 0),
+      options
+    );
+    const colors = this.getSeriesColors(labels.length, options);
+    if (other) colors[colors.length - 1] = OTHER_COLOR;
 
     return {
       type: 'pie',
@@ -410,6 +625,13 @@ class ChartGenerator {
    * @param {string} options.labelColumn - Column name for labels (specific to doughnut)
    * @param {string} options.valueColumn - Column name for values (specific to doughnut)
    * @param {string} options.title - Chart title
+   * @param {string} [options.aggregate] - sum, mean, count or median of the rows that share
+   *   a label (see prepareCategories)
+   * @param {string|Array} [options.categoryOrder] - 'value', 'alphabetical' or a list of labels
+   * @param {string} [options.orderDirection] - 'asc' or 'desc'
+   * @param {number} [options.topN] - Keep this many of the biggest slices and add the
+   *   rest together in one "Other" slice (see bucketSlices)
+   * @param {string} [options.otherLabel='Other'] - Name of that slice
    * @returns {Object} Chart.js configuration object
    */
   async generateDoughnutChart(data, options = {}) {
@@ -421,9 +643,14 @@ class ChartGenerator {
       title = 'Doughnut Chart'
     } = options;
 
-    const labels = data.map(row => row[labelColumn]);
-    const values = data.map(row => parseFloat(row[valueColumn]) || 0);
-    const colors = this.generateColors(labels.length);
+    const rows = this.prepareCategories(data, labelColumn, [valueColumn], options);
+    const { labels, values, other } = this.bucketSlices(
+      rows.map(row => row[labelColumn]),
+      rows.map(row => parseFloat(row[valueColumn]) || 0),
+      options
+    );
+    const colors = this.getSeriesColors(labels.length, options);
+    if (other) colors[colors.length - 1] = OTHER_COLOR;
 
     return {
       type: 'doughnut',
@@ -461,6 +688,15 @@ class ChartGenerator {
    * @param {string} options.yColumn - Column name for y-axis values
    * @param {string} options.title - Chart title
    * @param {string} options.color - Area color
+   * @param {Array<string>} [options.yColumns] - Several value columns, one area each
+   * @param {string} [options.seriesColumn] - Column whose values split the rows into areas
+   * @param {Array<string>} [options.colors] - Area colors, used with several series
+   * @param {Array<string>} [options.y2Columns] - Series plotted against a right-hand axis
+   *   (see getSeriesAxes)
+   * @param {string} [options.aggregate] - sum, mean, count or median of the rows that share
+   *   a label (see prepareCategories)
+   * @param {string|Array} [options.categoryOrder] - 'value', 'alphabetical' or a list of labels
+   * @param {string} [options.orderDirection] - 'asc' or 'desc'
    * @returns {Object} Chart.js configuration object
    */
   async generateAreaChart(data, options = {}) {
@@ -471,22 +707,33 @@ class ChartGenerator {
       color = '#ff9900'
     } = options;
 
-    const labels = data.map(row => row[xColumn]);
-    const values = data.map(row => parseFloat(row[yColumn]) || 0);
+    const multi = this.isMultiSeries(options);
+    const valueColumns = multi ? this.getSeriesColumns(data, { ...options, xColumn }) : [yColumn];
+    const rows = this.prepareCategories(data, xColumn, valueColumns, options);
+    const { labels, series } = multi
+      ? this.getSeries(rows, { ...options, xColumn, ...(options.seriesColumn ? {} : { yColumns: valueColumns }) })
+      : {
+        labels: rows.map(row => row[xColumn]),
+        series: [{ name: yColumn, values: rows.map(row => parseFloat(row[yColumn]) || 0) }]
+      };
+    const colors = multi ? this.getSeriesColors(series.length, options) : [color];
+    const axes = multi ? this.getSeriesAxes(series, options) : ['y'];
+    const dual = axes.includes('y1');
 
     return {
       type: 'line',
       data: {
         labels: labels,
-        datasets: [{
-          label: yColumn,
-          data: values,
-          borderColor: color,
-          backgroundColor: color + '40',
+        datasets: series.map((item, index) => ({
+          label: item.name,
+          data: item.values,
+          borderColor: colors[index],
+          backgroundColor: colors[index] + '40',
           borderWidth: 2,
           fill: true,
-          tension: 0.1
-        }]
+          tension: 0.1,
+          ...(dual ? { yAxisID: axes[index] } : {})
+        }))
       },
       options: {
         responsive: true,
@@ -499,11 +746,7 @@ class ChartGenerator {
             display: true
           }
         },
-        scales: {
-          y: {
-            beginAtZero: true
-          }
-        }
+        scales: this.getSeriesScales(series, axes)
       }
     };
   }
@@ -541,20 +784,11 @@ class ChartGenerator {
    * Generate colors for charts
    * 
    * @param {number} count - Number of colors needed
+   * @param {string|Object} [theme] - Chart theme whose palette to use (see chartThemes.js)
    * @returns {Array} Array of hex color codes
    */
-  generateColors(count) {
-    const colors = [
-      '#2d8cf0', '#19be6b', '#ed4014', '#ff9900', '#9c26b0',
-      '#00bcd4', '#ff5722', '#4caf50', '#2196f3', '#ff9800',
-      '#9c27b0', '#607d8b', '#795548', '#e91e63', '#3f51b5'
-    ];
-    
-    const result = [];
-    for (let i = 0; i < count; i++) {
-      result.push(colors[i % colors.length]);
-    }
-    return result;
+  generateColors(count, theme) {
+    return chartThemes.paletteColors(count, theme);
   }
 
   /**
@@ -797,7 +1031,7 @@ class ChartGenerator {
 
     const labels = columns;
     const datasets = [];
-    const colors = this.generateColors(data.length);
+    const colors = this.getSeriesColors(data.length, options);
 
     data.forEach((row, index) => {
       const values = columns.map(col => parseFloat(row[col]) || 0);
@@ -853,6 +1087,775 @@ class ChartGenerator {
     };
   }
 
+  /**
+   * Columns holding at least one number
+   *
+   * @param {Array} data - Data to inspect
+   * @returns {Array<string>} Column names
+   */
+  getNumericColumns(data) {
+    return Object.keys(data[0] || {}).filter(column =>
+      data.some(row => Number.isFinite(parseFloat(row[column])))
+    );
+  }
+
+  /**
+   * Mix a colour with white, for fills that must hide what is drawn behind them
+   *
+   * @param {string} color - #rrggbb colour
+   * @param {number} share - Share of white, from 0 to 1
+   * @returns {string} Mixed #rrggbb colour, or the colour unchanged if it is not #rrggbb
+   */
+  tint(color, share) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color);
+    if (!match) return color;
+    const channels = [0, 2, 4].map(offset => {
+      const channel = parseInt(match[1].slice(offset, offset + 2), 16);
+      return Math.round(channel + (255 - channel) * share).toString(16).padStart(2, '0');
+    });
+    return `#${channels.join('')}`;
+  }
+
+  /**
+   * Five-number summary of one box in a box plot
+   *
+   * Whiskers reach the furthest values within 1.5 × IQR of the box (Tukey's
+   * rule) and values beyond them are outliers; with options.whiskers 'minmax'
+   * they reach the smallest and largest values and nothing is an outlier.
+   *
+   * @param {Array<number>} values - Numbers in the group
+   * @param {Object} options - Chart options (whiskers, quantileMethod)
+   * @returns {Object} { count, min, q1, median, q3, max, whiskerLow, whiskerHigh, outliers }
+   */
+  getBoxStats(values, options = {}) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const round = value => Number(value.toFixed(4));
+    const q1 = dataProcessor.quantile(sorted, 0.25, options.quantileMethod);
+    const q3 = dataProcessor.quantile(sorted, 0.75, options.quantileMethod);
+    const reach = (q3 - q1) * WHISKER_IQR;
+    const inside = options.whiskers === 'minmax'
+      ? sorted
+      : sorted.filter(value => value >= q1 - reach && value <= q3 + reach);
+    const low = inside.length ? inside[0] : sorted[0];
+    const high = inside.length ? inside[inside.length - 1] : sorted[sorted.length - 1];
+
+    return {
+      count: sorted.length,
+      min: sorted[0],
+      q1: round(q1),
+      median: round(dataProcessor.quantile(sorted, 0.5, options.quantileMethod)),
+      q3: round(q3),
+      max: sorted[sorted.length - 1],
+      whiskerLow: low,
+      whiskerHigh: high,
+      outliers: sorted.filter(value => value < low || value > high)
+    };
+  }
+
+  /**
+   * Generate box plot configuration
+   *
+   * Each group gets a box from the lower to the upper quartile, a line at the
+   * median, whiskers (see getBoxStats) and its outliers as points. Boxes and
+   * whiskers are Chart.js floating bars, so no plugin is needed; the box
+   * dataset carries the summaries in `stats`.
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @param {string} options.valueColumn - Column holding the numbers
+   * @param {string} [options.groupColumn] - Column splitting rows into boxes; one box when omitted
+   * @param {string} [options.whiskers='tukey'] - 'tukey' (1.5 × IQR) or 'minmax'
+   * @param {string} [options.quantileMethod='linear'] - How quartiles are found (see DataProcessor.quantile)
+   * @param {string} options.title - Chart title
+   * @param {string} options.color - Box color
+   * @returns {Object} Chart.js configuration object
+   */
+  async generateBoxPlotChart(data, options = {}) {
+    const {
+      valueColumn = this.getNumericColumns(data)[0],
+      groupColumn,
+      title = 'Box Plot',
+      color = '#2d8cf0'
+    } = options;
+
+    const groups = new Map();
+    data.forEach(row => {
+      const value = parseFloat(row[valueColumn]);
+      if (!Number.isFinite(value)) return;
+      const group = groupColumn ? String(row[groupColumn] ?? '') : valueColumn;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(value);
+    });
+    const labels = [...groups.keys()];
+    const stats = labels.map(group => ({ group, ...this.getBoxStats(groups.get(group), options) }));
+    const outliers = [];
+    stats.forEach(box => box.outliers.forEach(value => outliers.push({ x: box.group, y: value })));
+    // Medians are drawn in the text colour so they show on light and dark backgrounds
+    const ink = chartThemes.MODES[chartThemes.resolveTheme(options.theme).mode].text;
+
+    // Chart.js draws datasets with a higher order first, so the box covers its whisker
+    const datasets = [{
+      label: `${valueColumn} (Q1 to Q3)`,
+      data: stats.map(box => [box.q1, box.q3]),
+      backgroundColor: this.tint(color, 0.75),
+      borderColor: color,
+      borderWidth: 2,
+      borderSkipped: false,
+      barPercentage: 0.5,
+      grouped: false,
+      order: 2,
+      stats
+    }, {
+      label: options.whiskers === 'minmax' ? 'Whiskers (min to max)' : 'Whiskers (1.5 × IQR)',
+      data: stats.map(box => [box.whiskerLow, box.whiskerHigh]),
+      backgroundColor: color,
+      borderColor: color,
+      borderWidth: 0,
+      barPercentage: 0.04,
+      grouped: false,
+      order: 3
+    }, {
+      type: 'line',
+      label: 'Median',
+      data: stats.map(box => box.median),
+      borderColor: ink,
+      backgroundColor: ink,
+      showLine: false,
+      pointStyle: 'line',
+      pointRadius: 14,
+      pointBorderWidth: 3,
+      order: 1
+    }];
+    if (outliers.length) {
+      datasets.push({
+        type: 'line',
+        label: 'Outliers',
+        data: outliers,
+        borderColor: color,
+        backgroundColor: color,
+        showLine: false,
+        pointRadius: 4,
+        order: 0
+      });
+    }
+
+    return {
+      type: 'bar',
+      data: {
+        labels,
+        datasets
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: title
+          },
+          legend: {
+            display: true
+          },
+          zoom: {
+            pan: {
+              enabled: true,
+              mode: 'y'
+            },
+            zoom: {
+              wheel: {
+                enabled: true
+              },
+              pinch: {
+                enabled: true
+              },
+              mode: 'y'
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: {
+              display: Boolean(groupColumn),
+              text: groupColumn || ''
+            }
+          },
+          y: {
+            beginAtZero: false,
+            title: {
+              display: true,
+              text: valueColumn
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Value columns for a chart with several series: options.yColumns when
+   * given, otherwise every numeric column except the x column, with
+   * options.yColumn first
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @returns {Array<string>} Column names
+   */
+  getValueColumns(data, options) {
+    if (Array.isArray(options.yColumns) && options.yColumns.length) {
+      return options.yColumns;
+    }
+    const numeric = this.getNumericColumns(data).filter(column => column !== options.xColumn);
+    return options.yColumn
+      ? [options.yColumn, ...numeric.filter(column => column !== options.yColumn)]
+      : numeric;
+  }
+
+  /**
+   * Read several series of values against shared labels
+   *
+   * Wide data has one value column per series (see getValueColumns) and one
+   * label per row. Long data names a single options.yColumn and an
+   * options.seriesColumn whose values become the series; rows that share a
+   * label and series are added together.
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @param {number|null} [emptyValue=0] - Value of a long-data series at a label it has no rows for
+   * @returns {{ labels: Array, series: Array<{ name: string, values: Array<number> }> }}
+   */
+  getSeries(data, options, emptyValue = 0) {
+    const xColumn = options.xColumn || Object.keys(data[0])[0];
+    const { seriesColumn, yColumn } = options;
+
+    if (seriesColumn) {
+      const labels = [...new Set(data.map(row => row[xColumn]))];
+      const names = [...new Set(data.map(row => row[seriesColumn]))];
+      const totals = names.map(() => labels.map(() => null));
+      data.forEach(row => {
+        const series = totals[names.indexOf(row[seriesColumn])];
+        const label = labels.indexOf(row[xColumn]);
+        series[label] = (series[label] || 0) + (parseFloat(row[yColumn]) || 0);
+      });
+      return {
+        labels,
+        series: names.map((name, index) => ({
+          name: String(name ?? ''),
+          values: totals[index].map(total => (total === null ? emptyValue : Number(total.toFixed(4))))
+        }))
+      };
+    }
+
+    return {
+      labels: data.map(row => row[xColumn]),
+      series: this.getValueColumns(data, options).map(column => ({
+        name: column,
+        values: data.map(row => parseFloat(row[column]) || 0)
+      }))
+    };
+  }
+
+  /**
+   * Value columns behind the series of getSeries: options.yColumn for long
+   * data, otherwise the columns from getValueColumns
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @returns {Array<string>} Column names
+   */
+  getSeriesColumns(data, options) {
+    return options.seriesColumn ? [options.yColumn] : this.getValueColumns(data, options);
+  }
+
+  /**
+   * Whether the options ask for several series: options.yColumns or options.seriesColumn
+   *
+   * @param {Object} options - Chart options
+   * @returns {boolean}
+   */
+  isMultiSeries(options) {
+    return Boolean(options.seriesColumn) || (Array.isArray(options.yColumns) && options.yColumns.length > 0);
+  }
+
+  /**
+   * One colour per series, from options.colors in turn or the theme's palette
+   *
+   * @param {number} count - Number of series
+   * @param {Object} options - Chart options
+   * @returns {Array<string>} Hex colours
+   */
+  getSeriesColors(count, options) {
+    if (Array.isArray(options.colors) && options.colors.length) {
+      return Array.from({ length: count }, (value, index) => options.colors[index % options.colors.length]);
+    }
+    return this.generateColors(count, options.theme);
+  }
+
+  /**
+   * Choose the y-axis of each series: 'y' on the left or 'y1' on the right
+   *
+   * Series named in options.y2Columns go on the right. Without that list, a
+   * series whose largest value is DUAL_AXIS_RATIO times bigger or smaller than
+   * the first series' moves to the right, so rainfall in millimetres does not
+   * flatten temperature in degrees; options.dualAxis = false keeps one axis.
+   *
+   * @param {Array<{ name: string, values: Array<number> }>} series - Series from getSeries
+   * @param {Object} options - Chart options
+   * @returns {Array<string>} Axis id per series
+   */
+  getSeriesAxes(series, options) {
+    if (Array.isArray(options.y2Columns)) {
+      return series.map(item => (options.y2Columns.includes(item.name) ? 'y1' : 'y'));
+    }
+    if (options.dualAxis === false || series.length < 2) return series.map(() => 'y');
+
+    const size = item => Math.max(0, ...item.values.map(value => Math.abs(value)));
+    const first = size(series[0]);
+    return series.map((item, index) => {
+      const ratio = first > 0 && size(item) > 0 ? Math.max(size(item) / first, first / size(item)) : 1;
+      return index > 0 && ratio >= DUAL_AXIS_RATIO ? 'y1' : 'y';
+    });
+  }
+
+  /**
+   * Value scales for series on one or two y-axes
+   *
+   * With a single axis this is the usual { y: { beginAtZero } }. With two, each
+   * axis is titled with its series and the right one draws no grid of its own.
+   *
+   * @param {Array<{ name: string }>} series - Series from getSeries
+   * @param {Array<string>} axes - Axis id per series (see getSeriesAxes)
+   * @param {Object} [extra] - More options for the left axis, such as stacking
+   * @returns {Object} Chart.js scales
+   */
+  getSeriesScales(series, axes, extra = {}) {
+    if (!axes.includes('y1')) {
+      return { y: { ...extra, beginAtZero: true } };
+    }
+    const titleFor = axis => ({
+      display: true,
+      text: series.filter((item, index) => axes[index] === axis).map(item => item.name).join(', ')
+    });
+    return {
+      y: { ...extra, beginAtZero: true, position: 'left', title: titleFor('y') },
+      y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: titleFor('y1') }
+    };
+  }
+
+  /**
+   * Summarise and order the rows of a chart with a label per category
+   *
+   * With options.aggregate (sum, mean, count or median) the rows sharing a
+   * label, and a series when options.seriesColumn is set, become one row
+   * holding the summary of each value column; count counts the rows.
+   * options.categoryOrder then sorts the labels: 'value' puts the largest
+   * total first, 'alphabetical' sorts by name and an array gives the order,
+   * with labels it leaves out following in data order. options.orderDirection
+   * ('asc' or 'desc') turns a value or alphabetical sort around.
+   * Without either option the rows are returned as they are.
+   *
+   * @param {Array} data - Data to visualize
+   * @param {string} labelColumn - Column holding the labels
+   * @param {Array<string>} valueColumns - Columns holding the values
+   * @param {Object} options - Chart options
+   * @returns {Array} Rows in label order
+   */
+  prepareCategories(data, labelColumn, valueColumns, options) {
+    const { aggregate, categoryOrder, seriesColumn } = options;
+    let rows = data;
+
+    if (aggregate) {
+      const groups = new Map();
+      data.forEach(row => {
+        const key = seriesColumn
+          ? JSON.stringify([String(row[labelColumn]), String(row[seriesColumn])])
+          : String(row[labelColumn]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+      rows = [...groups.values()].map(group => {
+        const summary = { [labelColumn]: group[0][labelColumn] };
+        if (seriesColumn) summary[seriesColumn] = group[0][seriesColumn];
+        valueColumns.forEach(column => {
+          const value = dataProcessor.aggregateValues(group.map(row => row[column]), aggregate, aggregate === 'count');
+          summary[column] = value === null ? null : Number(value.toFixed(4));
+        });
+        return summary;
+      });
+    }
+
+    if (!categoryOrder || categoryOrder === 'data') return rows;
+
+    const labels = [...new Set(rows.map(row => String(row[labelColumn])))];
+    let ranked;
+    if (Array.isArray(categoryOrder)) {
+      const wanted = categoryOrder.map(String);
+      ranked = [...wanted.filter(label => labels.includes(label)), ...labels.filter(label => !wanted.includes(label))];
+    } else {
+      const totals = new Map(labels.map(label => [label, 0]));
+      rows.forEach(row => {
+        const label = String(row[labelColumn]);
+        totals.set(label, totals.get(label) + valueColumns.reduce((sum, column) => sum + (parseFloat(row[column]) || 0), 0));
+      });
+      const byValue = categoryOrder === 'value';
+      const descending = options.orderDirection ? options.orderDirection === 'desc' : byValue;
+      ranked = [...labels].sort((a, b) => (byValue
+        ? totals.get(a) - totals.get(b)
+        : a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })));
+      if (descending) ranked.reverse();
+    }
+    const position = new Map(ranked.map((label, index) => [label, index]));
+    return [...rows].sort((a, b) => position.get(String(a[labelColumn])) - position.get(String(b[labelColumn])));
+  }
+
+  /**
+   * Keep the options.topN biggest slices of a pie and add the rest together
+   * in one slice named options.otherLabel (default "Other"), drawn last
+   *
+   * @param {Array} labels - Slice labels
+   * @param {Array<number>} values - Slice values
+   * @param {Object} options - Chart options
+   * @returns {{ labels: Array, values: Array<number>, other: boolean }} Slices, and whether
+   *   an "Other" slice was added
+   */
+  bucketSlices(labels, values, options) {
+    const topN = Number(options.topN);
+    if (!options.topN || labels.length <= topN) return { labels, values, other: false };
+
+    const kept = new Set(values
+      .map((value, index) => ({ value, index }))
+      .sort((a, b) => b.value - a.value || a.index - b.index)
+      .slice(0, topN)
+      .map(item => item.index));
+    const rest = values.filter((value, index) => !kept.has(index)).reduce((sum, value) => sum + value, 0);
+    return {
+      labels: [...labels.filter((label, index) => kept.has(index)), options.otherLabel || 'Other'],
+      values: [...values.filter((value, index) => kept.has(index)), Number(rest.toFixed(4))],
+      other: true
+    };
+  }
+
+  /**
+   * Bar chart with one bar per series in each label, side by side or stacked
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options (see generateGroupedBarChart)
+   * @param {boolean} stacked - Stack the series instead of grouping them
+   * @returns {Object} Chart.js configuration object
+   * @private
+   */
+  buildMultiSeriesBarChart(data, options, stacked) {
+    const {
+      xColumn = Object.keys(data[0])[0],
+      title = stacked ? 'Stacked Bar Chart' : 'Grouped Bar Chart'
+    } = options;
+
+    const valueColumns = this.getSeriesColumns(data, { ...options, xColumn });
+    const rows = this.prepareCategories(data, xColumn, valueColumns, options);
+    const { labels, series } = this.getSeries(rows, {
+      ...options,
+      xColumn,
+      ...(options.seriesColumn ? {} : { yColumns: valueColumns })
+    });
+    const colors = this.getSeriesColors(series.length, options);
+    const stacking = stacked ? { stacked: true } : {};
+    // Stacked bars share one axis: a stack of two units means nothing
+    const axes = stacked ? series.map(() => 'y') : this.getSeriesAxes(series, options);
+    const dual = axes.includes('y1');
+
+    return {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: series.map((item, index) => ({
+          label: item.name,
+          data: item.values,
+          backgroundColor: colors[index],
+          borderColor: colors[index],
+          borderWidth: 1,
+          ...(dual ? { yAxisID: axes[index] } : {})
+        }))
+      },
+      options: {
+        responsive: true,
+        interaction: {
+          intersect: false,
+          mode: 'index'
+        },
+        animation: {
+          duration: 1000,
+          easing: 'easeInOutQuart'
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: title
+          },
+          legend: {
+            display: true
+          },
+          zoom: {
+            pan: {
+              enabled: true,
+              mode: 'xy'
+            },
+            zoom: {
+              wheel: {
+                enabled: true
+              },
+              pinch: {
+                enabled: true
+              },
+              mode: 'xy'
+            }
+          }
+        },
+        scales: {
+          x: {
+            ...stacking,
+            title: {
+              display: true,
+              text: xColumn
+            }
+          },
+          ...this.getSeriesScales(series, axes, stacking)
+        }
+      }
+    };
+  }
+
+  /**
+   * Generate grouped bar chart configuration: the series of each label side by side
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @param {string} options.xColumn - Column name for x-axis labels
+   * @param {Array<string>} [options.yColumns] - One value column per series (wide data);
+   *   defaults to every numeric column except xColumn
+   * @param {string} [options.seriesColumn] - Column whose values name the series (long data),
+   *   used with options.yColumn
+   * @param {string} [options.yColumn] - Value column for long data
+   * @param {Array<string>} [options.colors] - Series colors
+   * @param {string} [options.aggregate] - Summary of the rows that share a label
+   *   (see prepareCategories)
+   * @param {string|Array} [options.categoryOrder] - 'value', 'alphabetical' or a list of labels
+   * @param {string} options.title - Chart title
+   * @returns {Object} Chart.js configuration object
+   */
+  async generateGroupedBarChart(data, options = {}) {
+    return this.buildMultiSeriesBarChart(data, options, false);
+  }
+
+  /**
+   * Generate stacked bar chart configuration: the series of each label in one bar
+   *
+   * Takes the same options as generateGroupedBarChart.
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @returns {Object} Chart.js configuration object
+   */
+  async generateStackedBarChart(data, options = {}) {
+    return this.buildMultiSeriesBarChart(data, options, true);
+  }
+
+  /**
+   * Generate bubble chart configuration
+   *
+   * Bubble areas, not radii, grow with the size value, so a bubble twice the
+   * size looks twice as big. Rows missing any of the three numbers are left out.
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @param {string} options.xColumn - Column name for x-axis values
+   * @param {string} options.yColumn - Column name for y-axis values
+   * @param {string} options.sizeColumn - Column name for bubble sizes
+   * @param {string} [options.labelColumn] - Column naming each bubble in its tooltip
+   * @param {number} [options.maxRadius=25] - Radius in pixels of the largest bubble
+   * @param {string} options.title - Chart title
+   * @param {string} options.color - Bubble color
+   * @returns {Object} Chart.js configuration object
+   */
+  async generateBubbleChart(data, options = {}) {
+    const numeric = this.getNumericColumns(data);
+    const {
+      xColumn = numeric[0],
+      yColumn = numeric[1] || numeric[0],
+      sizeColumn = numeric[2] || numeric[0],
+      labelColumn,
+      maxRadius = MAX_BUBBLE_RADIUS,
+      title = 'Bubble Chart',
+      color = '#9c26b0'
+    } = options;
+
+    const rows = data.filter(row =>
+      [xColumn, yColumn, sizeColumn].every(column => Number.isFinite(parseFloat(row[column])))
+    );
+    const largest = Math.max(0, ...rows.map(row => Math.abs(parseFloat(row[sizeColumn]))));
+    const points = rows.map(row => {
+      const size = parseFloat(row[sizeColumn]);
+      const radius = largest > 0 ? Math.max(2, maxRadius * Math.sqrt(Math.abs(size) / largest)) : 2;
+      return {
+        x: parseFloat(row[xColumn]),
+        y: parseFloat(row[yColumn]),
+        r: Number(radius.toFixed(2)),
+        size,
+        ...(labelColumn ? { label: row[labelColumn] } : {})
+      };
+    });
+
+    return {
+      type: 'bubble',
+      data: {
+        datasets: [{
+          label: `${yColumn} vs ${xColumn} (size: ${sizeColumn})`,
+          data: points,
+          backgroundColor: color + '80',
+          borderColor: color,
+          borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: title
+          },
+          legend: {
+            display: true
+          },
+          zoom: {
+            pan: {
+              enabled: true,
+              mode: 'xy'
+            },
+            zoom: {
+              wheel: {
+                enabled: true
+              },
+              pinch: {
+                enabled: true
+              },
+              mode: 'xy'
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            position: 'bottom',
+            grace: '10%',
+            title: {
+              display: true,
+              text: xColumn
+            }
+          },
+          y: {
+            type: 'linear',
+            grace: '10%',
+            title: {
+              display: true,
+              text: yColumn
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Generate dot plot configuration: one dot per row, stacked above its value
+   *
+   * Suits small datasets, where every value can be seen. With a group column
+   * each group has its own colour and the groups stack on top of each other.
+   *
+   * @param {Array} data - Data to visualize
+   * @param {Object} options - Chart options
+   * @param {string} options.valueColumn - Column holding the numbers
+   * @param {string} [options.groupColumn] - Column colouring the dots by group
+   * @param {number} [options.binWidth] - Round values to multiples of this before stacking
+   * @param {string} options.title - Chart title
+   * @param {string} options.color - Dot color when there are no groups
+   * @returns {Object} Chart.js configuration object
+   */
+  async generateDotPlotChart(data, options = {}) {
+    const {
+      valueColumn = this.getNumericColumns(data)[0],
+      groupColumn,
+      title = 'Dot Plot',
+      color = '#2d8cf0'
+    } = options;
+    const binWidth = Number(options.binWidth) > 0 ? Number(options.binWidth) : null;
+
+    const groups = new Map();
+    data.forEach(row => {
+      const value = parseFloat(row[valueColumn]);
+      if (!Number.isFinite(value)) return;
+      const group = groupColumn ? String(row[groupColumn] ?? '') : valueColumn;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(binWidth ? Number((Math.round(value / binWidth) * binWidth).toFixed(10)) : value);
+    });
+
+    // Dots already stacked at each value, carried across groups
+    const heights = new Map();
+    const names = [...groups.keys()];
+    const colors = groupColumn ? this.getSeriesColors(names.length, options) : [color];
+    const datasets = names.map((name, index) => ({
+      label: name,
+      data: groups.get(name).map(value => {
+        const y = (heights.get(value) || 0) + 1;
+        heights.set(value, y);
+        return { x: value, y };
+      }),
+      backgroundColor: colors[index],
+      borderColor: colors[index],
+      pointRadius: 7,
+      pointHoverRadius: 9
+    }));
+    const tallest = Math.max(1, ...heights.values());
+
+    return {
+      type: 'scatter',
+      data: {
+        datasets
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: title
+          },
+          legend: {
+            display: Boolean(groupColumn)
+          }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            position: 'bottom',
+            grace: '5%',
+            title: {
+              display: true,
+              text: valueColumn
+            }
+          },
+          y: {
+            type: 'linear',
+            min: 0,
+            max: tallest + 1,
+            ticks: {
+              stepSize: 1
+            },
+            title: {
+              display: true,
+              text: 'Count'
+            }
+          }
+        }
+      }
+    };
+  }
+
   /**
    * Validate chart data and options
    * 
@@ -876,14 +1879,28 @@ class ChartGenerator {
     
     // Set default options based on available columns if not provided
     let requiredColumns = [];
+    // Columns that must hold at least one number
+    let numericColumns = [];
     switch (chartType) {
       case 'bar':
       case 'line':
       case 'area':
         if (!options.xColumn) options.xColumn = availableColumns[0];
-        if (!options.yColumn) options.yColumn = availableColumns[1] || availableColumns[0];
-        if (options.xColumn) requiredColumns.push(options.xColumn);
-        if (options.yColumn) requiredColumns.push(options.yColumn);
+        if (options.seriesColumn) {
+          if (!options.yColumn) {
+            options.yColumn = this.getNumericColumns(data)
+              .find(col => col !== options.xColumn && col !== options.seriesColumn);
+          }
+          if (!options.yColumn) throw new Error('No value column to plot for each series');
+          requiredColumns = [options.xColumn, options.seriesColumn, options.yColumn];
+        } else if (this.isMultiSeries(options)) {
+          requiredColumns = [options.xColumn, ...options.yColumns];
+          numericColumns = options.yColumns;
+        } else {
+          if (!options.yColumn) options.yColumn = availableColumns[1] || availableColumns[0];
+          if (options.xColumn) requiredColumns.push(options.xColumn);
+          if (options.yColumn) requiredColumns.push(options.yColumn);
+        }
         break;
       case 'scatter':
         if (!options.xColumn) options.xColumn = availableColumns[0];
@@ -916,14 +1933,88 @@ class ChartGenerator {
         }
         requiredColumns = options.columns || [];
         break;
+      case 'boxplot': {
+        // set_axes gives the groups as x and the values as y
+        const numeric = this.getNumericColumns(data);
+        if (!options.valueColumn) options.valueColumn = options.yColumn || numeric[0] || availableColumns[0];
+        if (!options.groupColumn && options.xColumn && options.xColumn !== options.valueColumn) {
+          options.groupColumn = options.xColumn;
+        }
+        requiredColumns = [options.valueColumn, options.groupColumn];
+        numericColumns = [options.valueColumn];
+        break;
+      }
+      case 'groupedBar':
+      case 'stackedBar':
+        if (!options.xColumn) options.xColumn = availableColumns[0];
+        if (options.seriesColumn) {
+          if (!options.yColumn) {
+            options.yColumn = this.getNumericColumns(data)
+              .find(col => col !== options.xColumn && col !== options.seriesColumn);
+          }
+          if (!options.yColumn) throw new Error('No value column to plot for each series');
+          requiredColumns = [options.xColumn, options.seriesColumn, options.yColumn];
+        } else {
+          options.yColumns = this.getValueColumns(data, options);
+          if (options.yColumns.length === 0) throw new Error('No value columns to plot: choose yColumns');
+          requiredColumns = [options.xColumn, ...options.yColumns];
+        }
+        break;
+      case 'bubble': {
+        const numeric = this.getNumericColumns(data);
+        if (!options.xColumn) options.xColumn = numeric[0];
+        if (!options.yColumn) options.yColumn = numeric.find(col => col !== options.xColumn);
+        if (!options.sizeColumn) {
+          options.sizeColumn = numeric.find(col => col !== options.xColumn && col !== options.yColumn);
+        }
+        if (!options.xColumn || !options.yColumn || !options.sizeColumn) {
+          throw new Error('A bubble chart needs three numeric columns: x, y and size');
+        }
+        requiredColumns = [options.xColumn, options.yColumn, options.sizeColumn, options.labelColumn];
+        numericColumns = [options.xColumn, options.yColumn, options.sizeColumn];
+        break;
+      }
+      case 'dotplot': {
+        // Dots sit along x, so set_axes' x column is used when it holds numbers
+        const numeric = this.getNumericColumns(data);
+        if (!options.valueColumn) {
+          options.valueColumn = [options.xColumn, options.yColumn].find(col => numeric.includes(col))
+            || numeric[0] || availableColumns[0];
+        }
+        requiredColumns = [options.valueColumn, options.groupColumn];
+        numericColumns = [options.valueColumn];
+        break;
+      }
     }
-    
+
+    if (options.aggregate !== undefined && !CHART_AGGREGATES.includes(options.aggregate)) {
+      throw new Error(`aggregate must be one of ${CHART_AGGREGATES.join(', ')}`);
+    }
+    const order = options.categoryOrder;
+    if (order !== undefined && !Array.isArray(order) && !['data', 'value', 'alphabetical'].includes(order)) {
+      throw new Error('categoryOrder must be data, value, alphabetical or a list of labels');
+    }
+    if (options.orderDirection !== undefined && !['asc', 'desc'].includes(options.orderDirection)) {
+      throw new Error('orderDirection must be asc or desc');
+    }
+    if (options.topN !== undefined && !(Number.isInteger(Number(options.topN)) && Number(options.topN) > 0)) {
+      throw new Error('topN must be a whole number above 0');
+    }
+    if (options.theme !== undefined) {
+      chartThemes.resolveTheme(options.theme);
+    }
+
     // Validate that explicitly specified columns exist
     const missingColumns = requiredColumns.filter(col => col && !availableColumns.includes(col));
     if (missingColumns.length > 0) {
       throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
     }
-    
+
+    const notNumeric = numericColumns.filter(col => !data.some(row => Number.isFinite(parseFloat(row[col]))));
+    if (notNumeric.length > 0) {
+      throw new Error(`Columns need numbers for a ${chartType} chart: ${notNumeric.join(', ')}`);
+    }
+
     return true;
   }
 }
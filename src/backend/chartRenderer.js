@@ -0,0 +1,913 @@
+/**
+ * Chart Renderer Module
+ *
+ * Renders the Chart.js configs made by chartGenerator.js to SVG or PNG on
+ * the server, for reports, dashboard thumbnails and tests that need the
+ * picture without a browser. A config is first laid out as a scene (a list
+ * of rectangles, lines, polygons, circles and text in pixels); the scene is
+ * then written out as SVG or drawn by rasterizer.js.
+ *
+ * Covers what chartGenerator produces: bar (grouped), line and area, scatter
+ * with trend lines, heatmap, histogram, pie, doughnut and radar charts.
+ * A theme left on the config by chartThemes.applyTheme sets the colours,
+ * text sizes and background, and pattern names on datasets become pattern
+ * fills.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const { bitmapTextWidth, renderPng } = require('./rasterizer');
+const chartThemes = require('../shared/chartThemes');
+
+const RENDER_FORMATS = ['svg', 'png'];
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 500;
+const MIN_SIZE = 100;
+const MAX_SIZE = 2000;
+
+const PADDING = 12;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+// Text sizes at fontScale 1
+const LABEL_SIZE = 10;
+const TITLE_SIZE = 16;
+// Longest axis and legend labels before they are cut short
+const MAX_LABEL_CHARS = 18;
+const MAX_LEGEND_CHARS = 60;
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  gray: '#808080',
+  grey: '#808080',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  orange: '#ffa500'
+};
+
+// ============================================================================
+// COLOURS AND TEXT
+// ============================================================================
+
+/**
+ * Read a CSS colour
+ * @param {string} value - #rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba(), a few names or 'transparent'
+ * @returns {{ r: number, g: number, b: number, a: number }|null} Colour, or null when unreadable
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (text === 'transparent' || text === 'none') return { r: 0, g: 0, b: 0, a: 0 };
+  const hex = (NAMED_COLORS[text] || text).match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+    const channel = i => parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+    return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+  }
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    const clamp = (number, max) => Math.min(max, Math.max(0, number));
+    return {
+      r: clamp(Math.round(Number(rgb[1])), 255),
+      g: clamp(Math.round(Number(rgb[2])), 255),
+      b: clamp(Math.round(Number(rgb[3])), 255),
+      a: rgb[4] === undefined ? 1 : clamp(Number(rgb[4]), 1)
+    };
+  }
+  return null;
+}
+
+/**
+ * Pick a dataset colour option for one element. Chart.js allows a colour, a
+ * list (one per element) or a function of the element's context.
+ * @param {*} value - Colour option
+ * @param {number} index - Element index
+ * @param {Object} [context] - Passed to scriptable options
+ * @returns {Object|null} Parsed colour
+ */
+function colorAt(value, index, context) {
+  if (Array.isArray(value)) return value.length ? parseColor(value[index % value.length]) : null;
+  if (typeof value === 'function') {
+    try {
+      return parseColor(value(context || { dataIndex: index }));
+    } catch (_) {
+      return null;
+    }
+  }
+  return parseColor(value);
+}
+
+function withAlpha(color, alpha) {
+  return { ...color, a: alpha };
+}
+
+/**
+ * Colours and text sizes of a scene, from the config's theme
+ * @param {Object} config - Chart.js config, themed by chartThemes.applyTheme or not
+ * @returns {{ text: Object, axis: Object, grid: Object, background: string, labelSize: number, titleSize: number }}
+ */
+function sceneStyle(config) {
+  const theme = chartThemes.resolveTheme(config.theme);
+  const colors = chartThemes.MODES[theme.mode];
+  return {
+    text: parseColor(colors.text),
+    axis: parseColor(colors.axis),
+    grid: parseColor(colors.grid),
+    background: colors.background,
+    palette: chartThemes.paletteOf(theme).map(parseColor),
+    labelSize: Math.round(LABEL_SIZE * theme.fontScale),
+    titleSize: Math.round(TITLE_SIZE * theme.fontScale)
+  };
+}
+
+/**
+ * Mark a filled shape with one of the chartThemes patterns
+ * @param {Object} item - Scene rect or polygon
+ * @param {string} [name] - Pattern name; nothing changes without one
+ * @returns {Object} The item
+ */
+function withPattern(item, name) {
+  if (name && chartThemes.PATTERN_SHAPES[name] && item.fill && item.fill.a > 0) {
+    const ink = chartThemes.patternInk(item.fill);
+    item.pattern = { name, ink, color: parseColor(chartThemes.PATTERN_INKS[ink]) };
+  }
+  return item;
+}
+
+// A dataset's pattern is one name for every element or a list with one per element
+function patternAt(pattern, index) {
+  return Array.isArray(pattern) ? pattern[index % pattern.length] : pattern;
+}
+
+function textWidth(text, size) {
+  return bitmapTextWidth(text, size);
+}
+
+function shorten(text, limit = MAX_LABEL_CHARS) {
+  const value = text === undefined || text === null ? '' : String(text);
+  return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+/**
+ * Label for an axis tick
+ * @param {number} value
+ * @param {number} step - Distance between ticks
+ * @returns {string} Value with as many decimals as the step needs
+ */
+function formatTick(value, step) {
+  const decimals = Math.min(6, Math.max(0, -Math.floor(Math.log10(step || 1))));
+  return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Round numbers for an axis: about `count` ticks on 1, 2 or 5 steps
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5]
+ * @returns {{ min: number, max: number, step: number, ticks: Array<number> }}
+ */
+function niceScale(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    min = 0;
+    max = 1;
+  }
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    min -= pad;
+    max += pad;
+  }
+  const rough = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  const low = Math.floor(min / step) * step;
+  const high = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let tick = low; tick <= high + step / 2; tick += step) ticks.push(Number(tick.toFixed(10)));
+  return { min: low, max: high, step, ticks };
+}
+
+// ============================================================================
+// SCENE LAYOUT
+// ============================================================================
+
+function datasetsOf(config) {
+  return ((config.data && config.data.datasets) || []).filter(dataset => dataset && Array.isArray(dataset.data));
+}
+
+function isPoint(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Low and high ends of a bar: [low, high] for a floating bar, otherwise zero and the value
+ * @param {*} value - Bar value
+ * @returns {Array<number>|null} [start, end], or null when the value is not a number
+ */
+function barRange(value) {
+  if (Array.isArray(value)) {
+    const start = numberOf(value[0]);
+    const end = numberOf(value[1]);
+    return start === null || end === null ? null : [start, end];
+  }
+  const end = numberOf(value);
+  return end === null ? null : [0, end];
+}
+
+function numberOf(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Theme palette colour for an element without a colour of its own
+function paletteColor(palette, index) {
+  return { ...palette[index % palette.length] };
+}
+
+/**
+ * Colour that stands for a dataset in the legend
+ * @param {Object} dataset
+ * @param {number} index - Dataset index
+ * @param {Array<Object>} palette - Parsed theme palette (scene.style.palette)
+ * @returns {Object} Parsed colour
+ */
+function datasetColor(dataset, index, palette) {
+  const color = colorAt(dataset.borderColor, 0) || colorAt(dataset.backgroundColor, 0);
+  return color && color.a > 0 ? withAlpha(color, 1) : paletteColor(palette, index);
+}
+
+/**
+ * Legend entries: one per slice for pie and doughnut charts, one per dataset otherwise
+ * @param {Object} config
+ * @param {Array<Object>} palette - Parsed theme palette (scene.style.palette)
+ * @returns {Array<{ label: string, color: Object, pattern?: string }>}
+ */
+function legendEntries(config, palette) {
+  const datasets = datasetsOf(config);
+  if (['pie', 'doughnut', 'polarArea'].includes(config.type)) {
+    const first = datasets[0] || {};
+    return ((config.data && config.data.labels) || []).map((label, index) => ({
+      label: shorten(label, MAX_LEGEND_CHARS),
+      color: colorAt(first.backgroundColor, index) || paletteColor(palette, index),
+      pattern: first.pattern ? patternAt(first.pattern, index) : undefined
+    }));
+  }
+  return datasets
+    .map((dataset, index) => ({
+      label: shorten(dataset.label, MAX_LEGEND_CHARS),
+      color: datasetColor(dataset, index, palette),
+      pattern: typeof dataset.pattern === 'string' ? dataset.pattern : undefined
+    }))
+    .filter(entry => entry.label);
+}
+
+/**
+ * Draw the legend and return the space left for the chart
+ * @param {Object} scene
+ * @param {Array} entries - From legendEntries
+ * @param {Object} area - { left, top, right, bottom }
+ * @param {string} position - 'top' or 'right'
+ * @returns {Object} Remaining area
+ */
+function drawLegend(scene, entries, area, position) {
+  const { labelSize, text: textColor } = scene.style;
+  const swatch = Math.max(10, labelSize);
+  const rowHeight = labelSize + 6;
+  const entryWidth = entry => swatch + 4 + textWidth(entry.label, labelSize) + 12;
+  const text = (entry, x, y) => {
+    scene.items.push(withPattern({ type: 'rect', x, y: y - swatch / 2, width: swatch, height: swatch, fill: entry.color }, entry.pattern));
+    scene.items.push({ type: 'text', x: x + swatch + 4, y, text: entry.label, size: labelSize, color: textColor });
+  };
+
+  if (position === 'right') {
+    const width = Math.min((area.right - area.left) / 3, Math.max(...entries.map(entryWidth)));
+    const rows = Math.max(1, Math.floor((area.bottom - area.top) / rowHeight));
+    entries.slice(0, rows).forEach((entry, index) => {
+      text(entry, area.right - width, area.top + rowHeight / 2 + index * rowHeight);
+    });
+    return { ...area, right: area.right - width - PADDING };
+  }
+
+  const lines = [[]];
+  let used = 0;
+  entries.forEach(entry => {
+    const width = entryWidth(entry);
+    if (used + width > area.right - area.left && lines[lines.length - 1].length) {
+      lines.push([]);
+      used = 0;
+    }
+    lines[lines.length - 1].push(entry);
+    used += width;
+  });
+  lines.forEach((line, row) => {
+    const total = line.reduce((sum, entry) => sum + entryWidth(entry), 0);
+    let x = (area.left + area.right - total) / 2;
+    line.forEach(entry => {
+      text(entry, x, area.top + rowHeight / 2 + row * rowHeight);
+      x += entryWidth(entry);
+    });
+  });
+  return { ...area, top: area.top + lines.length * rowHeight + 6 };
+}
+
+/**
+ * Range, ticks and tick labels for a value axis
+ * @param {Array<number>} values
+ * @param {Object} [scale] - Chart.js scale options (beginAtZero, grace, min, max, ticks.stepSize, ticks.callback)
+ * @param {boolean} [categories] - Ticks at whole numbers only (heatmap rows and columns)
+ * @returns {{ min: number, max: number, ticks: Array<{ value: number, label: string }> }}
+ */
+function valueAxis(values, scale = {}, categories = false) {
+  let low = Math.min(...values);
+  let high = Math.max(...values);
+  if (scale.beginAtZero) {
+    low = Math.min(0, low);
+    high = Math.max(0, high);
+  }
+  // Chart.js `grace`: extra room above and below the data, as an amount or a percentage of the range
+  const grace = typeof scale.grace === 'string' && scale.grace.endsWith('%')
+    ? ((high - low) * parseFloat(scale.grace)) / 100
+    : Number(scale.grace) || 0;
+  if (values.length && grace > 0) {
+    low -= low === 0 && scale.beginAtZero ? 0 : grace;
+    high += grace;
+  }
+  const nice = niceScale(values.length ? low : 0, values.length ? high : 1);
+  const min = typeof scale.min === 'number' ? scale.min : nice.min;
+  const max = typeof scale.max === 'number' ? scale.max : nice.max;
+  const stepSize = scale.ticks && Number(scale.ticks.stepSize) > 0 ? Number(scale.ticks.stepSize) : categories ? 1 : null;
+  const first = stepSize ? Math.ceil(min / stepSize - 1e-9) * stepSize : 0;
+  const positions = stepSize
+    ? Array.from({ length: Math.max(0, Math.floor((max - first) / stepSize + 1e-9) + 1) }, (value, i) => Number((first + i * stepSize).toFixed(10)))
+    : nice.ticks.filter(tick => tick >= min - 1e-9 && tick <= max + 1e-9);
+  const callback = scale.ticks && typeof scale.ticks.callback === 'function' ? scale.ticks.callback : null;
+  return {
+    min,
+    max: max === min ? min + 1 : max,
+    ticks: positions.map(value => {
+      let label = formatTick(value, stepSize || nice.step);
+      if (callback) {
+        try {
+          const custom = callback(value);
+          label = custom === undefined || custom === null ? '' : String(custom);
+        } catch (_) {
+          // Keep the number
+        }
+      }
+      return { value, label: shorten(label) };
+    })
+  };
+}
+
+/**
+ * Lay out a chart with x and y axes: bars (grouped, stacked or floating), lines,
+ * areas, scatter points, bubbles and heatmap cells. Datasets with `yAxisID: 'y1'`
+ * are measured against a second value axis on the right when `scales.y1` is set.
+ * @param {Object} scene
+ * @param {Object} config
+ * @param {Object} area
+ */
+function drawCartesian(scene, config, area) {
+  const datasets = datasetsOf(config);
+  const labels = (config.data && config.data.labels) || [];
+  const scales = (config.options && config.options.scales) || {};
+  const xScale = scales.x || {};
+  const yScale = scales.y || {};
+  const y1Scale = scales.y1 && datasets.some(dataset => dataset.yAxisID === 'y1') ? scales.y1 : null;
+  const onRight = dataset => Boolean(y1Scale) && dataset.yAxisID === 'y1';
+  // Points on a chart with labels (box plot outliers) sit on the label they name
+  const linearX = xScale.type === 'linear' || (!labels.length && datasets.some(dataset => dataset.data.some(isPoint)));
+  const cells = datasets.some(dataset => dataset.data.some(point => isPoint(point) && point.v !== undefined));
+  const typeOf = dataset => dataset.type || config.type;
+  const stacked = Boolean(yScale.stacked);
+  const categoryOf = (raw, index) => {
+    if (!isPoint(raw)) return index;
+    if (typeof raw.x === 'number') return raw.x;
+    const position = labels.map(String).indexOf(String(raw.x));
+    return position === -1 ? null : position;
+  };
+  const { axis: axisColor, grid: gridColor, text: textColor, labelSize } = scene.style;
+  // Room for a line of axis labels or an axis title
+  const line = labelSize + 6;
+
+  const yValues = [];
+  const y1Values = [];
+  const xValues = [];
+  const stackTops = [];
+  datasets.forEach(dataset => dataset.data.forEach((value, index) => {
+    const values = onRight(dataset) ? y1Values : yValues;
+    if (typeOf(dataset) === 'bar' && !cells) {
+      const range = barRange(value);
+      if (!range) return;
+      if (stacked && !onRight(dataset)) {
+        // Positive and negative values stack away from zero separately
+        const tops = stackTops[index] || (stackTops[index] = { up: 0, down: 0 });
+        const side = range[1] - range[0] >= 0 ? 'up' : 'down';
+        tops[side] += range[1] - range[0];
+        yValues.push(tops[side]);
+      } else {
+        values.push(...range);
+      }
+      return;
+    }
+    const y = numberOf(isPoint(value) ? value.y : value);
+    if (y !== null) values.push(y);
+    if (isPoint(value) && numberOf(value.x) !== null) xValues.push(numberOf(value.x));
+  }));
+  const yAxis = valueAxis(yValues, { beginAtZero: !linearX, ...yScale }, cells);
+  const y1Axis = y1Scale ? valueAxis(y1Values, { beginAtZero: true, ...y1Scale }) : null;
+  const xAxis = linearX ? valueAxis(xValues, xScale, cells) : null;
+  const titleOf = scale => scale.title && scale.title.display && scale.title.text ? String(scale.title.text) : null;
+  const xTitle = titleOf(xScale);
+  const yTitle = titleOf(yScale);
+  const y1Title = y1Scale ? titleOf(y1Scale) : null;
+
+  const tickWidth = Math.max(0, ...yAxis.ticks.map(tick => textWidth(tick.label, labelSize)));
+  const y1TickWidth = y1Axis ? Math.max(0, ...y1Axis.ticks.map(tick => textWidth(tick.label, labelSize))) + 8 : 0;
+  const plot = {
+    left: area.left + tickWidth + 8 + (yTitle ? line : 0),
+    top: area.top + 6,
+    right: area.right - 6 - y1TickWidth - (y1Title ? line : 0),
+    bottom: area.bottom - line - (xTitle ? line : 0)
+  };
+  const plotWidth = Math.max(1, plot.right - plot.left);
+  const plotHeight = Math.max(1, plot.bottom - plot.top);
+  const scaleAt = axis => value => plot.bottom - ((value - axis.min) / (axis.max - axis.min)) * plotHeight;
+  const yAt = scaleAt(yAxis);
+  const y1At = y1Axis ? scaleAt(y1Axis) : yAt;
+  const yAtFor = dataset => (onRight(dataset) ? y1At : yAt);
+  const zeroOf = axis => Math.min(Math.max(0, axis.min), axis.max);
+  const band = plotWidth / Math.max(1, labels.length);
+  const xAt = linearX
+    ? value => plot.left + ((value - xAxis.min) / (xAxis.max - xAxis.min)) * plotWidth
+    : index => plot.left + band * (index + 0.5);
+
+  // Grid and y ticks
+  yAxis.ticks.forEach(tick => {
+    const y = yAt(tick.value);
+    scene.items.push({ type: 'polyline', points: [[plot.left, y], [plot.right, y]], stroke: gridColor, strokeWidth: 1 });
+    scene.items.push({ type: 'text', x: plot.left - 6, y, text: tick.label, size: labelSize, color: textColor, anchor: 'end' });
+  });
+  // The right-hand axis only gets ticks; its grid lines would not match the left axis
+  if (y1Axis) {
+    y1Axis.ticks.forEach(tick => {
+      scene.items.push({ type: 'text', x: plot.right + 6, y: y1At(tick.value), text: tick.label, size: labelSize, color: textColor, anchor: 'start' });
+    });
+  }
+
+  // X ticks: numbers on a linear axis, otherwise as many labels as fit
+  if (linearX) {
+    xAxis.ticks.forEach(tick => {
+      const x = xAt(tick.value);
+      scene.items.push({ type: 'polyline', points: [[x, plot.top], [x, plot.bottom]], stroke: gridColor, strokeWidth: 1 });
+      scene.items.push({ type: 'text', x, y: plot.bottom + labelSize, text: tick.label, size: labelSize, color: textColor, anchor: 'middle' });
+    });
+  } else if (labels.length) {
+    const widest = Math.max(...labels.map(label => textWidth(shorten(label), labelSize))) + 6;
+    const every = Math.max(1, Math.ceil(widest / band));
+    labels.forEach((label, index) => {
+      if (index % every) return;
+      scene.items.push({ type: 'text', x: xAt(index), y: plot.bottom + labelSize, text: shorten(label), size: labelSize, color: textColor, anchor: 'middle' });
+    });
+  }
+  if (xTitle) {
+    scene.items.push({ type: 'text', x: (plot.left + plot.right) / 2, y: area.bottom - 6, text: shorten(xTitle), size: labelSize, color: textColor, anchor: 'middle', bold: true });
+  }
+  if (yTitle) {
+    scene.items.push({ type: 'text', x: area.left + 6, y: (plot.top + plot.bottom) / 2, text: shorten(yTitle), size: labelSize, color: textColor, anchor: 'middle', bold: true, rotate: -90 });
+  }
+  if (y1Title) {
+    scene.items.push({ type: 'text', x: area.right - 6, y: (plot.top + plot.bottom) / 2, text: shorten(y1Title), size: labelSize, color: textColor, anchor: 'middle', bold: true, rotate: -90 });
+  }
+
+  // Heatmap cells
+  if (cells) {
+    const cellWidth = plotWidth / Math.max(1, xAxis.max - xAxis.min) * 0.95;
+    const cellHeight = plotHeight / Math.max(1, yAxis.max - yAxis.min) * 0.95;
+    datasets.forEach((dataset, datasetIndex) => {
+      const highest = Math.max(...dataset.data.map(point => numberOf(point && point.v) || 0));
+      dataset.data.forEach((point, index) => {
+        if (!isPoint(point)) return;
+        const base = datasetColor(dataset, datasetIndex, scene.style.palette);
+        const value = numberOf(point.v) || 0;
+        const fill = colorAt(dataset.backgroundColor, index, { parsed: point, raw: point, dataIndex: index })
+          || withAlpha(base, highest > 0 ? Math.max(0, value / highest) : 0);
+        scene.items.push({
+          type: 'rect',
+          x: xAt(point.x) - cellWidth / 2,
+          y: yAt(point.y) - cellHeight / 2,
+          width: cellWidth,
+          height: cellHeight,
+          fill
+        });
+      });
+    });
+  }
+
+  // Bars, grouped side by side within each label's band unless stacked or
+  // `grouped: false`; like Chart.js, datasets with a higher `order` are drawn first
+  const bars = cells ? [] : datasets.filter(dataset => typeOf(dataset) === 'bar');
+  const slotted = stacked ? [] : bars.filter(dataset => dataset.grouped !== false);
+  const slotWidth = (band * 0.8) / Math.max(1, slotted.length);
+  const bases = [];
+  const drawn = bars
+    .map((dataset, position) => ({ dataset, position }))
+    .sort((a, b) => (b.dataset.order || 0) - (a.dataset.order || 0) || b.position - a.position);
+  // Stacks build up in dataset order, whatever order they are drawn in
+  const stackStarts = bars.map(dataset => dataset.data.map((raw, index) => {
+    const range = barRange(raw);
+    if (!stacked || onRight(dataset) || !range) return range;
+    const base = bases[index] || (bases[index] = { up: 0, down: 0 });
+    const size = range[1] - range[0];
+    const side = size >= 0 ? 'up' : 'down';
+    const start = base[side];
+    base[side] += size;
+    return [start, start + size];
+  }));
+  drawn.forEach(({ dataset, position }) => {
+    const slot = slotted.indexOf(dataset);
+    const width = (slot === -1 ? band * 0.8 : slotWidth) * (Number(dataset.barPercentage) || 1);
+    const barY = yAtFor(dataset);
+    dataset.data.forEach((raw, index) => {
+      const range = stackStarts[position][index];
+      if (!range) return;
+      const left = slot === -1 ? plot.left + band * index + band * 0.1 : plot.left + band * index + band * 0.1 + slotWidth * slot;
+      const slotSize = slot === -1 ? band * 0.8 : slotWidth;
+      const top = Math.min(barY(range[0]), barY(range[1]));
+      scene.items.push(withPattern({
+        type: 'rect',
+        x: left + (slotSize - width) / 2,
+        y: top,
+        width,
+        height: Math.abs(barY(range[1]) - barY(range[0])),
+        fill: colorAt(dataset.backgroundColor, index) || datasetColor(dataset, position, scene.style.palette),
+        stroke: dataset.borderWidth ? colorAt(dataset.borderColor, index) : null,
+        strokeWidth: dataset.borderWidth || 0
+      }, patternAt(dataset.pattern, index)));
+    });
+  });
+
+  // Lines, areas and points
+  if (!cells) {
+    datasets.forEach((dataset, datasetIndex) => {
+      const type = typeOf(dataset);
+      if (type === 'bar') return;
+      const color = datasetColor(dataset, datasetIndex, scene.style.palette);
+      const pointY = yAtFor(dataset);
+      const zero = pointY(zeroOf(onRight(dataset) ? y1Axis : yAxis));
+      const points = dataset.data.map((raw, index) => {
+        const y = numberOf(isPoint(raw) ? raw.y : raw);
+        const x = linearX ? (isPoint(raw) ? numberOf(raw.x) : index) : categoryOf(raw, index);
+        return y === null || x === null ? null : [xAt(x), pointY(y)];
+      });
+      const runs = [[]];
+      points.forEach(point => {
+        if (point) runs[runs.length - 1].push(point);
+        else if (runs[runs.length - 1].length) runs.push([]);
+      });
+      const drawLine = dataset.showLine === undefined ? type === 'line' : Boolean(dataset.showLine);
+
+      if (drawLine && dataset.fill) {
+        const fill = colorAt(dataset.backgroundColor, 0) || withAlpha(color, 0.25);
+        runs.filter(run => run.length > 1).forEach(run => {
+          scene.items.push({ type: 'polygon', points: [...run, [run[run.length - 1][0], zero], [run[0][0], zero]], fill });
+        });
+      }
+      if (drawLine) {
+        runs.filter(run => run.length > 1).forEach(run => {
+          scene.items.push({
+            type: 'polyline',
+            points: run,
+            stroke: color,
+            strokeWidth: dataset.borderWidth || 2,
+            dash: Array.isArray(dataset.borderDash) ? dataset.borderDash : undefined
+          });
+        });
+      }
+      const radius = dataset.pointRadius !== undefined ? Number(dataset.pointRadius) : 3;
+      points.forEach((point, index) => {
+        if (!point) return;
+        const raw = dataset.data[index];
+        // Bubbles carry their own radius
+        const r = isPoint(raw) && numberOf(raw.r) !== null ? numberOf(raw.r) : radius;
+        if (!(r > 0)) return;
+        if (dataset.pointStyle === 'line') {
+          scene.items.push({
+            type: 'polyline',
+            points: [[point[0] - r, point[1]], [point[0] + r, point[1]]],
+            stroke: colorAt(dataset.pointBorderColor, index) || colorAt(dataset.borderColor, index) || color,
+            strokeWidth: Number(dataset.pointBorderWidth) || 1
+          });
+          return;
+        }
+        const fill = drawLine
+          ? colorAt(dataset.pointBackgroundColor, index) || color
+          : colorAt(dataset.backgroundColor, index) || color;
+        const stroke = type === 'bubble' && dataset.borderWidth ? colorAt(dataset.borderColor, index) : null;
+        scene.items.push({ type: 'circle', cx: point[0], cy: point[1], r, fill, stroke, strokeWidth: stroke ? dataset.borderWidth : 0 });
+      });
+    });
+  }
+
+  scene.items.push({ type: 'polyline', points: [[plot.left, plot.top], [plot.left, plot.bottom], [plot.right, plot.bottom]], stroke: axisColor, strokeWidth: 1 });
+  if (y1Axis) {
+    scene.items.push({ type: 'polyline', points: [[plot.right, plot.top], [plot.right, plot.bottom]], stroke: axisColor, strokeWidth: 1 });
+  }
+}
+
+/**
+ * Points along an arc
+ * @returns {Array<Array<number>>}
+ */
+function arcPoints(cx, cy, r, from, to) {
+  const steps = Math.max(2, Math.ceil(Math.abs(to - from) / (Math.PI / 90)));
+  return Array.from({ length: steps + 1 }, (value, i) => {
+    const angle = from + ((to - from) * i) / steps;
+    return [cx + Math.cos(angle) * r, cy + Math.sin(angle) * r];
+  });
+}
+
+/**
+ * Lay out a pie or doughnut chart; several datasets become rings
+ * @param {Object} scene
+ * @param {Object} config
+ * @param {Object} area
+ */
+function drawPie(scene, config, area) {
+  const datasets = datasetsOf(config);
+  const cx = (area.left + area.right) / 2;
+  const cy = (area.top + area.bottom) / 2;
+  const outer = Math.max(1, Math.min(area.right - area.left, area.bottom - area.top) / 2 - 4);
+  const cutout = config.type === 'doughnut' ? 0.5 : 0;
+  const ring = (outer * (1 - cutout)) / Math.max(1, datasets.length);
+  // Slices are split by lines in the background colour
+  const edge = parseColor(scene.style.background);
+
+  datasets.forEach((dataset, order) => {
+    const values = dataset.data.map(value => Math.max(0, numberOf(value) || 0));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) return;
+    const r = outer - ring * order;
+    const inner = r - ring;
+    let angle = -Math.PI / 2;
+    values.forEach((value, index) => {
+      if (!value) return;
+      const next = angle + (value / total) * Math.PI * 2;
+      const points = inner > 0.5
+        ? [...arcPoints(cx, cy, r, angle, next), ...arcPoints(cx, cy, inner, next, angle)]
+        : [[cx, cy], ...arcPoints(cx, cy, r, angle, next)];
+      scene.items.push(withPattern({
+        type: 'polygon',
+        points,
+        fill: colorAt(dataset.backgroundColor, index) || paletteColor(scene.style.palette, index),
+        stroke: edge,
+        strokeWidth: 1
+      }, patternAt(dataset.pattern, index)));
+      angle = next;
+    });
+  });
+}
+
+/**
+ * Lay out a radar chart: a web of value rings with one polygon per dataset
+ * @param {Object} scene
+ * @param {Object} config
+ * @param {Object} area
+ */
+function drawRadar(scene, config, area) {
+  const datasets = datasetsOf(config);
+  const labels = (config.data && config.data.labels) || [];
+  const spokes = Math.max(3, labels.length);
+  const cx = (area.left + area.right) / 2;
+  const cy = (area.top + area.bottom) / 2;
+  const { axis: axisColor, grid: gridColor, text: textColor, labelSize } = scene.style;
+  const widest = Math.max(0, ...labels.map(label => textWidth(shorten(label), labelSize)));
+  const r = Math.max(1, Math.min((area.right - area.left) / 2 - widest - 8, (area.bottom - area.top) / 2 - 16));
+  const values = [];
+  datasets.forEach(dataset => dataset.data.forEach(value => {
+    if (numberOf(value) !== null) values.push(numberOf(value));
+  }));
+  const scale = niceScale(0, Math.max(0, ...values), 4);
+  const angleOf = index => -Math.PI / 2 + (index / spokes) * Math.PI * 2;
+  const at = (index, value, beyond = 0) => {
+    const distance = (Math.max(0, value) / scale.max) * r + beyond;
+    return [cx + Math.cos(angleOf(index)) * distance, cy + Math.sin(angleOf(index)) * distance];
+  };
+
+  scale.ticks.filter(tick => tick > 0).forEach(tick => {
+    scene.items.push({ type: 'polygon', points: Array.from({ length: spokes }, (value, i) => at(i, tick)), stroke: gridColor, strokeWidth: 1 });
+    scene.items.push({ type: 'text', x: cx + 4, y: at(0, tick)[1] + 6, text: formatTick(tick, scale.step), size: labelSize, color: axisColor });
+  });
+  for (let i = 0; i < spokes; i++) {
+    scene.items.push({ type: 'polyline', points: [[cx, cy], at(i, scale.max)], stroke: gridColor, strokeWidth: 1 });
+    if (labels[i] === undefined) continue;
+    const [x, y] = at(i, scale.max, 12);
+    const cos = Math.cos(angleOf(i));
+    const anchor = Math.abs(cos) < 0.2 ? 'middle' : cos > 0 ? 'start' : 'end';
+    scene.items.push({ type: 'text', x, y, text: shorten(labels[i]), size: labelSize, color: textColor, anchor });
+  }
+
+  datasets.forEach((dataset, order) => {
+    const color = datasetColor(dataset, order, scene.style.palette);
+    const points = Array.from({ length: spokes }, (value, i) => at(i, numberOf(dataset.data[i]) || 0));
+    scene.items.push({
+      type: 'polygon',
+      points,
+      fill: colorAt(dataset.backgroundColor, 0) || withAlpha(color, 0.15),
+      stroke: color,
+      strokeWidth: dataset.borderWidth || 2
+    });
+    const radius = dataset.pointRadius !== undefined ? Number(dataset.pointRadius) : 3;
+    if (radius > 0) {
+      points.forEach(([x, y]) => scene.items.push({ type: 'circle', cx: x, cy: y, r: radius, fill: color }));
+    }
+  });
+}
+
+/**
+ * Lay out a Chart.js config as a scene of shapes in pixels
+ * @param {Object} config - Chart.js config ({ type, data, options })
+ * @param {Object} [options]
+ * @param {number} [options.width=800]
+ * @param {number} [options.height=500]
+ * @param {string} [options.background] - Any CSS colour the renderer reads, or 'transparent';
+ *   defaults to the theme's background, white without a theme
+ * @returns {{ width: number, height: number, style: Object, items: Array<Object> }} Scene
+ */
+function buildScene(config, options = {}) {
+  const width = options.width || DEFAULT_WIDTH;
+  const height = options.height || DEFAULT_HEIGHT;
+  const style = sceneStyle(config);
+  const scene = { width, height, style, items: [] };
+  const background = parseColor(options.background || style.background);
+  if (background && background.a > 0) {
+    scene.items.push({ type: 'rect', x: 0, y: 0, width, height, fill: background });
+  }
+
+  const plugins = (config.options && config.options.plugins) || {};
+  let area = { left: PADDING, top: PADDING, right: width - PADDING, bottom: height - PADDING };
+
+  const title = plugins.title && plugins.title.display !== false && plugins.title.text;
+  if (title) {
+    scene.items.push({
+      type: 'text',
+      x: width / 2,
+      y: area.top + style.titleSize / 2,
+      text: String(title),
+      size: style.titleSize,
+      color: style.text,
+      anchor: 'middle',
+      bold: true
+    });
+    area = { ...area, top: area.top + style.titleSize + 10 };
+  }
+
+  const legend = plugins.legend || {};
+  const entries = legend.display === false ? [] : legendEntries(config, style.palette);
+  if (entries.length) {
+    area = drawLegend(scene, entries, area, legend.position === 'right' ? 'right' : 'top');
+  }
+
+  if (['pie', 'doughnut', 'polarArea'].includes(config.type)) drawPie(scene, config, area);
+  else if (config.type === 'radar') drawRadar(scene, config, area);
+  else drawCartesian(scene, config, area);
+  return scene;
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * SVG paint attributes for a colour
+ * @param {string} name - 'fill' or 'stroke'
+ * @param {Object|null} color
+ * @returns {string} Attributes
+ */
+function paint(name, color) {
+  if (!color || color.a <= 0) return `${name}="none"`;
+  const hex = `#${[color.r, color.g, color.b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  return color.a < 1 ? `${name}="${hex}" ${name}-opacity="${num(color.a)}"` : `${name}="${hex}"`;
+}
+
+function strokeAttributes(item) {
+  if (!item.stroke) return '';
+  const dash = item.dash && item.dash.length ? ` stroke-dasharray="${item.dash.map(num).join(' ')}"` : '';
+  return ` ${paint('stroke', item.stroke)} stroke-width="${num(item.strokeWidth || 1)}"${dash}`;
+}
+
+/**
+ * SVG pattern element for a scene pattern, tiled from the top left of the image
+ * @param {string} id
+ * @param {{ name: string, color: Object }} pattern
+ * @returns {string} Markup
+ */
+function patternDef(id, pattern) {
+  const shape = chartThemes.PATTERN_SHAPES[pattern.name];
+  const tile = chartThemes.PATTERN_TILE;
+  const marks = shape.filled
+    ? paint('fill', pattern.color)
+    : `fill="none" ${paint('stroke', pattern.color)} stroke-width="2"`;
+  return `<pattern id="${id}" width="${tile}" height="${tile}" patternUnits="userSpaceOnUse"><path d="${shape.path}" ${marks}/></pattern>`;
+}
+
+/**
+ * Write a scene as an SVG document
+ * @param {Object} scene - From buildScene
+ * @returns {string} SVG markup
+ */
+function toSvg(scene) {
+  const list = points => points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+  const patterns = new Map();
+  // A patterned shape is drawn again on top, filled with the pattern
+  const overlay = (item, shape) => {
+    if (!item.pattern) return '';
+    const id = `pattern-${item.pattern.name}-${item.pattern.ink}`;
+    if (!patterns.has(id)) patterns.set(id, patternDef(id, item.pattern));
+    return `\n${shape} fill="url(#${id})"/>`;
+  };
+  const elements = scene.items.map(item => {
+    switch (item.type) {
+      case 'rect': {
+        const shape = `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.width)}" height="${num(item.height)}"`;
+        return `${shape} ${paint('fill', item.fill)}${strokeAttributes(item)}/>${overlay(item, shape)}`;
+      }
+      case 'polygon': {
+        const shape = `<polygon points="${list(item.points)}"`;
+        return `${shape} ${paint('fill', item.fill)}${strokeAttributes(item)}/>${overlay(item, shape)}`;
+      }
+      case 'polyline':
+        return `<polyline points="${list(item.points)}" fill="none"${strokeAttributes(item)} stroke-linejoin="round"/>`;
+      case 'circle':
+        return `<circle cx="${num(item.cx)}" cy="${num(item.cy)}" r="${num(item.r)}" ${paint('fill', item.fill)}${strokeAttributes(item)}/>`;
+      case 'text': {
+        const anchor = item.anchor && item.anchor !== 'start' ? ` text-anchor="${item.anchor}"` : '';
+        const weight = item.bold ? ' font-weight="bold"' : '';
+        const rotate = item.rotate ? ` transform="rotate(${item.rotate} ${num(item.x)} ${num(item.y)})"` : '';
+        return `<text x="${num(item.x)}" y="${num(item.y)}" font-size="${item.size}" dominant-baseline="middle"${anchor}${weight}${rotate} ${paint('fill', item.color)}>${escapeXml(item.text)}</text>`;
+      }
+      default:
+        return '';
+    }
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" font-family="${FONT_FAMILY}">`,
+    ...(patterns.size ? [`<defs>${[...patterns.values()].join('')}</defs>`] : []),
+    ...elements.filter(Boolean),
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Render a Chart.js config as an image
+ * @param {Object} config - Chart.js config, e.g. the `config` from chartGenerator.generateChart
+ * @param {Object} [options]
+ * @param {string} [options.format='svg'] - 'svg' or 'png'
+ * @param {number} [options.width=800] - Pixels, 100 to 2000
+ * @param {number} [options.height=500] - Pixels, 100 to 2000
+ * @param {string} [options.background] - Background colour or 'transparent'; defaults to the
+ *   theme's background, white without a theme
+ * @returns {{ contentType: string, extension: string, body: string|Buffer }} The image
+ * @throws {Error} If the config or options are invalid
+ */
+function renderChart(config, options = {}) {
+  if (!config || typeof config !== 'object' || !config.data || typeof config.data !== 'object') {
+    throw new Error('config must be a chart config with data');
+  }
+  const format = options.format || 'svg';
+  if (!RENDER_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${RENDER_FORMATS.join(', ')}`);
+  }
+  const size = name => {
+    const value = options[name] === undefined ? (name === 'width' ? DEFAULT_WIDTH : DEFAULT_HEIGHT) : Number(options[name]);
+    if (!Number.isInteger(value) || value < MIN_SIZE || value > MAX_SIZE) {
+      throw new Error(`${name} must be a whole number from ${MIN_SIZE} to ${MAX_SIZE}`);
+    }
+    return value;
+  };
+  if (options.background !== undefined && !parseColor(options.background)) {
+    throw new Error('background must be a colour such as #ffffff or transparent');
+  }
+
+  const scene = buildScene(config, { width: size('width'), height: size('height'), background: options.background });
+  return format === 'png'
+    ? { contentType: 'image/png', extension: 'png', body: renderPng(scene) }
+    : { contentType: 'image/svg+xml', extension: 'svg', body: toSvg(scene) };
+}
+
+module.exports = {
+  RENDER_FORMATS,
+  parseColor,
+  buildScene,
+  toSvg,
+  renderChart
+};
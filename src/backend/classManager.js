@@ -0,0 +1,337 @@
+/**
+ * Class Manager Module
+ *
+ * Classes, join codes and student rosters for the ApparentlyAR platform.
+ * Students are pseudonymous: they join a class with its join code and a
+ * nickname, and get back a personal login code for later visits. Only a
+ * hash of each login code is stored, so a facilitator can reset a code but
+ * never read it back.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./storage/atomicWrite');
+
+// Overridable so tests can use a scratch file
+const CLASSES_FILE = process.env.CLASSES_FILE || path.join(__dirname, '../../classes.json');
+
+// No 0/O or 1/I/L so codes survive being read aloud or copied from a board
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random code from the unambiguous alphabet
+ * @param {number} length - Number of characters
+ * @returns {string} Random code
+ */
+function randomCode(length) {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function normaliseCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function hashLoginCode(code) {
+  return crypto.createHash('sha256').update(normaliseCode(code)).digest('hex');
+}
+
+/**
+ * Read classes from JSON file
+ * @returns {Array} Array of class objects; empty when the file does not exist
+ * @throws {Error} If the file exists but does not hold a list of classes;
+ *   it is never overwritten, so the rosters in it can be recovered by hand
+ */
+function readClasses() {
+  if (!fs.existsSync(CLASSES_FILE)) {
+    return [];
+  }
+  let classes;
+  try {
+    classes = JSON.parse(fs.readFileSync(CLASSES_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read classes file ${CLASSES_FILE}: ${error.message}`);
+  }
+  if (!Array.isArray(classes)) {
+    throw new Error(`Cannot read classes file ${CLASSES_FILE}: expected a list of classes`);
+  }
+  return classes;
+}
+
+/**
+ * Write classes to JSON file
+ * @param {Array} classes - Array of class objects
+ */
+function writeClasses(classes) {
+  writeJsonAtomic(CLASSES_FILE, classes);
+}
+
+/**
+ * Public view of a student (no login code hash)
+ * @param {Object} student - Stored student record
+ * @param {string} classId - Owning class id
+ * @returns {Object} Student safe to send to clients
+ */
+function toPublicStudent(student, classId) {
+  return {
+    id: student.id,
+    nickname: student.nickname,
+    classId,
+    role: 'student',
+    joinedAt: student.joinedAt,
+    projectIds: student.projectIds || []
+  };
+}
+
+/**
+ * Public view of a class with its roster
+ * @param {Object} klass - Stored class record
+ * @returns {Object} Class safe to send to facilitators
+ */
+function toPublicClass(klass) {
+  return {
+    id: klass.id,
+    name: klass.name,
+    joinCode: klass.joinCode,
+    facilitatorId: klass.facilitatorId,
+    createdAt: klass.createdAt,
+    students: klass.students.map(student => toPublicStudent(student, klass.id))
+  };
+}
+
+function uniqueJoinCode(classes) {
+  let code;
+  do {
+    code = randomCode(6);
+  } while (classes.some(klass => klass.joinCode === code));
+  return code;
+}
+
+/**
+ * List classes, optionally only those owned by one facilitator
+ * @param {string} [facilitatorId]
+ * @returns {Array} Public class objects
+ */
+function listClasses(facilitatorId) {
+  return readClasses()
+    .filter(klass => !facilitatorId || klass.facilitatorId === facilitatorId)
+    .map(toPublicClass);
+}
+
+/**
+ * Get a class by ID
+ * @param {string} classId
+ * @returns {Object|null} Public class object or null if not found
+ */
+function getClassById(classId) {
+  const klass = readClasses().find(item => item.id === classId);
+  return klass ? toPublicClass(klass) : null;
+}
+
+/**
+ * Create a class with a fresh join code
+ * @param {{ name: string, facilitatorId: string }} details
+ * @returns {Object} Public class object
+ */
+function createClass({ name, facilitatorId } = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Class name is required.');
+  }
+  const classes = readClasses();
+  const klass = {
+    id: `cls_${crypto.randomBytes(6).toString('hex')}`,
+    name: name.trim(),
+    joinCode: uniqueJoinCode(classes),
+    facilitatorId: facilitatorId || null,
+    createdAt: new Date().toISOString(),
+    students: []
+  };
+  classes.push(klass);
+  writeClasses(classes);
+  return toPublicClass(klass);
+}
+
+/**
+ * Replace a class's join code, e.g. after it was shared too widely
+ * @param {string} classId
+ * @returns {Object|null} Updated public class or null if not found
+ */
+function regenerateJoinCode(classId) {
+  const classes = readClasses();
+  const klass = classes.find(item => item.id === classId);
+  if (!klass) return null;
+  klass.joinCode = uniqueJoinCode(classes);
+  writeClasses(classes);
+  return toPublicClass(klass);
+}
+
+/**
+ * Delete a class and its roster
+ * @param {string} classId
+ * @returns {boolean} True if a class was removed
+ */
+function deleteClass(classId) {
+  const classes = readClasses();
+  const remaining = classes.filter(item => item.id !== classId);
+  if (remaining.length === classes.length) return false;
+  writeClasses(remaining);
+  return true;
+}
+
+/**
+ * Join a class as a new pseudonymous student
+ * @param {string} joinCode - Class join code
+ * @param {string} nickname - Name shown to the facilitator
+ * @returns {{ student: Object, loginCode: string }|null} New student and their login code, or null for an unknown join code
+ */
+function joinClass(joinCode, nickname) {
+  if (typeof nickname !== 'string' || !nickname.trim() || nickname.trim().length > 40) {
+    throw new Error('Nickname must be between 1 and 40 characters.');
+  }
+  const classes = readClasses();
+  const klass = classes.find(item => item.joinCode === normaliseCode(joinCode));
+  if (!klass) return null;
+
+  const wanted = nickname.trim().toLowerCase();
+  if (klass.students.some(student => student.nickname.toLowerCase() === wanted)) {
+    throw new Error('That nickname is already used in this class.');
+  }
+
+  const loginCode = `${randomCode(4)}-${randomCode(4)}`;
+  const student = {
+    id: `stu_${crypto.randomBytes(6).toString('hex')}`,
+    nickname: nickname.trim(),
+    loginCodeHash: hashLoginCode(loginCode),
+    joinedAt: new Date().toISOString(),
+    projectIds: []
+  };
+  klass.students.push(student);
+  writeClasses(classes);
+  return { student: toPublicStudent(student, klass.id), loginCode };
+}
+
+/**
+ * Find a student by their personal login code
+ * @param {string} loginCode
+ * @returns {Object|null} Public student or null when the code is unknown
+ */
+function authenticateStudent(loginCode) {
+  if (!normaliseCode(loginCode)) return null;
+  const hash = hashLoginCode(loginCode);
+  for (const klass of readClasses()) {
+    const student = klass.students.find(item => item.loginCodeHash === hash);
+    if (student) return toPublicStudent(student, klass.id);
+  }
+  return null;
+}
+
+/**
+ * Get a student by ID
+ * @param {string} studentId
+ * @returns {Object|null} Public student or null if not found
+ */
+function getStudentById(studentId) {
+  for (const klass of readClasses()) {
+    const student = klass.students.find(item => item.id === studentId);
+    if (student) return toPublicStudent(student, klass.id);
+  }
+  return null;
+}
+
+/**
+ * Issue a new login code for a student who lost theirs
+ * @param {string} classId
+ * @param {string} studentId
+ * @returns {string|null} The new login code or null if not found
+ */
+function resetStudentLoginCode(classId, studentId) {
+  const classes = readClasses();
+  const klass = classes.find(item => item.id === classId);
+  const student = klass && klass.students.find(item => item.id === studentId);
+  if (!student) return null;
+  const loginCode = `${randomCode(4)}-${randomCode(4)}`;
+  student.loginCodeHash = hashLoginCode(loginCode);
+  writeClasses(classes);
+  return loginCode;
+}
+
+/**
+ * Remove a student from a class roster
+ * @param {string} classId
+ * @param {string} studentId
+ * @returns {boolean} True if the student was removed
+ */
+function removeStudent(classId, studentId) {
+  const classes = readClasses();
+  const klass = classes.find(item => item.id === classId);
+  if (!klass) return false;
+  const before = klass.students.length;
+  klass.students = klass.students.filter(item => item.id !== studentId);
+  if (klass.students.length === before) return false;
+  writeClasses(classes);
+  return true;
+}
+
+/**
+ * Record that a student joined a project
+ * @param {string} studentId
+ * @param {number} projectId
+ * @returns {Array<number>|null} The student's project ids or null if not found
+ */
+function addStudentProject(studentId, projectId) {
+  const classes = readClasses();
+  for (const klass of classes) {
+    const student = klass.students.find(item => item.id === studentId);
+    if (student) {
+      student.projectIds = student.projectIds || [];
+      if (!student.projectIds.includes(projectId)) {
+        student.projectIds.push(projectId);
+        writeClasses(classes);
+      }
+      return student.projectIds;
+    }
+  }
+  return null;
+}
+
+/**
+ * Forget a project on a student's dashboard
+ * @param {string} studentId
+ * @param {number} projectId
+ * @returns {Array<number>|null} Remaining project ids or null if not found
+ */
+function removeStudentProject(studentId, projectId) {
+  const classes = readClasses();
+  for (const klass of classes) {
+    const student = klass.students.find(item => item.id === studentId);
+    if (student) {
+      student.projectIds = (student.projectIds || []).filter(id => id !== projectId);
+      writeClasses(classes);
+      return student.projectIds;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  listClasses,
+  getClassById,
+  createClass,
+  regenerateJoinCode,
+  deleteClass,
+  joinClass,
+  authenticateStudent,
+  getStudentById,
+  resetStudentLoginCode,
+  removeStudent,
+  addStudentProject,
+  removeStudentProject
+};
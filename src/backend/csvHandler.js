@@ -1,18 +1,415 @@
+/**
+ * CSV Handler Module
+ *
+ * RFC 4180 CSV parsing for project uploads. The parser is incremental, so
+ * files are read as a stream, and handles quoted fields (with embedded
+ * delimiters, quotes and newlines), CRLF/LF/CR line endings, byte order
+ * marks and legacy encodings. The delimiter (comma, semicolon or tab) is
+ * detected from the first lines unless given. Malformed rows are kept where
+ * possible and reported in a structured `errors` list instead of throwing.
+ *
+ * @author ApparentlyAR Team
+ * @version 2.0.0
+ */
+
 const fs = require('fs');
 const path = require('path');
 
-// Helper function to parse CSV text into JSON format
-function parseCSV(csvText) {
-    const rows = csvText.split('\n').filter(row => row.trim() !== '');
-    const headers = rows[0].split(','); // First row is the header
-    const data = rows.slice(1).map(row => {
-        const values = row.split(',');
-        return headers.reduce((obj, header, index) => {
-            obj[header.trim()] = values[index].trim();
-            return obj;
-        }, {});
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+// How much text to look at before choosing a delimiter
+const SNIFF_LINES = 10;
+const SNIFF_CHARS = 64 * 1024;
+
+// Stop listing individual row errors after this many; errorCount keeps counting
+const MAX_REPORTED_ERRORS = 100;
+
+const DEFAULT_OPTIONS = {
+    delimiter: 'auto',
+    headerRow: 0,
+    trim: true,
+    skipEmptyLines: true
+};
+
+/**
+ * Work out the text encoding of raw file bytes
+ * @param {Buffer} buffer - File contents or the first chunk of them
+ * @param {boolean} [partial=false] - True when more bytes follow, so a multi-byte
+ *   character may be cut off at the end
+ * @returns {string} 'utf-8', 'utf-16le', 'utf-16be' or 'windows-1252'
+ */
+function detectEncoding(buffer, partial = false) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+        return 'utf-8';
+    } catch (_) {
+        // Spreadsheet exports on Windows are usually cp1252
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Create a decoder for an encoding, falling back to latin1 when the runtime lacks it
+ * @param {string} encoding
+ * @returns {{ decode: function(Buffer, Object=): string }}
+ */
+function createDecoder(encoding) {
+    try {
+        return new TextDecoder(encoding);
+    } catch (_) {
+        return { decode: (buffer) => (buffer ? Buffer.from(buffer).toString('latin1') : '') };
+    }
+}
+
+/**
+ * Count delimiter occurrences on each non-blank line, ignoring anything inside quotes
+ * @param {string} sample - First lines of the file
+ * @param {string} delimiter
+ * @returns {Array<number>} Count for each line
+ */
+function countPerLine(sample, delimiter) {
+    const counts = [];
+    let count = 0;
+    let blank = true;
+    let inQuotes = false;
+    for (let i = 0; i < sample.length; i++) {
+        const char = sample[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            if (char === '\r' && sample[i + 1] === '\n') i++;
+            if (!blank) counts.push(count);
+            count = 0;
+            blank = true;
+            continue;
+        } else if (!inQuotes && char === delimiter) {
+            count++;
+        }
+        blank = false;
+    }
+    if (!blank) counts.push(count);
+    return counts;
+}
+
+/**
+ * Guess the delimiter from the first lines of a file. A candidate that
+ * appears the same number of times on every line wins; otherwise the most
+ * frequent candidate does, and comma is the fallback.
+ * @param {string} sample - First lines of the file
+ * @returns {string} ',', ';' or '\t'
+ */
+function detectDelimiter(sample) {
+    let best = ',';
+    let bestScore = 0;
+    CANDIDATE_DELIMITERS.forEach(delimiter => {
+        const counts = countPerLine(sample, delimiter);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total === 0) return;
+        const consistent = counts.every(count => count === counts[0]);
+        const score = (consistent ? SNIFF_CHARS : 0) + total;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Give empty and repeated header names unique, usable names
+ * @param {Array<string>} names - Raw header cells
+ * @returns {Array<string>} Column names
+ */
+function normaliseHeaders(names) {
+    const seen = new Map();
+    return names.map((name, index) => {
+        const base = name || `column_${index + 1}`;
+        const used = seen.get(base) || 0;
+        seen.set(base, used + 1);
+        return used === 0 ? base : `${base}_${used + 1}`;
+    });
+}
+
+/**
+ * Incremental RFC 4180 parser. Feed text with write() as it arrives and call
+ * end() once; records never depend on where the chunk boundaries fall.
+ */
+class CsvParser {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.delimiter='auto'] - ',', ';', '\t' or 'auto'
+     * @param {number|null} [options.headerRow=0] - Index of the record holding column
+     *   names (records before it are skipped), or null when the file has no header
+     * @param {boolean} [options.trim=true] - Trim whitespace around unquoted values
+     * @param {boolean} [options.skipEmptyLines=true] - Ignore blank lines
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.delimiter = this.options.delimiter === 'auto' ? null : this.options.delimiter;
+        this.pending = '';
+        this.started = false;
+
+        this.headers = null;
+        this.data = [];
+        this.errors = [];
+        this.errorCount = 0;
+        this.recordIndex = 0;
+
+        // Tokenizer state
+        this.field = '';
+        this.record = [];
+        this.state = 'fieldStart';
+        this.quoted = false;
+        this.line = 1;
+        this.recordLine = 1;
+        this.skipLineFeed = false;
+    }
+
+    /**
+     * Add text to the parser
+     * @param {string} text - Next chunk of the file
+     */
+    write(text) {
+        if (!this.started) {
+            text = this.pending + text;
+            if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+            if (!this.delimiter) {
+                const lines = text.split(/\r\n|\n|\r/).length - 1;
+                if (lines < SNIFF_LINES && text.length < SNIFF_CHARS) {
+                    this.pending = text;
+                    return;
+                }
+                this.delimiter = detectDelimiter(text.slice(0, SNIFF_CHARS));
+            }
+            this.pending = '';
+            this.started = true;
+        }
+        this.consume(text);
+    }
+
+    /**
+     * Finish parsing
+     * @returns {{ headers: Array<string>, data: Array<Object>, errors: Array<Object>, meta: Object }}
+     */
+    end() {
+        if (!this.started) {
+            this.delimiter = this.delimiter || detectDelimiter(this.pending);
+            this.started = true;
+            const text = this.pending;
+            this.pending = '';
+            this.consume(text);
+        }
+
+        if (this.state === 'quoted') {
+            this.addError('Quotes', 'MissingQuotes', 'Quoted field is missing its closing quote', this.recordLine);
+        }
+        if (this.state !== 'fieldStart' || this.field !== '' || this.record.length > 0) {
+            this.endField();
+            this.endRecord();
+        }
+
+        return {
+            headers: this.headers || [],
+            data: this.data,
+            errors: this.errors,
+            meta: {
+                delimiter: this.delimiter,
+                rowCount: this.data.length,
+                errorCount: this.errorCount,
+                truncatedErrors: this.errorCount > this.errors.length
+            }
+        };
+    }
+
+    consume(text) {
+        const delimiter = this.delimiter;
+        const trim = this.options.trim;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.state === 'quoted') {
+                if (char === '"') {
+                    this.state = 'quoteInQuoted';
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) this.line++;
+                    this.field += char;
+                }
+                continue;
+            }
+
+            if (this.state === 'quoteInQuoted') {
+                if (char === '"') {
+                    // "" inside quotes is a literal quote
+                    this.field += '"';
+                    this.state = 'quoted';
+                    continue;
+                }
+                this.state = 'afterQuoted';
+            }
+
+            if (char === delimiter) {
+                this.endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r') this.skipLineFeed = true;
+                this.endField();
+                this.endRecord();
+                this.line++;
+                this.recordLine = this.line;
+            } else if (this.state === 'afterQuoted') {
+                if (trim && (char === ' ' || char === '\t')) continue;
+                this.addError('Quotes', 'InvalidQuotes', 'Unexpected character after a closing quote', this.line);
+                this.field += char;
+                this.state = 'unquoted';
+            } else if (char === '"' && this.state === 'fieldStart') {
+                // Only a quote at the start of a field (after optional spaces) opens a quoted field
+                this.field = '';
+                this.quoted = true;
+                this.state = 'quoted';
+            } else {
+                this.field += char;
+                const leadingSpace = trim && (char === ' ' || char === '\t') && this.field.trim() === '';
+                this.state = leadingSpace ? 'fieldStart' : 'unquoted';
+            }
+        }
+    }
+
+    endField() {
+        const value = this.quoted || !this.options.trim ? this.field : this.field.trim();
+        this.record.push(value);
+        this.field = '';
+        this.quoted = false;
+        this.state = 'fieldStart';
+    }
+
+    endRecord() {
+        const record = this.record;
+        this.record = [];
+        const isBlank = record.length === 1 && record[0] === '';
+        if (isBlank && this.options.skipEmptyLines) return;
+
+        const index = this.recordIndex++;
+        const { headerRow } = this.options;
+
+        if (headerRow !== null && headerRow !== false && this.headers === null) {
+            if (index < headerRow) return;
+            this.headers = normaliseHeaders(record.map(name => name.trim()));
+            return;
+        }
+        if (this.headers === null) {
+            this.headers = normaliseHeaders(record.map(() => ''));
+        }
+
+        const row = {};
+        this.headers.forEach((header, column) => {
+            row[header] = column < record.length ? record[column] : '';
+        });
+
+        const dataRow = this.data.length;
+        if (record.length < this.headers.length) {
+            this.addError('FieldMismatch', 'TooFewFields',
+                `Expected ${this.headers.length} fields but found ${record.length}; missing values were left empty`,
+                this.recordLine, dataRow);
+        } else if (record.length > this.headers.length) {
+            this.addError('FieldMismatch', 'TooManyFields',
+                `Expected ${this.headers.length} fields but found ${record.length}; extra values were dropped`,
+                this.recordLine, dataRow);
+        }
+        this.data.push(row);
+    }
+
+    addError(type, code, message, line, row = this.data.length) {
+        this.errorCount++;
+        if (this.errors.length < MAX_REPORTED_ERRORS) {
+            this.errors.push({ type, code, message, row, line });
+        }
+    }
+}
+
+/**
+ * Parse CSV text or raw bytes in one go
+ * @param {string|Buffer} input - CSV contents
+ * @param {Object} [options] - See CsvParser; plus `encoding` to skip detection for Buffers
+ * @returns {{ headers: Array<string>, data: Array<Object>, errors: Array<Object>, meta: Object }}
+ */
+function parseCSV(input, options = {}) {
+    let text = input;
+    let encoding = 'utf-8';
+    if (Buffer.isBuffer(input)) {
+        encoding = options.encoding || detectEncoding(input);
+        text = createDecoder(encoding).decode(input);
+    }
+
+    const parser = new CsvParser(options);
+    parser.write(String(text == null ? '' : text));
+    const result = parser.end();
+    result.meta.encoding = encoding;
+    return result;
+}
+
+/**
+ * Stream a CSV file from disk through the parser
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} [options] - See parseCSV
+ * @returns {Promise<{ headers: Array<string>, data: Array<Object>, errors: Array<Object>, meta: Object }>}
+ */
+function parseCSVFile(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const parser = new CsvParser(options);
+        let decoder = null;
+        let encoding = options.encoding || null;
+
+        fs.createReadStream(filePath)
+            .on('data', chunk => {
+                if (!decoder) {
+                    encoding = encoding || detectEncoding(chunk, true);
+                    decoder = createDecoder(encoding);
+                }
+                parser.write(decoder.decode(chunk, { stream: true }));
+            })
+            .on('error', reject)
+            .on('end', () => {
+                if (decoder) parser.write(decoder.decode());
+                const result = parser.end();
+                result.meta.encoding = encoding || 'utf-8';
+                resolve(result);
+            });
     });
-    return { headers, data };
+}
+
+/**
+ * Serialize row objects as CSV, quoting values where RFC 4180 requires it
+ * @param {Array<Object>} rows - Row objects
+ * @param {Array<string>} [headers] - Column order; defaults to every key seen, in order
+ * @returns {string} CSV text
+ */
+function toCSV(rows, headers) {
+    const columns = headers || Array.from(
+        rows.reduce((set, row) => {
+            Object.keys(row || {}).forEach(key => set.add(key));
+            return set;
+        }, new Set())
+    );
+    if (columns.length === 0) return '';
+    const escape = (value) => {
+        if (value == null) return '';
+        const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+        // Leading/trailing spaces are quoted so parseCSV's trimming keeps them
+        return /[",\r\n]|^\s|\s$/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const lines = [columns.map(escape).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escape((row || {})[column])).join(','));
+    }
+    return lines.join('\n');
 }
 
 // Helper function to save parsed CSV data to JSON file
@@ -27,4 +424,13 @@ function saveCSVDataToFile(projectId, csvData) {
     }
 }
 
-module.exports = { parseCSV, saveCSVDataToFile };
\ No newline at end of file
+module.exports = {
+    CsvParser,
+    parseCSV,
+    parseCSVFile,
+    detectDelimiter,
+    detectEncoding,
+    normaliseHeaders,
+    toCSV,
+    saveCSVDataToFile
+};
@@ -0,0 +1,175 @@
+/**
+ * Dataset Exporter Module
+ *
+ * Serialises row objects for download so students can hand in cleaned data:
+ *
+ *   csv     - RFC 4180 (via csvHandler.toCSV)
+ *   json    - pretty-printed array of objects
+ *   ndjson  - one JSON object per line
+ *   xlsx    - single-sheet Excel workbook with a bold header row
+ *   html    - standalone page with an escaped table
+ *
+ * Columns are written in the order given, so an export can reorder or drop
+ * columns without another processing step.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const { toCSV } = require('./csvHandler');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// Numbers written as text by the CSV parser are stored as numbers in Excel
+const NUMERIC_TEXT = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Work out which columns to export and in what order
+ * @param {Array<Object>} rows
+ * @param {Array<string>} [headers] - Known column order, e.g. from the parsed file
+ * @param {Array<string>} [columns] - Requested columns
+ * @returns {Array<string>} Column names
+ * @throws {Error} When a requested column does not exist
+ */
+function resolveColumns(rows, headers, columns) {
+  const available = Array.isArray(headers) && headers.length > 0
+    ? headers.slice()
+    : Array.from(rows.reduce((set, row) => {
+      Object.keys(row || {}).forEach(key => set.add(key));
+      return set;
+    }, new Set()));
+
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return available;
+  }
+  const missing = columns.filter(column => !available.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Unknown column(s): ${missing.join(', ')}`);
+  }
+  return columns;
+}
+
+function pick(row, columns) {
+  const picked = {};
+  columns.forEach(column => {
+    picked[column] = row && row[column] !== undefined ? row[column] : null;
+  });
+  return picked;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toHtml(rows, columns, title) {
+  const head = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+table { border-collapse: collapse; font-family: sans-serif; font-size: 14px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+async function toXlsx(rows, columns, sheetName) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  // Excel sheet names are limited to 31 characters and a few forbidden symbols
+  const name = String(sheetName || 'Data').replace(/[\\/?*[\]:]/g, '_').slice(0, 31) || 'Data';
+  const worksheet = workbook.addWorksheet(name);
+
+  worksheet.addRow(columns);
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach(row => {
+    worksheet.addRow(columns.map(column => {
+      const value = row[column];
+      if (value == null) return null;
+      if (typeof value === 'string' && NUMERIC_TEXT.test(value.trim())) return Number(value);
+      if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+      return value;
+    }));
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Serialise a dataset in one of EXPORT_FORMATS
+ * @param {Array<Object>} rows - Row objects
+ * @param {Object} [options]
+ * @param {string} [options.format='csv'] - csv | json | ndjson | xlsx | html
+ * @param {Array<string>} [options.headers] - Column order of the source data
+ * @param {Array<string>} [options.columns] - Columns to include, in output order
+ * @param {string} [options.title] - Sheet name (xlsx) or page heading (html)
+ * @returns {Promise<{ body: (string|Buffer), contentType: string, extension: string }>}
+ * @throws {Error} On an unknown format or column
+ */
+async function exportDataset(rows, options = {}) {
+  const format = options.format || 'csv';
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error('Dataset must be an array of rows');
+  }
+
+  const columns = resolveColumns(rows, options.headers, options.columns);
+  const picked = rows.map(row => pick(row, columns));
+  let body;
+
+  switch (format) {
+    case 'csv':
+      body = columns.length ? toCSV(picked, columns) : '';
+      break;
+    case 'json':
+      body = JSON.stringify(picked, null, 2);
+      break;
+    case 'ndjson':
+      body = picked.map(row => JSON.stringify(row)).join('\n') + (picked.length ? '\n' : '');
+      break;
+    case 'xlsx':
+      body = await toXlsx(picked, columns, options.title);
+      break;
+    case 'html':
+      body = toHtml(picked, columns, options.title || 'Dataset');
+      break;
+  }
+
+  return { body, contentType: spec.contentType, extension: spec.extension };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportDataset,
+  resolveColumns
+};
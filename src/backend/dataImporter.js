@@ -0,0 +1,493 @@
+/**
+ * Dataset Importer Module
+ *
+ * Turns uploaded files into the row-object format DataProcessor works with
+ * (`[{ column: value, ... }]`), whatever format they arrived in:
+ *
+ *   csv / tsv   - via the RFC 4180 parser in csvHandler
+ *   xlsx        - one worksheet, chosen by name or 1-based position
+ *   json        - arrays of objects or arrays, column objects, or the usual
+ *                 open-data wrappers ({ "records": [...] }, { "result": { ... } })
+ *   ndjson      - one JSON object per line
+ *
+ * Every importer returns `{ headers, data, errors, meta }` with the same
+ * error shape as csvHandler, so callers can report problems uniformly.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV, parseCSVFile, detectEncoding, normaliseHeaders } = require('./csvHandler');
+
+const DATASET_FORMATS = ['csv', 'tsv', 'xlsx', 'json', 'ndjson'];
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.txt': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.geojson': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+// Stop listing individual row errors after this many; errorCount keeps counting
+const MAX_REPORTED_ERRORS = 100;
+
+// XLSX files are zip archives
+const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04];
+
+/**
+ * Decide which importer to use for an upload
+ * @param {string} [filename] - Original filename
+ * @param {Buffer} [buffer] - File contents, sniffed when the extension is unknown
+ * @returns {string} One of DATASET_FORMATS
+ */
+function detectFormat(filename, buffer) {
+  const byExtension = EXTENSION_FORMATS[path.extname(filename || '').toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+  if (!buffer || buffer.length === 0) {
+    return 'csv';
+  }
+  if (ZIP_SIGNATURE.every((byte, index) => buffer[index] === byte)) {
+    return 'xlsx';
+  }
+  const head = buffer.subarray(0, 4096).toString('utf8').replace(/^﻿/, '').trimStart();
+  if (head.startsWith('[')) {
+    return 'json';
+  }
+  if (head.startsWith('{')) {
+    const lines = head.split(/\r?\n/).filter(line => line.trim());
+    return lines.length > 1 && lines[1].trim().startsWith('{') ? 'ndjson' : 'json';
+  }
+  return 'csv';
+}
+
+function createReport() {
+  return {
+    errors: [],
+    errorCount: 0,
+    add(error) {
+      this.errorCount++;
+      if (this.errors.length < MAX_REPORTED_ERRORS) {
+        this.errors.push(error);
+      }
+    }
+  };
+}
+
+function decodeText(buffer) {
+  const encoding = detectEncoding(buffer);
+  try {
+    return { text: new TextDecoder(encoding).decode(buffer), encoding };
+  } catch (_) {
+    return { text: buffer.toString('latin1'), encoding: 'latin1' };
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Flatten nested objects into dotted column names; arrays are kept as JSON text
+ * @param {Object} record - Source object
+ * @param {string} [prefix]
+ * @param {Object} [target]
+ * @returns {Object} Flat row
+ */
+function flattenRecord(record, prefix = '', target = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flattenRecord(value, name, target);
+    } else if (Array.isArray(value)) {
+      target[name] = JSON.stringify(value);
+    } else {
+      target[name] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Build a dataset from flat records, giving every row every column
+ * @param {Array<Object>} records - Flat row objects
+ * @returns {{ headers: Array<string>, data: Array<Object> }}
+ */
+function fromRecords(records) {
+  const seen = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => seen.add(key)));
+  const headers = Array.from(seen);
+  const data = records.map(record => {
+    const row = {};
+    headers.forEach(header => {
+      row[header] = record[header] === undefined ? '' : record[header];
+    });
+    return row;
+  });
+  return { headers, data };
+}
+
+/**
+ * Build a dataset from an array of arrays whose first entry holds column names
+ * @param {Array<Array>} table
+ * @param {Object} report
+ * @returns {{ headers: Array<string>, data: Array<Object> }}
+ */
+function fromTable(table, report) {
+  const [first = [], ...rest] = table;
+  const headers = normaliseHeaders(first.map(name => (name == null ? '' : String(name).trim())));
+  const data = rest.map((values, index) => {
+    if (!Array.isArray(values) || values.length !== headers.length) {
+      report.add({
+        type: 'FieldMismatch',
+        code: Array.isArray(values) && values.length > headers.length ? 'TooManyFields' : 'TooFewFields',
+        message: `Expected ${headers.length} values but found ${Array.isArray(values) ? values.length : 0}`,
+        row: index,
+        line: null
+      });
+    }
+    const row = {};
+    headers.forEach((header, column) => {
+      const value = Array.isArray(values) ? values[column] : undefined;
+      row[header] = value === undefined ? '' : (isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : value);
+    });
+    return row;
+  });
+  return { headers, data };
+}
+
+/**
+ * Find the list of records inside a parsed JSON document. Searches
+ * breadth-first so `{ result: { records: [...] } }` and GeoJSON
+ * `features` are found without knowing the portal's layout.
+ * @param {*} document - Parsed JSON
+ * @returns {{ records: Array|null, path: string|null }}
+ */
+function findRecords(document) {
+  if (Array.isArray(document)) {
+    return { records: document, path: '' };
+  }
+  const queue = [{ value: document, path: '' }];
+  while (queue.length > 0) {
+    const { value, path: at } = queue.shift();
+    if (!isPlainObject(value)) continue;
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = at ? `${at}.${key}` : key;
+      if (Array.isArray(child) && child.length > 0 && (isPlainObject(child[0]) || Array.isArray(child[0]))) {
+        return { records: child, path: childPath };
+      }
+      if (isPlainObject(child)) {
+        queue.push({ value: child, path: childPath });
+      }
+    }
+  }
+  return { records: null, path: null };
+}
+
+/**
+ * Whether an object looks like columns of equal length ({ a: [1, 2], b: [3, 4] })
+ */
+function isColumnObject(value) {
+  const columns = Object.values(value);
+  return columns.length > 0 &&
+    columns.every(column => Array.isArray(column) && column.length === columns[0].length) &&
+    columns.every(column => column.every(cell => !isPlainObject(cell) && !Array.isArray(cell)));
+}
+
+/**
+ * Import a JSON document
+ * @param {Buffer|string} input
+ * @returns {Promise<Object>} Dataset
+ */
+async function importJson(input) {
+  const { text, encoding } = Buffer.isBuffer(input) ? decodeText(input) : { text: String(input), encoding: 'utf-8' };
+  let document;
+  try {
+    document = JSON.parse(text.replace(/^﻿/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const report = createReport();
+  let dataset;
+  let recordsPath = '';
+
+  if (isPlainObject(document) && isColumnObject(document)) {
+    const headers = Object.keys(document);
+    const length = document[headers[0]].length;
+    dataset = fromRecords(Array.from({ length }, (_, index) => {
+      const row = {};
+      headers.forEach(header => { row[header] = document[header][index]; });
+      return row;
+    }));
+  } else {
+    const found = findRecords(document);
+    recordsPath = found.path;
+    if (found.records) {
+      dataset = Array.isArray(found.records[0])
+        ? fromTable(found.records, report)
+        : fromRecords(found.records.map((record, index) => {
+          if (isPlainObject(record)) return flattenRecord(record);
+          report.add({ type: 'Record', code: 'NotAnObject', message: 'Expected an object', row: index, line: null });
+          return { value: record };
+        }));
+    } else if (isPlainObject(document)) {
+      dataset = fromRecords([flattenRecord(document)]);
+    } else {
+      throw new Error('JSON must be an array, an object of columns, or an object containing a list of records');
+    }
+  }
+
+  return {
+    ...dataset,
+    errors: report.errors,
+    meta: { format: 'json', encoding, recordsPath, rowCount: dataset.data.length, errorCount: report.errorCount }
+  };
+}
+
+/**
+ * Import newline-delimited JSON; lines that do not parse are reported and skipped
+ * @param {Buffer|string} input
+ * @returns {Promise<Object>} Dataset
+ */
+async function importNdjson(input) {
+  const { text, encoding } = Buffer.isBuffer(input) ? decodeText(input) : { text: String(input), encoding: 'utf-8' };
+  const report = createReport();
+  const records = [];
+
+  text.replace(/^﻿/, '').split(/\r\n|\n|\r/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const value = JSON.parse(line);
+      if (isPlainObject(value)) {
+        records.push(flattenRecord(value));
+      } else {
+        report.add({ type: 'Record', code: 'NotAnObject', message: 'Expected an object', row: records.length, line: index + 1 });
+      }
+    } catch (error) {
+      report.add({ type: 'Record', code: 'InvalidJson', message: error.message, row: records.length, line: index + 1 });
+    }
+  });
+
+  const dataset = fromRecords(records);
+  return {
+    ...dataset,
+    errors: report.errors,
+    meta: { format: 'ndjson', encoding, rowCount: dataset.data.length, errorCount: report.errorCount }
+  };
+}
+
+/**
+ * Convert an ExcelJS cell value to a plain value
+ * @param {*} value - cell.value
+ * @param {Object} report
+ * @param {Object} position - { row, line } for error reports
+ * @returns {*} String, number, boolean or ''
+ */
+function cellValue(value, report, position) {
+  if (value == null) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellValue(value.text, report, position);
+  if (value.error !== undefined) {
+    report.add({ type: 'Cell', code: 'CellError', message: `Cell contains ${value.error}`, ...position });
+    return '';
+  }
+  if ('result' in value || 'formula' in value || 'sharedFormula' in value) {
+    return cellValue(value.result, report, position);
+  }
+  return String(value);
+}
+
+/**
+ * Import one worksheet of an XLSX workbook
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string|number} [options.sheet] - Sheet name or 1-based position; defaults to the first visible sheet
+ * @param {number|null} [options.headerRow] - 0-based row (among non-empty rows) holding
+ *   column names, or null when the sheet has none
+ * @returns {Promise<Object>} Dataset, with meta.sheets listing every sheet name
+ */
+async function importXlsx(buffer, options = {}) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error(`Could not read the Excel workbook: ${error.message}`);
+  }
+
+  const sheets = workbook.worksheets.map(worksheet => worksheet.name);
+  let worksheet;
+  if (options.sheet !== undefined && options.sheet !== null && options.sheet !== '') {
+    const position = Number(options.sheet);
+    worksheet = Number.isInteger(position) && String(options.sheet).trim() === String(position)
+      ? workbook.worksheets[position - 1]
+      : workbook.worksheets.find(sheet => sheet.name.toLowerCase() === String(options.sheet).toLowerCase());
+    if (!worksheet) {
+      throw new Error(`Sheet "${options.sheet}" not found. Available sheets: ${sheets.join(', ')}`);
+    }
+  } else {
+    worksheet = workbook.worksheets.find(sheet => sheet.state === 'visible') || workbook.worksheets[0];
+  }
+  if (!worksheet) {
+    throw new Error('The workbook has no sheets');
+  }
+
+  const headerRow = options.headerRow === undefined ? 0 : options.headerRow;
+  const noHeader = headerRow === null || headerRow === false;
+  // Rows up to and including the header come before the first data row
+  const firstDataRow = noHeader ? 0 : headerRow + 1;
+
+  const report = createReport();
+  const table = [];
+  const lines = [];
+  worksheet.eachRow((row, rowNumber) => {
+    // Errors are reported against the data row this becomes, as CSV import does
+    const dataRow = table.length - firstDataRow;
+    const position = { row: dataRow < 0 ? null : dataRow, line: rowNumber };
+    const values = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      values.push(cellValue(row.getCell(column).value, report, position));
+    }
+    if (values.some(value => value !== '')) {
+      table.push(values);
+      lines.push(rowNumber);
+    }
+  });
+
+  let headers;
+  let body;
+  if (noHeader) {
+    const width = table.reduce((max, values) => Math.max(max, values.length), 0);
+    headers = normaliseHeaders(Array.from({ length: width }, () => ''));
+    body = table;
+  } else {
+    headers = normaliseHeaders((table[headerRow] || []).map(name => String(name).trim()));
+    body = table.slice(headerRow + 1);
+    lines.splice(0, headerRow + 1);
+  }
+
+  const data = body.map((values, index) => {
+    if (values.length > headers.length) {
+      report.add({
+        type: 'FieldMismatch',
+        code: 'TooManyFields',
+        message: `Expected ${headers.length} fields but found ${values.length}; extra values were dropped`,
+        row: index,
+        line: lines[index]
+      });
+    }
+    const row = {};
+    headers.forEach((header, column) => {
+      row[header] = values[column] === undefined ? '' : values[column];
+    });
+    return row;
+  });
+
+  return {
+    headers,
+    data,
+    errors: report.errors,
+    meta: { format: 'xlsx', sheet: worksheet.name, sheets, rowCount: data.length, errorCount: report.errorCount }
+  };
+}
+
+/**
+ * Pick out the csvHandler options for a CSV or TSV import
+ * @param {string} format - 'csv' or 'tsv'
+ * @param {Object} options - importDataset options
+ * @returns {Object} parseCSV options
+ */
+function delimitedOptions(format, options) {
+  const csvOptions = {};
+  if (options.delimiter) csvOptions.delimiter = options.delimiter;
+  if (options.headerRow !== undefined) csvOptions.headerRow = options.headerRow;
+  if (format === 'tsv') csvOptions.delimiter = '\t';
+  return csvOptions;
+}
+
+/**
+ * Import a dataset from raw file contents
+ * @param {Buffer|string} input - File contents
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Original filename, used to pick the format
+ * @param {string} [options.format] - Force a format (one of DATASET_FORMATS)
+ * @param {string|number} [options.sheet] - XLSX sheet name or 1-based position
+ * @param {string} [options.delimiter] - CSV delimiter or 'auto'
+ * @param {number|null} [options.headerRow] - Row holding column names (CSV/TSV/XLSX)
+ * @returns {Promise<{ headers: Array<string>, data: Array<Object>, errors: Array<Object>, meta: Object }>}
+ */
+async function importDataset(input, options = {}) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+  const format = options.format || detectFormat(options.filename, buffer);
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}". Use one of: ${DATASET_FORMATS.join(', ')}`);
+  }
+
+  if (format === 'xlsx') {
+    return importXlsx(buffer, options);
+  }
+  if (format === 'json') {
+    return importJson(buffer);
+  }
+  if (format === 'ndjson') {
+    return importNdjson(buffer);
+  }
+
+  const result = parseCSV(buffer, delimitedOptions(format, options));
+  result.meta.format = format;
+  return result;
+}
+
+/**
+ * Import a dataset from a file on disk
+ * @param {string} filePath
+ * @param {Object} [options] - See importDataset; filename defaults to the path
+ * @returns {Promise<Object>} Dataset
+ */
+async function importDatasetFile(filePath, options = {}) {
+  const filename = options.filename || filePath;
+  let format = options.format;
+  if (!format) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+      format = detectFormat(filename, buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Delimited text is streamed; the other formats need the whole document
+  if (format === 'csv' || format === 'tsv') {
+    const result = await parseCSVFile(filePath, delimitedOptions(format, options));
+    result.meta.format = format;
+    return result;
+  }
+
+  const buffer = await fs.promises.readFile(filePath);
+  return importDataset(buffer, { ...options, filename, format });
+}
+
+module.exports = {
+  DATASET_FORMATS,
+  detectFormat,
+  importDataset,
+  importDatasetFile,
+  importJson,
+  importNdjson,
+  importXlsx
+};
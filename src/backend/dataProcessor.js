@@ -10,6 +10,26 @@
 
 const fs = require('fs');
 const Papa = require('papaparse');
+const { compileExpression } = require('./expressionParser');
+const { inferSchema, detectDateOrder, toNumber } = require('./schemaInference');
+const dateUtils = require('./dateUtils');
+const distributions = require('./distributions');
+const regression = require('./regression');
+const {
+  AGGREGATIONS,
+  FILTER_OPERATORS,
+  MAX_CONDITION_DEPTH,
+  OUTLIER_ACTIONS,
+  OUTLIER_THRESHOLDS,
+  QUANTILE_METHODS
+} = require('./operationSchema');
+
+// Keeps a pivot on an ID-like column from producing an unreadable table
+const MAX_PIVOT_COLUMNS = 200;
+// A chi-square test on an ID-like column would produce a meaningless table
+const MAX_CHI_SQUARE_CATEGORIES = 50;
+// Rows a trace keeps from each step unless options.traceSample says otherwise
+const TRACE_SAMPLE_ROWS = 5;
 
 /**
  * DataProcessor class for handling data operations
@@ -19,6 +39,8 @@ class DataProcessor {
     // Bind all methods to ensure proper 'this' context first
     this.processData = this.processData.bind(this);
     this.filterData = this.filterData.bind(this);
+    this.compileCondition = this.compileCondition.bind(this);
+    this.compileComparison = this.compileComparison.bind(this);
     this.sortData = this.sortData.bind(this);
     this.aggregateData = this.aggregateData.bind(this);
     this.selectColumns = this.selectColumns.bind(this);
@@ -36,6 +58,30 @@ class DataProcessor {
     this.concatColumns = this.concatColumns.bind(this);
     this.dropDuplicates = this.dropDuplicates.bind(this);
     this.roundNumber = this.roundNumber.bind(this);
+
+    // Date methods
+    this.parseDates = this.parseDates.bind(this);
+    this.extractDatePart = this.extractDatePart.bind(this);
+    this.dateDiff = this.dateDiff.bind(this);
+    this.truncateDate = this.truncateDate.bind(this);
+
+    // Methods combining two datasets
+    this.joinData = this.joinData.bind(this);
+    this.appendData = this.appendData.bind(this);
+    this.unionData = this.unionData.bind(this);
+
+    // Reshape methods
+    this.pivotData = this.pivotData.bind(this);
+    this.meltData = this.meltData.bind(this);
+
+    // Window methods
+    this.cumulativeSum = this.cumulativeSum.bind(this);
+    this.rankValues = this.rankValues.bind(this);
+    this.percentOfTotal = this.percentOfTotal.bind(this);
+    this.movingAverage = this.movingAverage.bind(this);
+    this.lagValues = this.lagValues.bind(this);
+    this.leadValues = this.leadValues.bind(this);
+    this.pctChange = this.pctChange.bind(this);
     
     // Statistical methods
     this.descriptiveStats = this.descriptiveStats.bind(this);
@@ -47,6 +93,17 @@ class DataProcessor {
     this.frequencyCount = this.frequencyCount.bind(this);
     this.calculatePercentiles = this.calculatePercentiles.bind(this);
 
+    // Inferential statistics methods
+    this.tTest = this.tTest.bind(this);
+    this.chiSquareTest = this.chiSquareTest.bind(this);
+    this.confidenceInterval = this.confidenceInterval.bind(this);
+
+    // Regression methods
+    this.linearRegression = this.linearRegression.bind(this);
+    this.polynomialRegression = this.polynomialRegression.bind(this);
+    this.exponentialRegression = this.exponentialRegression.bind(this);
+    this.trendPredictions = this.trendPredictions.bind(this);
+
     /**
      * Supported data processing operations
      * @type {Object}
@@ -70,6 +127,31 @@ class DataProcessor {
       concatColumns: this.concatColumns,
       dropDuplicates: this.dropDuplicates,
       roundNumber: this.roundNumber,
+
+      // Date operations
+      parseDate: this.parseDates,
+      extractDatePart: this.extractDatePart,
+      dateDiff: this.dateDiff,
+      truncateDate: this.truncateDate,
+
+      // Operations combining the data with a second dataset (params.dataset)
+      join: this.joinData,
+      append: this.appendData,
+      union: this.unionData,
+
+      // Reshape operations (long to wide and back)
+      pivot: this.pivotData,
+      melt: this.meltData,
+      unpivot: this.meltData,
+
+      // Window operations (running and row-to-row calculations, optionally per partition)
+      cumulativeSum: this.cumulativeSum,
+      rank: this.rankValues,
+      percentOfTotal: this.percentOfTotal,
+      movingAverage: this.movingAverage,
+      lag: this.lagValues,
+      lead: this.leadValues,
+      pctChange: this.pctChange,
       
       // Statistical operations
       descriptiveStats: this.descriptiveStats,
@@ -79,7 +161,18 @@ class DataProcessor {
       calculateCorrelation: this.calculateCorrelation,
       detectOutliers: this.detectOutliers,
       frequencyCount: this.frequencyCount,
-      calculatePercentiles: this.calculatePercentiles
+      calculatePercentiles: this.calculatePercentiles,
+
+      // Inferential statistics (hypothesis tests and confidence intervals)
+      tTest: this.tTest,
+      chiSquareTest: this.chiSquareTest,
+      confidenceInterval: this.confidenceInterval,
+
+      // Regression (fitted trends and their predictions)
+      linearRegression: this.linearRegression,
+      polynomialRegression: this.polynomialRegression,
+      exponentialRegression: this.exponentialRegression,
+      trendPredictions: this.trendPredictions
     };
   }
 
@@ -115,10 +208,15 @@ class DataProcessor {
    * 
    * @param {Array} data - Input data array
    * @param {Array} operations - Array of operation objects with type and params
+   * @param {Object} [options]
+   * @param {Array} [options.reports] - Collects reports from operations that
+   *   produce one (join, append, union), each tagged with its step index
+   * @param {Array} [options.trace] - Collects what each step produced (see traceStep)
+   * @param {number} [options.traceSample=5] - Rows each trace entry keeps
    * @returns {Promise<Array>} Processed data
    * @throws {Error} If operation type is not supported
    */
-  async processData(data, operations) {
+  async processData(data, operations, options = {}) {
     let processedData = [...data];
     
     // Validate inputs
@@ -126,7 +224,10 @@ class DataProcessor {
       throw new Error('Operations must be an array');
     }
     
-    for (const operation of operations) {
+    const reports = Array.isArray(options.reports) ? options.reports : null;
+    const trace = Array.isArray(options.trace) ? options.trace : null;
+
+    for (const [step, operation] of operations.entries()) {
       if (!operation || typeof operation !== 'object') {
         throw new Error('Each operation must be an object');
       }
@@ -138,7 +239,15 @@ class DataProcessor {
       }
       
       if (this.supportedOperations[type]) {
-        processedData = await this.supportedOperations[type](processedData, params);
+        const reportCount = reports ? reports.length : 0;
+        const started = performance.now();
+        processedData = await this.supportedOperations[type](processedData, params, options);
+        if (trace) {
+          trace.push(this.traceStep(processedData, step, type, performance.now() - started, options.traceSample));
+        }
+        if (reports) {
+          reports.slice(reportCount).forEach(report => { report.step = step; });
+        }
       } else {
         throw new Error(`Unsupported operation: ${type}`);
       }
@@ -147,59 +256,206 @@ class DataProcessor {
     return processedData;
   }
 
+  /**
+   * What one step of processData produced, for options.trace
+   *
+   * @param {Array|*} output - Rows, or the single result of a statistic
+   * @param {number} step - Index of the operation
+   * @param {string} type - Operation type
+   * @param {number} duration - Milliseconds the operation took
+   * @param {number} [sampleRows=5] - Rows to keep as a sample
+   * @returns {Object} { step, type, durationMs, rowCount, columns, sample }
+   *   for rows, or { step, type, durationMs, result } for a single result
+   * @private
+   */
+  traceStep(output, step, type, duration, sampleRows = TRACE_SAMPLE_ROWS) {
+    const entry = { step, type, durationMs: Number(duration.toFixed(3)) };
+    if (!Array.isArray(output)) {
+      return { ...entry, result: output };
+    }
+    // Copies, so a later step changing a row does not change the sample
+    return {
+      ...entry,
+      rowCount: output.length,
+      columns: this.columnsOf(output),
+      sample: output.slice(0, sampleRows).map(row => (row && typeof row === 'object' ? { ...row } : row))
+    };
+  }
+
   /**
    * Filter data based on conditions
+   *
+   * Either a single comparison (column, operator, value) or, in
+   * params.condition, a tree of comparisons joined with and/or/not:
+   *
+   * @example
+   * { condition: { or: [
+   *   { column: 'suburb', operator: 'in', value: ['Unley', 'Glenelg'] },
+   *   { and: [{ column: 'count', operator: 'greater_than', value: 10 },
+   *           { not: { column: 'type', operator: 'is_empty' } }] }
+   * ] } }
    * 
    * @param {Array} data - Input data array
    * @param {Object} params - Filter parameters
    * @param {string} params.column - Column name to filter on
-   * @param {string} params.operator - Filter operator (equals, greater_than, etc.)
-   * @param {*} params.value - Value to compare against
+   * @param {string} params.operator - Filter operator (one of FILTER_OPERATORS;
+   *   before, after and on compare dates)
+   * @param {*} params.value - Value to compare against (a list or comma-separated
+   *   text for in and not_in, a pattern for regex)
+   * @param {boolean} [params.ignoreCase=false] - Compare text without regard to case
+   *   (contains, starts_with and ends_with always do)
+   * @param {string} [params.format] - Date format pattern for date comparisons (see dateUtils)
+   * @param {Object} [params.condition] - Condition tree used instead of a single comparison;
+   *   comparisons inside it take the same keys and inherit ignoreCase
    * @returns {Array} Filtered data array
+   * @throws {Error} If a date operator is given a value that is not a date, a
+   *   pattern is invalid or the condition tree is malformed
    */
   filterData(data, params) {
-    const { column, operator, value } = params;
+    if (params && params.condition !== undefined) {
+      return data.filter(this.compileCondition(data, params.condition, { ignoreCase: !!params.ignoreCase }));
+    }
+    return data.filter(this.compileComparison(data, params));
+  }
+
+  /**
+   * Turn a filter condition tree into a row test
+   *
+   * @param {Array} data - Rows the condition will test (for column checks and date formats)
+   * @param {Object} condition - { and: [...] }, { or: [...] }, { not: {...} } or a comparison
+   * @param {Object} inherited - Defaults for comparisons ({ ignoreCase })
+   * @param {number} [depth=0] - Current nesting depth
+   * @returns {Function} row => boolean
+   * @throws {Error} If the tree is malformed, too deep or names unknown columns or operators
+   */
+  compileCondition(data, condition, inherited, depth = 0) {
+    if (depth > MAX_CONDITION_DEPTH) {
+      throw new Error(`Filter conditions can be nested at most ${MAX_CONDITION_DEPTH} levels deep`);
+    }
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      throw new Error('Each filter condition must be an object');
+    }
+
+    const group = ['and', 'or'].find(key => key in condition);
+    if (group) {
+      const parts = condition[group];
+      if (!Array.isArray(parts) || parts.length === 0) {
+        throw new Error(`An "${group}" condition needs a list of conditions`);
+      }
+      const tests = parts.map(part => this.compileCondition(data, part, inherited, depth + 1));
+      return group === 'and'
+        ? row => tests.every(test => test(row))
+        : row => tests.some(test => test(row));
+    }
+    if ('not' in condition) {
+      const test = this.compileCondition(data, condition.not, inherited, depth + 1);
+      return row => !test(row);
+    }
+
+    if (!condition.column) {
+      throw new Error('Each filter condition needs a column');
+    }
+    if (!FILTER_OPERATORS.includes(condition.operator)) {
+      throw new Error(`Unsupported filter operator: ${condition.operator}; use one of ${FILTER_OPERATORS.join(', ')}`);
+    }
+    this.requireColumns(data, [condition.column]);
+    return this.compileComparison(data, { ignoreCase: inherited.ignoreCase, ...condition });
+  }
+
+  /**
+   * Turn one { column, operator, value } comparison into a row test
+   *
+   * Unknown operators keep every row, as filters always have.
+   *
+   * @param {Array} data - Rows the comparison will test (for date formats)
+   * @param {Object} params - Comparison, as for filterData
+   * @returns {Function} row => boolean
+   * @throws {Error} If a date operator is given a value that is not a date or a pattern is invalid
+   */
+  compileComparison(data, params) {
+    const { column, operator, value, ignoreCase = false } = params;
+    const dateOptions = ['before', 'after', 'on', 'between'].includes(operator)
+      ? this.dateOptionsFor(data, column, params)
+      : null;
+    const target = ['before', 'after', 'on'].includes(operator) ? dateUtils.toTimestamp(value, dateOptions) : null;
+    if (['before', 'after', 'on'].includes(operator) && target === null) {
+      throw new Error(`'${value}' is not a date`);
+    }
+    const text = (cellValue) => {
+      const str = cellValue === null || cellValue === undefined ? '' : String(cellValue).trim();
+      return ignoreCase ? str.toLowerCase() : str;
+    };
+    const listed = ['in', 'not_in'].includes(operator)
+      ? new Set((Array.isArray(value) ? value : String(value === undefined ? '' : value).split(',')).map(text))
+      : null;
+    let pattern = null;
+    if (operator === 'regex') {
+      try {
+        pattern = new RegExp(String(value === undefined ? '' : value), ignoreCase ? 'i' : '');
+      } catch (error) {
+        throw new Error(`'${value}' is not a valid pattern: ${error.message}`);
+      }
+    }
     
-    return data.filter(row => {
+    return row => {
       const cellValue = row[column];
       
       switch (operator) {
         case 'equals':
-          return cellValue == value;
+          return ignoreCase ? text(cellValue) === text(value) : cellValue == value;
         case 'not_equals':
-          return cellValue != value;
+          return ignoreCase ? text(cellValue) !== text(value) : cellValue != value;
         case 'greater_than':
-          return parseFloat(cellValue) > parseFloat(value);
+          return toNumber(cellValue) > toNumber(value);
         case 'less_than':
-          return parseFloat(cellValue) < parseFloat(value);
+          return toNumber(cellValue) < toNumber(value);
         case 'greater_than_or_equal':
-          return parseFloat(cellValue) >= parseFloat(value);
+          return toNumber(cellValue) >= toNumber(value);
         case 'less_than_or_equal':
-          return parseFloat(cellValue) <= parseFloat(value);
+          return toNumber(cellValue) <= toNumber(value);
         case 'contains':
           return String(cellValue).toLowerCase().includes(String(value).toLowerCase());
         case 'starts_with':
           return String(cellValue).toLowerCase().startsWith(String(value).toLowerCase());
         case 'ends_with':
           return String(cellValue).toLowerCase().endsWith(String(value).toLowerCase());
+        case 'in':
+          return listed.has(text(cellValue));
+        case 'not_in':
+          return !listed.has(text(cellValue));
+        case 'is_empty':
+          return text(cellValue) === '';
+        case 'is_not_empty':
+          return text(cellValue) !== '';
+        case 'regex':
+          return pattern.test(cellValue === null || cellValue === undefined ? '' : String(cellValue));
+        case 'before':
+        case 'after':
+        case 'on': {
+          const time = dateUtils.toTimestamp(cellValue, dateOptions);
+          if (time === null) return false;
+          if (operator === 'before') return time < target;
+          if (operator === 'after') return time > target;
+          return dateUtils.truncate(new Date(time), 'day').getTime() === dateUtils.truncate(new Date(target), 'day').getTime();
+        }
         case 'between': {
           const { min, max } = params;
-          const minNum = Number(min);
-          const maxNum = Number(max);
+          const minNum = toNumber(min);
+          const maxNum = toNumber(max);
           const haveNumericBounds = Number.isFinite(minNum) && Number.isFinite(maxNum);
-          const minTime = Date.parse(min);
-          const maxTime = Date.parse(max);
+          const minTime = dateUtils.toTimestamp(min, dateOptions);
+          const maxTime = dateUtils.toTimestamp(max, dateOptions);
           const haveDateBounds = Number.isFinite(minTime) && Number.isFinite(maxTime);
 
           // Check if the current row's cellValue is between min and max
           if (cellValue === null || cellValue === undefined || cellValue === '') return false;
 
           if (haveNumericBounds) {
-            const vNum = Number(cellValue);
+            const vNum = toNumber(cellValue);
             if (Number.isFinite(vNum)) return vNum >= minNum && vNum <= maxNum;
           }
           if (haveDateBounds) {
-            const vTime = Date.parse(cellValue);
+            const vTime = dateUtils.toTimestamp(cellValue, dateOptions);
             if (Number.isFinite(vTime)) return vTime >= minTime && vTime <= maxTime;
           }
           const vStr = String(cellValue);
@@ -210,7 +466,7 @@ class DataProcessor {
         default:
           return true;
       }
-    });
+    };
   }
 
   /**
@@ -220,18 +476,35 @@ class DataProcessor {
    * @param {Object} params - Sort parameters
    * @param {string} params.column - Column name to sort by
    * @param {string} params.direction - Sort direction ('asc' or 'desc')
+   * @param {string} [params.type] - 'date' to sort as dates; by default columns
+   *   where every value is a date sort chronologically
+   * @param {string} [params.format] - Date format pattern (see dateUtils)
    * @returns {Array} Sorted data array
    */
   sortData(data, params) {
-    const { column, direction = 'asc' } = params;
+    const { column, direction = 'asc', type } = params;
+
+    if (type === 'date' || (!type && this.isDateColumn(data, column))) {
+      const options = this.dateOptionsFor(data, column, params);
+      const times = data.map(row => dateUtils.toTimestamp(row[column], options));
+      const sign = direction === 'asc' ? 1 : -1;
+      // Rows without a date go last in either direction
+      return data
+        .map((row, index) => ({ row, time: times[index] }))
+        .sort((a, b) => {
+          if (a.time === null || b.time === null) return (a.time === null) - (b.time === null);
+          return (a.time - b.time) * sign;
+        })
+        .map(entry => entry.row);
+    }
     
     return [...data].sort((a, b) => {
       let aVal = a[column];
       let bVal = b[column];
       
       // Try to convert to numbers for numeric sorting
-      const aNum = parseFloat(aVal);
-      const bNum = parseFloat(bVal);
+      const aNum = toNumber(aVal);
+      const bNum = toNumber(bVal);
       
       if (!isNaN(aNum) && !isNaN(bNum)) {
         aVal = aNum;
@@ -247,36 +520,126 @@ class DataProcessor {
   }
 
   /**
-   * Aggregate data (sum, average, count, min, max)
-   * 
+   * Aggregate a whole column to a single value, or several columns to a one-row table
+   *
+   * With params.aggregations the result is `[{ alias: value, ... }]`, like
+   * groupBy without group columns. Otherwise a single value is returned for
+   * params.column; sum and average of a column without numbers give 0 there,
+   * as they always have.
+   *
    * @param {Array} data - Input data array
    * @param {Object} params - Aggregation parameters
-   * @param {string} params.column - Column name to aggregate
-   * @param {string} params.operation - Aggregation operation
-   * @returns {number|null} Aggregated value
+   * @param {string} [params.column] - Column name to aggregate
+   * @param {string} [params.operation] - One of AGGREGATIONS
+   * @param {Array<Object>} [params.aggregations] - { column, operation, alias? } list
+   * @returns {number|*|Array} Aggregated value, or a one-row table
    * @throws {Error} If operation is not supported
    */
   aggregateData(data, params) {
+    if (Array.isArray(params.aggregations)) {
+      const aggregations = this.normaliseAggregations(params.aggregations);
+      const result = {};
+      aggregations.forEach(({ column, operation, alias }) => {
+        result[alias] = this.aggregateValues(column ? data.map(row => row[column]) : data, operation, !column);
+      });
+      return [result];
+    }
+
     const { column, operation } = params;
-    
-    const values = data.map(row => parseFloat(row[column])).filter(val => !isNaN(val));
-    
+    if (!AGGREGATIONS.includes(operation)) {
+      throw new Error(`Unsupported aggregation operation: ${operation}`);
+    }
+    const value = this.aggregateValues(data.map(row => row[column]), operation);
+    return value === null && ['sum', 'average'].includes(operation) ? 0 : value;
+  }
+
+  /**
+   * Apply one aggregation to a list of cell values
+   *
+   * Numeric aggregations skip values that are not numbers and give null
+   * (sum gives 0) when there are none. count and count_distinct skip empty
+   * cells; first and last take the first or last non-empty cell. std is the
+   * population standard deviation, like calculateStandardDeviation.
+   *
+   * @param {Array} values - Cell values
+   * @param {string} operation - One of AGGREGATIONS
+   * @param {boolean} [countRows=false] - Count every entry, for count without a column
+   * @returns {*} Aggregated value
+   * @throws {Error} If operation is not supported
+   */
+  aggregateValues(values, operation, countRows = false) {
+    const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+    const present = countRows ? values : values.filter(value => !isEmpty(value));
+
     switch (operation) {
-      case 'sum':
-        return values.reduce((sum, val) => sum + val, 0);
-      case 'average':
-        return values.length > 0 ? values.reduce((sum, val) => sum + val, 0) / values.length : 0;
       case 'count':
-        return values.length;
+        return present.length;
+      case 'count_distinct':
+        return new Set(present.map(value => String(value).trim())).size;
+      case 'first':
+        return present.length > 0 ? present[0] : null;
+      case 'last':
+        return present.length > 0 ? present[present.length - 1] : null;
+      default:
+        break;
+    }
+
+    const numbers = present.map(value => toNumber(value)).filter(value => !isNaN(value));
+    const total = numbers.reduce((sum, value) => sum + value, 0);
+    if (operation === 'sum') return total;
+    if (!AGGREGATIONS.includes(operation)) {
+      throw new Error(`Unsupported aggregation operation: ${operation}`);
+    }
+    if (numbers.length === 0) return null;
+
+    const mean = total / numbers.length;
+    switch (operation) {
+      case 'mean':
+      case 'average':
+        return mean;
+      case 'median': {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+      }
       case 'min':
-        return values.length > 0 ? Math.min(...values) : null;
+        return numbers.reduce((min, value) => (value < min ? value : min), numbers[0]);
       case 'max':
-        return values.length > 0 ? Math.max(...values) : null;
+        return numbers.reduce((max, value) => (value > max ? value : max), numbers[0]);
       default:
-        throw new Error(`Unsupported aggregation operation: ${operation}`);
+        return Math.sqrt(numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / numbers.length);
     }
   }
 
+  /**
+   * Check a list of aggregations and give each one an output column name
+   *
+   * Without an alias the column is named after the operation and column,
+   * e.g. mean_score, or just count for a row count.
+   *
+   * @param {Array<Object>} aggregations - { column?, operation, alias? } list
+   * @returns {Array<Object>} Aggregations with an alias each
+   * @throws {Error} On an unknown operation, a missing column or a repeated name
+   */
+  normaliseAggregations(aggregations) {
+    const names = new Set();
+    return aggregations.map(aggregation => {
+      const { column, operation = 'sum' } = aggregation || {};
+      if (!AGGREGATIONS.includes(operation)) {
+        throw new Error(`Unsupported aggregation operation: ${operation}. Use one of ${AGGREGATIONS.join(', ')}`);
+      }
+      if (!column && operation !== 'count') {
+        throw new Error(`The ${operation} aggregation needs a column`);
+      }
+      const alias = aggregation.alias || (column ? `${operation}_${column}` : 'count');
+      if (names.has(alias)) {
+        throw new Error(`Two aggregations are both named "${alias}"; give them different names`);
+      }
+      names.add(alias);
+      return { column, operation, alias };
+    });
+  }
+
   /**
    * Select specific columns from data
    * 
@@ -300,54 +663,58 @@ class DataProcessor {
   }
 
   /**
-   * Group data by column and apply aggregation
-   * 
+   * Group data by one or more columns and apply named aggregations
+   *
+   * Groups keep the order in which they first appear. Each aggregation adds
+   * one column to the group's row, named by its alias (see
+   * normaliseAggregations for the default names).
+   *
    * @param {Array} data - Input data array
    * @param {Object} params - Group by parameters
-   * @param {string} params.groupBy - Column name to group by
-   * @param {Array} params.aggregations - Array of aggregation operations
+   * @param {string|Array<string>} params.groupBy - Column name(s) to group by
+   * @param {Array<Object>} [params.aggregations=[]] - { column, operation, alias? } list;
+   *   operation is one of sum, mean (or average), median, count, count_distinct,
+   *   min, max, std, first, last
    * @returns {Array} Grouped and aggregated data
+   * @throws {Error} If a group column is missing or an aggregation is invalid
+   *
+   * @example
+   * groupByData(rows, {
+   *   groupBy: ['suburb', 'year'],
+   *   aggregations: [
+   *     { column: 'offences', operation: 'sum', alias: 'total' },
+   *     { column: 'offence_type', operation: 'count_distinct' }
+   *   ]
+   * });
    */
   groupByData(data, params) {
-    const { groupBy, aggregations } = params;
-    
-    const groups = {};
-    
+    const groupColumns = (Array.isArray(params.groupBy) ? params.groupBy : [params.groupBy]).filter(Boolean);
+    if (groupColumns.length === 0) {
+      throw new Error('At least one group column (params.groupBy) is required');
+    }
+    this.requireColumns(data, groupColumns);
+    const aggregations = this.normaliseAggregations(params.aggregations || []);
+    const clash = aggregations.find(({ alias }) => groupColumns.includes(alias));
+    if (clash) {
+      throw new Error(`"${clash.alias}" is already a group column; give the aggregation another name`);
+    }
+
+    const groups = new Map();
     data.forEach(row => {
-      const groupKey = row[groupBy];
-      if (!groups[groupKey]) {
-        groups[groupKey] = [];
+      const values = groupColumns.map(column => (row[column] === undefined ? null : row[column]));
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) {
+        groups.set(key, { values, rows: [] });
       }
-      groups[groupKey].push(row);
+      groups.get(key).rows.push(row);
     });
-    
-    return Object.keys(groups).map(groupKey => {
-      const groupData = groups[groupKey];
-      const result = { [groupBy]: groupKey };
-      
-      aggregations.forEach(agg => {
-        const { column, operation, alias } = agg;
-        const values = groupData.map(row => parseFloat(row[column])).filter(val => !isNaN(val));
-        
-        switch (operation) {
-          case 'sum':
-            result[alias] = values.reduce((sum, val) => sum + val, 0);
-            break;
-          case 'average':
-            result[alias] = values.length > 0 ? values.reduce((sum, val) => sum + val, 0) / values.length : 0;
-            break;
-          case 'count':
-            result[alias] = values.length;
-            break;
-          case 'min':
-            result[alias] = values.length > 0 ? Math.min(...values) : null;
-            break;
-          case 'max':
-            result[alias] = values.length > 0 ? Math.max(...values) : null;
-            break;
-        }
+
+    return Array.from(groups.values()).map(({ values, rows }) => {
+      const result = {};
+      groupColumns.forEach((column, i) => { result[column] = values[i]; });
+      aggregations.forEach(({ column, operation, alias }) => {
+        result[alias] = this.aggregateValues(column ? rows.map(row => row[column]) : rows, operation, !column);
       });
-      
       return result;
     });
   }
@@ -355,44 +722,58 @@ class DataProcessor {
   /**
    * Calculate new column based on expression
    * 
+   * Expressions are parsed by the safe expression parser rather than eval,
+   * see expressionParser.js for the supported syntax. Rows where the result
+   * is not a finite number (or a boolean/string from if()) get null.
+   * 
    * @param {Array} data - Input data array
    * @param {Object} params - Calculation parameters
    * @param {string} params.expression - Mathematical expression to evaluate
    * @param {string} params.newColumnName - Name for the new calculated column
    * @returns {Array} Data with new calculated column
+   * @throws {Error} If the expression cannot be parsed
    */
   calculateColumn(data, params) {
     const { expression, newColumnName } = params;
-    
+    if (data.length === 0) {
+      return [];
+    }
+
+    let evaluate;
+    try {
+      evaluate = compileExpression(expression, Object.keys(data[0]));
+    } catch (error) {
+      const wrapped = new Error(`Invalid expression: ${error.message}`);
+      wrapped.position = error.position;
+      throw wrapped;
+    }
+
     return data.map(row => {
+      let result;
       try {
-        let calculatedValue = expression;
-        
-        // Replace column references with actual values
-        Object.keys(row).forEach(col => {
-          const regex = new RegExp(`\\b${col}\\b`, 'g');
-          calculatedValue = calculatedValue.replace(regex, row[col]);
-        });
-        
-        // Evaluate the expression
-        const result = eval(calculatedValue);
-        
-        return {
-          ...row,
-          [newColumnName]: isNaN(result) ? null : result
-        };
+        result = evaluate(row);
       } catch (error) {
-        return {
-          ...row,
-          [newColumnName]: null
-        };
+        result = null;
       }
+
+      if (typeof result === 'number' && !Number.isFinite(result)) {
+        result = null;
+      }
+
+      return {
+        ...row,
+        [newColumnName]: result === undefined ? null : result
+      };
     });
   }
 
   /**
    * Get data summary with statistics
    * 
+   * `type` keeps the original numeric/text split; `dataType` and `confidence`
+   * come from schema inference (integer, float, boolean, date, datetime,
+   * category or text).
+   * 
    * @param {Array} data - Input data array
    * @returns {Object} Data summary with rows, columns, and column statistics
    */
@@ -407,13 +788,16 @@ class DataProcessor {
 
     const columns = Object.keys(data[0]);
     const summary = {};
+    const schema = inferSchema(data, { headers: columns });
 
-    columns.forEach(col => {
+    columns.forEach((col, index) => {
       const values = data.map(row => row[col]).filter(val => val !== null && val !== undefined);
-      const numericValues = values.map(val => parseFloat(val)).filter(val => !isNaN(val));
+      const numericValues = values.map(val => toNumber(val)).filter(val => !isNaN(val));
       
       summary[col] = {
         type: numericValues.length === values.length ? 'numeric' : 'text',
+        dataType: schema.columns[index].type,
+        confidence: schema.columns[index].confidence,
         count: values.length,
         unique: new Set(values).size
       };
@@ -539,7 +923,7 @@ class DataProcessor {
     
     const caster = (val) => {
       if (to === 'number') {
-        const num = Number(val);
+        const num = toNumber(val);
         return Number.isFinite(num) ? num : null;
       }
       if (to === 'boolean') {
@@ -674,245 +1058,1119 @@ class DataProcessor {
     
     return data.map(row => {
       if (!row || typeof row !== 'object') return row;
-      const num = Number(row[column]);
+      const num = toNumber(row[column]);
       const val = Number.isFinite(num) ? Number(num.toFixed(decimals)) : row[column];
       return { ...row, [column]: val };
     });
   }
 
   // ========================
-  // Statistical Operations
+  // Date Operations
   // ========================
 
   /**
-   * Calculate descriptive statistics for a column
-   * 
+   * Work out how to read the dates in a column
+   *
+   * An explicit format wins; otherwise slash dates are read day-first unless
+   * the column only makes sense month-first (or params.order says 'mdy').
+   *
    * @param {Array} data - Input data array
-   * @param {Object} params - Parameters
-   * @param {string} params.column - Column name to analyze
-   * @returns {Object} Descriptive statistics object
+   * @param {string} column - Column holding dates
+   * @param {Object} [params] - Operation parameters (format, order)
+   * @returns {Object} Options for the dateUtils readers
+   * @throws {Error} If the format pattern is invalid
    */
-  descriptiveStats(data, params) {
-    const { column } = params;
-    const values = data
-      .map(row => parseFloat(row[column]))
-      .filter(v => !isNaN(v))
-      .sort((a, b) => a - b);
-
-    if (values.length === 0) {
-      throw new Error(`No valid numeric values found in column '${column}'`);
+  dateOptionsFor(data, column, params = {}) {
+    if (params.format) {
+      dateUtils.compileFormat(params.format);
+      return { format: params.format };
     }
-
-    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
-    const median = values.length % 2 === 0 
-      ? (values[values.length / 2 - 1] + values[values.length / 2]) / 2
-      : values[Math.floor(values.length / 2)];
-    
-    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
-    const stdDev = Math.sqrt(variance);
-    
-    const min = values[0];
-    const max = values[values.length - 1];
-    // Calculate quartiles using linear interpolation (consistent with calculatePercentiles)
-    const q1Index = 0.25 * (values.length - 1);
-    const q1Lower = Math.floor(q1Index);
-    const q1Upper = Math.ceil(q1Index);
-    const q1Weight = q1Index % 1;
-    const q1 = values[q1Lower] * (1 - q1Weight) + values[q1Upper] * q1Weight;
-    
-    const q3Index = 0.75 * (values.length - 1);
-    const q3Lower = Math.floor(q3Index);
-    const q3Upper = Math.ceil(q3Index);
-    const q3Weight = q3Index % 1;
-    const q3 = values[q3Lower] * (1 - q3Weight) + values[q3Upper] * q3Weight;
-
-    return { 
-      column, 
-      count: values.length,
-      mean: Number(mean.toFixed(4)),
-      median: Number(median.toFixed(4)),
-      stdDev: Number(stdDev.toFixed(4)),
-      min, max, q1, q3,
-      variance: Number(variance.toFixed(4))
-    };
+    const order = params.order || detectDateOrder(data.map(row => (row ? row[column] : null)));
+    return { order };
   }
 
   /**
-   * Calculate mean of a column
-   * 
+   * Check whether every non-empty value in a column is a date
+   *
    * @param {Array} data - Input data array
-   * @param {Object} params - Parameters
-   * @param {string} params.column - Column name
-   * @returns {number} Mean value
+   * @param {string} column - Column name
+   * @returns {boolean} True when the column has dates and nothing else
    */
-  calculateMean(data, params) {
-    const { column } = params;
-    
-    // Check if column exists
-    if (data.length > 0 && !data[0].hasOwnProperty(column)) {
-      const availableColumns = Object.keys(data[0]);
-      throw new Error(`Column '${column}' does not exist. Available columns: ${availableColumns.join(', ')}`);
-    }
-    
-    const values = data
-      .map(row => parseFloat(row[column]))
-      .filter(v => !isNaN(v));
-
-    if (values.length === 0) {
-      const sampleValues = data.slice(0, 3).map(row => row[column]);
-      throw new Error(`No valid numeric values found in column '${column}'. Column contains non-numeric data like: [${sampleValues.join(', ')}]. Statistical operations require numeric data.`);
+  isDateColumn(data, column) {
+    const options = this.dateOptionsFor(data, column);
+    let dates = 0;
+    for (const row of data) {
+      const value = row ? row[column] : null;
+      if (value === null || value === undefined || value === '') continue;
+      if (!dateUtils.toDate(value, options)) return false;
+      dates++;
     }
-
-    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
-    return Number(mean.toFixed(4));
+    return dates > 0;
   }
 
   /**
-   * Calculate median of a column
-   * 
+   * Convert a column of date text to ISO dates (YYYY-MM-DD, or a full
+   * timestamp when any value has a time). Values that are not dates become null.
+   *
    * @param {Array} data - Input data array
    * @param {Object} params - Parameters
-   * @param {string} params.column - Column name
-   * @returns {number} Median value
+   * @param {string} params.column - Column holding dates
+   * @param {string} [params.format] - Format pattern such as 'DD/MM/YYYY' (see dateUtils)
+   * @param {string} [params.order] - 'dmy' or 'mdy' for slash dates without a format
+   * @param {string} [params.output] - Column to write to (defaults to the source column)
+   * @returns {Array} Data with parsed dates
+   * @throws {Error} If the format pattern is invalid
    */
-  calculateMedian(data, params) {
-    const { column } = params;
-    const values = data
-      .map(row => parseFloat(row[column]))
-      .filter(v => !isNaN(v))
-      .sort((a, b) => a - b);
-
-    if (values.length === 0) {
-      throw new Error(`No valid numeric values found in column '${column}'`);
-    }
+  parseDates(data, params) {
+    const { column, output = column } = params;
+    const options = this.dateOptionsFor(data, column, params);
+    const parsed = data.map(row => (row && typeof row === 'object' ? dateUtils.readDate(row[column], options) : null));
+    const withTime = parsed.some(result => result && result.hasTime);
 
-    const median = values.length % 2 === 0 
-      ? (values[values.length / 2 - 1] + values[values.length / 2]) / 2
-      : values[Math.floor(values.length / 2)];
-    
-    return Number(median.toFixed(4));
+    return data.map((row, index) => {
+      if (!row || typeof row !== 'object') return row;
+      const result = parsed[index];
+      return { ...row, [output]: result ? dateUtils.formatDate(result.date, withTime) : null };
+    });
   }
 
   /**
-   * Calculate standard deviation of a column
-   * 
+   * Add a column holding one part of a date: year, quarter, month,
+   * month_name, week (ISO week number), day, weekday (1 = Monday),
+   * weekday_name or hour
+   *
    * @param {Array} data - Input data array
    * @param {Object} params - Parameters
-   * @param {string} params.column - Column name
-   * @returns {number} Standard deviation
+   * @param {string} params.column - Column holding dates
+   * @param {string} params.part - Part to extract
+   * @param {string} [params.output] - New column name (defaults to column_part)
+   * @param {string} [params.format] - Date format pattern
+   * @returns {Array} Data with the extracted part (null where the value is not a date)
+   * @throws {Error} If the part is not supported
    */
-  calculateStandardDeviation(data, params) {
-    const { column } = params;
-    const values = data
-      .map(row => parseFloat(row[column]))
-      .filter(v => !isNaN(v));
-
-    if (values.length === 0) {
-      throw new Error(`No valid numeric values found in column '${column}'`);
+  extractDatePart(data, params) {
+    const { column, part } = params;
+    if (!dateUtils.DATE_PARTS.includes(part)) {
+      throw new Error(`part must be one of ${dateUtils.DATE_PARTS.join(', ')}`);
     }
+    const output = params.output || `${column}_${part}`;
+    const options = this.dateOptionsFor(data, column, params);
 
-    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
-    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
-    const stdDev = Math.sqrt(variance);
-    
-    return Number(stdDev.toFixed(4));
+    return data.map(row => {
+      if (!row || typeof row !== 'object') return row;
+      const date = dateUtils.toDate(row[column], options);
+      return { ...row, [output]: date ? dateUtils.extractPart(date, part) : null };
+    });
   }
 
   /**
-   * Calculate correlation between two columns
-   * 
+   * Add a column with the time between two date columns
+   *
    * @param {Array} data - Input data array
    * @param {Object} params - Parameters
-   * @param {string} params.columnX - First column name
-   * @param {string} params.columnY - Second column name
-   * @returns {number} Correlation coefficient
+   * @param {string} params.start - Column with the start date
+   * @param {string} params.end - Column with the end date
+   * @param {string} [params.unit='days'] - minutes, hours, days, weeks, months or years
+   * @param {string} [params.output] - New column name (defaults to unit_between)
+   * @param {string} [params.format] - Date format pattern for both columns
+   * @returns {Array} Data with the difference (negative when end is earlier; null when either is not a date)
+   * @throws {Error} If the unit is not supported
    */
-  calculateCorrelation(data, params) {
-    const { columnX, columnY } = params;
-    const pairs = data
-      .map(row => ({ x: parseFloat(row[columnX]), y: parseFloat(row[columnY]) }))
-      .filter(pair => !isNaN(pair.x) && !isNaN(pair.y));
-
-    if (pairs.length < 2) {
-      throw new Error(`Not enough valid numeric pairs found between '${columnX}' and '${columnY}'`);
+  dateDiff(data, params) {
+    const { start, end, unit = 'days' } = params;
+    if (!dateUtils.DIFF_UNITS.includes(unit)) {
+      throw new Error(`unit must be one of ${dateUtils.DIFF_UNITS.join(', ')}`);
     }
+    const output = params.output || `${unit}_between`;
+    const startOptions = this.dateOptionsFor(data, start, params);
+    const endOptions = this.dateOptionsFor(data, end, params);
 
-    const meanX = pairs.reduce((sum, p) => sum + p.x, 0) / pairs.length;
-    const meanY = pairs.reduce((sum, p) => sum + p.y, 0) / pairs.length;
-    
-    let numerator = 0, denomX = 0, denomY = 0;
-    for (const pair of pairs) {
-      const devX = pair.x - meanX;
-      const devY = pair.y - meanY;
-      numerator += devX * devY;
-      denomX += devX * devX;
-      denomY += devY * devY;
-    }
-    
-    const denominator = Math.sqrt(denomX * denomY);
-    if (denominator === 0) {
-      // Handle case where one or both variables have zero variance
-      return 0;
-    }
-    
-    const correlation = numerator / denominator;
-    return Number(correlation.toFixed(4));
+    return data.map(row => {
+      if (!row || typeof row !== 'object') return row;
+      const from = dateUtils.toDate(row[start], startOptions);
+      const to = dateUtils.toDate(row[end], endOptions);
+      return { ...row, [output]: from && to ? dateUtils.diff(from, to, unit) : null };
+    });
   }
 
   /**
-   * Detect outliers in a column
-   * 
+   * Round dates down to the start of their hour, day, week (Monday), month,
+   * quarter or year so rows can be grouped by period
+   *
    * @param {Array} data - Input data array
    * @param {Object} params - Parameters
-   * @param {string} params.column - Column name
-   * @param {string} params.method - Detection method ('iqr', 'zscore', 'modified_zscore')
-   * @returns {Array} Data with outlier flags
+   * @param {string} params.column - Column holding dates
+   * @param {string} [params.unit='month'] - Period to bucket by
+   * @param {string} [params.output] - Column to write to (defaults to the source column)
+   * @param {string} [params.format] - Date format pattern
+   * @returns {Array} Data with ISO period start dates (null where the value is not a date)
+   * @throws {Error} If the unit is not supported
    */
-  detectOutliers(data, params) {
-    const { column, method } = params;
-    const values = data.map(row => parseFloat(row[column]));
-    const validValues = values.filter(v => !isNaN(v));
-    
-    if (validValues.length === 0) {
-      throw new Error(`No valid numeric values found in column '${column}'`);
+  truncateDate(data, params) {
+    const { column, unit = 'month', output = column } = params;
+    if (!dateUtils.TRUNCATE_UNITS.includes(unit)) {
+      throw new Error(`unit must be one of ${dateUtils.TRUNCATE_UNITS.join(', ')}`);
     }
+    const options = this.dateOptionsFor(data, column, params);
 
-    let outlierIndices = new Set();
+    return data.map(row => {
+      if (!row || typeof row !== 'object') return row;
+      const date = dateUtils.toDate(row[column], options);
+      return { ...row, [output]: date ? dateUtils.formatDate(dateUtils.truncate(date, unit), unit === 'hour') : null };
+    });
+  }
 
-    if (method === 'iqr') {
-      const sorted = [...validValues].sort((a, b) => a - b);
-      const q1 = sorted[Math.floor(sorted.length * 0.25)];
-      const q3 = sorted[Math.floor(sorted.length * 0.75)];
-      const iqr = q3 - q1;
-      const lowerBound = q1 - 1.5 * iqr;
-      const upperBound = q3 + 1.5 * iqr;
-      
-      values.forEach((v, i) => {
-        if (!isNaN(v) && (v < lowerBound || v > upperBound)) {
-          outlierIndices.add(i);
-        }
+  // ========================
+  // Combining Datasets
+  // ========================
+
+  /**
+   * Columns used by any row, in first-seen order
+   *
+   * @param {Array} rows - Data rows
+   * @returns {Array<string>} Column names
+   */
+  columnsOf(rows) {
+    const columns = new Set();
+    rows.forEach(row => {
+      if (row && typeof row === 'object') Object.keys(row).forEach(key => columns.add(key));
+    });
+    return Array.from(columns);
+  }
+
+  /**
+   * Read the second dataset of a join, append or union
+   *
+   * @param {Object} params - Operation parameters
+   * @returns {Array} Rows of params.dataset
+   * @throws {Error} If params.dataset is not an array of rows
+   */
+  secondDataset(params) {
+    if (!params || !Array.isArray(params.dataset)) {
+      throw new Error('A second dataset (params.dataset) is required');
+    }
+    return params.dataset;
+  }
+
+  /**
+   * Join the data with a second dataset on one or more key columns
+   *
+   * Keys are compared as trimmed text, so 5 matches "5". Rows with an empty
+   * key never match. Columns of the second dataset whose names are already
+   * used get params.suffix added. A report of the keys that found no match
+   * is added to options.reports.
+   *
+   * @param {Array} data - First (left) dataset
+   * @param {Object} params - Parameters
+   * @param {Array} params.dataset - Second (right) dataset
+   * @param {string|Array<string>} params.on - Key column(s)
+   * @param {string|Array<string>} [params.rightOn] - Key column(s) in the second
+   *   dataset when their names differ, in the same order as params.on
+   * @param {string} [params.how='inner'] - inner, left, right or full
+   * @param {boolean} [params.ignoreCase=false] - Match keys regardless of case
+   * @param {string} [params.suffix='_right'] - Added to clashing column names
+   * @param {Object} [options] - processData options (reports)
+   * @returns {Array} Joined rows
+   * @throws {Error} If the join type is unknown or a key column is missing
+   */
+  joinData(data, params, options = {}) {
+    const right = this.secondDataset(params);
+    const { how = 'inner', ignoreCase = false, suffix = '_right' } = params;
+    if (!['inner', 'left', 'right', 'full'].includes(how)) {
+      throw new Error('how must be one of inner, left, right, full');
+    }
+    const toList = value => (Array.isArray(value) ? value : [value]).filter(key => key !== undefined && key !== null && key !== '');
+    const leftKeys = toList(params.on);
+    const rightKeys = params.rightOn === undefined ? leftKeys : toList(params.rightOn);
+    if (leftKeys.length === 0) {
+      throw new Error('At least one key column (params.on) is required');
+    }
+    if (rightKeys.length !== leftKeys.length) {
+      throw new Error('params.rightOn must list as many columns as params.on');
+    }
+
+    const leftColumns = this.columnsOf(data);
+    const rightColumns = this.columnsOf(right);
+    const missingLeft = leftKeys.filter(key => data.length > 0 && !leftColumns.includes(key));
+    const missingRight = rightKeys.filter(key => right.length > 0 && !rightColumns.includes(key));
+    if (missingLeft.length > 0) {
+      throw new Error(`Key column(s) not found in the first dataset: ${missingLeft.join(', ')}`);
+    }
+    if (missingRight.length > 0) {
+      throw new Error(`Key column(s) not found in the second dataset: ${missingRight.join(', ')}`);
+    }
+
+    const keyOf = (row, keys) => {
+      const values = keys.map(key => (row ? row[key] : null));
+      if (values.some(value => value === null || value === undefined || String(value).trim() === '')) return null;
+      return JSON.stringify(values.map(value => (ignoreCase ? String(value).trim().toLowerCase() : String(value).trim())));
+    };
+    const labelOf = (row, keys) => keys.map(key => String(row[key]).trim()).join(' / ');
+
+    // Right-hand columns are renamed when they clash with a left-hand column
+    const extraColumns = rightColumns
+      .filter(column => !rightKeys.includes(column))
+      .map(column => [column, leftColumns.includes(column) ? `${column}${suffix}` : column]);
+    const pickRight = row => {
+      const picked = {};
+      extraColumns.forEach(([from, to]) => { picked[to] = row && row[from] !== undefined ? row[from] : null; });
+      return picked;
+    };
+    const emptyLeft = Object.fromEntries(leftColumns.map(column => [column, null]));
+
+    const index = new Map();
+    right.forEach((row, position) => {
+      const key = keyOf(row, rightKeys);
+      if (key === null) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    });
+
+    const result = [];
+    const usedRight = new Set();
+    const unmatchedLeft = new Map();
+    let unmatchedLeftRows = 0;
+    data.forEach(row => {
+      const key = keyOf(row, leftKeys);
+      const matches = key === null ? [] : (index.get(key) || []);
+      if (matches.length === 0) {
+        unmatchedLeftRows++;
+        if (key !== null && !unmatchedLeft.has(key)) unmatchedLeft.set(key, labelOf(row, leftKeys));
+        if (how === 'left' || how === 'full') {
+          result.push({ ...row, ...pickRight(null) });
+        }
+        return;
+      }
+      matches.forEach(position => {
+        usedRight.add(position);
+        result.push({ ...row, ...pickRight(right[position]) });
       });
-    } else if (method === 'zscore') {
-      const mean = validValues.reduce((sum, v) => sum + v, 0) / validValues.length;
-      const stdDev = Math.sqrt(validValues.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / validValues.length);
-      
-      // Guard against divide by zero when standard deviation is 0
-      if (stdDev > 0) {
-        values.forEach((v, i) => {
-          if (!isNaN(v) && Math.abs((v - mean) / stdDev) > 3) {
-            outlierIndices.add(i);
-          }
-        });
+    });
+
+    const unmatchedRight = new Map();
+    let unmatchedRightRows = 0;
+    right.forEach((row, position) => {
+      if (usedRight.has(position)) return;
+      unmatchedRightRows++;
+      const key = keyOf(row, rightKeys);
+      if (key !== null && !unmatchedRight.has(key)) unmatchedRight.set(key, labelOf(row, rightKeys));
+      if (how === 'right' || how === 'full') {
+        const keys = Object.fromEntries(leftKeys.map((column, i) => [column, row[rightKeys[i]]]));
+        result.push({ ...emptyLeft, ...keys, ...pickRight(row) });
+      }
+    });
+
+    if (Array.isArray(options.reports)) {
+      options.reports.push(this.joinReport({
+        how,
+        on: leftKeys,
+        leftRows: data.length,
+        rightRows: right.length,
+        rows: result.length,
+        unmatchedLeftRows,
+        unmatchedRightRows,
+        unmatchedLeft: Array.from(unmatchedLeft.values()),
+        unmatchedRight: Array.from(unmatchedRight.values()),
+        renamed: extraColumns.filter(([from, to]) => from !== to).map(([, to]) => to)
+      }));
+    }
+    return result;
+  }
+
+  /**
+   * Build the report for a join, with a short message for students
+   *
+   * @param {Object} details - Counts and unmatched key labels
+   * @returns {Object} Join report; unmatched keys are limited to the first 20
+   */
+  joinReport(details) {
+    const limit = 20;
+    const list = keys => keys.slice(0, limit).join(', ') + (keys.length > limit ? `, and ${keys.length - limit} more` : '');
+    const parts = [];
+    if (details.unmatchedLeftRows > 0) {
+      parts.push(`${details.unmatchedLeftRows} of ${details.leftRows} rows in the first dataset had no match` +
+        (details.unmatchedLeft.length ? ` (${list(details.unmatchedLeft)})` : ''));
+    }
+    if (details.unmatchedRightRows > 0) {
+      parts.push(`${details.unmatchedRightRows} of ${details.rightRows} rows in the second dataset had no match` +
+        (details.unmatchedRight.length ? ` (${list(details.unmatchedRight)})` : ''));
+    }
+
+    return {
+      type: 'join',
+      how: details.how,
+      on: details.on,
+      leftRows: details.leftRows,
+      rightRows: details.rightRows,
+      rows: details.rows,
+      unmatchedLeft: { rows: details.unmatchedLeftRows, keys: details.unmatchedLeft.slice(0, limit), keyCount: details.unmatchedLeft.length },
+      unmatchedRight: { rows: details.unmatchedRightRows, keys: details.unmatchedRight.slice(0, limit), keyCount: details.unmatchedRight.length },
+      renamedColumns: details.renamed,
+      message: parts.length ? `${parts.join('. ')}.` : null
+    };
+  }
+
+  /**
+   * Add the rows of a second dataset after the data
+   *
+   * Columns are lined up by name; a column missing from one dataset is
+   * filled with null in its rows and listed in the report.
+   *
+   * @param {Array} data - First dataset
+   * @param {Object} params - Parameters
+   * @param {Array} params.dataset - Rows to add
+   * @param {Object} [options] - processData options (reports)
+   * @returns {Array} Combined rows
+   */
+  appendData(data, params, options = {}) {
+    return this.stackDatasets(data, params, options, false);
+  }
+
+  /**
+   * Like append, but rows that appear more than once (in either dataset)
+   * are kept only once
+   *
+   * @param {Array} data - First dataset
+   * @param {Object} params - Parameters
+   * @param {Array} params.dataset - Rows to add
+   * @param {Object} [options] - processData options (reports)
+   * @returns {Array} Combined rows without duplicates
+   */
+  unionData(data, params, options = {}) {
+    return this.stackDatasets(data, params, options, true);
+  }
+
+  /**
+   * Shared implementation of append and union
+   *
+   * @param {Array} data - First dataset
+   * @param {Object} params - Parameters (dataset)
+   * @param {Object} options - processData options (reports)
+   * @param {boolean} distinct - Drop repeated rows
+   * @returns {Array} Combined rows
+   */
+  stackDatasets(data, params, options, distinct) {
+    const other = this.secondDataset(params);
+    const firstColumns = this.columnsOf(data);
+    const secondColumns = this.columnsOf(other);
+    const columns = Array.from(new Set([...firstColumns, ...secondColumns]));
+
+    const seen = new Set();
+    let duplicates = 0;
+    const result = [];
+    [...data, ...other].forEach(row => {
+      const aligned = Object.fromEntries(columns.map(column => [column, row && row[column] !== undefined ? row[column] : null]));
+      if (distinct) {
+        const key = JSON.stringify(columns.map(column => (aligned[column] === null ? null : String(aligned[column]))));
+        if (seen.has(key)) {
+          duplicates++;
+          return;
+        }
+        seen.add(key);
+      }
+      result.push(aligned);
+    });
+
+    if (Array.isArray(options.reports)) {
+      const onlyFirst = firstColumns.filter(column => !secondColumns.includes(column));
+      const onlySecond = secondColumns.filter(column => !firstColumns.includes(column));
+      const parts = [];
+      if (onlyFirst.length) parts.push(`Only in the first dataset: ${onlyFirst.join(', ')}`);
+      if (onlySecond.length) parts.push(`Only in the second dataset: ${onlySecond.join(', ')}`);
+      if (duplicates) parts.push(`${duplicates} duplicate row${duplicates === 1 ? '' : 's'} removed`);
+      options.reports.push({
+        type: distinct ? 'union' : 'append',
+        firstRows: data.length,
+        secondRows: other.length,
+        rows: result.length,
+        duplicatesRemoved: duplicates,
+        onlyInFirst: onlyFirst,
+        onlyInSecond: onlySecond,
+        message: parts.length ? `${parts.join('. ')}.` : null
+      });
+    }
+    return result;
+  }
+
+  // ========================
+  // Reshape Operations
+  // ========================
+
+  /**
+   * Turn the values of one column into columns of their own (long to wide)
+   *
+   * Rows sharing the same index values become one row. Each distinct value
+   * of params.columns becomes a column holding params.values aggregated over
+   * the matching rows. Rows and new columns keep the order they first appear in.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string|Array<string>} params.index - Column(s) that identify an output row
+   * @param {string} params.columns - Column whose values become the new column names
+   * @param {string} [params.values] - Column to put in the cells (required unless aggregation is count)
+   * @param {string} [params.aggregation='sum'] - Any groupBy aggregation (see AGGREGATIONS)
+   * @param {*} [params.fill=null] - Value for combinations with no rows
+   * @returns {Array} Pivoted data
+   * @throws {Error} If a column is missing or the result would have too many columns
+   */
+  pivotData(data, params) {
+    const { columns, values, aggregation = 'sum', fill = null } = params;
+    const index = (Array.isArray(params.index) ? params.index : [params.index]).filter(Boolean);
+    if (index.length === 0) {
+      throw new Error('At least one index column (params.index) is required');
+    }
+    if (!columns) {
+      throw new Error('params.columns must name the column to spread into new columns');
+    }
+    if (!AGGREGATIONS.includes(aggregation)) {
+      throw new Error(`aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+    }
+    if (!values && aggregation !== 'count') {
+      throw new Error('params.values must name the column to put in the cells');
+    }
+    this.requireColumns(data, [...index, columns, ...(values ? [values] : [])]);
+
+    const rows = new Map();
+    const newColumns = new Map();
+    data.forEach(row => {
+      const rowKey = JSON.stringify(index.map(column => (row[column] === undefined ? null : row[column])));
+      const label = row[columns] === null || row[columns] === undefined || String(row[columns]).trim() === ''
+        ? '(empty)'
+        : String(row[columns]);
+      if (!newColumns.has(label)) {
+        if (newColumns.size >= MAX_PIVOT_COLUMNS) {
+          throw new Error(`Pivoting on "${columns}" would create more than ${MAX_PIVOT_COLUMNS} columns; choose a column with fewer different values`);
+        }
+        newColumns.set(label, true);
       }
-      // If stdDev is 0, all values are identical, so no outliers
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, { keys: Object.fromEntries(index.map(column => [column, row[column]])), cells: new Map() });
+      }
+      const cells = rows.get(rowKey).cells;
+      if (!cells.has(label)) cells.set(label, []);
+      cells.get(label).push(values ? row[values] : row);
+    });
+
+    const labels = Array.from(newColumns.keys());
+    const clash = labels.find(label => index.includes(label));
+    if (clash) {
+      throw new Error(`"${clash}" is both an index column and a value of "${columns}"`);
+    }
+
+    return Array.from(rows.values()).map(({ keys, cells }) => {
+      const result = { ...keys };
+      labels.forEach(label => {
+        if (!cells.has(label)) {
+          result[label] = fill;
+          return;
+        }
+        const cell = cells.get(label);
+        const value = this.aggregateValues(cell, aggregation, !values);
+        // A sum over cells without numbers is "no value" here, not 0
+        const noNumbers = aggregation === 'sum' && !cell.some(item => !isNaN(toNumber(item)));
+        result[label] = value === null || noNumbers ? fill : value;
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Turn columns into rows of name/value pairs (wide to long)
+   *
+   * Every input row becomes one row per value column, holding the id
+   * columns, the name of the value column and its value. Useful when a CSV
+   * has one column per year and a chart needs a single year column.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string|Array<string>} [params.idColumns=[]] - Columns copied onto every output row
+   * @param {string|Array<string>} [params.valueColumns] - Columns to turn into rows
+   *   (every column that is not an id column by default)
+   * @param {string} [params.varName='variable'] - Name of the column holding the old column names
+   * @param {string} [params.valueName='value'] - Name of the column holding the values
+   * @param {boolean} [params.dropEmpty=false] - Leave out rows whose value is empty
+   * @returns {Array} Melted data
+   * @throws {Error} If a column is missing or the new names clash with id columns
+   */
+  meltData(data, params) {
+    const { varName = 'variable', valueName = 'value', dropEmpty = false } = params;
+    const toList = value => (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean);
+    const idColumns = toList(params.idColumns);
+    const valueColumns = params.valueColumns === undefined || toList(params.valueColumns).length === 0
+      ? this.columnsOf(data).filter(column => !idColumns.includes(column))
+      : toList(params.valueColumns);
+    this.requireColumns(data, [...idColumns, ...valueColumns]);
+    if (varName === valueName) {
+      throw new Error('varName and valueName must be different');
+    }
+    const clash = [varName, valueName].find(name => idColumns.includes(name));
+    if (clash) {
+      throw new Error(`"${clash}" is already an id column; choose another name`);
+    }
+
+    const result = [];
+    data.forEach(row => {
+      const ids = Object.fromEntries(idColumns.map(column => [column, row[column] === undefined ? null : row[column]]));
+      valueColumns.forEach(column => {
+        const value = row[column] === undefined ? null : row[column];
+        if (dropEmpty && (value === null || String(value).trim() === '')) return;
+        result.push({ ...ids, [varName]: column, [valueName]: value });
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Check that every named column exists in the data
+   *
+   * @param {Array} data - Input data array
+   * @param {Array<string>} columns - Column names
+   * @throws {Error} Listing the columns that are missing
+   */
+  requireColumns(data, columns) {
+    if (data.length === 0) return;
+    const known = this.columnsOf(data);
+    const missing = columns.filter(column => !known.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Column(s) not found: ${Array.from(new Set(missing)).join(', ')}`);
+    }
+  }
+
+  // ========================
+  // Window Operations
+  // ========================
+
+  /**
+   * Split rows into the partitions a window operation runs over
+   *
+   * Output rows are copies in the original order; each partition lists the
+   * same copies in the order the calculation walks them (row order, or
+   * params.orderBy sorted as sortData would).
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters
+   * @param {string} params.column - Column the calculation reads
+   * @param {string|Array<string>} [params.partitionBy] - Column(s) that restart the calculation
+   * @param {string} [params.orderBy] - Column to walk each partition by
+   * @param {string} [params.direction='asc'] - Direction of params.orderBy
+   * @returns {{rows: Array, partitions: Array<Array>}} Copied rows and their partitions
+   * @throws {Error} If a column is missing
+   * @private
+   */
+  windowPartitions(data, params) {
+    const { column, orderBy, direction = 'asc' } = params;
+    if (!column) {
+      throw new Error('A value column (params.column) is required');
+    }
+    const partitionBy = params.partitionBy ? (Array.isArray(params.partitionBy) ? params.partitionBy : [params.partitionBy]) : [];
+    this.requireColumns(data, [column, ...partitionBy, ...(orderBy ? [orderBy] : [])]);
+
+    const rows = data.map(row => ({ ...row }));
+    const partitions = new Map();
+    rows.forEach(row => {
+      const key = JSON.stringify(partitionBy.map(name => (row[name] === undefined ? null : row[name])));
+      if (!partitions.has(key)) partitions.set(key, []);
+      partitions.get(key).push(row);
+    });
+
+    return {
+      rows,
+      partitions: Array.from(partitions.values()).map(partition => (orderBy
+        ? this.sortData(partition, { column: orderBy, direction, format: params.format })
+        : partition))
+    };
+  }
+
+  /**
+   * Number in a cell, or null when it holds none
+   * @private
+   */
+  numberIn(value) {
+    const number = toNumber(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Positive whole number parameter (window sizes and periods)
+   * @private
+   */
+  positiveWhole(value, fallback, name) {
+    const number = value === undefined || value === null || value === '' ? fallback : Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${name} must be a whole number of at least 1`);
+    }
+    return number;
+  }
+
+  /**
+   * Running total of a column
+   *
+   * Cells without a number keep the total so far.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions)
+   * @param {string} [params.output] - New column name (default cumulative_<column>)
+   * @returns {Array} Rows with the running total added
+   */
+  cumulativeSum(data, params) {
+    const { column, output = `cumulative_${column}` } = params;
+    const { rows, partitions } = this.windowPartitions(data, params);
+    partitions.forEach(partition => {
+      let total = 0;
+      partition.forEach(row => {
+        const value = this.numberIn(row[column]);
+        if (value !== null) total += value;
+        row[output] = total;
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Rank rows by a numeric column
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions; orderBy is not used)
+   * @param {string} [params.direction='desc'] - 'desc' ranks the largest value 1, 'asc' the smallest
+   * @param {string} [params.method='min'] - Ties: 'min' (1, 2, 2, 4), 'dense' (1, 2, 2, 3)
+   *   or 'first' (in row order)
+   * @param {string} [params.output] - New column name (default rank_<column>)
+   * @returns {Array} Rows with the rank added; rows without a number get null
+   * @throws {Error} If the method is unknown
+   */
+  rankValues(data, params) {
+    const { column, direction = 'desc', method = 'min', output = `rank_${column}` } = params;
+    if (!['min', 'dense', 'first'].includes(method)) {
+      throw new Error('method must be one of min, dense, first');
+    }
+    const { rows, partitions } = this.windowPartitions(data, { ...params, orderBy: undefined });
+    const sign = direction === 'asc' ? 1 : -1;
+    partitions.forEach(partition => {
+      const ranked = partition
+        .map((row, index) => ({ row, index, value: this.numberIn(row[column]) }))
+        .filter(entry => entry.value !== null)
+        .sort((a, b) => (a.value - b.value) * sign || a.index - b.index);
+      let rank = 0;
+      ranked.forEach((entry, position) => {
+        const tied = position > 0 && entry.value === ranked[position - 1].value;
+        if (method === 'first' || !tied) rank = method === 'dense' ? rank + 1 : position + 1;
+        entry.row[output] = rank;
+      });
+      partition.forEach(row => {
+        if (this.numberIn(row[column]) === null) row[output] = null;
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Share of the partition total each row holds, as a percentage
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions)
+   * @param {string} [params.output] - New column name (default percent_<column>)
+   * @returns {Array} Rows with the percentage added; null without a number or when the total is 0
+   */
+  percentOfTotal(data, params) {
+    const { column, output = `percent_${column}` } = params;
+    const { rows, partitions } = this.windowPartitions(data, params);
+    partitions.forEach(partition => {
+      const total = partition.reduce((sum, row) => sum + (this.numberIn(row[column]) || 0), 0);
+      partition.forEach(row => {
+        const value = this.numberIn(row[column]);
+        row[output] = value === null || total === 0 ? null : (value / total) * 100;
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Average of each row and the rows before it
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions)
+   * @param {number} [params.window=3] - Rows in each average, counting the current one
+   * @param {string} [params.output] - New column name (default moving_average_<column>)
+   * @returns {Array} Rows with the average added; null until a partition has
+   *   enough rows, or when a window holds no numbers
+   * @throws {Error} If the window is not a positive whole number
+   */
+  movingAverage(data, params) {
+    const { column, output = `moving_average_${column}` } = params;
+    const size = this.positiveWhole(params.window, 3, 'window');
+    const { rows, partitions } = this.windowPartitions(data, params);
+    partitions.forEach(partition => {
+      partition.forEach((row, index) => {
+        if (index + 1 < size) {
+          row[output] = null;
+          return;
+        }
+        const values = partition.slice(index + 1 - size, index + 1)
+          .map(other => this.numberIn(other[column]))
+          .filter(value => value !== null);
+        row[output] = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Copy the value from a number of rows before (lag) or after (lead)
+   * @private
+   */
+  shiftValues(data, params, offset, output) {
+    const { column } = params;
+    const { rows, partitions } = this.windowPartitions(data, params);
+    partitions.forEach(partition => {
+      partition.forEach((row, index) => {
+        const other = partition[index + offset];
+        row[output] = other === undefined || other[column] === undefined ? null : other[column];
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Value of a column a number of rows earlier
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions)
+   * @param {number} [params.periods=1] - How many rows back
+   * @param {string} [params.output] - New column name (default previous_<column>)
+   * @returns {Array} Rows with the earlier value added; null where there is none
+   */
+  lagValues(data, params) {
+    const periods = this.positiveWhole(params.periods, 1, 'periods');
+    return this.shiftValues(data, params, -periods, params.output || `previous_${params.column}`);
+  }
+
+  /**
+   * Value of a column a number of rows later
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions)
+   * @param {number} [params.periods=1] - How many rows ahead
+   * @param {string} [params.output] - New column name (default next_<column>)
+   * @returns {Array} Rows with the later value added; null where there is none
+   */
+  leadValues(data, params) {
+    const periods = this.positiveWhole(params.periods, 1, 'periods');
+    return this.shiftValues(data, params, periods, params.output || `next_${params.column}`);
+  }
+
+  /**
+   * Percentage change from a number of rows earlier, e.g. year-over-year change
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Window parameters (see windowPartitions)
+   * @param {number} [params.periods=1] - How many rows back to compare with
+   * @param {string} [params.output] - New column name (default pct_change_<column>)
+   * @returns {Array} Rows with the change added (12.5 means 12.5% up); null
+   *   without two numbers or when the earlier value is 0
+   */
+  pctChange(data, params) {
+    const { column, output = `pct_change_${column}` } = params;
+    const periods = this.positiveWhole(params.periods, 1, 'periods');
+    const { rows, partitions } = this.windowPartitions(data, params);
+    partitions.forEach(partition => {
+      partition.forEach((row, index) => {
+        const current = this.numberIn(row[column]);
+        const earlier = index >= periods ? this.numberIn(partition[index - periods][column]) : null;
+        row[output] = current === null || earlier === null || earlier === 0
+          ? null
+          : ((current - earlier) / Math.abs(earlier)) * 100;
+      });
+    });
+    return rows;
+  }
+
+  // ========================
+  // Statistical Operations
+  // ========================
+
+  /**
+   * Calculate descriptive statistics for a column
+   * 
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Column name to analyze
+   * @returns {Object} Descriptive statistics object
+   */
+  descriptiveStats(data, params) {
+    const { column, quantileMethod } = params;
+    const values = data
+      .map(row => toNumber(row[column]))
+      .filter(v => !isNaN(v))
+      .sort((a, b) => a - b);
+
+    if (values.length === 0) {
+      throw new Error(`No valid numeric values found in column '${column}'`);
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const median = values.length % 2 === 0 
+      ? (values[values.length / 2 - 1] + values[values.length / 2]) / 2
+      : values[Math.floor(values.length / 2)];
+    
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+    const stdDev = Math.sqrt(variance);
+    
+    const min = values[0];
+    const max = values[values.length - 1];
+    // Quartiles use the same method as calculatePercentiles
+    const q1 = this.quantile(values, 0.25, quantileMethod);
+    const q3 = this.quantile(values, 0.75, quantileMethod);
+
+    return { 
+      column, 
+      count: values.length,
+      mean: Number(mean.toFixed(4)),
+      median: Number(median.toFixed(4)),
+      stdDev: Number(stdDev.toFixed(4)),
+      min, max, q1, q3,
+      variance: Number(variance.toFixed(4))
+    };
+  }
+
+  /**
+   * Calculate mean of a column
+   * 
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Column name
+   * @returns {number} Mean value
+   */
+  calculateMean(data, params) {
+    const { column } = params;
+    
+    // Check if column exists
+    if (data.length > 0 && !data[0].hasOwnProperty(column)) {
+      const availableColumns = Object.keys(data[0]);
+      throw new Error(`Column '${column}' does not exist. Available columns: ${availableColumns.join(', ')}`);
+    }
+    
+    const values = data
+      .map(row => toNumber(row[column]))
+      .filter(v => !isNaN(v));
+
+    if (values.length === 0) {
+      const sampleValues = data.slice(0, 3).map(row => row[column]);
+      throw new Error(`No valid numeric values found in column '${column}'. Column contains non-numeric data like: [${sampleValues.join(', ')}]. Statistical operations require numeric data.`);
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Number(mean.toFixed(4));
+  }
+
+  /**
+   * Calculate median of a column
+   * 
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Column name
+   * @returns {number} Median value
+   */
+  calculateMedian(data, params) {
+    const { column } = params;
+    const values = data
+      .map(row => toNumber(row[column]))
+      .filter(v => !isNaN(v))
+      .sort((a, b) => a - b);
+
+    if (values.length === 0) {
+      throw new Error(`No valid numeric values found in column '${column}'`);
+    }
+
+    const median = values.length % 2 === 0 
+      ? (values[values.length / 2 - 1] + values[values.length / 2]) / 2
+      : values[Math.floor(values.length / 2)];
+    
+    return Number(median.toFixed(4));
+  }
+
+  /**
+   * Calculate standard deviation of a column
+   * 
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Column name
+   * @returns {number} Standard deviation
+   */
+  calculateStandardDeviation(data, params) {
+    const { column } = params;
+    const values = data
+      .map(row => toNumber(row[column]))
+      .filter(v => !isNaN(v));
+
+    if (values.length === 0) {
+      throw new Error(`No valid numeric values found in column '${column}'`);
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+    const stdDev = Math.sqrt(variance);
+    
+    return Number(stdDev.toFixed(4));
+  }
+
+  /**
+   * Calculate correlation between two columns
+   * 
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.columnX - First column name
+   * @param {string} params.columnY - Second column name
+   * @returns {number} Correlation coefficient
+   */
+  calculateCorrelation(data, params) {
+    const { columnX, columnY } = params;
+    const pairs = data
+      .map(row => ({ x: toNumber(row[columnX]), y: toNumber(row[columnY]) }))
+      .filter(pair => !isNaN(pair.x) && !isNaN(pair.y));
+
+    if (pairs.length < 2) {
+      throw new Error(`Not enough valid numeric pairs found between '${columnX}' and '${columnY}'`);
+    }
+
+    const meanX = pairs.reduce((sum, p) => sum + p.x, 0) / pairs.length;
+    const meanY = pairs.reduce((sum, p) => sum + p.y, 0) / pairs.length;
+    
+    let numerator = 0, denomX = 0, denomY = 0;
+    for (const pair of pairs) {
+      const devX = pair.x - meanX;
+      const devY = pair.y - meanY;
+      numerator += devX * devY;
+      denomX += devX * devX;
+      denomY += devY * devY;
+    }
+    
+    const denominator = Math.sqrt(denomX * denomY);
+    if (denominator === 0) {
+      // Handle case where one or both variables have zero variance
+      return 0;
+    }
+    
+    const correlation = numerator / denominator;
+    return Number(correlation.toFixed(4));
+  }
+
+  /**
+   * Detect outliers in a column
+   *
+   * Methods:
+   * - iqr: outside Q1 - k·IQR and Q3 + k·IQR (k = threshold, default 1.5),
+   *   with quartiles from params.quantileMethod as in calculatePercentiles
+   * - zscore: more than threshold (default 3) standard deviations from the mean
+   * - modified_zscore: |0.6745 (x - median) / MAD| above threshold (default
+   *   3.5), which a few extreme values cannot mask. When more than half the
+   *   values are equal the MAD is 0 and the mean absolute deviation
+   *   (scaled by 1.2533) is used instead.
+   *
+   * Cells without a number are never outliers.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Column name
+   * @param {string} params.method - Detection method ('iqr', 'zscore', 'modified_zscore')
+   * @param {number} [params.threshold] - Overrides the method's default threshold
+   * @param {string} [params.quantileMethod='linear'] - Quartile method for iqr
+   * @param {string} [params.action='flag'] - What to do with outliers:
+   *   flag adds true/false in <column>_is_outlier, label adds 'low' or 'high'
+   *   (null otherwise) in <column>_outlier, remove drops the rows and cap
+   *   replaces each outlier with the limit it crossed (winsorizing)
+   * @param {string} [params.outputColumn] - Name of the flag or label column
+   * @returns {Array} Data with outlier flags
+   * @throws {Error} If the method, threshold or action is not valid
+   */
+  detectOutliers(data, params) {
+    const { column, method, quantileMethod, action = 'flag' } = params;
+    if (!Object.prototype.hasOwnProperty.call(OUTLIER_THRESHOLDS, method)) {
+      throw new Error(`Unsupported outlier method: ${method}; use one of ${Object.keys(OUTLIER_THRESHOLDS).join(', ')}`);
+    }
+    if (!OUTLIER_ACTIONS.includes(action)) {
+      throw new Error(`Unsupported outlier action: ${action}; use one of ${OUTLIER_ACTIONS.join(', ')}`);
+    }
+    const threshold = params.threshold === undefined || params.threshold === null || params.threshold === ''
+      ? OUTLIER_THRESHOLDS[method]
+      : Number(params.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error('The outlier threshold must be a number above 0');
+    }
+
+    const values = data.map(row => toNumber(row[column]));
+    const validValues = values.filter(v => !isNaN(v));
+    
+    if (validValues.length === 0) {
+      throw new Error(`No valid numeric values found in column '${column}'`);
     }
 
+    const { lower, upper } = this.outlierLimits(validValues, method, threshold, quantileMethod);
+
+    if (action === 'remove') {
+      return data.filter((row, i) => isNaN(values[i]) || (values[i] >= lower && values[i] <= upper));
+    }
+    if (action === 'cap') {
+      return data.map((row, i) => {
+        if (isNaN(values[i]) || (values[i] >= lower && values[i] <= upper)) return { ...row };
+        return { ...row, [column]: Number(Math.min(Math.max(values[i], lower), upper).toFixed(4)) };
+      });
+    }
+    if (action === 'label') {
+      const outputColumn = params.outputColumn || `${column}_outlier`;
+      return data.map((row, i) => ({
+        ...row,
+        [outputColumn]: values[i] < lower ? 'low' : values[i] > upper ? 'high' : null
+      }));
+    }
+    const outputColumn = params.outputColumn || `${column}_is_outlier`;
     return data.map((row, i) => ({
       ...row,
-      [`${column}_is_outlier`]: outlierIndices.has(i)
+      [outputColumn]: values[i] < lower || values[i] > upper
     }));
   }
 
+  /**
+   * Lowest and highest values that are not outliers
+   *
+   * The limits are infinite when the values do not vary, so identical
+   * values are never outliers.
+   * @private
+   */
+  outlierLimits(values, method, threshold, quantileMethod) {
+    if (method === 'iqr') {
+      const sorted = [...values].sort((a, b) => a - b);
+      const q1 = this.quantile(sorted, 0.25, quantileMethod);
+      const q3 = this.quantile(sorted, 0.75, quantileMethod);
+      const iqr = q3 - q1;
+      return { lower: q1 - threshold * iqr, upper: q3 + threshold * iqr };
+    }
+
+    let centre;
+    let scale;
+    if (method === 'zscore') {
+      centre = values.reduce((sum, v) => sum + v, 0) / values.length;
+      scale = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - centre, 2), 0) / values.length);
+    } else {
+      const median = list => {
+        const sorted = [...list].sort((a, b) => a - b);
+        return this.quantile(sorted, 0.5);
+      };
+      centre = median(values);
+      const deviations = values.map(v => Math.abs(v - centre));
+      const mad = median(deviations);
+      // 0.6745 makes the MAD comparable with a standard deviation for normal data
+      scale = mad > 0
+        ? mad / 0.6745
+        : 1.2533 * (deviations.reduce((sum, d) => sum + d, 0) / deviations.length);
+    }
+
+    // Guard against divide by zero when all values are identical
+    if (!(scale > 0)) {
+      return { lower: -Infinity, upper: Infinity };
+    }
+    return { lower: centre - threshold * scale, upper: centre + threshold * scale };
+  }
+
   /**
    * Count frequency of values in a column
    * 
@@ -943,10 +2201,11 @@ class DataProcessor {
    * @param {Object} params - Parameters
    * @param {string} params.column - Column name
    * @param {number} params.percentile - Percentile value (0-100)
+   * @param {string} [params.quantileMethod='linear'] - See quantile
    * @returns {number} Percentile value
    */
   calculatePercentiles(data, params) {
-    const { column, percentile } = params;
+    const { column, percentile, quantileMethod } = params;
     
     // Validate percentile range (for test compatibility)
     if (percentile < 0 || percentile > 100) {
@@ -954,7 +2213,7 @@ class DataProcessor {
     }
     
     const values = data
-      .map(row => parseFloat(row[column]))
+      .map(row => toNumber(row[column]))
       .filter(v => !isNaN(v))
       .sort((a, b) => a - b);
 
@@ -962,14 +2221,565 @@ class DataProcessor {
       throw new Error(`No valid numeric values found in column '${column}'`);
     }
 
-    const index = (percentile / 100) * (values.length - 1);
-    const lower = Math.floor(index);
-    const upper = Math.ceil(index);
-    const weight = index % 1;
-
-    const result = values[lower] * (1 - weight) + values[upper] * weight;
+    const result = this.quantile(values, percentile / 100, quantileMethod);
     return Number(result.toFixed(4));
   }
+
+  /**
+   * Value below which a share p of sorted numbers fall
+   *
+   * Methods (the names spreadsheets and R use in brackets):
+   * - linear: interpolate at position p(n - 1) (PERCENTILE.INC, R type 7)
+   * - exclusive: interpolate at position p(n + 1), clamped to the data
+   *   (PERCENTILE.EXC, R type 6)
+   * - nearest_rank: the value at rank ceil(pn), no interpolation
+   *
+   * @private
+   * @param {Array<number>} sorted - Numbers in ascending order
+   * @param {number} p - Share between 0 and 1
+   * @param {string} [method='linear'] - Quantile method
+   * @returns {number} Quantile
+   */
+  quantile(sorted, p, method = 'linear') {
+    const n = sorted.length;
+    const at = position => {
+      // 0-based position, clamped to the data
+      const index = Math.min(Math.max(position, 0), n - 1);
+      const lower = Math.floor(index);
+      const weight = index - lower;
+      return weight === 0 ? sorted[lower] : sorted[lower] * (1 - weight) + sorted[lower + 1] * weight;
+    };
+    switch (method || 'linear') {
+      case 'linear':
+        return at(p * (n - 1));
+      case 'exclusive':
+        return at(p * (n + 1) - 1);
+      case 'nearest_rank':
+        return sorted[Math.max(Math.ceil(p * n), 1) - 1];
+      default:
+        throw new Error(`Unsupported quantile method: ${method}; use one of ${QUANTILE_METHODS.join(', ')}`);
+    }
+  }
+
+  // ========================
+  // Inferential Statistics
+  // ========================
+
+  /**
+   * Numbers in a column, for the inferential statistics
+   * @private
+   */
+  numericSample(data, column) {
+    if (!column) {
+      throw new Error('A value column (params.column) is required');
+    }
+    this.requireColumns(data, [column]);
+    return data.map(row => this.numberIn(row[column])).filter(value => value !== null);
+  }
+
+  /**
+   * Size, mean and sample standard deviation (n - 1) of some numbers
+   * @private
+   */
+  sampleSummary(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1);
+    return { n, mean, sd: Math.sqrt(variance) };
+  }
+
+  /**
+   * Read a probability parameter, also accepting a percentage such as 95
+   * @private
+   */
+  readProbability(value, fallback, name) {
+    let number = value === undefined || value === null || value === '' ? fallback : Number(value);
+    if (number > 1 && number < 100) number /= 100;
+    if (!(number > 0 && number < 1)) {
+      throw new Error(`${name} must be between 0 and 1 (e.g. ${fallback}) or a percentage`);
+    }
+    return number;
+  }
+
+  /**
+   * p-value in words, e.g. "p = 0.032" or "p < 0.001"
+   * @private
+   */
+  describePValue(pValue) {
+    return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+  }
+
+  /**
+   * p-value of a t statistic for the chosen alternative hypothesis
+   * @private
+   */
+  tPValue(t, df, alternative) {
+    if (alternative === 'greater') return 1 - distributions.tCdf(t, df);
+    if (alternative === 'less') return distributions.tCdf(t, df);
+    return Math.min(1, 2 * (1 - distributions.tCdf(Math.abs(t), df)));
+  }
+
+  /**
+   * Confidence interval for a t-test estimate that matches its alternative:
+   * two-sided, or a one-sided bound with the other end open (null)
+   * @private
+   */
+  tInterval(estimate, se, df, alpha, alternative) {
+    const sided = alternative === 'two-sided' ? 'two-sided' : 'one-sided';
+    const margin = distributions.tQuantile(sided === 'two-sided' ? 1 - alpha / 2 : 1 - alpha, df) * se;
+    return {
+      level: 1 - alpha,
+      sided,
+      lower: alternative === 'less' ? null : Number((estimate - margin).toFixed(4)),
+      upper: alternative === 'greater' ? null : Number((estimate + margin).toFixed(4))
+    };
+  }
+
+  /**
+   * Student's t-test for a mean, or for the difference between two groups
+   *
+   * Without params.groupColumn, tests whether the mean of params.column
+   * differs from params.mu. With it, compares the means of the two groups
+   * (Welch's test unless params.equalVariance is set).
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Numeric column to test
+   * @param {number} [params.mu=0] - Mean to compare with (one-sample test)
+   * @param {string} [params.groupColumn] - Column splitting the rows into two groups
+   * @param {Array<string>} [params.groups] - The two groups to compare when the column has more
+   * @param {boolean} [params.equalVariance=false] - Use the pooled (Student's) two-sample test
+   * @param {string} [params.alternative='two-sided'] - 'two-sided', 'greater' or 'less'
+   *   (for two groups, whether the first group's mean is greater or less)
+   * @param {number} [params.alpha=0.05] - Significance level
+   * @returns {Object} Test statistic, degrees of freedom, p-value, a confidence interval
+   *   for the mean or difference and a plain-language interpretation. For 'greater'
+   *   the interval has only a lower bound, for 'less' only an upper one
+   * @throws {Error} If a column is missing, a group has fewer than 2 numbers or the values do not vary
+   */
+  tTest(data, params) {
+    const { column, groupColumn, alternative = 'two-sided', equalVariance = false } = params;
+    if (!['two-sided', 'greater', 'less'].includes(alternative)) {
+      throw new Error('alternative must be one of two-sided, greater, less');
+    }
+    const alpha = this.readProbability(params.alpha, 0.05, 'alpha');
+
+    if (!groupColumn) {
+      const mu = params.mu === undefined || params.mu === '' ? 0 : Number(params.mu);
+      if (!Number.isFinite(mu)) {
+        throw new Error('mu must be a number');
+      }
+      const values = this.numericSample(data, column);
+      if (values.length < 2) {
+        throw new Error(`A t-test needs at least 2 numbers in '${column}'`);
+      }
+      const { n, mean, sd } = this.sampleSummary(values);
+      const se = sd / Math.sqrt(n);
+      if (se === 0) {
+        throw new Error(`Every value in '${column}' is the same, so there is no variation to test`);
+      }
+      const t = (mean - mu) / se;
+      const df = n - 1;
+      const pValue = this.tPValue(t, df, alternative);
+      const significant = pValue < alpha;
+      const claim = alternative === 'greater' ? `greater than ${mu}` : alternative === 'less' ? `less than ${mu}` : `different from ${mu}`;
+
+      return {
+        test: 'one-sample t-test',
+        column,
+        mu,
+        alternative,
+        n,
+        mean: Number(mean.toFixed(4)),
+        stdDev: Number(sd.toFixed(4)),
+        t: Number(t.toFixed(4)),
+        degreesOfFreedom: df,
+        pValue: Number(pValue.toFixed(4)),
+        alpha,
+        significant,
+        confidenceInterval: this.tInterval(mean, se, df, alpha, alternative),
+        interpretation: significant
+          ? `The mean of ${column} is ${Number(mean.toFixed(2))}. There is evidence that the true mean is ${claim} (${this.describePValue(pValue)}, below the ${alpha} significance level).`
+          : `The mean of ${column} is ${Number(mean.toFixed(2))}. There is not enough evidence that the true mean is ${claim} (${this.describePValue(pValue)}); a difference like this could easily happen by chance.`
+      };
+    }
+
+    this.requireColumns(data, [column, groupColumn]);
+    const label = value => (value === null || value === undefined ? '' : String(value).trim());
+    const found = Array.from(new Set(data.map(row => label(row[groupColumn])).filter(Boolean)));
+    const groups = Array.isArray(params.groups) && params.groups.length ? params.groups.map(label) : found;
+    if (groups.length !== 2) {
+      throw new Error(`A two-sample t-test compares exactly 2 groups, but '${groupColumn}' has ${groups.length} (${groups.slice(0, 5).join(', ')}${groups.length > 5 ? ', ...' : ''}); filter the data or list two groups in params.groups`);
+    }
+    const samples = groups.map(group => {
+      const values = data
+        .filter(row => label(row[groupColumn]) === group)
+        .map(row => this.numberIn(row[column]))
+        .filter(value => value !== null);
+      if (values.length < 2) {
+        throw new Error(`A t-test needs at least 2 numbers in '${column}' for the group ${group}`);
+      }
+      return { group, ...this.sampleSummary(values) };
+    });
+
+    const [a, b] = samples;
+    let se;
+    let df;
+    if (equalVariance) {
+      const pooled = ((a.n - 1) * a.sd * a.sd + (b.n - 1) * b.sd * b.sd) / (a.n + b.n - 2);
+      se = Math.sqrt(pooled * (1 / a.n + 1 / b.n));
+      df = a.n + b.n - 2;
+    } else {
+      const va = (a.sd * a.sd) / a.n;
+      const vb = (b.sd * b.sd) / b.n;
+      se = Math.sqrt(va + vb);
+      df = Math.pow(va + vb, 2) / (Math.pow(va, 2) / (a.n - 1) + Math.pow(vb, 2) / (b.n - 1));
+    }
+    if (!(se > 0)) {
+      throw new Error(`Every value in '${column}' is the same within each group, so there is no variation to test`);
+    }
+    const difference = a.mean - b.mean;
+    const t = difference / se;
+    const pValue = this.tPValue(t, df, alternative);
+    const significant = pValue < alpha;
+    const claim = alternative === 'greater'
+      ? `the average ${column} is higher for ${a.group} than for ${b.group}`
+      : alternative === 'less'
+        ? `the average ${column} is lower for ${a.group} than for ${b.group}`
+        : `the average ${column} differs between ${a.group} and ${b.group}`;
+
+    return {
+      test: equalVariance ? 'two-sample t-test' : 'two-sample t-test (Welch)',
+      column,
+      groupColumn,
+      alternative,
+      groups: samples.map(({ group, n, mean, sd }) => ({
+        group,
+        n,
+        mean: Number(mean.toFixed(4)),
+        stdDev: Number(sd.toFixed(4))
+      })),
+      difference: Number(difference.toFixed(4)),
+      t: Number(t.toFixed(4)),
+      degreesOfFreedom: Number(df.toFixed(4)),
+      pValue: Number(pValue.toFixed(4)),
+      alpha,
+      significant,
+      confidenceInterval: this.tInterval(difference, se, df, alpha, alternative),
+      interpretation: `The average ${column} is ${Number(a.mean.toFixed(2))} for ${a.group} and ${Number(b.mean.toFixed(2))} for ${b.group}. ` + (significant
+        ? `There is evidence that ${claim} (${this.describePValue(pValue)}, below the ${alpha} significance level).`
+        : `There is not enough evidence that ${claim} (${this.describePValue(pValue)}); a difference like this could easily happen by chance.`)
+    };
+  }
+
+  /**
+   * Chi-square test of independence between two categorical columns
+   *
+   * Rows with an empty value in either column are left out.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.columnA - First categorical column (table rows)
+   * @param {string} params.columnB - Second categorical column (table columns)
+   * @param {number} [params.alpha=0.05] - Significance level
+   * @returns {Object} Observed and expected counts, the statistic, degrees of freedom,
+   *   p-value, Cramér's V, a warning when expected counts are small and an interpretation
+   * @throws {Error} If a column is missing, has fewer than 2 or more than 50 different values
+   */
+  chiSquareTest(data, params) {
+    const { columnA, columnB } = params;
+    if (!columnA || !columnB) {
+      throw new Error('Two columns (params.columnA and params.columnB) are required');
+    }
+    this.requireColumns(data, [columnA, columnB]);
+    const alpha = this.readProbability(params.alpha, 0.05, 'alpha');
+    const label = value => (value === null || value === undefined ? '' : String(value).trim());
+
+    const pairs = data
+      .map(row => [label(row[columnA]), label(row[columnB])])
+      .filter(([a, b]) => a !== '' && b !== '');
+    const rowLabels = Array.from(new Set(pairs.map(pair => pair[0])));
+    const columnLabels = Array.from(new Set(pairs.map(pair => pair[1])));
+    [[columnA, rowLabels], [columnB, columnLabels]].forEach(([name, labels]) => {
+      if (labels.length < 2) {
+        throw new Error(`'${name}' needs at least 2 different values for a chi-square test`);
+      }
+      if (labels.length > MAX_CHI_SQUARE_CATEGORIES) {
+        throw new Error(`'${name}' has more than ${MAX_CHI_SQUARE_CATEGORIES} different values; a chi-square test needs categories`);
+      }
+    });
+
+    const observed = rowLabels.map(() => columnLabels.map(() => 0));
+    pairs.forEach(([a, b]) => {
+      observed[rowLabels.indexOf(a)][columnLabels.indexOf(b)] += 1;
+    });
+    const n = pairs.length;
+    const rowTotals = observed.map(counts => counts.reduce((sum, count) => sum + count, 0));
+    const columnTotals = columnLabels.map((_, j) => observed.reduce((sum, counts) => sum + counts[j], 0));
+    const expected = rowTotals.map(rowTotal => columnTotals.map(columnTotal => (rowTotal * columnTotal) / n));
+
+    let chiSquare = 0;
+    observed.forEach((counts, i) => counts.forEach((count, j) => {
+      chiSquare += Math.pow(count - expected[i][j], 2) / expected[i][j];
+    }));
+    const df = (rowLabels.length - 1) * (columnLabels.length - 1);
+    const pValue = 1 - distributions.chiSquareCdf(chiSquare, df);
+    const cramersV = Math.sqrt(chiSquare / (n * (Math.min(rowLabels.length, columnLabels.length) - 1)));
+    const small = expected.flat().filter(count => count < 5).length;
+    const significant = pValue < alpha;
+
+    return {
+      test: 'chi-square test of independence',
+      columnA,
+      columnB,
+      n,
+      table: {
+        rows: rowLabels,
+        columns: columnLabels,
+        observed,
+        expected: expected.map(counts => counts.map(count => Number(count.toFixed(4))))
+      },
+      chiSquare: Number(chiSquare.toFixed(4)),
+      degreesOfFreedom: df,
+      pValue: Number(pValue.toFixed(4)),
+      alpha,
+      significant,
+      cramersV: Number(cramersV.toFixed(4)),
+      ...(small > 0 ? {
+        warning: `${small} of ${rowLabels.length * columnLabels.length} expected counts are below 5, so the p-value may not be reliable; try combining small categories`
+      } : {}),
+      interpretation: significant
+        ? `${columnA} and ${columnB} appear to be related: the counts differ from what we would expect if they were unrelated by more than chance would explain (${this.describePValue(pValue)}, below the ${alpha} significance level).`
+        : `There is not enough evidence that ${columnA} and ${columnB} are related (${this.describePValue(pValue)}); the differences in the counts could be due to chance.`
+    };
+  }
+
+  /**
+   * Confidence interval for the mean of a column or for a proportion
+   *
+   * Means use the t distribution; proportions use the Wilson score interval,
+   * which stays sensible for small samples and proportions near 0 or 1.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.column - Column to estimate from
+   * @param {string} [params.type='mean'] - 'mean' or 'proportion'
+   * @param {number} [params.level=0.95] - Confidence level (0.95 or 95)
+   * @param {string} [params.success] - For proportions, the value being counted
+   *   (compared as trimmed text, ignoring case); empty cells are left out
+   * @returns {Object} Estimate, margin of error, bounds and an interpretation
+   * @throws {Error} If a column or the success value is missing, or there are too few values
+   */
+  confidenceInterval(data, params) {
+    const { column, type = 'mean' } = params;
+    if (!['mean', 'proportion'].includes(type)) {
+      throw new Error('type must be one of mean, proportion');
+    }
+    const level = this.readProbability(params.level, 0.95, 'level');
+    const percent = `${Number((level * 100).toFixed(2))}%`;
+
+    if (type === 'mean') {
+      const values = this.numericSample(data, column);
+      if (values.length < 2) {
+        throw new Error(`A confidence interval needs at least 2 numbers in '${column}'`);
+      }
+      const { n, mean, sd } = this.sampleSummary(values);
+      const margin = distributions.tQuantile(1 - (1 - level) / 2, n - 1) * (sd / Math.sqrt(n));
+      const lower = Number((mean - margin).toFixed(4));
+      const upper = Number((mean + margin).toFixed(4));
+      return {
+        type,
+        column,
+        level,
+        n,
+        estimate: Number(mean.toFixed(4)),
+        marginOfError: Number(margin.toFixed(4)),
+        lower,
+        upper,
+        interpretation: `We are ${percent} confident that the true mean of ${column} is between ${Number(lower.toFixed(2))} and ${Number(upper.toFixed(2))}.`
+      };
+    }
+
+    if (params.success === undefined || params.success === null || String(params.success).trim() === '') {
+      throw new Error('params.success must name the value to count, e.g. "Yes"');
+    }
+    if (!column) {
+      throw new Error('A value column (params.column) is required');
+    }
+    this.requireColumns(data, [column]);
+    const success = String(params.success).trim();
+    const cells = data
+      .map(row => (row[column] === null || row[column] === undefined ? '' : String(row[column]).trim()))
+      .filter(value => value !== '');
+    const n = cells.length;
+    if (n === 0) {
+      throw new Error(`'${column}' has no values to count`);
+    }
+    const successes = cells.filter(value => value.toLowerCase() === success.toLowerCase()).length;
+    const proportion = successes / n;
+    const z = distributions.normalQuantile(1 - (1 - level) / 2);
+    const denominator = 1 + (z * z) / n;
+    const centre = (proportion + (z * z) / (2 * n)) / denominator;
+    const margin = (z * Math.sqrt((proportion * (1 - proportion)) / n + (z * z) / (4 * n * n))) / denominator;
+    const lower = Math.max(0, centre - margin);
+    const upper = Math.min(1, centre + margin);
+    const asPercent = value => `${Number((value * 100).toFixed(1))}%`;
+
+    return {
+      type,
+      column,
+      success,
+      level,
+      n,
+      successes,
+      estimate: Number(proportion.toFixed(4)),
+      marginOfError: Number(margin.toFixed(4)),
+      lower: Number(lower.toFixed(4)),
+      upper: Number(upper.toFixed(4)),
+      interpretation: `${asPercent(proportion)} of the ${n} values of ${column} are "${success}". We are ${percent} confident that the true proportion is between ${asPercent(lower)} and ${asPercent(upper)}.`
+    };
+  }
+
+  // ========================
+  // Regression
+  // ========================
+
+  /**
+   * Fit a trend of yColumn against xColumn
+   *
+   * Rows without a number in both columns are left out.
+   * @private
+   * @returns {Object} { fit, points } with points holding the row index of each point
+   */
+  fitRegression(data, params, model) {
+    const { xColumn, yColumn } = params || {};
+    if (!xColumn || !yColumn) {
+      throw new Error('Both an x column (params.xColumn) and a y column (params.yColumn) are required');
+    }
+    this.requireColumns(data, [xColumn, yColumn]);
+    const points = [];
+    data.forEach((row, index) => {
+      const x = this.numberIn(row[xColumn]);
+      const y = this.numberIn(row[yColumn]);
+      if (x !== null && y !== null) points.push({ x, y, index });
+    });
+    return { fit: regression.fitTrend(points, { model, degree: params.degree }), points };
+  }
+
+  /**
+   * Result object shared by the regression operations
+   * @private
+   */
+  regressionSummary(data, params, model) {
+    const { xColumn, yColumn } = params;
+    const { fit, points } = this.fitRegression(data, params, model);
+    const round = value => Number(value.toFixed(4));
+    const percent = `${Number((fit.rSquared * 100).toFixed(1))}%`;
+    const result = {
+      model,
+      xColumn,
+      yColumn,
+      n: fit.n,
+      equation: regression.formatEquation(fit, xColumn, yColumn),
+      rSquared: round(fit.rSquared)
+    };
+
+    let description;
+    if (model === 'linear') {
+      const [intercept, slope] = fit.coefficients;
+      result.slope = round(slope);
+      result.intercept = round(intercept);
+      const direction = slope >= 0 ? 'goes up' : 'goes down';
+      description = `On average ${yColumn} ${direction} by ${Math.abs(result.slope)} for each increase of 1 in ${xColumn}.`;
+    } else if (model === 'polynomial') {
+      result.degree = fit.degree;
+      result.coefficients = fit.coefficients.map(round);
+      description = `A degree ${fit.degree} curve was fitted to ${yColumn} against ${xColumn}.`;
+    } else {
+      const [a, b] = fit.coefficients;
+      result.coefficients = { a: round(a), b: round(b) };
+      result.growthRate = round(Math.exp(b) - 1);
+      const change = `${Number((Math.abs(Math.exp(b) - 1) * 100).toFixed(1))}%`;
+      description = `${yColumn} ${b >= 0 ? 'grows' : 'shrinks'} by about ${change} for each increase of 1 in ${xColumn}.`;
+    }
+    result.residuals = points.map(({ x, y }) => round(y - fit.predict(x)));
+    result.interpretation = `${description} The trend explains ${percent} of the variation in ${yColumn} (r² = ${result.rSquared}).`;
+    return result;
+  }
+
+  /**
+   * Fit a straight line y = intercept + slope·x by least squares
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters
+   * @param {string} params.xColumn - Explanatory (x) column
+   * @param {string} params.yColumn - Column to predict (y)
+   * @returns {Object} { model, xColumn, yColumn, n, equation, rSquared, slope,
+   *   intercept, residuals, interpretation } with a residual (actual minus
+   *   predicted) for each row used, in row order
+   */
+  linearRegression(data, params) {
+    return this.regressionSummary(data, params, 'linear');
+  }
+
+  /**
+   * Fit a polynomial curve by least squares
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters as for linearRegression
+   * @param {number} [params.degree=2] - 2 (quadratic) to 6
+   * @returns {Object} As for linearRegression, with degree and coefficients
+   *   (constant term first) in place of slope and intercept
+   */
+  polynomialRegression(data, params) {
+    return this.regressionSummary(data, params, 'polynomial');
+  }
+
+  /**
+   * Fit an exponential curve y = a·e^(bx)
+   *
+   * Every y value must be above 0.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters as for linearRegression
+   * @returns {Object} As for linearRegression, with coefficients { a, b } and
+   *   growthRate, the proportional change in y for each increase of 1 in x
+   */
+  exponentialRegression(data, params) {
+    return this.regressionSummary(data, params, 'exponential');
+  }
+
+  /**
+   * Add the fitted value and residual of a trend to every row
+   *
+   * Rows with a number in xColumn get a prediction even when yColumn is
+   * empty, so the trend can fill gaps or look ahead; their residual is null.
+   *
+   * @param {Array} data - Input data array
+   * @param {Object} params - Parameters as for linearRegression
+   * @param {string} [params.model='linear'] - linear, polynomial or exponential
+   * @param {number} [params.degree=2] - Degree of a polynomial model
+   * @param {string} [params.outputColumn] - Defaults to predicted_<yColumn>
+   * @param {string} [params.residualColumn] - Defaults to residual_<yColumn>
+   * @returns {Array} Rows with the two new columns
+   */
+  trendPredictions(data, params) {
+    const { model = 'linear' } = params || {};
+    const { fit } = this.fitRegression(data, params, model);
+    const { xColumn, yColumn } = params;
+    const outputColumn = params.outputColumn || `predicted_${yColumn}`;
+    const residualColumn = params.residualColumn || `residual_${yColumn}`;
+    return data.map(row => {
+      const x = this.numberIn(row[xColumn]);
+      const y = this.numberIn(row[yColumn]);
+      const predicted = x === null ? null : Number(fit.predict(x).toFixed(4));
+      return {
+        ...row,
+        [outputColumn]: predicted,
+        [residualColumn]: predicted === null || y === null ? null : Number((y - predicted).toFixed(4))
+      };
+    });
+  }
 }
 
 module.exports = new DataProcessor();
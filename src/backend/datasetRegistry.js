@@ -0,0 +1,330 @@
+/**
+ * Dataset Registry Module
+ *
+ * Keeps track of the CSV datasets saved on the server: who owns each one,
+ * the project it belongs to, the name it was uploaded with, its size, row
+ * and column counts, schema and when it was created and last changed.
+ *
+ * Files live under uploads/. Each signed-in user gets a folder of their own
+ * (uploads/<user id>/) so two students can both keep an example.csv;
+ * datasets saved without signing in share the top of uploads/ as before.
+ * Every owner has a quota on the number and total size of their datasets.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./storage/atomicWrite');
+
+// Overridable so tests can use a scratch file and folder
+const DATASETS_FILE = process.env.DATASETS_FILE || path.join(__dirname, '../../datasets.json');
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
+
+// Per-owner limits on saved datasets
+const MAX_DATASETS_PER_OWNER = Number(process.env.DATASET_QUOTA_FILES) || 50;
+const MAX_BYTES_PER_OWNER = Number(process.env.DATASET_QUOTA_BYTES) || 50 * 1024 * 1024;
+
+/**
+ * Read dataset records from the JSON file
+ * @returns {Array} Array of dataset records; empty when the file does not exist
+ * @throws {Error} If the file exists but does not hold a list of records;
+ *   it is never overwritten, so the records in it can be recovered by hand
+ */
+function readDatasets() {
+  if (!fs.existsSync(DATASETS_FILE)) {
+    return [];
+  }
+  let datasets;
+  try {
+    datasets = JSON.parse(fs.readFileSync(DATASETS_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read datasets file ${DATASETS_FILE}: ${error.message}`);
+  }
+  if (!Array.isArray(datasets)) {
+    throw new Error(`Cannot read datasets file ${DATASETS_FILE}: expected a list of datasets`);
+  }
+  return datasets;
+}
+
+/**
+ * Write dataset records to the JSON file
+ * @param {Array} datasets - Array of dataset records
+ */
+function writeDatasets(datasets) {
+  writeJsonAtomic(DATASETS_FILE, datasets);
+}
+
+/**
+ * Sanitize a dataset name into a CSV filename
+ * @param {string} name - Filename with or without the .csv extension
+ * @returns {string} Safe filename ending in .csv
+ */
+function safeCsvName(name) {
+  const safeName = path.basename(String(name)).replace(/[^\w\-.]/g, '_');
+  return safeName.toLowerCase().endsWith('.csv') ? safeName : `${safeName}.csv`;
+}
+
+/**
+ * Folder holding an owner's datasets, relative to uploads/
+ * @param {string|null} ownerId - User id, or null for the shared space
+ * @returns {string} Relative folder ('' for the shared space)
+ */
+function ownerFolder(ownerId) {
+  return ownerId ? String(ownerId).replace(/[^\w-]/g, '_') : '';
+}
+
+/**
+ * Resolve a dataset name to its file in an owner's folder
+ * @param {string} name - Filename with or without the .csv extension
+ * @param {string|null} [ownerId] - Owner whose folder to look in
+ * @returns {{ finalName: string, filePath: string, publicPath: string }} Sanitized
+ *   filename, absolute path and the /api/get-csv URL that serves it to its owner
+ */
+function datasetPath(name, ownerId = null) {
+  const finalName = safeCsvName(name);
+  return {
+    finalName,
+    filePath: path.join(UPLOADS_DIR, ownerFolder(ownerId), finalName),
+    publicPath: `/api/get-csv/${encodeURIComponent(finalName)}`
+  };
+}
+
+/**
+ * Records whose files are still on disk (files can be removed by hand)
+ * @param {Array} datasets - Dataset records
+ * @returns {Array} Records with an existing file
+ */
+function existing(datasets) {
+  return datasets.filter(dataset => fs.existsSync(datasetPath(dataset.filename, dataset.ownerId).filePath));
+}
+
+function sameOwner(dataset, ownerId) {
+  return (dataset.ownerId || null) === (ownerId || null);
+}
+
+/**
+ * Summary of a dataset for lists (the schema is left out)
+ * @param {Object} dataset - Stored dataset record
+ * @returns {Object} Dataset safe to send to clients
+ */
+function toPublicDataset(dataset) {
+  const { schema, ...summary } = dataset;
+  return { ...summary, path: datasetPath(dataset.filename, dataset.ownerId).publicPath };
+}
+
+/**
+ * Make sure an owner's folder exists and return its path
+ * @param {string|null} ownerId
+ * @returns {string} Absolute folder path
+ */
+function ensureOwnerFolder(ownerId) {
+  const folder = path.join(UPLOADS_DIR, ownerFolder(ownerId));
+  fs.mkdirSync(folder, { recursive: true });
+  return folder;
+}
+
+/**
+ * Filenames of the CSV files in an owner's folder, newest first
+ * @param {string|null} ownerId
+ * @returns {Array<string>} Filenames
+ */
+function listDatasetFiles(ownerId = null) {
+  const folder = path.join(UPLOADS_DIR, ownerFolder(ownerId));
+  if (!fs.existsSync(folder)) {
+    return [];
+  }
+  return fs.readdirSync(folder, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.csv'))
+    .map(entry => ({ name: entry.name, mtime: fs.statSync(path.join(folder, entry.name)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)
+    .map(entry => entry.name);
+}
+
+/**
+ * A filename not yet used in an owner's folder: example.csv, then
+ * example_2.csv, example_3.csv, ...
+ * @param {string} name - Wanted filename
+ * @param {string|null} [ownerId]
+ * @returns {string} Free filename
+ */
+function uniqueFilename(name, ownerId = null) {
+  const wanted = safeCsvName(name);
+  const stem = wanted.replace(/\.csv$/i, '');
+  let candidate = wanted;
+  for (let copy = 2; fs.existsSync(datasetPath(candidate, ownerId).filePath); copy++) {
+    candidate = `${stem}_${copy}.csv`;
+  }
+  return candidate;
+}
+
+/**
+ * Check an owner's quota before saving a dataset
+ * @param {string|null} ownerId
+ * @param {number} bytes - Size of the file about to be written
+ * @param {string} [replacing] - Filename being overwritten, which stops counting
+ * @returns {string|null} Why the dataset cannot be saved, or null when it fits
+ */
+function quotaError(ownerId, bytes, replacing) {
+  const replaced = replacing ? safeCsvName(replacing) : null;
+  const owned = existing(readDatasets())
+    .filter(dataset => sameOwner(dataset, ownerId) && dataset.filename !== replaced);
+
+  if (owned.length + 1 > MAX_DATASETS_PER_OWNER) {
+    return `Dataset quota reached: you can keep up to ${MAX_DATASETS_PER_OWNER} datasets. Delete one to make room.`;
+  }
+  const used = owned.reduce((total, dataset) => total + (dataset.size || 0), 0);
+  if (used + bytes > MAX_BYTES_PER_OWNER) {
+    return `Dataset quota reached: your datasets can use up to ${MAX_BYTES_PER_OWNER} bytes (${used} used). Delete one to make room.`;
+  }
+  return null;
+}
+
+/**
+ * Record a dataset that has just been written to disk. Saving over an
+ * existing file keeps its id and creation time.
+ * @param {Object} details
+ * @param {string} details.filename - Stored filename
+ * @param {string|null} [details.ownerId] - Owning user id
+ * @param {string|null} [details.ownerRole] - 'facilitator' or 'student'
+ * @param {number|null} [details.projectId] - Project the dataset belongs to
+ * @param {string} [details.originalName] - Name the file was uploaded with
+ * @param {Object} details.schema - Schema from inferSchema
+ * @returns {Object} Public dataset record
+ */
+function recordDataset({ filename, ownerId = null, ownerRole = null, projectId = null, originalName, schema }) {
+  const finalName = safeCsvName(filename);
+  const { filePath } = datasetPath(finalName, ownerId);
+  const datasets = readDatasets();
+  const now = new Date().toISOString();
+  let dataset = datasets.find(item => sameOwner(item, ownerId) && item.filename === finalName);
+
+  if (!dataset) {
+    dataset = {
+      id: `ds_${crypto.randomBytes(6).toString('hex')}`,
+      ownerId: ownerId || null,
+      ownerRole: ownerId ? ownerRole || null : null,
+      projectId: null,
+      filename: finalName,
+      originalName: originalName || finalName,
+      createdAt: now
+    };
+    datasets.push(dataset);
+  }
+  if (projectId !== null && projectId !== undefined) dataset.projectId = projectId;
+  Object.assign(dataset, {
+    size: fs.statSync(filePath).size,
+    rowCount: schema ? schema.rowCount : 0,
+    columnCount: schema ? schema.columns.length : 0,
+    schema,
+    updatedAt: now
+  });
+
+  writeDatasets(datasets);
+  return toPublicDataset(dataset);
+}
+
+/**
+ * List datasets, optionally only one owner's or one project's
+ * @param {Object} [filter]
+ * @param {string|null} [filter.ownerId] - Owner to list (null for the shared space)
+ * @param {number} [filter.projectId] - Project to list
+ * @returns {Array} Public dataset records, newest first
+ */
+function listDatasets(filter = {}) {
+  return existing(readDatasets())
+    .filter(dataset => !('ownerId' in filter) || sameOwner(dataset, filter.ownerId))
+    .filter(dataset => filter.projectId === undefined || dataset.projectId === filter.projectId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(toPublicDataset);
+}
+
+/**
+ * Get a dataset by ID
+ * @param {string} datasetId
+ * @returns {Object|null} Public dataset record with its schema, or null if not found
+ */
+function getDatasetById(datasetId) {
+  const dataset = existing(readDatasets()).find(item => item.id === datasetId);
+  return dataset ? { ...toPublicDataset(dataset), schema: dataset.schema } : null;
+}
+
+/**
+ * Get the record of a file in an owner's folder
+ * @param {string} name - Filename with or without the .csv extension
+ * @param {string|null} [ownerId]
+ * @returns {Object|null} Public dataset record or null if the file is not registered
+ */
+function findDataset(name, ownerId = null) {
+  const finalName = safeCsvName(name);
+  const dataset = existing(readDatasets()).find(item => sameOwner(item, ownerId) && item.filename === finalName);
+  return dataset ? toPublicDataset(dataset) : null;
+}
+
+/**
+ * Rename a dataset's file (and its stored schema) within its owner's folder
+ * @param {string} datasetId
+ * @param {string} filename - New filename
+ * @returns {Object|null} Updated public record or null if not found
+ */
+function renameDataset(datasetId, filename) {
+  if (typeof filename !== 'string' || !filename.trim()) {
+    throw new Error('A new filename is required.');
+  }
+  const datasets = readDatasets();
+  const dataset = datasets.find(item => item.id === datasetId);
+  if (!dataset) return null;
+
+  const from = datasetPath(dataset.filename, dataset.ownerId);
+  const to = datasetPath(filename.trim(), dataset.ownerId);
+  if (!fs.existsSync(from.filePath)) return null;
+  if (to.finalName !== dataset.filename && fs.existsSync(to.filePath)) {
+    throw new Error(`A dataset named ${to.finalName} already exists.`);
+  }
+
+  fs.renameSync(from.filePath, to.filePath);
+  const schemaPath = from.filePath.replace(/\.csv$/i, '.schema.json');
+  if (fs.existsSync(schemaPath)) {
+    fs.renameSync(schemaPath, to.filePath.replace(/\.csv$/i, '.schema.json'));
+  }
+  dataset.filename = to.finalName;
+  dataset.updatedAt = new Date().toISOString();
+  writeDatasets(datasets);
+  return toPublicDataset(dataset);
+}
+
+/**
+ * Delete a dataset, its file and its stored schema
+ * @param {string} datasetId
+ * @returns {boolean} True if a dataset was removed
+ */
+function deleteDataset(datasetId) {
+  const datasets = readDatasets();
+  const dataset = datasets.find(item => item.id === datasetId);
+  if (!dataset) return false;
+
+  const { filePath } = datasetPath(dataset.filename, dataset.ownerId);
+  fs.rmSync(filePath, { force: true });
+  fs.rmSync(filePath.replace(/\.csv$/i, '.schema.json'), { force: true });
+  writeDatasets(datasets.filter(item => item.id !== datasetId));
+  return true;
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  MAX_DATASETS_PER_OWNER,
+  MAX_BYTES_PER_OWNER,
+  datasetPath,
+  ensureOwnerFolder,
+  listDatasetFiles,
+  uniqueFilename,
+  quotaError,
+  recordDataset,
+  listDatasets,
+  getDatasetById,
+  findDataset,
+  renameDataset,
+  deleteDataset
+};
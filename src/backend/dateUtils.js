@@ -0,0 +1,300 @@
+/**
+ * Date Utilities Module
+ *
+ * Date helpers behind the date operations in DataProcessor (parseDate,
+ * extractDatePart, dateDiff, truncateDate, date filters and sorts) and the
+ * line chart time axis. Dates are handled in UTC throughout so a calendar
+ * date read from a CSV never shifts with the server's time zone.
+ *
+ * Format patterns use these tokens; anything else, or text in [brackets],
+ * must appear literally:
+ *   YYYY, YY       - four or two digit year
+ *   MMMM, MMM      - month name ("March", "Mar")
+ *   MM, M          - month number, with or without a leading zero
+ *   DD, D          - day of the month
+ *   HH, H, hh, h   - hour (24 hour, or 12 hour with A)
+ *   mm, ss         - minutes, seconds
+ *   A, a           - am/pm
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const { MONTHS, buildDate, monthFromName, parseDate, to24Hour } = require('./schemaInference');
+
+const DATE_PARTS = ['year', 'quarter', 'month', 'month_name', 'week', 'day', 'weekday', 'weekday_name', 'hour'];
+const TRUNCATE_UNITS = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+const DIFF_UNITS = ['minutes', 'hours', 'days', 'weeks', 'months', 'years'];
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MS_PER_UNIT = { minutes: 60000, hours: 3600000, days: 86400000, weeks: 604800000 };
+
+const FORMAT_TOKEN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|ss|A|a/g;
+const TOKEN_PATTERNS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MMMM: '([A-Za-z]+)\\.?',
+  MMM: '([A-Za-z]+)\\.?',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})(?:st|nd|rd|th)?',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  hh: '(\\d{2})',
+  h: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+  A: '(am|pm)',
+  a: '(am|pm)'
+};
+
+const compiledFormats = new Map();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a format pattern into a regular expression and the token for each group
+ * @param {string} format - e.g. 'DD/MM/YYYY HH:mm'
+ * @returns {{ regex: RegExp, tokens: Array<string> }}
+ * @throws {Error} When the pattern has no year, month or day
+ */
+function compileFormat(format) {
+  if (compiledFormats.has(format)) return compiledFormats.get(format);
+
+  const tokens = [];
+  let source = '';
+  let last = 0;
+  let match;
+  FORMAT_TOKEN.lastIndex = 0;
+  while ((match = FORMAT_TOKEN.exec(format))) {
+    source += escapeRegExp(format.slice(last, match.index));
+    if (match[1] !== undefined) {
+      source += escapeRegExp(match[1]);
+    } else {
+      tokens.push(match[0]);
+      source += TOKEN_PATTERNS[match[0]];
+    }
+    last = FORMAT_TOKEN.lastIndex;
+  }
+  source += escapeRegExp(format.slice(last));
+
+  const has = (...names) => names.some(name => tokens.includes(name));
+  if (!has('YYYY', 'YY') || !has('MMMM', 'MMM', 'MM', 'M') || !has('DD', 'D')) {
+    throw new Error(`Date format "${format}" needs a year, month and day`);
+  }
+
+  const compiled = { regex: new RegExp(`^${source}$`, 'i'), tokens };
+  compiledFormats.set(format, compiled);
+  return compiled;
+}
+
+/**
+ * Parse a value with an explicit format pattern
+ * @param {*} value
+ * @param {string} format - Pattern built from the tokens listed above
+ * @returns {{ date: Date, hasTime: boolean }|null} null when the value does not match
+ */
+function parseWithFormat(value, format) {
+  if (value === null || value === undefined) return null;
+  const { regex, tokens } = compileFormat(format);
+  const match = regex.exec(String(value).trim());
+  if (!match) return null;
+
+  const parts = { year: 0, month: 0, day: 0, hour: 0, minute: 0, second: 0, meridiem: null };
+  let hasTime = false;
+  tokens.forEach((token, index) => {
+    const text = match[index + 1];
+    switch (token) {
+      case 'YYYY': parts.year = +text; break;
+      case 'YY': parts.year = +text < 50 ? 2000 + +text : 1900 + +text; break;
+      case 'MMMM':
+      case 'MMM': parts.month = monthFromName(text) || 0; break;
+      case 'MM':
+      case 'M': parts.month = +text; break;
+      case 'DD':
+      case 'D': parts.day = +text; break;
+      case 'mm': parts.minute = +text; hasTime = true; break;
+      case 'ss': parts.second = +text; hasTime = true; break;
+      case 'A':
+      case 'a': parts.meridiem = text; break;
+      default: parts.hour = +text; hasTime = true;
+    }
+  });
+
+  const date = buildDate(parts.year, parts.month, parts.day, to24Hour(parts.hour, parts.meridiem), parts.minute, parts.second);
+  return date ? { date, hasTime } : null;
+}
+
+/**
+ * Read a cell as a date
+ * @param {*} value - Date, date text or null
+ * @param {Object} [options]
+ * @param {string} [options.format] - Format pattern; when omitted common layouts are recognised
+ * @param {string} [options.order] - 'dmy' or 'mdy' for numeric dates without a format
+ * @returns {{ date: Date, hasTime: boolean }|null}
+ */
+function readDate(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  return options.format ? parseWithFormat(value, options.format) : parseDate(value, { order: options.order });
+}
+
+/**
+ * Read a cell as a Date
+ * @param {*} value
+ * @param {Object} [options] - See readDate
+ * @returns {Date|null}
+ */
+function toDate(value, options = {}) {
+  const parsed = readDate(value, options);
+  return parsed ? parsed.date : null;
+}
+
+/**
+ * Like toDate, but also accepts anything Date.parse understands
+ * @param {*} value
+ * @param {Object} [options] - See toDate
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function toTimestamp(value, options = {}) {
+  const date = toDate(value, options);
+  if (date) return date.getTime();
+  if (value === null || value === undefined || value === '' || options.format) return null;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Write a date as ISO text: YYYY-MM-DD, or a full timestamp when the time matters
+ * @param {Date} date
+ * @param {boolean} [withTime]
+ * @returns {string}
+ */
+function formatDate(date, withTime) {
+  const iso = date.toISOString();
+  return withTime ? iso : iso.slice(0, 10);
+}
+
+// ISO 8601 week number: weeks start on Monday and week 1 holds the first Thursday
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  return Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Pull one part out of a date
+ *
+ * Weekdays count from Monday (1) to Sunday (7).
+ * @param {Date} date
+ * @param {string} part - One of DATE_PARTS
+ * @returns {number|string}
+ * @throws {Error} On an unknown part
+ */
+function extractPart(date, part) {
+  switch (part) {
+    case 'year': return date.getUTCFullYear();
+    case 'quarter': return Math.floor(date.getUTCMonth() / 3) + 1;
+    case 'month': return date.getUTCMonth() + 1;
+    case 'month_name': {
+      const name = MONTHS[date.getUTCMonth()];
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    case 'week': return isoWeek(date);
+    case 'day': return date.getUTCDate();
+    case 'weekday': return date.getUTCDay() || 7;
+    case 'weekday_name': return WEEKDAYS[(date.getUTCDay() + 6) % 7];
+    case 'hour': return date.getUTCHours();
+    default:
+      throw new Error(`part must be one of ${DATE_PARTS.join(', ')}`);
+  }
+}
+
+/**
+ * Round a date down to the start of its hour, day, week (Monday), month, quarter or year
+ * @param {Date} date
+ * @param {string} unit - One of TRUNCATE_UNITS
+ * @returns {Date}
+ * @throws {Error} On an unknown unit
+ */
+function truncate(date, unit) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  switch (unit) {
+    case 'hour': return new Date(Date.UTC(year, month, day, date.getUTCHours()));
+    case 'day': return new Date(Date.UTC(year, month, day));
+    case 'week': return new Date(Date.UTC(year, month, day - ((date.getUTCDay() + 6) % 7)));
+    case 'month': return new Date(Date.UTC(year, month, 1));
+    case 'quarter': return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year': return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`unit must be one of ${TRUNCATE_UNITS.join(', ')}`);
+  }
+}
+
+/**
+ * Time from `start` to `end`
+ *
+ * Months and years count whole calendar months ("1 March" to "31 March" is 0
+ * months); shorter units are exact and rounded to two decimals. The result
+ * is negative when `end` is earlier.
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} unit - One of DIFF_UNITS
+ * @returns {number}
+ * @throws {Error} On an unknown unit
+ */
+function diff(start, end, unit) {
+  if (MS_PER_UNIT[unit]) {
+    return Math.round(((end - start) / MS_PER_UNIT[unit]) * 100) / 100;
+  }
+  if (unit !== 'months' && unit !== 'years') {
+    throw new Error(`unit must be one of ${DIFF_UNITS.join(', ')}`);
+  }
+
+  const sign = end < start ? -1 : 1;
+  const [from, to] = sign === 1 ? [start, end] : [end, start];
+  let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  const fromRest = from.getTime() - Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1);
+  const toRest = to.getTime() - Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), 1);
+  if (toRest < fromRest) months -= 1;
+
+  const whole = unit === 'years' ? Math.floor(months / 12) : months;
+  return whole === 0 ? 0 : sign * whole;
+}
+
+/**
+ * Pick a sensible time axis unit for a span of dates
+ * @param {number} spanMs - Difference between the latest and earliest date
+ * @returns {string} 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+ */
+function timeUnitForSpan(spanMs) {
+  const days = spanMs / 86400000;
+  if (days <= 2) return 'hour';
+  if (days <= 45) return 'day';
+  if (days <= 180) return 'week';
+  if (days <= 3 * 365) return 'month';
+  if (days <= 8 * 365) return 'quarter';
+  return 'year';
+}
+
+module.exports = {
+  DATE_PARTS,
+  DIFF_UNITS,
+  TRUNCATE_UNITS,
+  compileFormat,
+  diff,
+  extractPart,
+  formatDate,
+  parseWithFormat,
+  readDate,
+  timeUnitForSpan,
+  toDate,
+  toTimestamp,
+  truncate
+};
@@ -0,0 +1,440 @@
+/**
+ * Expression Parser Module
+ *
+ * Safe arithmetic expression parser used by the calculate operation.
+ * Expressions are tokenised and parsed into a small syntax tree which is
+ * evaluated per row, so student input is never handed to eval.
+ *
+ * Supported syntax:
+ * - Numbers, 'single' or "double" quoted strings, true/false, pi, e
+ * - Operators: + - * / % ^ (power, right associative), unary -
+ * - Comparisons: = == != <> < <= > >=, logic: and or not (&& || !)
+ * - Column references: bare names (names containing spaces are matched
+ *   against the known columns) or [Bracketed Name]
+ * - Functions: abs, round, floor, ceil, sqrt, log, log10, exp, pow,
+ *   min, max, if(condition, whenTrue, whenFalse)
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const FUNCTIONS = {
+  abs: { arity: [1, 1], fn: (x) => Math.abs(x) },
+  round: {
+    arity: [1, 2],
+    fn: (x, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(x * factor) / factor;
+    }
+  },
+  floor: { arity: [1, 1], fn: (x) => Math.floor(x) },
+  ceil: { arity: [1, 1], fn: (x) => Math.ceil(x) },
+  sqrt: { arity: [1, 1], fn: (x) => Math.sqrt(x) },
+  log: {
+    arity: [1, 2],
+    fn: (x, base) => (base === undefined ? Math.log(x) : Math.log(x) / Math.log(base))
+  },
+  log10: { arity: [1, 1], fn: (x) => Math.log10(x) },
+  exp: { arity: [1, 1], fn: (x) => Math.exp(x) },
+  pow: { arity: [2, 2], fn: (x, y) => Math.pow(x, y) },
+  min: { arity: [1, Infinity], fn: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], fn: (...args) => Math.max(...args) }
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  true: true,
+  false: false
+};
+
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+const SYMBOL_OPERATORS = [
+  '<=', '>=', '!=', '<>', '==', '&&', '||',
+  '+', '-', '*', '/', '%', '^', '(', ')', ',', '<', '>', '=', '!'
+];
+
+const MAX_EXPRESSION_LENGTH = 1000;
+
+/**
+ * Build a parse error that points at the offending position
+ *
+ * @param {string} message - Description of the problem
+ * @param {number} position - Zero-based character offset
+ * @returns {Error} Error with a position property
+ */
+function syntaxError(message, position) {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+}
+
+function isIdentifierChar(ch) {
+  return ch !== undefined && /[A-Za-z0-9_]/.test(ch);
+}
+
+/**
+ * Split an expression into tokens
+ *
+ * @param {string} expression - Expression source
+ * @param {Array<string>} columns - Known column names, used to match names with spaces
+ * @returns {Array<Object>} Tokens with type, value and position
+ */
+function tokenize(expression, columns = []) {
+  const tokens = [];
+  // Longest names first so "Test Score 2" wins over "Test Score"
+  const knownColumns = [...columns].filter(Boolean).sort((a, b) => b.length - a.length);
+  let i = 0;
+
+  while (i < expression.length) {
+    const ch = expression[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers: 12, 3.5, .5, 1e3
+    const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i));
+    if (numberMatch && !isIdentifierChar(expression[i + numberMatch[0].length])) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = expression.indexOf(ch, i + 1);
+      if (end === -1) {
+        throw syntaxError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '[') {
+      const end = expression.indexOf(']', i + 1);
+      if (end === -1) {
+        throw syntaxError('Missing closing ] for column name', i);
+      }
+      tokens.push({ type: 'column', value: expression.slice(i + 1, end).trim(), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const rest = expression.slice(i);
+    const column = knownColumns.find(name =>
+      rest.startsWith(name) && !isIdentifierChar(expression[i + name.length]) &&
+      !/^\s*\(/.test(expression.slice(i + name.length))
+    );
+    if (column) {
+      tokens.push({ type: 'column', value: column, position: i });
+      i += column.length;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const lower = word.toLowerCase();
+      if (WORD_OPERATORS[lower]) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[lower], position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const symbol = SYMBOL_OPERATORS.find(op => expression.startsWith(op, i));
+    if (symbol) {
+      const normalised = symbol === '=' ? '==' : symbol === '<>' ? '!=' : symbol;
+      tokens.push({ type: 'operator', value: normalised, position: i });
+      i += symbol.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character "${ch}"`, i);
+  }
+
+  tokens.push({ type: 'end', position: expression.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing a syntax tree
+ *
+ * Precedence, lowest first: or, and, not, comparison, + -, * / %, unary -, ^
+ *
+ * @param {Array<Object>} tokens - Output of tokenize
+ * @param {Set<string>} columnSet - Known column names
+ * @returns {Object} Root node of the syntax tree
+ */
+function parseTokens(tokens, columnSet) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`Expected "${value}"`, peek().position);
+    }
+    return next();
+  };
+
+  const binaryLevel = (operators, parseOperand) => () => {
+    let left = parseOperand();
+    while (peek().type === 'operator' && operators.includes(peek().value)) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  function parseNot() {
+    if (isOperator('!')) {
+      next();
+      return { type: 'unary', op: '!', argument: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseUnary() {
+    if (isOperator('-') || isOperator('+')) {
+      const op = next().value;
+      return { type: 'unary', op, argument: parseUnary() };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parseCall(token) {
+    const name = token.value.toLowerCase();
+    const args = [];
+    expect('(');
+    if (!isOperator(')')) {
+      args.push(parseOr());
+      while (isOperator(',')) {
+        next();
+        args.push(parseOr());
+      }
+    }
+    expect(')');
+
+    if (name === 'if') {
+      if (args.length !== 3) {
+        throw syntaxError('if() needs a condition, a value when true and a value when false', token.position);
+      }
+      return { type: 'if', test: args[0], consequent: args[1], alternate: args[2] };
+    }
+
+    const spec = FUNCTIONS[name];
+    if (!spec) {
+      throw syntaxError(`Unknown function "${token.value}"`, token.position);
+    }
+    const [minArgs, maxArgs] = spec.arity;
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw syntaxError(`Wrong number of arguments for ${name}()`, token.position);
+    }
+    return { type: 'call', name, args };
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'column':
+        return { type: 'column', name: token.value };
+      case 'identifier': {
+        if (isOperator('(')) {
+          return parseCall(token);
+        }
+        if (columnSet.has(token.value)) {
+          return { type: 'column', name: token.value };
+        }
+        const lower = token.value.toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(CONSTANTS, lower)) {
+          return { type: 'literal', value: CONSTANTS[lower] };
+        }
+        if (columnSet.size === 0) {
+          // Without a column list every bare word is treated as a column
+          return { type: 'column', name: token.value };
+        }
+        throw syntaxError(`Unknown column "${token.value}"`, token.position);
+      }
+      case 'operator':
+        if (token.value === '(') {
+          const inner = parseOr();
+          expect(')');
+          return inner;
+        }
+        throw syntaxError(`Unexpected "${token.value}"`, token.position);
+      default:
+        throw syntaxError('Unexpected end of expression', token.position);
+    }
+  }
+
+  const parseMultiplicative = binaryLevel(['*', '/', '%'], parseUnary);
+  const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+  const parseComparison = binaryLevel(['==', '!=', '<', '<=', '>', '>='], parseAdditive);
+  const parseAnd = binaryLevel(['&&'], parseNot);
+  const parseOr = binaryLevel(['||'], parseAnd);
+
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw syntaxError(`Unexpected "${peek().value}"`, peek().position);
+  }
+  return tree;
+}
+
+/**
+ * Convert a cell value to a number where it looks numeric
+ *
+ * @param {*} value - Raw cell or intermediate value
+ * @returns {*} Number for numeric-looking values, otherwise the value itself
+ */
+function toValue(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  return Number(value);
+}
+
+/**
+ * Compare two values the way a spreadsheet would, so "5" from a CSV
+ * matches 5 in the expression and TRUE matches 1
+ *
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {boolean} Whether the values are equal
+ */
+function valuesEqual(left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return (left === null || left === undefined) && (right === null || right === undefined);
+  }
+  if (typeof left === typeof right) {
+    return left === right;
+  }
+  const numeric = value => typeof value === 'number' || typeof value === 'boolean';
+  if (numeric(left) || numeric(right)) {
+    return Number(left) === Number(right);
+  }
+  return String(left) === String(right);
+}
+
+function evaluateNode(node, row) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return toValue(row[node.name]);
+    case 'unary': {
+      const value = evaluateNode(node.argument, row);
+      if (node.op === '!') return !value;
+      return node.op === '-' ? -toNumber(value) : toNumber(value);
+    }
+    case 'if':
+      return evaluateNode(node.test, row)
+        ? evaluateNode(node.consequent, row)
+        : evaluateNode(node.alternate, row);
+    case 'call':
+      return FUNCTIONS[node.name].fn(...node.args.map(arg => toNumber(evaluateNode(arg, row))));
+    case 'binary': {
+      if (node.op === '&&') return evaluateNode(node.left, row) && evaluateNode(node.right, row);
+      if (node.op === '||') return evaluateNode(node.left, row) || evaluateNode(node.right, row);
+
+      const left = evaluateNode(node.left, row);
+      const right = evaluateNode(node.right, row);
+      switch (node.op) {
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(left) / toNumber(right);
+        case '%': return toNumber(left) % toNumber(right);
+        case '^': return Math.pow(toNumber(left), toNumber(right));
+        case '==': return valuesEqual(left, right);
+        case '!=': return !valuesEqual(left, right);
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: throw new Error(`Unsupported operator ${node.op}`);
+      }
+    }
+    default:
+      throw new Error(`Unsupported expression node ${node.type}`);
+  }
+}
+
+/**
+ * Parse an expression into a syntax tree
+ *
+ * @param {string} expression - Expression source
+ * @param {Array<string>} [columns] - Known column names
+ * @returns {Object} Syntax tree
+ * @throws {Error} If the expression is empty, too long or malformed
+ */
+function parseExpression(expression, columns = []) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Expression is required');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  return parseTokens(tokenize(expression, columns), new Set(columns));
+}
+
+/**
+ * Compile an expression into a function that evaluates it against a row
+ *
+ * @param {string} expression - Expression source
+ * @param {Array<string>} [columns] - Known column names
+ * @returns {Function} (row) => value
+ * @throws {Error} If the expression cannot be parsed
+ *
+ * @example
+ * const score = compileExpression('round([Test Score] / 10, 1)', ['Test Score']);
+ * score({ 'Test Score': '87' }); // 8.7
+ */
+function compileExpression(expression, columns = []) {
+  const tree = parseExpression(expression, columns);
+  return (row) => evaluateNode(tree, row || {});
+}
+
+/**
+ * Evaluate an expression once against a single row
+ *
+ * @param {string} expression - Expression source
+ * @param {Object} row - Row whose keys are used as columns
+ * @returns {*} Result of the expression
+ */
+function evaluateExpression(expression, row = {}) {
+  return compileExpression(expression, Object.keys(row))(row);
+}
+
+module.exports = {
+  tokenize,
+  parseExpression,
+  compileExpression,
+  evaluateExpression,
+  FUNCTIONS: Object.keys(FUNCTIONS).concat('if')
+};
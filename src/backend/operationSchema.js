@@ -0,0 +1,731 @@
+/**
+ * Operation Schema Module
+ *
+ * Declares the parameters every DataProcessor operation takes, so a whole
+ * list of operations can be checked before any of it runs. Each step is
+ * checked against the columns it will actually receive: the output columns
+ * of every step are predicted from its input columns and parameters.
+ *
+ * Parameter kinds:
+ *   column   - name of a column in the step's input (`numeric` columns must
+ *              hold at least one number)
+ *   columns  - one column name or a list of them
+ *   name     - name for a column the step writes
+ *   text     - any text, such as a delimiter or a date format
+ *   number   - a number (numeric text such as "2" is accepted), optionally
+ *              within `min` and `max`
+ *   integer  - a whole number, at least `min` and at most `max`
+ *   probability - a level such as 0.05, or a percentage such as 5
+ *   enum     - one of `values`
+ *   dataset  - rows of a second dataset
+ *   any      - any value
+ *
+ * Filter condition trees, calculate expressions and aggregation lists have
+ * checks of their own.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const { parseExpression, tokenize } = require('./expressionParser');
+const dateUtils = require('./dateUtils');
+const { MAX_POLYNOMIAL_DEGREE, TREND_MODELS } = require('./regression');
+const { toNumber } = require('./schemaInference');
+
+// Aggregations groupBy, aggregate and pivot can apply ('average' is kept as another name for 'mean')
+const AGGREGATIONS = ['sum', 'mean', 'average', 'median', 'count', 'count_distinct', 'min', 'max', 'std', 'first', 'last'];
+// Comparisons a filter condition can use
+const FILTER_OPERATORS = [
+  'equals', 'not_equals', 'greater_than', 'less_than', 'greater_than_or_equal', 'less_than_or_equal',
+  'contains', 'starts_with', 'ends_with', 'in', 'not_in', 'is_empty', 'is_not_empty', 'regex',
+  'before', 'after', 'on', 'between'
+];
+// Stops a runaway condition tree from exhausting the stack
+const MAX_CONDITION_DEPTH = 20;
+// How percentiles and quartiles pick a value between two data points
+const QUANTILE_METHODS = ['linear', 'exclusive', 'nearest_rank'];
+// Outlier methods and their default thresholds (IQR multiplier, |z| and
+// |modified z|; 3.5 is the cut-off Iglewicz and Hoaglin recommend)
+const OUTLIER_THRESHOLDS = { iqr: 1.5, zscore: 3, modified_zscore: 3.5 };
+const OUTLIER_ACTIONS = ['flag', 'label', 'remove', 'cap'];
+
+const DIRECTIONS = ['asc', 'desc'];
+// Filter operators that compare with nothing, or with params.min and params.max
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty', 'between'];
+
+/**
+ * Whether a parameter was left out
+ * @private
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * One column name or a list of them as a list, without empty entries
+ * @private
+ */
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).filter(item => !isMissing(item));
+}
+
+/**
+ * Input columns followed by any new ones, or null when the input is unknown
+ * @private
+ */
+function addColumns(columns, names) {
+  if (!columns) return null;
+  return [...columns, ...names.filter(name => !isMissing(name) && !columns.includes(name))];
+}
+
+/**
+ * Column names in some rows, in first-seen order
+ * @private
+ */
+function columnsOf(rows) {
+  const names = new Set();
+  rows.forEach(row => {
+    if (row && typeof row === 'object') Object.keys(row).forEach(name => names.add(name));
+  });
+  return Array.from(names);
+}
+
+/**
+ * Columns in which no cell holds a number, as DataProcessor reads numbers
+ * @private
+ */
+function columnsWithoutNumbers(rows, columns) {
+  return new Set(columns.filter(column => rows.every(row => !row || !Number.isFinite(toNumber(row[column])))));
+}
+
+const columnParam = (extra = {}) => ({ kind: 'column', required: true, ...extra });
+const numericColumn = (extra = {}) => columnParam({ numeric: true, ...extra });
+const optionalColumn = (extra = {}) => ({ kind: 'column', ...extra });
+const nameParam = (extra = {}) => ({ kind: 'name', ...extra });
+const numberParam = (extra = {}) => ({ kind: 'number', ...extra });
+const wholeParam = (min, extra = {}) => ({ kind: 'integer', min, ...extra });
+const oneOf = (values, extra = {}) => ({ kind: 'enum', values, ...extra });
+const probabilityParam = example => ({ kind: 'probability', example });
+
+/**
+ * Schema of a window operation (see DataProcessor.windowPartitions)
+ * @private
+ */
+function windowSchema(outputPrefix, extra = {}, numeric = true) {
+  const output = params => params.output || `${outputPrefix}_${params.column}`;
+  return {
+    params: {
+      column: columnParam({ numeric }),
+      partitionBy: { kind: 'columns' },
+      orderBy: optionalColumn(),
+      direction: oneOf(DIRECTIONS),
+      output: nameParam(),
+      ...extra
+    },
+    columns: (columns, params) => addColumns(columns, [output(params)]),
+    writes: params => [output(params)]
+  };
+}
+
+/**
+ * Schema of an operation that returns a single result rather than rows
+ * @private
+ */
+function resultSchema(params, check) {
+  return { params, output: 'result', ...(check ? { check } : {}) };
+}
+
+const REGRESSION_PARAMS = { xColumn: numericColumn(), yColumn: numericColumn() };
+
+/**
+ * Schema of every operation DataProcessor supports
+ *
+ * Each entry has:
+ * - params: parameter specs keyed by name (see the kinds above)
+ * - check(params, state): further errors, as { param, message } objects
+ * - columns(columns, params): columns of the output, given the known input
+ *   columns; null when they cannot be known before running. Operations
+ *   without it keep their input columns.
+ * - writes(params): columns whose values the step sets; null when any may
+ *   change. Used to keep track of columns known to hold no numbers.
+ * - output: 'rows' (the default) or 'result', or a function of the params
+ *
+ * @type {Object<string, Object>}
+ */
+const OPERATION_SCHEMAS = {
+  filter: {
+    params: { ignoreCase: { kind: 'any' }, format: { kind: 'text' } },
+    check: (params, state) => (params.condition !== undefined
+      ? conditionErrors(params.condition, state)
+      : comparisonErrors(params, state))
+  },
+  sort: {
+    params: { column: columnParam(), direction: oneOf(DIRECTIONS), format: { kind: 'text' } }
+  },
+  aggregate: {
+    params: {},
+    check: (params, state) => (Array.isArray(params.aggregations)
+      ? aggregationErrors(params.aggregations, state).errors
+      : [
+        ...paramErrors('column', columnParam(), params.column, state),
+        ...paramErrors('operation', oneOf(AGGREGATIONS, { required: true }), params.operation, state)
+      ]),
+    columns: (columns, params) => (Array.isArray(params.aggregations) ? aggregationErrors(params.aggregations).aliases : null),
+    writes: () => null,
+    output: params => (Array.isArray(params.aggregations) ? 'rows' : 'result')
+  },
+  select: {
+    params: { columns: { kind: 'columns', required: true } },
+    columns: (columns, params) => (columns ? toList(params.columns).filter(name => columns.includes(name)) : toList(params.columns))
+  },
+  groupBy: {
+    params: { groupBy: { kind: 'columns', required: true } },
+    check: (params, state) => {
+      const { errors, aliases } = aggregationErrors(params.aggregations || [], state);
+      const clash = aliases.find(alias => toList(params.groupBy).includes(alias));
+      return clash
+        ? [...errors, { param: 'aggregations', message: `"${clash}" is already a group column; give the aggregation another name` }]
+        : errors;
+    },
+    columns: (columns, params) => [...toList(params.groupBy), ...aggregationErrors(params.aggregations || []).aliases],
+    writes: params => aggregationErrors(params.aggregations || []).aliases
+  },
+  calculate: {
+    params: { expression: { kind: 'text', required: true }, newColumnName: nameParam({ required: true }) },
+    check: (params, state) => expressionErrors(params.expression, state),
+    columns: (columns, params) => addColumns(columns, [params.newColumnName]),
+    writes: params => [params.newColumnName]
+  },
+
+  // Transformation operations
+  renameColumn: {
+    params: { from: columnParam(), to: nameParam({ required: true }) },
+    columns: (columns, params) => addColumns(columns && columns.filter(name => name !== params.from), [params.to]),
+    writes: params => [params.from, params.to]
+  },
+  dropColumn: {
+    params: { column: columnParam() },
+    columns: (columns, params) => columns && columns.filter(name => name !== params.column)
+  },
+  fillMissing: {
+    params: { column: columnParam(), value: { kind: 'any' } },
+    writes: params => [params.column]
+  },
+  replaceValues: {
+    params: { column: columnParam(), fromValue: { kind: 'any' }, toValue: { kind: 'any' } },
+    writes: params => [params.column]
+  },
+  castType: {
+    params: { column: columnParam(), to: oneOf(['number', 'string', 'boolean', 'date'], { required: true }) },
+    writes: params => [params.column]
+  },
+  stringTransform: {
+    params: { column: columnParam(), mode: oneOf(['lower', 'upper', 'cap', 'trim'], { required: true }) },
+    writes: params => [params.column]
+  },
+  splitColumn: {
+    params: {
+      column: columnParam(),
+      delimiter: { kind: 'text', required: true },
+      output1: nameParam({ required: true }),
+      output2: nameParam({ required: true })
+    },
+    columns: (columns, params) => addColumns(columns, [params.output1, params.output2]),
+    writes: params => [params.output1, params.output2]
+  },
+  concatColumns: {
+    params: {
+      column1: columnParam(),
+      column2: columnParam(),
+      separator: { kind: 'text' },
+      output: nameParam({ required: true })
+    },
+    columns: (columns, params) => addColumns(columns, [params.output]),
+    writes: params => [params.output]
+  },
+  dropDuplicates: {
+    params: { column: columnParam() }
+  },
+  roundNumber: {
+    params: { column: numericColumn(), decimals: wholeParam(0) }
+  },
+
+  // Date operations
+  parseDate: {
+    params: { column: columnParam(), format: { kind: 'text' }, order: oneOf(['dmy', 'mdy']), output: nameParam() },
+    columns: (columns, params) => addColumns(columns, [params.output]),
+    writes: params => [params.output || params.column]
+  },
+  extractDatePart: {
+    params: {
+      column: columnParam(),
+      part: oneOf(dateUtils.DATE_PARTS, { required: true }),
+      format: { kind: 'text' },
+      output: nameParam()
+    },
+    columns: (columns, params) => addColumns(columns, [params.output || `${params.column}_${params.part}`]),
+    writes: params => [params.output || `${params.column}_${params.part}`]
+  },
+  dateDiff: {
+    params: {
+      start: columnParam(),
+      end: columnParam(),
+      unit: oneOf(dateUtils.DIFF_UNITS),
+      format: { kind: 'text' },
+      output: nameParam()
+    },
+    columns: (columns, params) => addColumns(columns, [params.output || `${params.unit || 'days'}_between`]),
+    writes: params => [params.output || `${params.unit || 'days'}_between`]
+  },
+  truncateDate: {
+    params: { column: columnParam(), unit: oneOf(dateUtils.TRUNCATE_UNITS), format: { kind: 'text' }, output: nameParam() },
+    columns: (columns, params) => addColumns(columns, [params.output]),
+    writes: params => [params.output || params.column]
+  },
+
+  // Operations combining the data with a second dataset (params.dataset)
+  join: {
+    params: {
+      dataset: { kind: 'dataset', required: true },
+      on: { kind: 'columns', required: true },
+      how: oneOf(['inner', 'left', 'right', 'full']),
+      suffix: { kind: 'text' },
+      ignoreCase: { kind: 'any' }
+    },
+    check: (params) => {
+      const right = Array.isArray(params.dataset) && params.dataset.length > 0 ? columnsOf(params.dataset) : null;
+      const rightKeys = params.rightOn === undefined ? toList(params.on) : toList(params.rightOn);
+      if (params.rightOn !== undefined && rightKeys.length !== toList(params.on).length) {
+        return [{ param: 'rightOn', message: 'params.rightOn must list as many columns as params.on' }];
+      }
+      const missing = right ? rightKeys.filter(key => !right.includes(key)) : [];
+      return missing.length
+        ? [{ param: params.rightOn === undefined ? 'on' : 'rightOn', message: `Key column(s) not found in the second dataset: ${missing.join(', ')}` }]
+        : [];
+    },
+    columns: (columns, params) => {
+      if (!columns || !Array.isArray(params.dataset)) return null;
+      const rightKeys = params.rightOn === undefined ? toList(params.on) : toList(params.rightOn);
+      const suffix = params.suffix === undefined ? '_right' : params.suffix;
+      const extra = columnsOf(params.dataset)
+        .filter(name => !rightKeys.includes(name))
+        .map(name => (columns.includes(name) ? `${name}${suffix}` : name));
+      return addColumns(columns, extra);
+    },
+    writes: (params) => (Array.isArray(params.dataset) ? columnsOf(params.dataset) : null)
+  },
+  append: {
+    params: { dataset: { kind: 'dataset', required: true } },
+    columns: (columns, params) => (Array.isArray(params.dataset) ? addColumns(columns, columnsOf(params.dataset)) : null),
+    writes: () => null
+  },
+  union: {
+    params: { dataset: { kind: 'dataset', required: true } },
+    columns: (columns, params) => (Array.isArray(params.dataset) ? addColumns(columns, columnsOf(params.dataset)) : null),
+    writes: () => null
+  },
+
+  // Reshape operations; a pivot's new columns depend on the values in the data
+  pivot: {
+    params: {
+      index: { kind: 'columns', required: true },
+      columns: columnParam(),
+      aggregation: oneOf(AGGREGATIONS),
+      fill: { kind: 'any' }
+    },
+    check: (params, state) => paramErrors('values', optionalColumn({ required: params.aggregation !== 'count' }), params.values, state),
+    columns: () => null,
+    writes: () => null
+  },
+  melt: {
+    params: { idColumns: { kind: 'columns' }, valueColumns: { kind: 'columns' }, varName: nameParam(), valueName: nameParam() },
+    check: meltErrors,
+    columns: meltColumns,
+    writes: () => null
+  },
+  unpivot: {
+    params: { idColumns: { kind: 'columns' }, valueColumns: { kind: 'columns' }, varName: nameParam(), valueName: nameParam() },
+    check: meltErrors,
+    columns: meltColumns,
+    writes: () => null
+  },
+
+  // Window operations
+  cumulativeSum: windowSchema('cumulative'),
+  rank: windowSchema('rank', { method: oneOf(['min', 'dense', 'first']) }),
+  percentOfTotal: windowSchema('percent'),
+  movingAverage: windowSchema('moving_average', { window: wholeParam(1) }),
+  lag: windowSchema('previous', { periods: wholeParam(1) }, false),
+  lead: windowSchema('next', { periods: wholeParam(1) }, false),
+  pctChange: windowSchema('pct_change', { periods: wholeParam(1) }),
+
+  // Statistical operations
+  descriptiveStats: resultSchema({ column: numericColumn(), quantileMethod: oneOf(QUANTILE_METHODS) }),
+  calculateMean: resultSchema({ column: numericColumn() }),
+  calculateMedian: resultSchema({ column: numericColumn() }),
+  calculateStandardDeviation: resultSchema({ column: numericColumn() }),
+  calculateCorrelation: resultSchema({ columnX: numericColumn(), columnY: numericColumn() }),
+  detectOutliers: {
+    params: {
+      column: numericColumn(),
+      method: oneOf(Object.keys(OUTLIER_THRESHOLDS), { required: true }),
+      threshold: numberParam({ above: 0 }),
+      quantileMethod: oneOf(QUANTILE_METHODS),
+      action: oneOf(OUTLIER_ACTIONS),
+      outputColumn: nameParam()
+    },
+    columns: (columns, params) => addColumns(columns, [outlierColumn(params)]),
+    writes: params => [params.column, outlierColumn(params)]
+  },
+  frequencyCount: {
+    params: { column: columnParam() },
+    columns: () => ['value', 'count'],
+    writes: () => null
+  },
+  calculatePercentiles: resultSchema({
+    column: numericColumn(),
+    percentile: numberParam({ required: true, min: 0, max: 100 }),
+    quantileMethod: oneOf(QUANTILE_METHODS)
+  }),
+
+  // Inferential statistics
+  tTest: resultSchema({
+    column: numericColumn(),
+    groupColumn: optionalColumn(),
+    mu: numberParam(),
+    alternative: oneOf(['two-sided', 'greater', 'less']),
+    alpha: probabilityParam(0.05)
+  }),
+  chiSquareTest: resultSchema({
+    columnA: columnParam(),
+    columnB: columnParam(),
+    alpha: probabilityParam(0.05)
+  }),
+  confidenceInterval: resultSchema({
+    column: columnParam(),
+    type: oneOf(['mean', 'proportion']),
+    level: probabilityParam(0.95)
+  }, (params, state) => {
+    if (params.type === 'proportion') {
+      return isMissing(params.success) ? [{ param: 'success', message: 'params.success must name the value to count, e.g. "Yes"' }] : [];
+    }
+    return state.withoutNumbers.has(params.column) ? [{ param: 'column', message: `Column '${params.column}' holds no numbers` }] : [];
+  }),
+
+  // Regression
+  linearRegression: resultSchema(REGRESSION_PARAMS),
+  polynomialRegression: resultSchema({ ...REGRESSION_PARAMS, degree: wholeParam(2, { max: MAX_POLYNOMIAL_DEGREE }) }),
+  exponentialRegression: resultSchema(REGRESSION_PARAMS),
+  trendPredictions: {
+    params: {
+      ...REGRESSION_PARAMS,
+      model: oneOf(TREND_MODELS),
+      degree: wholeParam(2, { max: MAX_POLYNOMIAL_DEGREE }),
+      outputColumn: nameParam(),
+      residualColumn: nameParam()
+    },
+    columns: (columns, params) => addColumns(columns, predictionColumns(params)),
+    writes: predictionColumns
+  }
+};
+
+/**
+ * Flag or label column a detectOutliers step adds, if any
+ * @private
+ */
+function outlierColumn(params) {
+  const action = params.action || 'flag';
+  if (action === 'flag') return params.outputColumn || `${params.column}_is_outlier`;
+  if (action === 'label') return params.outputColumn || `${params.column}_outlier`;
+  return null;
+}
+
+/**
+ * Columns a trendPredictions step adds
+ * @private
+ */
+function predictionColumns(params) {
+  return [params.outputColumn || `predicted_${params.yColumn}`, params.residualColumn || `residual_${params.yColumn}`];
+}
+
+/**
+ * Errors in a melt (unpivot) step beyond its parameter kinds
+ * @private
+ */
+function meltErrors(params) {
+  const { varName = 'variable', valueName = 'value' } = params;
+  if (varName === valueName) {
+    return [{ param: 'valueName', message: 'varName and valueName must be different' }];
+  }
+  const clash = [varName, valueName].find(name => toList(params.idColumns).includes(name));
+  return clash ? [{ param: clash === varName ? 'varName' : 'valueName', message: `"${clash}" is already an id column; choose another name` }] : [];
+}
+
+/**
+ * Columns of a melt (unpivot) step's output
+ * @private
+ */
+function meltColumns(columns, params) {
+  return [...toList(params.idColumns), params.varName || 'variable', params.valueName || 'value'];
+}
+
+/**
+ * Errors in one parameter, checked against its spec
+ *
+ * @param {string} name - Parameter name
+ * @param {Object} spec - Parameter spec (see the kinds above)
+ * @param {*} value - Value given
+ * @param {Object} state - { columns, withoutNumbers } at this step; columns is null when unknown
+ * @returns {Array<{param: string, message: string}>} Errors (empty when the value is fine)
+ * @private
+ */
+function paramErrors(name, spec, value, state) {
+  const error = message => [{ param: name, message }];
+  if (isMissing(value)) {
+    return spec.required ? error(`params.${name} is required`) : [];
+  }
+
+  switch (spec.kind) {
+    case 'column':
+    case 'columns': {
+      const names = spec.kind === 'column' ? [value] : toList(value);
+      if (names.some(item => typeof item !== 'string')) {
+        return error(`params.${name} must name ${spec.kind === 'column' ? 'a column' : 'columns'}`);
+      }
+      const missing = state.columns ? names.filter(item => !state.columns.includes(item)) : [];
+      if (missing.length) {
+        return error(`Column(s) not found: ${Array.from(new Set(missing)).join(', ')}`);
+      }
+      const textOnly = spec.numeric ? names.find(item => state.withoutNumbers.has(item)) : null;
+      return textOnly ? error(`Column '${textOnly}' holds no numbers`) : [];
+    }
+    case 'name':
+    case 'text':
+      return typeof value === 'string' || (spec.kind === 'text' && typeof value === 'number')
+        ? []
+        : error(`params.${name} must be ${spec.kind === 'name' ? 'a column name' : 'text'}`);
+    case 'number': {
+      const number = typeof value === 'boolean' ? NaN : Number(value);
+      if (!Number.isFinite(number)) return error(`params.${name} must be a number`);
+      if ((spec.min !== undefined && number < spec.min) || (spec.above !== undefined && number <= spec.above) ||
+          (spec.max !== undefined && number > spec.max)) {
+        const low = spec.above !== undefined ? `above ${spec.above}` : spec.min !== undefined ? `at least ${spec.min}` : null;
+        const high = spec.max !== undefined ? `at most ${spec.max}` : null;
+        return error(`params.${name} must be a number ${[low, high].filter(Boolean).join(' and ')}`);
+      }
+      return [];
+    }
+    case 'integer': {
+      const number = typeof value === 'boolean' ? NaN : Number(value);
+      if (!Number.isInteger(number) || number < spec.min || (spec.max !== undefined && number > spec.max)) {
+        return error(spec.max !== undefined
+          ? `params.${name} must be a whole number from ${spec.min} to ${spec.max}`
+          : `params.${name} must be a whole number of at least ${spec.min}`);
+      }
+      return [];
+    }
+    case 'probability': {
+      let number = typeof value === 'boolean' ? NaN : Number(value);
+      if (number > 1 && number < 100) number /= 100;
+      return number > 0 && number < 1 ? [] : error(`params.${name} must be between 0 and 1 (e.g. ${spec.example}) or a percentage`);
+    }
+    case 'enum':
+      return spec.values.includes(value) ? [] : error(`params.${name} must be one of ${spec.values.join(', ')}`);
+    case 'dataset':
+      return Array.isArray(value) ? [] : error('A second dataset (params.dataset) is required');
+    default:
+      return [];
+  }
+}
+
+/**
+ * Errors in a single filter comparison ({ column, operator, value })
+ * @private
+ */
+function comparisonErrors(comparison, state, param) {
+  const errors = [
+    ...paramErrors('column', columnParam(), comparison.column, state),
+    ...paramErrors('operator', oneOf(FILTER_OPERATORS, { required: true }), comparison.operator, state)
+  ];
+  if (comparison.operator === 'between') {
+    ['min', 'max'].forEach(bound => {
+      if (isMissing(comparison[bound])) errors.push({ param: bound, message: `params.${bound} is required` });
+    });
+  } else if (FILTER_OPERATORS.includes(comparison.operator) && !VALUELESS_OPERATORS.includes(comparison.operator) &&
+      comparison.value === undefined) {
+    errors.push({ param: 'value', message: 'params.value is required' });
+  }
+  return param ? errors.map(error => ({ param, message: error.message })) : errors;
+}
+
+/**
+ * Errors anywhere in a filter condition tree, reported against params.condition
+ * @private
+ */
+function conditionErrors(condition, state, depth = 0) {
+  const error = message => [{ param: 'condition', message }];
+  if (depth > MAX_CONDITION_DEPTH) {
+    return error(`Filter conditions can be nested at most ${MAX_CONDITION_DEPTH} levels deep`);
+  }
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return error('Each filter condition must be an object');
+  }
+  const group = ['and', 'or'].find(key => key in condition);
+  if (group) {
+    const parts = condition[group];
+    if (!Array.isArray(parts) || parts.length === 0) {
+      return error(`An "${group}" condition needs a list of conditions`);
+    }
+    return parts.flatMap(part => conditionErrors(part, state, depth + 1));
+  }
+  if ('not' in condition) {
+    return conditionErrors(condition.not, state, depth + 1);
+  }
+  if (isMissing(condition.column)) {
+    return error('Each filter condition needs a column');
+  }
+  return comparisonErrors(condition, state, 'condition');
+}
+
+/**
+ * Errors in a calculate expression: syntax, unknown functions and columns
+ * that do not exist, bracketed or not
+ * @private
+ */
+function expressionErrors(expression, state) {
+  if (typeof expression !== 'string' || expression.trim() === '') return [];
+  const columns = state.columns || [];
+  try {
+    parseExpression(expression, columns);
+    const missing = state.columns
+      ? tokenize(expression, columns).filter(token => token.type === 'column' && !columns.includes(token.value)).map(token => token.value)
+      : [];
+    return missing.length
+      ? [{ param: 'expression', message: `Column(s) not found: ${Array.from(new Set(missing)).join(', ')}` }]
+      : [];
+  } catch (error) {
+    return [{ param: 'expression', message: error.message }];
+  }
+}
+
+/**
+ * Errors in a list of { column, operation, alias? } aggregations, and the
+ * names of the columns they produce
+ * @private
+ */
+function aggregationErrors(aggregations, state = { columns: null, withoutNumbers: new Set() }) {
+  const errors = [];
+  const aliases = [];
+  if (!Array.isArray(aggregations)) {
+    return { errors: [{ param: 'aggregations', message: 'params.aggregations must be a list' }], aliases };
+  }
+  aggregations.forEach(aggregation => {
+    const { column, operation = 'sum', alias } = aggregation || {};
+    const error = message => errors.push({ param: 'aggregations', message });
+    if (!AGGREGATIONS.includes(operation)) {
+      error(`Unsupported aggregation operation: ${operation}. Use one of ${AGGREGATIONS.join(', ')}`);
+    } else if (!column && operation !== 'count') {
+      error(`The ${operation} aggregation needs a column`);
+    } else if (column) {
+      paramErrors('aggregations', columnParam(), column, state).forEach(({ message }) => error(message));
+    }
+    const name = alias || (column ? `${operation}_${column}` : 'count');
+    if (aliases.includes(name)) {
+      error(`Two aggregations are both named "${name}"; give them different names`);
+    } else {
+      aliases.push(name);
+    }
+  });
+  return { errors, aliases };
+}
+
+/**
+ * Check every step of a list of operations before running any of them
+ *
+ * Checks the required parameters, that referenced columns exist at each
+ * step, that numeric parameters are numbers and that columns used for
+ * statistics hold numbers. Column checks stop once a step's output columns
+ * cannot be known in advance (after a pivot, for example), and every step
+ * after one that returns a single result is an error.
+ *
+ * @param {Array} operations - Operations as for DataProcessor.processData
+ * @param {Object} [input] - What the first step receives
+ * @param {Array<Object>} [input.data] - Rows (used for their columns and to
+ *   spot columns without numbers)
+ * @param {Array<string>} [input.columns] - Column names, when no rows are given
+ * @returns {Object} { valid, steps, columns, output } where each step is
+ *   { step, type, valid, errors: [{ param, message }], columns, output };
+ *   columns is null where it cannot be predicted and output is 'rows' or 'result'
+ * @throws {Error} If operations is not an array
+ *
+ * @example
+ * validateOperations([{ type: 'calculateMean', params: { column: 'cost' } }], { columns: ['price'] });
+ * // { valid: false, steps: [{ step: 0, type: 'calculateMean', valid: false,
+ * //   errors: [{ param: 'column', message: 'Column(s) not found: cost' }], ... }], ... }
+ */
+function validateOperations(operations, input = {}) {
+  if (!Array.isArray(operations)) {
+    throw new Error('Operations must be an array');
+  }
+  const rows = Array.isArray(input.data) && input.data.length > 0 ? input.data : null;
+  let columns = rows ? columnsOf(rows) : Array.isArray(input.columns) ? [...input.columns] : null;
+  let withoutNumbers = rows ? columnsWithoutNumbers(rows, columns) : new Set();
+  let output = 'rows';
+
+  const steps = operations.map((operation, step) => {
+    const state = { columns, withoutNumbers };
+    const { type } = operation && typeof operation === 'object' ? operation : {};
+    const params = operation && operation.params && typeof operation.params === 'object' ? operation.params : {};
+    const schema = OPERATION_SCHEMAS[type];
+    const errors = [];
+
+    if (!operation || typeof operation !== 'object') {
+      errors.push({ param: null, message: 'Each operation must be an object' });
+    } else if (!type) {
+      errors.push({ param: null, message: 'Operation type is required' });
+    } else if (!schema) {
+      errors.push({ param: null, message: `Unsupported operation: ${type}` });
+    } else {
+      if (output === 'result') {
+        errors.push({ param: null, message: `The step before ${type} returns a single result, not rows` });
+        state.columns = null;
+      }
+      Object.entries(schema.params).forEach(([name, spec]) => errors.push(...paramErrors(name, spec, params[name], state)));
+      if (schema.check) errors.push(...schema.check(params, state));
+    }
+
+    if (schema) {
+      output = typeof schema.output === 'function' ? schema.output(params) : schema.output || 'rows';
+      columns = output === 'rows'
+        ? (schema.columns ? schema.columns(state.columns, params) : state.columns)
+        : null;
+      const written = schema.writes ? schema.writes(params) : [];
+      withoutNumbers = columns && written
+        ? new Set(Array.from(withoutNumbers).filter(name => columns.includes(name) && !written.includes(name)))
+        : new Set();
+    } else {
+      columns = null;
+      withoutNumbers = new Set();
+    }
+
+    return { step, type: type || null, valid: errors.length === 0, errors, columns, output: schema ? output : null };
+  });
+
+  return {
+    valid: steps.every(step => step.valid),
+    steps,
+    columns,
+    output: steps.length ? steps[steps.length - 1].output : 'rows'
+  };
+}
+
+module.exports = {
+  AGGREGATIONS,
+  FILTER_OPERATORS,
+  MAX_CONDITION_DEPTH,
+  OPERATION_SCHEMAS,
+  OUTLIER_ACTIONS,
+  OUTLIER_THRESHOLDS,
+  QUANTILE_METHODS,
+  validateOperations
+};
@@ -1,97 +1,143 @@
 /**
  * Projects Manager Module
  * 
- * Handles persistent storage of projects using JSON file
- * for the ApparentlyAR data visualization platform.
+ * Handles persistent storage of projects for the ApparentlyAR data
+ * visualization platform. Storage is delegated to a pluggable project store
+ * (see ./storage); uploaded datasets and saved workspaces are kept apart
+ * from project metadata so listing projects stays cheap.
  * 
  * @author ApparentlyAR Team
- * @version 1.0.0
+ * @version 1.1.0
  */
 
-const fs = require('fs');
-const path = require('path');
+const { createStore } = require('./storage');
+const { inferSchema } = require('./schemaInference');
 
-// Path to the projects.json file
-const PROJECTS_FILE = path.join(__dirname, '../../projects.json');
+// Project properties kept in the metadata record
+const METADATA_FIELDS = ['name', 'description', 'status', 'csvFilename'];
+
+let store = null;
 
 /**
- * Initialize projects file with empty array if it doesn't exist
+ * Get the active project store, creating it on first use
+ * @returns {Object} Project store
  */
-function initializeProjectsFile() {
-  if (!fs.existsSync(PROJECTS_FILE)) {
-    fs.writeFileSync(PROJECTS_FILE, JSON.stringify([], null, 2));
+function getStore() {
+  if (!store) {
+    store = createStore();
   }
+  return store;
 }
 
 /**
- * Read projects from JSON file
- * @returns {Array} Array of project objects
+ * Swap the project store (used by tests and alternative deployments)
+ * @param {Object|null} nextStore - Store to use, or null to recreate from the environment
  */
-function readProjects() {
-  try {
-    initializeProjectsFile();
-    const data = fs.readFileSync(PROJECTS_FILE, 'utf8');
-    const projects = JSON.parse(data);
-    return Array.isArray(projects) ? projects : [];
-  } catch (error) {
-    console.error('Error reading projects file:', error);
-    return [];
+function setProjectStore(nextStore) {
+  if (store && store !== nextStore) {
+    store.close();
   }
+  store = nextStore;
+}
+
+function isValidId(id) {
+  return Number.isSafeInteger(id);
+}
+
+/**
+ * Pick the metadata properties out of incoming project data
+ * @param {Object} projectData - Project data from a request
+ * @returns {Object} Metadata changes
+ */
+function pickMetadata(projectData) {
+  const metadata = {};
+  METADATA_FIELDS.forEach(field => {
+    if (projectData[field] !== undefined) {
+      metadata[field] = projectData[field];
+    }
+  });
+  return metadata;
 }
 
 /**
- * Write projects to JSON file
- * @param {Array} projects - Array of project objects
+ * Store a project's dataset, with its inferred column schema, when the incoming data carries one
+ * @param {number} id - Project ID
+ * @param {Object} projectData - Project data that may include csvData/csvHeaders
+ * @returns {Object} Metadata changes implied by the dataset (row count)
  */
-function writeProjects(projects) {
-  try {
-    fs.writeFileSync(PROJECTS_FILE, JSON.stringify(projects, null, 2));
-  } catch (error) {
-    console.error('Error writing projects file:', error);
+function saveDatasetFrom(id, projectData) {
+  if (projectData.csvData === undefined) {
+    return {};
+  }
+  if (!Array.isArray(projectData.csvData)) {
+    getStore().saveDataset(id, null);
+    return { rowCount: null };
   }
+  const headers = projectData.csvHeaders || Object.keys(projectData.csvData[0] || {});
+  const schema = inferSchema(projectData.csvData, { headers });
+  getStore().saveDataset(id, { headers, rows: projectData.csvData, schema });
+  return { rowCount: projectData.csvData.length };
 }
 
 /**
- * Get all projects
+ * Attach a project's dataset in the shape clients expect
+ * @param {Object} project - Project metadata
+ * @returns {Object} Project with csvData, csvHeaders and csvSchema
+ */
+function withDataset(project) {
+  const dataset = getStore().getDataset(project.id);
+  return {
+    ...project,
+    csvData: dataset ? dataset.rows : null,
+    csvHeaders: dataset ? dataset.headers : null,
+    // Datasets saved before schemas were stored are inferred on read
+    csvSchema: dataset ? dataset.schema || inferSchema(dataset.rows, { headers: dataset.headers }) : null
+  };
+}
+
+/**
+ * Get all projects (metadata only; datasets are not loaded)
  * @returns {Array} Array of project objects
  */
 function getAllProjects() {
-  return readProjects();
+  return getStore().list();
 }
 
 /**
- * Get project by ID
+ * Get project by ID, including its dataset
  * @param {number} id - Project ID
  * @returns {Object|null} Project object or null if not found
  */
 function getProjectById(id) {
-  const projects = readProjects();
-  return projects.find(project => project.id === id) || null;
+  if (!isValidId(id)) {
+    return null;
+  }
+  const project = getStore().get(id);
+  return project ? withDataset(project) : null;
 }
 
 /**
  * Create a new project
- * @param {Object} projectData - Project data (name, description)
+ * @param {Object} projectData - Project data (name, description, optional csvData/csvHeaders)
  * @returns {Object} Created project object
  */
 function createProject(projectData) {
-  const projects = readProjects();
-  const newProject = {
-    id: Date.now(), // Simple ID generation
+  const now = new Date().toISOString();
+  const project = getStore().create({
     name: projectData.name,
     description: projectData.description,
     status: 'Inactive',
-    csvData: projectData.csvData || null, // Store CSV data if provided
-    csvHeaders: projectData.csvHeaders || null, // Store CSV headers if provided
-    csvFilename: projectData.csvFilename || null, // Store CSV filename if provided
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
-  
-  projects.push(newProject);
-  writeProjects(projects);
-  
-  return newProject;
+    csvFilename: projectData.csvFilename || null,
+    rowCount: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const datasetChanges = saveDatasetFrom(project.id, projectData);
+  if (Object.keys(datasetChanges).length > 0) {
+    getStore().update(project.id, datasetChanges);
+  }
+  return getProjectById(project.id);
 }
 
 /**
@@ -101,36 +147,62 @@ function createProject(projectData) {
  * @returns {Object|null} Updated project object or null if not found
  */
 function updateProject(id, projectData) {
-  const projects = readProjects();
-  const projectIndex = projects.findIndex(project => project.id === id);
-  
-  if (projectIndex !== -1) {
-    projects[projectIndex] = {
-      ...projects[projectIndex],
-      ...projectData,
-      updatedAt: new Date().toISOString()
-    };
-    
-    writeProjects(projects);
-    return projects[projectIndex];
+  if (!isValidId(id) || !getStore().get(id)) {
+    return null;
   }
-  
-  return null;
+
+  getStore().update(id, {
+    ...pickMetadata(projectData),
+    ...saveDatasetFrom(id, projectData),
+    updatedAt: new Date().toISOString()
+  });
+  return getProjectById(id);
 }
 
 /**
- * Delete project by ID
+ * Delete project by ID, along with its dataset and saved workspaces
  * @param {number} id - Project ID
  * @returns {boolean} True if project was deleted, false if not found
  */
 function deleteProject(id) {
-  const projects = readProjects();
-  const initialLength = projects.length;
-  
-  const filteredProjects = projects.filter(project => project.id !== id);
-  writeProjects(filteredProjects);
-  
-  return filteredProjects.length < initialLength;
+  return isValidId(id) && getStore().remove(id);
+}
+
+/**
+ * Get the saved Blockly workspace for a student in a project
+ * @param {number} projectId - Project ID
+ * @param {string} studentId - Student identifier
+ * @returns {Object|null} Saved workspace entry ({ workspace, updatedAt }), or null if
+ *   the project does not exist. The workspace is null when nothing has been saved yet.
+ */
+function getProjectWorkspace(projectId, studentId) {
+  if (!isValidId(projectId) || !getStore().get(projectId)) {
+    return null;
+  }
+
+  return getStore().getWorkspace(projectId, studentId) || { workspace: null, updatedAt: null };
+}
+
+/**
+ * Save a Blockly workspace (JSON serialization) for a student in a project
+ * @param {number} projectId - Project ID
+ * @param {string} studentId - Student identifier
+ * @param {Object} workspace - Output of Blockly.serialization.workspaces.save()
+ * @returns {Object|null} Saved workspace entry or null if project not found
+ */
+function saveProjectWorkspace(projectId, studentId, workspace) {
+  if (!isValidId(projectId) || !getStore().get(projectId)) {
+    return null;
+  }
+
+  const entry = {
+    workspace,
+    updatedAt: new Date().toISOString()
+  };
+  // Saving a workspace is not an edit of the project itself, so updatedAt is left alone
+  getStore().saveWorkspace(projectId, studentId, entry);
+
+  return entry;
 }
 
 module.exports = {
@@ -138,5 +210,8 @@ module.exports = {
   getProjectById,
   createProject,
   updateProject,
-  deleteProject
-};
\ No newline at end of file
+  deleteProject,
+  getProjectWorkspace,
+  saveProjectWorkspace,
+  setProjectStore
+};
@@ -0,0 +1,364 @@
+/**
+ * Rasterizer Module
+ *
+ * Draws a chart scene from chartRenderer.js into RGBA pixels and encodes
+ * them as a PNG, in plain JavaScript (Node's zlib does the compression), so
+ * chart images can be made on the server without a browser or canvas
+ * package. Text uses a built-in 5x7 bitmap font.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+const { patternCovers } = require('../shared/chartThemes');
+
+// 5x7 glyphs for ASCII 32-126: five columns per glyph, lowest bit at the top
+const FONT_5X7 = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649552250', '0005030000',
+  '001c224100', '0041221c00', '082a1c2a08', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+  '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0008142241', '1414141414', '4122140800', '0201510906',
+  '324979413e', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090101', '3e41415132',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '7f2018207f',
+  '6314081463', '0304780403', '6151494543', '00007f4141', '0204081020', '41417f0000', '0402010204', '4040404040',
+  '0001020400', '2054545478', '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '081454543c',
+  '7f08040478', '00447d4000', '2040443d00', '007f102844', '00417f4000', '7c04180478', '7c08040478', '3844444438',
+  '7c14141408', '081414187c', '7c08040408', '4854545420', '043f444020', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '0c5050503c', '4464544c44', '0008364100', '00007f0000', '0041360800', '0804081008'
+];
+
+// Characters outside the font that have a close ASCII stand-in
+const TRANSLITERATIONS = { '²': '2', '³': '3', '×': 'x', '–': '-', '—': '-', '−': '-', '…': '...', '°': 'o', 'µ': 'u' };
+
+// Width of one character, including the gap after it, at scale 1
+const GLYPH_ADVANCE = 6;
+
+/**
+ * Pixel scale of the bitmap font for a text size
+ * @param {number} size - Text size in pixels
+ * @returns {number} Whole-number scale
+ */
+function fontScale(size) {
+  return Math.max(1, Math.round(size / 10));
+}
+
+/**
+ * Text as the font can draw it
+ * @param {string} text
+ * @returns {string} Printable ASCII text
+ */
+function printable(text) {
+  return Array.from(String(text))
+    .map(char => TRANSLITERATIONS[char] || (char >= ' ' && char <= '~' ? char : '?'))
+    .join('');
+}
+
+/**
+ * Width of text drawn by the bitmap font
+ * @param {string} text
+ * @param {number} size - Text size in pixels
+ * @returns {number} Width in pixels
+ */
+function bitmapTextWidth(text, size) {
+  const length = printable(text).length;
+  return length ? (length * GLYPH_ADVANCE - 1) * fontScale(size) : 0;
+}
+
+/**
+ * Create a blank RGBA canvas
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number, pixels: Buffer }} Transparent canvas
+ */
+function createCanvas(width, height) {
+  return { width, height, pixels: Buffer.alloc(width * height * 4) };
+}
+
+/**
+ * Blend a colour over one pixel
+ * @param {Object} canvas
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @param {{ r: number, g: number, b: number, a: number }} color - Alpha from 0 to 1
+ */
+function blendPixel(canvas, x, y, color) {
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+  const offset = (y * canvas.width + x) * 4;
+  const pixels = canvas.pixels;
+  const alpha = color.a;
+  const below = pixels[offset + 3] / 255;
+  const out = alpha + below * (1 - alpha);
+  if (out <= 0) return;
+  pixels[offset] = Math.round((color.r * alpha + pixels[offset] * below * (1 - alpha)) / out);
+  pixels[offset + 1] = Math.round((color.g * alpha + pixels[offset + 1] * below * (1 - alpha)) / out);
+  pixels[offset + 2] = Math.round((color.b * alpha + pixels[offset + 2] * below * (1 - alpha)) / out);
+  pixels[offset + 3] = Math.round(out * 255);
+}
+
+/**
+ * Fill a rectangle, or with a pattern name only the pixels the pattern marks
+ * @param {Object} canvas
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} color
+ * @param {string} [pattern] - One of chartThemes.PATTERNS
+ */
+function fillRect(canvas, x, y, width, height, color, pattern) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(canvas.width, Math.round(x + width));
+  const bottom = Math.min(canvas.height, Math.round(y + height));
+  for (let row = top; row < bottom; row++) {
+    for (let column = left; column < right; column++) {
+      if (!pattern || patternCovers(pattern, column, row)) blendPixel(canvas, column, row, color);
+    }
+  }
+}
+
+/**
+ * Fill a polygon with the even-odd rule, sampling each pixel at its centre
+ * @param {Object} canvas
+ * @param {Array<Array<number>>} points - [x, y] corners
+ * @param {Object} color
+ * @param {string} [pattern] - Only fill the pixels this pattern marks
+ */
+function fillPolygon(canvas, points, color, pattern) {
+  if (points.length < 3) return;
+  const ys = points.map(point => point[1]);
+  const top = Math.max(0, Math.floor(Math.min(...ys)));
+  const bottom = Math.min(canvas.height - 1, Math.ceil(Math.max(...ys)));
+
+  for (let row = top; row <= bottom; row++) {
+    const sample = row + 0.5;
+    const crossings = [];
+    for (let i = 0; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      if ((y1 <= sample && y2 > sample) || (y2 <= sample && y1 > sample)) {
+        crossings.push(x1 + ((sample - y1) / (y2 - y1)) * (x2 - x1));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const to = Math.min(canvas.width, Math.ceil(crossings[i + 1] - 0.5));
+      for (let column = from; column < to; column++) {
+        if (!pattern || patternCovers(pattern, column, row)) blendPixel(canvas, column, row, color);
+      }
+    }
+  }
+}
+
+function fillCircle(canvas, cx, cy, r, color) {
+  for (let row = Math.floor(cy - r); row <= Math.ceil(cy + r); row++) {
+    for (let column = Math.floor(cx - r); column <= Math.ceil(cx + r); column++) {
+      const dx = column + 0.5 - cx;
+      const dy = row + 0.5 - cy;
+      if (dx * dx + dy * dy <= r * r) blendPixel(canvas, column, row, color);
+    }
+  }
+}
+
+/**
+ * Split a polyline into the pieces a dash pattern draws
+ * @param {Array<Array<number>>} points
+ * @param {Array<number>} dash - On and off lengths
+ * @returns {Array<Array<Array<number>>>} Visible pieces
+ */
+function dashPieces(points, dash) {
+  const pieces = [];
+  let index = 0;
+  let left = dash[0];
+  let on = true;
+  let current = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    let [x, y] = points[i - 1];
+    const [x2, y2] = points[i];
+    let length = Math.hypot(x2 - x, y2 - y);
+    while (length > left) {
+      const t = left / length;
+      x += (x2 - x) * t;
+      y += (y2 - y) * t;
+      length -= left;
+      if (on) pieces.push([...current, [x, y]]);
+      current = [[x, y]];
+      on = !on;
+      index = (index + 1) % dash.length;
+      left = dash[index];
+    }
+    left -= length;
+    current.push([x2, y2]);
+  }
+  if (on && current.length > 1) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Stroke a polyline as a quad per segment
+ * @param {Object} canvas
+ * @param {Array<Array<number>>} points
+ * @param {Object} color
+ * @param {number} width - Line width in pixels
+ * @param {Array<number>} [dash] - Dash pattern
+ */
+function strokePolyline(canvas, points, color, width, dash) {
+  if (points.length < 2) return;
+  if (dash && dash.length && dash.some(length => length > 0)) {
+    dashPieces(points, dash).forEach(piece => strokePolyline(canvas, piece, color, width));
+    return;
+  }
+  const half = Math.max(1, width) / 2;
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i - 1];
+    const [x2, y2] = points[i];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (!length) continue;
+    const nx = (-(y2 - y1) / length) * half;
+    const ny = ((x2 - x1) / length) * half;
+    fillPolygon(canvas, [[x1 + nx, y1 + ny], [x2 + nx, y2 + ny], [x2 - nx, y2 - ny], [x1 - nx, y1 - ny]], color);
+  }
+}
+
+/**
+ * Draw text with the bitmap font
+ * @param {Object} canvas
+ * @param {Object} item - Scene text item (x, y, text, size, color, anchor, bold, rotate)
+ */
+function drawText(canvas, item) {
+  const text = printable(item.text);
+  const scale = fontScale(item.size);
+  const width = bitmapTextWidth(text, item.size);
+  const shift = item.anchor === 'middle' ? width / 2 : item.anchor === 'end' ? width : 0;
+  const rotated = item.rotate === -90;
+  // (x, y) is the middle of the line; glyphs are drawn from their top-left corner
+  const originX = rotated ? item.x - 3.5 * scale : item.x - shift;
+  const originY = rotated ? item.y + shift : item.y - 3.5 * scale;
+
+  Array.from(text).forEach((char, position) => {
+    const glyph = FONT_5X7[char.charCodeAt(0) - 32];
+    for (let column = 0; column < 5; column++) {
+      const bits = parseInt(glyph.slice(column * 2, column * 2 + 2), 16);
+      for (let row = 0; row < 7; row++) {
+        if (!(bits & (1 << row))) continue;
+        const across = (position * GLYPH_ADVANCE + column) * scale;
+        for (let weight = 0; weight < (item.bold ? 2 : 1); weight++) {
+          const x = rotated ? originX + row * scale : originX + across + weight;
+          const y = rotated ? originY - across - scale - weight : originY + row * scale;
+          fillRect(canvas, x, y, scale, scale, item.color);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Draw every item of a scene
+ * @param {Object} scene - { width, height, items } from chartRenderer.buildScene
+ * @returns {Object} Canvas
+ */
+function rasterize(scene) {
+  const canvas = createCanvas(scene.width, scene.height);
+  scene.items.forEach(item => {
+    switch (item.type) {
+      case 'rect':
+        if (item.fill) fillRect(canvas, item.x, item.y, item.width, item.height, item.fill);
+        if (item.pattern) fillRect(canvas, item.x, item.y, item.width, item.height, item.pattern.color, item.pattern.name);
+        if (item.stroke) {
+          const { x, y, width, height } = item;
+          strokePolyline(canvas, [[x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]], item.stroke, item.strokeWidth);
+        }
+        break;
+      case 'polygon':
+        if (item.fill) fillPolygon(canvas, item.points, item.fill);
+        if (item.pattern) fillPolygon(canvas, item.points, item.pattern.color, item.pattern.name);
+        if (item.stroke) strokePolyline(canvas, [...item.points, item.points[0]], item.stroke, item.strokeWidth);
+        break;
+      case 'polyline':
+        strokePolyline(canvas, item.points, item.stroke, item.strokeWidth, item.dash);
+        break;
+      case 'circle':
+        if (item.fill) fillCircle(canvas, item.cx, item.cy, item.r, item.fill);
+        if (item.stroke) {
+          const ring = Array.from({ length: 25 }, (value, i) => {
+            const angle = (i / 24) * Math.PI * 2;
+            return [item.cx + Math.cos(angle) * item.r, item.cy + Math.sin(angle) * item.r];
+          });
+          strokePolyline(canvas, ring, item.stroke, item.strokeWidth);
+        }
+        break;
+      case 'text':
+        drawText(canvas, item);
+        break;
+    }
+  });
+  return canvas;
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a canvas as an 8-bit RGBA PNG
+ * @param {Object} canvas
+ * @returns {Buffer} PNG file
+ */
+function encodePng(canvas) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(canvas.width, 0);
+  header.writeUInt32BE(canvas.height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  const stride = canvas.width * 4;
+  const raw = Buffer.alloc((stride + 1) * canvas.height);
+  for (let row = 0; row < canvas.height; row++) {
+    // Filter byte 0 (none), then the row
+    canvas.pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Draw a scene and encode it as PNG
+ * @param {Object} scene - { width, height, items }
+ * @returns {Buffer} PNG file
+ */
+function renderPng(scene) {
+  return encodePng(rasterize(scene));
+}
+
+module.exports = {
+  bitmapTextWidth,
+  rasterize,
+  encodePng,
+  renderPng
+};
@@ -0,0 +1,180 @@
+/**
+ * Regression Module
+ *
+ * Least-squares trend fitting shared by the regression operations in
+ * DataProcessor and the trend lines ChartGenerator draws over scatter and
+ * line charts. Three models are offered:
+ *
+ * - linear:      y = a + bx
+ * - polynomial:  y = c0 + c1·x + c2·x² + ... (degree 2 to 6)
+ * - exponential: y = a·e^(bx), fitted as a straight line through ln(y)
+ *
+ * r² always measures the fit on the original y values, so it can be
+ * compared between models.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const TREND_MODELS = ['linear', 'polynomial', 'exponential'];
+// Higher degrees mostly chase noise and make the normal equations unstable
+const MAX_POLYNOMIAL_DEGREE = 6;
+const SUPERSCRIPTS = { 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶' };
+
+/**
+ * Solve a square linear system by Gaussian elimination with partial pivoting
+ * @private
+ */
+function solve(matrix, vector) {
+  const size = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = col + 1; row < size; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= size; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+  const result = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k++) sum -= rows[row][k] * result[k];
+    result[row] = sum / rows[row][row];
+  }
+  return result;
+}
+
+/**
+ * Polynomial coefficients (constant first) minimising the squared error
+ * @private
+ */
+function fitPolynomial(points, degree) {
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+  for (const { x, y } of points) {
+    const powers = [1];
+    for (let i = 1; i <= 2 * degree; i++) powers.push(powers[i - 1] * x);
+    for (let row = 0; row < size; row++) {
+      vector[row] += powers[row] * y;
+      for (let col = 0; col < size; col++) matrix[row][col] += powers[row + col];
+    }
+  }
+  return solve(matrix, vector);
+}
+
+/**
+ * Size of a coefficient for an equation, to 4 significant figures (the sign is added by the caller)
+ * @private
+ */
+function formatNumber(value) {
+  if (value === 0) return '0';
+  const magnitude = Math.abs(value);
+  return magnitude >= 1e6 || magnitude < 1e-4
+    ? magnitude.toExponential(3).replace(/\.?0+e/, 'e')
+    : String(Number(magnitude.toPrecision(4)));
+}
+
+/**
+ * Write the fitted model as an equation such as "y = 2.5x + 1.2"
+ *
+ * @param {Object} fit - Result of fitTrend
+ * @param {string} [xName='x'] - Name shown for the x variable
+ * @param {string} [yName='y'] - Name shown for the y variable
+ * @returns {string} Equation
+ */
+function formatEquation(fit, xName = 'x', yName = 'y') {
+  if (fit.model === 'exponential') {
+    const [a, b] = fit.coefficients;
+    return `${yName} = ${a < 0 ? '-' : ''}${formatNumber(a)}e^(${b < 0 ? '-' : ''}${formatNumber(b)}${xName})`;
+  }
+  const terms = [];
+  for (let power = fit.coefficients.length - 1; power >= 0; power--) {
+    const value = fit.coefficients[power];
+    if (value === 0 && fit.coefficients.length > 1) continue;
+    const variable = power === 0 ? '' : power === 1 ? xName : `${xName}${SUPERSCRIPTS[power] || `^${power}`}`;
+    const magnitude = formatNumber(value);
+    const body = variable && magnitude === '1' ? variable : `${magnitude}${variable}`;
+    if (terms.length === 0) {
+      terms.push(value < 0 ? `-${body}` : body);
+    } else {
+      terms.push(value < 0 ? `- ${body}` : `+ ${body}`);
+    }
+  }
+  return `${yName} = ${terms.length ? terms.join(' ') : '0'}`;
+}
+
+/**
+ * Fit a trend to some points
+ *
+ * @param {Array<{x: number, y: number}>} points - Points with numeric x and y
+ * @param {Object} [options]
+ * @param {string} [options.model='linear'] - linear, polynomial or exponential
+ * @param {number} [options.degree=2] - Degree of a polynomial model
+ * @returns {Object} { model, degree, coefficients, predict(x), rSquared, n } where
+ *   coefficients are [intercept, slope] for linear, constant first for
+ *   polynomial and [a, b] for exponential
+ * @throws {Error} If the model is unknown or the points cannot be fitted
+ */
+function fitTrend(points, options = {}) {
+  const { model = 'linear' } = options;
+  if (!TREND_MODELS.includes(model)) {
+    throw new Error(`Unsupported trend model: ${model}; use one of ${TREND_MODELS.join(', ')}`);
+  }
+  const degree = model === 'polynomial'
+    ? (options.degree === undefined || options.degree === null || options.degree === '' ? 2 : Number(options.degree))
+    : 1;
+  if (model === 'polynomial' && (!Number.isInteger(degree) || degree < 2 || degree > MAX_POLYNOMIAL_DEGREE)) {
+    throw new Error(`A polynomial degree must be a whole number from 2 to ${MAX_POLYNOMIAL_DEGREE}`);
+  }
+  if (points.length < degree + 1) {
+    throw new Error(`A ${model} trend needs at least ${degree + 1} points with numbers, but there ${points.length === 1 ? 'is' : 'are'} ${points.length}`);
+  }
+  if (new Set(points.map(point => point.x)).size < degree + 1) {
+    throw new Error(`A ${model} trend needs at least ${degree + 1} different x values`);
+  }
+
+  let coefficients;
+  let predict;
+  if (model === 'exponential') {
+    if (points.some(point => point.y <= 0)) {
+      throw new Error('An exponential trend needs every y value to be above 0');
+    }
+    const fitted = fitPolynomial(points.map(({ x, y }) => ({ x, y: Math.log(y) })), 1);
+    if (!fitted) {
+      throw new Error('The x values are too close together to fit an exponential trend');
+    }
+    coefficients = [Math.exp(fitted[0]), fitted[1]];
+    predict = x => coefficients[0] * Math.exp(coefficients[1] * x);
+  } else {
+    coefficients = fitPolynomial(points, degree);
+    if (!coefficients) {
+      throw new Error(`The x values are too close together to fit a ${model} trend`);
+    }
+    predict = x => coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(x, power), 0);
+  }
+
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  let residualSquares = 0;
+  let totalSquares = 0;
+  for (const { x, y } of points) {
+    residualSquares += Math.pow(y - predict(x), 2);
+    totalSquares += Math.pow(y - meanY, 2);
+  }
+  // Flat data is fitted exactly by a flat line
+  const rSquared = totalSquares === 0 ? 1 : Math.max(0, 1 - residualSquares / totalSquares);
+
+  return { model, degree, coefficients, predict, rSquared, n: points.length };
+}
+
+module.exports = {
+  MAX_POLYNOMIAL_DEGREE,
+  TREND_MODELS,
+  fitTrend,
+  formatEquation
+};
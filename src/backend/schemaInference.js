@@ -0,0 +1,345 @@
+/**
+ * Schema Inference Module
+ *
+ * Works out what kind of values each column holds so blocks can offer
+ * sensible columns (numbers for averages, dates for time axes, categories
+ * for grouping) instead of treating everything that is not a float as text.
+ *
+ * Column types:
+ *   integer, float   - plain, thousands-separated ("1,234"), currency ("$12.50")
+ *                      or percentage ("45%") numbers
+ *   boolean          - true/false, yes/no, y/n, t/f
+ *   date, datetime   - ISO, day/month/year (or month/day/year when the data
+ *                      says so) and "5 Jan 2023" style dates, with or without a time
+ *   category         - text with a small set of repeated values
+ *   text             - anything else
+ *
+ * A type is chosen when at least `threshold` (95% by default) of the
+ * non-missing values match it; `confidence` reports the share that did.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const COLUMN_TYPES = ['integer', 'float', 'boolean', 'date', 'datetime', 'category', 'text'];
+
+const TYPE_GROUPS = {
+  numeric: ['integer', 'float'],
+  temporal: ['date', 'datetime'],
+  categorical: ['category', 'boolean', 'text']
+};
+
+// Values that mean "no data" rather than a value of some other type
+const MISSING_VALUES = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', '-', '--', '?']);
+
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, y: true, n: false, t: true, f: false };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_PATTERN = /^([+-])?([$€£¥])?\s?(\d{1,3}(?:,\d{3})+|\d+)?(\.\d+)?(e[+-]?\d+)?\s?(%)?$/i;
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const YMD_PATTERN = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+const DAY_MONTH_NAME_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,9})\.?,?[\s-]+(\d{4})$/i;
+const MONTH_NAME_DAY_PATTERN = /^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i;
+
+// Categories stop being useful for grouping beyond this many distinct values
+const MAX_CATEGORIES = 50;
+
+/**
+ * Whether a value counts as missing
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMissing(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isNaN(value);
+  return typeof value === 'string' && MISSING_VALUES.has(value.trim().toLowerCase());
+}
+
+/**
+ * Parse a boolean written as true/false, yes/no, y/n or t/f
+ * @param {*} value
+ * @returns {boolean|null} The boolean, or null when the value is not one
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return null;
+  const parsed = BOOLEAN_VALUES[value.trim().toLowerCase()];
+  return parsed === undefined ? null : parsed;
+}
+
+/**
+ * Parse a number, accepting thousands separators, currency symbols and percentages
+ * @param {*} value
+ * @returns {{ value: number, integer: boolean, format: (string|null) }|null}
+ *   format is 'percent', 'currency' or null; null is returned for non-numbers
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value, integer: Number.isInteger(value), format: null } : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match || (match[3] === undefined && match[4] === undefined)) return null;
+  // Leading zeros mark identifiers such as postcodes ("0800"), not quantities
+  if (match[3] && /^0\d/.test(match[3])) return null;
+
+  const number = Number(`${match[1] || ''}${(match[3] || '0').replace(/,/g, '')}${match[4] || ''}${match[5] || ''}`);
+  if (!Number.isFinite(number)) return null;
+  return {
+    value: number,
+    integer: match[4] === undefined && match[5] === undefined && Number.isInteger(number),
+    format: match[6] ? 'percent' : match[2] ? 'currency' : null
+  };
+}
+
+/**
+ * Numeric value of a cell, read the way columns are typed here, so every
+ * column offered as numeric is also summed and averaged as one
+ * @param {*} value
+ * @returns {number} The number, or NaN when the value is not one
+ */
+function toNumber(value) {
+  const parsed = parseNumber(value);
+  return parsed ? parsed.value : NaN;
+}
+
+function monthFromName(name) {
+  const lower = name.toLowerCase();
+  // Three-letter abbreviations, "Sept" and full names; not other words that start like a month
+  const index = MONTHS.findIndex(month => lower.length >= 3 && month.startsWith(lower));
+  return index === -1 ? null : index + 1;
+}
+
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour;
+  const pm = meridiem.toLowerCase() === 'pm';
+  if (hour === 12) return pm ? 12 : 0;
+  return pm ? hour + 12 : hour;
+}
+
+function buildDate(year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) {
+  if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59 || second > 59) return null;
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second, millisecond));
+  // Rejects 31/02 and similar, which Date.UTC would roll into the next month
+  return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : null;
+}
+
+/**
+ * Parse a date or date-time
+ *
+ * Slash dates are read day-first unless `order` is 'mdy'. Values without a
+ * time zone are treated as UTC so the calendar date never shifts.
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.order='dmy'] - 'dmy' or 'mdy' for numeric dates like 03/04/2023
+ * @returns {{ date: Date, hasTime: boolean, format: string }|null}
+ */
+function parseDate(value, options = {}) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    const hasTime = value.getUTCHours() !== 0 || value.getUTCMinutes() !== 0 || value.getUTCSeconds() !== 0;
+    return { date: value, hasTime, format: 'date object' };
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  let match;
+
+  if ((match = ISO_PATTERN.exec(text))) {
+    const [, year, month, day, hour, minute, second, fraction, zone] = match;
+    let date = buildDate(+year, +month, +day, +(hour || 0), +(minute || 0), +(second || 0),
+      fraction ? Math.round(parseFloat(fraction) * 1000) : 0);
+    if (date && zone && zone.toUpperCase() !== 'Z') {
+      const sign = zone[0] === '-' ? -1 : 1;
+      const digits = zone.slice(1).replace(':', '');
+      date = new Date(date.getTime() - sign * (parseInt(digits.slice(0, 2)) * 60 + parseInt(digits.slice(2))) * 60000);
+    }
+    return date ? { date, hasTime: hour !== undefined, format: hour !== undefined ? 'ISO 8601' : 'YYYY-MM-DD' } : null;
+  }
+
+  if ((match = YMD_PATTERN.exec(text))) {
+    const [, year, month, day, hour, minute, second, meridiem] = match;
+    const date = buildDate(+year, +month, +day, to24Hour(+(hour || 0), meridiem), +(minute || 0), +(second || 0));
+    return date ? { date, hasTime: hour !== undefined, format: 'YYYY/MM/DD' } : null;
+  }
+
+  if ((match = NUMERIC_DATE_PATTERN.exec(text))) {
+    const [, first, separator, second, yearText, hour, minute, seconds, meridiem] = match;
+    const monthFirst = options.order === 'mdy';
+    const day = monthFirst ? +second : +first;
+    const month = monthFirst ? +first : +second;
+    // Two-digit years: 00-49 are 2000s, 50-99 are 1900s
+    const year = yearText.length === 2 ? (+yearText < 50 ? 2000 + +yearText : 1900 + +yearText) : +yearText;
+    const date = buildDate(year, month, day, to24Hour(+(hour || 0), meridiem), +(minute || 0), +(seconds || 0));
+    const pattern = (monthFirst ? ['MM', 'DD'] : ['DD', 'MM']).join(separator) + separator + (yearText.length === 2 ? 'YY' : 'YYYY');
+    return date ? { date, hasTime: hour !== undefined, format: pattern } : null;
+  }
+
+  if ((match = DAY_MONTH_NAME_PATTERN.exec(text))) {
+    const month = monthFromName(match[2]);
+    const date = month && buildDate(+match[3], month, +match[1]);
+    return date ? { date, hasTime: false, format: 'D MMM YYYY' } : null;
+  }
+
+  if ((match = MONTH_NAME_DAY_PATTERN.exec(text))) {
+    const month = monthFromName(match[1]);
+    const date = month && buildDate(+match[3], month, +match[2]);
+    return date ? { date, hasTime: false, format: 'MMM D, YYYY' } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether numeric dates in a column are day-first or month-first
+ * @param {Array<*>} values
+ * @returns {string} 'dmy' (the default) or 'mdy'
+ */
+function detectDateOrder(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+  values.forEach(value => {
+    const match = typeof value === 'string' && NUMERIC_DATE_PATTERN.exec(value.trim());
+    if (!match) return;
+    if (+match[1] > 12) dayFirst = true;
+    if (+match[3] > 12) monthFirst = true;
+  });
+  return monthFirst && !dayFirst ? 'mdy' : 'dmy';
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Infer the type of one column
+ * @param {Array<*>} values - Column values
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.95] - Share of values that must match a type
+ * @returns {Object} { type, confidence, count, nullCount, unique, format?, dateOrder?, sample }
+ */
+function inferColumnType(values, options = {}) {
+  const threshold = options.threshold === undefined ? 0.95 : options.threshold;
+  const present = values.filter(value => !isMissing(value));
+  const nullCount = values.length - present.length;
+  const distinct = new Set(present.map(value => (value instanceof Date ? value.toISOString() : String(value).trim())));
+  const base = {
+    count: present.length,
+    nullCount,
+    unique: distinct.size,
+    sample: Array.from(distinct).slice(0, 3)
+  };
+
+  if (present.length === 0) {
+    return { type: 'text', confidence: 0, ...base };
+  }
+
+  const total = present.length;
+  const booleans = present.filter(value => parseBoolean(value) !== null).length;
+  const numbers = present.map(parseNumber).filter(Boolean);
+  const integers = numbers.filter(number => number.integer).length;
+  const dateOrder = detectDateOrder(present);
+  const dates = present.map(value => parseDate(value, { order: dateOrder })).filter(Boolean);
+  const dateOnly = dates.filter(parsed => !parsed.hasTime).length;
+
+  if (booleans / total >= threshold) {
+    return { type: 'boolean', confidence: round(booleans / total), ...base };
+  }
+
+  const numberFormat = mostCommon(numbers.map(number => number.format));
+  const numeric = { ...(numberFormat ? { format: numberFormat } : {}) };
+  if (integers / total >= threshold) {
+    return { type: 'integer', confidence: round(integers / total), ...numeric, ...base };
+  }
+  if (numbers.length / total >= threshold) {
+    return { type: 'float', confidence: round(numbers.length / total), ...numeric, ...base };
+  }
+
+  if (dates.length / total >= threshold) {
+    const type = dateOnly / total >= threshold ? 'date' : 'datetime';
+    const temporal = { format: mostCommon(dates.map(parsed => parsed.format)) };
+    if (dates.some(parsed => /^(DD|MM)/.test(parsed.format))) temporal.dateOrder = dateOrder;
+    return { type, confidence: round((type === 'date' ? dateOnly : dates.length) / total), ...temporal, ...base };
+  }
+
+  // Text: confidence falls as more values look like some other type
+  const closest = Math.max(booleans, numbers.length, dates.length) / total;
+  const isCategory = distinct.size <= MAX_CATEGORIES && distinct.size / total <= 0.5;
+  return { type: isCategory ? 'category' : 'text', confidence: round(1 - closest), ...base };
+}
+
+/**
+ * Infer a schema for a dataset
+ * @param {Array<Object>} rows - Row objects
+ * @param {Object} [options]
+ * @param {Array<string>} [options.headers] - Column order; defaults to every key seen
+ * @param {number} [options.sampleSize=10000] - Rows to inspect for large datasets
+ * @param {number} [options.threshold=0.95] - See inferColumnType
+ * @returns {{ columns: Array<Object>, rowCount: number, sampledRows: number }}
+ */
+function inferSchema(rows, options = {}) {
+  const data = Array.isArray(rows) ? rows : [];
+  const sampleSize = options.sampleSize || 10000;
+  const sample = data.length > sampleSize ? data.slice(0, sampleSize) : data;
+  const headers = Array.isArray(options.headers) && options.headers.length > 0
+    ? options.headers
+    : Array.from(sample.reduce((set, row) => {
+      Object.keys(row || {}).forEach(key => set.add(key));
+      return set;
+    }, new Set()));
+
+  return {
+    columns: headers.map(name => ({
+      name,
+      ...inferColumnType(sample.map(row => (row ? row[name] : undefined)), options)
+    })),
+    rowCount: data.length,
+    sampledRows: sample.length
+  };
+}
+
+/**
+ * List the columns of a schema whose type is in a group or list of types
+ * @param {Object} schema - Output of inferSchema
+ * @param {string|Array<string>} types - Group name from TYPE_GROUPS or column types
+ * @returns {Array<string>} Column names
+ */
+function columnsOfType(schema, types) {
+  const wanted = Array.isArray(types) ? types : (TYPE_GROUPS[types] || [types]);
+  return ((schema && schema.columns) || []).filter(column => wanted.includes(column.type)).map(column => column.name);
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  MONTHS,
+  TYPE_GROUPS,
+  buildDate,
+  columnsOfType,
+  detectDateOrder,
+  inferColumnType,
+  inferSchema,
+  isMissing,
+  monthFromName,
+  parseBoolean,
+  parseDate,
+  parseNumber,
+  to24Hour,
+  toNumber
+};
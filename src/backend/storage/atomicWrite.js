@@ -0,0 +1,46 @@
+/**
+ * Atomic File Writes
+ *
+ * Writes go to a temporary file in the same directory which is then renamed
+ * over the target, so a crash or a concurrent reader never sees a
+ * half-written JSON file.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Replace a file's contents atomically
+ * @param {string} file - Target path
+ * @param {string} contents - New file contents
+ */
+function writeFileAtomic(file, contents) {
+  const dir = path.dirname(file);
+  fs.mkdirSync(dir, { recursive: true });
+  const temp = path.join(dir, `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    fs.writeFileSync(temp, contents);
+    fs.renameSync(temp, file);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Serialize a value as pretty JSON and write it atomically
+ * @param {string} file - Target path
+ * @param {*} value - JSON-serializable value
+ */
+function writeJsonAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic
+};
@@ -0,0 +1,55 @@
+/**
+ * Project Storage
+ *
+ * Picks the project store adapter. Both adapters expose the same
+ * synchronous interface:
+ *
+ *   list() / get(id) / create(metadata) / update(id, changes) / remove(id)
+ *   getDataset(id) / saveDataset(id, { headers, rows, schema? } | null)
+ *   getWorkspace(id, ownerId) / saveWorkspace(id, ownerId, { workspace, updatedAt })
+ *   close()
+ *
+ * Set STORAGE_DRIVER=sqlite to use SQLite; the JSON file store is the default.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { JsonProjectStore } = require('./jsonStore');
+
+const ROOT = path.join(__dirname, '../../..');
+
+/**
+ * Create a project store
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'json' or 'sqlite' (defaults to STORAGE_DRIVER, then 'json')
+ * @param {string} [options.projectsFile] - JSON metadata file (json driver)
+ * @param {string} [options.dataDir] - Dataset/workspace directory (json driver)
+ * @param {string} [options.databaseFile] - Database path (sqlite driver)
+ * @returns {JsonProjectStore|SqliteProjectStore}
+ */
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+
+  if (driver === 'json') {
+    return new JsonProjectStore({
+      projectsFile: options.projectsFile || process.env.PROJECTS_FILE || path.join(ROOT, 'projects.json'),
+      dataDir: options.dataDir || process.env.PROJECTS_DATA_DIR
+    });
+  }
+
+  if (driver === 'sqlite') {
+    // Required lazily so the optional native dependency is only loaded when used
+    const { SqliteProjectStore } = require('./sqliteStore');
+    return new SqliteProjectStore({
+      databaseFile: options.databaseFile || process.env.DATABASE_FILE || path.join(ROOT, 'apparentlyar.db')
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+  createStore
+};
@@ -0,0 +1,194 @@
+/**
+ * JSON File Project Store
+ *
+ * Keeps project metadata in one small JSON file and each project's dataset
+ * and saved workspaces in their own files, so listing projects never has to
+ * read uploaded data. Every write is atomic.
+ *
+ * Layout:
+ *   projects.json                   { version, nextId, projects: [metadata] }
+ *   projects-data/<id>.json         { headers, rows }
+ *   projects-data/<id>.workspaces.json  { [ownerId]: { workspace, updatedAt } }
+ *
+ * Older installs stored a bare array with `csvData`, `csvHeaders` and
+ * `workspaces` embedded in each project; that format is split up the first
+ * time the file is read.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./atomicWrite');
+
+const FORMAT_VERSION = 2;
+
+class JsonProjectStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.projectsFile - Metadata file
+   * @param {string} [options.dataDir] - Directory for datasets and workspaces;
+   *   defaults to `<projectsFile name>-data` next to the metadata file
+   */
+  constructor({ projectsFile, dataDir }) {
+    this.projectsFile = projectsFile;
+    this.dataDir = dataDir || path.join(
+      path.dirname(projectsFile),
+      `${path.basename(projectsFile, path.extname(projectsFile))}-data`
+    );
+  }
+
+  datasetFile(id) {
+    return path.join(this.dataDir, `${id}.json`);
+  }
+
+  workspacesFile(id) {
+    return path.join(this.dataDir, `${id}.workspaces.json`);
+  }
+
+  /**
+   * Read a JSON file that may not have been written yet. Any other failure
+   * is thrown, so a damaged file is never read as empty and saved back.
+   * @param {string} file - Path of the file
+   * @param {*} fallback - Value returned when the file does not exist
+   * @returns {*} Parsed contents, or the fallback
+   * @throws {Error} If the file exists but cannot be read or parsed
+   */
+  readJson(file, fallback) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the metadata index, migrating the legacy array format if needed.
+   * A file that cannot be parsed is never overwritten, so a damaged index
+   * can still be recovered by hand.
+   * @returns {{ version: number, nextId: number, projects: Array<Object> }}
+   * @throws {Error} If the file exists but is not a readable index
+   */
+  readIndex() {
+    let stored = [];
+    if (fs.existsSync(this.projectsFile)) {
+      try {
+        stored = JSON.parse(fs.readFileSync(this.projectsFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read project index ${this.projectsFile}: ${error.message}`);
+      }
+      if (stored && stored.version === FORMAT_VERSION && Array.isArray(stored.projects)) {
+        return stored;
+      }
+      if (!Array.isArray(stored)) {
+        throw new Error(`Unrecognised project index format in ${this.projectsFile}`);
+      }
+    }
+    const index = this.migrate(stored);
+    this.writeIndex(index);
+    return index;
+  }
+
+  writeIndex(index) {
+    writeJsonAtomic(this.projectsFile, index);
+  }
+
+  /**
+   * Split legacy projects into metadata, dataset and workspace files
+   * @param {Array<Object>} legacyProjects - Projects from the old array format
+   * @returns {Object} Index in the current format
+   */
+  migrate(legacyProjects) {
+    const projects = legacyProjects.map(legacy => {
+      const { csvData, csvHeaders, workspaces, ...metadata } = legacy;
+      if (Array.isArray(csvData)) {
+        this.saveDataset(metadata.id, { headers: csvHeaders || [], rows: csvData });
+      }
+      if (workspaces && Object.keys(workspaces).length > 0) {
+        writeJsonAtomic(this.workspacesFile(metadata.id), workspaces);
+      }
+      return { ...metadata, rowCount: Array.isArray(csvData) ? csvData.length : null };
+    });
+    const highestId = projects.reduce((max, project) => Math.max(max, Number(project.id) || 0), 0);
+    return { version: FORMAT_VERSION, nextId: highestId + 1, projects };
+  }
+
+  list() {
+    return this.readIndex().projects;
+  }
+
+  get(id) {
+    return this.readIndex().projects.find(project => project.id === id) || null;
+  }
+
+  create(metadata) {
+    const index = this.readIndex();
+    const project = { ...metadata, id: index.nextId };
+    index.nextId += 1;
+    index.projects.push(project);
+    this.writeIndex(index);
+    return project;
+  }
+
+  update(id, changes) {
+    const index = this.readIndex();
+    const position = index.projects.findIndex(project => project.id === id);
+    if (position === -1) {
+      return null;
+    }
+    index.projects[position] = { ...index.projects[position], ...changes, id };
+    this.writeIndex(index);
+    return index.projects[position];
+  }
+
+  remove(id) {
+    const index = this.readIndex();
+    const remaining = index.projects.filter(project => project.id !== id);
+    if (remaining.length === index.projects.length) {
+      return false;
+    }
+    index.projects = remaining;
+    this.writeIndex(index);
+    fs.rmSync(this.datasetFile(id), { force: true });
+    fs.rmSync(this.workspacesFile(id), { force: true });
+    return true;
+  }
+
+  getDataset(id) {
+    return this.readJson(this.datasetFile(id), null);
+  }
+
+  saveDataset(id, dataset) {
+    if (dataset) {
+      writeJsonAtomic(this.datasetFile(id), dataset);
+    } else {
+      fs.rmSync(this.datasetFile(id), { force: true });
+    }
+  }
+
+  getWorkspace(id, ownerId) {
+    return this.readJson(this.workspacesFile(id), {})[ownerId] || null;
+  }
+
+  saveWorkspace(id, ownerId, entry) {
+    const workspaces = this.readJson(this.workspacesFile(id), {});
+    workspaces[ownerId] = entry;
+    writeJsonAtomic(this.workspacesFile(id), workspaces);
+  }
+
+  close() {}
+}
+
+module.exports = {
+  JsonProjectStore
+};
@@ -0,0 +1,160 @@
+/**
+ * SQLite Project Store
+ *
+ * Same interface as JsonProjectStore, backed by a single SQLite database
+ * file via better-sqlite3 (an optional dependency). Datasets and workspaces
+ * live in their own tables so the project list query only touches metadata.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Metadata property -> column
+const COLUMNS = {
+  name: 'name',
+  description: 'description',
+  status: 'status',
+  csvFilename: 'csv_filename',
+  rowCount: 'row_count',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'Inactive',
+    csv_filename TEXT,
+    row_count INTEGER,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS datasets (
+    project_id INTEGER PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+    headers TEXT NOT NULL,
+    rows TEXT NOT NULL,
+    schema TEXT
+  );
+  CREATE TABLE IF NOT EXISTS workspaces (
+    project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    owner_id TEXT NOT NULL,
+    workspace TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (project_id, owner_id)
+  );
+`;
+
+/**
+ * Load better-sqlite3, explaining how to get it when it is missing
+ * @returns {Function} Database constructor
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage driver needs the better-sqlite3 package. Run `npm install better-sqlite3` or set STORAGE_DRIVER=json.');
+  }
+}
+
+function toProject(row) {
+  const project = { id: row.id };
+  Object.entries(COLUMNS).forEach(([property, column]) => {
+    project[property] = row[column];
+  });
+  return project;
+}
+
+class SqliteProjectStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.databaseFile - SQLite database path (':memory:' for tests)
+   */
+  constructor({ databaseFile }) {
+    const Database = loadDriver();
+    if (databaseFile !== ':memory:') {
+      fs.mkdirSync(path.dirname(databaseFile), { recursive: true });
+    }
+    this.db = new Database(databaseFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+  }
+
+  list() {
+    return this.db.prepare('SELECT * FROM projects ORDER BY id').all().map(toProject);
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM projects WHERE id = ?').get(id);
+    return row ? toProject(row) : null;
+  }
+
+  create(metadata) {
+    const properties = Object.keys(COLUMNS).filter(property => metadata[property] !== undefined);
+    const columns = properties.map(property => COLUMNS[property]);
+    const { lastInsertRowid } = this.db
+      .prepare(`INSERT INTO projects (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .run(...properties.map(property => metadata[property]));
+    return this.get(Number(lastInsertRowid));
+  }
+
+  update(id, changes) {
+    const properties = Object.keys(COLUMNS).filter(property => changes[property] !== undefined);
+    if (properties.length > 0) {
+      this.db
+        .prepare(`UPDATE projects SET ${properties.map(property => `${COLUMNS[property]} = ?`).join(', ')} WHERE id = ?`)
+        .run(...properties.map(property => changes[property]), id);
+    }
+    return this.get(id);
+  }
+
+  remove(id) {
+    return this.db.prepare('DELETE FROM projects WHERE id = ?').run(id).changes > 0;
+  }
+
+  getDataset(id) {
+    const row = this.db.prepare('SELECT headers, rows, schema FROM datasets WHERE project_id = ?').get(id);
+    if (!row) return null;
+    const dataset = { headers: JSON.parse(row.headers), rows: JSON.parse(row.rows) };
+    if (row.schema) dataset.schema = JSON.parse(row.schema);
+    return dataset;
+  }
+
+  saveDataset(id, dataset) {
+    if (!dataset) {
+      this.db.prepare('DELETE FROM datasets WHERE project_id = ?').run(id);
+      return;
+    }
+    this.db
+      .prepare(`INSERT INTO datasets (project_id, headers, rows, schema) VALUES (?, ?, ?, ?)
+        ON CONFLICT(project_id) DO UPDATE SET headers = excluded.headers, rows = excluded.rows, schema = excluded.schema`)
+      .run(id, JSON.stringify(dataset.headers), JSON.stringify(dataset.rows), dataset.schema ? JSON.stringify(dataset.schema) : null);
+  }
+
+  getWorkspace(id, ownerId) {
+    const row = this.db
+      .prepare('SELECT workspace, updated_at FROM workspaces WHERE project_id = ? AND owner_id = ?')
+      .get(id, ownerId);
+    return row ? { workspace: JSON.parse(row.workspace), updatedAt: row.updated_at } : null;
+  }
+
+  saveWorkspace(id, ownerId, entry) {
+    this.db
+      .prepare(`INSERT INTO workspaces (project_id, owner_id, workspace, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(project_id, owner_id) DO UPDATE SET workspace = excluded.workspace, updated_at = excluded.updated_at`)
+      .run(id, ownerId, JSON.stringify(entry.workspace), entry.updatedAt);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqliteProjectStore
+};
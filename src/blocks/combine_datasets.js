@@ -0,0 +1,142 @@
+// === Combine Datasets Block Definitions ===
+// Blocks that bring a second dataset into a chain: a saved dataset from
+// uploads/, a join on key columns and an append (optionally without
+// duplicates). The pipeline interpreter (pipeline.js) runs them; the
+// generators below only describe them in the code panel. Unmatched join
+// keys come back as a warning on the join block.
+(function(){
+  if (typeof Blockly === 'undefined') return;
+
+  // Define the blocks
+  Blockly.defineBlocksWithJsonArray([
+    {
+      "type": "load_dataset",
+      "message0": "saved dataset %1",
+      "args0": [
+        {
+          "type": "field_dropdown",
+          "name": "FILE",
+          "options": [["dataset", "dataset"]],
+          "SERIALIZABLE": true
+        }
+      ],
+      "output": "Dataset",
+      "colour": 230,
+      "tooltip": "Use a dataset that has already been saved, for example to join it with the imported CSV.",
+      "helpUrl": ""
+    },
+    {
+      "type": "join_datasets",
+      "message0": "join %1 with %2",
+      "args0": [
+        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "input_value", "name": "OTHER", "check": "Dataset" }
+      ],
+      "message1": "keep %1 matching on %2",
+      "args1": [
+        {
+          "type": "field_dropdown",
+          "name": "HOW",
+          "options": [
+            ["only rows in both", "inner"],
+            ["all rows of the first", "left"],
+            ["all rows of the second", "right"],
+            ["all rows of both", "full"]
+          ]
+        },
+        { "type": "field_input", "name": "KEYS", "text": "key", "SERIALIZABLE": true }
+      ],
+      "output": "Dataset",
+      "colour": 20,
+      "tooltip": "Put together rows that share a key value, such as a suburb name. List several key columns with commas. If the key has a different name in the second dataset, write first=second, e.g. suburb=Suburb Name.",
+      "helpUrl": ""
+    },
+    {
+      "type": "append_datasets",
+      "message0": "add rows of %2 to %1 %3",
+      "args0": [
+        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "input_value", "name": "OTHER", "check": "Dataset" },
+        {
+          "type": "field_dropdown",
+          "name": "MODE",
+          "options": [
+            ["keeping duplicates", "append"],
+            ["removing duplicates", "union"]
+          ]
+        }
+      ],
+      "output": "Dataset",
+      "colour": 20,
+      "tooltip": "Stack the rows of two datasets with the same columns, such as two years of the same survey.",
+      "helpUrl": ""
+    }
+  ]);
+
+  // Register generators
+  if (Blockly.JavaScript) {
+    const clean = (value) => String(value || '').replace(/[\r\n]/g, ' ');
+    const generators = {
+      load_dataset: function(block) {
+        return [`/* saved dataset: ${clean(block.getFieldValue('FILE')).replace(/\*\//g, '')} */ []`, Blockly.JavaScript.ORDER_ATOMIC];
+      },
+      join_datasets: function(block) {
+        return [`/* ${clean(block.getFieldValue('HOW'))} join on ${clean(block.getFieldValue('KEYS')).replace(/\*\//g, '')} */ []`, Blockly.JavaScript.ORDER_ATOMIC];
+      },
+      append_datasets: function(block) {
+        return [`/* ${clean(block.getFieldValue('MODE'))} datasets */ []`, Blockly.JavaScript.ORDER_ATOMIC];
+      }
+    };
+
+    Object.keys(generators).forEach(type => {
+      const generator = generators[type];
+      try {
+        Object.defineProperty(Blockly.JavaScript, type, { value: generator, configurable: true });
+      } catch (_) {
+        Blockly.JavaScript[type] = generator;
+      }
+
+      if (Blockly.JavaScript.forBlock) {
+        try {
+          Object.defineProperty(Blockly.JavaScript.forBlock, type, { value: generator, configurable: true });
+        } catch (_) {
+          Blockly.JavaScript.forBlock[type] = generator;
+        }
+      }
+
+      if (typeof window !== 'undefined' && window.Blockly && window.Blockly.JavaScript) {
+        try {
+          Object.defineProperty(window.Blockly.JavaScript, type, { value: generator, configurable: true });
+        } catch (_) {
+          window.Blockly.JavaScript[type] = generator;
+        }
+      }
+    });
+  }
+
+  // Fill saved dataset dropdowns with the files in uploads/
+  async function refreshDatasetDropdowns() {
+    if (typeof window === 'undefined' || !window.AppApi || !window.AppApi.listCsvFiles) return;
+    const ws = Blockly.getMainWorkspace && Blockly.getMainWorkspace();
+    if (!ws) return;
+    let files = [];
+    try {
+      const res = await window.AppApi.listCsvFiles();
+      files = (res && Array.isArray(res.files)) ? res.files : [];
+    } catch (_) {
+      return;
+    }
+    if (!files.length) return;
+    ws.getAllBlocks().forEach(block => {
+      if (block.type !== 'load_dataset') return;
+      const field = block.getField('FILE');
+      if (field && field.setOptions) {
+        field.setOptions(files.map(file => [file, file]));
+      }
+    });
+  }
+
+  if (typeof window !== 'undefined') {
+    window.BlocklyDatasetAutofill = { refreshDatasetDropdowns };
+  }
+})();
@@ -0,0 +1,141 @@
+// === Condition Block Definitions ===
+// Logic-style blocks for filters with more than one condition: a comparison
+// on one column, "and"/"or" joining two conditions, "not" and the
+// filter_where block that keeps the rows matching a condition. Conditions
+// nest like the built-in logic blocks. The pipeline interpreter
+// (pipeline.js) turns them into a filter condition tree; the generators
+// below only describe them in the code panel.
+(function(){
+  if (typeof Blockly === 'undefined') return;
+
+  // Comparisons offered on the condition block; the last ones need no value
+  const OPERATORS = [
+    ["=", "equals"],
+    ["≠", "not_equals"],
+    [">", "greater_than"],
+    ["<", "less_than"],
+    ["≥", "greater_than_or_equal"],
+    ["≤", "less_than_or_equal"],
+    ["contains", "contains"],
+    ["starts with", "starts_with"],
+    ["ends with", "ends_with"],
+    ["is one of", "in"],
+    ["is not one of", "not_in"],
+    ["matches pattern", "regex"],
+    ["is before (date)", "before"],
+    ["is after (date)", "after"],
+    ["is on (date)", "on"],
+    ["is empty", "is_empty"],
+    ["is not empty", "is_not_empty"]
+  ];
+
+  // Define the blocks
+  Blockly.defineBlocksWithJsonArray([
+    {
+      "type": "filter_where",
+      "message0": "keep rows of %1 where %2",
+      "args0": [
+        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "input_value", "name": "CONDITION", "check": "Condition" }
+      ],
+      "output": "Dataset",
+      "colour": 120,
+      "tooltip": "Keep only the rows that match a condition. Build the condition from the blocks in the Conditions category.",
+      "helpUrl": ""
+    },
+    {
+      "type": "condition_compare",
+      "message0": "%1 %2 %3",
+      "args0": [
+        { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+        { "type": "field_dropdown", "name": "OPERATOR", "options": OPERATORS, "SERIALIZABLE": true },
+        { "type": "field_input", "name": "VALUE", "text": "value", "SERIALIZABLE": true }
+      ],
+      "message1": "ignore case %1",
+      "args1": [
+        { "type": "field_checkbox", "name": "IGNORE_CASE", "checked": false }
+      ],
+      "output": "Condition",
+      "colour": 210,
+      "tooltip": "Compare a column with a value. For \"is one of\" list the values with commas, e.g. Unley, Glenelg. \"Matches pattern\" takes a regular expression. \"Is empty\" ignores the value.",
+      "helpUrl": ""
+    },
+    {
+      "type": "condition_logic",
+      "message0": "%1 %2 %3",
+      "args0": [
+        { "type": "input_value", "name": "A", "check": "Condition" },
+        { "type": "field_dropdown", "name": "OP", "options": [["and", "and"], ["or", "or"]] },
+        { "type": "input_value", "name": "B", "check": "Condition" }
+      ],
+      "inputsInline": true,
+      "output": "Condition",
+      "colour": 210,
+      "tooltip": "\"and\" keeps rows that match both conditions; \"or\" keeps rows that match either one.",
+      "helpUrl": ""
+    },
+    {
+      "type": "condition_not",
+      "message0": "not %1",
+      "args0": [
+        { "type": "input_value", "name": "CONDITION", "check": "Condition" }
+      ],
+      "output": "Condition",
+      "colour": 210,
+      "tooltip": "Keep rows that do not match the condition.",
+      "helpUrl": ""
+    }
+  ]);
+
+  // Register generators
+  if (Blockly.JavaScript) {
+    const clean = (value) => String(value === null || value === undefined ? '' : value).replace(/[\r\n]/g, ' ').replace(/\*\//g, '');
+    const describe = (block, name) => {
+      const code = Blockly.JavaScript.valueToCode(block, name, Blockly.JavaScript.ORDER_NONE);
+      return code || '?';
+    };
+    const generators = {
+      condition_compare: function(block) {
+        const operator = block.getFieldValue('OPERATOR');
+        const label = (OPERATORS.find(option => option[1] === operator) || [operator])[0];
+        const value = ['is_empty', 'is_not_empty'].includes(operator) ? '' : ` "${clean(block.getFieldValue('VALUE'))}"`;
+        const ignoreCase = block.getFieldValue('IGNORE_CASE') === 'TRUE' ? ' (ignoring case)' : '';
+        return [`${clean(block.getFieldValue('COLUMN'))} ${label}${value}${ignoreCase}`, Blockly.JavaScript.ORDER_ATOMIC];
+      },
+      condition_logic: function(block) {
+        return [`(${describe(block, 'A')} ${clean(block.getFieldValue('OP'))} ${describe(block, 'B')})`, Blockly.JavaScript.ORDER_ATOMIC];
+      },
+      condition_not: function(block) {
+        return [`not ${describe(block, 'CONDITION')}`, Blockly.JavaScript.ORDER_ATOMIC];
+      },
+      filter_where: function(block) {
+        return [`/* keep rows where ${describe(block, 'CONDITION')} */ []`, Blockly.JavaScript.ORDER_ATOMIC];
+      }
+    };
+
+    Object.keys(generators).forEach(type => {
+      const generator = generators[type];
+      try {
+        Object.defineProperty(Blockly.JavaScript, type, { value: generator, configurable: true });
+      } catch (_) {
+        Blockly.JavaScript[type] = generator;
+      }
+
+      if (Blockly.JavaScript.forBlock) {
+        try {
+          Object.defineProperty(Blockly.JavaScript.forBlock, type, { value: generator, configurable: true });
+        } catch (_) {
+          Blockly.JavaScript.forBlock[type] = generator;
+        }
+      }
+
+      if (typeof window !== 'undefined' && window.Blockly && window.Blockly.JavaScript) {
+        try {
+          Object.defineProperty(window.Blockly.JavaScript, type, { value: generator, configurable: true });
+        } catch (_) {
+          window.Blockly.JavaScript[type] = generator;
+        }
+      }
+    });
+  }
+})();
@@ -1,7 +1,9 @@
 /**
  * CSV Import Blockly block and generator
  *
- * - Provides a custom field button to upload a CSV and parse it via PapaParse.
+ * - Provides a custom field button to upload a dataset. CSV files are parsed
+ *   in the browser via PapaParse; TSV, Excel and JSON files go through
+ *   /api/import-data, asking which sheet to use when a workbook has several.
  * - Stores parsed rows on Blockly.CsvImportData.data for later blocks.
  * - Registers the generator using both legacy (obj['csv_import']) and
  *   the newer forBlock API for maximum compatibility.
@@ -26,11 +28,74 @@ Blockly.defineBlocksWithJsonArray([
     ],
     "output": "Dataset",
     "colour": 230,
-    "tooltip": "Import a CSV file as a dataset.",
+    "tooltip": "Import a CSV, TSV, Excel (.xlsx) or JSON file as a dataset.",
     "helpUrl": ""
   }
 ]);
 
+const IMPORT_ACCEPT = [
+  '.csv', '.tsv', '.txt', '.xlsx', '.json', '.ndjson', '.jsonl',
+  'text/csv', 'text/tab-separated-values', 'application/json',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+].join(',');
+
+// Ask which worksheet to import; resolves to null when cancelled
+function askForSheet(sheets, current) {
+  const message = `This workbook has ${sheets.length} sheets: ${sheets.join(', ')}.\nWhich sheet should be imported?`;
+  return new Promise((resolve) => {
+    if (Blockly.dialog && typeof Blockly.dialog.prompt === 'function') {
+      Blockly.dialog.prompt(message, current, resolve);
+    } else if (typeof window !== 'undefined' && typeof window.prompt === 'function') {
+      resolve(window.prompt(message, current));
+    } else {
+      resolve(null);
+    }
+  });
+}
+
+// Refresh column dropdowns in every block family after the data or its schema changes
+function refreshColumnDropdowns() {
+  // Trigger autofill for all existing blocks when CSV data is loaded
+  if (window.BlocklyAutofill && window.BlocklyAutofill.updateAllBlocksWithAutofill) {
+    console.log('[CSV Import] Triggering data blocks autofill');
+    setTimeout(() => {
+      window.BlocklyAutofill.updateAllBlocksWithAutofill();
+    }, 100); // Small delay to ensure blocks are rendered
+  } else {
+    console.warn('[CSV Import] BlocklyAutofill not available');
+  }
+
+  // Also trigger autofill for statistics blocks
+  if (window.BlocklyStatisticsAutofill && window.BlocklyStatisticsAutofill.updateAllStatisticsBlocksWithAutofill) {
+    console.log('[CSV Import] Triggering statistics blocks autofill');
+    setTimeout(() => {
+      window.BlocklyStatisticsAutofill.updateAllStatisticsBlocksWithAutofill();
+    }, 150); // Slightly longer delay for statistics blocks
+  } else {
+    console.warn('[CSV Import] BlocklyStatisticsAutofill not available');
+  }
+
+  // Also trigger autofill for visualization blocks
+  if (window.BlocklyVisualizationAutofill && window.BlocklyVisualizationAutofill.updateAllVisualizationBlocksWithAutofill) {
+    console.log('[CSV Import] Triggering visualization blocks autofill');
+    setTimeout(() => {
+      window.BlocklyVisualizationAutofill.updateAllVisualizationBlocksWithAutofill();
+    }, 200); // Slightly longer delay for visualization blocks
+  } else {
+    console.warn('[CSV Import] BlocklyVisualizationAutofill not available');
+  }
+
+  // Also trigger autofill for transformation blocks
+  if (window.BlocklyTransformAutofill && window.BlocklyTransformAutofill.updateAllTransformationBlocksWithAutofill) {
+    console.log('[CSV Import] Triggering transformation blocks autofill');
+    setTimeout(() => {
+      window.BlocklyTransformAutofill.updateAllTransformationBlocksWithAutofill();
+    }, 220); // Ensure runs after other systems
+  } else {
+    console.warn('[CSV Import] BlocklyTransformAutofill not available');
+  }
+}
+
 // Custom Blockly field for file upload
 class FieldFileButton extends Blockly.Field {
   constructor(value, validator) {
@@ -38,6 +103,7 @@ class FieldFileButton extends Blockly.Field {
     this.button_ = null;
     this.fileInput_ = null;
     this.filename_ = 'No file chosen';
+    this.sheet_ = null;
     this._dialogOpen = false;
     this.SERIALIZABLE = true;
   }
@@ -54,111 +120,30 @@ class FieldFileButton extends Blockly.Field {
     // Always create a fresh input per open to avoid stale listeners
     this.fileInput_ = document.createElement('input');
     this.fileInput_.type = 'file';
-    this.fileInput_.accept = '.csv,text/csv';
+    this.fileInput_.accept = IMPORT_ACCEPT;
     this.fileInput_.style.display = 'none';
     this.fileInput_.addEventListener('change', (e) => {
       const file = e.target.files[0];
       if (file) {
         this.filename_ = file.name;
+        this.sheet_ = null;
         if (this.sourceBlock_ && this.sourceBlock_.getField('CSV_FILENAME')) {
           this.sourceBlock_.getField('CSV_FILENAME').setValue(file.name);
         }
         this.render_();
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          Papa.parse(event.target.result, {
-            header: true,
-            skipEmptyLines: true,
-            complete: (results) => {
-              // Store both original and current data to prevent filter chaining issues
-              Blockly.CsvImportData.data = results.data;
-              Blockly.CsvImportData.originalData = [...results.data]; // Keep original data immutable
-              Blockly.CsvImportData.filename = file.name;
-              this._dialogOpen = false;
-              
-              console.log('[CSV Import] Data loaded, triggering autofill for all systems...');
-
-              // Persist the uploaded CSV to server immediately so it appears in /uploads for all users
-              (async () => {
-                try {
-                  if (typeof window !== 'undefined') {
-                    const saver = window.BlocklyPersistCsv || (window.AppApi && window.AppApi.saveCsv);
-                    if (saver) {
-                      let res;
-                      if (window.BlocklyPersistCsv) {
-                        res = await window.BlocklyPersistCsv(results.data);
-                      } else {
-                        res = await window.AppApi.saveCsv(results.data, file.name, true);
-                      }
-                      if (res && res.success && res.path && window.Blockly && window.Blockly.CsvImportData) {
-                        window.Blockly.CsvImportData.savedPath = res.path;
-                        console.log('[CSV Import] CSV persisted to', res.path);
-                      }
-                    }
-                  }
-                } catch (persistErr) {
-                  console.warn('[CSV Import] Persist to server failed (non-fatal):', persistErr);
-                }
-              })();
-
-              // Notify the application that CSV data has changed so UI elements can update
-              if (typeof window !== 'undefined') {
-                try {
-                  window.dispatchEvent(new CustomEvent('csvDataChanged', {
-                    detail: {
-                      filename: file.name,
-                      rows: Array.isArray(results.data) ? results.data.length : 0,
-                      columns: Array.isArray(results.data) && results.data[0] ? Object.keys(results.data[0]).length : 0
-                    }
-                  }));
-                } catch (eventError) {
-                  console.warn('[CSV Import] Failed to dispatch csvDataChanged event:', eventError);
-                }
-              }
-              
-              // Trigger autofill for all existing blocks when CSV data is loaded
-              if (window.BlocklyAutofill && window.BlocklyAutofill.updateAllBlocksWithAutofill) {
-                console.log('[CSV Import] Triggering data blocks autofill');
-                setTimeout(() => {
-                  window.BlocklyAutofill.updateAllBlocksWithAutofill();
-                }, 100); // Small delay to ensure blocks are rendered
-              } else {
-                console.warn('[CSV Import] BlocklyAutofill not available');
-              }
-              
-              // Also trigger autofill for statistics blocks
-              if (window.BlocklyStatisticsAutofill && window.BlocklyStatisticsAutofill.updateAllStatisticsBlocksWithAutofill) {
-                console.log('[CSV Import] Triggering statistics blocks autofill');
-                setTimeout(() => {
-                  window.BlocklyStatisticsAutofill.updateAllStatisticsBlocksWithAutofill();
-                }, 150); // Slightly longer delay for statistics blocks
-              } else {
-                console.warn('[CSV Import] BlocklyStatisticsAutofill not available');
-              }
-              
-              // Also trigger autofill for visualization blocks
-              if (window.BlocklyVisualizationAutofill && window.BlocklyVisualizationAutofill.updateAllVisualizationBlocksWithAutofill) {
-                console.log('[CSV Import] Triggering visualization blocks autofill');
-                setTimeout(() => {
-                  window.BlocklyVisualizationAutofill.updateAllVisualizationBlocksWithAutofill();
-                }, 200); // Slightly longer delay for visualization blocks
-              } else {
-                console.warn('[CSV Import] BlocklyVisualizationAutofill not available');
-              }
-
-              // Also trigger autofill for transformation blocks
-              if (window.BlocklyTransformAutofill && window.BlocklyTransformAutofill.updateAllTransformationBlocksWithAutofill) {
-                console.log('[CSV Import] Triggering transformation blocks autofill');
-                setTimeout(() => {
-                  window.BlocklyTransformAutofill.updateAllTransformationBlocksWithAutofill();
-                }, 220); // Ensure runs after other systems
-              } else {
-                console.warn('[CSV Import] BlocklyTransformAutofill not available');
-              }
-            }
-          });
-        };
-        reader.readAsText(file);
+        if (/\.csv$/i.test(file.name) || !window.AppApi || !window.AppApi.importData) {
+          const reader = new FileReader();
+          reader.onload = (event) => {
+            Papa.parse(event.target.result, {
+              header: true,
+              skipEmptyLines: true,
+              complete: (results) => this.loadRows_(file, results.data)
+            });
+          };
+          reader.readAsText(file);
+        } else {
+          this.importWithServer_(file);
+        }
       } else {
         this._dialogOpen = false;
       }
@@ -169,6 +154,93 @@ class FieldFileButton extends Blockly.Field {
     setTimeout(() => { this._dialogOpen = false; }, 800);
   }
 
+  // TSV, Excel and JSON files are parsed by the server (/api/import-data)
+  async importWithServer_(file, sheet) {
+    try {
+      const result = await window.AppApi.importData(file, sheet ? { sheet } : {});
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || 'Import failed');
+      }
+      const sheets = (result.meta && result.meta.sheets) || [];
+      if (!sheet && sheets.length > 1) {
+        const chosen = await askForSheet(sheets, result.meta.sheet);
+        if (chosen && chosen !== result.meta.sheet) {
+          return this.importWithServer_(file, chosen);
+        }
+      }
+      this.sheet_ = result.meta && result.meta.sheet ? result.meta.sheet : null;
+      if (this.sheet_ && sheets.length > 1 && this.sourceBlock_ && this.sourceBlock_.getField('CSV_FILENAME')) {
+        this.sourceBlock_.getField('CSV_FILENAME').setValue(`${file.name} (${this.sheet_})`);
+      }
+      if (result.errors && result.errors.length) {
+        console.warn(`[CSV Import] ${result.meta.errorCount} problem(s) while importing ${file.name}:`, result.errors);
+      }
+      this.loadRows_(file, result.data, result.schema);
+    } catch (importErr) {
+      this._dialogOpen = false;
+      console.error('[CSV Import] Import failed:', importErr);
+      if (typeof window !== 'undefined' && typeof window.alert === 'function') {
+        window.alert(`Could not import ${file.name}: ${importErr.message}`);
+      }
+    }
+  }
+
+  loadRows_(file, rows, schema) {
+    // Store both original and current data to prevent filter chaining issues
+    Blockly.CsvImportData.data = rows;
+    Blockly.CsvImportData.originalData = [...rows]; // Keep original data immutable
+    Blockly.CsvImportData.filename = file.name;
+    // Column types arrive with the server's response; until then dropdowns list every column
+    Blockly.CsvImportData.schema = schema || null;
+    this._dialogOpen = false;
+
+    console.log('[CSV Import] Data loaded, triggering autofill for all systems...');
+
+    // Persist the uploaded CSV to the server immediately so it appears in the user's saved datasets
+    (async () => {
+      try {
+        if (typeof window !== 'undefined') {
+          const saver = window.BlocklyPersistCsv || (window.AppApi && window.AppApi.saveCsv);
+          if (saver) {
+            let res;
+            if (window.BlocklyPersistCsv) {
+              res = await window.BlocklyPersistCsv(rows);
+            } else {
+              res = await window.AppApi.saveCsv(rows, file.name.replace(/\.[^.]+$/, '') + '.csv', true);
+            }
+            if (res && res.success && res.path && window.Blockly && window.Blockly.CsvImportData) {
+              window.Blockly.CsvImportData.savedPath = res.path;
+              console.log('[CSV Import] CSV persisted to', res.path);
+            }
+            if (res && res.schema && !schema && window.Blockly && window.Blockly.CsvImportData) {
+              window.Blockly.CsvImportData.schema = res.schema;
+              refreshColumnDropdowns();
+            }
+          }
+        }
+      } catch (persistErr) {
+        console.warn('[CSV Import] Persist to server failed (non-fatal):', persistErr);
+      }
+    })();
+
+    // Notify the application that CSV data has changed so UI elements can update
+    if (typeof window !== 'undefined') {
+      try {
+        window.dispatchEvent(new CustomEvent('csvDataChanged', {
+          detail: {
+            filename: file.name,
+            rows: Array.isArray(rows) ? rows.length : 0,
+            columns: Array.isArray(rows) && rows[0] ? Object.keys(rows[0]).length : 0
+          }
+        }));
+      } catch (eventError) {
+        console.warn('[CSV Import] Failed to dispatch csvDataChanged event:', eventError);
+      }
+    }
+
+    refreshColumnDropdowns();
+  }
+
   // Render only the plus button
   render_() {
     super.render_();
@@ -217,12 +289,14 @@ class FieldFileButton extends Blockly.Field {
   // Serialization methods
   saveState() {
     return {
-      filename: this.filename_
+      filename: this.filename_,
+      sheet: this.sheet_ || null
     };
   }
 
   loadState(state) {
     this.filename_ = state.filename || 'No file chosen';
+    this.sheet_ = state.sheet || null;
     this.render_();
   }
 }
@@ -232,7 +306,8 @@ Blockly.fieldRegistry.register('field_file_button', FieldFileButton);
 Blockly.CsvImportData = {
   data: null,
   originalData: null,
-  filename: null
+  filename: null,
+  schema: null
 };
 
 // Register a no-op extension for compatibility with tests and future hooks
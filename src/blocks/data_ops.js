@@ -18,7 +18,8 @@
  * Data processing blocks and generators (frontend integration)
  *
  * - Defines individual Blockly blocks: filter_data, sort_data, select_columns,
- *   group_by, calculate_column, drop_empty.
+ *   group_by, calculate_column, drop_empty, and the reshape blocks pivot_data
+ *   and melt_data.
  * - Registers JavaScript generators and ensures compatibility with Blockly's
  *   newer generator API via forBlock mappings.
  * - Includes a small data normalizer so blocks accept either raw arrays,
@@ -28,19 +29,44 @@
  */
 // === Data Processing Block (Backend) ===
 (function(){
-  // Helper function to get available columns from CSV data
-  function getAvailableColumns() {
+  // Column types (from the server's schema inference) each kind of field accepts
+  const COLUMN_KINDS = {
+    numeric: ['integer', 'float'],
+    temporal: ['date', 'datetime'],
+    ordered: ['integer', 'float', 'date', 'datetime'],
+    groupable: ['integer', 'boolean', 'date', 'datetime', 'category', 'text']
+  };
+
+  // Schema of the current dataset ({ columns: [{ name, type, confidence }] }), if known
+  function getColumnSchema() {
+    const store = window.Blockly && window.Blockly.CsvImportData;
+    return store && store.schema && Array.isArray(store.schema.columns) ? store.schema : null;
+  }
+
+  // Helper function to get available columns from CSV data, optionally only
+  // those of a kind from COLUMN_KINDS
+  function getAvailableColumns(kind) {
     const csvData = window.Blockly && window.Blockly.CsvImportData && window.Blockly.CsvImportData.data;
-    if (csvData && Array.isArray(csvData) && csvData.length > 0) {
-      return Object.keys(csvData[0]);
+    if (!(csvData && Array.isArray(csvData) && csvData.length > 0)) {
+      return [];
+    }
+    const columns = Object.keys(csvData[0]);
+    const types = COLUMN_KINDS[kind];
+    const schema = getColumnSchema();
+    if (!types || !schema) {
+      return columns;
     }
-    return [];
+    const typeOf = new Map(schema.columns.map(column => [column.name, column.type]));
+    // Columns the schema does not know yet (e.g. just calculated) stay available
+    const matching = columns.filter(col => !typeOf.has(col) || types.includes(typeOf.get(col)));
+    // Never leave a dropdown empty: offer every column when none match
+    return matching.length > 0 ? matching : columns;
   }
 
   // Helper function to update field options with available columns
-  function updateFieldWithColumns(field, isMultiSelect = false) {
+  function updateFieldWithColumns(field, isMultiSelect = false, kind = null) {
     if (field && field.setOptions) {
-      const columns = getAvailableColumns();
+      const columns = getAvailableColumns(kind);
       if (columns.length > 0) {
         const options = isMultiSelect 
           ? [['All columns', 'all'], ...columns.map(col => [col, col])]
@@ -73,7 +99,193 @@
     }
   } catch (_) { /* noop */ }
   
+  // Summaries the group_by block offers (the backend also accepts 'mean' for 'average')
+  const GROUP_BY_AGGREGATIONS = [
+    ["sum", "sum"],
+    ["average", "average"],
+    ["median", "median"],
+    ["count", "count"],
+    ["count distinct", "count_distinct"],
+    ["min", "min"],
+    ["max", "max"],
+    ["standard deviation", "std"],
+    ["first", "first"],
+    ["last", "last"]
+  ];
+
+  // The first group column and summary keep their original field names so
+  // saved workspaces still load; rows added with the gear are numbered from 1
+  const GROUP_BY_FIELDS = {
+    group: (i) => (i === 0 ? 'GROUP_COLUMN' : `GROUP_COLUMN${i}`),
+    operation: (i) => (i === 0 ? 'AGGREGATION' : `AGGREGATION${i}`),
+    column: (i) => (i === 0 ? 'AGG_COLUMN' : `AGG_COLUMN${i}`),
+    alias: (i) => (i === 0 ? 'ALIAS' : `ALIAS${i}`)
+  };
+
+  function columnOptions(kind, placeholder) {
+    const columns = getAvailableColumns(kind);
+    return columns.length > 0 ? columns.map(col => [col, col]) : [[placeholder, placeholder]];
+  }
+
+  // Mutator letting students add group columns and summary rows to group_by
+  const GROUP_BY_MUTATOR = {
+    saveExtraState: function() {
+      return { groups: this.groupCount_, aggregations: this.aggregationCount_ };
+    },
+
+    loadExtraState: function(state) {
+      this.updateShape_(Math.max(1, Number(state && state.groups) || 1), Math.max(1, Number(state && state.aggregations) || 1));
+    },
+
+    decompose: function(workspace) {
+      const container = workspace.newBlock('group_by_container');
+      container.initSvg();
+      let connection = container.getInput('STACK').connection;
+      const addItem = (type, values) => {
+        const item = workspace.newBlock(type);
+        item.initSvg();
+        // Carry the row's values so they follow the item when rows are reordered
+        item.valueState_ = values;
+        connection.connect(item.previousConnection);
+        connection = item.nextConnection;
+      };
+      for (let i = 0; i < this.groupCount_; i++) {
+        addItem('group_by_column_item', { group: this.getFieldValue(GROUP_BY_FIELDS.group(i)) });
+      }
+      for (let i = 0; i < this.aggregationCount_; i++) {
+        addItem('group_by_aggregation_item', {
+          operation: this.getFieldValue(GROUP_BY_FIELDS.operation(i)),
+          column: this.getFieldValue(GROUP_BY_FIELDS.column(i)),
+          alias: this.getFieldValue(GROUP_BY_FIELDS.alias(i))
+        });
+      }
+      return container;
+    },
+
+    compose: function(container) {
+      const groups = [];
+      const aggregations = [];
+      for (let item = container.getInputTargetBlock('STACK'); item; item = item.getNextBlock()) {
+        if (item.isInsertionMarker && item.isInsertionMarker()) continue;
+        if (item.type === 'group_by_column_item') groups.push(item.valueState_ || {});
+        if (item.type === 'group_by_aggregation_item') aggregations.push(item.valueState_ || {});
+      }
+      // A group_by always keeps at least one group column and one summary
+      if (groups.length === 0) groups.push({});
+      if (aggregations.length === 0) aggregations.push({});
+
+      this.updateShape_(groups.length, aggregations.length);
+      groups.forEach((values, i) => this.setRowValue_(GROUP_BY_FIELDS.group(i), values.group));
+      aggregations.forEach((values, i) => {
+        this.setRowValue_(GROUP_BY_FIELDS.operation(i), values.operation);
+        this.setRowValue_(GROUP_BY_FIELDS.column(i), values.column);
+        this.setRowValue_(GROUP_BY_FIELDS.alias(i), values.alias);
+      });
+    },
+
+    updateShape_: function(groupCount, aggregationCount) {
+      for (let i = 1; this.getInput(`GROUP${i}`); i++) this.removeInput(`GROUP${i}`);
+      for (let i = 1; this.getInput(`AGG${i}`); i++) this.removeInput(`AGG${i}`);
+
+      for (let i = 1; i < groupCount; i++) {
+        this.appendDummyInput(`GROUP${i}`)
+          .appendField('and by')
+          .appendField(new Blockly.FieldDropdown(columnOptions('groupable', 'group_column')), GROUP_BY_FIELDS.group(i));
+        this.moveInputBefore(`GROUP${i}`, 'AGG0');
+      }
+      for (let i = 1; i < aggregationCount; i++) {
+        this.appendDummyInput(`AGG${i}`)
+          .appendField('and')
+          .appendField(new Blockly.FieldDropdown(GROUP_BY_AGGREGATIONS), GROUP_BY_FIELDS.operation(i))
+          .appendField('of')
+          .appendField(new Blockly.FieldDropdown(columnOptions(null, 'value_column')), GROUP_BY_FIELDS.column(i))
+          .appendField('as')
+          .appendField(new Blockly.FieldTextInput(''), GROUP_BY_FIELDS.alias(i));
+      }
+      this.groupCount_ = groupCount;
+      this.aggregationCount_ = aggregationCount;
+    },
+
+    setRowValue_: function(name, value) {
+      const field = this.getField(name);
+      if (field && value !== undefined && value !== null) field.setValue(value);
+    }
+  };
+
+  // The first y column keeps its original field name; more are numbered from 1
+  const VIZ_FIELDS_Y = (i) => (i === 0 ? 'Y' : `Y${i}`);
+
+  // Mutator letting students plot several y columns with viz_fields
+  const VIZ_FIELDS_MUTATOR = {
+    saveExtraState: function() {
+      return { yColumns: this.yCount_ };
+    },
+
+    loadExtraState: function(state) {
+      this.updateShape_(Math.max(1, Number(state && state.yColumns) || 1));
+    },
+
+    decompose: function(workspace) {
+      const container = workspace.newBlock('viz_fields_container');
+      container.initSvg();
+      let connection = container.getInput('STACK').connection;
+      for (let i = 0; i < this.yCount_; i++) {
+        const item = workspace.newBlock('viz_fields_y_item');
+        item.initSvg();
+        item.valueState_ = { column: this.getFieldValue(VIZ_FIELDS_Y(i)) };
+        connection.connect(item.previousConnection);
+        connection = item.nextConnection;
+      }
+      return container;
+    },
+
+    compose: function(container) {
+      const rows = [];
+      for (let item = container.getInputTargetBlock('STACK'); item; item = item.getNextBlock()) {
+        if (item.isInsertionMarker && item.isInsertionMarker()) continue;
+        rows.push(item.valueState_ || {});
+      }
+      if (rows.length === 0) rows.push({});
+
+      this.updateShape_(rows.length);
+      rows.forEach((values, i) => this.setRowValue_(VIZ_FIELDS_Y(i), values.column));
+    },
+
+    updateShape_: function(yCount) {
+      for (let i = 1; this.getInput(`Y${i}`); i++) this.removeInput(`Y${i}`);
+
+      for (let i = 1; i < yCount; i++) {
+        this.appendDummyInput(`Y${i}`)
+          .appendField('and y')
+          .appendField(new Blockly.FieldDropdown(columnOptions('numeric', 'y')), VIZ_FIELDS_Y(i));
+        this.moveInputBefore(`Y${i}`, 'OPTIONS');
+      }
+      this.yCount_ = yCount;
+    },
+
+    setRowValue_: GROUP_BY_MUTATOR.setRowValue_
+  };
+
+  function registerGroupByMutator() {
+    if (!Blockly.Extensions || !Blockly.Extensions.registerMutator) return;
+    if (Blockly.Extensions.isRegistered && Blockly.Extensions.isRegistered('group_by_mutator')) return;
+    Blockly.Extensions.registerMutator('group_by_mutator', GROUP_BY_MUTATOR, function() {
+      this.groupCount_ = 1;
+      this.aggregationCount_ = 1;
+    }, ['group_by_column_item', 'group_by_aggregation_item']);
+  }
+
+  function registerVizFieldsMutator() {
+    if (!Blockly.Extensions || !Blockly.Extensions.registerMutator) return;
+    if (Blockly.Extensions.isRegistered && Blockly.Extensions.isRegistered('viz_fields_mutator')) return;
+    Blockly.Extensions.registerMutator('viz_fields_mutator', VIZ_FIELDS_MUTATOR, function() {
+      this.yCount_ = 1;
+    }, ['viz_fields_y_item']);
+  }
+
   function initializeBlocks() {
+    registerGroupByMutator();
+    registerVizFieldsMutator();
     Blockly.defineBlocksWithJsonArray([
     {
       "type": "filter_data",
@@ -86,7 +298,10 @@
           ["not equals", "not_equals"],
           ["greater than", "greater_than"],
           ["less than", "less_than"],
-          ["contains", "contains"]
+          ["contains", "contains"],
+          ["is before (date)", "before"],
+          ["is after (date)", "after"],
+          ["is on (date)", "on"]
         ], "SERIALIZABLE": true },
         { "type": "field_input", "name": "VALUE", "text": "value", "SERIALIZABLE": true }
       ],
@@ -137,25 +352,57 @@
     },
     {
       "type": "group_by",
-      "message0": "group %1 by %2 and %3 %4 as %5",
+      "message0": "group %1",
       "args0": [
-        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "input_value", "name": "DATA", "check": "Dataset" }
+      ],
+      "message1": "by %1 %2",
+      "args1": [
         { "type": "field_dropdown", "name": "GROUP_COLUMN", "options": [["group_column", "group_column"]], "SERIALIZABLE": true },
-        { "type": "field_dropdown", "name": "AGGREGATION", "options": [
-          ["sum", "sum"],
-          ["average", "average"],
-          ["count", "count"],
-          ["min", "min"],
-          ["max", "max"]
-        ], "SERIALIZABLE": true },
+        { "type": "input_dummy", "name": "GROUP0" }
+      ],
+      "message2": "and %1 of %2 as %3 %4",
+      "args2": [
+        { "type": "field_dropdown", "name": "AGGREGATION", "options": GROUP_BY_AGGREGATIONS, "SERIALIZABLE": true },
         { "type": "field_dropdown", "name": "AGG_COLUMN", "options": [["value_column", "value_column"]], "SERIALIZABLE": true },
-        { "type": "field_input", "name": "ALIAS", "text": "result", "SERIALIZABLE": true }
+        { "type": "field_input", "name": "ALIAS", "text": "result", "SERIALIZABLE": true },
+        { "type": "input_dummy", "name": "AGG0" }
       ],
       "output": "Dataset",
       "colour": 20,
-      "tooltip": "Group data and apply aggregation. Column dropdowns will be populated with available columns.",
+      "mutator": "group_by_mutator",
+      "tooltip": "Group rows that share values and summarise each group. Click the gear to group by more columns or add more summaries. Column dropdowns will be populated with available columns.",
       "helpUrl": ""
     },
+    {
+      "type": "group_by_container",
+      "message0": "group by %1 %2",
+      "args0": [
+        { "type": "input_dummy" },
+        { "type": "input_statement", "name": "STACK" }
+      ],
+      "colour": 20,
+      "tooltip": "Add, remove or reorder group columns and summaries.",
+      "enableContextMenu": false
+    },
+    {
+      "type": "group_by_column_item",
+      "message0": "group column",
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 20,
+      "tooltip": "Another column to group by.",
+      "enableContextMenu": false
+    },
+    {
+      "type": "group_by_aggregation_item",
+      "message0": "summary",
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 20,
+      "tooltip": "Another summary column, such as a sum or an average.",
+      "enableContextMenu": false
+    },
     {
       "type": "calculate_column",
       "message0": "calculate %1 as %2 from %3",
@@ -245,23 +492,98 @@
       "output": "Dataset", "colour": 20
     },
 
-    // Visualisation fields
+    // Visualisation fields: one chart step, with more y columns added with the gear
     {
       "type": "viz_fields",
-      "message0": "visualize %1 with x %2, y %3, color %4, type %5",
+      "message0": "visualize %1",
       "args0": [
-        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "input_value", "name": "DATA", "check": "Dataset" }
+      ],
+      "message1": "with x %1 and y %2 %3",
+      "args1": [
         { "type": "field_dropdown", "name": "X", "options": [["x","x"]], "SERIALIZABLE": true },
         { "type": "field_dropdown", "name": "Y", "options": [["y","y"]], "SERIALIZABLE": true },
-        { "type": "field_dropdown", "name": "COLOR", "options": [["category","category"]], "SERIALIZABLE": true },
+        { "type": "input_dummy", "name": "Y0" }
+      ],
+      "message2": "one series per %1 as a %2 chart %3",
+      "args2": [
+        { "type": "field_dropdown", "name": "COLOR", "options": [["none","none"]], "SERIALIZABLE": true },
         { "type": "field_dropdown", "name": "TYPE", "options": [
-          ["bar","bar"],["line","line"],["scatter","scatter"],["histogram","hist"]
-        ], "SERIALIZABLE": true }
+          ["bar","bar"],["line","line"],["area","area"],["scatter","scatter"],["histogram","hist"]
+        ], "SERIALIZABLE": true },
+        { "type": "input_dummy", "name": "OPTIONS" }
       ],
-      "output": "Dataset", "colour": 60
-    }
-
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 330,
+      "mutator": "viz_fields_mutator",
+      "tooltip": "Chart one or more y columns against x. Click the gear to add y columns, or pick a column to split the rows into one series per value. Series with very different sizes get their own axis on the right.",
+      "helpUrl": ""
+    },
+    {
+      "type": "viz_fields_container",
+      "message0": "y columns %1 %2",
+      "args0": [
+        { "type": "input_dummy" },
+        { "type": "input_statement", "name": "STACK" }
+      ],
+      "colour": 330,
+      "tooltip": "Add, remove or reorder the y columns.",
+      "enableContextMenu": false
+    },
+    {
+      "type": "viz_fields_y_item",
+      "message0": "y column",
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 330,
+      "tooltip": "Another column to plot as its own series.",
+      "enableContextMenu": false
+    },
 
+    // Reshape: long to wide (pivot) and wide to long (unpivot)
+    {
+      "type": "pivot_data",
+      "message0": "pivot %1 one row per %2",
+      "args0": [
+        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "field_dropdown", "name": "INDEX", "options": [["row_column", "row_column"]], "SERIALIZABLE": true }
+      ],
+      "message1": "one column per value of %1 holding the %2 of %3",
+      "args1": [
+        { "type": "field_dropdown", "name": "COLUMNS", "options": [["column", "column"]], "SERIALIZABLE": true },
+        { "type": "field_dropdown", "name": "AGGREGATION", "options": [
+          ["sum", "sum"],
+          ["average", "average"],
+          ["count", "count"],
+          ["min", "min"],
+          ["max", "max"],
+          ["first value", "first"]
+        ], "SERIALIZABLE": true },
+        { "type": "field_dropdown", "name": "VALUES", "options": [["value_column", "value_column"]], "SERIALIZABLE": true }
+      ],
+      "output": "Dataset",
+      "colour": 20,
+      "tooltip": "Make a wide table: each value of the chosen column becomes a column of its own. Right-click and choose Preview table to see the result.",
+      "helpUrl": ""
+    },
+    {
+      "type": "melt_data",
+      "message0": "unpivot %1 keep %2",
+      "args0": [
+        { "type": "input_value", "name": "DATA", "check": "Dataset" },
+        { "type": "field_input", "name": "ID_COLUMNS", "text": "column", "SERIALIZABLE": true }
+      ],
+      "message1": "turn the other columns into %1 and %2",
+      "args1": [
+        { "type": "field_input", "name": "VAR_NAME", "text": "variable", "SERIALIZABLE": true },
+        { "type": "field_input", "name": "VALUE_NAME", "text": "value", "SERIALIZABLE": true }
+      ],
+      "output": "Dataset",
+      "colour": 20,
+      "tooltip": "Make a long table, e.g. turn one column per year into a year column and a value column so it can be charted over time. List the columns to keep with commas. Right-click and choose Preview table to see the result.",
+      "helpUrl": ""
+    }
   ]);
 
   // JavaScript generators for each block
@@ -461,15 +783,25 @@
     // Group by generator
     Blockly.JavaScript['group_by'] = function(block) {
       const dataCode = getDataCode(block);
-      const groupColumn = block.getFieldValue('GROUP_COLUMN') || 'group_column';
-      const aggregation = block.getFieldValue('AGGREGATION') || 'sum';
-      const aggColumn = block.getFieldValue('AGG_COLUMN') || 'value_column';
-      const alias = block.getFieldValue('ALIAS') || 'result';
-      
+      const groups = [];
+      for (let i = 0; i < (block.groupCount_ || 1); i++) {
+        groups.push(block.getFieldValue(GROUP_BY_FIELDS.group(i)) || 'group_column');
+      }
+      const aggregations = [];
+      for (let i = 0; i < (block.aggregationCount_ || 1); i++) {
+        const alias = block.getFieldValue(GROUP_BY_FIELDS.alias(i)) || (i === 0 ? 'result' : '');
+        aggregations.push({
+          column: block.getFieldValue(GROUP_BY_FIELDS.column(i)) || 'value_column',
+          operation: block.getFieldValue(GROUP_BY_FIELDS.operation(i)) || 'sum',
+          ...(alias ? { alias } : {})
+        });
+      }
+      const operation = { type: 'groupBy', params: { groupBy: groups.length === 1 ? groups[0] : groups, aggregations } };
+
       const code = `(async () => {\n` +
         `  const __input = (window.BlocklyNormalizeData ? window.BlocklyNormalizeData(${dataCode}) : (${dataCode} || []));\n` +
         `  if (!window.AppApi || !window.AppApi.processData) { throw new Error('API not available'); }\n` +
-        `  const __res = await window.AppApi.processData(__input, [{ type: 'groupBy', params: { groupBy: '${groupColumn}', aggregations: [{ column: '${aggColumn}', operation: '${aggregation}', alias: '${alias}' }] } }]);\n` +
+        `  const __res = await window.AppApi.processData(__input, [${JSON.stringify(operation)}]);\n` +
         `  const __data = (__res && __res.data) ? __res.data : __input;\n` +
         `  if (window.Blockly && window.Blockly.CsvImportData) { window.Blockly.CsvImportData.data = __data; }\n` +
         `  return __data;\n` +
@@ -557,6 +889,45 @@
       return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
     };
 
+    // Shared code for the reshape blocks: one backend operation on the DATA input
+    function reshapeCode(block, operation) {
+      const dataCode = getDataCode(block);
+      const code = `(async () => {\n` +
+        `  const __input = (window.BlocklyNormalizeData ? window.BlocklyNormalizeData(${dataCode}) : (${dataCode} || []));\n` +
+        `  if (!window.AppApi || !window.AppApi.processData) { throw new Error('API not available'); }\n` +
+        `  const __res = await window.AppApi.processData(__input, [${JSON.stringify(operation)}]);\n` +
+        `  const __data = (__res && __res.data) ? __res.data : __input;\n` +
+        `  if (window.Blockly && window.Blockly.CsvImportData) { window.Blockly.CsvImportData.data = __data; }\n` +
+        `  return __data;\n` +
+        `})()`;
+      return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+    }
+
+    // Pivot generator
+    Blockly.JavaScript['pivot_data'] = function(block) {
+      return reshapeCode(block, {
+        type: 'pivot',
+        params: {
+          index: block.getFieldValue('INDEX') || 'row_column',
+          columns: block.getFieldValue('COLUMNS') || 'column',
+          values: block.getFieldValue('VALUES') || 'value_column',
+          aggregation: block.getFieldValue('AGGREGATION') || 'sum'
+        }
+      });
+    };
+
+    // Unpivot generator
+    Blockly.JavaScript['melt_data'] = function(block) {
+      return reshapeCode(block, {
+        type: 'melt',
+        params: {
+          idColumns: (block.getFieldValue('ID_COLUMNS') || '').split(',').map(s => s.trim()).filter(Boolean),
+          varName: block.getFieldValue('VAR_NAME') || 'variable',
+          valueName: block.getFieldValue('VALUE_NAME') || 'value'
+        }
+      });
+    };
+
   }
 
   // Register forBlock mappings for newer Blockly generator API
@@ -570,6 +941,8 @@
     if (js['calculate_column'] && !js.forBlock['calculate_column']) js.forBlock['calculate_column'] = (block, generator) => js['calculate_column'](block, generator);
     if (js['drop_empty'] && !js.forBlock['drop_empty']) js.forBlock['drop_empty'] = (block, generator) => js['drop_empty'](block, generator);
     if (js['filter_range'] && !js.forBlock['filter_range']) {js.forBlock['filter_range'] = (block, generator) => js['filter_range'](block, generator);}
+    if (js['pivot_data'] && !js.forBlock['pivot_data']) js.forBlock['pivot_data'] = (block, generator) => js['pivot_data'](block, generator);
+    if (js['melt_data'] && !js.forBlock['melt_data']) js.forBlock['melt_data'] = (block, generator) => js['melt_data'](block, generator);
   }
   }
   
@@ -625,15 +998,45 @@
         }
         break;
       case 'group_by':
-        updateFieldWithColumns(block.getField('GROUP_COLUMN'));
-        updateFieldWithColumns(block.getField('AGG_COLUMN'));
+        // Summary columns take any column: count, first and last work on text too
+        for (let i = 0; i < (block.groupCount_ || 1); i++) {
+          updateFieldWithColumns(block.getField(GROUP_BY_FIELDS.group(i)), false, 'groupable');
+        }
+        for (let i = 0; i < (block.aggregationCount_ || 1); i++) {
+          updateFieldWithColumns(block.getField(GROUP_BY_FIELDS.column(i)));
+        }
         break;
       case 'drop_empty':
         updateFieldWithColumns(block.getField('COLUMN'));
         break;
-        case 'filter_range':
+      case 'filter_range':
+        updateFieldWithColumns(block.getField('COLUMN'), false, 'ordered');
+        break;
+      case 'condition_compare':
         updateFieldWithColumns(block.getField('COLUMN'));
         break;
+      case 'pivot_data':
+        updateFieldWithColumns(block.getField('INDEX'), false, 'groupable');
+        updateFieldWithColumns(block.getField('COLUMNS'), false, 'groupable');
+        updateFieldWithColumns(block.getField('VALUES'), false, 'numeric');
+        break;
+      case 'viz_fields': {
+        updateFieldWithColumns(block.getField('X'));
+        for (let i = 0; i < (block.yCount_ || 1); i++) {
+          updateFieldWithColumns(block.getField(VIZ_FIELDS_Y(i)), false, 'numeric');
+        }
+        const seriesField = block.getField('COLOR');
+        if (seriesField && seriesField.setOptions) {
+          seriesField.setOptions([['none', 'none'], ...getAvailableColumns('groupable').map(col => [col, col])]);
+        }
+        break;
+      }
+      case 'melt_data': {
+        // Start from the first column, usually the row label
+        const keepField = block.getField('ID_COLUMNS');
+        if (keepField && keepField.getValue() === 'column') keepField.setValue(columns[0]);
+        break;
+      }
     }
   }
 
@@ -667,6 +1070,8 @@
 
   // Export helper functions for autofill functionality
   window.BlocklyAutofill = {
+    COLUMN_KINDS,
+    getColumnSchema,
     getAvailableColumns,
     updateFieldWithColumns,
     applyAutofillToBlock,
@@ -0,0 +1,82 @@
+// === Export Dataset Block Definition ===
+// Saves the connected dataset and downloads it as CSV, Excel, JSON, NDJSON
+// or an HTML table. The pipeline interpreter (pipeline.js) runs the export;
+// the generator below only describes it in the code panel.
+(function(){
+  if (typeof Blockly === 'undefined') return;
+
+  // Define the block
+  Blockly.defineBlocksWithJsonArray([
+    {
+      "type": "export_dataset",
+      "message0": "export %1 as %2 file name %3",
+      "args0": [
+        {
+          "type": "input_value",
+          "name": "DATA",
+          "check": "Dataset"
+        },
+        {
+          "type": "field_dropdown",
+          "name": "FORMAT",
+          "options": [
+            ["CSV", "csv"],
+            ["Excel (.xlsx)", "xlsx"],
+            ["JSON", "json"],
+            ["NDJSON", "ndjson"],
+            ["HTML table", "html"]
+          ]
+        },
+        {
+          "type": "field_input",
+          "name": "FILENAME",
+          "text": "cleaned_data"
+        }
+      ],
+      "message1": "columns %1",
+      "args1": [
+        {
+          "type": "field_input",
+          "name": "COLUMNS",
+          "text": ""
+        }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 20,
+      "tooltip": "Download the dataset as a file. List columns (comma separated) to choose and order them; leave blank for all columns.",
+      "helpUrl": ""
+    }
+  ]);
+
+  // Register generator
+  if (Blockly.JavaScript) {
+    const generator = function(block) {
+      const format = block.getFieldValue('FORMAT') || 'csv';
+      const filename = String(block.getFieldValue('FILENAME') || 'cleaned_data').replace(/[\r\n]/g, ' ');
+      return `// export dataset as ${format}: ${filename}\n`;
+    };
+
+    try {
+      Object.defineProperty(Blockly.JavaScript, 'export_dataset', { value: generator, configurable: true });
+    } catch (_) {
+      Blockly.JavaScript['export_dataset'] = generator;
+    }
+
+    if (Blockly.JavaScript.forBlock) {
+      try {
+        Object.defineProperty(Blockly.JavaScript.forBlock, 'export_dataset', { value: generator, configurable: true });
+      } catch (_) {
+        Blockly.JavaScript.forBlock['export_dataset'] = generator;
+      }
+    }
+
+    if (typeof window !== 'undefined' && window.Blockly && window.Blockly.JavaScript) {
+      try {
+        Object.defineProperty(window.Blockly.JavaScript, 'export_dataset', { value: generator, configurable: true });
+      } catch (_) {
+        window.Blockly.JavaScript['export_dataset'] = generator;
+      }
+    }
+  }
+})();
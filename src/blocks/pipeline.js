@@ -0,0 +1,939 @@
+/**
+ * Block Pipeline Interpreter
+ *
+ * Compiles the Blockly workspace into a declarative pipeline instead of
+ * evaluating generated JavaScript. Each top-level block chain becomes a step
+ * made of a data source, a list of `{ type, params }` operations (the same
+ * shape DataProcessor.processData accepts) and, for visualization blocks, a
+ * chart request. The interpreter then runs the steps through the backend API.
+ *
+ * Nothing typed into a block field is ever executed: field values only end
+ * up as operation parameters, and calculate expressions are parsed by the
+ * backend expression parser.
+ *
+ * Exposes window.BlocklyPipeline with:
+ * - compileWorkspace(workspace): build the pipeline program
+ * - compileBlock(block): compile a single top-level block chain
+ * - runPipeline(program): execute a compiled program
+ * - preview(block, limit): first rows of the data a dataset block produces
+ * - run(workspace): compile and execute in one go
+ *
+ * @module BlockPipeline
+ * @version 1.0.0
+ * @since 1.1.0
+ */
+(function(){
+  if (typeof window === 'undefined') return;
+
+  /**
+   * Read a field value, falling back when the field is missing or empty
+   * @private
+   */
+  function fieldValue(block, name, fallback) {
+    const value = block.getFieldValue ? block.getFieldValue(name) : null;
+    return value === null || value === undefined || value === '' ? fallback : value;
+  }
+
+  /**
+   * Error carrying the id of the block that caused it so the editor can select it
+   * @private
+   */
+  function pipelineError(block, message) {
+    const error = new Error(message);
+    error.blockId = block ? block.id : null;
+    error.blockType = block ? block.type : null;
+    return error;
+  }
+
+  /**
+   * Window block operation, with the partition and order columns unless
+   * they are on "whole table" and "row order"
+   * @private
+   */
+  function windowOperation(block, type, extra) {
+    const column = fieldValue(block, 'COLUMN', 'column');
+    if (column === 'column') return null;
+    const partitionBy = fieldValue(block, 'PARTITION', 'none');
+    const orderBy = fieldValue(block, 'ORDER_BY', 'row_order');
+    return {
+      type,
+      params: {
+        column,
+        ...(partitionBy === 'none' ? {} : { partitionBy }),
+        ...(orderBy === 'row_order' ? {} : { orderBy }),
+        ...extra
+      }
+    };
+  }
+
+  // Trend shapes of the regression and trend line blocks
+  const TREND_FITS = {
+    linear: { type: 'linearRegression', model: 'linear' },
+    quadratic: { type: 'polynomialRegression', model: 'polynomial', degree: 2 },
+    cubic: { type: 'polynomialRegression', model: 'polynomial', degree: 3 },
+    exponential: { type: 'exponentialRegression', model: 'exponential' }
+  };
+
+  /**
+   * x and y columns of a regression block, or null while either is unset
+   * @private
+   */
+  function trendColumns(block) {
+    const xColumn = fieldValue(block, 'X_COLUMN', 'column_x');
+    const yColumn = fieldValue(block, 'Y_COLUMN', 'column_y');
+    if (xColumn === 'column_x' || yColumn === 'column_y') return null;
+    return { xColumn, yColumn };
+  }
+
+  // Dataset blocks map to zero or more backend operations. Returning null
+  // passes the data through unchanged, matching how the generated code
+  // skipped blocks whose fields were still on their placeholder values.
+  const DATASET_BLOCKS = {
+    filter_data: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      const value = fieldValue(block, 'VALUE', 'value');
+      if (column === 'column' || value === 'value') return null;
+      return { type: 'filter', params: { column, operator: fieldValue(block, 'OPERATOR', 'equals'), value } };
+    },
+    filter_range: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      const min = fieldValue(block, 'MIN', 'min');
+      const max = fieldValue(block, 'MAX', 'max');
+      if (column === 'column' || min === 'min' || max === 'max') return null;
+      return { type: 'filter', params: { column, operator: 'between', min, max } };
+    },
+    filter_where: (block) => {
+      const condition = compileCondition(block.getInputTargetBlock('CONDITION'));
+      return condition ? { type: 'filter', params: { condition } } : null;
+    },
+    sort_data: (block) => ({
+      type: 'sort',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), direction: fieldValue(block, 'DIRECTION', 'asc') }
+    }),
+    select_columns: (block) => ({
+      type: 'select',
+      params: { columns: String(fieldValue(block, 'COLUMNS', '')).split(',').map(s => s.trim()).filter(Boolean) }
+    }),
+    group_by: (block) => {
+      // Rows added with the gear are numbered from 1 (GROUP_COLUMN1, AGGREGATION1, ...)
+      const name = (base, i) => (i === 0 ? base : `${base}${i}`);
+      const groups = [];
+      for (let i = 0; i < (block.groupCount_ || 1); i++) {
+        const column = fieldValue(block, name('GROUP_COLUMN', i), 'group_column');
+        if (column !== 'group_column' && !groups.includes(column)) groups.push(column);
+      }
+      if (groups.length === 0) return null;
+
+      const aggregations = [];
+      for (let i = 0; i < (block.aggregationCount_ || 1); i++) {
+        const operation = fieldValue(block, name('AGGREGATION', i), 'sum');
+        const column = fieldValue(block, name('AGG_COLUMN', i), 'value_column');
+        const alias = String(fieldValue(block, name('ALIAS', i), i === 0 ? 'result' : '')).trim();
+        // A count without a column counts rows; other summaries need a column
+        if (column === 'value_column' && operation !== 'count') continue;
+        aggregations.push({
+          ...(column === 'value_column' ? {} : { column }),
+          operation,
+          ...(alias ? { alias } : {})
+        });
+      }
+      return { type: 'groupBy', params: { groupBy: groups.length === 1 ? groups[0] : groups, aggregations } };
+    },
+    calculate_column: (block) => ({
+      type: 'calculate',
+      params: {
+        expression: fieldValue(block, 'EXPRESSION', ''),
+        newColumnName: fieldValue(block, 'NEW_COLUMN', 'new_column')
+      }
+    }),
+    drop_empty: (block) => ({
+      type: 'filter',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), operator: 'not_equals', value: '' }
+    }),
+    drop_column: (block) => ({ type: 'dropColumn', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    rename_column: (block) => ({
+      type: 'renameColumn',
+      params: { from: fieldValue(block, 'FROM', 'old_name'), to: fieldValue(block, 'TO', 'new_name') }
+    }),
+    handle_missing: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      switch (fieldValue(block, 'STRATEGY', 'drop')) {
+        case 'fill_zero': return { type: 'fillMissing', params: { column, value: 0 } };
+        case 'fill_empty': return { type: 'fillMissing', params: { column, value: '' } };
+        case 'fill_value': return { type: 'fillMissing', params: { column, value: fieldValue(block, 'VALUE', '') } };
+        default: return { type: 'filter', params: { column, operator: 'not_equals', value: '' } };
+      }
+    },
+
+    // Transformation blocks
+    tf_rename_column: (block) => {
+      const from = fieldValue(block, 'FROM', 'column');
+      if (from === 'column') return null;
+      return { type: 'renameColumn', params: { from, to: fieldValue(block, 'TO', 'new_name') } };
+    },
+    tf_drop_column: (block) => ({ type: 'dropColumn', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    tf_fill_missing: (block) => ({
+      type: 'fillMissing',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), value: fieldValue(block, 'VALUE', '0') }
+    }),
+    tf_replace_values: (block) => ({
+      type: 'replaceValues',
+      params: {
+        column: fieldValue(block, 'COLUMN', 'column'),
+        fromValue: fieldValue(block, 'FROM_VALUE', 'old'),
+        toValue: fieldValue(block, 'TO_VALUE', 'new')
+      }
+    }),
+    tf_cast_type: (block) => ({
+      type: 'castType',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), to: fieldValue(block, 'TO', 'number') }
+    }),
+    tf_string_transform: (block) => ({
+      type: 'stringTransform',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), mode: fieldValue(block, 'MODE', 'lower') }
+    }),
+    tf_split_column: (block) => ({
+      type: 'splitColumn',
+      params: {
+        column: fieldValue(block, 'COLUMN', 'column'),
+        delimiter: fieldValue(block, 'DELIM', ','),
+        output1: fieldValue(block, 'OUT1', 'part1'),
+        output2: fieldValue(block, 'OUT2', 'part2')
+      }
+    }),
+    tf_concat_columns: (block) => ({
+      type: 'concatColumns',
+      params: {
+        column1: fieldValue(block, 'COL1', 'column'),
+        column2: fieldValue(block, 'COL2', 'column'),
+        separator: fieldValue(block, 'SEP', ' '),
+        output: fieldValue(block, 'OUT', 'combined')
+      }
+    }),
+    tf_drop_duplicates: (block) => ({ type: 'dropDuplicates', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    tf_round_number: (block) => ({
+      type: 'roundNumber',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), decimals: Number(fieldValue(block, 'DECIMALS', 0)) }
+    }),
+
+    // Date blocks
+    tf_parse_date: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      if (column === 'column') return null;
+      const format = String(fieldValue(block, 'FORMAT', '')).trim();
+      return { type: 'parseDate', params: format ? { column, format } : { column } };
+    },
+    tf_extract_date_part: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      if (column === 'column') return null;
+      const part = fieldValue(block, 'PART', 'year');
+      return { type: 'extractDatePart', params: { column, part, output: fieldValue(block, 'OUTPUT', part) } };
+    },
+    tf_date_diff: (block) => {
+      const start = fieldValue(block, 'START', 'column');
+      const end = fieldValue(block, 'END', 'column');
+      if (start === 'column' || end === 'column') return null;
+      const unit = fieldValue(block, 'UNIT', 'days');
+      return { type: 'dateDiff', params: { start, end, unit, output: fieldValue(block, 'OUTPUT', `${unit}_between`) } };
+    },
+    tf_truncate_date: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      if (column === 'column') return null;
+      return { type: 'truncateDate', params: { column, unit: fieldValue(block, 'UNIT', 'month') } };
+    },
+
+    // Statistics blocks produce a summary rather than rows
+    descriptive_stats: (block) => ({ type: 'descriptiveStats', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    calculate_mean: (block) => ({ type: 'calculateMean', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    calculate_median: (block) => ({ type: 'calculateMedian', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    calculate_std: (block) => ({ type: 'calculateStandardDeviation', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    calculate_correlation: (block) => ({
+      type: 'calculateCorrelation',
+      params: { columnX: fieldValue(block, 'COLUMN_X', 'column_x'), columnY: fieldValue(block, 'COLUMN_Y', 'column_y') }
+    }),
+    detect_outliers: (block) => {
+      const action = fieldValue(block, 'ACTION', 'flag');
+      return {
+        type: 'detectOutliers',
+        params: {
+          column: fieldValue(block, 'COLUMN', 'column'),
+          method: fieldValue(block, 'METHOD', 'iqr'),
+          ...(action === 'flag' ? {} : { action })
+        }
+      };
+    },
+    frequency_count: (block) => ({ type: 'frequencyCount', params: { column: fieldValue(block, 'COLUMN', 'column') } }),
+    calculate_percentiles: (block) => ({
+      type: 'calculatePercentiles',
+      params: { column: fieldValue(block, 'COLUMN', 'column'), percentile: parseFloat(fieldValue(block, 'PERCENTILE', '50')) }
+    }),
+    one_sample_t_test: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      if (column === 'column') return null;
+      return { type: 'tTest', params: { column, mu: Number(fieldValue(block, 'MU', 0)) } };
+    },
+    two_sample_t_test: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      const groupColumn = fieldValue(block, 'GROUP_COLUMN', 'group_column');
+      if (column === 'column' || groupColumn === 'group_column') return null;
+      return { type: 'tTest', params: { column, groupColumn } };
+    },
+    chi_square_test: (block) => {
+      const columnA = fieldValue(block, 'COLUMN_A', 'column');
+      const columnB = fieldValue(block, 'COLUMN_B', 'column');
+      if (columnA === 'column' || columnB === 'column') return null;
+      return { type: 'chiSquareTest', params: { columnA, columnB } };
+    },
+    confidence_interval: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      if (column === 'column') return null;
+      const type = fieldValue(block, 'TYPE', 'mean');
+      const params = { column, type, level: Number(fieldValue(block, 'LEVEL', '0.95')) };
+      if (type === 'proportion') {
+        const success = String(fieldValue(block, 'SUCCESS', 'value')).trim();
+        if (!success || success === 'value') {
+          throw pipelineError(block, 'Type the value to count as a success');
+        }
+        params.success = success;
+      }
+      return { type: 'confidenceInterval', params };
+    },
+    fit_trend: (block) => {
+      const columns = trendColumns(block);
+      if (!columns) return null;
+      const { type, degree } = TREND_FITS[fieldValue(block, 'MODEL', 'linear')] || TREND_FITS.linear;
+      return { type, params: { ...columns, ...(degree ? { degree } : {}) } };
+    },
+    add_trend_predictions: (block) => {
+      const columns = trendColumns(block);
+      if (!columns) return null;
+      const { model, degree } = TREND_FITS[fieldValue(block, 'MODEL', 'linear')] || TREND_FITS.linear;
+      return { type: 'trendPredictions', params: { ...columns, model, ...(degree ? { degree } : {}) } };
+    },
+    running_calculation: (block) => windowOperation(block, fieldValue(block, 'CALCULATION', 'cumulativeSum'), {}),
+    moving_average: (block) => windowOperation(block, 'movingAverage', { window: Number(fieldValue(block, 'WINDOW', 3)) }),
+    compare_rows: (block) => windowOperation(block, fieldValue(block, 'CALCULATION', 'pctChange'), {
+      periods: Number(fieldValue(block, 'PERIODS', 1))
+    }),
+    pivot_data: (block) => {
+      const index = fieldValue(block, 'INDEX', 'row_column');
+      const columns = fieldValue(block, 'COLUMNS', 'column');
+      const values = fieldValue(block, 'VALUES', 'value_column');
+      const aggregation = fieldValue(block, 'AGGREGATION', 'sum');
+      if (index === 'row_column' || columns === 'column') return null;
+      if (values === 'value_column' && aggregation !== 'count') return null;
+      return {
+        type: 'pivot',
+        params: { index, columns, aggregation, ...(values === 'value_column' ? {} : { values }) }
+      };
+    },
+    melt_data: (block) => {
+      const idColumns = String(fieldValue(block, 'ID_COLUMNS', '')).split(',').map(s => s.trim()).filter(Boolean);
+      if (idColumns.length === 1 && idColumns[0] === 'column') return null;
+      return {
+        type: 'melt',
+        params: {
+          idColumns,
+          varName: String(fieldValue(block, 'VAR_NAME', 'variable')).trim() || 'variable',
+          valueName: String(fieldValue(block, 'VALUE_NAME', 'value')).trim() || 'value'
+        }
+      };
+    },
+    join_datasets: (block) => {
+      const keys = String(fieldValue(block, 'KEYS', '')).split(',').map(s => s.trim()).filter(Boolean);
+      if (keys.length === 0 || (keys.length === 1 && keys[0] === 'key')) {
+        throw pipelineError(block, 'Type the key column(s) to join on');
+      }
+      const pairs = keys.map(key => key.split('=').map(s => s.trim()));
+      const params = {
+        dataset: compileDataset(block.getInputTargetBlock('OTHER')),
+        on: pairs.map(pair => pair[0]),
+        how: fieldValue(block, 'HOW', 'inner')
+      };
+      if (pairs.some(pair => pair.length > 1)) {
+        params.rightOn = pairs.map(pair => pair[pair.length - 1]);
+      }
+      return { type: 'join', params };
+    },
+    append_datasets: (block) => ({
+      type: fieldValue(block, 'MODE', 'append') === 'union' ? 'union' : 'append',
+      params: { dataset: compileDataset(block.getInputTargetBlock('OTHER')) }
+    })
+  };
+
+  // Condition blocks build the params.condition tree of a filter. Returning
+  // null leaves a condition out, as if its input were empty.
+  const CONDITION_BLOCKS = {
+    condition_compare: (block) => {
+      const column = fieldValue(block, 'COLUMN', 'column');
+      const operator = fieldValue(block, 'OPERATOR', 'equals');
+      const needsValue = !['is_empty', 'is_not_empty'].includes(operator);
+      const value = fieldValue(block, 'VALUE', '');
+      if (column === 'column' || (needsValue && value === 'value')) return null;
+      return {
+        column,
+        operator,
+        ...(needsValue ? { value } : {}),
+        ...(fieldValue(block, 'IGNORE_CASE', 'FALSE') === 'TRUE' ? { ignoreCase: true } : {})
+      };
+    },
+    condition_logic: (block) => {
+      const op = fieldValue(block, 'OP', 'and') === 'or' ? 'or' : 'and';
+      // a and (b and c) becomes one list of three conditions
+      const parts = [];
+      ['A', 'B'].forEach(name => {
+        const part = compileCondition(block.getInputTargetBlock(name));
+        if (part && Array.isArray(part[op])) parts.push(...part[op]);
+        else if (part) parts.push(part);
+      });
+      if (parts.length < 2) return parts[0] || null;
+      return { [op]: parts };
+    },
+    condition_not: (block) => {
+      const inner = compileCondition(block.getInputTargetBlock('CONDITION'));
+      return inner ? { not: inner } : null;
+    }
+  };
+
+  function compileCondition(block) {
+    if (!block) return null;
+    const compile = CONDITION_BLOCKS[block.type];
+    if (!compile) {
+      throw pipelineError(block, `The "${block.type}" block cannot be used as a condition`);
+    }
+    return compile(block);
+  }
+
+  // Chart configuration blocks wrap an inner CONFIG input and add options to it
+  const CONFIG_BLOCKS = {
+    set_chart_type: (block) => ({ chartType: fieldValue(block, 'CHART_TYPE', 'bar'), options: {} }),
+    set_axes: (block, config) => ({
+      ...config,
+      options: { ...config.options, xColumn: fieldValue(block, 'X_COLUMN', 'column'), yColumn: fieldValue(block, 'Y_COLUMN', 'column') }
+    }),
+    chart_options: (block, config) => ({
+      ...config,
+      options: { ...config.options, title: fieldValue(block, 'TITLE', 'My Chart') }
+    }),
+    advanced_chart_options: (block, config) => ({
+      ...config,
+      options: {
+        ...config.options,
+        title: fieldValue(block, 'TITLE', 'My Chart'),
+        colorScheme: fieldValue(block, 'COLOR_SCHEME', 'default'),
+        showLegend: fieldValue(block, 'SHOW_LEGEND', 'true') === 'true'
+      }
+    }),
+    add_trend_line: (block, config) => {
+      const { model, degree } = TREND_FITS[fieldValue(block, 'MODEL', 'linear')] || TREND_FITS.linear;
+      return {
+        ...config,
+        options: { ...config.options, trendLine: model, ...(degree ? { trendDegree: degree } : {}) }
+      };
+    },
+    chart_theme: (block, config) => ({
+      ...config,
+      options: {
+        ...config.options,
+        theme: {
+          palette: fieldValue(block, 'PALETTE', 'default'),
+          mode: fieldValue(block, 'MODE', 'light'),
+          fontScale: Number(fieldValue(block, 'FONT_SCALE', 1)),
+          patterns: fieldValue(block, 'PATTERNS', 'FALSE') === 'TRUE'
+        }
+      }
+    })
+  };
+
+  // Statement blocks that draw a chart from their DATA input
+  const CHART_BLOCKS = {
+    generate_visualization: (block) => {
+      const config = compileConfig(block.getInputTargetBlock('CONFIG'));
+      if (!config.chartType) {
+        throw pipelineError(block, 'No chart type specified');
+      }
+      return config;
+    },
+    quick_chart: (block) => {
+      const xColumn = fieldValue(block, 'X_COLUMN', 'column');
+      const yColumn = fieldValue(block, 'Y_COLUMN', 'column');
+      if (xColumn === 'column' || yColumn === 'column') {
+        throw pipelineError(block, 'Please select valid columns for the chart');
+      }
+      return {
+        chartType: fieldValue(block, 'CHART_TYPE', 'bar'),
+        options: { xColumn, yColumn, title: fieldValue(block, 'TITLE', 'Chart') }
+      };
+    },
+    histogram_config: (block) => ({
+      chartType: 'histogram',
+      options: {
+        valueColumn: fieldValue(block, 'VALUE_COLUMN', 'column'),
+        bins: Number(fieldValue(block, 'BINS', 10)),
+        title: fieldValue(block, 'TITLE', 'Histogram')
+      }
+    }),
+    viz_fields: (block) => {
+      // More y columns added with the gear are numbered from 1 (Y1, Y2, ...)
+      const xColumn = fieldValue(block, 'X', 'x');
+      const yColumns = [];
+      for (let i = 0; i < (block.yCount_ || 1); i++) {
+        const column = fieldValue(block, i === 0 ? 'Y' : `Y${i}`, 'y');
+        if (column !== 'y' && !yColumns.includes(column)) yColumns.push(column);
+      }
+      const type = fieldValue(block, 'TYPE', 'bar');
+      if (xColumn === 'x' || (type !== 'hist' && yColumns.length === 0)) {
+        throw pipelineError(block, 'Please select valid columns for the chart');
+      }
+      if (type === 'hist') return { chartType: 'histogram', options: { valueColumn: xColumn } };
+      if (type === 'scatter') return { chartType: 'scatter', options: { xColumn, yColumn: yColumns[0] } };
+
+      // 'category' is the placeholder saved by older versions of the block
+      const seriesColumn = fieldValue(block, 'COLOR', 'none');
+      const options = { xColumn, yColumn: yColumns[0] };
+      if (seriesColumn !== 'none' && seriesColumn !== 'category') {
+        options.seriesColumn = seriesColumn;
+      } else if (yColumns.length > 1) {
+        options.yColumns = yColumns;
+      }
+      return { chartType: type, options };
+    },
+    heatmap_config: (block) => ({
+      chartType: 'heatmap',
+      options: {
+        xColumn: fieldValue(block, 'X_COLUMN', 'column'),
+        yColumn: fieldValue(block, 'Y_COLUMN', 'column'),
+        valueColumn: fieldValue(block, 'VALUE_COLUMN', 'column'),
+        title: fieldValue(block, 'TITLE', 'Heatmap')
+      }
+    })
+  };
+
+  function compileConfig(block) {
+    if (!block) return { chartType: null, options: {} };
+    const compile = CONFIG_BLOCKS[block.type];
+    if (!compile) {
+      throw pipelineError(block, `The "${block.type}" block cannot be used as a chart configuration`);
+    }
+    const inner = block.type === 'set_chart_type'
+      ? { chartType: null, options: {} }
+      : compileConfig(block.getInputTargetBlock('CONFIG'));
+    return compile(block, inner);
+  }
+
+  /**
+   * Follow DATA inputs back to the source and collect operations in run order
+   *
+   * A csv_import block starts from the original upload so repeated runs do not
+   * narrow already-filtered data; an empty input uses the current dataset and
+   * a load_dataset block reads a saved file from uploads/. Join and append
+   * blocks carry their second input as a nested dataset in params.dataset.
+   * @private
+   */
+  function compileDataset(block) {
+    if (!block) return { source: 'current', operations: [] };
+    if (block.type === 'csv_import') return { source: 'original', operations: [] };
+    if (block.type === 'load_dataset') {
+      const name = fieldValue(block, 'FILE', 'dataset');
+      if (name === 'dataset') {
+        throw pipelineError(block, 'Choose a saved dataset');
+      }
+      return { source: 'upload', name, blockId: block.id, operations: [] };
+    }
+
+    const compile = DATASET_BLOCKS[block.type];
+    if (!compile) {
+      throw pipelineError(block, `The "${block.type}" block cannot be used as a data source`);
+    }
+
+    const upstream = compileDataset(block.getInputTargetBlock('DATA'));
+    const compiled = compile(block);
+    (Array.isArray(compiled) ? compiled : compiled ? [compiled] : []).forEach(operation => {
+      upstream.operations.push({ ...operation, blockId: block.id });
+    });
+    return upstream;
+  }
+
+  /**
+   * Read the format, file name and column list of an export_dataset block
+   * @private
+   */
+  function compileExport(block) {
+    const filename = String(fieldValue(block, 'FILENAME', 'cleaned_data')).trim()
+      .replace(/\.(csv|xlsx|json|ndjson|html)$/i, '') || 'cleaned_data';
+    return {
+      format: fieldValue(block, 'FORMAT', 'csv'),
+      filename,
+      columns: String(fieldValue(block, 'COLUMNS', '')).split(',').map(s => s.trim()).filter(Boolean)
+    };
+  }
+
+  function isEnabled(block) {
+    if (typeof block.isEnabled === 'function') return block.isEnabled();
+    return !block.disabled;
+  }
+
+  /**
+   * Compile one top-level block (and its statement chain) into pipeline steps
+   *
+   * @param {Object} block - Top-level Blockly block
+   * @returns {{steps: Array<Object>, skipped: Array<string>}} Compiled steps and ignored block types
+   */
+  function compileBlock(block) {
+    const steps = [];
+    const skipped = [];
+
+    for (let current = block; current; current = current.getNextBlock ? current.getNextBlock() : null) {
+      if (!isEnabled(current)) continue;
+      const type = current.type;
+
+      if (CHART_BLOCKS[type]) {
+        const chart = CHART_BLOCKS[type](current);
+        steps.push({ kind: 'chart', blockId: current.id, ...compileDataset(current.getInputTargetBlock('DATA')), chart });
+      } else if (CONFIG_BLOCKS[type]) {
+        steps.push({ kind: 'chart', blockId: current.id, source: 'current', operations: [], chart: compileConfig(current) });
+      } else if (type === 'to_json') {
+        steps.push({ kind: 'json', blockId: current.id, ...compileDataset(current.getInputTargetBlock('VALUE')) });
+      } else if (type === 'export_dataset') {
+        steps.push({ kind: 'export', blockId: current.id, ...compileDataset(current.getInputTargetBlock('DATA')), export: compileExport(current) });
+      } else if (type === 'csv_import' || DATASET_BLOCKS[type]) {
+        steps.push({ kind: 'data', blockId: current.id, ...compileDataset(current) });
+      } else {
+        // General-purpose blocks (maths, text, loops) have no meaning in a data pipeline
+        skipped.push(type);
+      }
+    }
+
+    return { steps, skipped };
+  }
+
+  /**
+   * Compile every top-level block in the workspace into a pipeline program
+   *
+   * @param {Object} workspace - Blockly workspace
+   * @returns {{version: number, steps: Array<Object>, skipped: Array<string>}} Pipeline program
+   *
+   * @example
+   * const program = BlocklyPipeline.compileWorkspace(Blockly.getMainWorkspace());
+   * // { version: 1, steps: [{ kind: 'chart', source: 'original', operations: [...], chart: {...} }], skipped: [] }
+   */
+  function compileWorkspace(workspace) {
+    const program = { version: 1, steps: [], skipped: [] };
+    if (!workspace) return program;
+
+    workspace.getTopBlocks(true).forEach(block => {
+      const { steps, skipped } = compileBlock(block);
+      program.steps.push(...steps);
+      program.skipped.push(...skipped);
+    });
+    return program;
+  }
+
+  async function readSource(source, name, api) {
+    if (source === 'upload') {
+      if (!api || !api.getCsv) {
+        throw new Error('API not available');
+      }
+      const response = await api.getCsv(name);
+      return Array.isArray(response && response.data) ? response.data : [];
+    }
+    const store = window.Blockly && window.Blockly.CsvImportData;
+    if (!store) return [];
+    const data = source === 'original' ? (store.originalData || store.data) : store.data;
+    return window.BlocklyNormalizeData ? window.BlocklyNormalizeData(data) : (Array.isArray(data) ? data : []);
+  }
+
+  async function persistData(data) {
+    if (window.Blockly && window.Blockly.CsvImportData) {
+      window.Blockly.CsvImportData.data = data;
+    }
+    if (window.BlocklyPersistCsv) {
+      try { await window.BlocklyPersistCsv(data); } catch (_) { /* non-fatal */ }
+    }
+  }
+
+  function dispatchChart(detail) {
+    try { window.__lastChartGeneratedAt = Date.now(); } catch (_) { /* ignore */ }
+    if (typeof window.dispatchEvent === 'function' && typeof CustomEvent !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('chartGenerated', { detail }));
+    }
+  }
+
+  /**
+   * Save the dataset under the export name and announce a download URL
+   *
+   * The file is written to uploads/ first so the server can convert it;
+   * the page listens for `datasetExported` and starts the download.
+   * @private
+   */
+  async function exportData(step, data, api) {
+    if (!api || !api.saveCsv || !api.exportDatasetUrl) {
+      throw pipelineError({ id: step.blockId, type: 'export_dataset' }, 'Export API not available');
+    }
+    if (!Array.isArray(data) || data.length === 0) {
+      throw pipelineError({ id: step.blockId, type: 'export_dataset' }, 'There is no data to export');
+    }
+
+    const { format, filename, columns } = step.export;
+    let saved;
+    try {
+      saved = await api.saveCsv(data, `${filename}.csv`, true);
+    } catch (error) {
+      error.blockId = error.blockId || step.blockId;
+      throw error;
+    }
+    const name = (saved && saved.filename) || `${filename}.csv`;
+    const detail = {
+      format,
+      filename: `${name.replace(/\.csv$/i, '')}.${format}`,
+      url: api.exportDatasetUrl(name, format, columns),
+      rows: data.length
+    };
+    if (typeof window.dispatchEvent === 'function' && typeof CustomEvent !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('datasetExported', { detail }));
+    }
+    return { handled: 'datasetExported', ...detail };
+  }
+
+  function dispatchReports(reports) {
+    if (reports.length && typeof window.dispatchEvent === 'function' && typeof CustomEvent !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('pipelineReport', { detail: { reports } }));
+    }
+  }
+
+  /**
+   * Check a dataset's operations on the server before running them
+   *
+   * Every checked block gets a `validation` report, with a message when it
+   * has a problem and without one to clear an earlier warning. The first
+   * problem fails the run with the id of its block. Only the column names
+   * are sent; the rows go to the server once, when the operations run.
+   * @private
+   */
+  async function validateDataset(dataset, data, operations, api) {
+    if (!api || !api.validateOperations) {
+      return;
+    }
+    const columns = [];
+    (Array.isArray(data) ? data : []).forEach(row => {
+      if (row && typeof row === 'object') {
+        Object.keys(row).forEach(name => {
+          if (!columns.includes(name)) columns.push(name);
+        });
+      }
+    });
+    const result = await api.validateOperations(columns, operations);
+    if (!result || !Array.isArray(result.steps)) {
+      return;
+    }
+    const reports = result.steps.map(step => ({
+      type: 'validation',
+      step: step.step,
+      blockId: dataset.operations[step.step] ? dataset.operations[step.step].blockId : null,
+      message: step.errors.length ? step.errors.map(error => error.message).join('; ') : null
+    }));
+    dispatchReports(reports);
+    const failed = reports.find(report => report.message);
+    if (failed) {
+      const error = new Error(failed.message);
+      error.blockId = failed.blockId;
+      throw error;
+    }
+  }
+
+  /**
+   * Load a compiled dataset and run its operations
+   *
+   * Second datasets of join and append operations are loaded first and sent
+   * as rows. The operations are checked before they run, so a block with a
+   * missing column or setting is reported instead of failing part way
+   * through. Reports from the backend (such as unmatched join keys) are
+   * tagged with the id of the block that produced them and announced with a
+   * `pipelineReport` event.
+   * @private
+   */
+  async function loadDataset(dataset, api, options = {}) {
+    let data;
+    try {
+      data = await readSource(dataset.source, dataset.name, api);
+    } catch (error) {
+      error.blockId = error.blockId || dataset.blockId || null;
+      throw error;
+    }
+    if (dataset.operations.length === 0) {
+      return { data, processed: false };
+    }
+    if (!api || !api.processData) {
+      throw new Error('API not available');
+    }
+
+    const operations = [];
+    for (const { type, params } of dataset.operations) {
+      if (params && params.dataset && typeof params.dataset === 'object' && !Array.isArray(params.dataset)) {
+        const other = await loadDataset(params.dataset, api);
+        operations.push({ type, params: { ...params, dataset: other.data } });
+      } else {
+        operations.push({ type, params });
+      }
+    }
+
+    // Reports and trace steps name the operation by index; blocks know it by id
+    const tagged = entries => (entries || []).map(entry => ({
+      ...entry,
+      blockId: dataset.operations[entry.step] ? dataset.operations[entry.step].blockId : null
+    }));
+    const requestOptions = {
+      ...(options.preview ? { preview: options.preview } : {}),
+      ...(options.trace ? { trace: options.trace } : {})
+    };
+
+    let response;
+    try {
+      await validateDataset(dataset, data, operations, api);
+      response = Object.keys(requestOptions).length
+        ? await api.processData(data, operations, requestOptions)
+        : await api.processData(data, operations);
+    } catch (error) {
+      const last = dataset.operations[dataset.operations.length - 1];
+      error.blockId = error.blockId || last.blockId;
+      if (error.trace) error.trace = tagged(error.trace);
+      throw error;
+    }
+    dispatchReports(tagged(response && response.reports));
+    return {
+      data: response && response.data !== undefined ? response.data : data,
+      processed: true,
+      preview: response && response.preview,
+      ...(options.trace ? { input: data, trace: tagged(response && response.trace) } : {})
+    };
+  }
+
+  /**
+   * Run the chain ending at a dataset block without changing the current data
+   *
+   * Used to look at a reshaped table before charting it. Only the first
+   * `limit` rows come back from the server.
+   *
+   * @param {Object} block - Block with a Dataset output
+   * @param {number} [limit=20] - Rows to return
+   * @returns {Promise<{rows: Array<Object>, rowCount: number, columns: Array<string>}>}
+   * @throws {Error} With a blockId property when a block in the chain failed
+   */
+  async function preview(block, limit = 20) {
+    const loaded = await loadDataset(compileDataset(block), window.AppApi, { preview: limit });
+    if (loaded.preview) {
+      return { rows: loaded.data, rowCount: loaded.preview.rowCount, columns: loaded.preview.columns };
+    }
+    const rows = Array.isArray(loaded.data) ? loaded.data : [];
+    const columns = Array.from(new Set(rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : []))));
+    return { rows: rows.slice(0, limit), rowCount: rows.length, columns };
+  }
+
+  /**
+   * Run the chain ending at a dataset block and show what each block did
+   *
+   * Like preview, the current data is left alone. Every step lists the
+   * block that produced it (blockId), its row count, columns, first rows
+   * and how long it took; statistics give their result instead of rows.
+   *
+   * @param {Object} block - Block with a Dataset output
+   * @param {number} [sampleRows=5] - Rows to keep from each step
+   * @returns {Promise<{rowCount: number, columns: Array<string>, sample: Array<Object>, steps: Array<Object>}>}
+   *   The rows the chain starts from, and one entry per operation
+   * @throws {Error} With a blockId property when a block in the chain failed,
+   *   and the steps before it in a trace property
+   */
+  async function trace(block, sampleRows = 5) {
+    const loaded = await loadDataset(compileDataset(block), window.AppApi, { trace: sampleRows });
+    // Without operations nothing is sent, and the loaded data is where the chain starts
+    const input = loaded.processed ? loaded.input : loaded.data;
+    const start = Array.isArray(input) ? input : [];
+    return {
+      rowCount: start.length,
+      columns: Array.from(new Set(start.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))),
+      sample: start.slice(0, sampleRows),
+      steps: loaded.trace || []
+    };
+  }
+
+  async function runStep(step, api) {
+    const loaded = await loadDataset(step, api);
+    let data = loaded.data;
+    if (loaded.processed && Array.isArray(data)) {
+      await persistData(data);
+    }
+
+    if (step.kind === 'json') {
+      return JSON.stringify(data, null, 2);
+    }
+
+    if (step.kind === 'export') {
+      return exportData(step, data, api);
+    }
+
+    if (step.kind !== 'chart') {
+      return data;
+    }
+
+    const { chartType, options = {} } = step.chart;
+    const detail = {
+      chartType,
+      xColumn: options.xColumn || null,
+      yColumn: options.yColumn || null
+    };
+
+    if (!Array.isArray(data) || data.length === 0) {
+      dispatchChart({ ...detail, config: null, data: [] });
+      return { handled: 'chartGenerated', chartType, empty: true };
+    }
+    if (!api || !api.generateChart) {
+      throw new Error('Chart API not available');
+    }
+
+    if (step.operations.length === 0) {
+      await persistData(data);
+    }
+    const chartResult = await api.generateChart(data, chartType, options);
+    dispatchChart({ ...detail, config: chartResult.config, options, data });
+    return { handled: 'chartGenerated', chartType };
+  }
+
+  /**
+   * Execute a compiled pipeline program
+   *
+   * @param {Object} program - Output of compileWorkspace
+   * @returns {Promise<*>} Result of the last step: rows, a statistic, a JSON
+   *   string, `{ handled: 'chartGenerated' }` for charts or
+   *   `{ handled: 'datasetExported', url, filename }` for exports
+   * @throws {Error} With a blockId property when a specific block failed
+   */
+  async function runPipeline(program) {
+    const api = window.AppApi;
+    let result;
+    for (const step of (program && program.steps) || []) {
+      result = await runStep(step, api);
+    }
+    return result;
+  }
+
+  /**
+   * Compile and execute the workspace
+   *
+   * @param {Object} workspace - Blockly workspace
+   * @returns {Promise<{program: Object, result: *}>} Compiled program and its result
+   */
+  async function run(workspace) {
+    const program = compileWorkspace(workspace);
+    const result = await runPipeline(program);
+    return { program, result };
+  }
+
+  window.BlocklyPipeline = {
+    compileBlock,
+    compileWorkspace,
+    runPipeline,
+    preview,
+    trace,
+    run
+  };
+})();
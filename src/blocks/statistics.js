@@ -22,8 +22,12 @@
     }
   }
 
-  // Helper function to get available columns from CSV data
-  function getAvailableColumns() {
+  // Helper function to get available columns from CSV data; kinds such as
+  // 'numeric' are filtered by the shared schema-aware helper in data_ops.js
+  function getAvailableColumns(kind) {
+    if (window.BlocklyAutofill && window.BlocklyAutofill.getAvailableColumns) {
+      return window.BlocklyAutofill.getAvailableColumns(kind);
+    }
     const csvData = window.Blockly && window.Blockly.CsvImportData && window.Blockly.CsvImportData.data;
     if (csvData && Array.isArray(csvData) && csvData.length > 0) {
       return Object.keys(csvData[0]);
@@ -32,9 +36,9 @@
   }
 
   // Helper function to update field options with available columns
-  function updateFieldWithColumns(field, isMultiSelect = false) {
+  function updateFieldWithColumns(field, isMultiSelect = false, kind = null) {
     if (field && field.setOptions) {
-      const columns = getAvailableColumns();
+      const columns = getAvailableColumns(kind);
       if (columns.length > 0) {
         const options = isMultiSelect 
           ? [['All columns', 'all'], ...columns.map(col => [col, col])]
@@ -44,6 +48,38 @@
     }
   }
 
+  // Partition and order fields shared by the window blocks; "none" and
+  // "row_order" are the defaults that the autofill keeps as first option
+  const WINDOW_ARGS = [
+    { "type": "field_dropdown", "name": "PARTITION", "options": [["whole table", "none"]], "SERIALIZABLE": true },
+    { "type": "field_dropdown", "name": "ORDER_BY", "options": [["row order", "row_order"]], "SERIALIZABLE": true }
+  ];
+
+  // Trend shapes offered by the regression blocks, and the operation
+  // parameters each one stands for
+  const TREND_MODELS = [
+    ["straight line", "linear"],
+    ["quadratic curve", "quadratic"],
+    ["cubic curve", "cubic"],
+    ["exponential curve", "exponential"]
+  ];
+  const TREND_FITS = {
+    linear: { type: 'linearRegression', model: 'linear' },
+    quadratic: { type: 'polynomialRegression', model: 'polynomial', degree: 2 },
+    cubic: { type: 'polynomialRegression', model: 'polynomial', degree: 3 },
+    exponential: { type: 'exponentialRegression', model: 'exponential' }
+  };
+
+  // Like updateFieldWithColumns, keeping a fixed first option
+  function updateFieldWithChoice(field, first, kind) {
+    if (field && field.setOptions) {
+      const columns = getAvailableColumns(kind);
+      if (columns.length > 0) {
+        field.setOptions([first, ...columns.map(col => [col, col])]);
+      }
+    }
+  }
+
   function initializeStatisticsBlocks() {
     Blockly.defineBlocksWithJsonArray([
       // Descriptive Statistics Block
@@ -128,15 +164,30 @@
             "name": "METHOD",
             "options": [
               ["IQR (Interquartile Range)", "iqr"],
-              ["Z-Score", "zscore"]
+              ["Z-Score", "zscore"],
+              ["Modified Z-Score (median)", "modified_zscore"]
             ],
             "SERIALIZABLE": true
           },
           { "type": "input_value", "name": "DATA", "check": "Dataset" }
         ],
+        "message1": "then %1",
+        "args1": [
+          {
+            "type": "field_dropdown",
+            "name": "ACTION",
+            "options": [
+              ["mark them (true/false)", "flag"],
+              ["label them low/high", "label"],
+              ["remove them", "remove"],
+              ["cap them at the limit", "cap"]
+            ],
+            "SERIALIZABLE": true
+          }
+        ],
         "output": "Dataset",
         "colour": 40,
-        "tooltip": "Identify and mark outliers in a numeric column",
+        "tooltip": "Find unusually low or high values in a numeric column. The modified z-score uses the median, so a few extreme values cannot hide each other. Then mark, label, remove or cap them.",
         "helpUrl": ""
       },
 
@@ -179,6 +230,183 @@
         "colour": 40,
         "tooltip": "Calculate specific percentile of a numeric column",
         "helpUrl": ""
+      },
+
+      // Running Calculation Block
+      {
+        "type": "running_calculation",
+        "message0": "add %1 of %2 in %3",
+        "args0": [
+          {
+            "type": "field_dropdown",
+            "name": "CALCULATION",
+            "options": [
+              ["running total", "cumulativeSum"],
+              ["rank (largest first)", "rank"],
+              ["percent of total", "percentOfTotal"]
+            ],
+            "SERIALIZABLE": true
+          },
+          { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "message1": "for each %1 ordered by %2",
+        "args1": WINDOW_ARGS,
+        "output": "Dataset",
+        "colour": 40,
+        "tooltip": "Add a column with a running total, a rank or each row's percent of the total. Choose a column under \"for each\" to start again for every group, e.g. every suburb.",
+        "helpUrl": ""
+      },
+
+      // Moving Average Block
+      {
+        "type": "moving_average",
+        "message0": "add moving average of %1 over %2 rows in %3",
+        "args0": [
+          { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "field_number", "name": "WINDOW", "value": 3, "min": 1, "precision": 1 },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "message1": "for each %1 ordered by %2",
+        "args1": WINDOW_ARGS,
+        "output": "Dataset",
+        "colour": 40,
+        "tooltip": "Add a column with the average of each row and the rows just before it. The first rows stay empty until there are enough rows.",
+        "helpUrl": ""
+      },
+
+      // Compare With Earlier Rows Block
+      {
+        "type": "compare_rows",
+        "message0": "add %1 of %2 %3 rows away in %4",
+        "args0": [
+          {
+            "type": "field_dropdown",
+            "name": "CALCULATION",
+            "options": [
+              ["percent change from", "pctChange"],
+              ["value from earlier", "lag"],
+              ["value from later", "lead"]
+            ],
+            "SERIALIZABLE": true
+          },
+          { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "field_number", "name": "PERIODS", "value": 1, "min": 1, "precision": 1 },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "message1": "for each %1 ordered by %2",
+        "args1": WINDOW_ARGS,
+        "output": "Dataset",
+        "colour": 40,
+        "tooltip": "Compare each row with an earlier or later row, e.g. the change since last year when the rows are ordered by year.",
+        "helpUrl": ""
+      },
+
+      // One-Sample t-Test Block
+      {
+        "type": "one_sample_t_test",
+        "message0": "t-test: is the mean of %1 different from %2 in %3",
+        "args0": [
+          { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "field_number", "name": "MU", "value": 0 },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "output": "Statistics",
+        "colour": 40,
+        "tooltip": "Test whether the mean of a column is really different from a value, or could differ just by chance. Gives a p-value and an explanation.",
+        "helpUrl": ""
+      },
+
+      // Two-Sample t-Test Block
+      {
+        "type": "two_sample_t_test",
+        "message0": "t-test: compare the mean of %1 between the 2 groups of %2 in %3",
+        "args0": [
+          { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "field_dropdown", "name": "GROUP_COLUMN", "options": [["group_column", "group_column"]], "SERIALIZABLE": true },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "output": "Statistics",
+        "colour": 40,
+        "tooltip": "Test whether two groups really have different means, e.g. scores of two classes. The group column must have exactly two values; filter the data first if it has more.",
+        "helpUrl": ""
+      },
+
+      // Chi-Square Test Block
+      {
+        "type": "chi_square_test",
+        "message0": "chi-square test: are %1 and %2 related in %3",
+        "args0": [
+          { "type": "field_dropdown", "name": "COLUMN_A", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "field_dropdown", "name": "COLUMN_B", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "output": "Statistics",
+        "colour": 40,
+        "tooltip": "Test whether two category columns are related, e.g. suburb and offence type, by comparing the counts with what we would expect if they were not.",
+        "helpUrl": ""
+      },
+
+      // Confidence Interval Block
+      {
+        "type": "confidence_interval",
+        "message0": "%1 confidence interval for the %2 of %3 in %4",
+        "args0": [
+          {
+            "type": "field_dropdown",
+            "name": "LEVEL",
+            "options": [["95%", "0.95"], ["90%", "0.9"], ["99%", "0.99"]],
+            "SERIALIZABLE": true
+          },
+          {
+            "type": "field_dropdown",
+            "name": "TYPE",
+            "options": [["mean", "mean"], ["proportion", "proportion"]],
+            "SERIALIZABLE": true
+          },
+          { "type": "field_dropdown", "name": "COLUMN", "options": [["column", "column"]], "SERIALIZABLE": true },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "message1": "counting %1 as a success (proportions only)",
+        "args1": [
+          { "type": "field_input", "name": "SUCCESS", "text": "value", "SERIALIZABLE": true }
+        ],
+        "output": "Statistics",
+        "colour": 40,
+        "tooltip": "Give a range that probably contains the true mean of a column, or the true share of rows with a value such as \"Yes\".",
+        "helpUrl": ""
+      },
+
+      // Fit Trend Block
+      {
+        "type": "fit_trend",
+        "message0": "fit a %1 predicting %2 from %3 in %4",
+        "args0": [
+          { "type": "field_dropdown", "name": "MODEL", "options": TREND_MODELS, "SERIALIZABLE": true },
+          { "type": "field_dropdown", "name": "Y_COLUMN", "options": [["column_y", "column_y"]], "SERIALIZABLE": true },
+          { "type": "field_dropdown", "name": "X_COLUMN", "options": [["column_x", "column_x"]], "SERIALIZABLE": true },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "output": "Statistics",
+        "colour": 40,
+        "tooltip": "Find the line or curve that best fits two numeric columns. Gives its equation, r² (how much of the variation it explains) and the residuals.",
+        "helpUrl": ""
+      },
+
+      // Trend Predictions Block
+      {
+        "type": "add_trend_predictions",
+        "message0": "add %1 predictions of %2 from %3 in %4",
+        "args0": [
+          { "type": "field_dropdown", "name": "MODEL", "options": TREND_MODELS, "SERIALIZABLE": true },
+          { "type": "field_dropdown", "name": "Y_COLUMN", "options": [["column_y", "column_y"]], "SERIALIZABLE": true },
+          { "type": "field_dropdown", "name": "X_COLUMN", "options": [["column_x", "column_x"]], "SERIALIZABLE": true },
+          { "type": "input_value", "name": "DATA", "check": "Dataset" }
+        ],
+        "output": "Dataset",
+        "colour": 40,
+        "tooltip": "Add a column with the value the trend predicts for each row, and a column with the residual (the actual value minus the prediction).",
+        "helpUrl": ""
       }
     ]);
 
@@ -388,6 +616,7 @@
         const dataCode = getDataCode(block);
         const column = block.getFieldValue('COLUMN') || 'column';
         const method = block.getFieldValue('METHOD') || 'iqr';
+        const action = block.getFieldValue('ACTION') || 'flag';
         
         const safeColumn = column.replace(/'/g, "\\'").replace(/"/g, '\\"');
         
@@ -396,7 +625,7 @@
             const __input = (window.BlocklyNormalizeData ? window.BlocklyNormalizeData(${dataCode}) : (${dataCode} || []));
             if (!Array.isArray(__input)) { throw new Error('Input data must be an array'); }
             if (!window.AppApi || !window.AppApi.processData) { throw new Error('API not available'); }
-            const __res = await window.AppApi.processData(__input, [{ type: 'detectOutliers', params: { column: '${safeColumn}', method: '${method}' } }]);
+            const __res = await window.AppApi.processData(__input, [{ type: 'detectOutliers', params: { column: '${safeColumn}', method: '${method}', action: '${action}' } }]);
             const __data = (__res && __res.data) ? __res.data : __input;
             if (window.Blockly && window.Blockly.CsvImportData) { window.Blockly.CsvImportData.data = __data; }
             return __data;
@@ -457,6 +686,117 @@
         
         return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
       };
+
+      // Window generators: one operation that adds a column to every row
+      function windowCode(block, type, extra) {
+        const partition = block.getFieldValue('PARTITION') || 'none';
+        const orderBy = block.getFieldValue('ORDER_BY') || 'row_order';
+        return addColumnsCode(block, type, {
+          column: block.getFieldValue('COLUMN') || 'column',
+          ...(partition === 'none' ? {} : { partitionBy: partition }),
+          ...(orderBy === 'row_order' ? {} : { orderBy }),
+          ...extra
+        });
+      }
+
+      function addColumnsCode(block, type, params) {
+        const dataCode = getDataCode(block);
+        const code = `(async () => {
+          try {
+            const __input = (window.BlocklyNormalizeData ? window.BlocklyNormalizeData(${dataCode}) : (${dataCode} || []));
+            if (!Array.isArray(__input)) { throw new Error('Input data must be an array'); }
+            if (!window.AppApi || !window.AppApi.processData) { throw new Error('API not available'); }
+            const __res = await window.AppApi.processData(__input, [${JSON.stringify({ type, params })}]);
+            const __data = (__res && __res.data) ? __res.data : __input;
+            if (window.Blockly && window.Blockly.CsvImportData) { window.Blockly.CsvImportData.data = __data; }
+            return __data;
+          } catch (error) {
+            console.error('Add columns error:', error);
+            return (window.BlocklyNormalizeData ? window.BlocklyNormalizeData(${dataCode}) : (${dataCode} || []));
+          }
+        })()`;
+        return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+      }
+
+      // Inferential statistics generators: one operation returning a result object
+      function inferenceCode(block, type, params) {
+        const dataCode = getDataCode(block);
+        const code = `(async () => {
+          try {
+            const __input = (window.BlocklyNormalizeData ? window.BlocklyNormalizeData(${dataCode}) : (${dataCode} || []));
+            if (!Array.isArray(__input)) { throw new Error('Input data must be an array'); }
+            if (!window.AppApi || !window.AppApi.processData) { throw new Error('API not available'); }
+            const __res = await window.AppApi.processData(__input, [${JSON.stringify({ type, params })}]);
+            return __res && __res.data ? __res.data : {};
+          } catch (error) {
+            console.error('Statistical test error:', error);
+            return {};
+          }
+        })()`;
+        return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+      }
+
+      Blockly.JavaScript['one_sample_t_test'] = function(block) {
+        return inferenceCode(block, 'tTest', {
+          column: block.getFieldValue('COLUMN') || 'column',
+          mu: Number(block.getFieldValue('MU')) || 0
+        });
+      };
+
+      Blockly.JavaScript['two_sample_t_test'] = function(block) {
+        return inferenceCode(block, 'tTest', {
+          column: block.getFieldValue('COLUMN') || 'column',
+          groupColumn: block.getFieldValue('GROUP_COLUMN') || 'group_column'
+        });
+      };
+
+      Blockly.JavaScript['chi_square_test'] = function(block) {
+        return inferenceCode(block, 'chiSquareTest', {
+          columnA: block.getFieldValue('COLUMN_A') || 'column',
+          columnB: block.getFieldValue('COLUMN_B') || 'column'
+        });
+      };
+
+      Blockly.JavaScript['confidence_interval'] = function(block) {
+        const type = block.getFieldValue('TYPE') || 'mean';
+        return inferenceCode(block, 'confidenceInterval', {
+          column: block.getFieldValue('COLUMN') || 'column',
+          type,
+          level: Number(block.getFieldValue('LEVEL')) || 0.95,
+          ...(type === 'proportion' ? { success: block.getFieldValue('SUCCESS') || '' } : {})
+        });
+      };
+
+      Blockly.JavaScript['fit_trend'] = function(block) {
+        const { type, degree } = TREND_FITS[block.getFieldValue('MODEL')] || TREND_FITS.linear;
+        return inferenceCode(block, type, {
+          xColumn: block.getFieldValue('X_COLUMN') || 'column_x',
+          yColumn: block.getFieldValue('Y_COLUMN') || 'column_y',
+          ...(degree ? { degree } : {})
+        });
+      };
+
+      Blockly.JavaScript['add_trend_predictions'] = function(block) {
+        const { model, degree } = TREND_FITS[block.getFieldValue('MODEL')] || TREND_FITS.linear;
+        return addColumnsCode(block, 'trendPredictions', {
+          xColumn: block.getFieldValue('X_COLUMN') || 'column_x',
+          yColumn: block.getFieldValue('Y_COLUMN') || 'column_y',
+          model,
+          ...(degree ? { degree } : {})
+        });
+      };
+
+      Blockly.JavaScript['running_calculation'] = function(block) {
+        return windowCode(block, block.getFieldValue('CALCULATION') || 'cumulativeSum', {});
+      };
+
+      Blockly.JavaScript['moving_average'] = function(block) {
+        return windowCode(block, 'movingAverage', { window: Number(block.getFieldValue('WINDOW')) || 3 });
+      };
+
+      Blockly.JavaScript['compare_rows'] = function(block) {
+        return windowCode(block, block.getFieldValue('CALCULATION') || 'pctChange', { periods: Number(block.getFieldValue('PERIODS')) || 1 });
+      };
     }
 
     // Register forBlock mappings for newer Blockly generator API
@@ -471,6 +811,9 @@
       if (js['detect_outliers'] && !js.forBlock['detect_outliers']) js.forBlock['detect_outliers'] = (block, generator) => js['detect_outliers'](block, generator);
       if (js['frequency_count'] && !js.forBlock['frequency_count']) js.forBlock['frequency_count'] = (block, generator) => js['frequency_count'](block, generator);
       if (js['calculate_percentiles'] && !js.forBlock['calculate_percentiles']) js.forBlock['calculate_percentiles'] = (block, generator) => js['calculate_percentiles'](block, generator);
+      ['running_calculation', 'moving_average', 'compare_rows', 'one_sample_t_test', 'two_sample_t_test', 'chi_square_test', 'confidence_interval', 'fit_trend', 'add_trend_predictions'].forEach(type => {
+        if (js[type] && !js.forBlock[type]) js.forBlock[type] = (block, generator) => js[type](block, generator);
+      });
     }
 
     console.log('[Statistics Blocks] Loaded successfully');
@@ -491,13 +834,43 @@
       case 'calculate_median':
       case 'calculate_std':
       case 'detect_outliers':
-      case 'frequency_count':
       case 'calculate_percentiles':
+        updateFieldWithColumns(block.getField('COLUMN'), false, 'numeric');
+        break;
+      case 'frequency_count':
         updateFieldWithColumns(block.getField('COLUMN'));
         break;
       case 'calculate_correlation':
-        updateFieldWithColumns(block.getField('COLUMN_X'));
-        updateFieldWithColumns(block.getField('COLUMN_Y'));
+        updateFieldWithColumns(block.getField('COLUMN_X'), false, 'numeric');
+        updateFieldWithColumns(block.getField('COLUMN_Y'), false, 'numeric');
+        break;
+      case 'one_sample_t_test':
+        updateFieldWithColumns(block.getField('COLUMN'), false, 'numeric');
+        break;
+      case 'two_sample_t_test':
+        updateFieldWithColumns(block.getField('COLUMN'), false, 'numeric');
+        updateFieldWithColumns(block.getField('GROUP_COLUMN'), false, 'groupable');
+        break;
+      case 'chi_square_test':
+        updateFieldWithColumns(block.getField('COLUMN_A'), false, 'groupable');
+        updateFieldWithColumns(block.getField('COLUMN_B'), false, 'groupable');
+        break;
+      case 'confidence_interval':
+        // Proportions count text values, so every column is offered
+        updateFieldWithColumns(block.getField('COLUMN'));
+        break;
+      case 'fit_trend':
+      case 'add_trend_predictions':
+        updateFieldWithColumns(block.getField('X_COLUMN'), false, 'numeric');
+        updateFieldWithColumns(block.getField('Y_COLUMN'), false, 'numeric');
+        break;
+      case 'running_calculation':
+      case 'moving_average':
+      case 'compare_rows':
+        // Earlier and later values can be text, so compare_rows lists every column
+        updateFieldWithColumns(block.getField('COLUMN'), false, blockType === 'compare_rows' ? null : 'numeric');
+        updateFieldWithChoice(block.getField('PARTITION'), ['whole table', 'none'], 'groupable');
+        updateFieldWithChoice(block.getField('ORDER_BY'), ['row order', 'row_order'], 'ordered');
         break;
     }
   }
@@ -40,9 +40,13 @@
    * Extracts column names from the current CSV data
    * 
    * @private
+   * @param {string} [kind] - Column kind from BlocklyAutofill.COLUMN_KINDS (e.g. 'temporal')
    * @returns {Array<string>} Array of column names from the first data row
    */
-  function getAvailableColumns() {
+  function getAvailableColumns(kind) {
+    if (kind && window.BlocklyAutofill && window.BlocklyAutofill.getAvailableColumns) {
+      return window.BlocklyAutofill.getAvailableColumns(kind);
+    }
     const data = getCsvData();
     if (data.length > 0 && data[0] && typeof data[0] === 'object') {
       return Object.keys(data[0]);
@@ -55,10 +59,11 @@
    * 
    * @private
    * @param {Object} field - Blockly field object with setOptions method
+   * @param {string} [kind] - Only offer columns of this kind
    */
-  function updateFieldWithColumns(field) {
+  function updateFieldWithColumns(field, kind) {
     if (!field || !field.setOptions) return;
-    const columns = getAvailableColumns();
+    const columns = getAvailableColumns(kind);
     if (columns.length > 0) {
       field.setOptions(columns.map(col => [col, col]));
     }
@@ -80,7 +85,7 @@
 
   /**
    * Persist the current dataset to a CSV file on the server.
-   * Writes to /uploads/<filename> (sanitized) via backend API.
+   * Writes to the caller's uploads folder (sanitized filename) via backend API.
    * Attached to window for access from generated block code.
    * @param {Array<Object>} data
    */
@@ -94,6 +99,10 @@
       if (window.Blockly && window.Blockly.CsvImportData && res && res.path) {
         window.Blockly.CsvImportData.savedPath = res.path;
       }
+      // The server infers column types for every saved file; column dropdowns use them
+      if (window.Blockly && window.Blockly.CsvImportData && res && res.schema) {
+        window.Blockly.CsvImportData.schema = res.schema;
+      }
       return res;
     } catch (_e) {
       // Non-fatal; saving is best-effort
@@ -119,6 +128,12 @@
    * - tf_drop_duplicates: Remove duplicate rows based on a column
    * - tf_round_number: Round numeric values to specified decimal places
    * 
+   * and 4 date blocks:
+   * - tf_parse_date: Read date text (optionally with a format pattern) as ISO dates
+   * - tf_extract_date_part: Add a year/quarter/month/weekday/... column
+   * - tf_date_diff: Add the time between two date columns
+   * - tf_truncate_date: Bucket dates by week, month, quarter or year
+   * 
    * All blocks accept a dataset input and return a transformed dataset output,
    * allowing for chainable operations.
    * 
@@ -258,6 +273,69 @@
         colour: 200,
         tooltip: 'Round numbers to a fixed number of decimal places',
         helpUrl: ''
+      },
+      {
+        type: 'tf_parse_date',
+        message0: 'read %1 as dates using format %2 in %3',
+        args0: [
+          { type: 'field_dropdown', name: 'COLUMN', options: [['column','column']], SERIALIZABLE: true },
+          { type: 'field_input', name: 'FORMAT', text: '', SERIALIZABLE: true },
+          { type: 'input_value', name: 'DATA', check: 'Dataset' }
+        ],
+        output: 'Dataset',
+        colour: 200,
+        tooltip: 'Turn date text into YYYY-MM-DD dates. Leave the format blank to recognise common dates, or describe it, e.g. DD/MM/YYYY or D MMM YYYY HH:mm',
+        helpUrl: ''
+      },
+      {
+        type: 'tf_extract_date_part',
+        message0: 'get %1 of %2 as %3 in %4',
+        args0: [
+          { type: 'field_dropdown', name: 'PART', options: [
+            ['year','year'], ['quarter','quarter'], ['month','month'], ['month name','month_name'],
+            ['week number','week'], ['day','day'], ['weekday (1 = Monday)','weekday'],
+            ['weekday name','weekday_name'], ['hour','hour']
+          ] },
+          { type: 'field_dropdown', name: 'COLUMN', options: [['column','column']], SERIALIZABLE: true },
+          { type: 'field_input', name: 'OUTPUT', text: 'year', SERIALIZABLE: true },
+          { type: 'input_value', name: 'DATA', check: 'Dataset' }
+        ],
+        output: 'Dataset',
+        colour: 200,
+        tooltip: 'Add a column with one part of each date, such as the year or the day of the week',
+        helpUrl: ''
+      },
+      {
+        type: 'tf_date_diff',
+        message0: '%1 from %2 to %3 as %4 in %5',
+        args0: [
+          { type: 'field_dropdown', name: 'UNIT', options: [
+            ['days','days'], ['weeks','weeks'], ['months','months'], ['years','years'], ['hours','hours'], ['minutes','minutes']
+          ] },
+          { type: 'field_dropdown', name: 'START', options: [['column','column']], SERIALIZABLE: true },
+          { type: 'field_dropdown', name: 'END', options: [['column','column']], SERIALIZABLE: true },
+          { type: 'field_input', name: 'OUTPUT', text: 'days_between', SERIALIZABLE: true },
+          { type: 'input_value', name: 'DATA', check: 'Dataset' }
+        ],
+        output: 'Dataset',
+        colour: 200,
+        tooltip: 'Add a column with the time between two dates. Months and years count whole months',
+        helpUrl: ''
+      },
+      {
+        type: 'tf_truncate_date',
+        message0: 'group dates in %1 by %2 in %3',
+        args0: [
+          { type: 'field_dropdown', name: 'COLUMN', options: [['column','column']], SERIALIZABLE: true },
+          { type: 'field_dropdown', name: 'UNIT', options: [
+            ['month','month'], ['week','week'], ['quarter','quarter'], ['year','year'], ['day','day']
+          ] },
+          { type: 'input_value', name: 'DATA', check: 'Dataset' }
+        ],
+        output: 'Dataset',
+        colour: 200,
+        tooltip: 'Replace each date with the first day of its week (Monday), month, quarter or year so you can group by period',
+        helpUrl: ''
       }
     ]);
 
@@ -801,10 +879,124 @@
         return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
       };
 
+      /**
+       * Generates code that runs a single backend operation on the block's
+       * input, following the same steps as the generators above
+       * 
+       * @private
+       * @param {Object} block - Blockly block instance
+       * @param {Object} operation - { type, params } for DataProcessor
+       * @param {boolean} skip - True while a column field is still on its placeholder
+       * @param {string} label - Operation name for error messages
+       * @returns {Array} Tuple of [code string, order precedence]
+       */
+      function backendOperationCode(block, operation, skip, label) {
+        const dataCode = getDataCode(block);
+        const code = `(async () => {
+  const __normalize = window.BlocklyNormalizeData || function(input) {
+    if (Array.isArray(input)) return input;
+    if (input && Array.isArray(input.data)) return input.data;
+    if (typeof input === 'string') {
+      try { const p = JSON.parse(input); return Array.isArray(p) ? p : []; } catch (_) { return []; }
+    }
+    return [];
+  };
+  const __csvFallback = () => __normalize(window.Blockly && window.Blockly.CsvImportData ? window.Blockly.CsvImportData.data : null);
+  try {
+    let __rawData = ${dataCode};
+    if (__rawData && typeof __rawData.then === 'function') {
+      __rawData = await __rawData;
+    }
+    let __input = __normalize(__rawData);
+    if (!Array.isArray(__input)) {
+      __input = __csvFallback();
+    }
+    if (!Array.isArray(__input)) { throw new Error('Input data must be an array'); }
+    if (${skip ? 'true' : 'false'}) { return __input; }
+    if (!window.AppApi || !window.AppApi.processData) { throw new Error('API not available'); }
+    const __res = await window.AppApi.processData(__input, [${JSON.stringify(operation)}]);
+    const __data = (__res && __res.data) ? __res.data : __input;
+    if (window.Blockly && window.Blockly.CsvImportData) { window.Blockly.CsvImportData.data = __data; }
+    if (window.BlocklyPersistCsv) { try { await window.BlocklyPersistCsv(__data); } catch (_) {} }
+    return __data;
+  } catch (error) {
+    console.error(${JSON.stringify(label + ' error:')}, error);
+    return __csvFallback();
+  }
+})()`;
+        return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+      }
+
+      /**
+       * JavaScript generator for parse date block
+       * 
+       * Generates code that converts date text to ISO dates using the backend API,
+       * with an optional format pattern.
+       * 
+       * @param {Object} block - Blockly block instance
+       * @returns {Array} Tuple of [code string, order precedence]
+       */
+      Blockly.JavaScript['tf_parse_date'] = function(block) {
+        const column = block.getFieldValue('COLUMN') || 'column';
+        const format = String(block.getFieldValue('FORMAT') || '').trim();
+        const params = format ? { column, format } : { column };
+        return backendOperationCode(block, { type: 'parseDate', params }, column === 'column', 'Parse date');
+      };
+
+      /**
+       * JavaScript generator for extract date part block
+       * 
+       * Generates code that adds a column with one part of each date
+       * (year, month, weekday, ...) using the backend API.
+       * 
+       * @param {Object} block - Blockly block instance
+       * @returns {Array} Tuple of [code string, order precedence]
+       */
+      Blockly.JavaScript['tf_extract_date_part'] = function(block) {
+        const column = block.getFieldValue('COLUMN') || 'column';
+        const part = block.getFieldValue('PART') || 'year';
+        const output = block.getFieldValue('OUTPUT') || part;
+        return backendOperationCode(block, { type: 'extractDatePart', params: { column, part, output } }, column === 'column', 'Extract date part');
+      };
+
+      /**
+       * JavaScript generator for date difference block
+       * 
+       * Generates code that adds a column with the time between two date
+       * columns using the backend API.
+       * 
+       * @param {Object} block - Blockly block instance
+       * @returns {Array} Tuple of [code string, order precedence]
+       */
+      Blockly.JavaScript['tf_date_diff'] = function(block) {
+        const start = block.getFieldValue('START') || 'column';
+        const end = block.getFieldValue('END') || 'column';
+        const unit = block.getFieldValue('UNIT') || 'days';
+        const output = block.getFieldValue('OUTPUT') || `${unit}_between`;
+        const skip = start === 'column' || end === 'column';
+        return backendOperationCode(block, { type: 'dateDiff', params: { start, end, unit, output } }, skip, 'Date difference');
+      };
+
+      /**
+       * JavaScript generator for group dates block
+       * 
+       * Generates code that rounds dates down to the start of their week, month,
+       * quarter or year using the backend API.
+       * 
+       * @param {Object} block - Blockly block instance
+       * @returns {Array} Tuple of [code string, order precedence]
+       */
+      Blockly.JavaScript['tf_truncate_date'] = function(block) {
+        const column = block.getFieldValue('COLUMN') || 'column';
+        const unit = block.getFieldValue('UNIT') || 'month';
+        return backendOperationCode(block, { type: 'truncateDate', params: { column, unit } }, column === 'column', 'Group dates');
+      };
+
       // forBlock compatibility
       const js = Blockly.JavaScript;
       js.forBlock = js.forBlock || {};
-      ['tf_rename_column','tf_drop_column','tf_fill_missing','tf_replace_values','tf_cast_type','tf_string_transform','tf_split_column','tf_concat_columns','tf_drop_duplicates','tf_round_number']
+      ['tf_rename_column','tf_drop_column','tf_fill_missing','tf_replace_values','tf_cast_type','tf_string_transform','tf_split_column','tf_concat_columns','tf_drop_duplicates','tf_round_number',
+        'tf_parse_date','tf_extract_date_part','tf_date_diff','tf_truncate_date']
         .forEach(t => { if (!js.forBlock[t] && js[t]) { js.forBlock[t] = (block,g) => js[t](block,g); } });
     }
 
@@ -867,10 +1059,17 @@
         case 'tf_split_column':
         case 'tf_drop_duplicates':
         case 'tf_round_number':
+        case 'tf_parse_date':
           updateFieldWithColumns(block.getField('COLUMN')); break;
         case 'tf_concat_columns':
           updateFieldWithColumns(block.getField('COL1'));
           updateFieldWithColumns(block.getField('COL2')); break;
+        case 'tf_extract_date_part':
+        case 'tf_truncate_date':
+          updateFieldWithColumns(block.getField('COLUMN'), 'temporal'); break;
+        case 'tf_date_diff':
+          updateFieldWithColumns(block.getField('START'), 'temporal');
+          updateFieldWithColumns(block.getField('END'), 'temporal'); break;
       }
     }
 
@@ -899,7 +1098,11 @@
           block.type === 'tf_split_column' ||
           block.type === 'tf_concat_columns' ||
           block.type === 'tf_drop_duplicates' ||
-          block.type === 'tf_round_number'
+          block.type === 'tf_round_number' ||
+          block.type === 'tf_parse_date' ||
+          block.type === 'tf_extract_date_part' ||
+          block.type === 'tf_date_diff' ||
+          block.type === 'tf_truncate_date'
         )) {
           applyAutofillToTransformationBlock(block);
         }
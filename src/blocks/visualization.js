@@ -23,13 +23,13 @@
   }
 
   // Use existing autofill infrastructure from data_ops.js
-  function getAvailableColumns() {
+  function getAvailableColumns(kind) {
     console.log('📊 [Visualization getAvailableColumns] Checking for available columns...');
     
-    // Use the global autofill system if available
+    // Use the global autofill system if available (filters by column type for kinds like 'numeric')
     if (window.BlocklyAutofill && window.BlocklyAutofill.getAvailableColumns) {
       console.log('📊 [Visualization getAvailableColumns] Using global BlocklyAutofill system');
-      const columns = window.BlocklyAutofill.getAvailableColumns();
+      const columns = window.BlocklyAutofill.getAvailableColumns(kind);
       console.log('📊 [Visualization getAvailableColumns] Got columns from global system:', columns);
       return columns;
     }
@@ -51,8 +51,8 @@
   }
 
   // Use existing updateFieldWithColumns from data_ops.js
-  function updateFieldWithColumns(field, isMultiSelect = false) {
-    console.log('🔧 [Visualization updateFieldWithColumns] Called with field:', !!field, 'isMultiSelect:', isMultiSelect);
+  function updateFieldWithColumns(field, isMultiSelect = false, kind = null) {
+    console.log('🔧 [Visualization updateFieldWithColumns] Called with field:', !!field, 'isMultiSelect:', isMultiSelect, 'kind:', kind);
     
     if (!field) {
       console.log('🔧 [Visualization updateFieldWithColumns] No field provided');
@@ -64,14 +64,14 @@
     // Use the global autofill system if available
     if (window.BlocklyAutofill && window.BlocklyAutofill.updateFieldWithColumns) {
       console.log('🔧 [Visualization updateFieldWithColumns] Using global BlocklyAutofill system');
-      return window.BlocklyAutofill.updateFieldWithColumns(field, isMultiSelect);
+      return window.BlocklyAutofill.updateFieldWithColumns(field, isMultiSelect, kind);
     }
     
     console.log('🔧 [Visualization updateFieldWithColumns] Using fallback implementation');
     
     // Fallback implementation
     if (field && field.setOptions) {
-      const columns = getAvailableColumns();
+      const columns = getAvailableColumns(kind);
       console.log('🔧 [Visualization updateFieldWithColumns] Available columns:', columns);
       
       if (columns.length > 0) {
@@ -135,6 +135,31 @@
       label: 'Radar Chart',
       description: 'Displays multivariate data on axes starting from the same point. Shows strengths and weaknesses across categories.',
       bestFor: 'Multi-variable comparisons, performance metrics, and profile analysis'
+    },
+    'boxplot': {
+      label: 'Box Plot',
+      description: 'Summarises numbers with a box from the lower to the upper quartile, a line at the median and whiskers to the furthest typical values. Outliers are drawn as dots. Use the X column to draw one box per group.',
+      bestFor: 'Comparing distributions between groups and spotting outliers'
+    },
+    'groupedBar': {
+      label: 'Grouped Bar Chart',
+      description: 'Places a bar for each series side by side within every category. Uses every number column as a series, with the Y column first.',
+      bestFor: 'Comparing several measurements across the same categories'
+    },
+    'stackedBar': {
+      label: 'Stacked Bar Chart',
+      description: 'Stacks the series of each category into one bar, so the bar height is the total and each segment shows its share.',
+      bestFor: 'Totals and how they are made up, across categories'
+    },
+    'bubble': {
+      label: 'Bubble Chart',
+      description: 'A scatter plot whose points grow with a third number column, so three variables can be compared at once.',
+      bestFor: 'Relationships between three numeric variables'
+    },
+    'dotplot': {
+      label: 'Dot Plot',
+      description: 'Draws one dot for every row, stacked above its value, so each individual value stays visible.',
+      bestFor: 'Small datasets, counts of repeated values and the shape of a distribution'
     }
   };
 
@@ -312,7 +337,12 @@
       ["Area Chart", "area"],
       ["Histogram", "histogram"],
       ["Heatmap", "heatmap"],
-      ["Radar Chart", "radar"]
+      ["Radar Chart", "radar"],
+      ["Box Plot", "boxplot"],
+      ["Grouped Bar Chart", "groupedBar"],
+      ["Stacked Bar Chart", "stackedBar"],
+      ["Bubble Chart", "bubble"],
+      ["Dot Plot", "dotplot"]
     ];
 
     Blockly.Blocks['set_chart_type'] = {
@@ -473,6 +503,72 @@
         "helpUrl": ""
       },
 
+      // Trend Line Block
+      {
+        "type": "add_trend_line",
+        "message0": "add %1 trend line to %2",
+        "args0": [
+          {
+            "type": "field_dropdown",
+            "name": "MODEL",
+            "options": [
+              ["straight line", "linear"],
+              ["quadratic curve", "quadratic"],
+              ["cubic curve", "cubic"],
+              ["exponential curve", "exponential"]
+            ]
+          },
+          { "type": "input_value", "name": "CONFIG", "check": "ChartConfig" }
+        ],
+        "output": "ChartConfig",
+        "colour": 330,
+        "tooltip": "Draw the best-fitting line or curve over a scatter plot or line chart, with its equation and R² in the legend",
+        "helpUrl": ""
+      },
+
+      // Chart Theme Block
+      {
+        "type": "chart_theme",
+        "message0": "use %1 colours in %2 mode with %3 text %4 add patterns %5 to %6",
+        "args0": [
+          {
+            "type": "field_dropdown",
+            "name": "PALETTE",
+            "options": [
+              ["default", "default"],
+              ["colour-blind safe", "colorblind"],
+              ["high contrast", "highContrast"],
+              ["greyscale", "greyscale"]
+            ]
+          },
+          {
+            "type": "field_dropdown",
+            "name": "MODE",
+            "options": [
+              ["light", "light"],
+              ["dark", "dark"]
+            ]
+          },
+          {
+            "type": "field_dropdown",
+            "name": "FONT_SCALE",
+            "options": [
+              ["normal", "1"],
+              ["small", "0.85"],
+              ["large", "1.25"],
+              ["extra large", "1.5"]
+            ]
+          },
+          { "type": "input_dummy" },
+          { "type": "field_checkbox", "name": "PATTERNS", "checked": false },
+          { "type": "input_value", "name": "CONFIG", "check": "ChartConfig" }
+        ],
+        "output": "ChartConfig",
+        "colour": 330,
+        "tooltip": "Choose the chart's colour palette, light or dark background and text size; patterns tell bar series and pie slices apart without colour",
+        "helpUrl": ""
+      },
+
       // Generate Visualization Block
       {
         "type": "generate_visualization",
@@ -599,6 +695,55 @@
         return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
       };
 
+      // Trend Line Generator
+      Blockly.JavaScript['add_trend_line'] = function(block) {
+        const model = block.getFieldValue('MODEL') || 'linear';
+        const configCode = getConfigCode(block);
+        const trend = {
+          linear: { trendLine: 'linear' },
+          quadratic: { trendLine: 'polynomial', trendDegree: 2 },
+          cubic: { trendLine: 'polynomial', trendDegree: 3 },
+          exponential: { trendLine: 'exponential' }
+        }[model] || { trendLine: 'linear' };
+
+        const code = `(function() {
+          const config = ${configCode};
+          return {
+            ...config,
+            options: {
+              ...(config.options || {}),
+              ...${JSON.stringify(trend)}
+            }
+          };
+        })()`;
+
+        return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+      };
+
+      // Chart Theme Generator
+      Blockly.JavaScript['chart_theme'] = function(block) {
+        const configCode = getConfigCode(block);
+        const theme = {
+          palette: block.getFieldValue('PALETTE') || 'default',
+          mode: block.getFieldValue('MODE') || 'light',
+          fontScale: Number(block.getFieldValue('FONT_SCALE')) || 1,
+          patterns: block.getFieldValue('PATTERNS') === 'TRUE'
+        };
+
+        const code = `(function() {
+          const config = ${configCode};
+          return {
+            ...config,
+            options: {
+              ...(config.options || {}),
+              theme: ${JSON.stringify(theme)}
+            }
+          };
+        })()`;
+
+        return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+      };
+
       // Generate Visualization Generator
       Blockly.JavaScript['generate_visualization'] = function(block) {
         const configCode = getConfigCode(block);
@@ -900,6 +1045,8 @@
         'set_axes',
         'chart_options',
         'advanced_chart_options',
+        'add_trend_line',
+        'chart_theme',
         'generate_visualization',
         'quick_chart',
         'histogram_config',
@@ -949,22 +1096,22 @@
         const yField = block.getField('Y_COLUMN');
         console.log('🔧 [Visualization Autofill] X_COLUMN field:', !!xField, 'Y_COLUMN field:', !!yField);
         updateFieldWithColumns(xField);
-        updateFieldWithColumns(yField);
+        updateFieldWithColumns(yField, false, 'numeric');
         break;
       case 'quick_chart':
         console.log('🔧 [Visualization Autofill] Updating quick_chart fields');
         updateFieldWithColumns(block.getField('X_COLUMN'));
-        updateFieldWithColumns(block.getField('Y_COLUMN'));
+        updateFieldWithColumns(block.getField('Y_COLUMN'), false, 'numeric');
         break;
       case 'histogram_config':
         console.log('🔧 [Visualization Autofill] Updating histogram_config fields');
-        updateFieldWithColumns(block.getField('VALUE_COLUMN'));
+        updateFieldWithColumns(block.getField('VALUE_COLUMN'), false, 'numeric');
         break;
       case 'heatmap_config':
         console.log('🔧 [Visualization Autofill] Updating heatmap_config fields');
         updateFieldWithColumns(block.getField('X_COLUMN'));
         updateFieldWithColumns(block.getField('Y_COLUMN'));
-        updateFieldWithColumns(block.getField('VALUE_COLUMN'));
+        updateFieldWithColumns(block.getField('VALUE_COLUMN'), false, 'numeric');
         break;
     }
     
@@ -31,7 +31,10 @@ async function httpJson(path, options = {}) {
 	}
 	if (!res.ok) {
 		const message = (json && json.error) || `Request failed: ${res.status}`;
-		throw new Error(message);
+		const error = new Error(message);
+		// A failed traced run still reports the steps that worked
+		if (json && Array.isArray(json.trace)) error.trace = json.trace;
+		throw error;
 	}
 	return json;
 }
@@ -66,8 +69,14 @@ async function getTestData(type) {
  * 
  * @param {Array} data - Input data array to process
  * @param {Array} operations - Array of operation objects with type and params
+ * @param {Object} [options] - Request options
+ * @param {number} [options.preview] - Only return this many rows; the response's
+ *   `preview` gives the full row count and the columns
+ * @param {boolean|number} [options.trace] - Also return `trace`, the row count,
+ *   columns, sample rows and time of each step (a number sets the sample size)
  * @returns {Promise<Object>} Processed data response with success flag and processed data
- * @throws {Error} When API request fails or operations are invalid
+ * @throws {Error} When API request fails or operations are invalid; a traced
+ *   request's error has the steps that ran in `trace`
  * 
  * @example
  * // Filter and sort data
@@ -79,11 +88,68 @@ async function getTestData(type) {
  * 
  * @since 1.0.0
  */
-async function processData(data, operations = []) {
+async function processData(data, operations = [], options = {}) {
 	return httpJson('/api/process-data', {
 		method: 'POST',
 		headers: BASE_HEADERS,
-		body: JSON.stringify({ data, operations })
+		body: JSON.stringify({
+			data,
+			operations,
+			...(options.preview ? { preview: options.preview } : {}),
+			...(options.trace ? { trace: options.trace } : {})
+		})
+	});
+}
+
+/**
+ * Check operations before running them
+ *
+ * Nothing is run: each step's params are checked against the operation's
+ * schema and the columns it would receive. Only column names are sent, so
+ * large datasets are not uploaded twice.
+ *
+ * @param {Array<string>} columns - Columns of the rows the operations would run on
+ * @param {Array} operations - Operations as for processData
+ * @returns {Promise<Object>} { success, valid, steps, columns, output } where
+ *   each step has `errors` ({ param, message }) and its predicted `columns`
+ *
+ * @example
+ * const check = await validateOperations(['suburb', 'offences'], operations);
+ * const failed = check.steps.find(step => !step.valid);
+ *
+ * @since 1.3.0
+ */
+async function validateOperations(columns, operations = []) {
+	return httpJson('/api/process-data/validate', {
+		method: 'POST',
+		headers: BASE_HEADERS,
+		body: JSON.stringify({ columns, operations })
+	});
+}
+
+/**
+ * Process several saved datasets together
+ *
+ * Join, append and union operations name their second dataset in
+ * params.dataset; the response lists unmatched join keys in `reports`.
+ *
+ * @param {Object|Array<string>} datasets - { name: filename } or a list of filenames in uploads/
+ * @param {Array} operations - Operations to run, starting from the base dataset
+ * @param {string} [base] - Name of the dataset to start from (the first one by default)
+ * @returns {Promise<Object>} { success, data, summary, reports }
+ *
+ * @example
+ * await processDatasets({ crime: 'crime.csv', people: 'population.csv' }, [
+ *   { type: 'join', params: { dataset: 'people', on: 'suburb', how: 'left' } }
+ * ]);
+ *
+ * @since 1.2.0
+ */
+async function processDatasets(datasets, operations = [], base) {
+	return httpJson('/api/process-datasets', {
+		method: 'POST',
+		headers: BASE_HEADERS,
+		body: JSON.stringify({ datasets, operations, base })
 	});
 }
 
@@ -108,6 +174,22 @@ async function getCsv(filename) {
   });
 }
 
+/**
+ * Build the download URL for a saved dataset in another format
+ *
+ * @param {string} name - Dataset filename in uploads/ (e.g. "cleaned.csv")
+ * @param {string} [format='csv'] - csv, xlsx, json, ndjson or html
+ * @param {Array<string>} [columns] - Columns to include, in output order
+ * @returns {string} URL of GET /api/datasets/:name/export
+ *
+ * @since 1.2.0
+ */
+function exportDatasetUrl(name, format = 'csv', columns = []) {
+  const params = new URLSearchParams({ format });
+  if (columns && columns.length) params.set('columns', columns.join(','));
+  return `/api/datasets/${encodeURIComponent(name)}/export?${params.toString()}`;
+}
+
 async function listCsvFiles() {
   return httpJson('/api/list-files', { method: 'GET', headers: BASE_HEADERS });
 }
@@ -119,6 +201,91 @@ async function uploadCsv(file) {
   return res.json();
 }
 
+/**
+ * List the saved datasets the signed-in user can see
+ *
+ * Students get their own datasets; facilitators get everyone's.
+ *
+ * @param {Object} [filter] - projectId and, for facilitators, ownerId
+ * @returns {Promise<Object>} { success, datasets } where each dataset has id,
+ *   filename, originalName, ownerId, projectId, size, rowCount, columnCount,
+ *   createdAt, updatedAt and path
+ *
+ * @example
+ * const { datasets } = await listDatasets({ projectId: 3 });
+ *
+ * @since 1.3.0
+ */
+async function listDatasets(filter = {}) {
+	const params = new URLSearchParams();
+	Object.entries(filter).forEach(([key, value]) => {
+		if (value !== undefined && value !== null) params.set(key, String(value));
+	});
+	const query = params.toString();
+	return httpJson(`/api/datasets${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Get a saved dataset's record, including its schema
+ *
+ * @param {string} id - Dataset ID (e.g. "ds_1a2b3c4d5e6f")
+ * @returns {Promise<Object>} { success, dataset }
+ *
+ * @since 1.3.0
+ */
+async function getDataset(id) {
+	return httpJson(`/api/datasets/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Rename a saved dataset
+ *
+ * @param {string} id - Dataset ID
+ * @param {string} filename - New filename (.csv is added when missing)
+ * @returns {Promise<Object>} { success, dataset }
+ * @throws {Error} When another dataset already has that name
+ *
+ * @since 1.3.0
+ */
+async function renameDataset(id, filename) {
+	return httpJson(`/api/datasets/${encodeURIComponent(id)}`, {
+		method: 'PATCH',
+		headers: BASE_HEADERS,
+		body: JSON.stringify({ filename })
+	});
+}
+
+/**
+ * Delete a saved dataset and its file
+ *
+ * @param {string} id - Dataset ID
+ * @returns {Promise<Object>} { success }
+ *
+ * @since 1.3.0
+ */
+async function deleteDataset(id) {
+	return httpJson(`/api/datasets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Parse a CSV, TSV, Excel (.xlsx), JSON or NDJSON file on the server
+ *
+ * @param {File} file - File chosen by the user
+ * @param {Object} [options] - format, sheet (name or 1-based number), delimiter, headerRow
+ * @returns {Promise<Object>} { success, headers, data, errors, meta } or { error }
+ *
+ * @since 1.2.0
+ */
+async function importData(file, options = {}) {
+  const form = new FormData();
+  form.append('file', file);
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) form.append(key, String(value));
+  });
+  const res = await fetch('/api/import-data', { method: 'POST', body: form });
+  return res.json();
+}
+
 /**
  * Generate chart configuration from data
  * 
@@ -150,6 +317,42 @@ async function generateChart(data, chartType, options = {}) {
 	});
 }
 
+/**
+ * Render a chart to an SVG or PNG image on the server
+ *
+ * Pass either a Chart.js config (such as the `config` returned by
+ * generateChart) or the same data, chartType and options generateChart takes.
+ *
+ * @param {Object} chart - { config } or { data, chartType, options }
+ * @param {Object} [image] - format ('svg' or 'png'), width, height (100-2000 pixels), background
+ * @returns {Promise<Blob>} The image
+ * @throws {Error} When the chart cannot be rendered
+ *
+ * @example
+ * const png = await renderChart({ data, chartType: 'bar', options: { xColumn: 'month', yColumn: 'sales' } },
+ *   { format: 'png', width: 320, height: 200 });
+ * img.src = URL.createObjectURL(png);
+ *
+ * @since 1.3.0
+ */
+async function renderChart(chart, image = {}) {
+	const res = await fetch('/api/render-chart', {
+		method: 'POST',
+		headers: BASE_HEADERS,
+		body: JSON.stringify({ ...chart, ...image })
+	});
+	if (!res.ok) {
+		let json = null;
+		try {
+			json = await res.json();
+		} catch (_) {
+			// ignore json parse errors
+		}
+		throw new Error((json && json.error) || `Request failed: ${res.status}`);
+	}
+	return res.blob();
+}
+
 /**
  * Generate AR-specific visualization data
  * 
@@ -176,16 +379,60 @@ async function generateArVisualization(data, visualizationType, markerId) {
 	});
 }
 
+/**
+ * Load the Blockly workspace a student saved for a project
+ * 
+ * @param {number|string} projectId - Project ID
+ * @param {string} studentId - Student identifier
+ * @returns {Promise<Object>} Response with workspace (null if nothing saved yet) and updatedAt
+ * @throws {Error} When the project does not exist or the request fails
+ * 
+ * @since 1.1.0
+ */
+async function getWorkspace(projectId, studentId) {
+	return httpJson(`/api/projects/${encodeURIComponent(projectId)}/workspace?studentId=${encodeURIComponent(studentId)}`);
+}
+
+/**
+ * Save a student's Blockly workspace for a project
+ * 
+ * @param {number|string} projectId - Project ID
+ * @param {string} studentId - Student identifier
+ * @param {Object} workspace - Output of Blockly.serialization.workspaces.save()
+ * @returns {Promise<Object>} Response with success flag and updatedAt
+ * @throws {Error} When the project does not exist or the request fails
+ * 
+ * @since 1.1.0
+ */
+async function saveWorkspace(projectId, studentId, workspace) {
+	return httpJson(`/api/projects/${encodeURIComponent(projectId)}/workspace`, {
+		method: 'PUT',
+		headers: BASE_HEADERS,
+		body: JSON.stringify({ studentId, workspace })
+	});
+}
+
 // Expose for any vanilla JS usage if needed
 if (typeof window !== 'undefined') {
 	window.AppApi = {
 		getTestData,
 		processData,
+		validateOperations,
+		processDatasets,
     saveCsv,
     getCsv,
     listCsvFiles,
+    exportDatasetUrl,
     uploadCsv,
+    importData,
+		listDatasets,
+		getDataset,
+		renameDataset,
+		deleteDataset,
 		generateChart,
-		generateArVisualization
+		renderChart,
+		generateArVisualization,
+		getWorkspace,
+		saveWorkspace
 	};
 }
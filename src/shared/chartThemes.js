@@ -0,0 +1,388 @@
+/**
+ * Chart Themes Module
+ *
+ * Named colour palettes, light and dark modes, font scaling and pattern
+ * fills shared by everything that draws a chart: ChartGenerator (and so
+ * /api/generate-chart), the server-side renderer, the Blockly preview and
+ * the AR ChartManager. A theme is a palette name or an object:
+ *
+ *   { palette: 'colorblind', mode: 'dark', fontScale: 1.5, patterns: true }
+ *
+ * applyTheme() writes the theme into a Chart.js config (text, grid and axis
+ * colours, font sizes, a pattern name per bar series or pie slice) and keeps
+ * it on `config.theme`, so whoever draws the config can paint the background
+ * and the patterns. Loads in Node (module.exports) and in the browser
+ * (window.ChartThemes).
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+(function () {
+  /**
+   * Colour palettes; `dark` replaces colours that vanish on a dark background
+   * @type {Object<string, { label: string, colors: Array<string>, dark?: Array<string> }>}
+   */
+  const PALETTES = {
+    default: {
+      label: 'Default',
+      colors: [
+        '#2d8cf0', '#19be6b', '#ed4014', '#ff9900', '#9c26b0',
+        '#00bcd4', '#ff5722', '#4caf50', '#2196f3', '#ff9800',
+        '#9c27b0', '#607d8b', '#795548', '#e91e63', '#3f51b5'
+      ]
+    },
+    // Okabe-Ito: told apart with any of the common colour vision deficiencies
+    colorblind: {
+      label: 'Colour-blind safe',
+      colors: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000'],
+      dark: ['#56b4e9', '#e69f00', '#009e73', '#cc79a7', '#0072b2', '#d55e00', '#f0e442', '#ffffff']
+    },
+    highContrast: {
+      label: 'High contrast',
+      colors: ['#000000', '#0044cc', '#d40000', '#007a00', '#7a00cc', '#b35900'],
+      dark: ['#ffffff', '#66b3ff', '#ff6666', '#66ff66', '#ffcc00', '#ff99ff']
+    },
+    greyscale: {
+      label: 'Greyscale',
+      colors: ['#252525', '#737373', '#bdbdbd', '#525252', '#969696', '#d9d9d9'],
+      dark: ['#f0f0f0', '#a3a3a3', '#6b6b6b', '#d4d4d4', '#858585', '#4a4a4a']
+    }
+  };
+
+  /**
+   * Background, text, axis and grid colours of each mode
+   * @type {Object<string, { background: string, text: string, axis: string, grid: string }>}
+   */
+  const MODES = {
+    light: { background: '#ffffff', text: '#17233d', axis: '#515a6e', grid: '#e8eaec' },
+    dark: { background: '#1c2438', text: '#f5f7fa', axis: '#c5c8ce', grid: '#3a4358' }
+  };
+
+  // Chart.js font sizes at fontScale 1
+  const FONT_SIZES = { title: 16, label: 12 };
+  const MIN_FONT_SCALE = 0.5;
+  const MAX_FONT_SCALE = 3;
+
+  // Pattern fills, in the order series and slices take them
+  const PATTERNS = ['diagonal', 'dots', 'vertical', 'diagonalLeft', 'horizontal', 'cross'];
+  // Patterns repeat every PATTERN_TILE pixels from the top left of the chart
+  const PATTERN_TILE = 8;
+
+  // Distance from v to the nearest multiple of the tile size
+  const offTile = v => Math.abs(v - PATTERN_TILE * Math.round(v / PATTERN_TILE));
+  const inTile = v => v - PATTERN_TILE * Math.floor(v / PATTERN_TILE);
+
+  /**
+   * Each pattern as an SVG path in one tile (stroked 2px wide unless
+   * `filled`) and as a test of whether it covers the pixel centred at (x, y),
+   * so SVG, PNG and canvas output draw the same marks
+   * @type {Object<string, { path: string, filled?: boolean, covers: Function }>}
+   */
+  const PATTERN_SHAPES = {
+    diagonal: {
+      path: 'M-2,2L2,-2M0,8L8,0M6,10L10,6',
+      covers: (x, y) => offTile(x + y) < Math.SQRT2
+    },
+    dots: {
+      path: 'M3,3h2v2h-2z',
+      filled: true,
+      covers: (x, y) => inTile(x) > 3 && inTile(x) < 5 && inTile(y) > 3 && inTile(y) < 5
+    },
+    vertical: {
+      path: 'M1,0V8',
+      covers: x => offTile(x - 1) < 1
+    },
+    diagonalLeft: {
+      path: 'M0,0L8,8M-2,6L2,10M6,-2L10,2',
+      covers: (x, y) => offTile(x - y) < Math.SQRT2
+    },
+    horizontal: {
+      path: 'M0,1H8',
+      covers: (x, y) => offTile(y - 1) < 1
+    },
+    cross: {
+      path: 'M1,0V8M0,1H8',
+      covers: (x, y) => offTile(x - 1) < 1 || offTile(y - 1) < 1
+    }
+  };
+
+  // Pattern marks: light ones on dark fills, dark ones on light fills
+  const PATTERN_INKS = {
+    light: 'rgba(255, 255, 255, 0.6)',
+    dark: 'rgba(0, 0, 0, 0.45)'
+  };
+
+  /**
+   * Check a theme and fill in its defaults
+   * @param {string|Object} [theme] - Palette name or { palette, mode, fontScale, patterns }
+   * @returns {{ palette: string, mode: string, fontScale: number, patterns: boolean }}
+   * @throws {Error} If a setting is not one the module knows
+   */
+  function resolveTheme(theme) {
+    const given = typeof theme === 'string' ? { palette: theme } : theme || {};
+    if (typeof given !== 'object' || Array.isArray(given)) {
+      throw new Error('theme must be a palette name or an object');
+    }
+    const resolved = {
+      palette: given.palette || 'default',
+      mode: given.mode || 'light',
+      fontScale: given.fontScale === undefined || given.fontScale === null ? 1 : Number(given.fontScale),
+      patterns: given.patterns === true || given.patterns === 'true'
+    };
+    if (!Object.prototype.hasOwnProperty.call(PALETTES, resolved.palette)) {
+      throw new Error(`theme palette must be one of ${Object.keys(PALETTES).join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(MODES, resolved.mode)) {
+      throw new Error(`theme mode must be one of ${Object.keys(MODES).join(', ')}`);
+    }
+    if (!(resolved.fontScale >= MIN_FONT_SCALE && resolved.fontScale <= MAX_FONT_SCALE)) {
+      throw new Error(`theme fontScale must be a number from ${MIN_FONT_SCALE} to ${MAX_FONT_SCALE}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * A theme's palette, with its dark colours in dark mode
+   * @param {string|Object} [theme] - Theme; the default palette when omitted
+   * @returns {Array<string>} Hex colours
+   */
+  function paletteOf(theme) {
+    const { palette, mode } = resolveTheme(theme);
+    return (mode === 'dark' && PALETTES[palette].dark) || PALETTES[palette].colors;
+  }
+
+  /**
+   * Colours from a theme's palette, repeating when more are needed
+   * @param {number} count - Number of colours
+   * @param {string|Object} [theme] - Theme; the default palette when omitted
+   * @returns {Array<string>} Hex colours
+   */
+  function paletteColors(count, theme) {
+    const colors = paletteOf(theme);
+    return Array.from({ length: count }, (value, index) => colors[index % colors.length]);
+  }
+
+  /**
+   * Read a #rgb, #rrggbb(aa), rgb() or rgba() colour
+   * @private
+   * @returns {{ r: number, g: number, b: number }|null}
+   */
+  function channelsOf(color) {
+    if (color && typeof color === 'object') return color;
+    if (typeof color !== 'string') return null;
+    const hex = color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      return { r: parseInt(digits.slice(0, 2), 16), g: parseInt(digits.slice(2, 4), 16), b: parseInt(digits.slice(4, 6), 16) };
+    }
+    const rgb = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/i);
+    return rgb ? { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) } : null;
+  }
+
+  /**
+   * The same colour with an alpha channel
+   * @param {string} color - Hex or rgb() colour
+   * @param {number} alpha - From 0 to 1
+   * @returns {string} rgba() colour, or the colour unchanged if it cannot be read
+   */
+  function withAlpha(color, alpha) {
+    const channels = channelsOf(color);
+    return channels ? `rgba(${channels.r}, ${channels.g}, ${channels.b}, ${alpha})` : color;
+  }
+
+  /**
+   * Which PATTERN_INKS entry shows up on a fill colour
+   * @param {string|Object} color - Fill colour, as a string or { r, g, b }
+   * @returns {string} 'light' or 'dark'
+   */
+  function patternInk(color) {
+    const channels = channelsOf(color);
+    if (!channels) return 'light';
+    const luminance = (0.299 * channels.r + 0.587 * channels.g + 0.114 * channels.b) / 255;
+    return luminance > 0.6 ? 'dark' : 'light';
+  }
+
+  /**
+   * Whether a pattern marks a pixel
+   * @param {string} name - One of PATTERNS
+   * @param {number} x - Pixel column
+   * @param {number} y - Pixel row
+   * @returns {boolean}
+   */
+  function patternCovers(name, x, y) {
+    const shape = PATTERN_SHAPES[name];
+    return Boolean(shape) && shape.covers(x + 0.5, y + 0.5);
+  }
+
+  /**
+   * Set text, grid and axis colours and font sizes on a set of Chart.js scales
+   * @private
+   */
+  function themeScales(scales, colors, labelSize) {
+    Object.keys(scales).forEach(key => {
+      const scale = scales[key] || {};
+      const font = { ...((scale.ticks && scale.ticks.font) || {}), size: labelSize };
+      scale.ticks = { ...scale.ticks, color: colors.text, font };
+      scale.grid = { ...scale.grid, color: colors.grid };
+      scale.border = { ...scale.border, color: colors.axis };
+      if (scale.title) {
+        scale.title = { ...scale.title, color: colors.text, font: { ...(scale.title.font || {}), size: labelSize } };
+      }
+      if (key === 'r') {
+        scale.ticks.backdropColor = colors.background;
+        scale.angleLines = { ...scale.angleLines, color: colors.grid };
+        scale.pointLabels = { ...scale.pointLabels, color: colors.text, font: { ...((scale.pointLabels && scale.pointLabels.font) || {}), size: labelSize } };
+      }
+      scales[key] = scale;
+    });
+  }
+
+  /**
+   * Apply a theme to a Chart.js config
+   *
+   * Sets the title, legend and axis colours and font sizes, gives each bar
+   * series (or each pie and doughnut slice) a `pattern` name when the theme
+   * asks for patterns, and keeps the resolved theme with its background
+   * colour on `config.theme`. Dataset colours are left alone: ChartGenerator
+   * picks them from the palette before the chart is built.
+   * @param {Object} config - Chart.js config, changed in place
+   * @param {string|Object} [theme] - Theme
+   * @returns {Object} The config
+   */
+  function applyTheme(config, theme) {
+    const resolved = resolveTheme(theme);
+    const colors = MODES[resolved.mode];
+    const labelSize = Math.round(FONT_SIZES.label * resolved.fontScale);
+    const options = config.options || (config.options = {});
+    const plugins = options.plugins || (options.plugins = {});
+
+    plugins.title = {
+      ...plugins.title,
+      color: colors.text,
+      font: { ...((plugins.title && plugins.title.font) || {}), size: Math.round(FONT_SIZES.title * resolved.fontScale) }
+    };
+    const legend = plugins.legend || {};
+    plugins.legend = {
+      ...legend,
+      labels: { ...legend.labels, color: colors.text, font: { ...((legend.labels && legend.labels.font) || {}), size: labelSize } }
+    };
+
+    const sliced = ['pie', 'doughnut', 'polarArea'].includes(config.type);
+    const radial = ['radar', 'polarArea'].includes(config.type);
+    if (!options.scales && !(sliced && !radial)) {
+      options.scales = radial ? { r: {} } : { x: {}, y: {} };
+    }
+    if (options.scales) themeScales(options.scales, colors, labelSize);
+
+    if (resolved.patterns) {
+      let next = 0;
+      ((config.data && config.data.datasets) || []).forEach(dataset => {
+        if (sliced) {
+          dataset.pattern = (dataset.data || []).map((value, index) => PATTERNS[index % PATTERNS.length]);
+          return;
+        }
+        // Thin bars (box plot whiskers) are too narrow to show a pattern
+        if ((dataset.type || config.type) !== 'bar' || Number(dataset.barPercentage) < 0.2) return;
+        dataset.pattern = PATTERNS[next++ % PATTERNS.length];
+      });
+    }
+
+    config.theme = { ...resolved, background: colors.background };
+    return config;
+  }
+
+  /**
+   * Paint a fill colour with a pattern on a canvas tile
+   * @private
+   * @returns {CanvasPattern|null} Null when the canvas cannot draw paths
+   */
+  function canvasPattern(doc, name, color) {
+    const shape = PATTERN_SHAPES[name];
+    const tile = doc.createElement('canvas');
+    tile.width = PATTERN_TILE;
+    tile.height = PATTERN_TILE;
+    const ctx = tile.getContext && tile.getContext('2d');
+    if (!shape || !ctx || typeof Path2D === 'undefined') return null;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, PATTERN_TILE, PATTERN_TILE);
+    const path = new Path2D(shape.path);
+    const ink = PATTERN_INKS[patternInk(color)];
+    if (shape.filled) {
+      ctx.fillStyle = ink;
+      ctx.fill(path);
+    } else {
+      ctx.strokeStyle = ink;
+      ctx.lineWidth = 2;
+      ctx.stroke(path);
+    }
+    return ctx.createPattern(tile, 'repeat');
+  }
+
+  /**
+   * Ready a themed config for Chart.js in the browser
+   *
+   * Chart.js draws neither a background nor named patterns, so this returns
+   * a copy whose patterned datasets fill with canvas patterns and which
+   * carries a plugin painting the theme background. The config itself is
+   * left as it is, so it can still be saved or sent to /api/render-chart.
+   * @param {Object} config - Chart.js config, after applyTheme
+   * @param {Document} [doc] - Document to make pattern tiles in
+   * @returns {Object} Config to pass to `new Chart`
+   */
+  function forCanvas(config, doc) {
+    if (!config || !config.theme) return config;
+    const datasets = ((config.data && config.data.datasets) || []).map(dataset => {
+      const background = dataset.backgroundColor;
+      if (!dataset.pattern || !doc || typeof background === 'function') return dataset;
+      const colorAt = index => (Array.isArray(background) ? background[index % background.length] : background);
+      const fill = (name, color) => canvasPattern(doc, name, color) || color;
+      let backgroundColor;
+      if (Array.isArray(dataset.pattern)) {
+        backgroundColor = dataset.pattern.map((name, index) => fill(name, colorAt(index)));
+      } else {
+        backgroundColor = Array.isArray(background) ? background.map(color => fill(dataset.pattern, color)) : fill(dataset.pattern, background);
+      }
+      return { ...dataset, backgroundColor };
+    });
+    const fillBackground = {
+      id: 'themeBackground',
+      beforeDraw(chart) {
+        const { ctx, width, height } = chart;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = config.theme.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+      }
+    };
+    return {
+      ...config,
+      data: { ...config.data, datasets },
+      plugins: [...(config.plugins || []), fillBackground]
+    };
+  }
+
+  const ChartThemes = {
+    PALETTES,
+    MODES,
+    PATTERNS,
+    PATTERN_TILE,
+    PATTERN_SHAPES,
+    PATTERN_INKS,
+    resolveTheme,
+    paletteOf,
+    paletteColors,
+    withAlpha,
+    patternInk,
+    patternCovers,
+    applyTheme,
+    forCanvas
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartThemes;
+  }
+  if (typeof window !== 'undefined') {
+    window.ChartThemes = ChartThemes;
+  }
+})();
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for ChartManager chart data preparation
+ */
+
+global.window = global.window || {};
+const { ChartManager } = require('../../src/ar/chart-manager');
+
+describe('ChartManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ChartManager(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.Chart;
+  });
+
+  const classes = [
+    { student: 'Ada', class: 'A', score: 5, age: 12 },
+    { student: 'Bo', class: 'A', score: 7, age: 13 },
+    { student: 'Cy', class: 'A', score: 8, age: 12 },
+    { student: 'Di', class: 'A', score: 9, age: 14 },
+    { student: 'Ed', class: 'A', score: 40, age: 13 },
+    { student: 'Flo', class: 'B', score: 6, age: 12 }
+  ];
+
+  test('should draw box plots from the Blockly x and y columns', () => {
+    const data = manager.prepareChartData(classes, 'boxplot', { xColumn: 'class', yColumn: 'score' });
+    const [box, whiskers, median, outliers] = data.datasets;
+
+    expect(data.labels).toEqual(['A', 'B']);
+    expect(box.data[0]).toEqual([7, 9]);
+    expect(whiskers.data[0]).toEqual([5, 9]);
+    expect(median.data).toEqual([8, 6]);
+    expect(outliers.data).toEqual([{ x: 'A', y: 40 }]);
+  });
+
+  test('should group a box plot by a repeated text column without an override', () => {
+    manager.loadCustomData(classes, 'classes.csv');
+    const data = manager.prepareChartData(classes, 'boxplot');
+
+    expect(data.labels).toEqual(['A', 'B']);
+    expect(data.datasets[0].label).toBe('score (Q1 to Q3)');
+  });
+
+  test('should put each numeric column in its own series for grouped and stacked bars', () => {
+    const data = manager.prepareChartData(manager.sampleData.weather, 'stackedBar', { xColumn: 'month', yColumn: 'rainfall' });
+
+    expect(data.labels[0]).toBe('Jan');
+    expect(data.datasets.map(dataset => dataset.label)).toEqual(['rainfall', 'temperature', 'humidity']);
+  });
+
+  test('should size bubbles from a third numeric column', () => {
+    const weather = manager.prepareChartData(manager.sampleData.weather, 'bubble', { xColumn: 'temperature', yColumn: 'rainfall' });
+    expect(weather.datasets[0].label).toBe('rainfall vs temperature (size: humidity)');
+    expect(weather.datasets[0].data[0]).toMatchObject({ x: 15, y: 80 });
+    expect(Math.max(...weather.datasets[0].data.map(point => point.r))).toBe(18);
+
+    // Two numeric columns only: every bubble the same size
+    const unsized = manager.prepareChartData(classes, 'bubble', { xColumn: 'age' });
+    expect(unsized.datasets[0].label).toBe('score vs age');
+    expect(new Set(unsized.datasets[0].data.map(point => point.r))).toEqual(new Set([6]));
+  });
+
+  test('should stack dot plot dots above repeated values', () => {
+    const data = manager.prepareChartData(classes, 'dotplot', { xColumn: 'age', yColumn: 'score' });
+
+    expect(data.datasets[0].data.slice(0, 3)).toEqual([{ x: 12, y: 1 }, { x: 13, y: 1 }, { x: 12, y: 2 }]);
+  });
+
+  test('should create Chart.js charts of the matching built-in type', () => {
+    global.Chart = jest.fn();
+    const canvas = { getContext: () => ({}) };
+
+    manager.generateChart(canvas, 'stackedBar', classes, { xColumn: 'student', yColumn: 'score' });
+    manager.generateChart(canvas, 'dotplot', classes, { xColumn: 'score' });
+    const [[, stacked], [, dots]] = global.Chart.mock.calls;
+
+    expect(stacked.type).toBe('bar');
+    expect(stacked.options.scales.y.stacked).toBe(true);
+    expect(dots.type).toBe('scatter');
+    expect(dots.options.scales.y.ticks.stepSize).toBe(1);
+  });
+
+  test('should draw charts with the theme set in AR or saved from Blockly', () => {
+    global.Chart = jest.fn();
+    const canvas = { getContext: () => ({}) };
+
+    manager.generateChart(canvas, 'bar', classes, { xColumn: 'student', yColumn: 'score' });
+    manager.setTheme({ palette: 'colorblind', mode: 'dark' });
+    manager.generateChart(canvas, 'groupedBar', classes, { xColumn: 'student', yColumn: 'score' });
+    const [[, plain], [, themed]] = global.Chart.mock.calls;
+
+    expect(plain.theme).toBeUndefined();
+    expect(themed.theme).toMatchObject({ palette: 'colorblind', mode: 'dark' });
+    expect(themed.data.datasets[0].borderColor).toBe('#56b4e9');
+    expect(themed.options.plugins.title.color).toBe('#f5f7fa');
+    expect(themed.plugins).toHaveLength(1);
+
+    manager.setTheme(null);
+    global.localStorage = { getItem: () => JSON.stringify({ chartType: 'bar', options: { theme: 'greyscale' } }) };
+    try {
+      expect(manager.getPalette()[0]).toBe('#252525');
+    } finally {
+      delete global.localStorage;
+    }
+    expect(() => manager.setTheme('neon')).toThrow('theme palette must be one of');
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Authentication and Class Roster Tests
+ *
+ * Covers password hashing, migration of the legacy plaintext password,
+ * facilitator and student sessions, and the routes that require them.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+useScratchEnv('auth');
+const authFile = process.env.AUTH_FILE;
+const classesFile = process.env.CLASSES_FILE;
+fs.writeFileSync(authFile, JSON.stringify({ password: 'legacy-pass' }));
+
+const app = require('../../server');
+const authManager = require('../../src/backend/authManager');
+
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe('authManager', () => {
+  it('hashes passwords with a salt and verifies them', () => {
+    const first = authManager.hashPassword('correct horse');
+    const second = authManager.hashPassword('correct horse');
+    expect(first).toMatch(/^scrypt\$/);
+    expect(first).not.toBe(second);
+    expect(authManager.verifyPassword('correct horse', first)).toBe(true);
+    expect(authManager.verifyPassword('wrong', first)).toBe(false);
+  });
+
+  it('migrates a legacy plaintext password to a hashed account', () => {
+    expect(authManager.authenticateFacilitator(undefined, 'legacy-pass')).toMatchObject({
+      username: 'facilitator',
+      role: 'facilitator'
+    });
+    const stored = fs.readFileSync(authFile, 'utf8');
+    expect(stored).not.toContain('legacy-pass');
+    expect(JSON.parse(stored).facilitators[0].passwordHash).toMatch(/^scrypt\$/);
+  });
+
+  it('expires and destroys sessions', () => {
+    const { token } = authManager.createSession({ id: 'fac_x', role: 'facilitator' });
+    expect(authManager.getSession(token)).toEqual({ id: 'fac_x', role: 'facilitator' });
+    authManager.destroySessionsForUser('fac_x');
+    expect(authManager.getSession(token)).toBeNull();
+  });
+});
+
+describe('Facilitator sessions', () => {
+  let token;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/facilitator/login')
+      .send({ username: 'facilitator', password: 'legacy-pass' });
+    token = response.body.token;
+  });
+
+  it('sets an httpOnly session cookie on login', async () => {
+    const response = await request(app)
+      .post('/api/facilitator/login')
+      .send({ password: 'legacy-pass' });
+    expect(response.status).toBe(200);
+    expect(response.body.user.role).toBe('facilitator');
+    expect(response.body.user.passwordHash).toBeUndefined();
+    const cookie = response.headers['set-cookie'].join(';');
+    expect(cookie).toContain('aar_session=');
+    expect(cookie).toContain('HttpOnly');
+  });
+
+  it('rejects a wrong password', async () => {
+    const response = await request(app)
+      .post('/api/facilitator/login')
+      .send({ password: 'nope' });
+    expect(response.status).toBe(401);
+  });
+
+  it('accepts the session cookie on later requests', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/facilitator/login').send({ password: 'legacy-pass' });
+    const session = await agent.get('/api/auth/session');
+    expect(session.body.authenticated).toBe(true);
+
+    await agent.post('/api/auth/logout');
+    const after = await agent.get('/api/auth/session');
+    expect(after.body.authenticated).toBe(false);
+  });
+
+  it('protects project mutations and dashboard pages', async () => {
+    const create = await request(app).post('/api/projects').field('name', 'Nope');
+    expect(create.status).toBe(401);
+
+    const remove = await request(app).delete('/api/projects/1');
+    expect(remove.status).toBe(401);
+
+    const page = await request(app).get('/teacher-dashboard.html');
+    expect(page.status).toBe(302);
+    expect(page.headers.location).toBe('/');
+
+    const allowed = await request(app).get('/teacher-dashboard.html').set(auth(token));
+    expect(allowed.status).toBe(200);
+  });
+
+  it('creates additional facilitator accounts', async () => {
+    const created = await request(app)
+      .post('/api/facilitators')
+      .set(auth(token))
+      .send({ username: 'ms.lee', password: 'longenough', name: 'Ms Lee' });
+    expect(created.status).toBe(201);
+
+    const login = await request(app)
+      .post('/api/facilitator/login')
+      .send({ username: 'ms.lee', password: 'longenough' });
+    expect(login.status).toBe(200);
+    expect(login.body.user.name).toBe('Ms Lee');
+
+    const short = await request(app)
+      .post('/api/facilitators')
+      .set(auth(token))
+      .send({ username: 'mr.short', password: 'short' });
+    expect(short.status).toBe(400);
+  });
+
+  it('changes the signed-in facilitator password', async () => {
+    const wrong = await request(app)
+      .put('/api/facilitator/password')
+      .set(auth(token))
+      .send({ currentPassword: 'nope', newPassword: 'new-pass-123' });
+    expect(wrong.status).toBe(401);
+
+    const short = await request(app)
+      .put('/api/facilitator/password')
+      .set(auth(token))
+      .send({ currentPassword: 'legacy-pass', newPassword: 'short' });
+    expect(short.status).toBe(400);
+    expect(short.body.error).toBe('Password must be at least 8 characters.');
+    expect(() => authManager.updateFacilitatorPassword('       ', 'facilitator')).toThrow('at least 8 characters');
+
+    const changed = await request(app)
+      .put('/api/facilitator/password')
+      .set(auth(token))
+      .send({ currentPassword: 'legacy-pass', newPassword: 'new-pass-123' });
+    expect(changed.status).toBe(200);
+    expect(authManager.authenticateFacilitator('facilitator', 'new-pass-123')).not.toBeNull();
+  });
+});
+
+describe('First facilitator account', () => {
+  let fileCount = 0;
+
+  // A fresh copy of the module reading a new auth file and the given password
+  const openAuthManager = (password, contents) => {
+    const previous = process.env.FACILITATOR_PASSWORD;
+    const setPassword = value => {
+      if (value === undefined) {
+        delete process.env.FACILITATOR_PASSWORD;
+      } else {
+        process.env.FACILITATOR_PASSWORD = value;
+      }
+    };
+    fileCount += 1;
+    process.env.AUTH_FILE = path.join(path.dirname(authFile), `first-${fileCount}.json`);
+    if (contents !== undefined) {
+      fs.writeFileSync(process.env.AUTH_FILE, contents);
+    }
+    setPassword(password);
+    let manager;
+    jest.isolateModules(() => {
+      manager = require('../../src/backend/authManager');
+    });
+    process.env.AUTH_FILE = authFile;
+    setPassword(previous);
+    return manager;
+  };
+
+  it('has no default password', () => {
+    const manager = openAuthManager(undefined);
+
+    expect(manager.listFacilitators()).toEqual([]);
+    expect(manager.authenticateFacilitator('facilitator', 'secret')).toBeNull();
+  });
+
+  it('creates the first account from FACILITATOR_PASSWORD', () => {
+    expect(openAuthManager('short').listFacilitators()).toEqual([]);
+
+    const manager = openAuthManager('first-pass-123');
+    expect(manager.authenticateFacilitator('facilitator', 'first-pass-123')).toMatchObject({ username: 'facilitator' });
+  });
+
+  it('refuses to migrate a legacy password shorter than the minimum', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const manager = openAuthManager(undefined, JSON.stringify({ password: 'secret' }));
+      expect(manager.authenticateFacilitator('facilitator', 'secret')).toBeNull();
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Set FACILITATOR_PASSWORD'));
+
+      const replaced = openAuthManager('first-pass-123', JSON.stringify({ password: 'secret' }));
+      expect(replaced.authenticateFacilitator('facilitator', 'secret')).toBeNull();
+      expect(replaced.authenticateFacilitator('facilitator', 'first-pass-123')).toMatchObject({ username: 'facilitator' });
+    } finally {
+      errorSpy.mockRestore();
+    }
+  });
+
+  it('refuses to overwrite an auth file it cannot parse', () => {
+    const manager = openAuthManager('first-pass-123', '{"facilitators": [');
+    const file = path.join(path.dirname(authFile), `first-${fileCount}.json`);
+
+    expect(() => manager.listFacilitators()).toThrow(/Cannot read facilitator auth file/);
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"facilitators": [');
+  });
+});
+
+describe('Classes and students', () => {
+  let facilitatorToken;
+  let klass;
+
+  beforeAll(async () => {
+    facilitatorToken = authManager.createSession(
+      authManager.authenticateFacilitator('ms.lee', 'longenough')
+    ).token;
+    const response = await request(app)
+      .post('/api/classes')
+      .set(auth(facilitatorToken))
+      .send({ name: 'Year 9 Maths' });
+    klass = response.body.class;
+  });
+
+  it('creates a class with a join code', () => {
+    expect(klass.name).toBe('Year 9 Maths');
+    expect(klass.joinCode).toMatch(/^[A-Z2-9]{6}$/);
+    expect(klass.students).toEqual([]);
+  });
+
+  it('only lists classes belonging to the facilitator', async () => {
+    const other = authManager.createSession(authManager.authenticateFacilitator('facilitator', 'new-pass-123')).token;
+    const mine = await request(app).get('/api/classes').set(auth(facilitatorToken));
+    const theirs = await request(app).get('/api/classes').set(auth(other));
+    expect(mine.body.classes.map(item => item.id)).toContain(klass.id);
+    expect(theirs.body.classes.map(item => item.id)).not.toContain(klass.id);
+
+    const hidden = await request(app).get(`/api/classes/${klass.id}`).set(auth(other));
+    expect(hidden.status).toBe(404);
+  });
+
+  it('lets a student join, sign out and log back in with their code', async () => {
+    const joined = await request(app)
+      .post('/api/students/join')
+      .send({ joinCode: klass.joinCode.toLowerCase(), nickname: 'Ada' });
+    expect(joined.status).toBe(201);
+    expect(joined.body.loginCode).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(joined.body.user).toMatchObject({ nickname: 'Ada', classId: klass.id, role: 'student' });
+
+    const duplicate = await request(app)
+      .post('/api/students/join')
+      .send({ joinCode: klass.joinCode, nickname: 'ada' });
+    expect(duplicate.status).toBe(400);
+
+    const login = await request(app)
+      .post('/api/students/login')
+      .send({ loginCode: joined.body.loginCode.replace('-', '').toLowerCase() });
+    expect(login.status).toBe(200);
+    expect(login.body.user.id).toBe(joined.body.user.id);
+
+    const stored = fs.readFileSync(classesFile, 'utf8');
+    expect(stored).not.toContain(joined.body.loginCode);
+  });
+
+  it('rejects unknown join and login codes', async () => {
+    const join = await request(app).post('/api/students/join').send({ joinCode: 'ZZZZZZ', nickname: 'Bo' });
+    expect(join.status).toBe(404);
+
+    const login = await request(app).post('/api/students/login').send({ loginCode: 'AAAA-AAAA' });
+    expect(login.status).toBe(401);
+  });
+
+  it('keeps students away from facilitator routes', async () => {
+    const joined = await request(app)
+      .post('/api/students/join')
+      .send({ joinCode: klass.joinCode, nickname: 'Grace' });
+    const create = await request(app)
+      .post('/api/projects')
+      .set(auth(joined.body.token))
+      .field('name', 'Nope');
+    expect(create.status).toBe(403);
+
+    const classes = await request(app).get('/api/classes').set(auth(joined.body.token));
+    expect(classes.status).toBe(403);
+  });
+
+  it('records projects a student joins', async () => {
+    const project = await request(app)
+      .post('/api/projects')
+      .set(auth(facilitatorToken))
+      .field('name', 'Class project');
+    const inactive = await request(app)
+      .post('/api/students/join')
+      .send({ joinCode: klass.joinCode, nickname: 'Barbara' });
+    const early = await request(app)
+      .post('/api/students/me/projects')
+      .set(auth(inactive.body.token))
+      .send({ projectId: project.body.id });
+    expect(early.status).toBe(404);
+
+    await request(app)
+      .put(`/api/projects/${project.body.id}`)
+      .set(auth(facilitatorToken))
+      .field('status', 'Active');
+    const joined = await request(app)
+      .post('/api/students/join')
+      .send({ joinCode: klass.joinCode, nickname: 'Linus' });
+
+    const added = await request(app)
+      .post('/api/students/me/projects')
+      .set(auth(joined.body.token))
+      .send({ projectId: project.body.id });
+    expect(added.status).toBe(200);
+    expect(added.body.projectIds).toEqual([project.body.id]);
+
+    const me = await request(app).get('/api/students/me').set(auth(joined.body.token));
+    expect(me.body.student.projectIds).toEqual([project.body.id]);
+
+    const missing = await request(app)
+      .post('/api/students/me/projects')
+      .set(auth(joined.body.token))
+      .send({ projectId: 999999 });
+    expect(missing.status).toBe(404);
+
+    const removed = await request(app)
+      .delete(`/api/students/me/projects/${project.body.id}`)
+      .set(auth(joined.body.token));
+    expect(removed.body.projectIds).toEqual([]);
+  });
+
+  it('resets login codes and removes students from the roster', async () => {
+    const joined = await request(app)
+      .post('/api/students/join')
+      .send({ joinCode: klass.joinCode, nickname: 'Hedy' });
+    const studentId = joined.body.user.id;
+
+    const reset = await request(app)
+      .post(`/api/classes/${klass.id}/students/${studentId}/login-code`)
+      .set(auth(facilitatorToken));
+    expect(reset.status).toBe(200);
+    expect(reset.body.loginCode).not.toBe(joined.body.loginCode);
+
+    const oldCode = await request(app).post('/api/students/login').send({ loginCode: joined.body.loginCode });
+    expect(oldCode.status).toBe(401);
+    const newCode = await request(app).post('/api/students/login').send({ loginCode: reset.body.loginCode });
+    expect(newCode.status).toBe(200);
+
+    const removed = await request(app)
+      .delete(`/api/classes/${klass.id}/students/${studentId}`)
+      .set(auth(facilitatorToken));
+    expect(removed.status).toBe(200);
+
+    const me = await request(app).get('/api/students/me').set(auth(newCode.body.token));
+    expect(me.status).toBe(401);
+  });
+
+  it('refuses to overwrite a classes file it cannot parse', async () => {
+    const saved = fs.readFileSync(classesFile, 'utf8');
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      fs.writeFileSync(classesFile, '[{"id": ');
+
+      const response = await request(app)
+        .post('/api/classes')
+        .set(auth(facilitatorToken))
+        .send({ name: 'Year 10 Maths' });
+      expect(response.status).toBe(500);
+      expect(fs.readFileSync(classesFile, 'utf8')).toBe('[{"id": ');
+    } finally {
+      errorSpy.mockRestore();
+      fs.writeFileSync(classesFile, saved);
+    }
+  });
+});
@@ -196,6 +196,64 @@ describe('ChartGenerator', () => {
     });
   });
 
+  describe('trend lines', () => {
+    const studyData = [
+      { hours: 1, score: 52 },
+      { hours: 2, score: 55 },
+      { hours: 3, score: 61 },
+      { hours: 4, score: 64 },
+      { hours: 5, score: 70 },
+      { hours: 'absent', score: 20 }
+    ];
+
+    test('should overlay a straight trend line with its equation on a scatter chart', async () => {
+      const result = await chartGenerator.generateScatterChart(studyData, {
+        xColumn: 'hours',
+        yColumn: 'score',
+        trendLine: true
+      });
+
+      const trend = result.data.datasets[1];
+      expect(result.data.datasets).toHaveLength(2);
+      expect(trend.type).toBe('line');
+      expect(trend.label).toBe('Trend: score = 4.5hours + 46.9 (R² = 0.987)');
+      // The row without hours is plotted but not fitted
+      expect(trend.data).toEqual([{ x: 1, y: 51.4 }, { x: 5, y: 69.4 }]);
+    });
+
+    test('should draw curved trends through many points', async () => {
+      const result = await chartGenerator.generateScatterChart(studyData, {
+        xColumn: 'hours',
+        yColumn: 'score',
+        trendLine: 'polynomial',
+        trendDegree: 2
+      });
+
+      expect(result.data.datasets[1].data).toHaveLength(50);
+      expect(result.data.datasets[1].label).toContain('score = 0.2143hours² + 3.214hours + 48.4');
+    });
+
+    test('should fit line charts against the point number when x is not numeric', async () => {
+      const result = await chartGenerator.generateLineChart(sampleData, {
+        xColumn: 'month',
+        yColumn: 'sales',
+        trendLine: 'linear'
+      });
+
+      const trend = result.data.datasets[1];
+      expect(trend.label).toBe('Trend: sales = 12x + 85 (R² = 0.343)');
+      expect(trend.data).toEqual([97, 109, 121, 133]);
+    });
+
+    test('should reject a trend that cannot be fitted', async () => {
+      await expect(chartGenerator.generateChart(
+        [{ x: 1, y: -2 }, { x: 2, y: 3 }],
+        'scatter',
+        { xColumn: 'x', yColumn: 'y', trendLine: 'exponential' }
+      )).rejects.toThrow('An exponential trend needs every y value to be above 0');
+    });
+  });
+
   describe('generatePieChart', () => {
     test('should generate pie chart', async () => {
       const result = await chartGenerator.generatePieChart(pieData, {
@@ -358,6 +416,355 @@ describe('ChartGenerator', () => {
     });
   });
 
+  describe('generateBoxPlotChart', () => {
+    const scores = [
+      { class: 'A', score: 5 }, { class: 'A', score: 7 }, { class: 'A', score: 8 },
+      { class: 'A', score: 9 }, { class: 'A', score: 40 },
+      { class: 'B', score: 3 }, { class: 'B', score: 6 }, { class: 'B', score: 'absent' }
+    ];
+
+    test('should draw one box per group with quartiles, whiskers and outliers', async () => {
+      const result = await chartGenerator.generateChart(scores, 'boxplot', { xColumn: 'class', yColumn: 'score' });
+      const [box, whiskers, median, outliers] = result.config.data.datasets;
+
+      expect(result.config.type).toBe('bar');
+      expect(result.config.data.labels).toEqual(['A', 'B']);
+      expect(box.data).toEqual([[7, 9], [3.75, 5.25]]);
+      expect(box.stats[0]).toMatchObject({ group: 'A', count: 5, min: 5, median: 8, max: 40, outliers: [40] });
+      expect(whiskers.data).toEqual([[5, 9], [3, 6]]);
+      expect(median).toMatchObject({ type: 'line', pointStyle: 'line', data: [8, 4.5] });
+      expect(outliers.data).toEqual([{ x: 'A', y: 40 }]);
+      expect(result.config.options.scales.y.title.text).toBe('score');
+    });
+
+    test('should reach the extremes with min-max whiskers and use the shared quantile methods', async () => {
+      const config = await chartGenerator.generateBoxPlotChart(scores, {
+        valueColumn: 'score',
+        whiskers: 'minmax',
+        quantileMethod: 'nearest_rank'
+      });
+
+      expect(config.data.labels).toEqual(['score']);
+      expect(config.data.datasets[1].data).toEqual([[3, 40]]);
+      expect(config.data.datasets[0].data).toEqual([[5, 9]]);
+      expect(config.data.datasets).toHaveLength(3);
+    });
+  });
+
+  describe('generateGroupedBarChart and generateStackedBarChart', () => {
+    const weather = [
+      { month: 'Jan', temperature: 15, rainfall: 80 },
+      { month: 'Feb', temperature: 17, rainfall: 70 }
+    ];
+    const sales = [
+      { product: 'Laptop', region: 'North', sales: 120 },
+      { product: 'Phone', region: 'North', sales: 200 },
+      { product: 'Laptop', region: 'South', sales: 150 },
+      { product: 'Laptop', region: 'South', sales: 10 }
+    ];
+
+    test('should draw a series for each value column side by side', async () => {
+      const result = await chartGenerator.generateChart(weather, 'groupedBar', { xColumn: 'month', yColumn: 'rainfall' });
+
+      expect(result.config.type).toBe('bar');
+      expect(result.config.data.labels).toEqual(['Jan', 'Feb']);
+      expect(result.config.data.datasets.map(dataset => [dataset.label, dataset.data])).toEqual([
+        ['rainfall', [80, 70]],
+        ['temperature', [15, 17]]
+      ]);
+      expect(result.config.data.datasets[0].backgroundColor).not.toBe(result.config.data.datasets[1].backgroundColor);
+      expect(result.config.options.scales.y.stacked).toBeUndefined();
+    });
+
+    test('should stack series split from a series column, adding up repeated rows', async () => {
+      const result = await chartGenerator.generateChart(sales, 'stackedBar', {
+        xColumn: 'product',
+        seriesColumn: 'region',
+        yColumn: 'sales',
+        colors: ['#111111', '#222222']
+      });
+
+      expect(result.config.data.labels).toEqual(['Laptop', 'Phone']);
+      expect(result.config.data.datasets.map(dataset => [dataset.label, dataset.data, dataset.backgroundColor])).toEqual([
+        ['North', [120, 200], '#111111'],
+        ['South', [160, 0], '#222222']
+      ]);
+      expect(result.config.options.scales.x.stacked).toBe(true);
+      expect(result.config.options.scales.y.stacked).toBe(true);
+    });
+  });
+
+  describe('multi-series line, bar and area charts', () => {
+    const weather = [
+      { month: 'Jan', temperature: 15, rainfall: 80, visitors: 1200 },
+      { month: 'Feb', temperature: 17, rainfall: 70, visitors: 1500 }
+    ];
+    const visits = [
+      { day: '2024-01-02', site: 'Museum', visits: 5 },
+      { day: '2024-01-01', site: 'Museum', visits: 3 },
+      { day: '2024-01-01', site: 'Zoo', visits: 9 }
+    ];
+
+    test('should plot each of yColumns as its own coloured series', async () => {
+      for (const chartType of ['bar', 'line', 'area']) {
+        const result = await chartGenerator.generateChart(weather, chartType, {
+          xColumn: 'month',
+          yColumns: ['temperature', 'rainfall'],
+          colors: ['#111111', '#222222']
+        });
+        const { datasets } = result.config.data;
+
+        expect(datasets.map(dataset => [dataset.label, dataset.data, dataset.borderColor])).toEqual([
+          ['temperature', [15, 17], '#111111'],
+          ['rainfall', [80, 70], '#222222']
+        ]);
+        expect(datasets[0].yAxisID).toBeUndefined();
+        expect(result.config.options.scales.y1).toBeUndefined();
+      }
+    });
+
+    test('should keep single-series charts as they were', async () => {
+      const line = await chartGenerator.generateChart(weather, 'line', { xColumn: 'month', yColumn: 'rainfall' });
+
+      expect(line.config.data.datasets).toHaveLength(1);
+      expect(line.config.data.datasets[0].borderColor).toBe('#19be6b');
+      expect(line.config.options.scales).toEqual({ y: { beginAtZero: true } });
+    });
+
+    test('should move a series ten times bigger to a right-hand axis', async () => {
+      const result = await chartGenerator.generateChart(weather, 'line', {
+        xColumn: 'month',
+        yColumns: ['temperature', 'rainfall', 'visitors']
+      });
+      const { scales } = result.config.options;
+
+      expect(result.config.data.datasets.map(dataset => dataset.yAxisID)).toEqual(['y', 'y', 'y1']);
+      expect(scales.y.title.text).toBe('temperature, rainfall');
+      expect(scales.y1).toMatchObject({ position: 'right', title: { text: 'visitors' }, grid: { drawOnChartArea: false } });
+
+      const oneAxis = await chartGenerator.generateChart(weather, 'line', {
+        xColumn: 'month',
+        yColumns: ['temperature', 'visitors'],
+        dualAxis: false
+      });
+      expect(oneAxis.config.options.scales.y1).toBeUndefined();
+    });
+
+    test('should put the series named in y2Columns on the right', async () => {
+      const result = await chartGenerator.generateChart(weather, 'bar', {
+        xColumn: 'month',
+        yColumns: ['temperature', 'rainfall'],
+        y2Columns: ['rainfall']
+      });
+
+      expect(result.config.options.plugins.title.text).toBe('Bar Chart');
+      expect(result.config.data.datasets.map(dataset => dataset.yAxisID)).toEqual(['y', 'y1']);
+      expect(result.config.options.scales.y1.title.text).toBe('rainfall');
+    });
+
+    test('should split rows into lines by a series column on a time axis', async () => {
+      const result = await chartGenerator.generateChart(visits, 'line', {
+        xColumn: 'day',
+        seriesColumn: 'site',
+        trendLine: true
+      });
+      const { labels, datasets } = result.config.data;
+
+      expect(labels).toEqual(['2024-01-01', '2024-01-02']);
+      expect(datasets.slice(0, 2).map(dataset => [dataset.label, dataset.data])).toEqual([
+        ['Museum', [3, 5]],
+        ['Zoo', [9, null]]
+      ]);
+      expect(result.config.options.scales.x.type).toBe('time');
+      // A trend in the series colour; the zoo has one day only, too few to fit
+      expect(datasets).toHaveLength(3);
+      expect(datasets[2].label).toMatch(/^Trend: Museum = 2x \+ 1/);
+      expect(datasets[2].borderColor).toBe(datasets[0].borderColor);
+    });
+
+    test('should reject yColumns that are missing or hold no numbers', () => {
+      expect(() => chartGenerator.validateChartData(weather, 'area', { yColumns: ['temperature', 'snow'] }))
+        .toThrow('Missing required columns: snow');
+      expect(() => chartGenerator.validateChartData(weather, 'line', { xColumn: 'month', yColumns: ['month'] }))
+        .toThrow('Columns need numbers for a line chart: month');
+    });
+  });
+
+  describe('aggregation, category order and top N slices', () => {
+    const sales = [
+      { product: 'Laptop', region: 'North', sales: 120 },
+      { product: 'Phone', region: 'North', sales: 200 },
+      { product: 'Laptop', region: 'South', sales: 150 },
+      { product: 'Tablet', region: 'South', sales: 30 },
+      { product: 'Cable', region: 'South', sales: 5 },
+      { product: 'Mouse', region: 'South', sales: 8 }
+    ];
+    const barFor = async (options) => (await chartGenerator.generateChart(sales, 'bar', {
+      xColumn: 'product', yColumn: 'sales', ...options
+    })).config.data;
+
+    test('should draw one bar per label with the chosen summary', async () => {
+      expect(await barFor({ aggregate: 'sum' })).toMatchObject({
+        labels: ['Laptop', 'Phone', 'Tablet', 'Cable', 'Mouse'],
+        datasets: [{ data: [270, 200, 30, 5, 8] }]
+      });
+      expect((await barFor({ aggregate: 'mean' })).datasets[0].data[0]).toBe(135);
+      expect((await barFor({ aggregate: 'count' })).datasets[0].data).toEqual([2, 1, 1, 1, 1]);
+      expect((await barFor({ xColumn: 'region', aggregate: 'median' })).datasets[0].data).toEqual([160, 19]);
+      // Without aggregate every row is still its own bar
+      expect((await barFor({})).labels).toHaveLength(6);
+    });
+
+    test('should order labels by value, by name or as listed', async () => {
+      expect((await barFor({ aggregate: 'sum', categoryOrder: 'value' })).labels)
+        .toEqual(['Laptop', 'Phone', 'Tablet', 'Mouse', 'Cable']);
+      expect((await barFor({ aggregate: 'sum', categoryOrder: 'value', orderDirection: 'asc' })).labels)
+        .toEqual(['Cable', 'Mouse', 'Tablet', 'Phone', 'Laptop']);
+      expect((await barFor({ aggregate: 'sum', categoryOrder: 'alphabetical' })).labels)
+        .toEqual(['Cable', 'Laptop', 'Mouse', 'Phone', 'Tablet']);
+      expect((await barFor({ aggregate: 'sum', categoryOrder: ['Tablet', 'Phone'] })).labels)
+        .toEqual(['Tablet', 'Phone', 'Laptop', 'Cable', 'Mouse']);
+    });
+
+    test('should summarise each series of a multi-series chart', async () => {
+      const result = await chartGenerator.generateChart(sales, 'stackedBar', {
+        xColumn: 'region',
+        seriesColumn: 'product',
+        yColumn: 'sales',
+        aggregate: 'count',
+        categoryOrder: ['South']
+      });
+
+      expect(result.config.data.labels).toEqual(['South', 'North']);
+      expect(result.config.data.datasets[0]).toMatchObject({ label: 'Laptop', data: [1, 1] });
+    });
+
+    test('should put the smallest slices of a pie in one Other slice', async () => {
+      const result = await chartGenerator.generateChart(sales, 'doughnut', {
+        labelColumn: 'product',
+        valueColumn: 'sales',
+        aggregate: 'sum',
+        topN: 2,
+        otherLabel: 'Everything else'
+      });
+      const [dataset] = result.config.data.datasets;
+
+      expect(result.config.data.labels).toEqual(['Laptop', 'Phone', 'Everything else']);
+      expect(dataset.data).toEqual([270, 200, 43]);
+      expect(dataset.backgroundColor[2]).toBe('#c5c8ce');
+
+      const few = await chartGenerator.generateChart(sales, 'pie', { labelColumn: 'product', valueColumn: 'sales', topN: 10 });
+      expect(few.config.data.labels).not.toContain('Other');
+    });
+
+    test('should reject unknown summaries, orders and slice counts', () => {
+      const check = (options) => () => chartGenerator.validateChartData(sales, 'pie', options);
+
+      expect(check({ aggregate: 'mode' })).toThrow('aggregate must be one of sum, mean, count, median');
+      expect(check({ categoryOrder: 'random' })).toThrow('categoryOrder must be data, value, alphabetical or a list of labels');
+      expect(check({ orderDirection: 'up' })).toThrow('orderDirection must be asc or desc');
+      expect(check({ topN: 0 })).toThrow('topN must be a whole number above 0');
+    });
+  });
+
+  describe('chart themes', () => {
+    test('should colour series and slices from the theme palette', async () => {
+      const bar = await chartGenerator.generateChart(sampleData, 'bar', {
+        xColumn: 'month', yColumns: ['sales', 'profit'], theme: 'colorblind'
+      });
+      const pie = await chartGenerator.generateChart(pieData, 'pie', {
+        labelColumn: 'category', valueColumn: 'value', theme: { palette: 'highContrast', mode: 'dark' }
+      });
+      const line = await chartGenerator.generateChart(sampleData, 'line', {
+        xColumn: 'month', yColumn: 'sales', theme: 'greyscale'
+      });
+
+      expect(bar.config.data.datasets.map(dataset => dataset.backgroundColor)).toEqual(['#0072b2', '#e69f00']);
+      expect(pie.config.data.datasets[0].backgroundColor).toEqual(['#ffffff', '#66b3ff', '#ff6666']);
+      expect(line.config.data.datasets[0].borderColor).toBe('#252525');
+    });
+
+    test('should keep colours that are asked for', async () => {
+      const result = await chartGenerator.generateChart(sampleData, 'bar', {
+        xColumn: 'month', yColumn: 'sales', color: '#123456', theme: 'colorblind'
+      });
+
+      expect(result.config.data.datasets[0].backgroundColor).toBe('#123456');
+    });
+
+    test('should apply the mode, text size and patterns to the config', async () => {
+      const result = await chartGenerator.generateChart(sampleData, 'bar', {
+        xColumn: 'month',
+        yColumns: ['sales', 'profit'],
+        title: 'Sales',
+        theme: { mode: 'dark', fontScale: 1.5, patterns: true }
+      });
+      const { options, data, theme } = result.config;
+
+      expect(theme).toEqual({ palette: 'default', mode: 'dark', fontScale: 1.5, patterns: true, background: '#1c2438' });
+      expect(options.plugins.title).toMatchObject({ text: 'Sales', color: '#f5f7fa', font: { size: 24 } });
+      expect(options.scales.y.ticks).toMatchObject({ color: '#f5f7fa', font: { size: 18 } });
+      expect(data.datasets.map(dataset => dataset.pattern)).toEqual(['diagonal', 'dots']);
+    });
+
+    test('should leave charts without a theme as they were', async () => {
+      const result = await chartGenerator.generateChart(sampleData, 'bar', { xColumn: 'month', yColumn: 'sales' });
+
+      expect(result.config.theme).toBeUndefined();
+      expect(result.config.data.datasets[0].backgroundColor).toBe('#2d8cf0');
+    });
+
+    test('should reject unknown themes', () => {
+      const check = (theme) => () => chartGenerator.validateChartData(sampleData, 'bar', { theme });
+
+      expect(check('rainbow')).toThrow('theme palette must be one of default, colorblind, highContrast, greyscale');
+      expect(check({ mode: 'dim' })).toThrow('theme mode must be one of light, dark');
+      expect(check({ fontScale: 10 })).toThrow('theme fontScale must be a number from 0.5 to 3');
+    });
+  });
+
+  describe('generateBubbleChart', () => {
+    test('should size bubbles by area from the size column', async () => {
+      const countries = [
+        { country: 'A', gdp: 10, life: 70, population: 100 },
+        { country: 'B', gdp: 20, life: 75, population: 25 },
+        { country: 'C', gdp: 'n/a', life: 60, population: 50 }
+      ];
+      const result = await chartGenerator.generateChart(countries, 'bubble', { labelColumn: 'country' });
+      const [large, small] = result.config.data.datasets[0].data;
+
+      expect(result.config.type).toBe('bubble');
+      expect(result.config.data.datasets[0].data).toHaveLength(2);
+      expect(large).toEqual({ x: 10, y: 70, r: 25, size: 100, label: 'A' });
+      expect(small.r).toBe(12.5);
+      expect(result.config.options.scales.x.title.text).toBe('gdp');
+    });
+  });
+
+  describe('generateDotPlotChart', () => {
+    test('should stack a dot for each row above its value', async () => {
+      const pets = [
+        { name: 'Ada', pets: 1, year: 7 },
+        { name: 'Bo', pets: 2, year: 8 },
+        { name: 'Cy', pets: 1, year: 7 },
+        { name: 'Di', pets: 1, year: 8 }
+      ];
+      const result = await chartGenerator.generateChart(pets, 'dotplot', { xColumn: 'pets', groupColumn: 'year' });
+      const [seven, eight] = result.config.data.datasets;
+
+      expect(result.config.type).toBe('scatter');
+      expect(seven).toMatchObject({ label: '7', data: [{ x: 1, y: 1 }, { x: 1, y: 2 }] });
+      expect(eight).toMatchObject({ label: '8', data: [{ x: 2, y: 1 }, { x: 1, y: 3 }] });
+      expect(result.config.options.scales.y).toMatchObject({ min: 0, max: 4, ticks: { stepSize: 1 } });
+    });
+
+    test('should round values to the bin width', async () => {
+      const config = await chartGenerator.generateDotPlotChart([{ t: 1.2 }, { t: 0.9 }, { t: 2.6 }], { valueColumn: 't', binWidth: 0.5 });
+
+      expect(config.data.datasets[0].data).toEqual([{ x: 1, y: 1 }, { x: 1, y: 2 }, { x: 2.5, y: 1 }]);
+    });
+  });
+
   describe('getSupportedChartTypes', () => {
     test('should return all supported chart types including new ones', () => {
       const types = chartGenerator.getSupportedChartTypes();
@@ -371,6 +778,7 @@ describe('ChartGenerator', () => {
       expect(types).toContain('histogram');
       expect(types).toContain('heatmap');
       expect(types).toContain('radar');
+      expect(types).toEqual(expect.arrayContaining(['boxplot', 'groupedBar', 'stackedBar', 'bubble', 'dotplot']));
     });
   });
 
@@ -518,6 +926,26 @@ describe('ChartGenerator', () => {
       });
       expect(result).toBe(true);
     });
+
+    it('should fill in and check the columns of the new chart types', () => {
+      const data = [{ team: 'Red', score: 4, age: 12, height: 150 }];
+      const box = { xColumn: 'team', yColumn: 'score' };
+      const bubble = {};
+
+      chartGenerator.validateChartData(data, 'boxplot', box);
+      chartGenerator.validateChartData(data, 'bubble', bubble);
+      expect(box).toMatchObject({ valueColumn: 'score', groupColumn: 'team' });
+      expect(bubble).toMatchObject({ xColumn: 'score', yColumn: 'age', sizeColumn: 'height' });
+
+      expect(() => chartGenerator.validateChartData(data, 'dotplot', { valueColumn: 'team' }))
+        .toThrow('Columns need numbers for a dotplot chart: team');
+      expect(() => chartGenerator.validateChartData(data, 'stackedBar', { xColumn: 'team', yColumns: ['score', 'weight'] }))
+        .toThrow('Missing required columns: weight');
+      expect(() => chartGenerator.validateChartData(data, 'groupedBar', { xColumn: 'team', seriesColumn: 'region' }))
+        .toThrow('Missing required columns: region');
+      expect(() => chartGenerator.validateChartData([{ team: 'Red', score: 4 }], 'bubble', {}))
+        .toThrow('A bubble chart needs three numeric columns: x, y and size');
+    });
   });
 
   describe('generateARVisualization edge cases', () => {
@@ -0,0 +1,276 @@
+/**
+ * Chart Renderer Tests
+ *
+ * Server-side SVG and PNG rendering of the chart configs made by
+ * ChartGenerator, and the POST /api/render-chart route.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+const request = require('supertest');
+const { JSDOM } = require('jsdom');
+const chartGenerator = require('../../src/backend/chartGenerator');
+const { buildScene, parseColor, renderChart } = require('../../src/backend/chartRenderer');
+const chartThemes = require('../../src/shared/chartThemes');
+const app = require('../../server');
+
+const sales = [
+  { month: 'Jan', sales: 12, cost: 7, region: 'North' },
+  { month: 'Feb', sales: 19, cost: 9, region: 'South' },
+  { month: 'Mar', sales: 8, cost: 4, region: 'North' }
+];
+
+// Collect a response body as a Buffer, whatever its content type
+const binary = (res, done) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => done(null, Buffer.concat(chunks)));
+};
+
+const configFor = async (chartType, options = {}) => (await chartGenerator.generateChart(sales, chartType, options)).config;
+
+/**
+ * Decode an 8-bit RGBA PNG written without row filters
+ * @param {Buffer} png
+ * @returns {{ width: number, height: number, pixel: Function }}
+ */
+function decodePng(png) {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    if (png.toString('ascii', offset + 4, offset + 8) === 'IDAT') chunks.push(png.subarray(offset + 8, offset + 8 + length));
+    offset += length + 12;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  return {
+    width,
+    height,
+    pixel: (x, y) => Array.from(raw.subarray(y * (width * 4 + 1) + 1 + x * 4, y * (width * 4 + 1) + 5 + x * 4))
+  };
+}
+
+describe('parseColor', () => {
+  it('reads hex, rgba and transparent colours', () => {
+    expect(parseColor('#2d8cf0')).toEqual({ r: 45, g: 140, b: 240, a: 1 });
+    expect(parseColor('#19be6b20').a).toBeCloseTo(32 / 255);
+    expect(parseColor('rgba(45, 140, 240, 0.5)')).toEqual({ r: 45, g: 140, b: 240, a: 0.5 });
+    expect(parseColor('transparent').a).toBe(0);
+    expect(parseColor('not a colour')).toBeNull();
+  });
+});
+
+describe('renderChart', () => {
+  it('draws one bar per value with the title and labels as SVG', async () => {
+    const image = renderChart(await configFor('bar', { xColumn: 'month', yColumn: 'sales', title: 'Sales & Costs' }));
+    const svg = new JSDOM(image.body, { contentType: 'image/svg+xml' }).window.document;
+    const texts = Array.from(svg.querySelectorAll('text')).map(node => node.textContent);
+
+    expect(image.contentType).toBe('image/svg+xml');
+    expect(svg.documentElement.getAttribute('width')).toBe('800');
+    expect(texts).toEqual(expect.arrayContaining(['Sales & Costs', 'Jan', 'Feb', 'Mar', 'sales']));
+    expect(svg.querySelectorAll('rect[fill="#2d8cf0"][height]')).toHaveLength(4); // 3 bars and the legend swatch
+  });
+
+  it('lays out every chart type ChartGenerator makes', async () => {
+    const cases = {
+      bar: {},
+      line: { trendLine: true },
+      area: {},
+      scatter: { xColumn: 'cost', yColumn: 'sales', trendLine: 'linear' },
+      pie: { labelColumn: 'month', valueColumn: 'sales' },
+      doughnut: { labelColumn: 'month', valueColumn: 'sales' },
+      histogram: { valueColumn: 'sales', bins: 3 },
+      heatmap: { xColumn: 'month', yColumn: 'region', valueColumn: 'sales' },
+      radar: { columns: ['sales', 'cost'], labelColumn: 'month' },
+      boxplot: { xColumn: 'region' },
+      groupedBar: { yColumns: ['sales', 'cost'] },
+      stackedBar: { seriesColumn: 'region' },
+      bubble: { xColumn: 'cost', sizeColumn: 'sales' },
+      dotplot: { valueColumn: 'cost' }
+    };
+    for (const [chartType, options] of Object.entries(cases)) {
+      const scene = buildScene(await configFor(chartType, { xColumn: 'month', yColumn: 'sales', ...options }));
+      const shapes = scene.items.filter(item => item.type !== 'text');
+      expect({ chartType, shapes: shapes.length > 3 }).toEqual({ chartType, shapes: true });
+    }
+  });
+
+  it('stacks bars, floats box plot boxes and sizes bubbles', async () => {
+    const stacked = buildScene(await configFor('stackedBar', { yColumns: ['sales', 'cost'], colors: ['#111111', '#222222'] }));
+    const [janSales] = stacked.items.filter(item => item.type === 'rect' && item.stroke && item.fill.r === 0x11);
+    const [janCost] = stacked.items.filter(item => item.type === 'rect' && item.stroke && item.fill.r === 0x22);
+    expect(janCost.x).toBe(janSales.x);
+    expect(janCost.y + janCost.height).toBeCloseTo(janSales.y);
+
+    const box = buildScene(await configFor('boxplot', { valueColumn: 'sales', groupColumn: 'region' }));
+    const boxes = box.items.filter(item => item.type === 'rect' && item.stroke && item.strokeWidth === 2);
+    const medians = box.items.filter(item => item.type === 'polyline' && item.strokeWidth === 3);
+    expect(boxes).toHaveLength(2);
+    expect(medians).toHaveLength(2);
+    // North's box runs from 9 to 11 and sits above the bottom of the axis
+    expect(medians[0].points[0][1]).toBeGreaterThan(boxes[0].y);
+    expect(medians[0].points[0][1]).toBeLessThan(boxes[0].y + boxes[0].height);
+
+    const bubble = buildScene(await configFor('bubble', { xColumn: 'cost', yColumn: 'sales', sizeColumn: 'sales' }));
+    const radii = bubble.items.filter(item => item.type === 'circle').map(item => item.r);
+    expect(Math.max(...radii)).toBe(25);
+  });
+
+  it('measures series on a right-hand axis against their own scale', async () => {
+    const visits = sales.map((row, index) => ({ ...row, visitors: 1000 + index * 500 }));
+    const config = (await chartGenerator.generateChart(visits, 'bar', {
+      xColumn: 'month',
+      yColumns: ['sales', 'visitors'],
+      colors: ['#111111', '#222222']
+    })).config;
+    const scene = buildScene(config);
+    const bars = color => scene.items.filter(item => item.type === 'rect' && item.stroke && item.fill.r === color);
+    const texts = scene.items.filter(item => item.type === 'text').map(item => item.text);
+
+    expect(config.options.scales.y1.position).toBe('right');
+    expect(texts).toEqual(expect.arrayContaining(['visitors', '2000']));
+    // Both tallest bars reach near the top of their own axis
+    const sales19 = bars(0x11)[1];
+    const visitors2000 = bars(0x22)[2];
+    expect(Math.abs(sales19.y - visitors2000.y)).toBeLessThan(sales19.height / 4);
+  });
+
+  it('draws slices that share the circle by value', async () => {
+    const scene = buildScene(await configFor('pie', { labelColumn: 'month', valueColumn: 'sales' }));
+    const slices = scene.items.filter(item => item.type === 'polygon');
+
+    expect(slices).toHaveLength(3);
+    // Feb (19 of 39) is the widest slice
+    expect(slices[1].points.length).toBeGreaterThan(slices[0].points.length);
+    expect(slices[1].points.length).toBeGreaterThan(slices[2].points.length);
+  });
+
+  it('colours slices and series without colours of their own from the theme palette', () => {
+    const config = {
+      type: 'pie',
+      data: { labels: ['a', 'b', 'c'], datasets: [{ data: [1, 2, 3] }] },
+      theme: { palette: 'colorblind' }
+    };
+    const fills = buildScene(config).items.filter(item => item.type === 'polygon').map(item => item.fill);
+    const line = buildScene({ ...config, type: 'line', data: { ...config.data, datasets: [{ label: 'x', data: [1, 2, 3] }] } });
+
+    expect(fills).toEqual(chartThemes.paletteColors(3, 'colorblind').map(parseColor));
+    expect(line.items).toContainEqual(expect.objectContaining({
+      type: 'polyline',
+      stroke: parseColor(chartThemes.paletteColors(1, 'colorblind')[0])
+    }));
+  });
+
+  it('renders a PNG of the requested size with the bars in their colour', async () => {
+    const image = renderChart(await configFor('bar', { xColumn: 'month', yColumn: 'sales', color: '#ff0000' }), {
+      format: 'png',
+      width: 200,
+      height: 120
+    });
+    const png = decodePng(image.body);
+
+    expect(image.contentType).toBe('image/png');
+    expect(image.body.subarray(1, 4).toString('ascii')).toBe('PNG');
+    expect({ width: png.width, height: png.height }).toEqual({ width: 200, height: 120 });
+    expect(png.pixel(0, 0)).toEqual([255, 255, 255, 255]);
+
+    let red = 0;
+    for (let y = 0; y < png.height; y++) {
+      for (let x = 0; x < png.width; x++) {
+        const [r, g, b] = png.pixel(x, y);
+        if (r === 255 && g === 0 && b === 0) red++;
+      }
+    }
+    expect(red).toBeGreaterThan(500);
+  });
+
+  it('draws a themed chart in its mode, text size and patterns', async () => {
+    const config = await configFor('bar', {
+      xColumn: 'month',
+      yColumns: ['sales', 'cost'],
+      title: 'Dark',
+      theme: { palette: 'colorblind', mode: 'dark', fontScale: 2, patterns: true }
+    });
+    const scene = buildScene(config);
+    const title = scene.items.find(item => item.type === 'text' && item.text === 'Dark');
+    const svg = renderChart(config).body;
+
+    expect(scene.items[0].fill).toEqual(parseColor('#1c2438'));
+    expect(title).toMatchObject({ size: 32, color: parseColor('#f5f7fa') });
+    // Light blue and orange bars get dark pattern marks
+    expect(svg).toContain('<pattern id="pattern-diagonal-dark"');
+    expect(svg).toContain('fill="url(#pattern-dots-dark)"');
+
+    const png = decodePng(renderChart(config, { format: 'png', width: 300, height: 200 }).body);
+    const shades = new Set();
+    for (let y = 0; y < png.height; y++) {
+      for (let x = 0; x < png.width; x++) shades.add(png.pixel(x, y).join(','));
+    }
+    expect(png.pixel(0, 0)).toEqual([0x1c, 0x24, 0x38, 255]);
+    expect(shades).toContain('86,180,233,255');
+    // #56b4e9 under the 45% black pattern ink
+    expect(shades).toContain('47,99,128,255');
+  });
+
+  it('gives the same output for the same chart', async () => {
+    const config = await configFor('line', { xColumn: 'month', yColumn: 'sales' });
+    const png = { format: 'png', width: 300, height: 200 };
+
+    expect(renderChart(config).body).toBe(renderChart(config).body);
+    expect(renderChart(config, png).body.equals(renderChart(config, png).body)).toBe(true);
+  });
+
+  it('rejects bad formats, sizes and configs', async () => {
+    const config = await configFor('bar');
+
+    expect(() => renderChart(config, { format: 'gif' })).toThrow('format must be one of svg, png');
+    expect(() => renderChart(config, { width: 50 })).toThrow('width must be a whole number from 100 to 2000');
+    expect(() => renderChart(config, { background: 'plaid' })).toThrow('background must be a colour');
+    expect(() => renderChart({ type: 'bar' })).toThrow('config must be a chart config with data');
+  });
+});
+
+describe('POST /api/render-chart', () => {
+  it('renders a chart from data and a chart type', async () => {
+    const response = await request(app)
+      .post('/api/render-chart')
+      .send({ data: sales, chartType: 'pie', options: { labelColumn: 'month', valueColumn: 'sales' }, format: 'png', width: 300, height: 200 })
+      .buffer(true)
+      .parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(decodePng(response.body).width).toBe(300);
+  });
+
+  it('renders a config returned by /api/generate-chart', async () => {
+    const generated = await request(app)
+      .post('/api/generate-chart')
+      .send({ data: sales, chartType: 'line', options: { xColumn: 'month', yColumn: 'sales', title: 'Trend' } });
+    const response = await request(app)
+      .post('/api/render-chart')
+      .send({ config: generated.body.config, download: true })
+      .buffer(true)
+      .parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('image/svg+xml');
+    expect(response.headers['content-disposition']).toContain('chart.svg');
+    expect(response.body.toString('utf8')).toContain('>Trend</text>');
+  });
+
+  it('returns 400 for requests it cannot render', async () => {
+    const missing = await request(app).post('/api/render-chart').send({ format: 'png' });
+    const unknown = await request(app).post('/api/render-chart').send({ data: sales, chartType: 'sunburst' });
+    const tooBig = await request(app).post('/api/render-chart').send({ data: sales, chartType: 'bar', width: 5000 });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Send a chart config, or data and a chart type');
+    expect(unknown.body.error).toBe('Unsupported chart type: sunburst');
+    expect(tooBig.status).toBe(400);
+  });
+});
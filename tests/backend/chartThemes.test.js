@@ -0,0 +1,136 @@
+/**
+ * Chart Themes Tests
+ *
+ * Palettes, modes, font scaling and pattern fills shared by the chart
+ * generator, the renderer, the Blockly preview and AR charts.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const chartThemes = require('../../src/shared/chartThemes');
+
+const barConfig = () => ({
+  type: 'bar',
+  data: {
+    labels: ['A', 'B'],
+    datasets: [
+      { label: 'one', data: [1, 2], backgroundColor: '#0072b2' },
+      { label: 'whiskers', data: [[0, 3], [1, 4]], backgroundColor: '#0072b2', barPercentage: 0.04 },
+      { type: 'line', label: 'trend', data: [1, 2] },
+      { label: 'two', data: [3, 4], backgroundColor: '#e69f00' }
+    ]
+  },
+  options: { scales: { y: { title: { display: true, text: 'Count' } } } }
+});
+
+describe('resolveTheme', () => {
+  it('fills in defaults for a palette name or a partial theme', () => {
+    expect(chartThemes.resolveTheme()).toEqual({ palette: 'default', mode: 'light', fontScale: 1, patterns: false });
+    expect(chartThemes.resolveTheme('greyscale').palette).toBe('greyscale');
+    expect(chartThemes.resolveTheme({ mode: 'dark', fontScale: '1.25', patterns: 'true' }))
+      .toEqual({ palette: 'default', mode: 'dark', fontScale: 1.25, patterns: true });
+  });
+
+  it('rejects settings it does not know', () => {
+    expect(() => chartThemes.resolveTheme(['dark'])).toThrow('theme must be a palette name or an object');
+    expect(() => chartThemes.resolveTheme({ palette: 'neon' })).toThrow('theme palette must be one of');
+    expect(() => chartThemes.resolveTheme({ fontScale: 'big' })).toThrow('theme fontScale must be a number from 0.5 to 3');
+  });
+});
+
+describe('paletteColors', () => {
+  it('repeats the palette and swaps in its dark colours in dark mode', () => {
+    const light = chartThemes.paletteColors(9, 'colorblind');
+    const dark = chartThemes.paletteColors(8, { palette: 'colorblind', mode: 'dark' });
+
+    expect(light[7]).toBe('#000000');
+    expect(light[8]).toBe(light[0]);
+    expect(dark[7]).toBe('#ffffff');
+    expect(chartThemes.paletteColors(2)).toEqual(['#2d8cf0', '#19be6b']);
+  });
+});
+
+describe('patterns', () => {
+  it('marks part of each tile, differently for each pattern', () => {
+    const tiles = chartThemes.PATTERNS.map(name => {
+      let marks = '';
+      for (let y = 0; y < chartThemes.PATTERN_TILE; y++) {
+        for (let x = 0; x < chartThemes.PATTERN_TILE; x++) marks += chartThemes.patternCovers(name, x, y) ? '#' : '.';
+      }
+      return marks;
+    });
+
+    tiles.forEach(marks => {
+      expect(marks).toContain('#');
+      expect(marks).toContain('.');
+    });
+    expect(new Set(tiles).size).toBe(tiles.length);
+    expect(chartThemes.patternCovers('vertical', 8, 3)).toBe(chartThemes.patternCovers('vertical', 0, 3));
+  });
+
+  it('picks pattern marks that show on the fill', () => {
+    expect(chartThemes.patternInk('#0072b2')).toBe('light');
+    expect(chartThemes.patternInk('#f0e442')).toBe('dark');
+    expect(chartThemes.patternInk({ r: 255, g: 255, b: 255 })).toBe('dark');
+  });
+});
+
+describe('applyTheme', () => {
+  it('sets colours and font sizes on the title, legend and axes', () => {
+    const config = chartThemes.applyTheme(barConfig(), { mode: 'dark', fontScale: 2 });
+
+    expect(config.options.plugins.title).toMatchObject({ color: '#f5f7fa', font: { size: 32 } });
+    expect(config.options.plugins.legend.labels).toMatchObject({ color: '#f5f7fa', font: { size: 24 } });
+    expect(config.options.scales.y).toMatchObject({
+      ticks: { color: '#f5f7fa' },
+      grid: { color: '#3a4358' },
+      border: { color: '#c5c8ce' },
+      title: { text: 'Count', color: '#f5f7fa' }
+    });
+    expect(config.theme.background).toBe('#1c2438');
+  });
+
+  it('gives bar series and pie slices patterns when asked', () => {
+    const bars = chartThemes.applyTheme(barConfig(), { patterns: true });
+    const pie = chartThemes.applyTheme({ type: 'pie', data: { labels: ['a', 'b', 'c'], datasets: [{ data: [1, 2, 3] }] } }, { patterns: true });
+
+    expect(bars.data.datasets.map(dataset => dataset.pattern)).toEqual(['diagonal', undefined, undefined, 'dots']);
+    expect(pie.data.datasets[0].pattern).toEqual(['diagonal', 'dots', 'vertical']);
+    expect(pie.options.scales).toBeUndefined();
+    expect(chartThemes.applyTheme(barConfig()).data.datasets[0].pattern).toBeUndefined();
+  });
+
+  it('themes the radial scale of radar charts', () => {
+    const config = chartThemes.applyTheme({ type: 'radar', data: { labels: [], datasets: [] } }, { mode: 'dark' });
+
+    expect(config.options.scales.r).toMatchObject({
+      angleLines: { color: '#3a4358' },
+      pointLabels: { color: '#f5f7fa' },
+      ticks: { backdropColor: '#1c2438' }
+    });
+  });
+});
+
+describe('forCanvas', () => {
+  it('adds a background plugin to a copy and leaves unthemed configs alone', () => {
+    const plain = barConfig();
+    const themed = chartThemes.applyTheme(barConfig(), { mode: 'dark', patterns: true });
+    const ready = chartThemes.forCanvas(themed, null);
+    const ctx = { save: jest.fn(), restore: jest.fn(), fillRect: jest.fn() };
+
+    expect(chartThemes.forCanvas(plain, null)).toBe(plain);
+    expect(ready).not.toBe(themed);
+    expect(themed.plugins).toBeUndefined();
+    ready.plugins[0].beforeDraw({ ctx, width: 300, height: 200 });
+    expect(ctx.fillStyle).toBe('#1c2438');
+    expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 300, 200);
+  });
+
+  it('keeps the plain colour where the canvas cannot draw patterns', () => {
+    const themed = chartThemes.applyTheme(barConfig(), { patterns: true });
+    const doc = { createElement: () => ({ getContext: () => null }) };
+
+    expect(chartThemes.forCanvas(themed, doc).data.datasets[0].backgroundColor).toBe('#0072b2');
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Combine Datasets Tests
+ *
+ * Joins, appends and unions in DataProcessor, the reports of unmatched keys
+ * and mismatched columns, and the /api/process-datasets route.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+const stamp = `${process.pid}-${Date.now()}`;
+useScratchEnv('combine');
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const app = require('../../server');
+
+const crime = [
+  { suburb: 'Adelaide', year: '2023', offences: '120' },
+  { suburb: 'Unley', year: '2023', offences: '45' },
+  { suburb: 'Glenelg', year: '2023', offences: '60' },
+  { suburb: '', year: '2023', offences: '3' }
+];
+const population = [
+  { Suburb: 'adelaide ', year: '2023', people: '25000' },
+  { Suburb: 'Unley', year: '2023', people: '39000' },
+  { Suburb: 'Norwood', year: '2023', people: '6000' }
+];
+const people = population.map(({ Suburb, ...rest }) => ({ suburb: Suburb.trim(), ...rest }));
+
+describe('DataProcessor joins', () => {
+  it('keeps only matching rows in an inner join', async () => {
+    const result = await dataProcessor.processData(crime, [{ type: 'join', params: { dataset: people, on: 'suburb' } }]);
+
+    expect(result).toEqual([
+      { suburb: 'Unley', year: '2023', offences: '45', year_right: '2023', people: '39000' }
+    ]);
+  });
+
+  it('supports left, right and full joins', async () => {
+    const join = how => dataProcessor.joinData(crime, { dataset: people, on: ['suburb', 'year'], how });
+
+    expect(join('left').map(row => [row.suburb, row.people])).toEqual([
+      ['Adelaide', null], ['Unley', '39000'], ['Glenelg', null], ['', null]
+    ]);
+    expect(join('right').map(row => [row.suburb, row.offences])).toEqual([
+      ['Unley', '45'], ['adelaide', null], ['Norwood', null]
+    ]);
+    expect(join('full')).toHaveLength(6);
+    expect(() => join('outer')).toThrow('how must be one of inner, left, right, full');
+  });
+
+  it('matches keys with different names, spacing and case', () => {
+    const result = dataProcessor.joinData(crime, {
+      dataset: population,
+      on: ['suburb', 'year'],
+      rightOn: ['Suburb', 'year'],
+      ignoreCase: true,
+      suffix: '_pop'
+    });
+
+    expect(result.map(row => [row.suburb, row.people])).toEqual([['Adelaide', '25000'], ['Unley', '39000']]);
+    expect(result[0]).not.toHaveProperty('Suburb');
+  });
+
+  it('reports unmatched keys and renamed columns', async () => {
+    const reports = [];
+    await dataProcessor.processData(crime, [
+      { type: 'sort', params: { column: 'suburb' } },
+      { type: 'join', params: { dataset: people, on: 'suburb', how: 'left' } }
+    ], { reports });
+
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toMatchObject({
+      type: 'join',
+      step: 1,
+      leftRows: 4,
+      rightRows: 3,
+      rows: 4,
+      unmatchedLeft: { rows: 3, keys: ['Adelaide', 'Glenelg'], keyCount: 2 },
+      unmatchedRight: { rows: 2, keys: ['adelaide', 'Norwood'], keyCount: 2 },
+      renamedColumns: ['year_right']
+    });
+    expect(reports[0].message).toBe(
+      '3 of 4 rows in the first dataset had no match (Adelaide, Glenelg). ' +
+      '2 of 3 rows in the second dataset had no match (adelaide, Norwood).'
+    );
+  });
+
+  it('explains missing key columns and datasets', () => {
+    expect(() => dataProcessor.joinData(crime, { dataset: people, on: 'postcode' }))
+      .toThrow('Key column(s) not found in the first dataset: postcode');
+    expect(() => dataProcessor.joinData(crime, { dataset: population, on: 'suburb' }))
+      .toThrow('Key column(s) not found in the second dataset: suburb');
+    expect(() => dataProcessor.joinData(crime, { on: 'suburb' }))
+      .toThrow('A second dataset (params.dataset) is required');
+  });
+});
+
+describe('DataProcessor append and union', () => {
+  const earlier = [{ suburb: 'Unley', year: '2022', offences: '40' }, { suburb: 'Unley', year: '2022', offences: '40' }];
+
+  it('appends rows and lines up columns by name', () => {
+    const reports = [];
+    const result = dataProcessor.appendData(crime.slice(0, 1), { dataset: [{ suburb: 'Unley', people: '39000' }] }, { reports });
+
+    expect(result).toEqual([
+      { suburb: 'Adelaide', year: '2023', offences: '120', people: null },
+      { suburb: 'Unley', year: null, offences: null, people: '39000' }
+    ]);
+    expect(reports[0]).toMatchObject({
+      type: 'append',
+      onlyInFirst: ['year', 'offences'],
+      onlyInSecond: ['people'],
+      message: 'Only in the first dataset: year, offences. Only in the second dataset: people.'
+    });
+  });
+
+  it('removes duplicate rows in a union', () => {
+    const reports = [];
+    const result = dataProcessor.unionData(crime.slice(1, 2), { dataset: earlier }, { reports });
+
+    expect(result.map(row => row.year)).toEqual(['2023', '2022']);
+    expect(reports[0]).toMatchObject({ type: 'union', duplicatesRemoved: 1, message: '1 duplicate row removed.' });
+  });
+});
+
+describe('Combining datasets through the API', () => {
+  const crimeName = `combine-crime-${stamp}`;
+  const peopleName = `combine-people-${stamp}`;
+
+  beforeAll(async () => {
+    await request(app).post('/api/save-csv').send({ data: crime, filename: crimeName });
+    await request(app).post('/api/save-csv').send({ data: people, filename: peopleName });
+  });
+
+  it('returns join reports from /api/process-data', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({ data: crime, operations: [{ type: 'join', params: { dataset: people, on: 'suburb' } }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.reports[0]).toMatchObject({ type: 'join', step: 0 });
+  });
+
+  it('joins saved datasets by name', async () => {
+    const response = await request(app)
+      .post('/api/process-datasets')
+      .send({
+        datasets: { crime: `${crimeName}.csv`, people: peopleName },
+        operations: [{ type: 'join', params: { dataset: 'people', on: ['suburb', 'year'], how: 'left' } }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(4);
+    expect(response.body.data[1]).toMatchObject({ suburb: 'Unley' });
+    expect(String(response.body.data[1].people)).toBe('39000');
+    expect(response.body.reports[0].unmatchedLeft.keys).toEqual(['Adelaide / 2023', 'Glenelg / 2023']);
+  });
+
+  it('starts from the base dataset and accepts a list of files', async () => {
+    const response = await request(app)
+      .post('/api/process-datasets')
+      .send({
+        datasets: [`${crimeName}.csv`, `${peopleName}.csv`],
+        base: peopleName,
+        operations: [{ type: 'append', params: { dataset: crimeName } }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(7);
+    expect(response.body.reports[0]).toMatchObject({ type: 'append', onlyInFirst: ['people'], onlyInSecond: ['offences'] });
+  });
+
+  it('rejects unknown and missing datasets', async () => {
+    const send = body => request(app).post('/api/process-datasets').send(body);
+
+    expect((await send({ datasets: {}, operations: [] })).status).toBe(400);
+    expect((await send({ datasets: [`${crimeName}.csv`], base: 'other', operations: [] })).body)
+      .toEqual({ error: 'Unknown base dataset: other' });
+    expect((await send({ datasets: [`${crimeName}.csv`], operations: [{ type: 'join', params: { dataset: 'people', on: 'suburb' } }] })).body)
+      .toEqual({ error: 'Unknown dataset in join: people' });
+
+    const missing = await send({ datasets: { gone: `missing-${stamp}.csv` }, operations: [] });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe(`Dataset not found: missing-${stamp}.csv`);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * CSV Handler Tests
+ *
+ * RFC 4180 parsing, delimiter and encoding detection, chunked input and the
+ * import report returned by the project upload routes.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { useScratchEnv, FACILITATOR_PASSWORD } = require('../helpers/scratchEnv');
+
+const scratch = useScratchEnv('csv');
+
+const { CsvParser, parseCSV, parseCSVFile, detectDelimiter, detectEncoding } = require('../../src/backend/csvHandler');
+const app = require('../../server');
+
+describe('parseCSV', () => {
+  it('keeps delimiters, quotes and newlines inside quoted fields', () => {
+    const csv = 'suburb,note\r\n"Adelaide, SA","said ""hi""\r\ntwice"\r\nGlenelg,plain\r\n';
+    const result = parseCSV(csv);
+
+    expect(result.headers).toEqual(['suburb', 'note']);
+    expect(result.data).toEqual([
+      { suburb: 'Adelaide, SA', note: 'said "hi"\r\ntwice' },
+      { suburb: 'Glenelg', note: 'plain' }
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('strips a byte order mark and handles CR-only line endings', () => {
+    const result = parseCSV('﻿a,b\r1,2\r3,4');
+    expect(result.headers).toEqual(['a', 'b']);
+    expect(result.data).toHaveLength(2);
+  });
+
+  it('pads short rows and reports them instead of throwing', () => {
+    const result = parseCSV('a,b,c\n1,2\n4,5,6,7\n');
+
+    expect(result.data).toEqual([
+      { a: '1', b: '2', c: '' },
+      { a: '4', b: '5', c: '6' }
+    ]);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ code: 'TooFewFields', row: 0, line: 2 }),
+      expect.objectContaining({ code: 'TooManyFields', row: 1, line: 3 })
+    ]);
+    expect(result.meta.errorCount).toBe(2);
+  });
+
+  it('reports an unterminated quoted field', () => {
+    const result = parseCSV('a,b\n1,"open\n');
+    expect(result.errors[0]).toMatchObject({ type: 'Quotes', code: 'MissingQuotes' });
+    expect(result.data[0].b).toBe('open\n');
+  });
+
+  it('skips blank lines and names empty or repeated headers', () => {
+    const result = parseCSV('a,a,\n\n1,2,3\n   \n');
+    expect(result.headers).toEqual(['a', 'a_2', 'column_3']);
+    expect(result.data).toEqual([{ a: '1', a_2: '2', column_3: '3' }]);
+  });
+
+  it('supports a header row further down or no header at all', () => {
+    expect(parseCSV('Crime report 2023\nsuburb,count\nAdelaide,4', { headerRow: 1 }).data)
+      .toEqual([{ suburb: 'Adelaide', count: '4' }]);
+    expect(parseCSV('1,2\n3,4', { headerRow: null }).headers).toEqual(['column_1', 'column_2']);
+  });
+
+  it('decodes UTF-16 and Windows-1252 bytes', () => {
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('name\nZoë', 'utf16le')]);
+    expect(parseCSV(utf16).data).toEqual([{ name: 'Zoë' }]);
+
+    const cp1252 = Buffer.from([0x6E, 0x61, 0x6D, 0x65, 0x0A, 0x63, 0x61, 0x66, 0xE9]);
+    const result = parseCSV(cp1252);
+    expect(result.meta.encoding).toBe('windows-1252');
+    expect(result.data).toEqual([{ name: 'café' }]);
+  });
+});
+
+describe('detection', () => {
+  it('detects comma, semicolon and tab delimiters', () => {
+    expect(detectDelimiter('a,b,c\n1,2,3')).toBe(',');
+    expect(detectDelimiter('a;b;c\n1,5;2,5;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n"x;y"\t2')).toBe('\t');
+    expect(detectDelimiter('single')).toBe(',');
+  });
+
+  it('detects encodings from byte order marks', () => {
+    expect(detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x61]))).toBe('utf-8');
+    expect(detectEncoding(Buffer.from([0xFE, 0xFF, 0x00, 0x61]))).toBe('utf-16be');
+    expect(detectEncoding(Buffer.from('plain ascii'))).toBe('utf-8');
+  });
+});
+
+describe('CsvParser', () => {
+  it('gives the same result whatever the chunk boundaries', () => {
+    const csv = 'name;quote\r\n"Smith; J";"a ""b"""\r\nLee;"x\r\ny"\r\n';
+    const whole = parseCSV(csv);
+
+    const parser = new CsvParser();
+    for (const char of csv) parser.write(char);
+    const chunked = parser.end();
+
+    expect(chunked.data).toEqual(whole.data);
+    expect(chunked.meta.delimiter).toBe(';');
+  });
+
+  it('streams files from disk', async () => {
+    const file = path.join(scratch, 'stream.csv');
+    const rows = Array.from({ length: 5000 }, (_, i) => `${i},"row, ${i}"`);
+    fs.writeFileSync(file, `id,label\n${rows.join('\n')}\n`);
+
+    const result = await parseCSVFile(file);
+    expect(result.data).toHaveLength(5000);
+    expect(result.data[4999]).toEqual({ id: '4999', label: 'row, 4999' });
+  });
+});
+
+describe('Project CSV uploads', () => {
+  let token;
+
+  beforeAll(async () => {
+    const login = await request(app).post('/api/facilitator/login').send({ password: FACILITATOR_PASSWORD });
+    token = login.body.token;
+  });
+
+  it('returns an import report with per-row errors', async () => {
+    const response = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'Crime')
+      .attach('csvFile', Buffer.from('suburb;offences\n"Adelaide; SA";12\nGlenelg\n'), 'crime.csv');
+
+    expect(response.status).toBe(201);
+    expect(response.body.csvData).toEqual([
+      { suburb: 'Adelaide; SA', offences: '12' },
+      { suburb: 'Glenelg', offences: '' }
+    ]);
+    expect(response.body.csvFilename).toBe('crime.csv');
+    expect(response.body.csvImport).toMatchObject({ delimiter: ';', encoding: 'utf-8', rowCount: 2, errorCount: 1 });
+    expect(response.body.csvImport.errors[0]).toMatchObject({ code: 'TooFewFields', line: 3 });
+  });
+
+  it('applies delimiter and header options on update', async () => {
+    const created = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'Options');
+
+    const response = await request(app)
+      .put(`/api/projects/${created.body.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .field('delimiter', 'tab')
+      .field('headerRow', 'none')
+      .attach('csvFile', Buffer.from('a,b\t1\n'), 'tabs.tsv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.csvHeaders).toEqual(['column_1', 'column_2']);
+    expect(response.body.csvData).toEqual([{ column_1: 'a,b', column_2: '1' }]);
+  });
+
+  it('rejects empty files and unknown options', async () => {
+    const empty = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'Empty')
+      .attach('csvFile', Buffer.from(''), 'empty.csv');
+    expect(empty.status).toBe(400);
+
+    const badOption = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'Bad')
+      .field('delimiter', 'pipe')
+      .attach('csvFile', Buffer.from('a|b\n1|2'), 'pipe.csv');
+    expect(badOption.status).toBe(400);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Dataset Exporter Tests
+ *
+ * Serialisation of datasets to CSV, JSON, NDJSON, XLSX and HTML, and the
+ * GET /api/datasets/:name/export download route.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+useScratchEnv('export');
+
+const { exportDataset } = require('../../src/backend/dataExporter');
+const { parseCSV } = require('../../src/backend/csvHandler');
+const app = require('../../server');
+
+const rows = [
+  { suburb: 'Adelaide, SA', note: 'line one\r\nline two', count: '12' },
+  { suburb: ' Glenelg ', note: 'said "hi"', count: '4' },
+  { suburb: '<b>Unley</b>', note: null, count: '7.5' }
+];
+
+describe('exportDataset', () => {
+  it('writes CSV that parses back to the same rows', async () => {
+    const { body, contentType } = await exportDataset(rows, { format: 'csv' });
+
+    expect(contentType).toContain('text/csv');
+    expect(body).toContain('"line one\r\nline two"');
+    expect(parseCSV(body).data).toEqual([
+      { suburb: 'Adelaide, SA', note: 'line one\r\nline two', count: '12' },
+      { suburb: ' Glenelg ', note: 'said "hi"', count: '4' },
+      { suburb: '<b>Unley</b>', note: '', count: '7.5' }
+    ]);
+  });
+
+  it('keeps the chosen column order', async () => {
+    const csv = await exportDataset(rows, { columns: ['count', 'suburb'] });
+    expect(csv.body.split('\n')[0]).toBe('count,suburb');
+
+    const json = await exportDataset(rows, { format: 'json', columns: ['count'] });
+    expect(JSON.parse(json.body)).toEqual([{ count: '12' }, { count: '4' }, { count: '7.5' }]);
+
+    await expect(exportDataset(rows, { columns: ['population'] })).rejects.toThrow('Unknown column(s): population');
+  });
+
+  it('writes one JSON object per NDJSON line', async () => {
+    const { body } = await exportDataset(rows, { format: 'ndjson' });
+    const lines = body.trim().split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(lines[2])).toEqual({ suburb: '<b>Unley</b>', note: null, count: '7.5' });
+  });
+
+  it('escapes values in HTML tables', async () => {
+    const { body } = await exportDataset(rows, { format: 'html', title: 'Crime <2023>' });
+
+    expect(body).toContain('<title>Crime &lt;2023&gt;</title>');
+    expect(body).toContain('<td>&lt;b&gt;Unley&lt;/b&gt;</td>');
+    expect(body).not.toContain('<b>Unley</b>');
+  });
+
+  it('builds an Excel sheet with numeric cells', async () => {
+    const { body, extension } = await exportDataset(rows, { format: 'xlsx', title: 'crime' });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    const sheet = workbook.getWorksheet('crime');
+
+    expect(extension).toBe('xlsx');
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['suburb', 'note', 'count']);
+    expect(sheet.getCell('C2').value).toBe(12);
+    expect(sheet.getCell('C4').value).toBe(7.5);
+    expect(sheet.getCell('A3').value).toBe(' Glenelg ');
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(exportDataset(rows, { format: 'pdf' })).rejects.toThrow('format must be one of');
+  });
+});
+
+describe('GET /api/datasets/:name/export', () => {
+  const name = `export-test-${process.pid}-${Date.now()}`;
+
+  beforeAll(async () => {
+    await request(app).post('/api/save-csv').send({ data: rows, filename: `${name}.csv`, overwrite: true });
+  });
+
+  it('downloads the dataset as an attachment in the requested format', async () => {
+    const response = await request(app).get(`/api/datasets/${name}/export?format=json&columns=count,suburb`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toContain(`${name}.json`);
+    expect(JSON.parse(response.text)[0]).toEqual({ count: '12', suburb: 'Adelaide, SA' });
+  });
+
+  it('returns 400 for bad options and 404 for missing datasets', async () => {
+    expect((await request(app).get(`/api/datasets/${name}.csv/export?format=pdf`)).status).toBe(400);
+    expect((await request(app).get(`/api/datasets/${name}/export?columns=nope`)).status).toBe(400);
+    expect((await request(app).get('/api/datasets/does-not-exist/export')).status).toBe(404);
+  });
+});
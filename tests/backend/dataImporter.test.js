@@ -0,0 +1,194 @@
+/**
+ * Dataset Importer Tests
+ *
+ * Format detection, XLSX sheet selection and cell conversion, JSON and NDJSON
+ * normalisation, and the upload routes that use the importer.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { useScratchEnv, FACILITATOR_PASSWORD } = require('../helpers/scratchEnv');
+
+const scratch = useScratchEnv('import');
+
+const { detectFormat, importDataset, importDatasetFile } = require('../../src/backend/dataImporter');
+const app = require('../../server');
+
+async function workbookBuffer() {
+  const workbook = new ExcelJS.Workbook();
+  const hidden = workbook.addWorksheet('Notes');
+  hidden.state = 'hidden';
+  hidden.addRow(['ignore me']);
+
+  const crime = workbook.addWorksheet('Crime');
+  crime.addRow([]);
+  crime.addRow(['suburb', 'offences', 'reported', 'total']);
+  crime.addRow(['Adelaide', 12, new Date(Date.UTC(2023, 0, 5)), { formula: 'B3*2', result: 24 }]);
+  crime.addRow([{ richText: [{ text: 'Glen' }, { text: 'elg' }] }, 4, null, { error: '#DIV/0!' }]);
+
+  const weather = workbook.addWorksheet('Weather');
+  weather.addRow(['day', 'temp']);
+  weather.addRow(['Mon', 21.5]);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+describe('detectFormat', () => {
+  it('uses the file extension when there is one', () => {
+    expect(detectFormat('crime.XLSX')).toBe('xlsx');
+    expect(detectFormat('rows.jsonl')).toBe('ndjson');
+    expect(detectFormat('tabs.tsv')).toBe('tsv');
+    expect(detectFormat('notes.txt')).toBe('csv');
+  });
+
+  it('sniffs the contents otherwise', () => {
+    expect(detectFormat('upload', Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x00]))).toBe('xlsx');
+    expect(detectFormat('upload', Buffer.from('  [{"a":1}]'))).toBe('json');
+    expect(detectFormat('upload', Buffer.from('{"a":1}\n{"a":2}\n'))).toBe('ndjson');
+    expect(detectFormat('upload', Buffer.from('a,b\n1,2'))).toBe('csv');
+  });
+});
+
+describe('XLSX import', () => {
+  let buffer;
+
+  beforeAll(async () => {
+    buffer = await workbookBuffer();
+  });
+
+  it('reads the first visible sheet and converts cell values', async () => {
+    const result = await importDataset(buffer, { filename: 'crime.xlsx' });
+
+    expect(result.meta).toMatchObject({ format: 'xlsx', sheet: 'Crime', sheets: ['Notes', 'Crime', 'Weather'], rowCount: 2 });
+    expect(result.headers).toEqual(['suburb', 'offences', 'reported', 'total']);
+    expect(result.data).toEqual([
+      { suburb: 'Adelaide', offences: 12, reported: '2023-01-05', total: 24 },
+      { suburb: 'Glenelg', offences: 4, reported: '', total: '' }
+    ]);
+    expect(result.errors).toEqual([expect.objectContaining({ code: 'CellError', row: 1, line: 4 })]);
+  });
+
+  it('reports cell errors by data row after the header', async () => {
+    const result = await importDataset(buffer, { filename: 'crime.xlsx', headerRow: null });
+
+    expect(result.data).toHaveLength(3);
+    expect(result.errors).toEqual([expect.objectContaining({ code: 'CellError', row: 2, line: 4 })]);
+  });
+
+  it('selects a sheet by name or position', async () => {
+    const byName = await importDataset(buffer, { filename: 'crime.xlsx', sheet: 'weather' });
+    const byIndex = await importDataset(buffer, { filename: 'crime.xlsx', sheet: '3' });
+
+    expect(byName.data).toEqual([{ day: 'Mon', temp: 21.5 }]);
+    expect(byIndex.meta.sheet).toBe('Weather');
+    await expect(importDataset(buffer, { filename: 'crime.xlsx', sheet: 'Rain' }))
+      .rejects.toThrow('Available sheets: Notes, Crime, Weather');
+  });
+});
+
+describe('JSON import', () => {
+  it('fills missing keys and flattens nested objects', async () => {
+    const json = JSON.stringify([
+      { name: 'Ana', address: { suburb: 'Glenelg' }, tags: ['a', 'b'] },
+      { name: 'Ben', score: null }
+    ]);
+    const result = await importDataset(json, { filename: 'people.json' });
+
+    expect(result.headers).toEqual(['name', 'address.suburb', 'tags', 'score']);
+    expect(result.data).toEqual([
+      { name: 'Ana', 'address.suburb': 'Glenelg', tags: '["a","b"]', score: '' },
+      { name: 'Ben', 'address.suburb': '', tags: '', score: null }
+    ]);
+  });
+
+  it('finds records inside open-data wrappers', async () => {
+    const json = JSON.stringify({ success: true, result: { total: 1, records: [{ id: 1, suburb: 'Adelaide' }] } });
+    const result = await importDataset(json, { format: 'json' });
+
+    expect(result.data).toEqual([{ id: 1, suburb: 'Adelaide' }]);
+    expect(result.meta.recordsPath).toBe('result.records');
+  });
+
+  it('accepts arrays of arrays and objects of columns', async () => {
+    const table = await importDataset('[["x","y"],[1,2],[3]]', { format: 'json' });
+    expect(table.data).toEqual([{ x: 1, y: 2 }, { x: 3, y: '' }]);
+    expect(table.errors[0]).toMatchObject({ code: 'TooFewFields', row: 1 });
+
+    const columns = await importDataset('{"x":[1,2],"y":["a","b"]}', { format: 'json' });
+    expect(columns.data).toEqual([{ x: 1, y: 'a' }, { x: 2, y: 'b' }]);
+  });
+
+  it('rejects malformed JSON', async () => {
+    await expect(importDataset('[{"a":1}', { format: 'json' })).rejects.toThrow('Invalid JSON');
+  });
+});
+
+describe('NDJSON and TSV import', () => {
+  it('reports lines that are not JSON objects', async () => {
+    const result = await importDataset('{"a":1}\nnot json\n\n{"a":2,"b":3}\n', { filename: 'rows.ndjson' });
+
+    expect(result.data).toEqual([{ a: 1, b: '' }, { a: 2, b: 3 }]);
+    expect(result.errors).toEqual([expect.objectContaining({ code: 'InvalidJson', line: 2 })]);
+  });
+
+  it('reads tab separated files even when commas dominate', async () => {
+    const file = path.join(scratch, 'places.tsv');
+    fs.writeFileSync(file, 'place\tnote\nAdelaide, SA\tcity, big\n');
+
+    const result = await importDatasetFile(file);
+    expect(result.meta).toMatchObject({ format: 'tsv', delimiter: '\t' });
+    expect(result.data).toEqual([{ place: 'Adelaide, SA', note: 'city, big' }]);
+  });
+});
+
+describe('Import routes', () => {
+  let token;
+
+  beforeAll(async () => {
+    const login = await request(app).post('/api/facilitator/login').send({ password: FACILITATOR_PASSWORD });
+    token = login.body.token;
+  });
+
+  it('POST /api/import-data returns rows and sheet names', async () => {
+    const response = await request(app)
+      .post('/api/import-data')
+      .field('sheet', 'Weather')
+      .attach('file', await workbookBuffer(), 'data.xlsx');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, headers: ['day', 'temp'], data: [{ day: 'Mon', temp: 21.5 }] });
+    expect(response.body.meta.sheets).toEqual(['Notes', 'Crime', 'Weather']);
+  });
+
+  it('POST /api/import-data rejects unknown formats and sheets', async () => {
+    const format = await request(app)
+      .post('/api/import-data')
+      .field('format', 'parquet')
+      .attach('file', Buffer.from('a,b'), 'data.csv');
+    expect(format.status).toBe(400);
+
+    const sheet = await request(app)
+      .post('/api/import-data')
+      .field('sheet', 'Missing')
+      .attach('file', await workbookBuffer(), 'data.xlsx');
+    expect(sheet.status).toBe(400);
+    expect(sheet.body.error).toContain('Missing');
+  });
+
+  it('stores a JSON upload as a project dataset', async () => {
+    const response = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'From JSON')
+      .attach('csvFile', Buffer.from('{"records":[{"a":1},{"a":2}]}'), 'records.json');
+
+    expect(response.status).toBe(201);
+    expect(response.body.csvData).toEqual([{ a: 1 }, { a: 2 }]);
+    expect(response.body.csvImport).toMatchObject({ format: 'json', rowCount: 2, errorCount: 0 });
+  });
+});
@@ -287,6 +287,71 @@ describe('DataProcessor', () => {
       expect(gradeB.avg_score).toBe(78);
       expect(gradeB.count).toBe(1);
     });
+
+    const offences = [
+      { suburb: 'Unley', year: '2023', type: 'Theft', count: '4' },
+      { suburb: 'Unley', year: '2023', type: 'Assault', count: '10' },
+      { suburb: 'Unley', year: '2022', type: 'Theft', count: '' },
+      { suburb: 'Glenelg', year: '2023', type: 'Theft', count: '1' },
+      { suburb: 'Unley', year: '2023', type: 'Theft', count: '7' }
+    ];
+
+    test('should group by several columns in first-seen order', () => {
+      const result = dataProcessor.groupByData(offences, {
+        groupBy: ['suburb', 'year'],
+        aggregations: [{ column: 'count', operation: 'sum', alias: 'total' }, { operation: 'count' }]
+      });
+
+      expect(result).toEqual([
+        { suburb: 'Unley', year: '2023', total: 21, count: 3 },
+        { suburb: 'Unley', year: '2022', total: 0, count: 1 },
+        { suburb: 'Glenelg', year: '2023', total: 1, count: 1 }
+      ]);
+    });
+
+    test('should apply every named aggregation with default output names', () => {
+      const [unley] = dataProcessor.groupByData(offences, {
+        groupBy: 'suburb',
+        aggregations: ['mean', 'median', 'count', 'count_distinct', 'min', 'max', 'std', 'first', 'last']
+          .map(operation => ({ column: operation === 'count_distinct' ? 'type' : 'count', operation }))
+      });
+
+      expect(unley).toEqual({
+        suburb: 'Unley',
+        mean_count: 7,
+        median_count: 7,
+        count_count: 3,
+        count_distinct_type: 2,
+        min_count: 4,
+        max_count: 10,
+        std_count: Math.sqrt(6),
+        first_count: '4',
+        last_count: '7'
+      });
+    });
+
+    test('should reject unknown operations, missing columns and clashing names', () => {
+      expect(() => dataProcessor.groupByData(offences, { groupBy: 'suburb', aggregations: [{ column: 'count', operation: 'mode' }] }))
+        .toThrow('Unsupported aggregation operation: mode');
+      expect(() => dataProcessor.groupByData(offences, { groupBy: 'postcode', aggregations: [] }))
+        .toThrow('Column(s) not found: postcode');
+      expect(() => dataProcessor.groupByData(offences, { groupBy: 'suburb', aggregations: [{ operation: 'sum' }] }))
+        .toThrow('The sum aggregation needs a column');
+      expect(() => dataProcessor.groupByData(offences, {
+        groupBy: 'suburb',
+        aggregations: [{ column: 'count', operation: 'sum', alias: 'x' }, { column: 'count', operation: 'max', alias: 'x' }]
+      })).toThrow('Two aggregations are both named "x"');
+      expect(() => dataProcessor.groupByData(offences, { groupBy: 'suburb', aggregations: [{ column: 'year', operation: 'first', alias: 'suburb' }] }))
+        .toThrow('"suburb" is already a group column');
+    });
+
+    test('should aggregate a whole table into one row', () => {
+      const result = dataProcessor.aggregateData(offences, {
+        aggregations: [{ column: 'count', operation: 'median' }, { column: 'suburb', operation: 'count_distinct', alias: 'suburbs' }]
+      });
+
+      expect(result).toEqual([{ median_count: 5.5, suburbs: 2 }]);
+    });
   });
 
   describe('calculateColumn', () => {
@@ -300,14 +365,36 @@ describe('DataProcessor', () => {
       expect(result[0].age_plus_10).toBe(35); // 25 + 10
     });
 
-    test('should handle invalid expressions', () => {
-      const result = dataProcessor.calculateColumn(sampleData, {
+    test('should report invalid expressions', () => {
+      expect(() => dataProcessor.calculateColumn(sampleData, {
         expression: 'invalid expression',
         newColumnName: 'calculated'
+      })).toThrow(/^Invalid expression: /);
+    });
+
+    test('should support functions and column names with spaces', () => {
+      const result = dataProcessor.calculateColumn(
+        [{ 'Test Score': '87', bonus: '3' }],
+        { expression: 'round(([Test Score] + bonus) / 9, 1)', newColumnName: 'scaled' }
+      );
+
+      expect(result[0].scaled).toBe(10);
+    });
+
+    test('should return null for non-finite results', () => {
+      const result = dataProcessor.calculateColumn(sampleData, {
+        expression: 'score / 0',
+        newColumnName: 'ratio'
       });
-      
-      expect(result).toHaveLength(5);
-      expect(result[0].calculated).toBeNull();
+
+      expect(result[0].ratio).toBeNull();
+    });
+
+    test('should never evaluate JavaScript in the expression', () => {
+      expect(() => dataProcessor.calculateColumn(sampleData, {
+        expression: 'age + process.exit(1)',
+        newColumnName: 'calculated'
+      })).toThrow(/^Invalid expression: /);
     });
   });
 
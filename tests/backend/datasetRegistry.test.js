@@ -0,0 +1,218 @@
+/**
+ * Dataset Registry Tests
+ *
+ * Saved datasets are recorded with their owner, project, original filename,
+ * size, row and column counts; each signed-in user saves into their own
+ * folder, within a quota, and can list, open, rename and delete datasets.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const request = require('supertest');
+const { useScratchEnv, FACILITATOR_PASSWORD } = require('../helpers/scratchEnv');
+
+useScratchEnv('datasets', { DATASET_QUOTA_FILES: '3' });
+
+const app = require('../../server');
+
+const auth = session => ({ Authorization: `Bearer ${session.token}` });
+const upload = (session, csv, name = 'example.csv') => request(app)
+  .post('/api/upload-csv')
+  .set(auth(session))
+  .attach('file', Buffer.from(csv), name);
+
+describe('Dataset registry', () => {
+  let facilitator;
+  let ada;
+  let grace;
+  let projectId;
+
+  beforeAll(async () => {
+    const login = await request(app).post('/api/facilitator/login').send({ password: FACILITATOR_PASSWORD });
+    facilitator = { token: login.body.token, id: login.body.user.id };
+
+    const project = await request(app).post('/api/projects').set(auth(facilitator)).field('name', 'Rainfall');
+    projectId = project.body.id;
+
+    const klass = await request(app).post('/api/classes').set(auth(facilitator)).send({ name: 'Period 2' });
+    const joinCode = klass.body.class.joinCode;
+    const first = await request(app).post('/api/students/join').send({ joinCode, nickname: 'Ada' });
+    ada = { token: first.body.token, id: first.body.user.id };
+    const second = await request(app).post('/api/students/join').send({ joinCode, nickname: 'Grace' });
+    grace = { token: second.body.token, id: second.body.user.id };
+  });
+
+  it('keeps each student\'s example.csv apart and records its details', async () => {
+    const first = await upload(ada, 'town,mm\nAdelaide,12\nUnley,9\n');
+    const second = await upload(grace, 'city,mm,month\nPerth,30,Jan\n');
+
+    expect(first.status).toBe(200);
+    expect(first.body.filename).toBe('example.csv');
+    expect(second.body.filename).toBe('example.csv');
+    expect(first.body.path).toBe('/api/get-csv/example.csv');
+    expect(first.body.dataset).toMatchObject({
+      ownerId: ada.id,
+      ownerRole: 'student',
+      originalName: 'example.csv',
+      rowCount: 2,
+      columnCount: 2,
+      size: Buffer.byteLength('town,mm\nAdelaide,12\nUnley,9\n')
+    });
+    expect(first.body.dataset.id).toMatch(/^ds_/);
+
+    const mine = await request(app).get('/api/get-csv/example.csv').set(auth(ada));
+    const theirs = await request(app).get('/api/get-csv/example.csv').set(auth(grace));
+    expect(mine.body.data[0]).toEqual({ town: 'Adelaide', mm: '12' });
+    expect(mine.body.datasetId).toBe(first.body.dataset.id);
+    expect(theirs.body.data[0]).toEqual({ city: 'Perth', mm: '30', month: 'Jan' });
+
+    const direct = await request(app).get(`/uploads/${ada.id}/example.csv`);
+    const schema = await request(app).get(`/uploads/${ada.id}/example.schema.json`);
+    expect(direct.status).toBe(404);
+    expect(schema.status).toBe(404);
+  });
+
+  it('saves a second upload with the same name alongside the first', async () => {
+    const again = await upload(ada, 'town,mm\nGlenelg,4\n');
+    expect(again.body.filename).toBe('example_2.csv');
+
+    const files = await request(app).get('/api/list-files').set(auth(ada));
+    expect(files.body.files.sort()).toEqual(['example.csv', 'example_2.csv']);
+  });
+
+  it('links saved data to a project and lists it', async () => {
+    const saved = await request(app)
+      .post('/api/save-csv')
+      .set(auth(grace))
+      .send({ data: [{ city: 'Perth', total: 30 }], filename: 'totals', projectId });
+    const missing = await request(app)
+      .post('/api/save-csv')
+      .set(auth(grace))
+      .send({ data: [], filename: 'lost', projectId: 9999 });
+
+    expect(saved.body.dataset).toMatchObject({ filename: 'totals.csv', projectId, ownerId: grace.id });
+    expect(missing.status).toBe(404);
+
+    const listed = await request(app).get('/api/datasets').query({ projectId }).set(auth(grace));
+    expect(listed.body.datasets.map(dataset => dataset.filename)).toEqual(['totals.csv']);
+  });
+
+  it('shows students only their own datasets and facilitators everyone\'s', async () => {
+    const own = await request(app).get('/api/datasets').set(auth(ada));
+    const all = await request(app).get('/api/datasets').set(auth(facilitator));
+    const narrowed = await request(app).get('/api/datasets').query({ ownerId: grace.id }).set(auth(facilitator));
+
+    expect(own.body.datasets.every(dataset => dataset.ownerId === ada.id)).toBe(true);
+    expect(own.body.datasets).toHaveLength(2);
+    expect(all.body.datasets).toHaveLength(4);
+    expect(narrowed.body.datasets.map(dataset => dataset.filename).sort()).toEqual(['example.csv', 'totals.csv']);
+  });
+
+  it('opens, renames and deletes a dataset for its owner only', async () => {
+    const { body } = await request(app).get('/api/datasets').set(auth(ada));
+    const id = body.datasets.find(dataset => dataset.filename === 'example_2.csv').id;
+
+    const opened = await request(app).get(`/api/datasets/${id}`).set(auth(ada));
+    expect(opened.body.dataset.schema.columns.map(column => column.name)).toEqual(['town', 'mm']);
+    expect((await request(app).get(`/api/datasets/${id}`).set(auth(grace))).status).toBe(403);
+
+    const clash = await request(app).patch(`/api/datasets/${id}`).set(auth(ada)).send({ filename: 'example.csv' });
+    expect(clash.status).toBe(400);
+    expect(clash.body.error).toBe('A dataset named example.csv already exists.');
+
+    const renamed = await request(app).patch(`/api/datasets/${id}`).set(auth(ada)).send({ filename: 'glenelg' });
+    expect(renamed.body.dataset).toMatchObject({ id, filename: 'glenelg.csv', originalName: 'example.csv' });
+    expect((await request(app).get('/api/get-csv/glenelg.csv').set(auth(ada))).status).toBe(200);
+
+    expect((await request(app).delete(`/api/datasets/${id}`).set(auth(grace))).status).toBe(403);
+    expect((await request(app).delete(`/api/datasets/${id}`).set(auth(ada))).body.success).toBe(true);
+    expect((await request(app).get(`/api/datasets/${id}`).set(auth(ada))).status).toBe(404);
+    expect((await request(app).get('/api/get-csv/glenelg.csv').set(auth(ada))).status).toBe(404);
+  });
+
+  it('does not let signed-out callers list or change the shared datasets', async () => {
+    const saved = await request(app).post('/api/save-csv').send({ data: [{ town: 'Unley' }], filename: 'shared' });
+    const id = saved.body.dataset.id;
+
+    expect((await request(app).get('/api/datasets')).status).toBe(401);
+    expect((await request(app).get(`/api/datasets/${id}`)).status).toBe(401);
+    expect((await request(app).patch(`/api/datasets/${id}`).send({ filename: 'taken' })).status).toBe(401);
+    expect((await request(app).delete(`/api/datasets/${id}`)).status).toBe(401);
+    expect((await request(app).get('/api/get-csv/shared.csv')).body.data).toEqual([{ town: 'Unley' }]);
+  });
+
+  it('refuses new datasets once the owner\'s quota is full', async () => {
+    await upload(ada, 'a\n1\n', 'second.csv');
+    await upload(ada, 'a\n2\n', 'third.csv');
+    const full = await upload(ada, 'a\n3\n', 'fourth.csv');
+    const replaced = await request(app)
+      .post('/api/save-csv')
+      .set(auth(ada))
+      .send({ data: [{ a: 4 }], filename: 'third.csv' });
+    const other = await upload(grace, 'a\n5\n', 'fourth.csv');
+
+    expect(full.status).toBe(413);
+    expect(full.body.error).toMatch(/^Dataset quota reached: you can keep up to 3 datasets/);
+    expect(replaced.status).toBe(200);
+    expect(other.status).toBe(200);
+  });
+
+  it('reads uploads with the same delimiter and header row options as projects', async () => {
+    const response = await request(app)
+      .post('/api/upload-csv')
+      .set(auth(facilitator))
+      .field('delimiter', 'semicolon')
+      .field('headerRow', '1')
+      .attach('file', Buffer.from('Rainfall export\ntown;mm\nAdelaide;12,5\n'), 'rain.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.schema.columns.map(column => column.name)).toEqual(['town', 'mm']);
+    const stored = await request(app).get('/api/get-csv/rain.csv').set(auth(facilitator));
+    expect(stored.body.data).toEqual([{ town: 'Adelaide', mm: '12,5' }]);
+
+    const bad = await request(app)
+      .post('/api/upload-csv')
+      .set(auth(facilitator))
+      .field('delimiter', 'pipe')
+      .attach('file', Buffer.from('a|b\n1|2\n'), 'pipes.csv');
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toBe('delimiter must be auto, comma, semicolon or tab');
+  });
+
+  it('removes the temporary upload when the request fails', async () => {
+    const removed = jest.spyOn(fs, 'rmSync');
+    try {
+      const response = await request(app)
+        .post('/api/upload-csv')
+        .set(auth(facilitator))
+        .field('projectId', '9999')
+        .attach('file', Buffer.from('a\n1\n'), 'orphan.csv');
+
+      expect(response.status).toBe(404);
+      const [tempPath] = removed.mock.calls.map(([file]) => file).filter(file => file.startsWith(os.tmpdir()));
+      expect(tempPath).toBeDefined();
+      expect(fs.existsSync(tempPath)).toBe(false);
+    } finally {
+      removed.mockRestore();
+    }
+  });
+
+  it('refuses to overwrite a registry it cannot parse', async () => {
+    const registry = process.env.DATASETS_FILE;
+    const saved = fs.readFileSync(registry, 'utf8');
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      fs.writeFileSync(registry, '[{"id": ');
+
+      const response = await upload(facilitator, 'a\n1\n', 'late.csv');
+      expect(response.status).toBe(500);
+      expect(fs.readFileSync(registry, 'utf8')).toBe('[{"id": ');
+    } finally {
+      errorSpy.mockRestore();
+      fs.writeFileSync(registry, saved);
+    }
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Date Operation Tests
+ *
+ * Date parsing with format patterns, the parseDate / extractDatePart /
+ * dateDiff / truncateDate operations, date-aware filters and sorts, and the
+ * line chart time axis.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const dateUtils = require('../../src/backend/dateUtils');
+const dataProcessor = require('../../src/backend/dataProcessor');
+const chartGenerator = require('../../src/backend/chartGenerator');
+
+const offences = [
+  { reported: '03/04/2023', resolved: '2023-05-10', suburb: 'Adelaide', count: '4' },
+  { reported: '25/12/2022', resolved: '2023-01-01', suburb: 'Unley', count: '7' },
+  { reported: '', resolved: 'unknown', suburb: 'Glenelg', count: '2' },
+  { reported: '1/1/2023', resolved: '2024-01-01', suburb: 'Norwood', count: '5' }
+];
+
+describe('dateUtils', () => {
+  it('parses dates with format patterns', () => {
+    expect(dateUtils.toDate('2023/31/01', { format: 'YYYY/DD/MM' }).toISOString()).toBe('2023-01-31T00:00:00.000Z');
+    expect(dateUtils.readDate('5 Sep 23 [9:05 pm]', { format: 'D MMM YY [[]h:mm a]' })).toEqual({
+      date: new Date(Date.UTC(2023, 8, 5, 21, 5)),
+      hasTime: true
+    });
+    expect(dateUtils.toDate('31/02/2023', { format: 'DD/MM/YYYY' })).toBeNull();
+    expect(dateUtils.toDate('2023-01-31', { format: 'DD/MM/YYYY' })).toBeNull();
+    expect(() => dateUtils.compileFormat('HH:mm')).toThrow('needs a year, month and day');
+  });
+
+  it('extracts parts, truncates and measures differences in UTC', () => {
+    const date = new Date(Date.UTC(2024, 1, 29, 18, 30));
+
+    expect(['year', 'quarter', 'month', 'month_name', 'week', 'weekday', 'weekday_name', 'hour']
+      .map(part => dateUtils.extractPart(date, part))).toEqual([2024, 1, 2, 'February', 9, 4, 'Thursday', 18]);
+    expect(dateUtils.formatDate(dateUtils.truncate(date, 'week'))).toBe('2024-02-26');
+    expect(dateUtils.formatDate(dateUtils.truncate(date, 'quarter'))).toBe('2024-01-01');
+    expect(dateUtils.diff(new Date('2023-01-31'), new Date('2023-03-30'), 'months')).toBe(1);
+    expect(dateUtils.diff(new Date('2024-02-29'), new Date('2023-03-01'), 'years')).toBe(0);
+    expect(dateUtils.diff(new Date('2023-01-01'), new Date('2022-12-30'), 'days')).toBe(-2);
+  });
+});
+
+describe('DataProcessor date operations', () => {
+  it('parses a column to ISO dates, reading slash dates day-first', async () => {
+    const result = await dataProcessor.processData(offences, [{ type: 'parseDate', params: { column: 'reported' } }]);
+    expect(result.map(row => row.reported)).toEqual(['2023-04-03', '2022-12-25', null, '2023-01-01']);
+  });
+
+  it('parses with an explicit format into a new column', async () => {
+    const result = await dataProcessor.processData(offences, [{
+      type: 'parseDate',
+      params: { column: 'resolved', format: 'YYYY-MM-DD', output: 'resolved_on' }
+    }]);
+
+    expect(result[0]).toMatchObject({ resolved: '2023-05-10', resolved_on: '2023-05-10' });
+    expect(result[2].resolved_on).toBeNull();
+  });
+
+  it('extracts date parts', async () => {
+    const result = await dataProcessor.processData(offences, [
+      { type: 'extractDatePart', params: { column: 'reported', part: 'year' } },
+      { type: 'extractDatePart', params: { column: 'reported', part: 'weekday_name', output: 'day' } }
+    ]);
+
+    expect(result.map(row => row.reported_year)).toEqual([2023, 2022, null, 2023]);
+    expect(result[0].day).toBe('Monday');
+    await expect(dataProcessor.processData(offences, [{ type: 'extractDatePart', params: { column: 'reported', part: 'era' } }]))
+      .rejects.toThrow('part must be one of');
+  });
+
+  it('measures the time between two columns', async () => {
+    const result = await dataProcessor.processData(offences, [
+      { type: 'dateDiff', params: { start: 'reported', end: 'resolved' } },
+      { type: 'dateDiff', params: { start: 'reported', end: 'resolved', unit: 'months', output: 'months' } }
+    ]);
+
+    expect(result.map(row => row.days_between)).toEqual([37, 7, null, 365]);
+    expect(result.map(row => row.months)).toEqual([1, 0, null, 12]);
+  });
+
+  it('buckets dates by period', async () => {
+    const result = await dataProcessor.processData(offences, [
+      { type: 'truncateDate', params: { column: 'resolved', unit: 'month' } },
+      { type: 'truncateDate', params: { column: 'reported', unit: 'year', output: 'reported_year' } }
+    ]);
+
+    expect(result.map(row => row.resolved)).toEqual(['2023-05-01', '2023-01-01', null, '2024-01-01']);
+    expect(result[0].reported_year).toBe('2023-01-01');
+  });
+
+  it('filters on dates', async () => {
+    const after = await dataProcessor.processData(offences, [{ type: 'filter', params: { column: 'reported', operator: 'after', value: '31/12/2022' } }]);
+    const on = await dataProcessor.processData(offences, [{ type: 'filter', params: { column: 'resolved', operator: 'on', value: '2023-01-01T15:00:00Z' } }]);
+    const between = await dataProcessor.processData(offences, [{
+      type: 'filter',
+      params: { column: 'reported', operator: 'between', min: '01/01/2023', max: '30/04/2023' }
+    }]);
+
+    expect(after.map(row => row.suburb)).toEqual(['Adelaide', 'Norwood']);
+    expect(on.map(row => row.suburb)).toEqual(['Unley']);
+    expect(between.map(row => row.suburb)).toEqual(['Adelaide', 'Norwood']);
+    expect(() => dataProcessor.filterData(offences, { column: 'reported', operator: 'before', value: 'soon' }))
+      .toThrow("'soon' is not a date");
+  });
+
+  it('sorts date columns chronologically with blanks last', async () => {
+    const asc = await dataProcessor.processData(offences, [{ type: 'sort', params: { column: 'reported' } }]);
+    const desc = await dataProcessor.processData(offences, [{ type: 'sort', params: { column: 'reported', direction: 'desc' } }]);
+
+    expect(asc.map(row => row.suburb)).toEqual(['Unley', 'Norwood', 'Adelaide', 'Glenelg']);
+    expect(desc.map(row => row.suburb)).toEqual(['Adelaide', 'Norwood', 'Unley', 'Glenelg']);
+  });
+});
+
+describe('Line chart time axis', () => {
+  const weather = [
+    { day: '2024-03-03', temp: '22' },
+    { day: '2024-01-01', temp: '30' },
+    { day: '2024-02-01', temp: '27' }
+  ];
+
+  it('plots dates in time order on a time scale', async () => {
+    const config = await chartGenerator.generateLineChart(weather, { xColumn: 'day', yColumn: 'temp' });
+
+    expect(config.data.labels).toEqual(['2024-01-01', '2024-02-01', '2024-03-03']);
+    expect(config.data.datasets[0].data).toEqual([30, 27, 22]);
+    expect(config.options.scales.x).toEqual({ type: 'time', time: { unit: 'week' } });
+  });
+
+  it('keeps category labels when asked or when x is not a date', async () => {
+    const plain = await chartGenerator.generateLineChart(weather, { xColumn: 'day', yColumn: 'temp', timeAxis: false });
+    const months = await chartGenerator.generateLineChart([{ m: 'Jan', v: 1 }, { m: 'Feb', v: 2 }], { xColumn: 'm', yColumn: 'v' });
+
+    expect(plain.data.labels).toEqual(['2024-03-03', '2024-01-01', '2024-02-01']);
+    expect(plain.options.scales.x).toBeUndefined();
+    expect(months.options.scales.x).toBeUndefined();
+  });
+});
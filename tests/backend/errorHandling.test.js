@@ -96,7 +96,7 @@ describe('Backend Error Handling', () => {
           data: [{ name: 'test', value: 1 }],
           operations: 'not an array'
         })
-        .expect(500);
+        .expect(400);
 
       expect(response.body).toHaveProperty('error');
     });
@@ -109,7 +109,7 @@ describe('Backend Error Handling', () => {
           data: [{ name: 'test', value: 1 }],
           operations: null
         })
-        .expect(500);
+        .expect(400);
 
       expect(response.body).toHaveProperty('error');
     });
@@ -0,0 +1,116 @@
+const {
+  tokenize,
+  parseExpression,
+  compileExpression,
+  evaluateExpression
+} = require('../../src/backend/expressionParser');
+
+describe('expressionParser', () => {
+  describe('arithmetic', () => {
+    test('should respect operator precedence and parentheses', () => {
+      expect(evaluateExpression('2 + 3 * 4')).toBe(14);
+      expect(evaluateExpression('(2 + 3) * 4')).toBe(20);
+      expect(evaluateExpression('10 % 4 + 1')).toBe(3);
+    });
+
+    test('should treat ^ as right-associative power binding tighter than unary minus', () => {
+      expect(evaluateExpression('2 ^ 3 ^ 2')).toBe(512);
+      expect(evaluateExpression('-2 ^ 2')).toBe(-4);
+      expect(evaluateExpression('2 ^ -1')).toBe(0.5);
+    });
+
+    test('should return Infinity for division by zero rather than throwing', () => {
+      expect(evaluateExpression('1 / 0')).toBe(Infinity);
+    });
+  });
+
+  describe('column references', () => {
+    const row = { 'Test Score': '80', 'Test Score 2': '90', age: '25' };
+
+    test('should resolve numeric strings from CSV rows', () => {
+      expect(evaluateExpression('age + 10', row)).toBe(35);
+    });
+
+    test('should match column names containing spaces', () => {
+      expect(evaluateExpression('Test Score + 1', row)).toBe(81);
+      expect(evaluateExpression('Test Score 2 - Test Score', row)).toBe(10);
+    });
+
+    test('should accept bracketed column names', () => {
+      expect(evaluateExpression('[Test Score] / [age]', row)).toBeCloseTo(3.2);
+    });
+
+    test('should reject unknown columns when a column list is known', () => {
+      expect(() => parseExpression('height * 2', ['age'])).toThrow('Unknown column "height"');
+    });
+  });
+
+  describe('functions', () => {
+    test('should support abs, round, log and friends', () => {
+      expect(evaluateExpression('abs(-3)')).toBe(3);
+      expect(evaluateExpression('round(3.14159, 2)')).toBe(3.14);
+      expect(evaluateExpression('log(e)')).toBe(1);
+      expect(evaluateExpression('log(8, 2)')).toBeCloseTo(3);
+      expect(evaluateExpression('max(1, 7, 3)')).toBe(7);
+      expect(evaluateExpression('sqrt(16)')).toBe(4);
+    });
+
+    test('should evaluate if() lazily with comparisons and logic', () => {
+      const grade = compileExpression('if(score >= 90 and passed = "yes", "A", "B")', ['score', 'passed']);
+      expect(grade({ score: '95', passed: 'yes' })).toBe('A');
+      expect(grade({ score: '95', passed: 'no' })).toBe('B');
+      expect(evaluateExpression('if(1 > 0, 1, 1 / 0)')).toBe(1);
+    });
+
+    test('should compare CSV text and numbers by value', () => {
+      const equals = compileExpression('code = 5', ['code']);
+      expect(equals({ code: '5' })).toBe(true);
+      expect(equals({ code: '05.0' })).toBe(true);
+      expect(equals({ code: 'five' })).toBe(false);
+      expect(evaluateExpression('(1 > 0) = 1')).toBe(true);
+      expect(evaluateExpression('"a" <> "b"')).toBe(true);
+    });
+
+    test('should reject unknown functions and wrong arity', () => {
+      expect(() => parseExpression('eval(1)')).toThrow('Unknown function "eval"');
+      expect(() => parseExpression('abs(1, 2)')).toThrow('Wrong number of arguments');
+      expect(() => parseExpression('if(1, 2)')).toThrow('if() needs');
+    });
+  });
+
+  describe('safety', () => {
+    test('should not execute JavaScript', () => {
+      global.__expressionSideEffect = false;
+      expect(() => parseExpression('(global.__expressionSideEffect = true)')).toThrow();
+      expect(() => parseExpression('constructor.constructor("return 1")()')).toThrow();
+      expect(() => parseExpression('a; b', ['a', 'b'])).toThrow('Unexpected character ";"');
+      expect(global.__expressionSideEffect).toBe(false);
+      delete global.__expressionSideEffect;
+    });
+
+    test('should report the position of syntax errors', () => {
+      try {
+        parseExpression('1 + * 2');
+        throw new Error('expected a syntax error');
+      } catch (error) {
+        expect(error.position).toBe(4);
+        expect(error.message).toContain('position 5');
+      }
+    });
+
+    test('should reject empty and unbalanced expressions', () => {
+      expect(() => parseExpression('')).toThrow('Expression is required');
+      expect(() => parseExpression('(1 + 2')).toThrow('Expected ")"');
+      expect(() => parseExpression('"open')).toThrow('Unterminated string');
+    });
+  });
+
+  describe('tokenize', () => {
+    test('should normalise = and <> to comparison operators', () => {
+      const ops = tokenize('a = 1 <> 2', ['a'])
+        .filter(token => token.type === 'operator')
+        .map(token => token.value);
+      expect(ops).toEqual(['==', '!=']);
+    });
+  });
+});
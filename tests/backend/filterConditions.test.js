@@ -0,0 +1,132 @@
+/**
+ * Filter Condition Tests
+ *
+ * And/or/not condition trees in DataProcessor.filterData, the in, not_in,
+ * is_empty, is_not_empty and regex operators, case-insensitive matching
+ * and condition trees sent to /api/process-data.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+useScratchEnv('conditions');
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const app = require('../../server');
+
+const offences = [
+  { suburb: 'Unley', type: 'Theft', count: '12', date: '2023-03-01' },
+  { suburb: 'unley ', type: 'Assault', count: '3', date: '2023-05-09' },
+  { suburb: 'Glenelg', type: '', count: '8', date: '2022-11-20' },
+  { suburb: 'Adelaide', type: 'Theft', count: '40', date: '' },
+  { suburb: 'Norwood', type: 'Fraud', count: '', date: '2023-01-15' }
+];
+const suburbs = rows => rows.map(row => row.suburb);
+const filter = (condition, extra = {}) => dataProcessor.filterData(offences, { condition, ...extra });
+
+describe('filter operators', () => {
+  it('keeps rows whose value is in a list', () => {
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'suburb', operator: 'in', value: 'Unley, Glenelg' })))
+      .toEqual(['Unley', 'Glenelg']);
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'suburb', operator: 'in', value: ['unley'] })))
+      .toEqual(['unley ']);
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'type', operator: 'not_in', value: ['Theft', 'Fraud'] })))
+      .toEqual(['unley ', 'Glenelg']);
+  });
+
+  it('finds empty and non-empty values', () => {
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'type', operator: 'is_empty' }))).toEqual(['Glenelg']);
+    expect(dataProcessor.filterData(offences, { column: 'count', operator: 'is_not_empty' })).toHaveLength(4);
+  });
+
+  it('matches regular expressions and explains invalid ones', () => {
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'suburb', operator: 'regex', value: '^(Glen|Nor)' })))
+      .toEqual(['Glenelg', 'Norwood']);
+    expect(() => dataProcessor.filterData(offences, { column: 'suburb', operator: 'regex', value: '(' }))
+      .toThrow("'(' is not a valid pattern");
+  });
+
+  it('ignores case when asked', () => {
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'suburb', operator: 'equals', value: 'UNLEY', ignoreCase: true })))
+      .toEqual(['Unley', 'unley ']);
+    expect(dataProcessor.filterData(offences, { column: 'suburb', operator: 'equals', value: 'UNLEY' })).toEqual([]);
+    expect(suburbs(dataProcessor.filterData(offences, { column: 'suburb', operator: 'regex', value: 'ADE', ignoreCase: true })))
+      .toEqual(['Adelaide']);
+  });
+});
+
+describe('condition trees', () => {
+  it('combines conditions with or and and', () => {
+    const result = filter({
+      or: [
+        { column: 'suburb', operator: 'equals', value: 'Glenelg' },
+        { and: [
+          { column: 'type', operator: 'equals', value: 'Theft' },
+          { column: 'count', operator: 'greater_than', value: 20 }
+        ] }
+      ]
+    });
+
+    expect(suburbs(result)).toEqual(['Glenelg', 'Adelaide']);
+  });
+
+  it('negates conditions and mixes in date comparisons', () => {
+    const result = filter({
+      and: [
+        { not: { column: 'date', operator: 'is_empty' } },
+        { column: 'date', operator: 'after', value: '2023-01-01' },
+        { not: { column: 'suburb', operator: 'in', value: 'unley', ignoreCase: false } }
+      ]
+    });
+
+    expect(suburbs(result)).toEqual(['Unley', 'Norwood']);
+  });
+
+  it('passes ignoreCase down to every comparison', () => {
+    const condition = { or: [{ column: 'suburb', operator: 'in', value: ['UNLEY'] }, { column: 'type', operator: 'equals', value: 'fraud' }] };
+
+    expect(suburbs(filter(condition, { ignoreCase: true }))).toEqual(['Unley', 'unley ', 'Norwood']);
+    expect(filter(condition)).toEqual([]);
+  });
+
+  it('explains malformed trees', () => {
+    expect(() => filter({ and: [] })).toThrow('An "and" condition needs a list of conditions');
+    expect(() => filter({ or: [null] })).toThrow('Each filter condition must be an object');
+    expect(() => filter({ operator: 'equals', value: 'x' })).toThrow('Each filter condition needs a column');
+    expect(() => filter({ column: 'suburb', operator: 'like', value: 'x' })).toThrow('Unsupported filter operator: like');
+    expect(() => filter({ column: 'postcode', operator: 'equals', value: '5000' })).toThrow('Column(s) not found: postcode');
+
+    let deep = { column: 'suburb', operator: 'is_empty' };
+    for (let i = 0; i < 25; i++) deep = { not: deep };
+    expect(() => filter(deep)).toThrow('nested at most 20 levels deep');
+  });
+});
+
+describe('POST /api/process-data with a condition tree', () => {
+  it('filters with the tree', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({
+        data: offences,
+        operations: [{ type: 'filter', params: { condition: { or: [
+          { column: 'type', operator: 'is_empty' },
+          { column: 'suburb', operator: 'regex', value: '^adel', ignoreCase: true }
+        ] } } }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(suburbs(response.body.data)).toEqual(['Glenelg', 'Adelaide']);
+  });
+
+  it('reports an invalid tree', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({ data: offences, operations: [{ type: 'filter', params: { condition: { or: 'suburb' } } }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Step 1 (filter): An "or" condition needs a list of conditions');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Inferential Statistics Tests
+ *
+ * t-tests, the chi-square test of independence and confidence intervals in
+ * DataProcessor, and the distribution functions behind their p-values.
+ * Expected values come from the textbook formulas, with p-values and t
+ * quantiles found by numerically integrating the t density.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const distributions = require('../../src/backend/distributions');
+
+// Test scores of two classes
+const scores = [
+  ...[72, 85, 78, 90, 66, 81, 77, 88].map(score => ({ class: '10A', score: String(score) })),
+  ...[64, 70, 59, 75, 68, 62, 71].map(score => ({ class: '10B', score: String(score) })),
+  { class: '10B', score: 'absent' }
+];
+
+describe('distributions', () => {
+  it('matches tabulated t, chi-square and normal values', () => {
+    expect(distributions.tQuantile(0.975, 10)).toBeCloseTo(2.228139, 5);
+    expect(distributions.tQuantile(0.025, 1)).toBeCloseTo(-12.7062, 3);
+    expect(distributions.tCdf(0, 5)).toBeCloseTo(0.5, 10);
+    expect(1 - distributions.chiSquareCdf(3.841459, 1)).toBeCloseTo(0.05, 6);
+    expect(1 - distributions.chiSquareCdf(9.487729, 4)).toBeCloseTo(0.05, 6);
+    expect(distributions.normalQuantile(0.975)).toBeCloseTo(1.959964, 6);
+    expect(distributions.normalCdf(-1.644854)).toBeCloseTo(0.05, 6);
+  });
+});
+
+describe('tTest', () => {
+  it('tests one mean against a value', async () => {
+    const result = await dataProcessor.processData(scores, [{ type: 'tTest', params: { column: 'score', mu: 70 } }]);
+
+    expect(result).toMatchObject({
+      test: 'one-sample t-test',
+      n: 15,
+      mean: 73.7333,
+      significant: false,
+      degreesOfFreedom: 14
+    });
+    expect(result.t).toBeCloseTo(1.5333, 3);
+    expect(result.pValue).toBeCloseTo(0.1475, 3);
+    expect(result.confidenceInterval.lower).toBeCloseTo(68.5112, 3);
+    expect(result.confidenceInterval.upper).toBeCloseTo(78.9555, 3);
+    expect(result.interpretation).toBe(
+      'The mean of score is 73.73. There is not enough evidence that the true mean is different from 70 (p = 0.147); a difference like this could easily happen by chance.'
+    );
+  });
+
+  it('compares two groups with Welch\'s test', () => {
+    const result = dataProcessor.tTest(scores, { column: 'score', groupColumn: 'class' });
+
+    expect(result.groups).toEqual([
+      { group: '10A', n: 8, mean: 79.625, stdDev: 8.1229 },
+      { group: '10B', n: 7, mean: 67, stdDev: 5.5976 }
+    ]);
+    expect(result.test).toBe('two-sample t-test (Welch)');
+    expect(result.t).toBeCloseTo(3.5393, 3);
+    expect(result.degreesOfFreedom).toBeCloseTo(12.3991, 3);
+    expect(result.pValue).toBeCloseTo(0.0039, 3);
+    expect(result.significant).toBe(true);
+    expect(result.interpretation).toBe(
+      'The average score is 79.63 for 10A and 67 for 10B. There is evidence that the average score differs between 10A and 10B (p = 0.004, below the 0.05 significance level).'
+    );
+  });
+
+  it('supports pooled variances and one-sided alternatives', () => {
+    const pooled = dataProcessor.tTest(scores, { column: 'score', groupColumn: 'class', equalVariance: true, alternative: 'less' });
+
+    expect(pooled.test).toBe('two-sample t-test');
+    expect(pooled.degreesOfFreedom).toBe(13);
+    expect(pooled.pValue).toBeGreaterThan(0.99);
+    expect(pooled.interpretation).toContain('not enough evidence that the average score is lower for 10A than for 10B');
+  });
+
+  it('gives one-sided alternatives a one-sided interval', () => {
+    const greater = dataProcessor.tTest(scores, { column: 'score', mu: 70, alternative: 'greater' });
+    expect(greater.confidenceInterval).toMatchObject({ level: 0.95, sided: 'one-sided', upper: null });
+    expect(greater.confidenceInterval.lower).toBeCloseTo(69.4448, 3);
+
+    const less = dataProcessor.tTest(scores, { column: 'score', groupColumn: 'class', alternative: 'less' });
+    expect(less.confidenceInterval).toMatchObject({ sided: 'one-sided', lower: null });
+    expect(less.confidenceInterval.upper).toBeGreaterThan(less.difference);
+
+    const twoSided = dataProcessor.tTest(scores, { column: 'score', mu: 70 });
+    expect(twoSided.confidenceInterval.sided).toBe('two-sided');
+  });
+
+  it('explains tests it cannot run', () => {
+    const three = [...scores, { class: '10C', score: '80' }];
+    expect(() => dataProcessor.tTest(three, { column: 'score', groupColumn: 'class' }))
+      .toThrow("A two-sample t-test compares exactly 2 groups, but 'class' has 3 (10A, 10B, 10C)");
+    expect(dataProcessor.tTest(three, { column: 'score', groupColumn: 'class', groups: ['10A', '10B'] }).groups).toHaveLength(2);
+    expect(() => dataProcessor.tTest([{ score: '5' }, { score: '5' }], { column: 'score' }))
+      .toThrow("Every value in 'score' is the same");
+    expect(() => dataProcessor.tTest([{ score: '5' }], { column: 'score' })).toThrow("A t-test needs at least 2 numbers in 'score'");
+    expect(() => dataProcessor.tTest(scores, { column: 'score', alternative: 'bigger' })).toThrow('alternative must be one of');
+    expect(() => dataProcessor.tTest(scores, { column: 'score', alpha: -1 })).toThrow('alpha must be between 0 and 1');
+  });
+});
+
+describe('chiSquareTest', () => {
+  const survey = [];
+  const add = (year, transport, count) => {
+    for (let i = 0; i < count; i++) survey.push({ year, transport });
+  };
+  add('Year 7', 'bus', 20); add('Year 7', 'car', 30); add('Year 7', 'walk', 10);
+  add('Year 10', 'bus', 35); add('Year 10', 'car', 15); add('Year 10', 'walk', 12);
+  survey.push({ year: '', transport: 'bus' });
+
+  it('tests whether two categorical columns are related', async () => {
+    const result = await dataProcessor.processData(survey, [{ type: 'chiSquareTest', params: { columnA: 'year', columnB: 'transport' } }]);
+
+    expect(result.n).toBe(122);
+    expect(result.table.rows).toEqual(['Year 7', 'Year 10']);
+    expect(result.table.observed).toEqual([[20, 30, 10], [35, 15, 12]]);
+    expect(result.table.expected[0][0]).toBeCloseTo(27.0492, 3);
+    // With 2 degrees of freedom the p-value is exactly exp(-chiSquare / 2)
+    expect(result.degreesOfFreedom).toBe(2);
+    expect(result.chiSquare).toBeCloseTo(9.2424, 3);
+    expect(result.pValue).toBeCloseTo(0.0098, 3);
+    expect(result.significant).toBe(true);
+    expect(result).not.toHaveProperty('warning');
+    expect(result.interpretation).toMatch(/^year and transport appear to be related/);
+  });
+
+  it('warns about small expected counts and rejects unusable columns', () => {
+    const few = [['Year 7', 'bus'], ['Year 7', 'car'], ['Year 7', 'car'], ['Year 10', 'bus'], ['Year 10', 'bus'], ['Year 10', 'car']]
+      .map(([year, transport]) => ({ year, transport }));
+    const small = dataProcessor.chiSquareTest(few, { columnA: 'year', columnB: 'transport' });
+    expect(small.warning).toMatch(/^4 of 4 expected counts are below 5/);
+
+    expect(() => dataProcessor.chiSquareTest(survey, { columnA: 'year' })).toThrow('Two columns');
+    expect(() => dataProcessor.chiSquareTest(survey.slice(0, 30), { columnA: 'year', columnB: 'transport' }))
+      .toThrow("'year' needs at least 2 different values");
+    const ids = Array.from({ length: 60 }, (_, i) => ({ id: `s${i}`, year: i % 2 ? 'Year 7' : 'Year 10' }));
+    expect(() => dataProcessor.chiSquareTest(ids, { columnA: 'id', columnB: 'year' })).toThrow("'id' has more than 50 different values");
+  });
+});
+
+describe('confidenceInterval', () => {
+  it('gives a t interval for a mean', () => {
+    const result = dataProcessor.confidenceInterval(scores, { column: 'score', level: 90 });
+
+    expect(result).toMatchObject({ type: 'mean', level: 0.9, n: 15, estimate: 73.7333 });
+    expect(result.lower).toBeCloseTo(69.4449, 3);
+    expect(result.upper).toBeCloseTo(78.0218, 3);
+    expect(result.interpretation).toBe('We are 90% confident that the true mean of score is between 69.44 and 78.02.');
+  });
+
+  it('gives a Wilson interval for a proportion', async () => {
+    const answers = [...Array(18).fill({ answer: 'Yes' }), ...Array(12).fill({ answer: ' no' }), { answer: '' }, { answer: 'YES' }];
+    const result = await dataProcessor.processData(answers, [{
+      type: 'confidenceInterval',
+      params: { column: 'answer', type: 'proportion', success: 'yes' }
+    }]);
+
+    expect(result).toMatchObject({ n: 31, successes: 19, estimate: 0.6129 });
+    expect(result.lower).toBeCloseTo(0.4382, 3);
+    expect(result.upper).toBeCloseTo(0.7627, 3);
+    expect(result.interpretation).toBe('61.3% of the 31 values of answer are "yes". We are 95% confident that the true proportion is between 43.8% and 76.3%.');
+  });
+
+  it('explains missing settings', () => {
+    expect(() => dataProcessor.confidenceInterval(scores, { column: 'class', type: 'proportion' })).toThrow('params.success must name the value to count');
+    expect(() => dataProcessor.confidenceInterval(scores, { column: 'score', type: 'median' })).toThrow('type must be one of mean, proportion');
+    expect(() => dataProcessor.confidenceInterval(scores, { column: 'score', level: 0 })).toThrow('level must be between 0 and 1');
+    expect(() => dataProcessor.confidenceInterval(scores, { column: 'grade' })).toThrow('Column(s) not found: grade');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Operation Validation Tests
+ *
+ * Checking a list of operations against their schemas before running them:
+ * required params, columns that exist at each step, numbers where numbers
+ * are needed, predicted output columns and /api/process-data/validate.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+useScratchEnv('validate');
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const { OPERATION_SCHEMAS, validateOperations } = require('../../src/backend/operationSchema');
+const app = require('../../server');
+
+const results = [
+  { student: 'Ana', team: 'Red', hours: '3', score: '71' },
+  { student: 'Ben', team: 'Blue', hours: '5', score: '80' },
+  { student: 'Cai', team: 'Red', hours: '', score: '64' }
+];
+const errorsOf = (check, step) => check.steps[step].errors.map(error => error.message);
+
+describe('validateOperations', () => {
+  it('has a schema for every supported operation', () => {
+    expect(Object.keys(OPERATION_SCHEMAS).sort()).toEqual(dataProcessor.getAvailableOperations().sort());
+  });
+
+  it('accepts a valid pipeline and predicts its columns', () => {
+    const check = validateOperations([
+      { type: 'calculate', params: { expression: 'score / hours', newColumnName: 'per_hour' } },
+      { type: 'filter', params: { column: 'per_hour', operator: 'greater_than', value: 10 } },
+      { type: 'renameColumn', params: { from: 'team', to: 'house' } },
+      { type: 'groupBy', params: { groupBy: 'house', aggregations: [{ column: 'score', operation: 'mean', alias: 'average' }] } },
+      { type: 'cumulativeSum', params: { column: 'average' } }
+    ], { data: results });
+
+    expect(check.valid).toBe(true);
+    expect(check.steps[0].columns).toEqual(['student', 'team', 'hours', 'score', 'per_hour']);
+    expect(check.steps[2].columns).toEqual(['student', 'hours', 'score', 'per_hour', 'house']);
+    expect(check.columns).toEqual(['house', 'average', 'cumulative_average']);
+    expect(check.output).toBe('rows');
+  });
+
+  it('checks columns against the step that uses them', () => {
+    const check = validateOperations([
+      { type: 'dropColumn', params: { column: 'hours' } },
+      { type: 'sort', params: { column: 'hours', direction: 'up' } },
+      { type: 'calculate', params: { expression: '[score] + [bonus]', newColumnName: 'total' } },
+      { type: 'filter', params: { condition: { or: [{ column: 'team', operator: 'equals', value: 'Red' }, { column: 'house', operator: 'is_empty' }] } } }
+    ], { data: results });
+
+    expect(check.valid).toBe(false);
+    expect(check.steps[0].valid).toBe(true);
+    expect(check.steps[1].errors).toEqual([
+      { param: 'column', message: 'Column(s) not found: hours' },
+      { param: 'direction', message: 'params.direction must be one of asc, desc' }
+    ]);
+    expect(errorsOf(check, 2)).toEqual(['Column(s) not found: bonus']);
+    expect(errorsOf(check, 3)).toEqual(['Column(s) not found: house']);
+  });
+
+  it('reports missing params, numbers and values outside their choices', () => {
+    const check = validateOperations([
+      { type: 'movingAverage', params: { column: 'score', window: 0 } },
+      { type: 'roundNumber', params: { column: 'score', decimals: 'two' } },
+      { type: 'extractDatePart', params: { column: 'student' } },
+      { type: 'groupBy', params: { groupBy: 'team', aggregations: [{ column: 'score', operation: 'total' }] } },
+      { type: 'calculate', params: { expression: 'score +', newColumnName: 'x' } }
+    ], { data: results });
+
+    expect(errorsOf(check, 0)).toEqual(['params.window must be a whole number of at least 1']);
+    expect(errorsOf(check, 1)).toEqual(['params.decimals must be a whole number of at least 0']);
+    expect(errorsOf(check, 2)).toEqual(['params.part is required']);
+    expect(errorsOf(check, 3)[0]).toMatch(/^Unsupported aggregation operation: total/);
+    expect(check.steps[4].errors[0].param).toBe('expression');
+  });
+
+  it('needs numbers in the columns statistics use', () => {
+    const check = validateOperations([
+      { type: 'detectOutliers', params: { column: 'score', method: 'iqr', action: 'label' } },
+      { type: 'calculateMean', params: { column: 'team' } }
+    ], { data: results });
+
+    expect(check.steps[0].columns).toContain('score_outlier');
+    expect(errorsOf(check, 1)).toEqual(["Column 'team' holds no numbers"]);
+    expect(check.steps[1].output).toBe('result');
+  });
+
+  it('accepts currency and thousands-separated numbers', () => {
+    const check = validateOperations([
+      { type: 'calculateMean', params: { column: 'price' } }
+    ], { data: [{ price: '$12.50' }, { price: '$1,250.00' }] });
+
+    expect(check.valid).toBe(true);
+  });
+
+  it('rejects steps after one that returns a single result', () => {
+    const check = validateOperations([
+      { type: 'calculateMean', params: { column: 'score' } },
+      { type: 'sort', params: { column: 'score' } }
+    ], { columns: ['score'] });
+
+    expect(check.steps[0].valid).toBe(true);
+    expect(errorsOf(check, 1)).toEqual(['The step before sort returns a single result, not rows']);
+  });
+
+  it('stops checking columns once they cannot be predicted', () => {
+    const check = validateOperations([
+      { type: 'pivot', params: { index: 'student', columns: 'team', values: 'score' } },
+      { type: 'sort', params: { column: 'Red' } },
+      { type: 'frobnicate' }
+    ], { data: results });
+
+    expect(check.steps[0].columns).toBeNull();
+    expect(check.steps[1].valid).toBe(true);
+    expect(errorsOf(check, 2)).toEqual(['Unsupported operation: frobnicate']);
+  });
+
+  it('checks the key columns of a join in both datasets', () => {
+    const teams = [{ name: 'Red', coach: 'Kim' }];
+    const check = validateOperations([
+      { type: 'join', params: { dataset: teams, on: 'team', rightOn: 'name', how: 'left' } },
+      { type: 'join', params: { dataset: teams, on: 'team' } }
+    ], { data: results });
+
+    expect(check.steps[0].columns).toEqual(['student', 'team', 'hours', 'score', 'coach']);
+    expect(errorsOf(check, 1)).toEqual(['Key column(s) not found in the second dataset: team']);
+  });
+});
+
+describe('POST /api/process-data/validate', () => {
+  it('returns per-step errors and predicted columns', async () => {
+    const response = await request(app)
+      .post('/api/process-data/validate')
+      .send({
+        data: results,
+        operations: [
+          { type: 'select', params: { columns: ['student', 'score'] } },
+          { type: 'filter', params: { column: 'team', operator: 'equals', value: 'Red' } }
+        ]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      valid: false,
+      steps: [
+        { step: 0, type: 'select', valid: true, errors: [], columns: ['student', 'score'] },
+        { step: 1, type: 'filter', valid: false, errors: [{ param: 'column', message: 'Column(s) not found: team' }] }
+      ]
+    });
+  });
+
+  it('accepts column names instead of rows', async () => {
+    const response = await request(app)
+      .post('/api/process-data/validate')
+      .send({ columns: ['a', 'b'], operations: [{ type: 'concatColumns', params: { column1: 'a', column2: 'b', output: 'ab' } }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(true);
+    expect(response.body.columns).toEqual(['a', 'b', 'ab']);
+  });
+
+  it('rejects a malformed request', async () => {
+    const missing = await request(app).post('/api/process-data/validate').send({ data: results });
+    const badColumns = await request(app).post('/api/process-data/validate').send({ columns: 'a', operations: [] });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Operations must be an array');
+    expect(badColumns.status).toBe(400);
+    expect(badColumns.body.error).toBe('columns must be a list of column names');
+  });
+});
+
+describe('POST /api/process-data with invalid operations', () => {
+  it('returns 400 with the validation errors before running anything', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({
+        data: results,
+        operations: [
+          { type: 'select', params: { columns: ['student', 'score'] } },
+          { type: 'filter', params: { column: 'team', operator: 'equals', value: 'Red' } }
+        ]
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Step 2 (filter): Column(s) not found: team',
+      steps: [{ step: 1, type: 'filter', errors: [{ param: 'column', message: 'Column(s) not found: team' }] }]
+    });
+  });
+});
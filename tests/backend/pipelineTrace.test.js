@@ -0,0 +1,104 @@
+/**
+ * Pipeline Trace Tests
+ *
+ * The optional step-by-step trace from DataProcessor.processData and
+ * /api/process-data: row count, columns, sample rows and timing after each
+ * operation.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+useScratchEnv('trace');
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const app = require('../../server');
+
+const sales = [
+  { shop: 'North', month: 'Jan', units: '12' },
+  { shop: 'South', month: 'Jan', units: '7' },
+  { shop: 'North', month: 'Feb', units: '15' },
+  { shop: 'South', month: 'Feb', units: '' },
+  { shop: 'East', month: 'Feb', units: '4' }
+];
+const operations = [
+  { type: 'filter', params: { column: 'units', operator: 'is_not_empty' } },
+  { type: 'calculate', params: { expression: 'units * 2', newColumnName: 'double' } },
+  { type: 'sort', params: { column: 'double', direction: 'desc' } },
+  { type: 'calculateMean', params: { column: 'double' } }
+];
+
+describe('processData trace', () => {
+  it('records rows, columns, sample rows and timing after each step', async () => {
+    const trace = [];
+    const result = await dataProcessor.processData(sales, operations, { trace, traceSample: 2 });
+
+    expect(result).toBe(19);
+    expect(trace.map(({ step, type, rowCount }) => ({ step, type, rowCount }))).toEqual([
+      { step: 0, type: 'filter', rowCount: 4 },
+      { step: 1, type: 'calculate', rowCount: 4 },
+      { step: 2, type: 'sort', rowCount: 4 },
+      { step: 3, type: 'calculateMean', rowCount: undefined }
+    ]);
+    expect(trace[1].columns).toEqual(['shop', 'month', 'units', 'double']);
+    expect(trace[2].sample).toEqual([
+      { shop: 'North', month: 'Feb', units: '15', double: 30 },
+      { shop: 'North', month: 'Jan', units: '12', double: 24 }
+    ]);
+    expect(trace[3].result).toBe(19);
+    trace.forEach(step => expect(step.durationMs).toBeGreaterThanOrEqual(0));
+  });
+
+  it('keeps five sample rows by default and is off unless asked for', async () => {
+    const trace = [];
+    await dataProcessor.processData([...sales, ...sales], [operations[0]], { trace });
+
+    expect(trace[0].sample).toHaveLength(5);
+    await expect(dataProcessor.processData(sales, operations)).resolves.toBe(19);
+  });
+});
+
+describe('POST /api/process-data with trace', () => {
+  it('returns the trace alongside the data', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({ data: sales, operations: operations.slice(0, 2), trace: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(4);
+    expect(response.body.trace).toHaveLength(2);
+    expect(response.body.trace[1]).toMatchObject({
+      step: 1,
+      type: 'calculate',
+      rowCount: 4,
+      columns: ['shop', 'month', 'units', 'double'],
+      sample: [{ shop: 'North', month: 'Jan', units: '12', double: 24 }]
+    });
+  });
+
+  it('returns the steps that ran before a failure', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({
+        data: sales,
+        operations: [operations[0], { type: 'filter', params: { column: 'month', operator: 'before', value: 'soon' } }],
+        trace: true
+      });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe("'soon' is not a date");
+    expect(response.body.trace.map(step => step.type)).toEqual(['filter']);
+  });
+
+  it('leaves the trace out unless asked and checks the option', async () => {
+    const plain = await request(app).post('/api/process-data').send({ data: sales, operations });
+    const invalid = await request(app).post('/api/process-data').send({ data: sales, operations, trace: 'yes' });
+
+    expect(plain.body).not.toHaveProperty('trace');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('trace must be true or a positive whole number of sample rows');
+  });
+});
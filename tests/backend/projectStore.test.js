@@ -0,0 +1,222 @@
+/**
+ * Project Storage Tests
+ *
+ * Runs the same contract against the JSON file store and the SQLite store,
+ * then checks migration of the legacy projects.json format and the
+ * projectsManager facade on top of the stores.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../../src/backend/storage');
+const { writeFileAtomic } = require('../../src/backend/storage/atomicWrite');
+const projectsManager = require('../../src/backend/projectsManager');
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (_) {
+  hasSqlite = false;
+}
+
+function scratchDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'apparentlyar-store-'));
+}
+
+const drivers = [
+  ['json', dir => createStore({ driver: 'json', projectsFile: path.join(dir, 'projects.json') })],
+  ...(hasSqlite ? [['sqlite', dir => createStore({ driver: 'sqlite', databaseFile: path.join(dir, 'projects.db') })]] : [])
+];
+
+const metadata = (name) => ({
+  name,
+  description: 'desc',
+  status: 'Inactive',
+  csvFilename: null,
+  rowCount: null,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt: '2025-01-01T00:00:00.000Z'
+});
+
+describe.each(drivers)('%s project store', (driver, open) => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = scratchDir();
+    store = open(dir);
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('assigns distinct ids to projects created back to back', () => {
+    const ids = Array.from({ length: 20 }, (_, i) => store.create(metadata(`P${i}`)).id);
+    expect(new Set(ids).size).toBe(20);
+    ids.forEach(id => expect(Number.isSafeInteger(id)).toBe(true));
+  });
+
+  it('does not reuse the id of a deleted project', () => {
+    const first = store.create(metadata('First'));
+    const second = store.create(metadata('Second'));
+    store.remove(second.id);
+    const third = store.create(metadata('Third'));
+    expect(third.id).not.toBe(second.id);
+    expect(third.id).not.toBe(first.id);
+  });
+
+  it('updates and removes project metadata', () => {
+    const project = store.create(metadata('Original'));
+    expect(store.update(project.id, { name: 'Renamed', status: 'Active' })).toMatchObject({
+      id: project.id,
+      name: 'Renamed',
+      status: 'Active',
+      description: 'desc'
+    });
+    expect(store.update(999999, { name: 'Nope' })).toBeNull();
+    expect(store.remove(project.id)).toBe(true);
+    expect(store.get(project.id)).toBeNull();
+    expect(store.remove(project.id)).toBe(false);
+  });
+
+  it('keeps datasets out of the project list', () => {
+    const project = store.create(metadata('With data'));
+    store.saveDataset(project.id, { headers: ['a'], rows: [{ a: 1 }, { a: 2 }] });
+
+    expect(store.list()[0].csvData).toBeUndefined();
+    expect(store.getDataset(project.id)).toEqual({ headers: ['a'], rows: [{ a: 1 }, { a: 2 }] });
+
+    store.saveDataset(project.id, null);
+    expect(store.getDataset(project.id)).toBeNull();
+  });
+
+  it('stores workspaces per owner and drops them with the project', () => {
+    const project = store.create(metadata('Blocks'));
+    const entry = { workspace: { blocks: {} }, updatedAt: '2025-01-02T00:00:00.000Z' };
+    store.saveWorkspace(project.id, 'stu_1', entry);
+
+    expect(store.getWorkspace(project.id, 'stu_1')).toEqual(entry);
+    expect(store.getWorkspace(project.id, 'stu_2')).toBeNull();
+
+    store.saveDataset(project.id, { headers: ['a'], rows: [] });
+    store.remove(project.id);
+    const again = store.create(metadata('Later'));
+    expect(store.getWorkspace(project.id, 'stu_1')).toBeNull();
+    expect(store.getDataset(project.id)).toBeNull();
+    expect(again.id).not.toBe(project.id);
+  });
+});
+
+describe('JSON store files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = scratchDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('migrates the legacy array format into metadata and data files', () => {
+    const projectsFile = path.join(dir, 'projects.json');
+    fs.writeFileSync(projectsFile, JSON.stringify([{
+      id: 1700000000000,
+      name: 'Legacy',
+      status: 'Active',
+      csvData: [{ x: '1' }],
+      csvHeaders: ['x'],
+      workspaces: { stu_1: { workspace: { a: 1 }, updatedAt: 'then' } }
+    }]));
+
+    const store = createStore({ driver: 'json', projectsFile });
+    const [project] = store.list();
+
+    expect(project).toEqual({ id: 1700000000000, name: 'Legacy', status: 'Active', rowCount: 1 });
+    expect(store.getDataset(project.id)).toEqual({ headers: ['x'], rows: [{ x: '1' }] });
+    expect(store.getWorkspace(project.id, 'stu_1')).toEqual({ workspace: { a: 1 }, updatedAt: 'then' });
+    expect(fs.readFileSync(projectsFile, 'utf8')).not.toContain('csvData');
+    expect(store.create(metadata('Next')).id).toBe(1700000000001);
+  });
+
+  it('refuses to read a damaged index and leaves the file untouched', () => {
+    const projectsFile = path.join(dir, 'projects.json');
+    fs.writeFileSync(projectsFile, '{"version": 2, "projects": [');
+
+    const store = createStore({ driver: 'json', projectsFile });
+
+    expect(() => store.list()).toThrow(/Cannot read project index/);
+    expect(() => store.create(metadata('New'))).toThrow(/Cannot read project index/);
+    expect(fs.readFileSync(projectsFile, 'utf8')).toBe('{"version": 2, "projects": [');
+  });
+
+  it('refuses to save over a damaged workspaces file', () => {
+    const store = createStore({ driver: 'json', projectsFile: path.join(dir, 'projects.json') });
+    const project = store.create(metadata('Shared'));
+    store.saveWorkspace(project.id, 'stu_1', { workspace: {} });
+    const workspacesFile = store.workspacesFile(project.id);
+    fs.writeFileSync(workspacesFile, '{"stu_1": {"workspace": ');
+
+    expect(() => store.getWorkspace(project.id, 'stu_1')).toThrow(/Cannot read/);
+    expect(() => store.saveWorkspace(project.id, 'stu_2', { workspace: {} })).toThrow(/Cannot read/);
+    expect(fs.readFileSync(workspacesFile, 'utf8')).toBe('{"stu_1": {"workspace": ');
+  });
+
+  it('leaves no temporary files behind after atomic writes', () => {
+    const file = path.join(dir, 'out.json');
+    writeFileAtomic(file, '{"a":1}');
+    writeFileAtomic(file, '{"a":2}');
+
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"a":2}');
+    expect(fs.readdirSync(dir)).toEqual(['out.json']);
+  });
+});
+
+describe('projectsManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = scratchDir();
+    projectsManager.setProjectStore(createStore({ driver: 'json', projectsFile: path.join(dir, 'projects.json') }));
+  });
+
+  afterEach(() => {
+    projectsManager.setProjectStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns datasets for a single project but not in the list', () => {
+    const created = projectsManager.createProject({
+      name: 'Survey',
+      description: 'Class survey',
+      csvData: [{ age: '14' }, { age: '15' }],
+      csvHeaders: ['age'],
+      csvFilename: 'survey.csv'
+    });
+
+    expect(created).toMatchObject({ name: 'Survey', status: 'Inactive', rowCount: 2, csvHeaders: ['age'] });
+    expect(projectsManager.getProjectById(created.id).csvData).toHaveLength(2);
+    expect(projectsManager.getAllProjects()[0]).not.toHaveProperty('csvData');
+    expect(projectsManager.getAllProjects()[0].csvFilename).toBe('survey.csv');
+  });
+
+  it('replaces the dataset on update and ignores unknown fields', () => {
+    const created = projectsManager.createProject({ name: 'Swap' });
+    const updated = projectsManager.updateProject(created.id, {
+      status: 'Active',
+      csvData: [{ b: 1 }],
+      csvHeaders: ['b'],
+      workspaces: { sneaky: true }
+    });
+
+    expect(updated).toMatchObject({ status: 'Active', rowCount: 1, csvData: [{ b: 1 }] });
+    expect(updated.workspaces).toBeUndefined();
+    expect(projectsManager.updateProject(NaN, { name: 'x' })).toBeNull();
+  });
+});
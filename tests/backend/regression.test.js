@@ -0,0 +1,138 @@
+/**
+ * Regression Tests
+ *
+ * Linear, polynomial and exponential trends in DataProcessor and the shared
+ * regression module. The linear expectations are worked by hand from the
+ * least-squares formulas; the curves are fitted to data that lies exactly
+ * on a known curve.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const regression = require('../../src/backend/regression');
+
+// Hours of study and test scores; the last student did not report a score
+const study = [
+  { student: 'A', hours: '1', score: '52' },
+  { student: 'B', hours: '2', score: '55' },
+  { student: 'C', hours: '3', score: '61' },
+  { student: 'D', hours: '4', score: '64' },
+  { student: 'E', hours: '5', score: '70' },
+  { student: 'F', hours: '6', score: '' }
+];
+
+describe('linearRegression', () => {
+  it('fits slope, intercept, r² and residuals', async () => {
+    const result = await dataProcessor.processData(study, [
+      { type: 'linearRegression', params: { xColumn: 'hours', yColumn: 'score' } }
+    ]);
+
+    expect(result).toMatchObject({
+      model: 'linear',
+      n: 5,
+      slope: 4.5,
+      intercept: 46.9,
+      rSquared: 0.9868,
+      equation: 'score = 4.5hours + 46.9',
+      residuals: [0.6, -0.9, 0.6, -0.9, 0.6]
+    });
+    expect(result.interpretation).toBe('On average score goes up by 4.5 for each increase of 1 in hours. The trend explains 98.7% of the variation in score (r² = 0.9868).');
+  });
+
+  it('agrees with calculateCorrelation', () => {
+    const fit = dataProcessor.linearRegression(study, { xColumn: 'hours', yColumn: 'score' });
+    const r = dataProcessor.calculateCorrelation(study, { columnX: 'hours', columnY: 'score' });
+
+    expect(fit.rSquared).toBeCloseTo(r * r, 3);
+  });
+
+  it('explains why a trend cannot be fitted', () => {
+    expect(() => dataProcessor.linearRegression(study, { xColumn: 'hours' }))
+      .toThrow('Both an x column (params.xColumn) and a y column (params.yColumn) are required');
+    expect(() => dataProcessor.linearRegression(study, { xColumn: 'hours', yColumn: 'grade' }))
+      .toThrow('Column(s) not found: grade');
+    expect(() => dataProcessor.linearRegression(study.slice(4), { xColumn: 'hours', yColumn: 'score' }))
+      .toThrow('A linear trend needs at least 2 points with numbers, but there is 1');
+    expect(() => dataProcessor.linearRegression([{ x: 2, y: 1 }, { x: 2, y: 5 }], { xColumn: 'x', yColumn: 'y' }))
+      .toThrow('A linear trend needs at least 2 different x values');
+  });
+});
+
+describe('polynomialRegression', () => {
+  const parabola = [0, 1, 2, 3, 4].map(x => ({ x, y: x * x - 2 * x + 1 }));
+
+  it('recovers the coefficients of an exact curve', () => {
+    const result = dataProcessor.polynomialRegression(parabola, { xColumn: 'x', yColumn: 'y' });
+
+    expect(result.degree).toBe(2);
+    expect(result.coefficients).toEqual([1, -2, 1]);
+    expect(result.rSquared).toBe(1);
+    expect(result.equation).toBe('y = x² - 2x + 1');
+  });
+
+  it('checks the degree', () => {
+    expect(() => dataProcessor.polynomialRegression(parabola, { xColumn: 'x', yColumn: 'y', degree: 7 }))
+      .toThrow('A polynomial degree must be a whole number from 2 to 6');
+    expect(() => dataProcessor.polynomialRegression(parabola.slice(0, 3), { xColumn: 'x', yColumn: 'y', degree: 3 }))
+      .toThrow('A polynomial trend needs at least 4 points with numbers, but there are 3');
+  });
+});
+
+describe('exponentialRegression', () => {
+  it('fits a doubling population', () => {
+    const population = [0, 1, 2, 3, 4].map(year => ({ year, count: 3 * Math.pow(2, year) }));
+    const result = dataProcessor.exponentialRegression(population, { xColumn: 'year', yColumn: 'count' });
+
+    expect(result.coefficients).toEqual({ a: 3, b: 0.6931 });
+    expect(result.growthRate).toBe(1);
+    expect(result.rSquared).toBe(1);
+    expect(result.equation).toBe('count = 3e^(0.6931year)');
+    expect(result.interpretation).toMatch(/^count grows by about 100% for each increase of 1 in year/);
+  });
+
+  it('needs positive y values', () => {
+    expect(() => dataProcessor.exponentialRegression([{ x: 1, y: 2 }, { x: 2, y: 0 }], { xColumn: 'x', yColumn: 'y' }))
+      .toThrow('An exponential trend needs every y value to be above 0');
+  });
+
+  it('reports x values too close together to fit', () => {
+    expect(() => regression.fitTrend([{ x: 1, y: 2 }, { x: 1 + 1e-12, y: 3 }], { model: 'exponential' }))
+      .toThrow('The x values are too close together to fit an exponential trend');
+  });
+});
+
+describe('trendPredictions', () => {
+  it('adds predicted and residual columns, predicting rows without a y value', async () => {
+    const result = await dataProcessor.processData(study, [
+      { type: 'trendPredictions', params: { xColumn: 'hours', yColumn: 'score' } }
+    ]);
+
+    expect(result.map(row => row.predicted_score)).toEqual([51.4, 55.9, 60.4, 64.9, 69.4, 73.9]);
+    expect(result.map(row => row.residual_score)).toEqual([0.6, -0.9, 0.6, -0.9, 0.6, null]);
+    expect(study[0]).not.toHaveProperty('predicted_score');
+  });
+
+  it('uses the chosen model and column names', () => {
+    const result = dataProcessor.trendPredictions(study, {
+      xColumn: 'hours',
+      yColumn: 'score',
+      model: 'polynomial',
+      outputColumn: 'expected',
+      residualColumn: 'gap'
+    });
+
+    expect(result[0]).toMatchObject({ expected: 51.8286, gap: 0.1714 });
+    expect(() => dataProcessor.trendPredictions(study, { xColumn: 'hours', yColumn: 'score', model: 'logistic' }))
+      .toThrow('Unsupported trend model: logistic; use one of linear, polynomial, exponential');
+  });
+});
+
+describe('formatEquation', () => {
+  it('writes signs and powers the way students do', () => {
+    expect(regression.formatEquation({ model: 'linear', coefficients: [-3, -0.5] })).toBe('y = -0.5x - 3');
+    expect(regression.formatEquation({ model: 'linear', coefficients: [7, 0] })).toBe('y = 7');
+    expect(regression.formatEquation({ model: 'polynomial', coefficients: [0, 0, 0, 0.00002] }, 't', 'h')).toBe('h = 2e-5t³');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Reshape Operation Tests
+ *
+ * Pivot (long to wide) and melt/unpivot (wide to long) in DataProcessor,
+ * and previews of processed data from /api/process-data.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const { useScratchEnv } = require('../helpers/scratchEnv');
+
+useScratchEnv('reshape');
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+const app = require('../../server');
+
+// Shaped like Adelaide_Crime_Breakdown_by_Year.csv: one column per year
+const wide = [
+  { offence: 'Theft', '2021-2022': '3840', '2022-2023': '4353' },
+  { offence: 'Assault', '2021-2022': '1520', '2022-2023': '' }
+];
+
+describe('melt / unpivot', () => {
+  it('turns year columns into year and count rows', async () => {
+    const result = await dataProcessor.processData(wide, [{
+      type: 'melt',
+      params: { idColumns: 'offence', varName: 'year', valueName: 'count' }
+    }]);
+
+    expect(result).toEqual([
+      { offence: 'Theft', year: '2021-2022', count: '3840' },
+      { offence: 'Theft', year: '2022-2023', count: '4353' },
+      { offence: 'Assault', year: '2021-2022', count: '1520' },
+      { offence: 'Assault', year: '2022-2023', count: '' }
+    ]);
+  });
+
+  it('melts only the named columns and can drop empty values', async () => {
+    const result = await dataProcessor.processData(wide, [{
+      type: 'unpivot',
+      params: { idColumns: ['offence'], valueColumns: ['2022-2023'], dropEmpty: true }
+    }]);
+
+    expect(result).toEqual([{ offence: 'Theft', variable: '2022-2023', value: '4353' }]);
+  });
+
+  it('rejects missing columns and clashing names', () => {
+    expect(() => dataProcessor.meltData(wide, { idColumns: 'suburb' })).toThrow('Column(s) not found: suburb');
+    expect(() => dataProcessor.meltData(wide, { idColumns: 'offence', varName: 'offence' }))
+      .toThrow('"offence" is already an id column');
+    expect(() => dataProcessor.meltData(wide, { varName: 'x', valueName: 'x' }))
+      .toThrow('varName and valueName must be different');
+  });
+});
+
+describe('pivot', () => {
+  const long = [
+    { suburb: 'Unley', year: '2022', offence: 'Theft', count: '5' },
+    { suburb: 'Unley', year: '2023', offence: 'Theft', count: '7' },
+    { suburb: 'Unley', year: '2023', offence: 'Assault', count: '2' },
+    { suburb: 'Glenelg', year: '2022', offence: 'Theft', count: '4' },
+    { suburb: 'Glenelg', year: '', offence: 'Theft', count: '1' }
+  ];
+
+  it('spreads values into columns, summing each cell', async () => {
+    const result = await dataProcessor.processData(long, [{
+      type: 'pivot',
+      params: { index: 'suburb', columns: 'year', values: 'count' }
+    }]);
+
+    expect(result).toEqual([
+      { suburb: 'Unley', 2022: 5, 2023: 9, '(empty)': null },
+      { suburb: 'Glenelg', 2022: 4, 2023: null, '(empty)': 1 }
+    ]);
+  });
+
+  it('supports several index columns, other aggregations and a fill value', () => {
+    const counted = dataProcessor.pivotData(long, { index: ['suburb', 'year'], columns: 'offence', aggregation: 'count', fill: 0 });
+    const averaged = dataProcessor.pivotData(long, { index: 'offence', columns: 'suburb', values: 'count', aggregation: 'average' });
+
+    expect(counted[1]).toEqual({ suburb: 'Unley', year: '2023', Theft: 1, Assault: 1 });
+    expect(counted[0]).toEqual({ suburb: 'Unley', year: '2022', Theft: 1, Assault: 0 });
+    expect(averaged[0]).toEqual({ offence: 'Theft', Unley: 6, Glenelg: 2.5 });
+  });
+
+  it('round-trips a melted table', async () => {
+    const result = await dataProcessor.processData(wide, [
+      { type: 'melt', params: { idColumns: 'offence', varName: 'year', valueName: 'count' } },
+      { type: 'pivot', params: { index: 'offence', columns: 'year', values: 'count', aggregation: 'first' } }
+    ]);
+
+    expect(result[0]).toEqual(wide[0]);
+    // first skips empty cells, so the empty count comes back as the fill value
+    expect(result[1]).toEqual({ ...wide[1], '2022-2023': null });
+  });
+
+  it('explains invalid pivots', () => {
+    expect(() => dataProcessor.pivotData(long, { columns: 'year', values: 'count' })).toThrow('index column');
+    expect(() => dataProcessor.pivotData(long, { index: 'suburb', columns: 'year' })).toThrow('params.values');
+    expect(() => dataProcessor.pivotData(long, { index: 'suburb', columns: 'year', values: 'count', aggregation: 'mode' }))
+      .toThrow('aggregation must be one of sum, mean, average, median');
+    expect(() => dataProcessor.pivotData(long, { index: 'suburb', columns: 'postcode', values: 'count' }))
+      .toThrow('Column(s) not found: postcode');
+
+    const ids = Array.from({ length: 201 }, (_, i) => ({ group: 'a', id: `row${i}`, value: i }));
+    expect(() => dataProcessor.pivotData(ids, { index: 'group', columns: 'id', values: 'value' }))
+      .toThrow('would create more than 200 columns');
+  });
+});
+
+describe('POST /api/process-data previews', () => {
+  it('returns the first rows with the full row count and columns', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({ data: wide, operations: [{ type: 'melt', params: { idColumns: 'offence' } }], preview: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(3);
+    expect(response.body.preview).toEqual({ rows: 3, rowCount: 4, columns: ['offence', 'variable', 'value'] });
+    expect(response.body.summary.rows).toBe(4);
+  });
+
+  it('rejects an invalid preview size', async () => {
+    const response = await request(app)
+      .post('/api/process-data')
+      .send({ data: wide, operations: [], preview: 'all' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('preview must be a positive whole number of rows');
+  });
+});
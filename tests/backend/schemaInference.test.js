@@ -0,0 +1,157 @@
+/**
+ * Schema Inference Tests
+ *
+ * Column type detection (numbers, booleans, dates, categories), the stored
+ * schemas returned with saved files and projects, and the data summary.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { useScratchEnv, FACILITATOR_PASSWORD } = require('../helpers/scratchEnv');
+
+useScratchEnv('schema');
+
+const {
+  inferSchema,
+  inferColumnType,
+  parseDate,
+  parseNumber,
+  columnsOfType
+} = require('../../src/backend/schemaInference');
+const dataProcessor = require('../../src/backend/dataProcessor');
+const app = require('../../server');
+
+describe('value parsers', () => {
+  it('reads formatted numbers but not identifiers with leading zeros', () => {
+    expect(parseNumber('1,234')).toEqual({ value: 1234, integer: true, format: null });
+    expect(parseNumber('$12.50')).toEqual({ value: 12.5, integer: false, format: 'currency' });
+    expect(parseNumber('-45%')).toEqual({ value: -45, integer: true, format: 'percent' });
+    expect(parseNumber('0800')).toBeNull();
+    expect(parseNumber('12abc')).toBeNull();
+  });
+
+  it('reads common date layouts and rejects impossible dates', () => {
+    expect(parseDate('2023-01-05').date.toISOString()).toBe('2023-01-05T00:00:00.000Z');
+    expect(parseDate('03/04/2023').date.toISOString()).toBe('2023-04-03T00:00:00.000Z');
+    expect(parseDate('03/04/2023', { order: 'mdy' }).date.toISOString()).toBe('2023-03-04T00:00:00.000Z');
+    expect(parseDate('5 Sept 2023').date.toISOString()).toBe('2023-09-05T00:00:00.000Z');
+    expect(parseDate('2023-01-05 14:30')).toMatchObject({ hasTime: true });
+    expect(parseDate('31/02/2023')).toBeNull();
+    expect(parseDate('Maybe 5, 2023')).toBeNull();
+  });
+});
+
+describe('inferColumnType', () => {
+  it('detects each column type', () => {
+    expect(inferColumnType(['1', '2', '30']).type).toBe('integer');
+    expect(inferColumnType(['1.5', '2', '3']).type).toBe('float');
+    expect(inferColumnType(['yes', 'No', 'Y']).type).toBe('boolean');
+    expect(inferColumnType(['2023-01-01', '2023-02-01']).type).toBe('date');
+    expect(inferColumnType(['2023-01-01T10:00:00Z', '2023-01-01']).type).toBe('datetime');
+    expect(inferColumnType(['A', 'B', 'A', 'A', 'B', 'A']).type).toBe('category');
+    expect(inferColumnType(['Alice', 'Bob', 'Cara']).type).toBe('text');
+  });
+
+  it('ignores missing markers and reports confidence', () => {
+    const values = Array.from({ length: 19 }, (_, i) => String(i)).concat(['n/a', '', 'twenty']);
+    const column = inferColumnType(values);
+
+    expect(column).toMatchObject({ type: 'integer', nullCount: 2, count: 20 });
+    expect(column.confidence).toBe(0.95);
+  });
+
+  it('falls back to text when too few values match', () => {
+    const column = inferColumnType(['1', '2', 'three', 'four']);
+    expect(column.type).toBe('text');
+    expect(column.confidence).toBe(0.5);
+  });
+
+  it('reports formats for percentages and month-first dates', () => {
+    expect(inferColumnType(['45%', '12.5%'])).toMatchObject({ type: 'float', format: 'percent' });
+    expect(inferColumnType(['12/25/2023', '01/02/2024'])).toMatchObject({
+      type: 'date',
+      dateOrder: 'mdy',
+      format: 'MM/DD/YYYY'
+    });
+  });
+});
+
+describe('inferSchema', () => {
+  it('keeps header order and lists columns by type group', () => {
+    const schema = inferSchema(
+      [{ score: '85', passed: 'true', name: 'Ana' }, { score: '92.5', passed: 'false', name: 'Ben' }],
+      { headers: ['name', 'score', 'passed'] }
+    );
+
+    expect(schema.columns.map(column => column.name)).toEqual(['name', 'score', 'passed']);
+    expect(schema.rowCount).toBe(2);
+    expect(columnsOfType(schema, 'numeric')).toEqual(['score']);
+    expect(columnsOfType(schema, ['boolean'])).toEqual(['passed']);
+  });
+
+  it('adds inferred types to the data summary', () => {
+    const summary = dataProcessor.getDataSummary([{ day: '2024-03-01', temp: '21.5' }, { day: '2024-03-02', temp: '19' }]);
+
+    expect(summary.summary.day).toMatchObject({ dataType: 'date', confidence: 1 });
+    expect(summary.summary.temp).toMatchObject({ type: 'numeric', dataType: 'float' });
+  });
+
+  it('computes statistics from the same numbers it types columns by', () => {
+    const data = [{ sales: '1,234', price: '$12.50' }, { sales: '2,000', price: '$7.50' }, { sales: '3,100', price: '$10' }];
+
+    expect(inferColumnType(data.map(row => row.sales)).type).toBe('integer');
+    expect(dataProcessor.calculateMean(data, { column: 'sales' })).toBe(2111.3333);
+    expect(dataProcessor.calculateMean(data, { column: 'price' })).toBe(10);
+    expect(dataProcessor.aggregateData(data, { column: 'sales', operation: 'sum' })).toBe(6334);
+  });
+});
+
+describe('Stored schemas', () => {
+  const name = `schema-test-${process.pid}-${Date.now()}`;
+  const uploads = process.env.UPLOADS_DIR;
+
+  it('saves a schema next to saved CSV files and serves it', async () => {
+    const saved = await request(app)
+      .post('/api/save-csv')
+      .send({ data: [{ suburb: 'Adelaide', count: '4' }, { suburb: 'Unley', count: '7' }], filename: name });
+
+    expect(saved.body.schema.columns.map(column => column.type)).toEqual(['text', 'integer']);
+    expect(fs.existsSync(path.join(uploads, `${name}.schema.json`))).toBe(true);
+
+    const served = await request(app).get(`/api/datasets/${name}/schema`);
+    expect(served.status).toBe(200);
+    expect(served.body.schema).toEqual(saved.body.schema);
+
+    const listed = await request(app).get('/api/list-files');
+    expect(listed.body.files).not.toContain(`${name}.schema.json`);
+  });
+
+  it('re-infers the schema when the CSV changes on disk', async () => {
+    const csvPath = path.join(uploads, `${name}.csv`);
+    fs.writeFileSync(csvPath, 'suburb,when\nAdelaide,2024-01-01\n');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(csvPath, later, later);
+
+    const response = await request(app).get(`/api/get-csv/${name}`);
+    expect(response.body.schema.columns[1]).toMatchObject({ name: 'when', type: 'date' });
+  });
+
+  it('stores the schema with project datasets', async () => {
+    const login = await request(app).post('/api/facilitator/login').send({ password: FACILITATOR_PASSWORD });
+    const response = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .field('name', 'Typed')
+      .attach('csvFile', Buffer.from('grade,score\nA,85\nB,92\nA,77\nA,60\n'), 'grades.csv');
+
+    expect(response.status).toBe(201);
+    expect(response.body.csvSchema.columns).toEqual([
+      expect.objectContaining({ name: 'grade', type: 'category' }),
+      expect.objectContaining({ name: 'score', type: 'integer' })
+    ]);
+  });
+});
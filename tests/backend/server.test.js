@@ -91,8 +91,11 @@ describe('Server Routes', () => {
         .post('/api/process-data')
         .send({ data: testData, operations });
 
-      expect(response.status).toBe(500);
-      expect(response.body.error).toBe('Unsupported operation: unsupported');
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Step 1 (unsupported): Unsupported operation: unsupported');
+      expect(response.body.steps).toEqual([
+        { step: 0, type: 'unsupported', errors: [{ param: null, message: 'Unsupported operation: unsupported' }] }
+      ]);
     });
   });
 
@@ -347,17 +347,13 @@ describe('Statistical Operations - Edge Cases and Error Handling', () => {
       ])).rejects.toThrow();
     });
 
-    test('Should handle invalid outlier detection methods', async () => {
+    test('Should reject invalid outlier detection methods', async () => {
       const data = [{ value: 10 }];
 
-      // The current implementation might not validate method names
-      // This test ensures we handle unknown methods gracefully
-      const result = await DataProcessor.processData(data, [
+      // Unknown methods used to flag nothing, which looked like "no outliers"
+      await expect(DataProcessor.processData(data, [
         { type: 'detectOutliers', params: { column: 'value', method: 'invalid_method' } }
-      ]);
-
-      // Should return data without outlier flags or handle gracefully
-      expect(result).toHaveLength(1);
+      ])).rejects.toThrow('Unsupported outlier method: invalid_method; use one of iqr, zscore, modified_zscore');
     });
   });
 
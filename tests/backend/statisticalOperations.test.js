@@ -260,6 +260,83 @@ describe('Statistical Operations', () => {
         expect(row).toHaveProperty('age_is_outlier');
       });
     });
+
+    describe('methods, thresholds and actions', () => {
+      // With 7 values no z-score can pass 3, so a fixed 3σ flags nothing here
+      const scores = [
+        { value: 10 }, { value: 12 }, { value: 11 }, { value: 13 },
+        { value: 12 }, { value: 14 }, { value: 50 }, { value: 'absent' }
+      ];
+      const flags = (rows, name = 'value_is_outlier') => rows.map(row => row[name]);
+
+      test('Should detect outliers using the modified z-score', async () => {
+        const zscore = await DataProcessor.processData(scores, [
+          { type: 'detectOutliers', params: { column: 'value', method: 'zscore' } }
+        ]);
+        const modified = await DataProcessor.processData(scores, [
+          { type: 'detectOutliers', params: { column: 'value', method: 'modified_zscore' } }
+        ]);
+
+        expect(flags(zscore)).not.toContain(true);
+        expect(flags(modified)).toEqual([false, false, false, false, false, false, true, false]);
+      });
+
+      test('Should use a custom threshold', () => {
+        const result = DataProcessor.detectOutliers(scores, { column: 'value', method: 'zscore', threshold: 2 });
+
+        expect(flags(result)).toEqual([false, false, false, false, false, false, true, false]);
+        expect(() => DataProcessor.detectOutliers(scores, { column: 'value', method: 'iqr', threshold: -1 }))
+          .toThrow('The outlier threshold must be a number above 0');
+      });
+
+      test('Should fall back to the mean absolute deviation when the MAD is 0', () => {
+        const mostlyTwelve = [12, 12, 12, 12, 13, 40].map(value => ({ value }));
+        const result = DataProcessor.detectOutliers(mostlyTwelve, { column: 'value', method: 'modified_zscore' });
+
+        expect(flags(result)).toEqual([false, false, false, false, false, true]);
+      });
+
+      test('Should label, remove or cap outliers', () => {
+        const params = { column: 'value', method: 'iqr' };
+        const labelled = DataProcessor.detectOutliers(scores, { ...params, action: 'label' });
+        const removed = DataProcessor.detectOutliers(scores, { ...params, action: 'remove' });
+        const capped = DataProcessor.detectOutliers(scores, { ...params, action: 'cap' });
+
+        expect(flags(labelled, 'value_outlier')).toEqual([null, null, null, null, null, null, 'high', null]);
+        // Quartiles 11.5 and 13.5 give limits 8.5 and 16.5; the row without a number stays
+        expect(removed.map(row => row.value)).toEqual([10, 12, 11, 13, 12, 14, 'absent']);
+        expect(capped.map(row => row.value)).toEqual([10, 12, 11, 13, 12, 14, 16.5, 'absent']);
+        expect(scores[6].value).toBe(50);
+        expect(() => DataProcessor.detectOutliers(scores, { ...params, action: 'hide' }))
+          .toThrow('Unsupported outlier action: hide; use one of flag, label, remove, cap');
+      });
+    });
+  });
+
+  describe('Quantile methods', () => {
+    const oneToTen = Array.from({ length: 10 }, (_, i) => ({ value: i + 1 }));
+    const percentile = (p, quantileMethod) => DataProcessor.calculatePercentiles(oneToTen, { column: 'value', percentile: p, quantileMethod });
+
+    test('Should interpolate inclusively by default', () => {
+      expect(percentile(25)).toBe(3.25);
+      expect(percentile(25, 'linear')).toBe(3.25);
+    });
+
+    test('Should support exclusive and nearest-rank percentiles', () => {
+      expect(percentile(25, 'exclusive')).toBe(2.75);
+      expect(percentile(90, 'exclusive')).toBe(9.9);
+      expect(percentile(100, 'exclusive')).toBe(10);
+      expect(percentile(25, 'nearest_rank')).toBe(3);
+      expect(percentile(0, 'nearest_rank')).toBe(1);
+      expect(() => percentile(25, 'tukey')).toThrow('Unsupported quantile method: tukey; use one of linear, exclusive, nearest_rank');
+    });
+
+    test('Should use the same method for quartiles in descriptive statistics', () => {
+      const result = DataProcessor.descriptiveStats(oneToTen, { column: 'value', quantileMethod: 'exclusive' });
+
+      expect(result.q1).toBe(2.75);
+      expect(result.q3).toBe(8.25);
+    });
   });
 
   describe('Frequency Count', () => {
@@ -0,0 +1,113 @@
+/**
+ * Window Operation Tests
+ *
+ * Running totals, ranks, percent of total, moving averages, lag/lead and
+ * percent change in DataProcessor, with partitions and sort order.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const dataProcessor = require('../../src/backend/dataProcessor');
+
+// Yearly offences per suburb, deliberately out of order
+const offences = [
+  { suburb: 'Unley', year: '2022', count: '30' },
+  { suburb: 'Unley', year: '2020', count: '20' },
+  { suburb: 'Glenelg', year: '2020', count: '10' },
+  { suburb: 'Unley', year: '2021', count: '25' },
+  { suburb: 'Glenelg', year: '2021', count: '' },
+  { suburb: 'Glenelg', year: '2022', count: '15' }
+];
+const column = (rows, name) => rows.map(row => row[name]);
+
+describe('cumulativeSum', () => {
+  it('keeps a running total in row order', async () => {
+    const result = await dataProcessor.processData(offences, [{ type: 'cumulativeSum', params: { column: 'count' } }]);
+
+    expect(column(result, 'cumulative_count')).toEqual([30, 50, 60, 85, 85, 100]);
+    expect(offences[0]).not.toHaveProperty('cumulative_count');
+  });
+
+  it('restarts for each partition and follows orderBy without moving rows', () => {
+    const result = dataProcessor.cumulativeSum(offences, { column: 'count', partitionBy: 'suburb', orderBy: 'year', output: 'so_far' });
+
+    expect(column(result, 'year')).toEqual(column(offences, 'year'));
+    expect(column(result, 'so_far')).toEqual([75, 20, 10, 45, 10, 25]);
+  });
+});
+
+describe('rank', () => {
+  const scores = [{ score: '7' }, { score: '9' }, { score: '7' }, { score: 'absent' }, { score: '3' }];
+
+  it('ranks the largest value first with ties sharing the lowest rank', () => {
+    expect(column(dataProcessor.rankValues(scores, { column: 'score' }), 'rank_score')).toEqual([2, 1, 2, null, 4]);
+  });
+
+  it('supports dense and first ranking and ascending order', () => {
+    expect(column(dataProcessor.rankValues(scores, { column: 'score', method: 'dense' }), 'rank_score')).toEqual([2, 1, 2, null, 3]);
+    expect(column(dataProcessor.rankValues(scores, { column: 'score', method: 'first' }), 'rank_score')).toEqual([2, 1, 3, null, 4]);
+    expect(column(dataProcessor.rankValues(scores, { column: 'score', direction: 'asc' }), 'rank_score')).toEqual([2, 4, 2, null, 1]);
+    expect(() => dataProcessor.rankValues(scores, { column: 'score', method: 'average' })).toThrow('method must be one of min, dense, first');
+  });
+
+  it('ranks within partitions', async () => {
+    const result = await dataProcessor.processData(offences, [{ type: 'rank', params: { column: 'count', partitionBy: ['suburb'] } }]);
+
+    expect(column(result, 'rank_count')).toEqual([1, 3, 2, 2, null, 1]);
+  });
+});
+
+describe('percentOfTotal', () => {
+  it('gives each share of its partition total', () => {
+    const result = dataProcessor.percentOfTotal(offences, { column: 'count', partitionBy: 'suburb' });
+
+    expect(column(result, 'percent_count')).toEqual([40, (20 / 75) * 100, 40, (25 / 75) * 100, null, 60]);
+  });
+
+  it('gives null when the total is zero', () => {
+    expect(column(dataProcessor.percentOfTotal([{ n: 0 }, { n: '0' }], { column: 'n' }), 'percent_n')).toEqual([null, null]);
+  });
+});
+
+describe('movingAverage', () => {
+  it('averages the last rows once the window is full', () => {
+    const result = dataProcessor.movingAverage(offences, { column: 'count', window: 2, partitionBy: 'suburb', orderBy: 'year' });
+
+    // Glenelg 2021 has no count, so its windows average the numbers they have
+    expect(column(result, 'moving_average_count')).toEqual([27.5, null, null, 22.5, 10, 15]);
+  });
+
+  it('rejects a window that is not a positive whole number', () => {
+    expect(() => dataProcessor.movingAverage(offences, { column: 'count', window: 0 })).toThrow('window must be a whole number of at least 1');
+    expect(() => dataProcessor.movingAverage(offences, { column: 'count', window: 1.5 })).toThrow('window must be');
+  });
+});
+
+describe('lag, lead and pctChange', () => {
+  const ordered = { column: 'count', partitionBy: 'suburb', orderBy: 'year' };
+
+  it('copies values from earlier and later rows', async () => {
+    const result = await dataProcessor.processData(offences, [
+      { type: 'lag', params: ordered },
+      { type: 'lead', params: { ...ordered, periods: 2, output: 'two_years_later' } }
+    ]);
+
+    expect(column(result, 'previous_count')).toEqual(['25', null, null, '20', '10', '']);
+    expect(column(result, 'two_years_later')).toEqual([null, '30', '15', null, null, null]);
+  });
+
+  it('gives the percent change, e.g. year over year', () => {
+    const result = dataProcessor.pctChange(offences, ordered);
+
+    expect(column(result, 'pct_change_count')).toEqual([20, null, null, 25, null, null]);
+    expect(column(dataProcessor.pctChange(offences, { ...ordered, periods: 2 }), 'pct_change_count'))
+      .toEqual([50, null, null, null, null, 50]);
+  });
+
+  it('explains missing columns and bad periods', () => {
+    expect(() => dataProcessor.lagValues(offences, { column: 'count', partitionBy: 'postcode' })).toThrow('Column(s) not found: postcode');
+    expect(() => dataProcessor.leadValues(offences, { partitionBy: 'suburb' })).toThrow('A value column (params.column) is required');
+    expect(() => dataProcessor.pctChange(offences, { column: 'count', periods: -1 })).toThrow('periods must be a whole number of at least 1');
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const { useScratchEnv, FACILITATOR_PASSWORD } = require('../helpers/scratchEnv');
+
+useScratchEnv('workspace');
+const app = require('../../server');
+
+describe('Project workspace routes', () => {
+  let projectId;
+  let facilitator;
+  let student;
+  let otherStudent;
+  const workspace = {
+    blocks: {
+      languageVersion: 0,
+      blocks: [{ type: 'csv_import', id: 'abc', x: 10, y: 10 }]
+    }
+  };
+
+  const auth = (session) => ({ Authorization: `Bearer ${session.token}` });
+
+  beforeAll(async () => {
+    const login = await request(app)
+      .post('/api/facilitator/login')
+      .send({ password: FACILITATOR_PASSWORD });
+    facilitator = { token: login.body.token, id: login.body.user.id };
+
+    const response = await request(app)
+      .post('/api/projects')
+      .set(auth(facilitator))
+      .field('name', 'Workspace project');
+    projectId = response.body.id;
+
+    const klass = await request(app)
+      .post('/api/classes')
+      .set(auth(facilitator))
+      .send({ name: 'Period 1' });
+    const joinCode = klass.body.class.joinCode;
+
+    const first = await request(app).post('/api/students/join').send({ joinCode, nickname: 'Ada' });
+    student = { token: first.body.token, id: first.body.user.id };
+    const second = await request(app).post('/api/students/join').send({ joinCode, nickname: 'Grace' });
+    otherStudent = { token: second.body.token, id: second.body.user.id };
+  });
+
+  it('returns an empty workspace when nothing has been saved', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .set(auth(student))
+      .query({ studentId: student.id });
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.workspace).toBeNull();
+    expect(response.body.updatedAt).toBeNull();
+  });
+
+  it('saves and restores a workspace per student', async () => {
+    const saved = await request(app)
+      .put(`/api/projects/${projectId}/workspace`)
+      .set(auth(student))
+      .send({ studentId: student.id, workspace });
+    expect(saved.status).toBe(200);
+    expect(saved.body.success).toBe(true);
+    expect(saved.body.updatedAt).toBeDefined();
+
+    const restored = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .set(auth(student))
+      .query({ studentId: student.id });
+    expect(restored.body.workspace).toEqual(workspace);
+
+    const other = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .set(auth(otherStudent))
+      .query({ studentId: otherStudent.id });
+    expect(other.body.workspace).toBeNull();
+  });
+
+  it('requires a session', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .query({ studentId: student.id });
+    expect(response.status).toBe(401);
+  });
+
+  it('keeps students out of each other\'s workspaces', async () => {
+    const read = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .set(auth(otherStudent))
+      .query({ studentId: student.id });
+    expect(read.status).toBe(403);
+
+    const write = await request(app)
+      .put(`/api/projects/${projectId}/workspace`)
+      .set(auth(otherStudent))
+      .send({ studentId: student.id, workspace });
+    expect(write.status).toBe(403);
+  });
+
+  it('lets a facilitator review a student workspace but not overwrite it', async () => {
+    const read = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .set(auth(facilitator))
+      .query({ studentId: student.id });
+    expect(read.status).toBe(200);
+    expect(read.body.workspace).toEqual(workspace);
+
+    const write = await request(app)
+      .put(`/api/projects/${projectId}/workspace`)
+      .set(auth(facilitator))
+      .send({ studentId: student.id, workspace });
+    expect(write.status).toBe(403);
+  });
+
+  it('does not include saved workspaces in project responses', async () => {
+    const response = await request(app).get(`/api/projects/${projectId}`);
+    expect(response.status).toBe(200);
+    expect(response.body.workspaces).toBeUndefined();
+  });
+
+  it('rejects a missing or malformed student id', async () => {
+    const missing = await request(app)
+      .get(`/api/projects/${projectId}/workspace`)
+      .set(auth(student));
+    expect(missing.status).toBe(400);
+
+    const malformed = await request(app)
+      .put(`/api/projects/${projectId}/workspace`)
+      .set(auth(student))
+      .send({ studentId: '../etc', workspace });
+    expect(malformed.status).toBe(400);
+  });
+
+  it('rejects a workspace that is not an object', async () => {
+    const response = await request(app)
+      .put(`/api/projects/${projectId}/workspace`)
+      .set(auth(student))
+      .send({ studentId: student.id, workspace: [1, 2] });
+    expect(response.status).toBe(400);
+  });
+
+  it('returns 404 for an unknown project', async () => {
+    const getResponse = await request(app)
+      .get('/api/projects/999999/workspace')
+      .set(auth(student))
+      .query({ studentId: student.id });
+    expect(getResponse.status).toBe(404);
+
+    const putResponse = await request(app)
+      .put('/api/projects/999999/workspace')
+      .set(auth(student))
+      .send({ studentId: student.id, workspace });
+    expect(putResponse.status).toBe(404);
+  });
+});
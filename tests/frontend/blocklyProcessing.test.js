@@ -163,4 +163,142 @@ describe('Blockly data processing blocks integration', () => {
 		const result = await eval(code);
 		expect(result).toEqual([]);
 	});
+
+	test('melt_data generator calls AppApi.processData with melt operation', async () => {
+		const gen = global.Blockly.JavaScript['melt_data'];
+		expect(typeof gen).toBe('function');
+
+		const fakeBlock = {
+			getFieldValue: (name) => ({ ID_COLUMNS: 'offence, suburb', VAR_NAME: 'year', VALUE_NAME: 'count' })[name] || ''
+		};
+		const code = gen(fakeBlock)[0];
+		const inputData = [{ offence: 'Theft', suburb: 'Unley', 2022: '5', 2023: '7' }];
+		const processedOut = [{ offence: 'Theft', suburb: 'Unley', year: '2022', count: '5' }];
+		window.AppApi.processData.mockImplementation(async (data, ops) => {
+			expect(data).toBe(inputData);
+			expect(ops).toEqual([{
+				type: 'melt',
+				params: { idColumns: ['offence', 'suburb'], varName: 'year', valueName: 'count' }
+			}]);
+			return { data: processedOut };
+		});
+
+		// eslint-disable-next-line no-eval
+		const result = await eval(code);
+
+		expect(result).toEqual(processedOut);
+		expect(global.Blockly.CsvImportData.data).toEqual(processedOut);
+	});
+
+	test('group_by mutator adds and restores group columns and summaries', () => {
+		const registerMutator = jest.fn();
+		global.Blockly.Extensions.registerMutator = registerMutator;
+		global.Blockly.FieldDropdown = class { constructor(options) { this.options = options; } };
+		global.Blockly.FieldTextInput = class { constructor(text) { this.text = text; } };
+		jest.isolateModules(() => {
+			require('../../src/blocks/data_ops.js');
+		});
+
+		expect(registerMutator).toHaveBeenCalledWith('group_by_mutator', expect.any(Object), expect.any(Function),
+			['group_by_column_item', 'group_by_aggregation_item']);
+		const [, mixin, init] = registerMutator.mock.calls[0];
+
+		// Minimal block: dummy inputs hold [label|field, name] pairs
+		const inputs = ['GROUP0', 'AGG0'];
+		const fields = {};
+		const block = {
+			...mixin,
+			getInput: (name) => inputs.includes(name),
+			removeInput: (name) => inputs.splice(inputs.indexOf(name), 1),
+			moveInputBefore: (name, before) => {
+				inputs.splice(inputs.indexOf(name), 1);
+				inputs.splice(inputs.indexOf(before), 0, name);
+			},
+			appendDummyInput(name) {
+				inputs.push(name);
+				const row = { appendField: (field, fieldName) => { if (fieldName) fields[fieldName] = field; return row; } };
+				return row;
+			}
+		};
+		init.call(block);
+
+		block.loadExtraState({ groups: 2, aggregations: 3 });
+
+		expect(inputs).toEqual(['GROUP0', 'GROUP1', 'AGG0', 'AGG1', 'AGG2']);
+		expect(Object.keys(fields)).toEqual(['GROUP_COLUMN1', 'AGGREGATION1', 'AGG_COLUMN1', 'ALIAS1', 'AGGREGATION2', 'AGG_COLUMN2', 'ALIAS2']);
+		expect(fields.AGGREGATION1.options.map(option => option[1])).toEqual(
+			['sum', 'average', 'median', 'count', 'count_distinct', 'min', 'max', 'std', 'first', 'last']);
+		expect(block.saveExtraState()).toEqual({ groups: 2, aggregations: 3 });
+
+		block.loadExtraState({ groups: 1, aggregations: 1 });
+		expect(inputs).toEqual(['GROUP0', 'AGG0']);
+	});
+
+	test('viz_fields mutator adds y column rows before the chart options', () => {
+		const registerMutator = jest.fn();
+		global.Blockly.Extensions.registerMutator = registerMutator;
+		global.Blockly.FieldDropdown = class { constructor(options) { this.options = options; } };
+		jest.isolateModules(() => {
+			require('../../src/blocks/data_ops.js');
+		});
+
+		const call = registerMutator.mock.calls.find(([name]) => name === 'viz_fields_mutator');
+		expect(call[3]).toEqual(['viz_fields_y_item']);
+		const [, mixin, init] = call;
+
+		const inputs = ['Y0', 'OPTIONS'];
+		const fields = {};
+		const block = {
+			...mixin,
+			getInput: (name) => inputs.includes(name),
+			removeInput: (name) => inputs.splice(inputs.indexOf(name), 1),
+			moveInputBefore: (name, before) => {
+				inputs.splice(inputs.indexOf(name), 1);
+				inputs.splice(inputs.indexOf(before), 0, name);
+			},
+			appendDummyInput(name) {
+				inputs.push(name);
+				const row = { appendField: (field, fieldName) => { if (fieldName) fields[fieldName] = field; return row; } };
+				return row;
+			}
+		};
+		init.call(block);
+
+		block.loadExtraState({ yColumns: 3 });
+		expect(inputs).toEqual(['Y0', 'Y1', 'Y2', 'OPTIONS']);
+		expect(Object.keys(fields)).toEqual(['Y1', 'Y2']);
+		expect(block.saveExtraState()).toEqual({ yColumns: 3 });
+
+		block.loadExtraState({});
+		expect(inputs).toEqual(['Y0', 'OPTIONS']);
+	});
+
+	test('group_by generator sends every group column and summary', async () => {
+		const gen = global.Blockly.JavaScript['group_by'];
+		const values = {
+			GROUP_COLUMN: 'suburb', GROUP_COLUMN1: 'year',
+			AGGREGATION: 'average', AGG_COLUMN: 'count', ALIAS: 'mean',
+			AGGREGATION1: 'count_distinct', AGG_COLUMN1: 'type', ALIAS1: ''
+		};
+		const fakeBlock = { groupCount_: 2, aggregationCount_: 2, getFieldValue: (name) => values[name] || '' };
+		const inputData = [{ suburb: 'Unley', year: '2023', type: 'Theft', count: '4' }];
+		window.AppApi.processData.mockImplementation(async (data, ops) => {
+			expect(ops).toEqual([{
+				type: 'groupBy',
+				params: {
+					groupBy: ['suburb', 'year'],
+					aggregations: [
+						{ column: 'count', operation: 'average', alias: 'mean' },
+						{ column: 'type', operation: 'count_distinct' }
+					]
+				}
+			}]);
+			return { data: [] };
+		});
+
+		// eslint-disable-next-line no-eval
+		await eval(gen(fakeBlock)[0]);
+
+		expect(window.AppApi.processData).toHaveBeenCalledTimes(1);
+	});
 });
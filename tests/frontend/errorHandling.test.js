@@ -119,7 +119,7 @@ describe('Frontend Error Handling', () => {
             }
           ]
         })
-        .expect(500);
+        .expect(400);
 
       expect(response.body).toHaveProperty('error');
     });
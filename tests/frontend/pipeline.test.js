@@ -0,0 +1,466 @@
+/**
+ * Block Pipeline Interpreter Tests
+ *
+ * Validates that workspaces compile into declarative `{ type, params }`
+ * operation lists and that the interpreter runs them through the API
+ * without evaluating any generated code.
+ *
+ * @module PipelineTests
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ * @since 1.1.0
+ */
+
+global.window = global.window || {};
+
+/**
+ * Minimal stand-in for a Blockly block
+ */
+function mockBlock(type, fields = {}, inputs = {}, next = null) {
+  return {
+    id: `${type}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    getFieldValue: (name) => (name in fields ? fields[name] : null),
+    getInputTargetBlock: (name) => inputs[name] || null,
+    getNextBlock: () => next,
+    isEnabled: () => true
+  };
+}
+
+function mockWorkspace(...topBlocks) {
+  return { getTopBlocks: () => topBlocks };
+}
+
+describe('BlocklyPipeline', () => {
+  let pipeline;
+  const rows = [
+    { name: 'Alice', score: '85' },
+    { name: 'Bob', score: '92' }
+  ];
+
+  beforeEach(() => {
+    window.Blockly = { CsvImportData: { data: rows, originalData: rows, filename: 'class.csv' } };
+    window.BlocklyPersistCsv = jest.fn().mockResolvedValue({ path: '/uploads/class.csv' });
+    window.AppApi = {
+      processData: jest.fn().mockImplementation(async (data) => ({ success: true, data: data.slice(0, 1) })),
+      generateChart: jest.fn().mockResolvedValue({ success: true, config: { type: 'bar' } })
+    };
+    window.dispatchEvent = jest.fn();
+    jest.isolateModules(() => {
+      require('../../src/blocks/pipeline.js');
+    });
+    pipeline = window.BlocklyPipeline;
+  });
+
+  test('should compile a block chain into ordered operations', () => {
+    const csv = mockBlock('csv_import');
+    const filter = mockBlock('filter_data', { COLUMN: 'score', OPERATOR: 'greater_than', VALUE: '80' }, { DATA: csv });
+    const calc = mockBlock('calculate_column', { EXPRESSION: 'score * 2', NEW_COLUMN: 'double' }, { DATA: filter });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(calc));
+
+    expect(program.steps).toHaveLength(1);
+    expect(program.steps[0].kind).toBe('data');
+    expect(program.steps[0].source).toBe('original');
+    expect(program.steps[0].operations.map(op => op.type)).toEqual(['filter', 'calculate']);
+    expect(program.steps[0].operations[1].params).toEqual({ expression: 'score * 2', newColumnName: 'double' });
+    expect(program.steps[0].operations[1].blockId).toBe(calc.id);
+  });
+
+  test('should keep field text as plain data instead of code', () => {
+    const calc = mockBlock('calculate_column', {
+      EXPRESSION: "`); window.hacked = true; (`",
+      NEW_COLUMN: "x'); alert(1); ('"
+    });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(calc));
+
+    expect(program.steps[0].operations[0].params.expression).toBe("`); window.hacked = true; (`");
+    expect(window.hacked).toBeUndefined();
+  });
+
+  test('should skip filter blocks still on placeholder values', () => {
+    const filter = mockBlock('filter_data', { COLUMN: 'column', OPERATOR: 'equals', VALUE: 'value' });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(filter));
+
+    expect(program.steps[0].operations).toEqual([]);
+  });
+
+  test('should compile condition blocks into a filter condition tree', () => {
+    const compare = (fields) => mockBlock('condition_compare', fields);
+    const either = mockBlock('condition_logic', { OP: 'or' }, {
+      A: compare({ COLUMN: 'name', OPERATOR: 'in', VALUE: 'Alice, Bob', IGNORE_CASE: 'TRUE' }),
+      B: mockBlock('condition_logic', { OP: 'or' }, {
+        A: compare({ COLUMN: 'score', OPERATOR: 'greater_than', VALUE: '90', IGNORE_CASE: 'FALSE' }),
+        B: compare({ COLUMN: 'column', OPERATOR: 'equals', VALUE: 'value' })
+      })
+    });
+    const both = mockBlock('condition_logic', { OP: 'and' }, {
+      A: either,
+      B: mockBlock('condition_not', {}, { CONDITION: compare({ COLUMN: 'score', OPERATOR: 'is_empty', VALUE: 'value' }) })
+    });
+    const filter = mockBlock('filter_where', {}, { DATA: mockBlock('csv_import'), CONDITION: both });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(filter));
+
+    expect(program.steps[0].operations[0].params).toEqual({
+      condition: {
+        and: [
+          { or: [
+            { column: 'name', operator: 'in', value: 'Alice, Bob', ignoreCase: true },
+            { column: 'score', operator: 'greater_than', value: '90' }
+          ] },
+          { not: { column: 'score', operator: 'is_empty' } }
+        ]
+      }
+    });
+  });
+
+  test('should skip empty conditions and reject other blocks in a condition', () => {
+    const empty = mockBlock('filter_where', {}, { CONDITION: mockBlock('condition_not') });
+    const wrong = mockBlock('filter_where', {}, { CONDITION: mockBlock('csv_import') });
+
+    expect(pipeline.compileWorkspace(mockWorkspace(empty)).steps[0].operations).toEqual([]);
+    expect(() => pipeline.compileWorkspace(mockWorkspace(wrong))).toThrow('The "csv_import" block cannot be used as a condition');
+  });
+
+  test('should compile window blocks and skip them while on placeholders', () => {
+    const total = mockBlock('running_calculation', { CALCULATION: 'cumulativeSum', COLUMN: 'score', PARTITION: 'none', ORDER_BY: 'row_order' });
+    const average = mockBlock('moving_average', { COLUMN: 'score', WINDOW: 2, PARTITION: 'name', ORDER_BY: 'date' }, { DATA: total });
+    const change = mockBlock('compare_rows', { CALCULATION: 'lag', COLUMN: 'column', PERIODS: 1 }, { DATA: average });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(change));
+
+    expect(program.steps[0].operations.map(({ type, params }) => ({ type, params }))).toEqual([
+      { type: 'cumulativeSum', params: { column: 'score' } },
+      { type: 'movingAverage', params: { column: 'score', partitionBy: 'name', orderBy: 'date', window: 2 } }
+    ]);
+  });
+
+  test('should compile inferential statistics blocks', () => {
+    const compile = (block) => pipeline.compileWorkspace(mockWorkspace(block)).steps[0].operations.map(({ type, params }) => ({ type, params }));
+
+    expect(compile(mockBlock('one_sample_t_test', { COLUMN: 'score', MU: 50 }))).toEqual([
+      { type: 'tTest', params: { column: 'score', mu: 50 } }
+    ]);
+    expect(compile(mockBlock('chi_square_test', { COLUMN_A: 'name', COLUMN_B: 'column' }))).toEqual([]);
+    expect(compile(mockBlock('confidence_interval', { LEVEL: '0.9', TYPE: 'proportion', COLUMN: 'name', SUCCESS: ' Alice ' }))).toEqual([
+      { type: 'confidenceInterval', params: { column: 'name', type: 'proportion', level: 0.9, success: 'Alice' } }
+    ]);
+    expect(() => compile(mockBlock('confidence_interval', { TYPE: 'proportion', COLUMN: 'name', SUCCESS: 'value' })))
+      .toThrow('Type the value to count as a success');
+  });
+
+  test('should compile date blocks into date operations', () => {
+    const parse = mockBlock('tf_parse_date', { COLUMN: 'date', FORMAT: ' DD/MM/YYYY ' });
+    const part = mockBlock('tf_extract_date_part', { COLUMN: 'date', PART: 'month', OUTPUT: 'month' }, { DATA: parse });
+    const bucket = mockBlock('tf_truncate_date', { COLUMN: 'date', UNIT: 'week' }, { DATA: part });
+    const diff = mockBlock('tf_date_diff', { START: 'column', END: 'date', UNIT: 'days' }, { DATA: bucket });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(diff));
+
+    expect(program.steps[0].operations.map(({ type, params }) => ({ type, params }))).toEqual([
+      { type: 'parseDate', params: { column: 'date', format: 'DD/MM/YYYY' } },
+      { type: 'extractDatePart', params: { column: 'date', part: 'month', output: 'month' } },
+      { type: 'truncateDate', params: { column: 'date', unit: 'week' } }
+    ]);
+  });
+
+  test('should compile chart configuration chains', () => {
+    const type = mockBlock('set_chart_type', { CHART_TYPE: 'line' });
+    const axes = mockBlock('set_axes', { X_COLUMN: 'name', Y_COLUMN: 'score' }, { CONFIG: type });
+    const title = mockBlock('chart_options', { TITLE: 'Scores' }, { CONFIG: axes });
+    const viz = mockBlock('generate_visualization', {}, { CONFIG: title, DATA: mockBlock('csv_import') });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(viz));
+
+    expect(program.steps[0].kind).toBe('chart');
+    expect(program.steps[0].chart).toEqual({
+      chartType: 'line',
+      options: { xColumn: 'name', yColumn: 'score', title: 'Scores' }
+    });
+  });
+
+  test('should only send an outlier action other than marking', () => {
+    const compile = (fields) => pipeline.compileWorkspace(mockWorkspace(mockBlock('detect_outliers', fields))).steps[0].operations[0].params;
+
+    expect(compile({ COLUMN: 'score', METHOD: 'modified_zscore', ACTION: 'flag' })).toEqual({ column: 'score', method: 'modified_zscore' });
+    expect(compile({ COLUMN: 'score', METHOD: 'iqr', ACTION: 'cap' })).toEqual({ column: 'score', method: 'iqr', action: 'cap' });
+  });
+
+  test('should compile trend lines and regression blocks', () => {
+    const type = mockBlock('set_chart_type', { CHART_TYPE: 'scatter' });
+    const trend = mockBlock('add_trend_line', { MODEL: 'cubic' }, { CONFIG: type });
+    const viz = mockBlock('generate_visualization', {}, { CONFIG: trend, DATA: mockBlock('csv_import') });
+    const compile = (block) => pipeline.compileWorkspace(mockWorkspace(block)).steps[0].operations.map(({ type, params }) => ({ type, params }));
+
+    expect(pipeline.compileWorkspace(mockWorkspace(viz)).steps[0].chart).toEqual({
+      chartType: 'scatter',
+      options: { trendLine: 'polynomial', trendDegree: 3 }
+    });
+    expect(compile(mockBlock('fit_trend', { MODEL: 'linear', X_COLUMN: 'hours', Y_COLUMN: 'score' }))).toEqual([
+      { type: 'linearRegression', params: { xColumn: 'hours', yColumn: 'score' } }
+    ]);
+    expect(compile(mockBlock('add_trend_predictions', { MODEL: 'exponential', X_COLUMN: 'year', Y_COLUMN: 'column_y' }))).toEqual([]);
+  });
+
+  test('should compile chart themes', () => {
+    const type = mockBlock('set_chart_type', { CHART_TYPE: 'pie' });
+    const theme = mockBlock('chart_theme', { PALETTE: 'colorblind', MODE: 'dark', FONT_SCALE: '1.25', PATTERNS: 'TRUE' }, { CONFIG: type });
+    const viz = mockBlock('generate_visualization', {}, { CONFIG: theme, DATA: mockBlock('csv_import') });
+
+    expect(pipeline.compileWorkspace(mockWorkspace(viz)).steps[0].chart).toEqual({
+      chartType: 'pie',
+      options: { theme: { palette: 'colorblind', mode: 'dark', fontScale: 1.25, patterns: true } }
+    });
+  });
+
+  test('should report the failing block for unsupported inputs', () => {
+    const unknown = mockBlock('math_number', { NUM: 3 });
+    const sort = mockBlock('sort_data', { COLUMN: 'score', DIRECTION: 'asc' }, { DATA: unknown });
+
+    expect(() => pipeline.compileWorkspace(mockWorkspace(sort))).toThrow('cannot be used as a data source');
+    try {
+      pipeline.compileWorkspace(mockWorkspace(sort));
+    } catch (error) {
+      expect(error.blockId).toBe(unknown.id);
+    }
+  });
+
+  test('should ignore general-purpose top-level blocks', () => {
+    const program = pipeline.compileWorkspace(mockWorkspace(mockBlock('text_print')));
+
+    expect(program.steps).toEqual([]);
+    expect(program.skipped).toEqual(['text_print']);
+  });
+
+  test('should run data steps through processData in a single request', async () => {
+    const csv = mockBlock('csv_import');
+    const sort = mockBlock('sort_data', { COLUMN: 'score', DIRECTION: 'desc' }, { DATA: csv });
+    const select = mockBlock('select_columns', { COLUMNS: 'name, score' }, { DATA: sort });
+
+    const { result } = await pipeline.run(mockWorkspace(select));
+
+    expect(window.AppApi.processData).toHaveBeenCalledTimes(1);
+    expect(window.AppApi.processData).toHaveBeenCalledWith(rows, [
+      { type: 'sort', params: { column: 'score', direction: 'desc' } },
+      { type: 'select', params: { columns: ['name', 'score'] } }
+    ]);
+    expect(result).toEqual([rows[0]]);
+    expect(window.Blockly.CsvImportData.data).toEqual([rows[0]]);
+    expect(window.BlocklyPersistCsv).toHaveBeenCalled();
+  });
+
+  test('should generate charts and dispatch chartGenerated', async () => {
+    const quick = mockBlock('quick_chart', { CHART_TYPE: 'bar', X_COLUMN: 'name', Y_COLUMN: 'score', TITLE: 'T' });
+
+    const { result } = await pipeline.run(mockWorkspace(quick));
+
+    expect(window.AppApi.generateChart).toHaveBeenCalledWith(rows, 'bar', { xColumn: 'name', yColumn: 'score', title: 'T' });
+    expect(window.dispatchEvent).toHaveBeenCalledTimes(1);
+    expect(window.dispatchEvent.mock.calls[0][0].detail.config).toEqual({ type: 'bar' });
+    expect(result).toEqual({ handled: 'chartGenerated', chartType: 'bar' });
+  });
+
+  test('should compile viz_fields y columns added with the gear into one chart', () => {
+    const several = mockBlock('viz_fields', { X: 'month', Y: 'temperature', Y1: 'rainfall', Y2: 'y', COLOR: 'none', TYPE: 'line' });
+    several.yCount_ = 3;
+    const split = mockBlock('viz_fields', { X: 'day', Y: 'visits', COLOR: 'site', TYPE: 'area' });
+    const histogram = mockBlock('viz_fields', { X: 'score', Y: 'y', COLOR: 'category', TYPE: 'hist' });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(several, split, histogram));
+
+    expect(program.steps.map(step => step.chart)).toEqual([
+      { chartType: 'line', options: { xColumn: 'month', yColumn: 'temperature', yColumns: ['temperature', 'rainfall'] } },
+      { chartType: 'area', options: { xColumn: 'day', yColumn: 'visits', seriesColumn: 'site' } },
+      { chartType: 'histogram', options: { valueColumn: 'score' } }
+    ]);
+    expect(() => pipeline.compileWorkspace(mockWorkspace(mockBlock('viz_fields', { X: 'month', Y: 'y', TYPE: 'bar' }))))
+      .toThrow('Please select valid columns for the chart');
+  });
+
+  test('should save exports under their own name and dispatch datasetExported', async () => {
+    window.AppApi.saveCsv = jest.fn().mockResolvedValue({ success: true, filename: 'clean.csv' });
+    window.AppApi.exportDatasetUrl = jest.fn().mockReturnValue('/api/datasets/clean.csv/export?format=xlsx');
+    const csv = mockBlock('csv_import');
+    const exportBlock = mockBlock('export_dataset', { FORMAT: 'xlsx', FILENAME: 'clean.xlsx', COLUMNS: 'score, name' }, { DATA: csv });
+
+    const { program, result } = await pipeline.run(mockWorkspace(exportBlock));
+
+    expect(program.steps[0]).toMatchObject({ kind: 'export', export: { format: 'xlsx', filename: 'clean', columns: ['score', 'name'] } });
+    expect(window.AppApi.saveCsv).toHaveBeenCalledWith(rows, 'clean.csv', true);
+    expect(window.AppApi.exportDatasetUrl).toHaveBeenCalledWith('clean.csv', 'xlsx', ['score', 'name']);
+    expect(window.dispatchEvent.mock.calls[0][0].type).toBe('datasetExported');
+    expect(result).toMatchObject({ handled: 'datasetExported', filename: 'clean.xlsx', rows: 2 });
+  });
+
+  test('should compile group_by rows added with the gear', () => {
+    const group = mockBlock('group_by', {
+      GROUP_COLUMN: 'suburb', GROUP_COLUMN1: 'year', GROUP_COLUMN2: 'group_column',
+      AGGREGATION: 'sum', AGG_COLUMN: 'count', ALIAS: 'total',
+      AGGREGATION1: 'count', AGG_COLUMN1: 'value_column', ALIAS1: '',
+      AGGREGATION2: 'median', AGG_COLUMN2: 'value_column', ALIAS2: 'skipped'
+    }, { DATA: mockBlock('csv_import') });
+    group.groupCount_ = 3;
+    group.aggregationCount_ = 3;
+
+    const program = pipeline.compileWorkspace(mockWorkspace(group));
+
+    expect(program.steps[0].operations[0].params).toEqual({
+      groupBy: ['suburb', 'year'],
+      aggregations: [{ column: 'count', operation: 'sum', alias: 'total' }, { operation: 'count' }]
+    });
+  });
+
+  test('should compile reshape blocks and skip them while on placeholders', () => {
+    const melt = mockBlock('melt_data', { ID_COLUMNS: 'Offence, Suburb ', VAR_NAME: 'year', VALUE_NAME: ' ' }, { DATA: mockBlock('csv_import') });
+    const pivot = mockBlock('pivot_data', { INDEX: 'Offence', COLUMNS: 'year', AGGREGATION: 'count', VALUES: 'value_column' }, { DATA: melt });
+    const placeholder = mockBlock('pivot_data', { INDEX: 'row_column', COLUMNS: 'year', AGGREGATION: 'sum', VALUES: 'count' }, { DATA: pivot });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(placeholder));
+
+    expect(program.steps[0].operations.map(({ type, params }) => ({ type, params }))).toEqual([
+      { type: 'melt', params: { idColumns: ['Offence', 'Suburb'], varName: 'year', valueName: 'value' } },
+      { type: 'pivot', params: { index: 'Offence', columns: 'year', aggregation: 'count' } }
+    ]);
+  });
+
+  test('should preview a dataset block without touching the current data', async () => {
+    window.AppApi.processData.mockResolvedValueOnce({
+      success: true,
+      data: [{ name: 'Alice', variable: 'score', value: '85' }],
+      preview: { rows: 1, rowCount: 2, columns: ['name', 'variable', 'value'] }
+    });
+    const melt = mockBlock('melt_data', { ID_COLUMNS: 'name', VAR_NAME: 'variable', VALUE_NAME: 'value' }, { DATA: mockBlock('csv_import') });
+
+    const preview = await pipeline.preview(melt, 1);
+
+    expect(window.AppApi.processData).toHaveBeenCalledWith(rows, [
+      { type: 'melt', params: { idColumns: ['name'], varName: 'variable', valueName: 'value' } }
+    ], { preview: 1 });
+    expect(preview).toEqual({ rows: [{ name: 'Alice', variable: 'score', value: '85' }], rowCount: 2, columns: ['name', 'variable', 'value'] });
+    expect(window.Blockly.CsvImportData.data).toBe(rows);
+    expect(window.BlocklyPersistCsv).not.toHaveBeenCalled();
+
+    const plain = await pipeline.preview(mockBlock('csv_import'), 1);
+    expect(plain).toEqual({ rows: [rows[0]], rowCount: 2, columns: ['name', 'score'] });
+  });
+
+  test('should trace a chain and tag each step with its block', async () => {
+    window.AppApi.processData.mockResolvedValueOnce({
+      success: true,
+      data: [rows[1]],
+      trace: [
+        { step: 0, type: 'filter', durationMs: 0.1, rowCount: 1, columns: ['name', 'score'], sample: [rows[1]] },
+        { step: 1, type: 'sort', durationMs: 0.05, rowCount: 1, columns: ['name', 'score'], sample: [rows[1]] }
+      ]
+    });
+    const filter = mockBlock('filter_data', { COLUMN: 'score', OPERATOR: 'greater_than', VALUE: '90' }, { DATA: mockBlock('csv_import') });
+    const sort = mockBlock('sort_data', { COLUMN: 'score', DIRECTION: 'desc' }, { DATA: filter });
+
+    const traced = await pipeline.trace(sort, 3);
+
+    expect(window.AppApi.processData).toHaveBeenCalledWith(rows, [
+      { type: 'filter', params: { column: 'score', operator: 'greater_than', value: '90' } },
+      { type: 'sort', params: { column: 'score', direction: 'desc' } }
+    ], { trace: 3 });
+    expect(traced).toMatchObject({ rowCount: 2, columns: ['name', 'score'], sample: rows });
+    expect(traced.steps.map(step => step.blockId)).toEqual([filter.id, sort.id]);
+    expect(window.Blockly.CsvImportData.data).toBe(rows);
+  });
+
+  test('should keep the steps before a failure when tracing', async () => {
+    const failure = Object.assign(new Error('Unsupported operation'), {
+      trace: [{ step: 0, type: 'filter', durationMs: 0.1, rowCount: 1, columns: ['name', 'score'], sample: [rows[1]] }]
+    });
+    window.AppApi.processData.mockRejectedValueOnce(failure);
+    const filter = mockBlock('filter_data', { COLUMN: 'score', OPERATOR: 'greater_than', VALUE: '90' }, { DATA: mockBlock('csv_import') });
+    const sort = mockBlock('sort_data', { COLUMN: 'score', DIRECTION: 'desc' }, { DATA: filter });
+
+    await expect(pipeline.trace(sort)).rejects.toMatchObject({
+      blockId: sort.id,
+      trace: [{ step: 0, type: 'filter', blockId: filter.id }]
+    });
+  });
+
+  test('should compile joins with the second dataset nested in params', () => {
+    const saved = mockBlock('load_dataset', { FILE: 'population.csv' });
+    const join = mockBlock('join_datasets', { HOW: 'left', KEYS: 'suburb=Suburb, year' }, { DATA: mockBlock('csv_import'), OTHER: saved });
+
+    const program = pipeline.compileWorkspace(mockWorkspace(join));
+
+    expect(program.steps[0].operations[0]).toMatchObject({
+      type: 'join',
+      params: {
+        dataset: { source: 'upload', name: 'population.csv', blockId: saved.id, operations: [] },
+        on: ['suburb', 'year'],
+        rightOn: ['Suburb', 'year'],
+        how: 'left'
+      },
+      blockId: join.id
+    });
+    expect(() => pipeline.compileWorkspace(mockWorkspace(mockBlock('join_datasets', { KEYS: 'key' }, { OTHER: saved }))))
+      .toThrow('Type the key column(s) to join on');
+    expect(() => pipeline.compileWorkspace(mockWorkspace(mockBlock('append_datasets', { MODE: 'union' }, { OTHER: mockBlock('load_dataset', { FILE: 'dataset' }) }))))
+      .toThrow('Choose a saved dataset');
+  });
+
+  test('should load saved datasets and tag reports with the block that produced them', async () => {
+    const population = [{ suburb: 'Adelaide', people: '25000' }];
+    window.AppApi.getCsv = jest.fn().mockResolvedValue({ success: true, data: population });
+    window.AppApi.processData.mockResolvedValueOnce({
+      success: true,
+      data: rows,
+      reports: [{ type: 'append', step: 0, message: 'Only in the first dataset: score' }]
+    });
+    const append = mockBlock('append_datasets', { MODE: 'append' }, { DATA: mockBlock('csv_import'), OTHER: mockBlock('load_dataset', { FILE: 'population.csv' }) });
+
+    await pipeline.run(mockWorkspace(append));
+
+    expect(window.AppApi.getCsv).toHaveBeenCalledWith('population.csv');
+    expect(window.AppApi.processData).toHaveBeenCalledWith(rows, [{ type: 'append', params: { dataset: population } }]);
+    const event = window.dispatchEvent.mock.calls[0][0];
+    expect(event.type).toBe('pipelineReport');
+    expect(event.detail.reports[0]).toMatchObject({ type: 'append', blockId: append.id });
+  });
+
+  test('should check operations before running them and point at the failing block', async () => {
+    window.AppApi.validateOperations = jest.fn().mockResolvedValue({
+      success: true,
+      valid: false,
+      steps: [
+        { step: 0, type: 'filter', valid: true, errors: [] },
+        { step: 1, type: 'sort', valid: false, errors: [{ param: 'column', message: 'Column(s) not found: grade' }] }
+      ]
+    });
+    const filter = mockBlock('filter_data', { COLUMN: 'score', OPERATOR: 'greater_than', VALUE: '80' }, { DATA: mockBlock('csv_import') });
+    const sort = mockBlock('sort_data', { COLUMN: 'grade', DIRECTION: 'asc' }, { DATA: filter });
+
+    await expect(pipeline.run(mockWorkspace(sort))).rejects.toMatchObject({
+      message: 'Column(s) not found: grade',
+      blockId: sort.id
+    });
+    expect(window.AppApi.validateOperations).toHaveBeenCalledWith(['name', 'score'], [
+      { type: 'filter', params: { column: 'score', operator: 'greater_than', value: '80' } },
+      { type: 'sort', params: { column: 'grade', direction: 'asc' } }
+    ]);
+    expect(window.AppApi.processData).not.toHaveBeenCalled();
+    const event = window.dispatchEvent.mock.calls[0][0];
+    expect(event.type).toBe('pipelineReport');
+    expect(event.detail.reports).toEqual([
+      { type: 'validation', step: 0, blockId: filter.id, message: null },
+      { type: 'validation', step: 1, blockId: sort.id, message: 'Column(s) not found: grade' }
+    ]);
+  });
+
+  test('should attach the block id to API failures', async () => {
+    window.AppApi.processData.mockRejectedValueOnce(new Error('Unsupported operation'));
+    const sort = mockBlock('sort_data', { COLUMN: 'score', DIRECTION: 'asc' });
+
+    await expect(pipeline.run(mockWorkspace(sort))).rejects.toMatchObject({
+      message: 'Unsupported operation',
+      blockId: sort.id
+    });
+  });
+});
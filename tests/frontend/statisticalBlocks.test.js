@@ -92,6 +92,7 @@ describe('Statistical Blocks Integration', () => {
           'COLUMN_X': 'age',
           'COLUMN_Y': 'salary',
           'METHOD': 'iqr',
+          'ACTION': 'flag',
           'PERCENTILE': '50'
         };
         return fieldValues[fieldName] || 'column';
@@ -221,6 +222,7 @@ describe('Statistical Blocks Integration', () => {
       
       expect(code).toContain('detectOutliers');
       expect(code).toContain("method: 'iqr'"); // Updated to match new format
+      expect(code).toContain("action: 'flag'");
       expect(code).toContain('window.AppApi.processData'); // Updated expectation
     });
 
@@ -280,6 +282,92 @@ describe('Statistical Blocks Integration', () => {
     });
   });
 
+  describe('Window Calculation Blocks', () => {
+    test('Running calculation code should send the partition and order columns', async () => {
+      const fields = { CALCULATION: 'rank', COLUMN: 'salary', PARTITION: 'department', ORDER_BY: 'row_order' };
+      mockBlock.getFieldValue = jest.fn((fieldName) => fields[fieldName]);
+      window.AppApi.processData.mockResolvedValueOnce({ data: [{ rank_salary: 1 }] });
+
+      const [code] = window.Blockly.JavaScript['running_calculation'](mockBlock);
+      const result = await eval(code);
+
+      expect(result).toEqual([{ rank_salary: 1 }]);
+      expect(window.AppApi.processData).toHaveBeenCalledWith(
+        testData,
+        [{ type: 'rank', params: { column: 'salary', partitionBy: 'department' } }]
+      );
+    });
+
+    test('Moving average and compare rows generators should include their sizes', () => {
+      const fields = { CALCULATION: 'pctChange', COLUMN: 'score', PARTITION: 'none', ORDER_BY: 'age', WINDOW: 4, PERIODS: 2 };
+      mockBlock.getFieldValue = jest.fn((fieldName) => fields[fieldName]);
+
+      const [average] = window.Blockly.JavaScript['moving_average'](mockBlock);
+      const [change] = window.Blockly.JavaScript['compare_rows'](mockBlock);
+
+      expect(average).toContain('{"type":"movingAverage","params":{"column":"score","orderBy":"age","window":4}}');
+      expect(change).toContain('{"type":"pctChange","params":{"column":"score","orderBy":"age","periods":2}}');
+      expect(Blockly.JavaScript.forBlock['compare_rows']).toBeDefined();
+    });
+  });
+
+  describe('Inferential Statistics Blocks', () => {
+    test('Two-sample t-test code should return the test result', async () => {
+      const fields = { COLUMN: 'score', GROUP_COLUMN: 'department' };
+      mockBlock.getFieldValue = jest.fn((fieldName) => fields[fieldName]);
+      window.AppApi.processData.mockResolvedValueOnce({ data: { test: 'two-sample t-test (Welch)', pValue: 0.2 } });
+
+      const [code] = window.Blockly.JavaScript['two_sample_t_test'](mockBlock);
+      const result = await eval(code);
+
+      expect(result).toEqual({ test: 'two-sample t-test (Welch)', pValue: 0.2 });
+      expect(window.AppApi.processData).toHaveBeenCalledWith(
+        testData,
+        [{ type: 'tTest', params: { column: 'score', groupColumn: 'department' } }]
+      );
+    });
+
+    test('Confidence interval generator should only send a success value for proportions', () => {
+      const fields = { LEVEL: '0.99', TYPE: 'mean', COLUMN: 'salary', SUCCESS: 'Sales' };
+      mockBlock.getFieldValue = jest.fn((fieldName) => fields[fieldName]);
+      const [mean] = window.Blockly.JavaScript['confidence_interval'](mockBlock);
+      fields.TYPE = 'proportion';
+      fields.COLUMN = 'department';
+      const [proportion] = window.Blockly.JavaScript['confidence_interval'](mockBlock);
+
+      expect(mean).toContain('{"type":"confidenceInterval","params":{"column":"salary","type":"mean","level":0.99}}');
+      expect(proportion).toContain('"success":"Sales"');
+      expect(Blockly.JavaScript.forBlock['chi_square_test']).toBeDefined();
+    });
+  });
+
+  describe('Regression Blocks', () => {
+    test('Fit trend generator should send the regression for the chosen shape', () => {
+      const fields = { MODEL: 'quadratic', X_COLUMN: 'age', Y_COLUMN: 'salary' };
+      mockBlock.getFieldValue = jest.fn((fieldName) => fields[fieldName]);
+
+      const [code] = window.Blockly.JavaScript['fit_trend'](mockBlock);
+
+      expect(code).toContain('{"type":"polynomialRegression","params":{"xColumn":"age","yColumn":"salary","degree":2}}');
+    });
+
+    test('Trend predictions code should return the rows with predictions', async () => {
+      const fields = { MODEL: 'linear', X_COLUMN: 'age', Y_COLUMN: 'salary' };
+      mockBlock.getFieldValue = jest.fn((fieldName) => fields[fieldName]);
+      const predicted = testData.map(row => ({ ...row, predicted_salary: 1, residual_salary: 0 }));
+      window.AppApi.processData.mockResolvedValueOnce({ data: predicted });
+
+      const [code] = window.Blockly.JavaScript['add_trend_predictions'](mockBlock);
+      const result = await eval(code);
+
+      expect(result).toEqual(predicted);
+      expect(window.AppApi.processData).toHaveBeenCalledWith(
+        testData,
+        [{ type: 'trendPredictions', params: { xColumn: 'age', yColumn: 'salary', model: 'linear' } }]
+      );
+    });
+  });
+
   describe('Error Handling in Generated Code', () => {
     test('Should handle API unavailable gracefully', async () => {
       // Temporarily remove AppApi
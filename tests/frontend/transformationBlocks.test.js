@@ -713,6 +713,42 @@ describe('Data Transformation Blocks Integration', () => {
     });
   });
 
+  describe('Date Blocks', () => {
+    const dateFields = (fields) => jest.fn((fieldName) => fields[fieldName] || 'column');
+
+    test('Should send date operations to the backend', async () => {
+      const cases = [
+        ['tf_parse_date', { COLUMN: 'joined', FORMAT: 'DD/MM/YYYY' },
+          { type: 'parseDate', params: { column: 'joined', format: 'DD/MM/YYYY' } }],
+        ['tf_extract_date_part', { COLUMN: 'joined', PART: 'weekday_name', OUTPUT: 'weekday' },
+          { type: 'extractDatePart', params: { column: 'joined', part: 'weekday_name', output: 'weekday' } }],
+        ['tf_date_diff', { START: 'joined', END: 'left', UNIT: 'months', OUTPUT: 'tenure' },
+          { type: 'dateDiff', params: { start: 'joined', end: 'left', unit: 'months', output: 'tenure' } }],
+        ['tf_truncate_date', { COLUMN: 'joined', UNIT: 'quarter' },
+          { type: 'truncateDate', params: { column: 'joined', unit: 'quarter' } }]
+      ];
+
+      for (const [blockType, fields, operation] of cases) {
+        window.AppApi.processData.mockClear();
+        mockBlock.getFieldValue = dateFields(fields);
+        const [code] = Blockly.JavaScript[blockType](mockBlock);
+        const result = await eval(code);
+
+        expect(Array.isArray(result)).toBe(true);
+        expect(window.AppApi.processData).toHaveBeenCalledWith(testData, [operation]);
+      }
+    });
+
+    test('Should pass data through while the column is still a placeholder', async () => {
+      mockBlock.getFieldValue = dateFields({ PART: 'year' });
+      const [code] = Blockly.JavaScript['tf_extract_date_part'](mockBlock);
+      const result = await eval(code);
+
+      expect(result).toEqual(testData);
+      expect(window.AppApi.processData).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error Handling', () => {
     test('Should handle invalid input data gracefully', async () => {
       global.testDataVariable = 'invalid_data_type';
@@ -794,7 +830,11 @@ describe('Data Transformation Blocks Integration', () => {
         'tf_split_column',
         'tf_concat_columns',
         'tf_drop_duplicates',
-        'tf_round_number'
+        'tf_round_number',
+        'tf_parse_date',
+        'tf_extract_date_part',
+        'tf_date_diff',
+        'tf_truncate_date'
       ];
       
       blockTypes.forEach(blockType => {
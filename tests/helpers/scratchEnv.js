@@ -0,0 +1,65 @@
+/**
+ * Scratch Environment for Server Tests
+ *
+ * Points every data file the server writes (projects, facilitator accounts,
+ * classes, the dataset registry and uploads) at a fresh temporary directory,
+ * so a test run never touches the real files in the repository. The first
+ * facilitator account signs in with FACILITATOR_PASSWORD. Call it at
+ * the top of a test file, before server.js is required; the directory is
+ * removed and the variables restored after the file's tests finish.
+ *
+ * @author ApparentlyAR Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Password of the first facilitator account in every scratch environment
+const FACILITATOR_PASSWORD = 'facilitator-test-pass';
+
+/**
+ * Create a scratch directory and point the server's data files at it.
+ *
+ * @param {string} label - Short name used in the directory name
+ * @param {Object<string, string>} [extra] - Further environment variables to set
+ * @returns {string} Path of the scratch directory
+ *
+ * @example
+ * const scratch = useScratchEnv('import', { DATASET_QUOTA_FILES: '3' });
+ * const app = require('../../server');
+ */
+function useScratchEnv(label, extra = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `apparentlyar-${label}-${process.pid}-`));
+  const variables = {
+    PROJECTS_FILE: path.join(dir, 'projects.json'),
+    AUTH_FILE: path.join(dir, 'auth.json'),
+    CLASSES_FILE: path.join(dir, 'classes.json'),
+    DATASETS_FILE: path.join(dir, 'datasets.json'),
+    UPLOADS_DIR: path.join(dir, 'uploads'),
+    FACILITATOR_PASSWORD,
+    ...extra
+  };
+
+  const previous = {};
+  Object.entries(variables).forEach(([name, value]) => {
+    previous[name] = process.env[name];
+    process.env[name] = value;
+  });
+
+  afterAll(() => {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return dir;
+}
+
+module.exports = { useScratchEnv, FACILITATOR_PASSWORD };